@@ -0,0 +1,297 @@
+/**
+ * @fileoverview
+ *  워크스페이스 공용 배포 레지스트리 (chainId × 컨트랙트 이름)
+ * @description
+ *  - 각 서브 프로젝트의 배포 결과를 `<project>/deployments/<chainId>.json` 한 곳에 기록/조회
+ *  - 체인별 파일을 따로 쓰므로, 한 네트워크에 재배포해도 다른 네트워크의 주소는 건드리지 않음
+ *  - 같은 체인에서 같은 이름으로 재배포하면 이전 엔트리는 history로 보존
+ *  - 파일 쓰기는 임시파일 → rename (원자적 교체)
+ *
+ * 파일 구조 (deployments/<chainId>.json):
+ *   {
+ *     "chainId": "31337",
+ *     "network": "localhost",
+ *     "updatedAt": "2025-10-20T00:00:00.000Z",
+ *     "contracts": {
+ *       "<name>": {
+ *         "contract": "<artifact 이름>",
+ *         "address": "0x...",
+ *         "txHash": "0x..." | null,
+ *         "blockNumber": 123 | null,
+ *         "args": ["..."],            // 생성자 인자 (bigint → 문자열)
+ *         "artifactHash": "0x..." | null,  // sha256(deployedBytecode)
+ *         "deployer": "0x..." | null,
+ *         "network": "localhost",
+ *         "deployedAt": "ISO-8601",
+ *         "meta": { ... },            // 프로젝트별 부가정보 (startTs, schedule 등)
+ *         "history": [ {이전 엔트리}, ... ]
+ *       }
+ *     }
+ *   }
+ *
+ * 사용법 (hardhat 배포 스크립트):
+ *   const { createRegistry } = require("../../../common/deployRegistry");
+ *   const registry = createRegistry(path.join(__dirname, ".."));
+ *   const c = await Factory.deploy(a, b);
+ *   await c.waitForDeployment();
+ *   await registry.recordDeployment(hre, "MyContract", c, { args: [a, b] });
+ *
+ * 사용법 (런타임 스크립트):
+ *   const chainId = await registry.chainIdOf(provider);
+ *   const addr = registry.address(chainId, "MyContract");
+ *
+ * 주의:
+ *  - 외부 의존성 없음 (hardhat / ethers를 require하지 않음 → 서버/클라이언트에서도 사용 가능)
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const HISTORY_LIMIT = 20;
+
+// =============================================================================
+// 유틸
+// =============================================================================
+
+/**
+ * @notice chainId 정규화 (number / bigint / 문자열 / 0x 문자열 → 10진 문자열)
+ * @param {number|bigint|string} chainId
+ * @returns {string}
+ */
+function normalizeChainId(chainId) {
+    if (chainId == null || chainId === "") throw new Error("chainId가 필요합니다.");
+    try {
+        return BigInt(chainId).toString();
+    } catch {
+        throw new Error(`잘못된 chainId입니다: ${chainId}`);
+    }
+}
+
+/**
+ * @notice JSON 직렬화 가능한 값으로 변환 (bigint → 문자열, 중첩 배열/객체 재귀)
+ */
+function toJsonable(v) {
+    if (typeof v === "bigint") return v.toString();
+    if (Array.isArray(v)) return v.map(toJsonable);
+    if (v && typeof v === "object") {
+        if (typeof v.getAddress === "function" && typeof v.target === "string") return v.target; // ethers Contract
+        const out = {};
+        for (const [k, x] of Object.entries(v)) out[k] = toJsonable(x);
+        return out;
+    }
+    return v;
+}
+
+/**
+ * @notice 아티팩트 해시 = sha256(deployedBytecode) (없으면 bytecode)
+ * @param {{deployedBytecode?: string, bytecode?: string}} artifact hardhat artifact
+ * @returns {string|null} 0x-prefixed hex
+ */
+function artifactHash(artifact) {
+    const code = artifact?.deployedBytecode && artifact.deployedBytecode !== "0x"
+        ? artifact.deployedBytecode
+        : artifact?.bytecode;
+    if (!code || code === "0x") return null;
+    return "0x" + crypto.createHash("sha256").update(code.toLowerCase()).digest("hex");
+}
+
+function readJSON(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw new Error(`배포 레지스트리 파일을 읽을 수 없습니다: ${file} (${e.message})`);
+    }
+}
+
+function writeJSONAtomic(file, data) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 2) + "\n");
+    fs.renameSync(tmp, file);
+}
+
+// =============================================================================
+// 레지스트리
+// =============================================================================
+
+/**
+ * @notice 프로젝트 배포 레지스트리 생성
+ * @param {string} projectDir 서브 프로젝트 루트 (예: projects/token-vesting)
+ * @param {object} [opts]
+ * @param {string} [opts.dir] 레지스트리 디렉터리 (기본 <projectDir>/deployments)
+ */
+function createRegistry(projectDir, opts = {}) {
+    const dir = opts.dir ?? path.join(projectDir, "deployments");
+
+    const fileOf = (chainId) => path.join(dir, `${normalizeChainId(chainId)}.json`);
+
+    /**
+     * @notice 체인 문서 로드 (없으면 빈 문서)
+     */
+    function load(chainId) {
+        const id = normalizeChainId(chainId);
+        const doc = readJSON(fileOf(id));
+        if (!doc) return { chainId: id, network: null, updatedAt: null, contracts: {} };
+        if (normalizeChainId(doc.chainId) !== id) {
+            throw new Error(`배포 레지스트리 chainId 불일치: ${fileOf(id)} (chainId=${doc.chainId})`);
+        }
+        doc.contracts ??= {};
+        return doc;
+    }
+
+    /**
+     * @notice 기록된 chainId 목록
+     */
+    function chains() {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir)
+            .filter((f) => /^\d+\.json$/.test(f))
+            .map((f) => f.replace(/\.json$/, ""));
+    }
+
+    /**
+     * @notice 엔트리 조회 (없으면 null)
+     */
+    function get(chainId, name) {
+        return load(chainId).contracts[name] ?? null;
+    }
+
+    /**
+     * @notice 엔트리 조회 (없으면 throw)
+     */
+    function require_(chainId, name) {
+        const e = get(chainId, name);
+        if (!e?.address) {
+            throw new Error(
+                `${name} 배포 정보가 없습니다 (chainId=${normalizeChainId(chainId)}, ${fileOf(chainId)}). 먼저 배포 스크립트를 실행하세요.`
+            );
+        }
+        return e;
+    }
+
+    /**
+     * @notice 주소 조회 (없으면 throw)
+     */
+    function address(chainId, name) {
+        return require_(chainId, name).address;
+    }
+
+    /**
+     * @notice 배포 엔트리 기록 (같은 이름의 기존 엔트리는 주소가 바뀌면 history로 이동)
+     * @param {number|bigint|string} chainId
+     * @param {string} name 레지스트리 키 (보통 컨트랙트 이름)
+     * @param {object} entry { address, contract?, txHash?, blockNumber?, args?, artifactHash?, deployer?, network?, meta? }
+     * @returns {object} 기록된 엔트리
+     */
+    function record(chainId, name, entry) {
+        if (!entry?.address) throw new Error(`${name}: address가 필요합니다.`);
+        const doc = load(chainId);
+        const prev = doc.contracts[name];
+        const next = {
+            contract: entry.contract ?? name,
+            address: entry.address,
+            txHash: entry.txHash ?? null,
+            blockNumber: entry.blockNumber != null ? Number(entry.blockNumber) : null,
+            args: toJsonable(entry.args ?? []),
+            artifactHash: entry.artifactHash ?? null,
+            deployer: entry.deployer ?? null,
+            network: entry.network ?? doc.network ?? null,
+            deployedAt: entry.deployedAt ?? new Date().toISOString(),
+        };
+        if (entry.meta) next.meta = toJsonable(entry.meta);
+        if (prev) {
+            const { history = [], ...rest } = prev;
+            const same = prev.address.toLowerCase() === next.address.toLowerCase();
+            next.history = same ? history : [rest, ...history].slice(0, HISTORY_LIMIT);
+            if (same && !entry.meta && prev.meta) next.meta = prev.meta;
+            if (!next.history.length) delete next.history;
+        }
+        doc.contracts[name] = next;
+        if (entry.network) doc.network = entry.network;
+        doc.updatedAt = new Date().toISOString();
+        writeJSONAtomic(fileOf(chainId), doc);
+        return next;
+    }
+
+    /**
+     * @notice 기존 엔트리의 meta 병합 갱신 (배포 후 설정값 기록용)
+     */
+    function updateMeta(chainId, name, patch) {
+        const doc = load(chainId);
+        const e = doc.contracts[name];
+        if (!e) throw new Error(`${name} 배포 정보가 없습니다 (chainId=${normalizeChainId(chainId)}).`);
+        e.meta = { ...(e.meta ?? {}), ...toJsonable(patch) };
+        doc.updatedAt = new Date().toISOString();
+        writeJSONAtomic(fileOf(chainId), doc);
+        return e;
+    }
+
+    /**
+     * @notice provider에서 chainId 조회
+     * @param {{getNetwork: Function}} provider ethers Provider
+     * @returns {Promise<string>}
+     */
+    async function chainIdOf(provider) {
+        const net = await provider.getNetwork();
+        return normalizeChainId(net.chainId);
+    }
+
+    /**
+     * @notice hardhat 배포 결과 기록 (tx/receipt/아티팩트 해시 자동 수집)
+     * @param {object} hre hardhat runtime
+     * @param {string} name 레지스트리 키
+     * @param {import("ethers").BaseContract} contract 배포된 컨트랙트 (waitForDeployment 이후)
+     * @param {object} [opts]
+     * @param {any[]} [opts.args] 생성자 인자
+     * @param {string} [opts.contract] 아티팩트 이름/FQN (기본 name)
+     * @param {object} [opts.meta]
+     * @returns {Promise<object>} 기록된 엔트리
+     */
+    async function recordDeployment(hre, name, contract, opts = {}) {
+        const provider = contract.runner?.provider ?? hre.ethers.provider;
+        const chainId = await chainIdOf(provider);
+        const tx = contract.deploymentTransaction?.() ?? null;
+        const receipt = tx ? await tx.wait() : null;
+        const artifactName = opts.contract ?? name;
+        let hash = null;
+        try {
+            hash = artifactHash(await hre.artifacts.readArtifact(artifactName));
+        } catch {
+            // 아티팩트가 없으면 (외부 주소 등) 해시 생략
+        }
+        return record(chainId, name, {
+            contract: artifactName,
+            address: await contract.getAddress(),
+            txHash: receipt?.hash ?? tx?.hash ?? null,
+            blockNumber: receipt?.blockNumber ?? null,
+            args: opts.args ?? [],
+            artifactHash: hash,
+            deployer: tx?.from ?? null,
+            network: hre.network.name,
+            meta: opts.meta,
+        });
+    }
+
+    return {
+        dir,
+        fileOf,
+        load,
+        chains,
+        get,
+        require: require_,
+        address,
+        record,
+        updateMeta,
+        chainIdOf,
+        recordDeployment,
+    };
+}
+
+module.exports = {
+    createRegistry,
+    artifactHash,
+    normalizeChainId,
+};
@@ -8,15 +8,17 @@
     - VRFNft 배포 (생성자: vrfProxy.address)
     - VRFProxy.setParams(keyHash, gasLimit, numWords)
     - VRFProxy.setAllowedCaller(vrfNft.address, true)
-    - ./output/deployment-info.json에 주소와 네트워크 정보 기록
+    - 배포 레지스트리(deployments/<chainId>.json, common/deployRegistry.js)에 주소/tx/블록/생성자 인자 기록
 
     사용법 예시
     - pnpm hardhat run scripts/deploy.js --network baobab
 */
 
 require("dotenv").config();
-const fs = require("fs");
 const path = require("path");
+const { createRegistry } = require("../../../common/deployRegistry");
+
+const registry = createRegistry(path.join(__dirname, ".."));
 
 async function main() {
     const hre = require("hardhat");
@@ -68,25 +70,14 @@ async function main() {
     await tx2.wait();
     console.log("VRFProxy.setAllowedCaller tx:", tx2.hash);
 
-    // 7) 결과 저장
-    const outDir = path.resolve(__dirname, "./output");
-    const outPath = path.join(outDir, "deployment-info.json");
-    if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
-
-    const networkInfo = await ethers.provider.getNetwork();
-    const latestBlock = await ethers.provider.getBlockNumber();
-    const data = {
-        network: network.name,
-        chainId: Number(networkInfo.chainId.toString()),
-        deployer: deployer.address,
-        vrfProxy: vrfProxyAddress,
-        vrfNft: vrfNftAddress,
-        params: { keyHash, gasLimit, numWords },
-        blockNumber: latestBlock,
-        timestamp: new Date().toISOString()
-    };
-    fs.writeFileSync(outPath, JSON.stringify(data, null, 2));
-    console.log("Saved:", outPath);
+    // 7) 결과 저장 (배포 레지스트리)
+    await registry.recordDeployment(hre, "VRFProxy", vrfProxy, {
+        args: [coordinator],
+        meta: { params: { keyHash, gasLimit, numWords } },
+    });
+    await registry.recordDeployment(hre, "VRFNft", vrfNft, { args: [vrfProxyAddress] });
+    const chainId = await registry.chainIdOf(ethers.provider);
+    console.log("Saved:", registry.fileOf(chainId));
 }
 
 main()
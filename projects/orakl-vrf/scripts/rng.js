@@ -1,7 +1,7 @@
 /*
     RNG 실행 스크립트
     ------------------------------------------------------------
-    - scripts/output/deployment-info.json에서 VRFProxy, VRFNft 주소 로드
+    - 배포 레지스트리(deployments/<chainId>.json)에서 VRFNft 주소 로드
     - .env의 PRIVATE_KEY와 PROVIDER_URL로 signer 구성
     - mint()를 1 KLAY를 첨부해 호출
     - 호출 전/후 지갑 잔액 출력
@@ -9,9 +9,11 @@
 */
 
 require("dotenv").config();
-const fs = require("fs");
 const path = require("path");
 const { ethers } = require("hardhat");
+const { createRegistry } = require("../../../common/deployRegistry");
+
+const registry = createRegistry(path.join(__dirname, ".."));
 
 // VRFNft ABI (이벤트, 필요한 함수만 최소화)
 const VRFNftAbi = [
@@ -22,20 +24,15 @@ const VRFNftAbi = [
 ];
 
 async function main() {
-    // output 고정
-    const outPath = path.resolve(__dirname, "./output/deployment-info.json");
-    if (!fs.existsSync(outPath)) throw new Error(`deployment-info.json not found: ${outPath}`);
-    const info = JSON.parse(fs.readFileSync(outPath, "utf8"));
-
-    const vrfNftAddress = info.vrfNft;
-    if (!vrfNftAddress) throw new Error("vrfNft address missing in deployment-info.json");
-
     const providerUrl = process.env.PROVIDER_URL;
     const privateKey = (process.env.PRIVATE_KEY || "").trim();
     if (!providerUrl) throw new Error("Missing env: PROVIDER_URL");
     if (!privateKey) throw new Error("Missing env: PRIVATE_KEY");
 
     const provider = new ethers.JsonRpcProvider(providerUrl);
+
+    // 배포 레지스트리에서 VRFNft 주소 로드 (provider 체인 기준)
+    const vrfNftAddress = registry.address(await registry.chainIdOf(provider), "VRFNft");
     const wallet = new ethers.Wallet(privateKey, provider);
 
     const nft = new ethers.Contract(vrfNftAddress, VRFNftAbi, wallet);
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview
+ *  badge-server 라우트 (BadgeSBT 등급/토큰별 메타데이터, SVG)
+ * @description
+ *  엔드포인트
+ *  - GET /                 : 상태 { ok, sbt, publicUrl, tiers }
+ *  - GET /tiers/:key.json  : 등급 메타데이터 (setTierURIs로 등록하는 URI 대상, image = <publicUrl>/tiers/<key>.svg)
+ *  - GET /tiers/:key.svg   : 등급 SVG
+ *  - GET /token/:id        : 토큰별 메타데이터 — currentTier / burnAuth / locked 를 체인에서 읽어 생성
+ *      • 존재하지 않는 토큰(ERC721NonexistentToken) 404, 형식 오류 400
+ *      • 등급은 구매에 따라 바뀌므로 Cache-Control: no-cache
+ *
+ *  - 메타데이터/SVG 생성은 scripts/_badgeMetadata.js (generateBadgeMetadata.js 와 동일 결과)
+ *
+ * @author hlibbc
+ */
+const express = require('express');
+const { ethers } = require('ethers');
+const Badge = require('../../scripts/_badgeMetadata');
+
+/** 토큰별 메타데이터에 필요한 BadgeSBT 조회 ABI */
+const SBT_ABI = [
+    'function currentTier(uint256 tokenId) view returns (uint8)',
+    'function burnAuth(uint256 tokenId) view returns (uint8)',
+    'function locked(uint256 tokenId) view returns (bool)',
+    'function name() view returns (string)',
+    'error ERC721NonexistentToken(uint256 tokenId)',
+];
+
+/**
+ * @notice badge-server 앱 생성
+ * @param {object} cfg
+ * @param {string} cfg.sbt BadgeSBT 주소
+ * @param {import('ethers').Provider} cfg.provider
+ * @param {string} cfg.publicUrl 외부에서 접근하는 서버 URL (image/tier URI 생성용)
+ * @param {string} [cfg.collection] 메타데이터 name 접두어 (기본: BadgeSBT.name())
+ * @param {string} [cfg.externalUrl] external_url
+ * @returns {import('express').Express}
+ */
+function createBadgeApp(cfg) {
+    const { provider, externalUrl } = cfg;
+    const publicUrl = String(cfg.publicUrl).replace(/\/+$/, '');
+    const sbt = new ethers.Contract(cfg.sbt, SBT_ABI, provider);
+    let collection = cfg.collection ?? null;
+
+    const app = express();
+    const imageOf = (key) => `${publicUrl}/tiers/${key}.svg`;
+    const findTier = (key) => Badge.TIERS.find((t) => t.key === key);
+
+    app.get('/', (_req, res) => res.json({
+        ok: true,
+        msg: 'badge-server alive',
+        sbt: cfg.sbt,
+        publicUrl,
+        tiers: Badge.tierUris(`${publicUrl}/tiers`),
+    }));
+
+    /**
+     * @route GET /tiers/:key.json | /tiers/:key.svg
+     */
+    app.get('/tiers/:file', (req, res) => {
+        const m = /^([a-z]+)\.(json|svg)$/.exec(req.params.file);
+        const t = m && findTier(m[1]);
+        if (!t) return res.status(404).json({ ok: false, error: 'unknown tier' });
+        if (m[2] === 'svg') return res.type('image/svg+xml').send(Badge.tierSvg(t.tier));
+        return res.json(Badge.tierMetadata(t.tier, { image: imageOf(t.key), externalUrl }));
+    });
+
+    /**
+     * @route GET /token/:id
+     */
+    app.get('/token/:id', async (req, res) => {
+        if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ ok: false, error: 'invalid token id' });
+        const tokenId = BigInt(req.params.id);
+        try {
+            collection ??= await sbt.name();
+            const [tier, burnAuth, locked] = await Promise.all([
+                sbt.currentTier(tokenId),
+                sbt.burnAuth(tokenId),
+                sbt.locked(tokenId),
+            ]);
+            const t = Badge.tierInfo(Number(tier));
+            res.set('Cache-Control', 'no-cache');
+            return res.json(Badge.tierMetadata(t.tier, {
+                tokenId,
+                burnAuth: Number(burnAuth),
+                locked,
+                collection,
+                image: imageOf(t.key),
+                externalUrl,
+            }));
+        } catch (e) {
+            const name = e?.revert?.name ?? (e?.data ? sbt.interface.parseError(e.data)?.name : undefined);
+            if (name === 'ERC721NonexistentToken') return res.status(404).json({ ok: false, error: 'token not found' });
+            return res.status(500).json({ ok: false, error: e?.shortMessage || e?.message || String(e) });
+        }
+    });
+
+    return app;
+}
+
+module.exports = {
+    createBadgeApp,
+};
@@ -0,0 +1,47 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  badge-server 진입점 (BadgeSBT 메타데이터 로컬 서버)
+ * @description
+ *  - BadgeSBT 주소: 배포 레지스트리(deployments/<chainId>.json, scripts/_deployments.js)
+ *  - 엔드포인트는 app.js 참고
+ *  - 로컬에서 지갑/마켓 표시 확인용:
+ *      1) node index.js
+ *      2) BADGE_METADATA_BASE_URI=http://127.0.0.1:3050/tiers npx hardhat run scripts/setTierURIs.js --network development
+ *      3) BadgeSBT.tokenURI(id) → http://127.0.0.1:3050/tiers/<key>.json
+ *
+ * @env
+ *  - PROVIDER_URL          : JSON-RPC 엔드포인트 (기본: http://127.0.0.1:8545)
+ *  - BADGE_SERVER_PORT     : 포트 (기본: 3050)
+ *  - BADGE_PUBLIC_URL      : 외부 접근 URL (기본: http://127.0.0.1:<port>)
+ *  - BADGE_EXTERNAL_URL    : 메타데이터 external_url (선택)
+ *  - BADGE_COLLECTION_NAME : 메타데이터 name 접두어 (기본: BadgeSBT.name())
+ *
+ * @author hlibbc
+ */
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+
+const { ethers } = require('ethers');
+const { createBadgeApp } = require('./app');
+const { loadDeployment } = require('../../scripts/_deployments');
+
+async function start() {
+    const provider = new ethers.JsonRpcProvider(process.env.PROVIDER_URL || 'http://127.0.0.1:8545');
+    const dep = await loadDeployment(provider);
+    if (!ethers.isAddress(dep.sbt)) throw new Error(`❌ 배포 레지스트리에 BadgeSBT 주소가 없습니다 (chainId=${dep.chainId}).`);
+
+    const port = Number(process.env.BADGE_SERVER_PORT || 3050);
+    const app = createBadgeApp({
+        provider,
+        sbt: dep.sbt,
+        publicUrl: process.env.BADGE_PUBLIC_URL || `http://127.0.0.1:${port}`,
+        collection: process.env.BADGE_COLLECTION_NAME || undefined,
+        externalUrl: process.env.BADGE_EXTERNAL_URL || undefined,
+    });
+    app.listen(port, () => console.log(`🏅 badge-server on :${port} (BadgeSBT ${dep.sbt})`));
+}
+
+start().catch((e) => {
+    console.error(e?.message || e);
+    process.exit(1);
+});
@@ -4,8 +4,8 @@
  *  간단 파우셋 스크립트
  * @description
  *  - ./faucet.json을 읽어 { to, amount } 추출
- *  - ./deployment-info.json에서 stableCoin 주소 추출
- *  - .env 의 OWNER_KEY로 to 에게 amount(whole) × 10^decimals 만큼 전송
+ *  - 배포 레지스트리(deployments/<chainId>.json)에서 stableCoin 주소 추출
+ *  - .env 의 OWNER 서명자(OWNER_KEY 또는 OWNER_KEYSTORE)로 to 에게 amount(whole) × 10^decimals 만큼 전송
  *  - 전송 전/후 OWNER와 to의 잔액을 ethers.formatUnits(decimals)로 출력
  */
 
@@ -14,6 +14,8 @@ require('dotenv').config({ path: require('path').resolve(__dirname, './.env') })
 const fs = require('fs');
 const path = require('path');
 const { ethers } = require('ethers');
+const { loadDeployment } = require('../scripts/_deployments');
+const { loadSigner } = require('../scripts/_signer');
 
 /**
  * @notice JSON 로더 (상대경로 기준)
@@ -33,23 +35,23 @@ async function main() {
     console.log('🚰 Faucet 시작');
 
     // ---- env ----
-    const { PROVIDER_URL, OWNER_KEY } = process.env;
-    if (!OWNER_KEY) throw new Error('❌ .env의 OWNER_KEY가 필요합니다.');
+    const { PROVIDER_URL } = process.env;
 
     // ---- provider & signer ----
     const provider = new ethers.JsonRpcProvider(PROVIDER_URL || 'http://127.0.0.1:8545');
-    const owner = new ethers.Wallet(OWNER_KEY, provider);
+    const owner = await loadSigner('owner', { provider, offline: false });
+    if (!owner) throw new Error('❌ .env의 OWNER_KEY(또는 OWNER_KEYSTORE)가 필요합니다.');
 
     // ---- inputs ----
     const faucet = loadJSON('./faucet.json'); // { to, amount }
-    const dep = loadJSON('./deployment-info.json');
+    const dep = await loadDeployment(provider);
 
     const to = faucet?.to;
     const amountWhole = BigInt(faucet?.amount ?? 0);
-    const stableAddr = dep?.contracts?.stableCoin;
+    const stableAddr = dep.stableCoin;
 
     if (!ethers.isAddress(to)) throw new Error('❌ faucet.json 의 to 주소가 유효하지 않습니다.');
-    if (!ethers.isAddress(stableAddr)) throw new Error('❌ deployment-info.json 의 stableCoin 주소가 유효하지 않습니다.');
+    if (!ethers.isAddress(stableAddr)) throw new Error(`❌ 배포 레지스트리의 StableCoin 주소가 유효하지 않습니다 (chainId=${dep.chainId}).`);
     if (amountWhole <= 0n) throw new Error('❌ faucet.json 의 amount 값이 유효하지 않습니다 (> 0 이어야 함).');
 
     // ---- load StableCoin ----
@@ -1,31 +1,56 @@
 /* eslint-disable no-console */
 /**
  * @fileoverview
- *  ForwardRequest 생성기 (buyBox 전용)
+ *  ForwardRequest 생성기 (buyBox / 클레임 / sendBox)
  * @description
  *  개요
- *  - 목적: TokenVesting.buyBox를 ERC-2771 Forwarder 경유로 실행하기 위한 클라이언트 스크립트
- *         ForwardRequest 페이로드를 생성, fd-server에 전달
- *  - 서명자: 구매자(PRIVATE_KEY) — forwarder 요청과 permit 모두 구매자가 서명
- *  - 주소/네트워크: benchmarks/deployment-info.json 사용
+ *  - 목적: TokenVesting의 사용자 함수를 ERC-2771 Forwarder 경유로 실행하기 위한 클라이언트 스크립트
+ *         ForwardRequest 페이로드를 생성, fd-server에 전달 (가스는 릴레이어가 지불 → 사용자는 ETH 불필요)
+ *  - 명령 (첫 번째 명령행 인수, 생략 시 buy):
+ *      • buy                                        : buyBox (benchmarks/fd-client/buyBox.json, permit 결제)
+ *      • claim <purchase|referral|buyback>          : claimPurchaseReward / claimReferralReward / claimBuyback
+ *      • send --from <addr> --to <addr> --boxes <n> : sendBox (onlyOwner → owner가 서명)
+ *  - 서명자: buy / claim = 사용자(PRIVATE_KEY 또는 USER_KEYSTORE), send = owner(OWNER_KEY 또는 OWNER_KEYSTORE)
+ *  - 주소/네트워크: 배포 레지스트리(deployments/<chainId>.json, scripts/_deployments.js) 사용
+ *  - 대상 selector는 forwarder에 허용되어 있어야 함 (scripts/setForwarderAllowed.js, 미허용 시 서버가 403)
  *
  *  입출력
- *  - 입력(.env): PRIVATE_KEY, PROVIDER_URL, (선택)FD_SERVER_URL
- *  - 입력(JSON): benchmarks/deployment-info.json, benchmarks/fd-client/buyBox.json
- *  - 출력(stdout): request/options/meta JSON, curl 예시, 서버 응답(JSON)
+ *  - 입력(.env): PRIVATE_KEY(또는 USER_KEYSTORE) / OWNER_KEY(send), PROVIDER_URL, (선택)FD_SERVER_URL,
+ *               (선택)FD_GAS_CALL / FD_GAS_EXECUTE / FD_DEADLINE_SEC (claim / send 기본값 덮어쓰기)
+ *  - 입력(JSON): benchmarks/fd-client/buyBox.json (buy)
+ *  - 출력(stdout): 요청 전/후 잔액, 서버 응답(JSON), job 최종 상태
+ *  - (선택)FD_STATUS_TIMEOUT_MS: job 대기 시간 (기본 120000)
  *
  *  처리 흐름(요약)
  *  1) 배포정보/파라미터 로드 → 컨트랙트/IFace 준비
- *  2) estimatedTotalAmount 조회 → EIP-2612 permit 서명
- *  3) buyBox calldata 생성
- *  4) ForwardRequest(EIP-712) 서명 (from=buyer)
- *  5) BigInt → string 변환 후 서버로 POST → 응답 출력
+ *  2) 명령별 calldata 생성 (buy는 estimatedTotalAmount 조회 → EIP-2612 permit 서명 포함)
+ *  3) ForwardRequest(EIP-712) 서명 + 로컬 검증 (benchmarks/fd-sdk)
+ *  4) fd-sdk 클라이언트로 POST /execute → 응답 출력 (실패 시 stage/code/revert 출력, exit 1)
+ *  5) 응답의 job id로 GET /status/:id 폴링 → 최종 결과 출력
+ *
+ *  실행:
+ *    node benchmarks/fd-client/fd-client.js
+ *    node benchmarks/fd-client/fd-client.js claim purchase
+ *    node benchmarks/fd-client/fd-client.js send --from 0xabc... --to 0xdef... --boxes 2
  */
 require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
 
 const fs = require('fs');
 const path = require('path');
 const { ethers } = require('ethers');
+const { createRevertDecoder, loadDefaultAbis } = require('../../scripts/_revert');
+const { loadDeployment } = require('../../scripts/_deployments');
+const { signPermit } = require('../../scripts/_permit');
+const { loadSigner } = require('../../scripts/_signer');
+const { encodeForwardCall } = require('../../scripts/_forwardRequest');
+const { buildForwardRequest, signAndVerify, createFdClient, FdError, FdNetworkError } = require('../fd-sdk');
+
+/** claim 대상 풀 → TokenVesting 함수 */
+const CLAIM_FUNCTIONS = {
+    purchase: 'claimPurchaseReward',
+    referral: 'claimReferralReward',
+    buyback: 'claimBuyback',
+};
 
 /**
  * @notice 파일 로더
@@ -67,50 +92,185 @@ function ensure8CharRef(s) {
     return s.toUpperCase();
 }
 
+/**
+ * @notice 명령행 파싱: <command> [args...] [--key value]
+ * @param {string[]} argv process.argv.slice(2)
+ * @returns {{ command: string, args: string[], flags: Record<string,string> }}
+ */
+function parseCommand(argv) {
+    const [command = 'buy', ...rest] = argv;
+    const args = [];
+    const flags = {};
+    for (let i = 0; i < rest.length; i++) {
+        if (!rest[i].startsWith('--')) { args.push(rest[i]); continue; }
+        const key = rest[i].slice(2);
+        const value = rest[i + 1];
+        if (value === undefined || value.startsWith('--')) throw new Error(`❌ --${key} 값이 필요합니다.`);
+        flags[key] = value;
+        i++;
+    }
+    return { command, args, flags };
+}
+
+/**
+ * @notice 주소 플래그 검증
+ */
+function requireAddress(flags, key) {
+    const v = flags[key];
+    if (!v || !ethers.isAddress(v)) throw new Error(`❌ --${key} 에 올바른 주소를 지정하세요: ${v ?? '(없음)'}`);
+    return ethers.getAddress(v);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 명령별 요청 구성
+//  - prepare(ctx, args, flags) → { role, fn, args(signer), gasCall, gasExecute, deadlineIn, snapshot(label, addr) }
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** claim / send 공통 가스·유효기간 (env로 덮어쓰기) */
+function defaultGas() {
+    return {
+        gasCall: BigInt(process.env.FD_GAS_CALL || 1_500_000),
+        gasExecute: BigInt(process.env.FD_GAS_EXECUTE || 3_000_000),
+        deadlineIn: Number(process.env.FD_DEADLINE_SEC || 3600),
+    };
+}
+
+/**
+ * @notice buy: buyBox.json 기반 buyBox (permit 결제)
+ */
+function prepareBuy({ vestingRO, stableCoin, stableCoinAddr, tokenVestingAddr }) {
+    const dcfg = loadJSON('./buyBox.json'); // { amount, ref, deadline, gas_call, gas_execute }
+    const amount     = BigInt(dcfg?.amount ?? 0);
+    const refCodeStr = ensure8CharRef(dcfg?.ref ?? '');
+    if (!amount || amount <= 0n) throw new Error('❌ buyBox.json 의 amount가 유효하지 않습니다.');
+
+    return {
+        role: 'user',
+        fn: 'buyBox',
+        gasCall: BigInt(dcfg?.gas_call ?? 1_500_000),
+        gasExecute: BigInt(dcfg?.gas_execute ?? 3_000_000),
+        deadlineIn: Number(dcfg?.deadline ?? 3600), // seconds
+        /** 금액 산정 및 permit(EIP-2612) 서명 → buyBox 인자 */
+        async args(signer) {
+            const estimated = await vestingRO.estimatedTotalAmount(amount, refCodeStr);
+            if (estimated === 0n) throw new Error('❌ 유효하지 않은 레퍼럴 코드입니다. (estimatedTotalAmount=0)');
+            // 도메인 탐색(EIP-5267 / version()) + DOMAIN_SEPARATOR 대조 후 서명 → PermitData
+            const permitData = await signPermit(signer, {
+                token: stableCoinAddr,
+                spender: tokenVestingAddr,
+                value: estimated,
+            });
+            return [amount, refCodeStr, permitData];
+        },
+        async snapshot(label, user) {
+            const decimals = await stableCoin.decimals();
+            const fmt = (v) => `${ethers.formatUnits(v, decimals)} token`;
+            const referrerAddr = await vestingRO.getRefererByCode(refCodeStr);
+            console.log(`\n💵 StableCoin 잔액 (${label})`);
+            console.log(`  • user(${user}): ${fmt(await stableCoin.balanceOf(user))}`);
+            console.log(`\n🏦 TokenVesting StableCoin (${label})`);
+            console.log(`  • vesting(${tokenVestingAddr}): ${fmt(await stableCoin.balanceOf(tokenVestingAddr))}`);
+            console.log(`\n🎁 buybackStableCoinAmount (${label})`);
+            console.log(`  • user(${user}): ${fmt(await vestingRO.buybackStableCoinAmount(user))}`);
+            console.log(`  • ref(${referrerAddr}, code=${refCodeStr}): ${fmt(await vestingRO.buybackStableCoinAmount(referrerAddr))}`);
+        },
+    };
+}
+
+/**
+ * @notice claim <purchase|referral|buyback>
+ *  - 클레임할 금액이 없으면 서명/전송 전에 중단 (컨트랙트 require("nothing…")로 릴레이어 가스만 소모되는 것 방지)
+ */
+function prepareClaim({ vestingRO, stableCoin, erc20Abi, provider }, [pool]) {
+    const fn = CLAIM_FUNCTIONS[pool];
+    if (!fn) throw new Error(`❌ claim 대상 풀을 지정하세요 (${Object.keys(CLAIM_FUNCTIONS).join('|')}): ${pool ?? '(없음)'}`);
+
+    const balanceToken = async () => (pool === 'buyback'
+        ? stableCoin
+        : new ethers.Contract(await vestingRO.vestingToken(), erc20Abi, provider));
+
+    return {
+        role: 'user',
+        fn,
+        ...defaultGas(),
+        async args(signer) {
+            const user = await signer.getAddress();
+            const pending = pool === 'purchase' ? await vestingRO.previewBuyerClaimable(user)
+                : pool === 'referral' ? await vestingRO.previewReferrerClaimable(user)
+                    : await vestingRO.buybackStableCoinAmount(user);
+            if (pending === 0n) throw new Error(`❌ 클레임 가능한 ${pool} 금액이 없습니다 (user=${user}).`);
+            console.log(`\n🧮 클레임 예정액(${pool}): ${pending}`);
+            return [];
+        },
+        async snapshot(label, user) {
+            const token = await balanceToken();
+            const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+            console.log(`\n💰 ${symbol} 잔액 (${label})`);
+            console.log(`  • user(${user}): ${ethers.formatUnits(await token.balanceOf(user), decimals)} ${symbol}`);
+        },
+    };
+}
+
+/**
+ * @notice send --from --to --boxes (owner 서명)
+ */
+function prepareSend({ vestingRO }, args, flags) {
+    const from = requireAddress(flags, 'from');
+    const to = requireAddress(flags, 'to');
+    if (from === to) throw new Error('❌ --from과 --to가 같습니다.');
+    if (!/^\d+$/.test(flags.boxes ?? '') || BigInt(flags.boxes) === 0n) {
+        throw new Error(`❌ --boxes는 1 이상의 정수여야 합니다: ${flags.boxes ?? '(없음)'}`);
+    }
+    const boxes = BigInt(flags.boxes);
+
+    return {
+        role: 'owner',
+        fn: 'sendBox',
+        ...defaultGas(),
+        async args() { return [from, to, boxes]; },
+        async snapshot(label) {
+            console.log(`\n📦 박스 보유량 (${label})`);
+            console.log(`  • from(${from}): ${await vestingRO.boxesOf(from)}`);
+            console.log(`  • to(${to}): ${await vestingRO.boxesOf(to)}`);
+        },
+    };
+}
+
+const COMMANDS = { buy: prepareBuy, claim: prepareClaim, send: prepareSend };
+
 /**
  * @notice 메인 엔트리
  * @dev
  *  - 배포정보/파라미터 로드 → 컨트랙트/인터페이스 준비
- *  - permit 및 ForwardRequest 서명
+ *  - 명령별 calldata 및 ForwardRequest 서명
  *  - 서버에 전송하고 HTTP 응답을 포맷팅 출력
  */
 async function main() {
     // ---------------------------------------------------------------------
-    // 1) 환경/서명자/배포정보 로드
+    // 0) 명령 파싱 (체인 연결 전에 형식 오류를 먼저 알림)
+    // ---------------------------------------------------------------------
+    const { command, args, flags } = parseCommand(process.argv.slice(2));
+    if (!COMMANDS[command]) throw new Error(`❌ 알 수 없는 명령: ${command} (${Object.keys(COMMANDS).join('|')})`);
+
+    // ---------------------------------------------------------------------
+    // 1) 환경/배포정보/컨트랙트 준비
     // ---------------------------------------------------------------------
     // ---- env ----
-    const { PRIVATE_KEY, PROVIDER_URL, FD_SERVER_URL } = process.env;
-    if (!PRIVATE_KEY) throw new Error('❌ .env의 PRIVATE_KEY(구매자 서명자)가 필요합니다.');
+    const { PROVIDER_URL, FD_SERVER_URL } = process.env;
 
-    // ---- provider & signer ----
+    // ---- provider & deployments ----
     const provider = new ethers.JsonRpcProvider(PROVIDER_URL || 'http://127.0.0.1:8545');
-    const signer   = new ethers.Wallet(PRIVATE_KEY, provider);
+    const dep  = await loadDeployment(provider);
 
-    // ---- load config & deployments ----
-    const dep  = loadJSON('../deployment-info.json');
-    const dcfg = loadJSON('./buyBox.json'); // { amount, ref, deadline, gas_call, gas_execute }
-
-    const forwarderAddr    = dep?.forwarder;
-    const tokenVestingAddr = dep?.contracts?.tokenVesting;
-    const stableCoinAddr   = dep?.contracts?.stableCoin;
+    const forwarderAddr    = dep.forwarder;
+    const tokenVestingAddr = dep.vesting;
+    const stableCoinAddr   = dep.stableCoin;
 
     if (!ethers.isAddress(forwarderAddr) || !ethers.isAddress(tokenVestingAddr) || !ethers.isAddress(stableCoinAddr)) {
-        throw new Error('❌ deployment-info.json에서 forwarder/tokenVesting/stableCoin 주소를 읽지 못했습니다.');
+        throw new Error(`❌ 배포 레지스트리에서 forwarder/tokenVesting/stableCoin 주소를 읽지 못했습니다 (chainId=${dep.chainId}).`);
     }
 
-    const amount     = BigInt(dcfg?.amount ?? 0);
-    const refCodeStr = ensure8CharRef(dcfg?.ref ?? '');
-    if (!amount || amount <= 0n) throw new Error('❌ delegateBuyBox.json 의 amount가 유효하지 않습니다.');
-
-    const gasCall    = BigInt(dcfg?.gas_call    ?? 1_500_000);
-    const gasExecute = BigInt(dcfg?.gas_execute ?? 3_000_000);
-    const deadlineIn = Number(dcfg?.deadline    ?? 3600); // seconds
-
-    // ---------------------------------------------------------------------
-    // 2) ABI/컨트랙트 준비
-    // ---------------------------------------------------------------------
     // ---- load ABIs ----
-    const fwdAbi   = loadAbi('../../artifacts/contracts/Forwarder.sol/WhitelistForwarder.json');
     const vestAbi  = loadAbi('../../artifacts/contracts/TokenVesting.sol/TokenVesting.json');
     const erc20Abi = loadAbi('../../artifacts/contracts/StableCoin.sol/StableCoin.json');
 
@@ -122,257 +282,77 @@ async function main() {
 
     const { chainId } = await provider.getNetwork();
 
-    // ---------------------------------------------------------------------
-    // 3) 금액 산정 및 permit(EIP-2612) 서명
-    // ---------------------------------------------------------------------
-    const tokenName =
-    (await (typeof stableCoin?.name === 'function'
-        ? stableCoin.name().catch(() => undefined)
-        : Promise.resolve(undefined))) ?? 'Token';
-    const version =
-    (await (typeof stableCoin?.version === 'function'
-        ? stableCoin.version().catch(() => undefined)
-        : Promise.resolve(undefined))) ?? '1';
-    const estimated = await vestingRO.estimatedTotalAmount(amount, refCodeStr);
-    if (estimated === 0n) throw new Error('❌ 유효하지 않은 레퍼럴 코드입니다. (estimatedTotalAmount=0)');
-
-    const nonceERC20    = await stableCoin.nonces(signer.address);
-    const permitDeadline = BigInt(Math.floor(Date.now() / 1000) + 60 * 30); // +30m
-    const permitDomain = {
-        name: tokenName,
-        version: version,
-        chainId: Number(chainId),
-        verifyingContract: stableCoinAddr,
-    };
-    const permitTypes = {
-        Permit: [
-            { name: 'owner',    type: 'address' },
-            { name: 'spender',  type: 'address' },
-            { name: 'value',    type: 'uint256' },
-            { name: 'nonce',    type: 'uint256' },
-            { name: 'deadline', type: 'uint256' },
-        ],
-    };
-    const permitMsg = {
-        owner:    signer.address,
-        spender:  tokenVestingAddr,
-        value:    estimated,
-        nonce:    nonceERC20,
-        deadline: permitDeadline,
-    };
-    const permitSig = await signer.signTypedData(permitDomain, permitTypes, permitMsg);
-    const { v, r, s } = ethers.Signature.from(permitSig);
-    const permitData = { value: estimated, deadline: permitDeadline, v, r, s };
+    const plan = COMMANDS[command](
+        { provider, vestingRO, stableCoin, erc20Abi, stableCoinAddr, tokenVestingAddr },
+        args,
+        flags
+    );
+
+    // ---- signer (서명 필요 → offline 불가) ----
+    const signer = await loadSigner(plan.role, { provider, offline: false });
+    if (!signer) {
+        throw new Error(plan.role === 'owner'
+            ? '❌ .env의 OWNER_KEY 또는 OWNER_KEYSTORE(owner 서명자)가 필요합니다. (sendBox는 onlyOwner)'
+            : '❌ .env의 PRIVATE_KEY 또는 USER_KEYSTORE(사용자 서명자)가 필요합니다.');
+    }
+    const signerAddr = await signer.getAddress();
 
     // ---------------------------------------------------------------------
-    // 4) buyBox calldata 생성
+    // 2) calldata 생성 → 3) ForwardRequest(EIP-712) 서명 + 로컬 검증 (fd-sdk: nonces / domainSeparator 조회)
     // ---------------------------------------------------------------------
-    const callData = vestingIface.encodeFunctionData('buyBox', [amount, refCodeStr, permitData]);
+    const callData = encodeForwardCall(vestingIface, plan.fn, await plan.args(signer));
+    const typedData = await buildForwardRequest({
+        provider,
+        forwarder: forwarderAddr,
+        from: signerAddr,
+        to: tokenVestingAddr,
+        data: callData,
+        gas: plan.gasCall,
+        deadline: Math.floor(Date.now() / 1000) + plan.deadlineIn, // uint48
+    });
+    const request = await signAndVerify(signer, typedData);
+    console.log(`🚀 ${plan.fn} 위임대납 요청 (chainId=${chainId}, from=${signerAddr}, nonce=${request.nonce})`);
 
     // ---------------------------------------------------------------------
-    // 5) ForwardRequest(EIP-712) 서명 (from=buyer)
-    //  - forwarder의 nonce는 컨트랙트에서 조회
+    // 4) 서버 전송 + job 대기 (전/후 잔액 출력)
+    //    fd-sdk 클라이언트: BigInt 직렬화 / 일시 장애 재시도 / 실패 stage별 FdError
     // ---------------------------------------------------------------------
-    const forwarder = new ethers.Contract(forwarderAddr, fwdAbi, provider);
-    let fwdNonce;
-    try { fwdNonce = await forwarder.getNonce(signer.address); }
-    catch { fwdNonce = await forwarder.nonces(signer.address); }
-    fwdNonce = BigInt(fwdNonce.toString());
-
-    const fwdDeadline = Math.floor(Date.now() / 1000) + deadlineIn; // uint48
-    const domain = {
-        name: 'WhitelistForwarder',
-        version: '1',
-        chainId: Number(chainId),
-        verifyingContract: forwarderAddr,
-    };
-    const types = {
-        ForwardRequest: [
-            { name: 'from',     type: 'address' },
-            { name: 'to',       type: 'address' },
-            { name: 'value',    type: 'uint256' },
-            { name: 'gas',      type: 'uint256' },
-            { name: 'nonce',    type: 'uint256' },
-            { name: 'deadline', type: 'uint48'  },
-            { name: 'data',     type: 'bytes'   },
-        ],
-    };
-    const request = {
-        from:     signer.address,
-        to:       tokenVestingAddr,
-        value:    0n,
-        gas:      gasCall,
-        nonce:    fwdNonce,
-        deadline: fwdDeadline,
-        data:     callData,
-    };
-    const signature = await signer.signTypedData(domain, types, request);
-
-    // JSON 직렬화를 위해 BigInt → string 변환 (서버에서 BigInt로 복원)
-    const requestForSend = {
-        ...request,
-        value: request.value.toString(),
-        gas: request.gas.toString(),
-        nonce: request.nonce.toString(),
-    };
+    const fd = createFdClient({ url: FD_SERVER_URL || 'http://127.0.0.1:3030' });
+    const ethOf = async (addr) => ethers.formatEther(await provider.getBalance(addr, 'latest'));
+    console.log('\n⛽ ETH 잔액 (요청 전)');
+    console.log(`  • ${plan.role}(${signerAddr}): ${await ethOf(signerAddr)} ETH`);
+    await plan.snapshot('요청 전', signerAddr);
 
-    // 새로운 ForwardRequest 포맷: 서명 포함 단일 구조체로 묶어서 전송
-    const forwardRequest = { ...requestForSend, signature };
-    const payload = {
-        forwardRequest,
-        options: { value: request.value.toString(), gasLimit: gasExecute.toString() },
-        meta: {
-            chainId: Number(chainId),
-            forwarder: forwarderAddr,
-            endpoint: FD_SERVER_URL || 'http://127.0.0.1:3030/execute',
-        },
-    };
+    try {
+        const accepted = await fd.execute(request, { gasLimit: plan.gasExecute });
+        console.log(`\n[fd-server] ${fd.url}/execute → ${JSON.stringify(accepted)}`);
 
-    // ---------------------------------------------------------------------
-    // 6) 출력(디버깅용) + 서버 전송
-    // ---------------------------------------------------------------------
-    const jsonText = JSON.stringify(payload);
-    const endpoint = payload.meta.endpoint;
-    const curl = `echo '${jsonText.replace(/'/g, "'\\''")}' | curl -sS -H 'Content-Type: application/json' -d @- ${endpoint}`;
-
-    // console.log(jsonText);
-    // console.error('\n[copy&run] curl 명령:');
-    // console.error(curl);
-
-    // ---- 서버에 즉시 전송 (가능 시) ----
-    /**
-     * 서버에 JSON POST (fetch 또는 http/https 폴백)
-     * @param {string} url 엔드포인트 URL
-     * @param {any} body 전송할 객체(자동 JSON.stringify)
-     * @returns {{status:number,statusText?:string,headers:Record<string,string>,text:string,body?:any}}
-     */
-    async function postJson(url, body) {
-        if (typeof fetch === 'function') {
-            const r = await fetch(url, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(body),
-            });
-            const text = await r.text();
-            const headers = {};
-            try { r.headers.forEach((v, k) => { headers[k] = v; }); } catch {}
-            let parsed = null;
-            try { parsed = JSON.parse(text); } catch {}
-            return {
-                status: r.status,
-                statusText: r.statusText,
-                headers,
-                text,
-                body: parsed,
-            };
+        // 서버는 job id만 즉시 반환(202) → 완료될 때까지 GET /status/:id 폴링
+        const job = await fd.waitForJob(accepted.id, { timeoutMs: Number(process.env.FD_STATUS_TIMEOUT_MS || 120_000) });
+        console.log('\n[fd-server] Job Result');
+        console.log(JSON.stringify(job));
+    } catch (err) {
+        if (!(err instanceof FdError)) throw err;
+        console.error(`\n⚠️ fd-server 실패 [${err.stage}${err.code ? `/${err.code}` : ''}${err.status ? ` ${err.status}` : ''}]: ${err.message}`);
+        if (err.revert) {
+            const r = err.revert;
+            console.error(`   • revert: ${r.kind} ${r.contract ? `${r.contract}.` : ''}${r.name}`);
         }
-        // Node <18 fallback
-        const { URL } = require('url');
-        const u = new URL(url);
-        const data = JSON.stringify(body);
-        const lib = u.protocol === 'https:' ? require('https') : require('http');
-        return await new Promise((resolve, reject) => {
-            const req = lib.request({
-                hostname: u.hostname,
-                port: u.port || (u.protocol === 'https:' ? 443 : 80),
-                path: u.pathname + (u.search || ''),
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Content-Length': Buffer.byteLength(data),
-                },
-            }, (res) => {
-                let chunks = '';
-                res.setEncoding('utf8');
-                res.on('data', (d) => (chunks += d));
-                res.on('end', () => {
-                    let parsed = null;
-                    try { parsed = JSON.parse(chunks); } catch {}
-                    resolve({
-                        status: res.statusCode,
-                        statusText: res.statusMessage,
-                        headers: res.headers || {},
-                        text: chunks,
-                        body: parsed,
-                    });
-                });
-            });
-            req.on('error', reject);
-            req.write(data);
-            req.end();
-        });
+        if (err instanceof FdNetworkError) console.error('   서버가 실행 중인지 확인하세요. (node benchmarks/fd-server/index.js)');
+        process.exitCode = 1;
     }
 
-    try {
-        // 요청 전 사용자 ETH 잔액 출력
-        const ethOf = async (addr) => ethers.formatEther(await provider.getBalance(addr));
-        const userEthBefore = await ethOf(signer.address);
-        console.log('\n⛽ ETH 잔액 (요청 전)');
-        console.log(`  • user(${signer.address}): ${userEthBefore} ETH`);
-
-        // 요청 전 사용자의 stableCoin 잔액도 출력
-        const stableCoinDecimals = await stableCoin.decimals();
-        const userTokenBefore = await stableCoin.balanceOf(signer.address);
-        console.log('\n💵 StableCoin 잔액 (요청 전)');
-        console.log(`  • user(${signer.address}): ${ethers.formatUnits(userTokenBefore, stableCoinDecimals)} token`);
-
-        // 요청 전 TokenVesting의 StableCoin 잔액 및 buybackStableCoinAmount(user) 출력
-        const TVBefore = await stableCoin.balanceOf(tokenVestingAddr);
-        const buybackBefore = await vestingRO.buybackStableCoinAmount(signer.address);
-        console.log('\n🏦 TokenVesting StableCoin (요청 전)');
-        console.log(`  • vesting(${tokenVestingAddr}): ${ethers.formatUnits(TVBefore, stableCoinDecimals)} token`);
-        console.log('\n🎁 buybackStableCoinAmount (요청 전)');
-        console.log(`  • user(${signer.address}): ${ethers.formatUnits(buybackBefore, stableCoinDecimals)} token`);
-
-        // 요청 전 refCode로 조회된 추천인 주소의 buybackStableCoinAmount 출력
-        const referrerAddr = await vestingRO.getRefererByCode(refCodeStr);
-        const refBuybackBefore = await vestingRO.buybackStableCoinAmount(referrerAddr);
-        console.log('\n👥 Referrer (by code)');
-        console.log(`  • code: ${refCodeStr}`);
-        console.log(`  • addr: ${referrerAddr}`);
-        console.log('\n🎁 buybackStableCoinAmount (Referrer, 요청 전)');
-        console.log(`  • ref(${referrerAddr}): ${ethers.formatUnits(refBuybackBefore, stableCoinDecimals)} token`);
-
-        const resp = await postJson(endpoint, payload);
-        console.log('\n[fd-server] HTTP Response');
-        const statusLine = `${resp.status}${resp.statusText ? ' ' + resp.statusText : ''}`;
-        console.log(`Status: ${statusLine}`);
-        console.log('Headers:');
-        Object.entries(resp.headers || {}).forEach(([k, v]) => console.log(`  ${k}: ${v}`));
-        console.log('Body:');
-        if (resp.body) console.log(JSON.stringify(resp.body)); else console.log(resp.text || '');
-
-        // 요청 후 사용자 ETH 잔액 출력 (latest 블록 기준 보장)
-        const userEthAfter = ethers.formatEther(await provider.getBalance(signer.address, 'latest'));
-        console.log('\n⛽ ETH 잔액 (요청 후)');
-        console.log(`  • user(${signer.address}): ${userEthAfter} ETH`);
-
-        // 요청 후 사용자의 stableCoin 잔액도 출력
-        const userTokenAfter = await stableCoin.balanceOf(signer.address);
-        console.log('\n💵 StableCoin 잔액 (요청 후)');
-        console.log(`  • user(${signer.address}): ${ethers.formatUnits(userTokenAfter, stableCoinDecimals)} token`);
-
-        // 요청 후 TokenVesting의 StableCoin 잔액 및 buybackStableCoinAmount(user) 출력
-        const vestingTokenAfter = await stableCoin.balanceOf(tokenVestingAddr);
-        const buybackAfter = await vestingRO.buybackStableCoinAmount(signer.address);
-        console.log('\n🏦 TokenVesting StableCoin (요청 후)');
-        console.log(`  • vesting(${tokenVestingAddr}): ${ethers.formatUnits(vestingTokenAfter, stableCoinDecimals)} token`);
-        console.log('\n🎁 buybackStableCoinAmount (요청 후)');
-        console.log(`  • user(${signer.address}): ${ethers.formatUnits(buybackAfter, stableCoinDecimals)} token`);
-
-        // 요청 후 refCode로 조회된 추천인 주소의 buybackStableCoinAmount 출력
-        const refBuybackAfter = await vestingRO.buybackStableCoinAmount(referrerAddr);
-        console.log('\n🎁 buybackStableCoinAmount (Referrer, 요청 후)');
-        console.log(`  • ref(${referrerAddr}): ${ethers.formatUnits(refBuybackAfter, stableCoinDecimals)} token`);
-    } catch (err) {
-        console.error('\n⚠️ 서버 전송 실패:', err?.message || String(err));
-        console.error('   서버가 실행 중인지 확인하세요. (node benchmarks/fd-server/index.js)');
-    }
+    // 요청 후 (latest 블록 기준) — 사용자 ETH는 변하지 않아야 함
+    console.log('\n⛽ ETH 잔액 (요청 후)');
+    console.log(`  • ${plan.role}(${signerAddr}): ${await ethOf(signerAddr)} ETH`);
+    await plan.snapshot('요청 후', signerAddr);
 }
 
 main().catch((e) => {
-    console.error('❌ fd-client 실패:', e?.shortMessage || e?.message || e);
+    // 온체인 조회(estimatedTotalAmount 등) revert도 scripts와 같은 형식으로 출력
+    const r = createRevertDecoder(loadDefaultAbis()).decode(e);
+    console.error('❌ fd-client 실패:', r.message);
+    if (r.kind !== 'unknown') console.error(`   • revert: ${r.kind} ${r.signature || r.name}${r.contract ? ` @ ${r.contract}` : ''}`);
+    if (r.data) console.error(`   • raw   : ${r.data}`);
     process.exit(1);
 });
-
-
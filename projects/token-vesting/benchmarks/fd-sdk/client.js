@@ -0,0 +1,191 @@
+/**
+ * @fileoverview
+ *  fd-sdk HTTP 클라이언트 (fd-server 엔드포인트 + 재시도/백오프)
+ * @description
+ *  - execute / executeBatch / status / waitForJob / quote / quota / health
+ *  - relay : build → 서명 → 로컬 검증 → POST /execute → (선택) 확정 대기 를 한 번에
+ *  - 실패 응답은 stage/code 기준 FdError 하위 클래스로 throw (errors.js)
+ *
+ *  재시도 (retries 회, 지수 백오프: backoffMs × 2^attempt, 최대 maxBackoffMs)
+ *  - GET (health / status / quote / quota): 연결 실패 / JSON 아닌 응답 / 502·503·504
+ *  - POST /execute, /executeBatch: 연결 거부(ECONNREFUSED — 요청이 서버에 도달하지 않음)만
+ *      • 게이트웨이 오류 / 응답 유실 / stage=queue 는 서버가 이미 큐에 등록했을 수 있어 자동 재전송하지 않는다
+ *        forwarder nonce는 첫 tx가 채굴될 때 소비되므로, 그 전에 다시 보낸 같은 요청은 preflight를 통과해
+ *        두 번째 tx로 전송되고 체인에서 revert된다 (릴레이어 ETH와 from의 일일 가스 예산만 소모)
+ *      • 이 경우 에러(e.retryable = 일시 장애)를 그대로 던지며, 재전송은 호출자가 forwarder.nonces(from)로
+ *        첫 요청의 처리 여부를 확인한 뒤 결정한다
+ *  - 비대상: validate / policy(429 일일 예산 포함) / preflight — 같은 요청을 다시 보내도 결과가 같음
+ *
+ * @author hlibbc
+ */
+const { FdError, FdNetworkError, FdExecutionError, FdTimeoutError, fromServerResponse } = require('./errors');
+const { buildForwardRequest, signAndVerify, signerAddress, toWire } = require('./forwardRequest');
+
+const DEFAULTS = {
+    url: 'http://127.0.0.1:3030',
+    retries: 3,
+    backoffMs: 500,
+    maxBackoffMs: 8000,
+    jobTimeoutMs: 120_000,
+    jobIntervalMs: 1000,
+};
+
+const sleepMs = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * @notice fd-server 클라이언트 생성
+ * @param {object} [opts]
+ * @param {string} [opts.url] 서버 base URL (기본 http://127.0.0.1:3030, 끝의 /execute는 제거)
+ * @param {typeof fetch} [opts.fetch] fetch 구현 (기본 globalThis.fetch)
+ * @param {number} [opts.retries] 재시도 횟수 (기본 3)
+ * @param {number} [opts.backoffMs] 첫 재시도 대기 (기본 500ms)
+ * @param {number} [opts.maxBackoffMs] 최대 대기 (기본 8000ms)
+ * @param {(ms: number) => Promise<void>} [opts.sleep] 대기 함수 (테스트용)
+ */
+function createFdClient(opts = {}) {
+    const cfg = { ...DEFAULTS, ...opts };
+    const base = String(cfg.url).replace(/\/+$/, '').replace(/\/execute$/, '');
+    const fetchImpl = cfg.fetch ?? globalThis.fetch;
+    const sleep = cfg.sleep ?? sleepMs;
+    if (typeof fetchImpl !== 'function') throw new TypeError('createFdClient: fetch 구현이 필요합니다 (Node 18+ 또는 opts.fetch).');
+
+    /** attempt번째 재시도 전 대기 시간 */
+    const backoff = (attempt) => Math.min(cfg.maxBackoffMs, cfg.backoffMs * 2 ** attempt);
+
+    /**
+     * @notice 1회 HTTP 호출 → 성공 body 또는 FdError throw
+     */
+    async function once(method, path, body) {
+        let res;
+        try {
+            res = await fetchImpl(`${base}${path}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : undefined,
+                body: body ? JSON.stringify(body) : undefined,
+            });
+        } catch (e) {
+            throw new FdNetworkError(`fd-server 연결 실패 (${method} ${path}): ${e?.message || e}`, { cause: e });
+        }
+        const text = await res.text();
+        let json = null;
+        try { json = JSON.parse(text); } catch { /* non-JSON 응답: text 그대로 사용 */ }
+        if (!res.ok || json?.ok === false) throw fromServerResponse(res.status, json);
+        if (json === null) throw new FdNetworkError(`JSON이 아닌 응답 (${res.status}): ${text.slice(0, 200)}`, { status: res.status });
+        return json;
+    }
+
+    /**
+     * @notice 자동 재시도 대상인지 (GET은 일시 장애 전부, POST는 서버에 도달하지 않은 연결 거부만)
+     */
+    const shouldRetry = (method, e) => e instanceof FdError && e.retryable &&
+        (method === 'GET' || (e instanceof FdNetworkError && e.connectionRefused));
+
+    /**
+     * @notice 재시도 포함 호출
+     */
+    async function call(method, path, body) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await once(method, path, body);
+            } catch (e) {
+                if (!shouldRetry(method, e) || attempt >= cfg.retries) throw e;
+                await sleep(backoff(attempt));
+            }
+        }
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────
+    // 엔드포인트
+    // ─────────────────────────────────────────────────────────────────────────
+
+    /** GET / : { ok, msg, relayers, jobs } */
+    const health = () => call('GET', '/');
+
+    /**
+     * POST /execute
+     * @param {object} forwardRequest 서명 포함 ForwardRequestData (BigInt 허용)
+     * @param {{ value?: bigint, gasLimit?: bigint }} [options]
+     * @returns {Promise<{ ok: true, id: string, status: string }>}
+     */
+    const execute = (forwardRequest, options = {}) => call('POST', '/execute', {
+        forwardRequest: toWire(forwardRequest),
+        options: {
+            value: String(options.value ?? forwardRequest.value ?? 0n),
+            ...(options.gasLimit != null ? { gasLimit: String(options.gasLimit) } : {}),
+        },
+    });
+
+    /**
+     * POST /executeBatch (일부 항목 거부는 성공 응답의 items로 전달, 전부 거부면 FdPreflightError.items)
+     * @param {object[]} forwardRequests
+     * @param {{ gasLimit?: bigint }} [options]
+     */
+    const executeBatch = (forwardRequests, options = {}) => call('POST', '/executeBatch', {
+        forwardRequests: forwardRequests.map(toWire),
+        options: options.gasLimit != null ? { gasLimit: String(options.gasLimit) } : {},
+    });
+
+    /** GET /status/:id */
+    const status = (id) => call('GET', `/status/${encodeURIComponent(id)}`);
+
+    /** GET /quote?quantity=&refCode=&ahead= */
+    const quote = ({ quantity, refCode, ahead }) => {
+        const q = new URLSearchParams({ quantity: String(quantity), refCode: String(refCode) });
+        if (ahead != null) q.set('ahead', String(ahead));
+        return call('GET', `/quote?${q}`);
+    };
+
+    /** GET /quota/:address */
+    const quota = (address) => call('GET', `/quota/${address}`);
+
+    /**
+     * @notice job 확정 대기
+     * @returns {Promise<object>} confirmed job
+     * @throws {FdExecutionError} job failed (stage: submit | execute)
+     * @throws {FdTimeoutError} timeoutMs 초과
+     */
+    async function waitForJob(id, { timeoutMs = cfg.jobTimeoutMs, intervalMs = cfg.jobIntervalMs } = {}) {
+        const until = Date.now() + timeoutMs;
+        let last = null;
+        for (;;) {
+            last = await status(id);
+            if (last.status === 'confirmed') return last;
+            if (last.status === 'failed') {
+                throw new FdExecutionError(last.error || 'job failed', { stage: last.stage || 'execute', body: last, items: last.items });
+            }
+            if (Date.now() + intervalMs > until) break;
+            await sleep(intervalMs);
+        }
+        throw new FdTimeoutError(`job ${id} 대기 시간 초과 (${timeoutMs}ms, 마지막 상태: ${last?.status})`, { body: last });
+    }
+
+    /**
+     * @notice build → 서명 → 로컬 검증 → POST /execute → (wait면) 확정 대기
+     * @param {object} p
+     * @param {object} p.signer ethers Signer 또는 EIP-1193 provider
+     * @param {string} [p.from] 요청자 주소 (기본: signerAddress — getAddress() 또는 eth_accounts[0])
+     * @param {import('ethers').Provider} p.provider 읽기용 provider (nonces / domainSeparator / 최신 블록)
+     * @param {string} p.forwarder WhitelistForwarder 주소
+     * @param {string} p.to
+     * @param {string} p.data
+     * @param {bigint} [p.gasLimit] execute tx gasLimit (서버 기본 3,000,000)
+     * @param {boolean} [p.wait] true면 waitForJob 결과까지 반환
+     * @returns {Promise<{ request: object, id: string, status: string, job?: object }>}
+     */
+    async function relay({ signer, from, provider, forwarder, to, data, value, gas, deadline, ttlSec, gasLimit, wait = false, waitOptions }) {
+        from ??= await signerAddress(signer);
+        const typedData = await buildForwardRequest({ provider, forwarder, from, to, data, value, gas, deadline, ttlSec });
+        const request = await signAndVerify(signer, typedData);
+        const { id, status: st } = await execute(request, { gasLimit });
+        if (!wait) return { request, id, status: st };
+        const job = await waitForJob(id, waitOptions);
+        return { request, id, status: job.status, job };
+    }
+
+    return { url: base, health, execute, executeBatch, status, quote, quota, waitForJob, relay };
+}
+
+module.exports = {
+    DEFAULTS,
+    createFdClient,
+};
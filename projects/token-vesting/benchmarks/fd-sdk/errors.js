@@ -0,0 +1,180 @@
+/**
+ * @fileoverview
+ *  fd-sdk 에러 타입 (fd-server 응답의 stage / code / error 필드 대응)
+ * @description
+ *  fd-server 실패 응답 형식: { ok: false, stage?, code?, error, revert?, detail?, items? }
+ *
+ *  stage → 에러 클래스
+ *  - validate              → FdValidationError (payload 형식 오류, stage 없는 400 포함)
+ *  - policy / batch        → FdPolicyError     (code: VALUE_NOT_ALLOWED / DEADLINE_INVALID / DEADLINE_TOO_SOON / GAS_LIMIT_EXCEEDED /
+ *                                               TARGET_NOT_WHITELISTED / SELECTOR_NOT_ALLOWED / DAILY_GAS_BUDGET_EXCEEDED /
+ *                                               BATCH_GAS_EXCEEDED)
+ *  - preflight             → FdPreflightError  (revert: { kind, name, args, contract, reason, selector })
+ *  - queue                 → FdQueueError      (큐 등록 실패, 일시 장애)
+ *  - submit / execute      → FdExecutionError  (GET /status/:id 의 failed job)
+ *  SDK 자체 에러
+ *  - sign                  → FdSignatureError  (code: SIGNER_MISMATCH / DOMAIN_MISMATCH / UNSUPPORTED_SIGNER)
+ *  - network               → FdNetworkError    (연결 실패 / JSON 아닌 응답 / 502·503·504, 일시 장애)
+ *  - timeout               → FdTimeoutError    (waitForJob 대기 시간 초과)
+ *
+ *  모든 에러는 FdError를 상속하므로 `e instanceof FdError` 후 e.stage / e.code 로 분기하면 된다.
+ *  retryable은 '일시 장애' 여부일 뿐 재전송 안전성은 아니다 — POST /execute(Batch)는 서버가 이미 큐에 등록했을 수 있음
+ *  (client.js는 GET 과 연결 거부(connectionRefused)만 자동 재시도)
+ *
+ * @author hlibbc
+ */
+
+/** 재시도 대상 HTTP status (게이트웨이/일시 장애) */
+const RETRYABLE_HTTP = new Set([502, 503, 504]);
+
+/** 요청이 서버에 도달하지 못한 연결 실패 코드 (fetch 에러의 cause 체인) */
+const UNSENT_CODES = new Set(['ECONNREFUSED']);
+
+/**
+ * @notice fd-sdk 공통 에러
+ * @property {string|null} stage 실패 단계 (서버 stage 또는 sign / network / timeout)
+ * @property {string|null} code 정책 reason code 등 세부 코드
+ * @property {number|null} status HTTP status (서버 응답이 있을 때)
+ * @property {object|undefined} revert preflight revert 요약
+ * @property {object|undefined} detail 정책 상세 (max, remaining 등)
+ * @property {object[]|undefined} items executeBatch 항목별 결과
+ * @property {object|undefined} body 서버 응답 원문(JSON)
+ */
+class FdError extends Error {
+    constructor(message, { stage = null, code = null, status = null, revert, detail, items, body, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'FdError';
+        this.stage = stage;
+        this.code = code;
+        this.status = status;
+        this.revert = revert;
+        this.detail = detail;
+        this.items = items;
+        this.body = body;
+    }
+
+    /** @returns {boolean} 일시적 실패인지 (조회는 다시 보내도 됨, POST 재전송 안전성은 별개) */
+    get retryable() {
+        return false;
+    }
+}
+
+class FdValidationError extends FdError {
+    constructor(message, opts = {}) {
+        super(message, { stage: 'validate', ...opts });
+        this.name = 'FdValidationError';
+    }
+}
+
+class FdPolicyError extends FdError {
+    constructor(message, opts = {}) {
+        super(message, { stage: 'policy', ...opts });
+        this.name = 'FdPolicyError';
+    }
+}
+
+class FdPreflightError extends FdError {
+    constructor(message, opts = {}) {
+        super(message, { stage: 'preflight', ...opts });
+        this.name = 'FdPreflightError';
+    }
+}
+
+class FdQueueError extends FdError {
+    constructor(message, opts = {}) {
+        super(message, { stage: 'queue', ...opts });
+        this.name = 'FdQueueError';
+    }
+
+    get retryable() {
+        return true;
+    }
+}
+
+class FdExecutionError extends FdError {
+    constructor(message, opts = {}) {
+        super(message, { stage: 'execute', ...opts });
+        this.name = 'FdExecutionError';
+    }
+}
+
+class FdSignatureError extends FdError {
+    constructor(message, opts = {}) {
+        super(message, { stage: 'sign', ...opts });
+        this.name = 'FdSignatureError';
+    }
+}
+
+class FdNetworkError extends FdError {
+    constructor(message, opts = {}) {
+        super(message, { stage: 'network', ...opts });
+        this.name = 'FdNetworkError';
+    }
+
+    get retryable() {
+        return this.status == null || RETRYABLE_HTTP.has(this.status);
+    }
+
+    /** @returns {boolean} 연결 거부 — 요청이 서버에 도달하지 않았으므로 POST도 재전송 안전 */
+    get connectionRefused() {
+        for (let c = this.cause; c; c = c.cause) {
+            if (UNSENT_CODES.has(c.code)) return true;
+        }
+        return false;
+    }
+}
+
+class FdTimeoutError extends FdError {
+    constructor(message, opts = {}) {
+        super(message, { stage: 'timeout', ...opts });
+        this.name = 'FdTimeoutError';
+    }
+}
+
+/** 서버 stage → 에러 클래스 */
+const STAGE_ERRORS = {
+    validate: FdValidationError,
+    policy: FdPolicyError,
+    batch: FdPolicyError,
+    preflight: FdPreflightError,
+    queue: FdQueueError,
+    submit: FdExecutionError,
+    execute: FdExecutionError,
+};
+
+/**
+ * @notice fd-server 실패 응답 → FdError 하위 클래스
+ * @param {number} status HTTP status
+ * @param {object|null} body 응답 JSON ({ ok: false, stage?, code?, error, ... })
+ * @returns {FdError}
+ */
+function fromServerResponse(status, body) {
+    const message = body?.error || `fd-server responded ${status}`;
+    const opts = {
+        status,
+        code: body?.code ?? null,
+        revert: body?.revert,
+        detail: body?.detail,
+        items: body?.items,
+        body: body ?? undefined,
+    };
+    const Cls = STAGE_ERRORS[body?.stage];
+    if (Cls) return new Cls(message, { ...opts, stage: body.stage });
+    if (RETRYABLE_HTTP.has(status) || !body) return new FdNetworkError(message, opts);
+    if (status === 400) return new FdValidationError(message, opts);
+    return new FdError(message, { ...opts, stage: body?.stage ?? null });
+}
+
+module.exports = {
+    FdError,
+    FdValidationError,
+    FdPolicyError,
+    FdPreflightError,
+    FdQueueError,
+    FdExecutionError,
+    FdSignatureError,
+    FdNetworkError,
+    FdTimeoutError,
+    STAGE_ERRORS,
+    fromServerResponse,
+};
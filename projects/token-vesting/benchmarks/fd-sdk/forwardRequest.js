@@ -0,0 +1,243 @@
+/**
+ * @fileoverview
+ *  fd-sdk ForwardRequest 빌더 / EIP-712 서명 / 로컬 검증
+ * @description
+ *  - readForwarderDomain  : WhitelistForwarder.eip712Domain() + domainSeparator() 조회 → 계산값과 대조
+ *  - buildForwardRequest  : nonces(from) / 도메인 / deadline을 채운 EIP-712 typed data 생성
+ *  - signForwardRequest   : ethers Signer(signTypedData) 또는 EIP-1193 provider(eth_signTypedData_v4)로 서명
+ *                           (MetaMask window.ethereum, wagmi/viem WalletClient, ethers Wallet / JsonRpcSigner 공용)
+ *  - signerAddress        : 서명자 주소 (getAddress 또는 eth_accounts)
+ *  - verifyForwardRequest : 서명 복원 주소 == from 확인 (불일치 시 서버/체인에 보내기 전에 FdSignatureError)
+ *  - toWire               : fd-server 전송용 직렬화 (BigInt → string)
+ *
+ *  필드 순서(from, to, value, gas, nonce, deadline, data)는 ERC2771Forwarder의 ForwardRequest 타입과 같아야 한다.
+ *
+ * @author hlibbc
+ */
+const { ethers } = require('ethers');
+const { FdSignatureError } = require('./errors');
+
+/**
+ * @notice ForwardRequest EIP-712 타입
+ */
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: 'from', type: 'address' },
+        { name: 'to', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'gas', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint48' },
+        { name: 'data', type: 'bytes' },
+    ],
+};
+
+/**
+ * @notice 빌더가 읽는 WhitelistForwarder 최소 ABI
+ */
+const FORWARDER_ABI = [
+    'function nonces(address owner) view returns (uint256)',
+    'function domainSeparator() view returns (bytes32)',
+    'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+];
+
+/** 기본값: 내부 call 가스 / 요청 유효기간(초) */
+const DEFAULT_GAS = 1_500_000n;
+const DEFAULT_TTL_SEC = 3600;
+
+/** eth_signTypedData_v4 용 EIP712Domain 필드 정의 */
+const DOMAIN_FIELDS = [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' },
+];
+
+// =============================================================================
+// 도메인
+// =============================================================================
+
+/**
+ * @notice forwarder EIP-712 도메인 조회 + 온체인 domainSeparator 대조
+ * @param {import('ethers').Provider} provider
+ * @param {string} forwarder forwarder 주소
+ * @returns {Promise<{ domain: { name: string, version: string, chainId: number, verifyingContract: string }, separator: string }>}
+ * @throws {FdSignatureError} 계산한 도메인 해시가 domainSeparator()와 다른 경우 (code = 'DOMAIN_MISMATCH')
+ */
+async function readForwarderDomain(provider, forwarder) {
+    const address = ethers.getAddress(forwarder);
+    const c = new ethers.Contract(address, FORWARDER_ABI, provider);
+    const [separator, eip5267, { chainId }] = await Promise.all([
+        c.domainSeparator(),
+        c.eip712Domain().catch(() => null),
+        provider.getNetwork(),
+    ]);
+    const domain = eip5267
+        ? { name: eip5267.name, version: eip5267.version, chainId: Number(eip5267.chainId), verifyingContract: eip5267.verifyingContract }
+        : { name: 'WhitelistForwarder', version: '1', chainId: Number(chainId), verifyingContract: address };
+
+    if (ethers.TypedDataEncoder.hashDomain(domain) !== separator) {
+        throw new FdSignatureError(
+            `forwarder 도메인 불일치: domainSeparator=${separator}, 계산값(${domain.name}/v${domain.version}, chainId=${domain.chainId})과 다릅니다.`,
+            { code: 'DOMAIN_MISMATCH', detail: { separator, domain } }
+        );
+    }
+    return { domain, separator };
+}
+
+// =============================================================================
+// 빌더
+// =============================================================================
+
+/**
+ * @notice ForwardRequest typed data 생성 (서명 전)
+ * @param {object} p
+ * @param {import('ethers').Provider} p.provider 읽기용 provider
+ * @param {string} p.forwarder WhitelistForwarder 주소
+ * @param {string} p.from 요청자 (_msgSender()가 될 주소)
+ * @param {string} p.to 대상 컨트랙트
+ * @param {string} p.data calldata
+ * @param {bigint} [p.value] 전달 ETH (기본 0)
+ * @param {bigint} [p.gas] 내부 call 가스 (기본 1,500,000)
+ * @param {number} [p.deadline] 만료 시각(uint48) (기본: 최신 블록 시각 + ttlSec)
+ * @param {number} [p.ttlSec] 기본 3600초
+ * @param {bigint} [p.nonce] 기본: forwarder.nonces(from)
+ * @param {object} [p.domain] 도메인 강제 (기본: readForwarderDomain)
+ * @returns {Promise<{ domain: object, types: object, primaryType: 'ForwardRequest', message: object }>}
+ */
+async function buildForwardRequest({ provider, forwarder, from, to, data, value = 0n, gas = DEFAULT_GAS, deadline, ttlSec = DEFAULT_TTL_SEC, nonce, domain }) {
+    if (!provider) throw new TypeError('buildForwardRequest: provider가 필요합니다.');
+    if (!ethers.isAddress(from) || !ethers.isAddress(to)) throw new TypeError(`buildForwardRequest: from/to 주소가 올바르지 않습니다 (${from}, ${to})`);
+    if (!ethers.isHexString(data) || data.length < 10) throw new TypeError('buildForwardRequest: data는 selector를 포함한 hex 문자열이어야 합니다.');
+
+    const forwarderAddr = ethers.getAddress(forwarder);
+    const c = new ethers.Contract(forwarderAddr, FORWARDER_ABI, provider);
+    const [resolvedDomain, resolvedNonce, resolvedDeadline] = await Promise.all([
+        domain ?? readForwarderDomain(provider, forwarderAddr).then((d) => d.domain),
+        nonce ?? c.nonces(from),
+        deadline ?? provider.getBlock('latest').then((b) => Number(b.timestamp) + ttlSec),
+    ]);
+
+    return {
+        domain: resolvedDomain,
+        types: FORWARD_REQUEST_TYPES,
+        primaryType: 'ForwardRequest',
+        message: {
+            from: ethers.getAddress(from),
+            to: ethers.getAddress(to),
+            value: BigInt(value),
+            gas: BigInt(gas),
+            nonce: BigInt(resolvedNonce),
+            deadline: Number(resolvedDeadline),
+            data,
+        },
+    };
+}
+
+// =============================================================================
+// 서명 / 검증
+// =============================================================================
+
+/**
+ * @notice EIP-1193 eth_signTypedData_v4 payload (BigInt → 10진 문자열)
+ */
+function toTypedDataJSON({ domain, types, primaryType, message }) {
+    const domainTypes = DOMAIN_FIELDS.filter((f) => domain[f.name] != null);
+    return JSON.stringify(
+        { types: { EIP712Domain: domainTypes, ...types }, domain, primaryType, message },
+        (_k, v) => (typeof v === 'bigint' ? v.toString() : v)
+    );
+}
+
+/**
+ * @notice typed data 서명
+ * @param {import('ethers').Signer | { request: (args: { method: string, params?: unknown[] }) => Promise<unknown> }} signer
+ *   - ethers Signer (Wallet / JsonRpcSigner / BrowserProvider.getSigner())
+ *   - EIP-1193 provider (window.ethereum, wagmi/viem WalletClient) → message.from 계정으로 eth_signTypedData_v4
+ * @param {{ domain: object, types: object, primaryType: string, message: object }} typedData buildForwardRequest 결과
+ * @returns {Promise<string>} 65바이트 서명
+ */
+async function signForwardRequest(signer, typedData) {
+    if (typeof signer?.signTypedData === 'function' && typeof signer?.getAddress === 'function') {
+        return signer.signTypedData(typedData.domain, typedData.types, typedData.message);
+    }
+    if (typeof signer?.request === 'function') {
+        return signer.request({
+            method: 'eth_signTypedData_v4',
+            params: [typedData.message.from, toTypedDataJSON(typedData)],
+        });
+    }
+    throw new FdSignatureError('지원하지 않는 서명자입니다 (ethers Signer 또는 EIP-1193 provider 필요).', { code: 'UNSUPPORTED_SIGNER' });
+}
+
+/**
+ * @notice 서명자 주소 (ethers Signer: getAddress / EIP-1193: eth_accounts 첫 계정)
+ * @returns {Promise<string>}
+ */
+async function signerAddress(signer) {
+    if (typeof signer?.getAddress === 'function') return ethers.getAddress(await signer.getAddress());
+    if (typeof signer?.request === 'function') {
+        const [account] = await signer.request({ method: 'eth_accounts' });
+        if (!account) throw new FdSignatureError('EIP-1193 provider에 연결된 계정이 없습니다 (eth_requestAccounts 필요).', { code: 'UNSUPPORTED_SIGNER' });
+        return ethers.getAddress(account);
+    }
+    throw new FdSignatureError('지원하지 않는 서명자입니다 (ethers Signer 또는 EIP-1193 provider 필요).', { code: 'UNSUPPORTED_SIGNER' });
+}
+
+/**
+ * @notice 서명 복원 주소 == message.from 확인
+ * @returns {string} 복원 주소
+ * @throws {FdSignatureError} code = 'SIGNER_MISMATCH'
+ */
+function verifyForwardRequest(typedData, signature) {
+    let recovered;
+    try {
+        recovered = ethers.verifyTypedData(typedData.domain, typedData.types, typedData.message, signature);
+    } catch (e) {
+        throw new FdSignatureError(`서명 형식이 올바르지 않습니다: ${e?.shortMessage || e?.message}`, { code: 'SIGNER_MISMATCH', cause: e });
+    }
+    if (recovered.toLowerCase() !== typedData.message.from.toLowerCase()) {
+        throw new FdSignatureError(
+            `ForwardRequest 서명 복원 주소 불일치: recovered=${recovered}, from=${typedData.message.from}`,
+            { code: 'SIGNER_MISMATCH', detail: { recovered, from: typedData.message.from } }
+        );
+    }
+    return recovered;
+}
+
+/**
+ * @notice 서명 + 로컬 검증 → ForwardRequestData (forwarder.execute 인자 / fd-server 전송 대상)
+ * @returns {Promise<{ from: string, to: string, value: bigint, gas: bigint, nonce: bigint, deadline: number, data: string, signature: string }>}
+ */
+async function signAndVerify(signer, typedData) {
+    const signature = await signForwardRequest(signer, typedData);
+    verifyForwardRequest(typedData, signature);
+    return { ...typedData.message, signature };
+}
+
+/**
+ * @notice fd-server 전송용 직렬화 (서버의 toForwardRequest가 BigInt로 복원)
+ */
+function toWire(request) {
+    return {
+        ...request,
+        value: BigInt(request.value ?? 0n).toString(),
+        gas: BigInt(request.gas).toString(),
+        nonce: BigInt(request.nonce).toString(),
+        deadline: Number(request.deadline),
+    };
+}
+
+module.exports = {
+    FORWARD_REQUEST_TYPES,
+    FORWARDER_ABI,
+    DEFAULT_GAS,
+    DEFAULT_TTL_SEC,
+    readForwarderDomain,
+    buildForwardRequest,
+    signerAddress,
+    signForwardRequest,
+    verifyForwardRequest,
+    signAndVerify,
+    toWire,
+};
@@ -0,0 +1,214 @@
+/**
+ * fd-sdk 타입 정의 (구현: index.js / forwardRequest.js / client.js / errors.js)
+ */
+import type { Provider, Signer } from 'ethers';
+
+// =============================================================================
+// ForwardRequest
+// =============================================================================
+
+export interface ForwarderDomain {
+    name: string;
+    version: string;
+    chainId: number;
+    verifyingContract: string;
+}
+
+export interface ForwardRequestMessage {
+    from: string;
+    to: string;
+    value: bigint;
+    gas: bigint;
+    nonce: bigint;
+    /** uint48 unix seconds */
+    deadline: number;
+    data: string;
+}
+
+export interface ForwardRequestTypedData {
+    domain: ForwarderDomain;
+    types: typeof FORWARD_REQUEST_TYPES;
+    primaryType: 'ForwardRequest';
+    message: ForwardRequestMessage;
+}
+
+/** forwarder.execute 인자 / fd-server 전송 대상 */
+export interface ForwardRequestData extends ForwardRequestMessage {
+    signature: string;
+}
+
+/** fd-server 전송 형식 (BigInt 필드 문자열화) */
+export interface WireForwardRequest {
+    from: string;
+    to: string;
+    value: string;
+    gas: string;
+    nonce: string;
+    deadline: number;
+    data: string;
+    signature: string;
+}
+
+/** EIP-1193 provider (window.ethereum, wagmi/viem WalletClient 등) */
+export interface Eip1193Provider {
+    request(args: { method: string; params?: unknown[] | object }): Promise<unknown>;
+}
+
+export type ForwardSigner = Signer | Eip1193Provider;
+
+export interface BuildForwardRequestParams {
+    provider: Provider;
+    forwarder: string;
+    from: string;
+    to: string;
+    data: string;
+    value?: bigint;
+    gas?: bigint;
+    deadline?: number;
+    ttlSec?: number;
+    nonce?: bigint;
+    domain?: ForwarderDomain;
+}
+
+export declare const FORWARD_REQUEST_TYPES: {
+    ForwardRequest: { name: string; type: string }[];
+};
+export declare const FORWARDER_ABI: string[];
+export declare const DEFAULT_GAS: bigint;
+export declare const DEFAULT_TTL_SEC: number;
+
+export declare function readForwarderDomain(provider: Provider, forwarder: string): Promise<{ domain: ForwarderDomain; separator: string }>;
+export declare function buildForwardRequest(p: BuildForwardRequestParams): Promise<ForwardRequestTypedData>;
+export declare function signerAddress(signer: ForwardSigner): Promise<string>;
+export declare function signForwardRequest(signer: ForwardSigner, typedData: ForwardRequestTypedData): Promise<string>;
+export declare function verifyForwardRequest(typedData: ForwardRequestTypedData, signature: string): string;
+export declare function signAndVerify(signer: ForwardSigner, typedData: ForwardRequestTypedData): Promise<ForwardRequestData>;
+export declare function toWire(request: ForwardRequestData): WireForwardRequest;
+
+// =============================================================================
+// 에러
+// =============================================================================
+
+export type FdStage =
+    | 'validate' | 'policy' | 'batch' | 'preflight' | 'queue' | 'submit' | 'execute'
+    | 'sign' | 'network' | 'timeout';
+
+export type FdPolicyCode =
+    | 'VALUE_NOT_ALLOWED' | 'DEADLINE_INVALID' | 'DEADLINE_TOO_SOON' | 'GAS_LIMIT_EXCEEDED'
+    | 'TARGET_NOT_WHITELISTED' | 'SELECTOR_NOT_ALLOWED' | 'DAILY_GAS_BUDGET_EXCEEDED' | 'BATCH_GAS_EXCEEDED';
+
+export type FdSignatureCode = 'SIGNER_MISMATCH' | 'DOMAIN_MISMATCH' | 'UNSUPPORTED_SIGNER';
+
+export interface FdRevert {
+    kind: string;
+    name: string;
+    args?: Record<string, unknown>;
+    contract?: string;
+    reason?: string;
+    selector?: string;
+}
+
+export interface FdBatchItem {
+    index: number;
+    ok: boolean;
+    gas?: string;
+    stage?: FdStage;
+    code?: string;
+    http?: number;
+    error?: string;
+    revert?: FdRevert;
+}
+
+export interface FdErrorOptions {
+    stage?: FdStage | null;
+    code?: string | null;
+    status?: number | null;
+    revert?: FdRevert;
+    detail?: Record<string, unknown>;
+    items?: FdBatchItem[];
+    body?: unknown;
+    cause?: unknown;
+}
+
+export declare class FdError extends Error {
+    constructor(message: string, opts?: FdErrorOptions);
+    stage: FdStage | null;
+    code: string | null;
+    status: number | null;
+    revert?: FdRevert;
+    detail?: Record<string, unknown>;
+    items?: FdBatchItem[];
+    body?: unknown;
+    readonly retryable: boolean;
+}
+export declare class FdValidationError extends FdError {}
+export declare class FdPolicyError extends FdError { code: FdPolicyCode | null; }
+export declare class FdPreflightError extends FdError {}
+export declare class FdQueueError extends FdError {}
+export declare class FdExecutionError extends FdError {}
+export declare class FdSignatureError extends FdError { code: FdSignatureCode; }
+export declare class FdNetworkError extends FdError { readonly connectionRefused: boolean; }
+export declare class FdTimeoutError extends FdError {}
+
+export declare const STAGE_ERRORS: Record<string, typeof FdError>;
+export declare function fromServerResponse(status: number, body: unknown): FdError;
+
+// =============================================================================
+// 클라이언트
+// =============================================================================
+
+export type JobStatus = 'queued' | 'submitted' | 'confirmed' | 'failed';
+
+export interface FdJob {
+    ok: true;
+    id: string;
+    kind: 'single' | 'batch';
+    status: JobStatus;
+    txHash?: string;
+    block?: number;
+    stage?: FdStage;
+    error?: string;
+    items?: { index: number; from: string; nonce: string; executed: boolean; success: boolean; error?: string }[];
+    [key: string]: unknown;
+}
+
+export interface FdClientOptions {
+    url?: string;
+    fetch?: typeof fetch;
+    retries?: number;
+    backoffMs?: number;
+    maxBackoffMs?: number;
+    jobTimeoutMs?: number;
+    jobIntervalMs?: number;
+    sleep?: (ms: number) => Promise<void>;
+}
+
+export interface WaitOptions {
+    timeoutMs?: number;
+    intervalMs?: number;
+}
+
+export interface RelayParams extends Omit<BuildForwardRequestParams, 'from' | 'nonce' | 'domain'> {
+    signer: ForwardSigner;
+    from?: string;
+    gasLimit?: bigint;
+    wait?: boolean;
+    waitOptions?: WaitOptions;
+}
+
+export interface FdClient {
+    url: string;
+    health(): Promise<{ ok: true; msg: string; relayers: unknown; jobs: unknown }>;
+    execute(request: ForwardRequestData, options?: { value?: bigint; gasLimit?: bigint }): Promise<{ ok: true; id: string; status: JobStatus }>;
+    executeBatch(requests: ForwardRequestData[], options?: { gasLimit?: bigint }): Promise<{
+        ok: true; id: string; status: JobStatus; accepted: number; rejected: number; items: FdBatchItem[];
+    }>;
+    status(id: string): Promise<FdJob>;
+    waitForJob(id: string, options?: WaitOptions): Promise<FdJob>;
+    quote(q: { quantity: bigint | number | string; refCode: string; ahead?: bigint | number | string }): Promise<Record<string, unknown> & { ok: true; total: string; permitValue: string }>;
+    quota(address: string): Promise<{ ok: true; address: string; day: string; budget: string; used: string; reserved: string; remaining: string; count: number }>;
+    relay(p: RelayParams): Promise<{ request: ForwardRequestData; id: string; status: JobStatus; job?: FdJob }>;
+}
+
+export declare const DEFAULTS: Required<Omit<FdClientOptions, 'fetch' | 'sleep'>>;
+export declare function createFdClient(opts?: FdClientOptions): FdClient;
@@ -0,0 +1,33 @@
+/**
+ * @fileoverview
+ *  fd-sdk: fee-delegation 서버(fd-server) JavaScript 클라이언트 SDK
+ * @description
+ *  fd-client.js(데모)와 웹 프론트엔드가 각자 구현하던 ForwardRequest 조립 / 서명 / 전송을 한 모듈로 제공
+ *  - forwardRequest.js : WhitelistForwarder nonces / domainSeparator 기반 빌더, EIP-712 서명(ethers Signer / EIP-1193), 로컬 검증
+ *  - client.js         : fd-server HTTP 클라이언트 (재시도/백오프, job 대기, relay 한 번에)
+ *  - errors.js         : 서버 stage / code 에 대응하는 에러 클래스
+ *  타입 정의: index.d.ts
+ *
+ *  이 패키지는 ethers 외 의존성이 없고 저장소의 scripts/* 를 참조하지 않는다 (단독 배포 가능).
+ *
+ * 사용법:
+ *   const { createFdClient, FdPolicyError } = require('fd-sdk');
+ *   const fd = createFdClient({ url: 'http://127.0.0.1:3030' });
+ *   const data = vesting.interface.encodeFunctionData('claimPurchaseReward', []);
+ *   try {
+ *       const { job } = await fd.relay({ signer, provider, forwarder, to: vestingAddr, data, wait: true });
+ *   } catch (e) {
+ *       if (e instanceof FdPolicyError && e.code === 'DAILY_GAS_BUDGET_EXCEEDED') { ... }
+ *   }
+ *
+ * @author hlibbc
+ */
+const errors = require('./errors');
+const forwardRequest = require('./forwardRequest');
+const client = require('./client');
+
+module.exports = {
+    ...errors,
+    ...forwardRequest,
+    ...client,
+};
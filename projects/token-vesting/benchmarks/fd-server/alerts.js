@@ -0,0 +1,182 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  릴레이어 잔액 부족 알림 훅
+ * @description
+ *  - check(balances): 잔액 < minBalance 인 릴레이어마다 low_balance 알림, 임계값 이상으로 회복되면 recovered 알림
+ *  - 계속 부족하면 cooldownMs마다 다시 알림 (캠페인 중 잔액이 바닥난 채 방치되는 것 방지)
+ *  - start(readBalances, intervalMs): 주기 점검 (서버 기동 직후 1회 포함), refresh(): 즉시 점검 (job 확정 직후)
+ *  - 전달 방식 (둘 다 지정 가능, 실패는 로그만 남기고 서버 동작에 영향 없음)
+ *      • webhook : POST JSON — { event, relayer, balanceWei, balanceEther, minBalanceEther, chainId, at, text }
+ *                  (text 필드가 있어 Slack incoming webhook에 그대로 사용 가능)
+ *      • command : 로컬 쉘 명령 — 같은 내용을 FD_ALERT_* 환경변수로 전달
+ *                  (FD_ALERT_EVENT / FD_ALERT_RELAYER / FD_ALERT_BALANCE / FD_ALERT_MIN_BALANCE / FD_ALERT_CHAIN_ID / FD_ALERT_TEXT)
+ *
+ * @author hlibbc
+ */
+const util = require('util');
+const childProcess = require('child_process');
+const { ethers } = require('ethers');
+
+const EVENTS = {
+    low: 'relayer_low_balance',
+    recovered: 'relayer_balance_recovered',
+};
+
+/**
+ * @notice 잔액 알림 생성
+ * @param {object} cfg
+ * @param {bigint|null} cfg.minBalance 임계값 (wei, null이면 비활성)
+ * @param {string} [cfg.webhookUrl] 알림 POST 대상
+ * @param {string} [cfg.command] 알림 시 실행할 쉘 명령
+ * @param {number} [cfg.cooldownMs=1800000] 같은 릴레이어 low_balance 재알림 간격
+ * @param {number} [cfg.commandTimeoutMs=10000] command 실행 제한 시간
+ * @param {string|number|bigint} [cfg.chainId] 알림 본문용 체인 ID
+ * @param {typeof fetch} [cfg.fetch] fetch 구현 (테스트용)
+ * @param {(cmd: string, opts: object) => Promise<unknown>} [cfg.exec] 명령 실행기 (테스트용)
+ * @param {() => number} [cfg.now] 현재 시각(ms) (테스트용)
+ * @returns {object} { enabled, check, start, refresh, stop }
+ */
+function createBalanceAlert(cfg) {
+    const {
+        minBalance,
+        webhookUrl,
+        command,
+        cooldownMs = 30 * 60_000,
+        commandTimeoutMs = 10_000,
+        chainId,
+        fetch: fetchImpl = globalThis.fetch,
+        exec = util.promisify(childProcess.exec),
+        now = Date.now,
+    } = cfg;
+    const enabled = minBalance != null;
+
+    /** @type {Map<string, { low: boolean, lastAlertAt: number }>} */
+    const state = new Map();
+    let timer = null;
+    let reader = null;
+    let checking = null;
+
+    /**
+     * @notice 알림 본문
+     */
+    function eventOf(type, relayer, balance) {
+        const balanceEther = ethers.formatEther(balance);
+        const minBalanceEther = ethers.formatEther(minBalance);
+        const text = type === EVENTS.low
+            ? `⚠️ fd-server relayer ${relayer} balance ${balanceEther} ETH < ${minBalanceEther} ETH (chainId ${chainId ?? '?'})`
+            : `✅ fd-server relayer ${relayer} balance recovered: ${balanceEther} ETH (chainId ${chainId ?? '?'})`;
+        return {
+            event: type,
+            relayer,
+            balanceWei: balance.toString(),
+            balanceEther,
+            minBalanceEther,
+            chainId: chainId == null ? undefined : String(chainId),
+            at: new Date(now()).toISOString(),
+            text,
+        };
+    }
+
+    async function postWebhook(ev) {
+        const res = await fetchImpl(webhookUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(ev),
+        });
+        if (!res.ok) throw new Error(`webhook responded ${res.status}`);
+    }
+
+    async function runCommand(ev) {
+        await exec(command, {
+            timeout: commandTimeoutMs,
+            env: {
+                ...process.env,
+                FD_ALERT_EVENT: ev.event,
+                FD_ALERT_RELAYER: ev.relayer,
+                FD_ALERT_BALANCE: ev.balanceEther,
+                FD_ALERT_MIN_BALANCE: ev.minBalanceEther,
+                FD_ALERT_CHAIN_ID: ev.chainId ?? '',
+                FD_ALERT_TEXT: ev.text,
+            },
+        });
+    }
+
+    /**
+     * @notice 알림 전달 (webhook / command, 실패는 로그)
+     */
+    async function notify(ev) {
+        console.warn(ev.text);
+        const tasks = [];
+        if (webhookUrl) tasks.push(postWebhook(ev).catch((e) => console.error(`❌ alert webhook 실패: ${e?.message || e}`)));
+        if (command) tasks.push(runCommand(ev).catch((e) => console.error(`❌ alert command 실패: ${e?.message || e}`)));
+        await Promise.all(tasks);
+    }
+
+    /**
+     * @notice 잔액 점검 → 필요한 알림 전송
+     * @param {{ address: string, balance: bigint|null }[]} balances 조회 실패(null)는 건너뜀
+     * @returns {Promise<object[]>} 전송한 알림 목록
+     */
+    async function check(balances) {
+        if (!enabled) return [];
+        const events = [];
+        for (const { address, balance } of balances) {
+            if (balance == null) continue;
+            const s = state.get(address) ?? { low: false, lastAlertAt: 0 };
+            if (balance < minBalance) {
+                if (!s.low || now() - s.lastAlertAt >= cooldownMs) {
+                    events.push(eventOf(EVENTS.low, address, balance));
+                    s.lastAlertAt = now();
+                }
+                s.low = true;
+            } else if (s.low) {
+                events.push(eventOf(EVENTS.recovered, address, balance));
+                s.low = false;
+            }
+            state.set(address, s);
+        }
+        for (const ev of events) await notify(ev);
+        return events;
+    }
+
+    /**
+     * @notice 주기 점검 시작 (서버 기동 직후 1회 포함)
+     * @param {() => Promise<{ address: string, balance: bigint|null }[]>} readBalances
+     * @param {number} intervalMs
+     */
+    function start(readBalances, intervalMs) {
+        if (!enabled || timer) return;
+        reader = readBalances;
+        refresh();
+        timer = setInterval(refresh, intervalMs);
+        timer.unref?.();
+    }
+
+    /**
+     * @notice 즉시 점검 (start 이후, 진행 중인 점검이 있으면 그 결과를 공유)
+     *  - job 확정 직후 호출: 잔액이 실제로 줄어드는 시점에 바로 감지
+     */
+    function refresh() {
+        if (!reader) return Promise.resolve([]);
+        if (checking) return checking;
+        checking = reader()
+            .then(check)
+            .catch((e) => { console.error(`❌ relayer balance check 실패: ${e?.message || e}`); return []; })
+            .finally(() => { checking = null; });
+        return checking;
+    }
+
+    function stop() {
+        if (timer) clearInterval(timer);
+        timer = null;
+        reader = null;
+    }
+
+    return { enabled, check, start, refresh, stop };
+}
+
+module.exports = {
+    EVENTS,
+    createBalanceAlert,
+};
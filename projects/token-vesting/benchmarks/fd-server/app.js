@@ -0,0 +1,579 @@
+/**
+ * @fileoverview
+ *  fd-server 라우트 / 구성요소 조립 (express)
+ * @description
+ *  엔드포인트
+ *  - GET  /            : 서버 상태 확인 (+ 릴레이어/큐 현황)
+ *  - POST /execute     : { request, options } → preflight → 큐 등록 (즉시 응답)
+ *      • request : ForwardRequest + signature (BigInt 필드 문자열화 허용)
+ *      • options : { value, gasLimit } 문자열 허용
+ *      • 응답    : 202 { ok, id, status } | { ok: false, stage, error, revert? }
+ *      • preflight 실패 시 HTTP status / revert{kind,name,args,contract,reason}는 scripts/_revert.js 기준
+ *  - POST /executeBatch: { forwardRequests: [...], options } → 항목별 정책검사/preflight → 통과분만 executeBatch 1건으로 큐 등록
+ *      • 실패 항목은 제외하고 items[i]에 { ok: false, stage, code?, error } 로 사유 반환
+ *      • 응답    : 202 { ok, id, status, accepted, rejected, items } | 422 { ok: false, stage, items }
+ *  - GET  /status/:id  : job 상태 조회
+ *      • 응답    : { ok, id, kind, status(queued|submitted|confirmed|failed), txHash?, block?, stage?, error?, items?, ... }
+ *  - GET  /quota/:address : from 주소의 당일(UTC) 가스 예산 현황 (policy.js)
+ *  - GET  /quote       : ?quantity=&refCode=&ahead= → 박스 가격 견적 (scripts/_pricing.js, _calculatePurchasePrice 재현)
+ *      • 응답    : { ok, refCode, referrer, blockNumber, sold, quantity, discountRate, tiers, gross, discount, total,
+ *                    unitPrice, stableFor, permitValue, worstCase{ahead,total,diff,bps} } (금액은 USDT 6 decimals 문자열)
+ *  - GET  /metrics     : Prometheus text format 운영 메트릭 (metrics.js)
+ *      • 요청 결과(stage/result) / preflight revert 사유 / selector별 가스·수수료 / 릴레이어 잔액 / 미확정 tx 경과 시간
+ *
+ *  운영 알림
+ *  - 릴레이어 잔액이 ALERT_MIN_BALANCE_ETH 미만이면 webhook / 로컬 명령으로 알림 (alerts.js)
+ *
+ *  - 진입점(환경변수 → cfg, listen)은 index.js
+ *
+ * @author hlibbc
+ */
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { ethers } = require('ethers');
+const { createRelayQueue } = require('./queue');
+const { createPolicy } = require('./policy');
+const { createFdMetrics } = require('./metrics');
+const { createBalanceAlert } = require('./alerts');
+const { createRevertDecoder } = require('../../scripts/_revert');
+const { loadDeployment } = require('../../scripts/_deployments');
+const { quoteFromChain, recentBoxVolume, quoteToJSON } = require('../../scripts/_pricing');
+
+/**
+ * @notice Abi 파일을 읽어온다.
+ * @param {*} rel Abi File path (상대경로)
+ * @returns Abi Object
+ */
+function loadAbi(rel) {
+    const p = path.resolve(__dirname, rel);
+    if (!fs.existsSync(p)) throw new Error(`❌ ABI 파일을 찾을 수 없습니다: ${p}`);
+    const j = JSON.parse(fs.readFileSync(p, 'utf8'));
+    if (!j.abi) throw new Error(`❌ ABI 키(abi)를 찾을 수 없습니다: ${p}`);
+    return j.abi;
+}
+
+/**
+ * @notice 배포 레지스트리에서 provider 체인의 forwarder 주소를 읽는다
+ * @param {ethers.Provider} provider
+ * @returns {Promise<{ addr?: string, error?: string }>}
+ */
+async function readForwarderAddress(provider) {
+    try {
+        const dep = await loadDeployment(provider);
+        if (!ethers.isAddress(dep.forwarder)) return { error: `invalid forwarder in deployment registry (chainId=${dep.chainId})` };
+        return { addr: dep.forwarder };
+    } catch (e) {
+        return { error: e?.message || String(e) };
+    }
+}
+
+/**
+ * @notice 음이 아닌 정수 파싱 (bigint / safe integer / 10진 문자열만, 아니면 null)
+ * @dev BigInt('abc') / BigInt('1.5') 의 SyntaxError가 500으로 새지 않도록 라우트 입력은 이걸로 검사
+ * @param {unknown} v
+ * @returns {bigint|null}
+ */
+function parseUint(v) {
+    if (typeof v === 'bigint') return v >= 0n ? v : null;
+    if (typeof v === 'number') return Number.isSafeInteger(v) && v >= 0 ? BigInt(v) : null;
+    if (typeof v === 'string' && /^\d+$/.test(v)) return BigInt(v);
+    return null;
+}
+
+/** ForwardRequest 숫자 필드 (value/gas/nonce는 생략 시 0, deadline은 필수) */
+const UINT_FIELDS = ['value', 'gas', 'nonce', 'deadline'];
+
+/**
+ * @notice 요청 payload 기본 검증
+ * @param {object} reqObj 서명 포함 ForwardRequest (문자열 필드 허용)
+ * @returns {string|null} 오류 메시지 (정상이면 null)
+ */
+function validateForwardRequest(reqObj) {
+    if (!reqObj?.to || !reqObj?.from || !reqObj?.data || !reqObj?.signature || reqObj.deadline == null) {
+        return 'invalid payload: forwardRequest/request missing fields';
+    }
+    if (!ethers.isAddress(reqObj.to) || !ethers.isAddress(reqObj.from)) {
+        return 'invalid address in request';
+    }
+    const bad = UINT_FIELDS.find((k) => reqObj[k] != null && reqObj[k] !== '' && parseUint(reqObj[k]) === null);
+    if (bad) return `invalid ${bad} in request: non-negative integer expected`;
+    return null;
+}
+
+/**
+ * @notice execute 옵션 검증 (gasLimit: 양의 정수, value: 음이 아닌 정수)
+ * @param {object} [options]
+ * @returns {string|null} 오류 메시지 (정상이면 null)
+ */
+function validateOptions(options) {
+    if (options?.gasLimit != null && !(parseUint(options.gasLimit) > 0n)) {
+        return 'invalid options.gasLimit: positive integer expected';
+    }
+    if (options?.value != null && parseUint(options.value) === null) {
+        return 'invalid options.value: non-negative integer expected';
+    }
+    return null;
+}
+
+/**
+ * @notice stringified BigInt 필드 복원 (validateForwardRequest 통과 전제)
+ * @param {object} reqObj
+ * @returns {object}
+ */
+function toForwardRequest(reqObj) {
+    return {
+        ...reqObj,
+        value: reqObj?.value ? parseUint(reqObj.value) : 0n,
+        gas: reqObj?.gas ? parseUint(reqObj.gas) : 0n,
+        nonce: reqObj?.nonce ? parseUint(reqObj.nonce) : 0n,
+        deadline: reqObj?.deadline != null ? parseUint(reqObj.deadline) : undefined,
+    };
+}
+
+/**
+ * @notice fd-server 앱 생성
+ * @param {object} cfg
+ * @param {import('ethers').Provider} cfg.provider
+ * @param {import('ethers').Signer[]} cfg.relayerWallets 릴레이어 서명자 (첫 번째가 preflight 호출자)
+ * @param {ReturnType<import('./store').openJsonStore>} cfg.store 정책 저장소
+ * @param {string} [cfg.forwarder] forwarder 주소 고정 (생략 시 배포 레지스트리)
+ * @param {object} [cfg.policy] createPolicy 정책값 (policy.js)
+ * @param {object} [cfg.queue] createRelayQueue 튜닝값 (queue.js: pollMs / bumpAfterMs / bumpPercent / maxBumps)
+ * @param {object} [cfg.alert] createBalanceAlert 설정 (alerts.js) + checkMs(주기 점검 간격, 기본 60000)
+ * @param {number} [cfg.batchMaxItems=20] /executeBatch 최대 항목 수
+ * @param {bigint} [cfg.batchMaxGas=15_000_000n] executeBatch tx gasLimit 상한
+ * @param {bigint} [cfg.quoteAheadMin=0n] /quote 선행 체결 가정 최소 박스 수
+ * @param {number} [cfg.quoteLookback=100] /quote 최근 판매량 조회 블록 수 (0이면 미사용)
+ * @param {bigint} [cfg.quoteMaxQty=10_000n] /quote 최대 수량
+ * @returns {Promise<{ app: import('express').Express, queue: object, policy: object, metrics: object, balanceAlert: object, stop: () => void }>}
+ */
+async function createFdApp(cfg) {
+    const app = express();
+    app.use(express.json({ limit: '1mb' }));
+
+    const { provider, relayerWallets, store } = cfg;
+    if (!relayerWallets?.length) throw new Error('❌ 릴레이어 서명자가 최소 1개 필요합니다.');
+    const relayer  = relayerWallets[0]; // preflight 호출자
+
+    const fwdAbi   = loadAbi('../../artifacts/contracts/Forwarder.sol/WhitelistForwarder.json');
+    const vestAbi  = loadAbi('../../artifacts/contracts/TokenVesting.sol/TokenVesting.json');
+    const erc20Abi = loadAbi('../../artifacts/contracts/StableCoin.sol/StableCoin.json');
+    const sbtAbi   = loadAbi('../../artifacts/contracts/BadgeSBT.sol/BadgeSBT.json');
+    // 공용 revert 디코더 (scripts/_revert.js): 에러명/인자/컨트랙트/권장 HTTP status
+    const revert = createRevertDecoder([
+        ['WhitelistForwarder', fwdAbi],
+        ['TokenVesting', vestAbi],
+        ['StableCoin', erc20Abi],
+        ['BadgeSBT', sbtAbi],
+    ]);
+    /** 응답용 revert 요약 (kind/name/args/contract/reason) */
+    const revertView = (r) => (r.kind === 'unknown' ? undefined : {
+        kind: r.kind, name: r.name, args: r.namedArgs, contract: r.contract, reason: r.reason ?? undefined, selector: r.selector,
+    });
+    const {
+        batchMaxItems = 20,
+        batchMaxGas = 15_000_000n,
+        quoteAheadMin = 0n,
+        quoteLookback = 100,
+        quoteMaxQty = 10_000n,
+    } = cfg;
+    /** forwarder 주소: 고정값(cfg.forwarder) 또는 배포 레지스트리 */
+    const resolveForwarder = async () => (cfg.forwarder ? { addr: cfg.forwarder } : readForwarderAddress(provider));
+
+    const policy = createPolicy({ ...cfg.policy, provider, forwarderAbi: fwdAbi, store });
+
+    const queue = createRelayQueue({
+        ...cfg.queue,
+        provider,
+        relayerWallets,
+        forwarderAbi: fwdAbi,
+        decodeError: (e) => revert.decode(e).message,
+    });
+    // job 종료 시 예약 가스를 실제 사용량으로 정산
+    // (batch: 실행된 항목들에 예약량 비율대로 gasUsed 배분, 건너뛴 항목은 0)
+    queue.onUpdate((job) => {
+        if (job.status !== 'confirmed' && job.status !== 'failed') return;
+        if (job.kind !== 'batch') return policy.settle(job.id, job.gasUsed ?? 0n);
+        const ran = (i) => job.items?.[i]?.executed;
+        const weight = job.meta.itemGas.reduce((a, g, i) => (ran(i) ? a + BigInt(g) : a), 0n);
+        job.meta.itemGas.forEach((g, i) => {
+            const share = ran(i) && weight > 0n ? (BigInt(job.gasUsed ?? 0n) * BigInt(g)) / weight : 0n;
+            policy.settle(`${job.id}#${i}`, share);
+        });
+    });
+
+    // 운영 메트릭 / 잔액 알림
+    const vestIface = new ethers.Interface(vestAbi);
+    const readRelayerBalances = () => Promise.all(queue.relayers().map(async (r) => ({
+        address: r.address,
+        balance: await provider.getBalance(r.address).catch(() => null),
+    })));
+    const metrics = createFdMetrics({
+        queue,
+        readBalances: readRelayerBalances,
+        describeSelector: (selector) => {
+            try { return vestIface.getFunction(selector)?.name; } catch { return undefined; }
+        },
+    });
+    /** 요청 결과 집계 단축 */
+    const count = (endpoint, stage, result, code) => metrics.observeRequest({ endpoint, stage, result, code });
+
+    const { checkMs: alertCheckMs = 60_000, ...alertCfg } = cfg.alert ?? {};
+    const balanceAlert = createBalanceAlert({
+        minBalance: null,
+        ...alertCfg,
+        chainId: (await provider.getNetwork()).chainId,
+    });
+    balanceAlert.start(readRelayerBalances, alertCheckMs);
+    queue.onUpdate((job) => {
+        metrics.observeJob(job);
+        if (job.status === 'confirmed' || job.status === 'failed') balanceAlert.refresh();
+    });
+
+    /**
+     * @route GET /
+     * @returns {object} { ok: true, msg, relayers, jobs }
+     * @description 서버 상태 확인용 헬스체크 엔드포인트
+     */
+    app.get('/', (_req, res) => res.json({
+        ok: true,
+        msg: 'fd-server alive',
+        relayers: queue.relayers(),
+        jobs: queue.stats(),
+    }));
+
+    /**
+     * @route GET /metrics
+     * @returns {string} Prometheus text exposition format 0.0.4
+     * @description 요청/실행 누적 counter + scrape 시점 릴레이어 잔액 / 미확정 tx gauge (metrics.js)
+     */
+    app.get('/metrics', async (_req, res) => {
+        try {
+            res.type('text/plain; version=0.0.4; charset=utf-8').send(await metrics.render());
+        } catch (e) {
+            res.status(500).type('text/plain').send(`# metrics collection failed: ${e?.message || e}\n`);
+        }
+    });
+
+    /**
+     * @route GET /status/:id
+     * @returns
+     *  - 성공: { ok: true, id, status, txHash?, block?, ... }
+     *  - 실패: 404 { ok: false, error: 'job not found' }
+     * @description /execute가 돌려준 job id의 진행 상태 조회
+     */
+    app.get('/status/:id', (req, res) => {
+        const job = queue.get(req.params.id);
+        if (!job) return res.status(404).json({ ok: false, error: 'job not found' });
+        return res.json({ ok: true, ...queue.view(job) });
+    });
+
+    /**
+     * @route GET /quota/:address
+     * @returns {object} { ok: true, address, day, budget, used, reserved, remaining, count }
+     * @description from 주소의 당일(UTC) 가스 예산 현황
+     */
+    app.get('/quota/:address', (req, res) => {
+        if (!ethers.isAddress(req.params.address)) return res.status(400).json({ ok: false, error: 'invalid address' });
+        const address = ethers.getAddress(req.params.address);
+        return res.json({ ok: true, address, ...policy.quotaOf(address) });
+    });
+
+    /**
+     * @route GET /quote
+     * @query
+     *  - quantity : 구매 수량 (필수, 1 ~ QUOTE_MAX_QUANTITY)
+     *  - refCode  : 8자리 레퍼럴 코드 (필수)
+     *  - ahead    : 내 tx보다 먼저 체결될 박스 수 가정
+     *               (생략 시 max(QUOTE_AHEAD_BOXES, 최근 QUOTE_LOOKBACK_BLOCKS 블록 판매량))
+     * @returns
+     *  - 성공: { ok: true, ...quote } (bigint는 문자열)
+     *  - 실패: 400 (수량/코드 형식) | 404 (레퍼럴 코드 없음) | 500
+     * @description
+     *  - getTotalBoxPurchased / codeToOwner / refDiscountOf 를 같은 블록에서 읽어 오프체인 계산
+     *  - buyBox는 p.value == 견적을 정확히 요구 → permit value는 permitValue(=total) 그대로 사용
+     *  - worstCase.total은 잔고/approve 확인용 (ahead > stableFor 이면 체결 시 금액 불일치로 revert 가능 → 재견적)
+     */
+    app.get('/quote', async (req, res) => {
+        const { quantity, refCode, ahead } = req.query;
+        let qty, aheadBoxes;
+        try {
+            qty = BigInt(quantity);
+            aheadBoxes = ahead != null && ahead !== '' ? BigInt(ahead) : null;
+        } catch {
+            return res.status(400).json({ ok: false, error: 'quantity/ahead must be integers' });
+        }
+        if (qty <= 0n || qty > quoteMaxQty) return res.status(400).json({ ok: false, error: `quantity out of range (1~${quoteMaxQty})` });
+        if (aheadBoxes !== null && aheadBoxes < 0n) return res.status(400).json({ ok: false, error: 'ahead must be >= 0' });
+        if (!refCode) return res.status(400).json({ ok: false, error: 'refCode is required' });
+
+        try {
+            const dep = await loadDeployment(provider);
+            const vesting = new ethers.Contract(dep.vesting, vestAbi, provider);
+            const blockNumber = await provider.getBlockNumber();
+            if (aheadBoxes === null) {
+                const recent = quoteLookback > 0 ? await recentBoxVolume(vesting, { blocks: quoteLookback, toBlock: blockNumber }) : 0n;
+                aheadBoxes = recent > quoteAheadMin ? recent : quoteAheadMin;
+            }
+            const q = await quoteFromChain(vesting, { quantity: qty, refCode, ahead: aheadBoxes, blockTag: blockNumber });
+            return res.json({ ok: true, ...quoteToJSON(q) });
+        } catch (e) {
+            const msg = e?.message || String(e);
+            if (/^ref (len!=8|invalid char)$/.test(msg)) return res.status(400).json({ ok: false, error: msg });
+            if (msg === 'referral code not found') return res.status(404).json({ ok: false, error: msg });
+            return res.status(500).json({ ok: false, error: msg });
+        }
+    });
+
+    /**
+     * @route POST /execute
+     * @body
+     *  - forwardRequest: { from, to, value, gas, nonce, deadline, data, signature }
+     *  - options       : { value, gasLimit } (문자열 가능)
+     * @returns
+     *  - 성공: 202 { ok: true, id, status: 'queued' }
+     *  - 실패: { ok: false, stage: 'policy'|'preflight'|'queue', code?, error, detail? }
+     * @description
+     *  1) 배포 레지스트리에서 forwarder 주소 로드
+     *  2) 문자열 BigInt 필드 복원 → 정책 검사(policy.js, 실패 시 reason code 반환)
+     *  3) preflight(staticCall)
+     *  4) 정책 검사 통과 시점에 가스 예약 → preflight / 큐 등록 실패 시 예약 해제
+     *     큐 등록 후 즉시 job id 반환 (전송/영수증 대기/수수료 인상은 큐가 처리, 결과는 GET /status/:id)
+     */
+    app.post('/execute', async (req, res) => {
+        let reservation = null;
+        try {
+            // 새로운 포맷: forwardRequest (서명 포함 단일 구조체)
+            // 하위호환: request + signature
+            const { forwardRequest, request, options } = req.body || {};
+            const reqObj = forwardRequest || request;
+            const invalid = validateForwardRequest(reqObj) || validateOptions(options);
+            if (invalid) {
+                count('execute', 'validate', 'rejected');
+                return res.status(400).json({ ok: false, error: invalid });
+            }
+
+            // forwarder 주소는 배포 레지스트리(deployments/<chainId>.json)에서 읽는다
+            const { addr: forwarderAddr, error: depError } = await resolveForwarder();
+            if (depError) {
+                count('execute', 'config', 'error');
+                return res.status(500).json({ ok: false, error: depError });
+            }
+
+            // stringified BigInt 필드 복원
+            const gasLimit = options?.gasLimit != null ? parseUint(options.gasLimit) : 3_000_000n;
+            const value    = options?.value != null ? parseUint(options.value) : 0n;
+            const requestFixed = toForwardRequest(reqObj);
+
+            // 정책 검사 (쿼터 / allowlist 미러 / gas / deadline)
+            const verdict = await policy.check({ forwarder: forwarderAddr, request: requestFixed, gasLimit });
+            if (!verdict.ok) {
+                count('execute', 'policy', 'rejected', verdict.code);
+                return res.status(verdict.http).json({
+                    ok: false, stage: 'policy', code: verdict.code, error: verdict.error, detail: verdict.detail,
+                });
+            }
+            reservation = verdict.reservation;
+
+            const forwarder = new ethers.Contract(forwarderAddr, fwdAbi, relayer);
+
+            // preflight(staticCall)
+            try {
+                await forwarder.execute.staticCall(requestFixed, { value, gasLimit });
+            } catch (preErr) {
+                reservation.release();
+                const r = revert.decode(preErr);
+                count('execute', 'preflight', 'rejected');
+                metrics.observePreflightRevert(r);
+                return res.status(r.http).json({ ok: false, stage: 'preflight', error: r.message, revert: revertView(r) });
+            }
+
+            // 릴레이 큐 등록 (즉시 응답)
+            try {
+                const job = queue.enqueue({
+                    forwarder: forwarderAddr,
+                    request: requestFixed,
+                    value,
+                    gasLimit,
+                });
+                reservation.bind(job.id);
+                reservation = null;
+                count('execute', 'queue', 'accepted');
+                return res.status(202).json({ ok: true, id: job.id, status: job.status });
+            } catch (err) {
+                reservation.release();
+                count('execute', 'queue', 'error');
+                return res.status(500).json({ ok: false, stage: 'queue', error: err?.message || String(err) });
+            }
+        } catch (e) {
+            reservation?.release();
+            count('execute', 'internal', 'error');
+            return res.status(500).json({ ok: false, error: e?.message || String(e) });
+        }
+    });
+
+    /**
+     * @route POST /executeBatch
+     * @body
+     *  - forwardRequests: [{ from, to, value, gas, nonce, deadline, data, signature }, ...] (별칭: requests)
+     *  - options        : { gasLimit } executeBatch gasLimit 강제값 (생략 시 estimateGas × 1.2)
+     * @returns
+     *  - 성공: 202 { ok: true, id, status: 'queued', accepted, rejected, items }
+     *  - 전부 실패: 422 { ok: false, stage: 'preflight', items }
+     *  - items[i]: { index, ok: true, gas } | { index, ok: false, stage: 'validate'|'policy'|'preflight'|'batch', code?, error }
+     * @description
+     *  1) 항목별 payload 검증 (같은 from이 두 번 나오면 뒤 항목 거부: 배치 내 nonce 순서 의존 방지)
+     *  2) 항목별 preflight(단건 execute estimateGas, revert 시 사유 디코딩) → 그 추정치(×1.2)로 정책 검사 + 가스 예약
+     *  3) 통과 항목을 BATCH_MAX_GAS 안에서 앞에서부터 채택 (초과 항목은 예약 해제)
+     *  4) executeBatch(통과 항목, refundReceiver=릴레이어) 1건으로 큐 등록, 항목별 예약을 job에 연결
+     *     (채굴 시점에 무효가 된 항목은 건너뛰어짐 → GET /status/:id 의 items로 확인)
+     */
+    app.post('/executeBatch', async (req, res) => {
+        const passed = []; // { index, request, gas, reservation } — 큐 등록 전 예외 시 예약 해제 대상
+        const releaseAll = (list) => list.forEach((p) => p.reservation.release());
+        try {
+            const { forwardRequests, requests, options } = req.body || {};
+            const list = forwardRequests || requests;
+            if (!Array.isArray(list) || !list.length) {
+                count('executeBatch', 'validate', 'rejected');
+                return res.status(400).json({ ok: false, error: 'invalid payload: forwardRequests must be a non-empty array' });
+            }
+            if (list.length > batchMaxItems) {
+                count('executeBatch', 'validate', 'rejected');
+                return res.status(400).json({ ok: false, error: `too many requests (max ${batchMaxItems})` });
+            }
+            const invalidOptions = validateOptions(options);
+            if (invalidOptions) {
+                count('executeBatch', 'validate', 'rejected');
+                return res.status(400).json({ ok: false, error: invalidOptions });
+            }
+
+            const { addr: forwarderAddr, error: depError } = await resolveForwarder();
+            if (depError) {
+                count('executeBatch', 'config', 'error');
+                return res.status(500).json({ ok: false, error: depError });
+            }
+            const forwarder = new ethers.Contract(forwarderAddr, fwdAbi, relayer);
+            /** 항목별 결과 집계 (채택 항목은 acceptedResult) */
+            const countItems = (acceptedResult) => items.forEach((it) => (it.ok
+                ? count('executeBatch', 'queue', acceptedResult)
+                : count('executeBatch', it.stage, 'rejected', it.code)));
+
+            const items = [];
+            const seenFrom = new Set();
+            for (let index = 0; index < list.length; index++) {
+                const reject = (stage, error, extra = {}) => items.push({ index, ok: false, stage, ...extra, error });
+
+                const invalid = validateForwardRequest(list[index]);
+                if (invalid) { reject('validate', invalid); continue; }
+                const requestFixed = toForwardRequest(list[index]);
+                const fromKey = requestFixed.from.toLowerCase();
+                if (seenFrom.has(fromKey)) { reject('validate', 'duplicate from in batch'); continue; }
+                seenFrom.add(fromKey);
+
+                // preflight: 단건 execute 기준 estimateGas (revert 시 사유 디코딩)
+                let gas;
+                try {
+                    gas = await forwarder.execute.estimateGas(requestFixed, { value: requestFixed.value });
+                } catch (preErr) {
+                    const r = revert.decode(preErr);
+                    metrics.observePreflightRevert(r);
+                    reject('preflight', r.message, { http: r.http, revert: revertView(r) });
+                    continue;
+                }
+                gas = (gas * 12n) / 10n;
+
+                const verdict = await policy.check({ forwarder: forwarderAddr, request: requestFixed, gasLimit: gas });
+                if (!verdict.ok) {
+                    reject('policy', verdict.error, { code: verdict.code, http: verdict.http, detail: verdict.detail });
+                    continue;
+                }
+                passed.push({ index, request: requestFixed, gas, reservation: verdict.reservation });
+            }
+
+            // BATCH_MAX_GAS 안에서 앞에서부터 채택
+            const accepted = [];
+            let gasSum = 0n;
+            for (const p of passed) {
+                if (gasSum + p.gas > batchMaxGas) {
+                    p.reservation.release();
+                    items.push({ index: p.index, ok: false, stage: 'batch', code: 'BATCH_GAS_EXCEEDED',
+                        error: `batch gas limit ${batchMaxGas} exceeded` });
+                    continue;
+                }
+                gasSum += p.gas;
+                accepted.push(p);
+                items.push({ index: p.index, ok: true, gas: p.gas.toString() });
+            }
+            items.sort((a, b) => a.index - b.index);
+            if (!accepted.length) {
+                countItems('accepted');
+                return res.status(422).json({ ok: false, stage: 'preflight', items });
+            }
+
+            const batchRequests = accepted.map((p) => p.request);
+            const value = batchRequests.reduce((a, r) => a + r.value, 0n);
+            let gasLimit;
+            if (options?.gasLimit != null) {
+                gasLimit = parseUint(options.gasLimit);
+            } else {
+                try {
+                    gasLimit = (await forwarder.executeBatch.estimateGas(batchRequests, relayer.address, { value }) * 12n) / 10n;
+                } catch {
+                    gasLimit = gasSum; // 항목별 추정치 합 (각각 21000 기본가스 포함 → 여유분)
+                }
+            }
+            if (gasLimit > batchMaxGas) gasLimit = batchMaxGas;
+
+            try {
+                const job = queue.enqueue({
+                    forwarder: forwarderAddr,
+                    requests: batchRequests,
+                    value,
+                    gasLimit,
+                    meta: { indices: accepted.map((p) => p.index), itemGas: accepted.map((p) => p.gas.toString()) },
+                });
+                accepted.forEach((p, i) => p.reservation.bind(`${job.id}#${i}`));
+                passed.length = 0; // 이후 예외에서 job에 연결된 예약을 해제하지 않도록
+                countItems('accepted');
+                return res.status(202).json({
+                    ok: true,
+                    id: job.id,
+                    status: job.status,
+                    accepted: accepted.length,
+                    rejected: list.length - accepted.length,
+                    items,
+                });
+            } catch (err) {
+                releaseAll(passed);
+                countItems('error');
+                return res.status(500).json({ ok: false, stage: 'queue', error: err?.message || String(err), items });
+            }
+        } catch (e) {
+            releaseAll(passed);
+            count('executeBatch', 'internal', 'error');
+            return res.status(500).json({ ok: false, error: e?.message || String(e) });
+        }
+    });
+
+    return {
+        app,
+        queue,
+        policy,
+        metrics,
+        balanceAlert,
+        /** 큐 폴링 / 잔액 점검 타이머 정지 + 저장소 대기분 기록 */
+        stop() {
+            queue.stop();
+            balanceAlert.stop();
+            store.close();
+        },
+    };
+}
+
+module.exports = {
+    createFdApp,
+    validateForwardRequest,
+    toForwardRequest,
+};
@@ -0,0 +1,271 @@
+/**
+ * @fileoverview
+ *  fd-server 운영 메트릭 (GET /metrics, Prometheus text exposition format 0.0.4)
+ * @description
+ *  외부 의존성 없이 counter / gauge만 구현 (prom-client 미사용)
+ *
+ *  요청 / 실행 (이벤트 시점에 누적)
+ *  - fd_requests_total{endpoint,stage,result,code}        : 요청 결과 (executeBatch는 항목 단위)
+ *      • result = accepted(큐 등록) | rejected(validate/policy/preflight/batch 거부) | error(서버 내부 오류)
+ *  - fd_preflight_reverts_total{kind,contract,name,reason}: preflight revert 사유 (scripts/_revert.js decode 결과,
+ *                                                           reason은 require 문자열 / panic 설명만)
+ *  - fd_jobs_total{kind,status,stage}                      : 릴레이 job 종료 결과 (confirmed | failed: submit/execute)
+ *  - fd_executions_total{selector,function,result}         : 대상 함수별 실행 결과 (success | reverted | skipped)
+ *  - fd_gas_used_total{selector,function}                  : 대상 함수별 가스 사용량
+ *  - fd_fee_wei_total{selector,function}                   : 대상 함수별 릴레이어 지불 수수료 (wei)
+ *      • batch job은 실행된 항목의 예약 가스 비율로 gasUsed / fee 배분 (policy 정산과 같은 기준)
+ *
+ *  상태 (scrape 시점에 조회)
+ *  - fd_relayer_balance_ether{relayer}                    : 릴레이어 잔액
+ *  - fd_relayer_in_flight{relayer}                        : 릴레이어별 미확정 tx 수
+ *  - fd_pending_jobs{status}                              : queued / submitted job 수
+ *  - fd_pending_tx_age_seconds{relayer}                   : 릴레이어별 가장 오래된 미확정 tx 경과 시간 (없으면 0)
+ *
+ * @author hlibbc
+ */
+const { ethers } = require('ethers');
+
+// =============================================================================
+// 레지스트리
+// =============================================================================
+
+/**
+ * @notice label 값 escape (\\, ", 줄바꿈)
+ */
+function escapeLabel(v) {
+    return String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * @notice 값이 없는 label은 생략 (Prometheus에서 빈 값 = 미지정과 동일)
+ * @returns {string} '{a="1",b="2"}' 또는 ''
+ */
+function formatLabels(labels) {
+    const parts = Object.entries(labels)
+        .filter(([, v]) => v !== undefined && v !== null && v !== '')
+        .map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+    return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * @notice 샘플 값 문자열 (bigint는 정수 그대로 — wei 누적값 정밀도 유지)
+ */
+function formatValue(v) {
+    if (typeof v === 'bigint') return v.toString();
+    if (Number.isNaN(v)) return 'NaN';
+    if (v === Infinity) return '+Inf';
+    if (v === -Infinity) return '-Inf';
+    return String(v);
+}
+
+/**
+ * @notice counter / gauge 레지스트리
+ * @returns {{ counter: Function, gauge: Function, render: () => string }}
+ */
+function createRegistry() {
+    /** @type {Map<string, { name: string, help: string, type: string, series: Map<string, { labels: object, value: number|bigint }> }>} */
+    const metrics = new Map();
+
+    function define(type, name, help) {
+        if (metrics.has(name)) throw new Error(`metric already defined: ${name}`);
+        const m = { name, help, type, series: new Map() };
+        metrics.set(name, m);
+        const slot = (labels) => {
+            const key = formatLabels(labels);
+            if (!m.series.has(key)) m.series.set(key, { labels, value: 0 });
+            return m.series.get(key);
+        };
+        return {
+            /** @param {object} [labels] @param {number|bigint} [v=1] */
+            inc(labels = {}, v = 1) {
+                const s = slot(labels);
+                s.value = (typeof v === 'bigint' || typeof s.value === 'bigint') ? BigInt(s.value) + BigInt(v) : s.value + v;
+            },
+            /** @param {object} labels @param {number|bigint} v */
+            set(labels, v) {
+                slot(labels).value = v;
+            },
+            /** 모든 series 제거 (scrape 시점 gauge 재구성용) */
+            reset() {
+                m.series.clear();
+            },
+            get(labels = {}) {
+                return m.series.get(formatLabels(labels))?.value;
+            },
+        };
+    }
+
+    function render() {
+        const lines = [];
+        for (const m of metrics.values()) {
+            lines.push(`# HELP ${m.name} ${m.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+            lines.push(`# TYPE ${m.name} ${m.type}`);
+            for (const [key, s] of m.series) lines.push(`${m.name}${key} ${formatValue(s.value)}`);
+        }
+        return `${lines.join('\n')}\n`;
+    }
+
+    return {
+        counter: (name, help) => define('counter', name, help),
+        gauge: (name, help) => define('gauge', name, help),
+        render,
+    };
+}
+
+// =============================================================================
+// fd-server 메트릭
+// =============================================================================
+
+/**
+ * @notice job의 대상 함수별 가스 배분
+ * @param {object} job 종료된 job (gasUsed 있음)
+ * @returns {{ selector: string, gas: bigint, result: 'success'|'reverted'|'skipped' }[]}
+ * @dev
+ *  - single: 전체 gasUsed를 request.data의 selector에 배정
+ *  - batch : 실행된 항목들에 meta.itemGas 비율로 배분 (나눗셈 나머지는 첫 항목), 실행된 항목이 없으면 전 항목 기준
+ */
+function gasShares(job) {
+    const total = BigInt(job.gasUsed ?? 0n);
+    const selectorOf = (req) => String(req?.data ?? '0x').slice(0, 10).toLowerCase();
+
+    if (job.kind !== 'batch') {
+        return [{ selector: selectorOf(job.request), gas: total, result: job.status === 'confirmed' ? 'success' : 'reverted' }];
+    }
+
+    const items = job.requests.map((req, i) => {
+        const it = job.items?.[i];
+        return {
+            selector: selectorOf(req),
+            weight: BigInt(job.meta?.itemGas?.[i] ?? 1),
+            ran: Boolean(it?.executed),
+            result: !it?.executed ? 'skipped' : it.success ? 'success' : 'reverted',
+        };
+    });
+    const payers = items.some((it) => it.ran) ? items.filter((it) => it.ran) : items;
+    const weight = payers.reduce((a, it) => a + it.weight, 0n);
+    let assigned = 0n;
+    const shares = items.map((it) => {
+        const gas = payers.includes(it) && weight > 0n ? (total * it.weight) / weight : 0n;
+        assigned += gas;
+        return { selector: it.selector, gas, result: it.result };
+    });
+    const first = shares.find((s, i) => payers.includes(items[i]));
+    if (first) first.gas += total - assigned;
+    return shares;
+}
+
+/**
+ * @notice fd-server 메트릭 생성
+ * @param {object} cfg
+ * @param {object} cfg.queue 릴레이 큐 (createRelayQueue 반환값: relayers(), jobs())
+ * @param {() => Promise<{ address: string, balance: bigint|null }[]>} [cfg.readBalances] 릴레이어 잔액 조회 (scrape 시)
+ * @param {(selector: string) => string|undefined} [cfg.describeSelector] selector → 함수 이름 (label용)
+ * @param {() => number} [cfg.now] 현재 시각(ms) (테스트용)
+ * @returns {object} { observeRequest, observePreflightRevert, observeJob, collect, render, registry }
+ */
+function createFdMetrics({ queue, readBalances, describeSelector = () => undefined, now = Date.now }) {
+    const registry = createRegistry();
+
+    const requests = registry.counter('fd_requests_total', 'fd-server request results by endpoint, stage and result (executeBatch counted per item)');
+    const reverts = registry.counter('fd_preflight_reverts_total', 'preflight revert reasons decoded by scripts/_revert.js');
+    const jobs = registry.counter('fd_jobs_total', 'relay jobs finished, by kind and final status');
+    const executions = registry.counter('fd_executions_total', 'forwarded calls by target selector and result');
+    const gasUsed = registry.counter('fd_gas_used_total', 'gas used by relayed transactions, by target selector');
+    const feeWei = registry.counter('fd_fee_wei_total', 'fees paid by relayers in wei, by target selector');
+
+    const balance = registry.gauge('fd_relayer_balance_ether', 'relayer native balance in ether');
+    const inFlight = registry.gauge('fd_relayer_in_flight', 'unconfirmed transactions per relayer');
+    const pending = registry.gauge('fd_pending_jobs', 'jobs waiting to be sent (queued) or mined (submitted)');
+    const pendingAge = registry.gauge('fd_pending_tx_age_seconds', 'age of the oldest unconfirmed transaction per relayer (0 if none)');
+
+    /** 종료 job 중복 집계 방지 */
+    const observed = new WeakSet();
+
+    /**
+     * @notice 요청 결과 1건
+     * @param {{ endpoint: string, stage: string, result: 'accepted'|'rejected'|'error', code?: string }} p
+     */
+    function observeRequest({ endpoint, stage, result, code }) {
+        requests.inc({ endpoint, stage, result, code });
+    }
+
+    /**
+     * @notice preflight revert 1건 (revert.decode 결과)
+     */
+    function observePreflightRevert(r) {
+        reverts.inc({
+            kind: r.kind,
+            contract: r.contract,
+            name: r.name ?? 'unknown',
+            reason: r.kind === 'error' || r.kind === 'panic' ? r.reason : undefined,
+        });
+    }
+
+    /**
+     * @notice 종료된 job 집계 (queue.onUpdate에 연결, confirmed / failed 외에는 무시)
+     */
+    function observeJob(job) {
+        if (job.status !== 'confirmed' && job.status !== 'failed') return;
+        if (observed.has(job)) return;
+        observed.add(job);
+
+        jobs.inc({ kind: job.kind, status: job.status, stage: job.stage });
+        if (job.gasUsed == null) return; // 전송 전 실패 (submit): 소모 가스 없음
+
+        const total = BigInt(job.gasUsed);
+        const fee = BigInt(job.feeWei ?? 0n);
+        for (const s of gasShares(job)) {
+            const labels = { selector: s.selector, function: describeSelector(s.selector) };
+            executions.inc({ ...labels, result: s.result });
+            if (s.gas === 0n) continue;
+            gasUsed.inc(labels, s.gas);
+            feeWei.inc(labels, total > 0n ? (fee * s.gas) / total : 0n);
+        }
+    }
+
+    /**
+     * @notice scrape 시점 gauge 갱신 (릴레이어 잔액 / in-flight / 미확정 job)
+     */
+    async function collect() {
+        const t = now();
+        const relayers = queue.relayers();
+        const balances = readBalances ? await readBalances() : [];
+
+        balance.reset();
+        for (const { address, balance: wei } of balances) {
+            if (wei != null) balance.set({ relayer: address }, Number(ethers.formatEther(wei)));
+        }
+
+        inFlight.reset();
+        pendingAge.reset();
+        const oldest = new Map(relayers.map((r) => [r.address, 0]));
+        for (const r of relayers) inFlight.set({ relayer: r.address }, r.inFlight);
+
+        const counts = { queued: 0, submitted: 0 };
+        for (const job of queue.jobs()) {
+            if (job.status === 'queued') counts.queued++;
+            if (job.status !== 'submitted') continue;
+            counts.submitted++;
+            const age = Math.max(0, (t - (job.submittedAt ?? t)) / 1000);
+            if (age > (oldest.get(job.relayer) ?? 0)) oldest.set(job.relayer, age);
+        }
+        for (const [relayer, age] of oldest) pendingAge.set({ relayer }, age);
+        for (const [status, n] of Object.entries(counts)) pending.set({ status }, n);
+    }
+
+    /**
+     * @notice collect 후 text exposition 반환 (GET /metrics)
+     */
+    async function render() {
+        await collect();
+        return registry.render();
+    }
+
+    return { observeRequest, observePreflightRevert, observeJob, collect, render, registry };
+}
+
+module.exports = {
+    createRegistry,
+    createFdMetrics,
+    gasShares,
+};
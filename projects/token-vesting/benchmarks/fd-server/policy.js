@@ -0,0 +1,338 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  fd-server 릴레이 정책 엔진 (per-user 쿼터 + allowlist 미러)
+ * @description
+ *  preflight(staticCall) 전에 값싼 정책 검사를 먼저 수행해, 릴레이어 가스를 소모시키는 요청을 조기 차단한다.
+ *
+ *  검사 항목 (실패 시 reason code)
+ *  - VALUE_NOT_ALLOWED         (422): request.value > maxValue (릴레이어가 ETH를 대신 내는 요청 차단)
+ *  - DEADLINE_INVALID          (400): request.deadline 누락 / 정수(unix 초)가 아님 (NaN 비교로 기한 검사를 건너뛰지 않도록)
+ *  - DEADLINE_TOO_SOON         (422): request.deadline - now < minDeadlineSec (만료 포함)
+ *  - GAS_LIMIT_EXCEEDED        (422): request.gas > maxGasPerRequest 또는 execute gasLimit > maxExecuteGas
+ *  - TARGET_NOT_WHITELISTED    (403): forwarder.whitelist(to) 미러 기준 미등록
+ *  - SELECTOR_NOT_ALLOWED      (403): forwarder.isAllowed(to, selector) 미러 기준 미허용
+ *  - DAILY_GAS_BUDGET_EXCEEDED (429): from 주소의 당일(UTC) 사용량 + 진행중 예약 + 이번 요청 > 일일 예산
+ *
+ *  allowlist 미러
+ *  - WhitelistForwarder의 WhitelistAdded / WhitelistRemoved / AllowedFunctionSet 이벤트를 재생해 로컬에 보관
+ *  - mirrorTtlMs 마다 마지막 블록 이후 이벤트만 추가로 읽어 갱신 (setAllowed 변경이 자동 반영됨)
+ *  - 마지막 블록 해시가 달라지면(노드 재시작/reorg) 미러를 처음부터 다시 만든다
+ *
+ *  가스 예산
+ *  - check() 통과 시 execute gasLimit 만큼 예약 → job 종료 시 실제 gasUsed로 정산(settle)
+ *      • 쿼터 비교와 예약은 await 없이 한 번에 수행 (같은 from의 동시 요청이 같은 잔여량으로 함께 통과하지 않도록)
+ *      • 반환된 예약 핸들: 큐 등록 성공 시 bind(jobId), preflight / 큐 등록 실패 시 release()
+ *  - 사용량(used)은 저장소에 영속화, 예약(reserved)은 메모리에만 유지 (재시작 시 진행중 job과 함께 소멸)
+ *  - 주소별 예산 덮어쓰기: 저장소의 budgets[address] (gas 단위 문자열)
+ *
+ * @author hlibbc
+ */
+const { ethers } = require('ethers');
+
+/** reason code → HTTP status */
+const POLICY_HTTP_STATUS = {
+    VALUE_NOT_ALLOWED: 422,
+    DEADLINE_INVALID: 400,
+    DEADLINE_TOO_SOON: 422,
+    GAS_LIMIT_EXCEEDED: 422,
+    TARGET_NOT_WHITELISTED: 403,
+    SELECTOR_NOT_ALLOWED: 403,
+    DAILY_GAS_BUDGET_EXCEEDED: 429,
+};
+
+const USAGE_KEEP_DAYS = 7;
+
+/** ForwardRequest.deadline 타입(uint48) 상한 */
+const MAX_DEADLINE = 2n ** 48n - 1n;
+
+/**
+ * @notice deadline → bigint (음이 아닌 정수: bigint / safe integer / 10진 문자열만, 아니면 null)
+ * @param {unknown} v
+ * @returns {bigint|null}
+ */
+function deadlineOf(v) {
+    let d = null;
+    if (typeof v === 'bigint') d = v;
+    else if (typeof v === 'number' && Number.isSafeInteger(v)) d = BigInt(v);
+    else if (typeof v === 'string' && /^\d+$/.test(v)) d = BigInt(v);
+    return d !== null && d >= 0n && d <= MAX_DEADLINE ? d : null;
+}
+
+/**
+ * @notice UTC 날짜 키 (YYYY-MM-DD)
+ * @param {number} [ms]
+ * @returns {string}
+ */
+function utcDayKey(ms = Date.now()) {
+    return new Date(ms).toISOString().slice(0, 10);
+}
+
+/**
+ * @notice 컨트랙트 배포 블록을 이진탐색으로 찾는다 (실패 시 0)
+ * @param {import('ethers').Provider} provider
+ * @param {string} addr
+ * @returns {Promise<number>}
+ */
+async function findDeployBlock(provider, addr) {
+    try {
+        let lo = 0, hi = await provider.getBlockNumber();
+        if ((await provider.getCode(addr, hi)) === '0x') return hi;
+        while (lo < hi) {
+            const mid = Math.floor((lo + hi) / 2);
+            if ((await provider.getCode(addr, mid)) === '0x') lo = mid + 1; else hi = mid;
+        }
+        return lo;
+    } catch {
+        return 0; // archive 조회 미지원 노드
+    }
+}
+
+/**
+ * @notice 정책 엔진 생성
+ * @param {object} cfg
+ * @param {import('ethers').Provider} cfg.provider
+ * @param {import('ethers').InterfaceAbi} cfg.forwarderAbi
+ * @param {ReturnType<import('./store').openJsonStore>} cfg.store 영속 저장소
+ * @param {bigint} [cfg.dailyGasBudget=10_000_000n] 주소별 기본 일일 가스 예산
+ * @param {bigint} [cfg.maxGasPerRequest=3_000_000n] request.gas 상한
+ * @param {bigint} [cfg.maxExecuteGas=5_000_000n] execute gasLimit 상한
+ * @param {bigint} [cfg.maxValue=0n] request.value 상한
+ * @param {number} [cfg.minDeadlineSec=60] deadline 최소 잔여 시간(초)
+ * @param {number} [cfg.mirrorTtlMs=15000] allowlist 미러 갱신 주기
+ * @param {number} [cfg.logStep=5000] 이벤트 조회 블록 범위
+ * @returns {object} { check, settle, quotaOf, refreshMirror }
+ */
+function createPolicy(cfg) {
+    const {
+        provider,
+        forwarderAbi,
+        store,
+        dailyGasBudget = 10_000_000n,
+        maxGasPerRequest = 3_000_000n,
+        maxExecuteGas = 5_000_000n,
+        maxValue = 0n,
+        minDeadlineSec = 60,
+        mirrorTtlMs = 15_000,
+        logStep = 5000,
+    } = cfg;
+    const iface = new ethers.Interface(forwarderAbi);
+    const data = store.data;
+    data.mirror ??= null;
+    data.usage ??= {};
+    data.budgets ??= {};
+
+    /** @type {Map<string, {from: string, day: string, gas: bigint}>} jobId(등록 전에는 임시 키) → 예약 */
+    const reservations = new Map();
+    let reservationSeq = 0;
+    let mirrorCheckedAt = 0;
+    let refreshing = null;
+
+    // ── allowlist 미러 ─────────────────────────────────────────────────────
+    /**
+     * @notice forwarder 이벤트를 재생해 whitelist / isAllowed 미러 갱신
+     * @param {string} forwarder
+     * @param {{force?: boolean}} [opts]
+     */
+    async function refreshMirror(forwarder, opts = {}) {
+        const fwd = ethers.getAddress(forwarder);
+        if (!opts.force && data.mirror?.forwarder === fwd && Date.now() - mirrorCheckedAt < mirrorTtlMs) return;
+        if (refreshing) return refreshing;
+        refreshing = (async () => {
+            // 다른 forwarder이거나, 저장된 마지막 블록 해시가 현재 체인과 다르면(노드 재시작/reorg) 처음부터 재생
+            const hashAt = async (n) => (n >= 0 ? (await provider.getBlock(n))?.hash ?? null : null);
+            const stale = !data.mirror || data.mirror.forwarder !== fwd ||
+                (data.mirror.lastBlock >= 0 && data.mirror.lastBlockHash !== await hashAt(data.mirror.lastBlock));
+            if (stale) {
+                data.mirror = {
+                    forwarder: fwd,
+                    lastBlock: (await findDeployBlock(provider, fwd)) - 1,
+                    lastBlockHash: null,
+                    whitelist: {},
+                    allowed: {},
+                };
+            }
+            const m = data.mirror;
+            const latest = await provider.getBlockNumber();
+            const topics = [[
+                iface.getEvent('WhitelistAdded').topicHash,
+                iface.getEvent('WhitelistRemoved').topicHash,
+                iface.getEvent('AllowedFunctionSet').topicHash,
+            ]];
+            for (let from = m.lastBlock + 1; from <= latest; from += logStep) {
+                const to = Math.min(from + logStep - 1, latest);
+                const logs = await provider.getLogs({ address: fwd, topics, fromBlock: from, toBlock: to });
+                for (const log of logs) {
+                    const ev = iface.parseLog(log);
+                    const target = ethers.getAddress(ev.args.target);
+                    if (ev.name === 'WhitelistAdded') m.whitelist[target] = true;
+                    else if (ev.name === 'WhitelistRemoved') delete m.whitelist[target];
+                    else {
+                        const sel = String(ev.args.selector).toLowerCase();
+                        m.allowed[target] ??= {};
+                        if (ev.args.flag) m.allowed[target][sel] = true; else delete m.allowed[target][sel];
+                    }
+                }
+                m.lastBlock = to;
+            }
+            m.lastBlockHash = await hashAt(m.lastBlock);
+            mirrorCheckedAt = Date.now();
+            store.saveSoon();
+        })().finally(() => { refreshing = null; });
+        return refreshing;
+    }
+
+    // ── 가스 예산 ─────────────────────────────────────────────────────────
+    function budgetOf(from) {
+        const o = data.budgets[ethers.getAddress(from)];
+        return o != null ? BigInt(o) : dailyGasBudget;
+    }
+
+    function usageOf(from, day) {
+        const u = data.usage[day]?.[ethers.getAddress(from)];
+        return { used: BigInt(u?.used || 0), count: u?.count || 0 };
+    }
+
+    function reservedOf(from, day) {
+        const a = ethers.getAddress(from);
+        let s = 0n;
+        for (const r of reservations.values()) if (r.from === a && r.day === day) s += r.gas;
+        return s;
+    }
+
+    function pruneUsage() {
+        const days = Object.keys(data.usage).sort();
+        while (days.length > USAGE_KEEP_DAYS) delete data.usage[days.shift()];
+    }
+
+    /**
+     * @notice 주소의 당일 쿼터 현황
+     * @param {string} from
+     * @returns {{day: string, budget: string, used: string, reserved: string, remaining: string, count: number}}
+     */
+    function quotaOf(from) {
+        const day = utcDayKey();
+        const budget = budgetOf(from);
+        const { used, count } = usageOf(from, day);
+        const reserved = reservedOf(from, day);
+        const remaining = budget > used + reserved ? budget - used - reserved : 0n;
+        return {
+            day,
+            budget: budget.toString(),
+            used: used.toString(),
+            reserved: reserved.toString(),
+            remaining: remaining.toString(),
+            count,
+        };
+    }
+
+    // ── 검사 ──────────────────────────────────────────────────────────────
+    const deny = (code, error, detail) => ({ ok: false, code, http: POLICY_HTTP_STATUS[code], error, detail });
+
+    /**
+     * @notice 가스 예약 (임시 키로 등록, 핸들로 job에 연결 / 해제)
+     * @param {string} from
+     * @param {bigint} gas
+     * @returns {{gas: bigint, bind: (jobId: string) => void, release: () => void}}
+     */
+    function reserve(from, gas) {
+        let key = `pending#${++reservationSeq}`;
+        reservations.set(key, { from: ethers.getAddress(from), day: utcDayKey(), gas });
+        return {
+            gas,
+            /** 큐 등록 후 job id로 옮김 (settle(jobId)로 정산) */
+            bind(jobId) {
+                const r = reservations.get(key);
+                if (!r) return;
+                reservations.delete(key);
+                reservations.set(jobId, r);
+                key = jobId;
+            },
+            /** 예약 취소 (preflight / 큐 등록 실패) */
+            release() {
+                reservations.delete(key);
+            },
+        };
+    }
+
+    /**
+     * @notice 정책 검사 + 통과 시 가스 예약
+     * @param {object} args
+     * @param {string} args.forwarder forwarder 주소
+     * @param {{from: string, to: string, value: bigint, gas: bigint, deadline: bigint|number, data: string}} args.request
+     * @param {bigint} args.gasLimit execute gasLimit (예약량)
+     * @returns {Promise<{ok: true, reservation: ReturnType<typeof reserve>} | {ok: false, code: string, http: number, error: string, detail?: object}>}
+     * @dev 마지막 await(미러 갱신) 이후 쿼터 비교 → 예약까지 동기로 처리
+     */
+    async function check({ forwarder, request, gasLimit }) {
+        const value = BigInt(request.value || 0);
+        if (value > maxValue) {
+            return deny('VALUE_NOT_ALLOWED', `request.value ${value} exceeds ${maxValue}`, { max: maxValue.toString() });
+        }
+
+        const deadline = deadlineOf(request.deadline);
+        if (deadline === null) {
+            return deny('DEADLINE_INVALID', 'request.deadline must be an integer unix timestamp (seconds)',
+                { deadline: request.deadline == null ? null : String(request.deadline) });
+        }
+        const nowSec = Math.floor(Date.now() / 1000);
+        const remainSec = Number(deadline) - nowSec;
+        if (remainSec < minDeadlineSec) {
+            return deny('DEADLINE_TOO_SOON', `deadline must be at least ${minDeadlineSec}s ahead (remaining ${remainSec}s)`,
+                { remaining: remainSec, min: minDeadlineSec });
+        }
+
+        const reqGas = BigInt(request.gas || 0);
+        if (reqGas > maxGasPerRequest) {
+            return deny('GAS_LIMIT_EXCEEDED', `request.gas ${reqGas} exceeds ${maxGasPerRequest}`, { max: maxGasPerRequest.toString() });
+        }
+        if (gasLimit > maxExecuteGas) {
+            return deny('GAS_LIMIT_EXCEEDED', `execute gasLimit ${gasLimit} exceeds ${maxExecuteGas}`, { max: maxExecuteGas.toString() });
+        }
+
+        await refreshMirror(forwarder);
+        const to = ethers.getAddress(request.to);
+        const sel = String(request.data).slice(0, 10).toLowerCase();
+        if (!data.mirror.whitelist[to]) {
+            return deny('TARGET_NOT_WHITELISTED', `target ${to} is not whitelisted on forwarder`, { target: to });
+        }
+        if (!data.mirror.allowed[to]?.[sel]) {
+            return deny('SELECTOR_NOT_ALLOWED', `selector ${sel} is not allowed for ${to}`, { target: to, selector: sel });
+        }
+
+        // ── 여기부터 await 금지: 쿼터 비교와 예약이 한 단계여야 함
+        const q = quotaOf(request.from);
+        if (BigInt(q.remaining) < gasLimit) {
+            return deny('DAILY_GAS_BUDGET_EXCEEDED', `daily gas budget exceeded for ${ethers.getAddress(request.from)}`,
+                { ...q, requested: gasLimit.toString() });
+        }
+        return { ok: true, reservation: reserve(request.from, gasLimit) };
+    }
+
+    /**
+     * @notice job 종료 시 예약 해제 + 실제 사용량 반영
+     * @param {string} jobId
+     * @param {bigint} gasUsed 체인에 기록된 gasUsed (전송 실패 시 0)
+     */
+    function settle(jobId, gasUsed) {
+        const r = reservations.get(jobId);
+        if (!r) return;
+        reservations.delete(jobId);
+        data.usage[r.day] ??= {};
+        const u = data.usage[r.day][r.from] ?? { used: '0', count: 0 };
+        data.usage[r.day][r.from] = {
+            used: (BigInt(u.used) + BigInt(gasUsed || 0)).toString(),
+            count: u.count + (gasUsed ? 1 : 0),
+        };
+        pruneUsage();
+        store.saveSoon();
+    }
+
+    return { check, settle, quotaOf, refreshMirror };
+}
+
+module.exports = {
+    POLICY_HTTP_STATUS,
+    createPolicy,
+    utcDayKey,
+};
@@ -0,0 +1,409 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  fd-server 릴레이 큐 (nonce 관리 + 릴레이어 풀 + stuck tx 수수료 인상)
+ * @description
+ *  - /execute 요청을 job으로 등록하고 즉시 job id를 돌려준다 (영수증 대기는 큐가 담당)
+ *  - 릴레이어 키 여러 개를 풀로 사용: in-flight 수가 가장 적은 릴레이어에 배정
+ *  - 릴레이어별 로컬 nonce 관리
+ *      • 시작 시 getTransactionCount(addr, 'pending')로 초기화
+ *      • 릴레이어별 전송을 직렬화 → 브로드캐스트 성공 시에만 nonce 증가 (nonce gap 방지)
+ *      • nonce too low / already known 류 에러 시 체인 기준으로 재동기화 후 1회 재전송
+ *  - stuck tx: bumpAfterMs 동안 채굴되지 않으면 같은 nonce로 수수료를 bumpPercent% 올려 재전송
+ *    (maxBumps회까지, 이전 tx 해시도 계속 추적하여 먼저 채굴된 쪽을 결과로 사용)
+ *    마지막 인상 후에도 bumpAfterMs 동안 미채굴이면 job을 failed 처리하고 릴레이어 슬롯(inFlight)을 반환
+ *
+ *  - batch job: executeBatch(requests, refundReceiver=릴레이어)로 전송 (비원자 모드)
+ *      • 채굴 시점에 무효가 된 항목은 건너뛰어지고 나머지는 실행됨
+ *      • 항목별 결과는 영수증의 ExecutedForwardRequest(signer, nonce, success) 로그로 판정
+ *
+ *  job 상태: queued → submitted → confirmed | failed
+ *
+ * @author hlibbc
+ */
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+/**
+ * @notice nonce 관련 전송 에러인지 판별
+ * @param {unknown} e
+ * @returns {boolean}
+ */
+function isNonceError(e) {
+    const m = String(e?.shortMessage || e?.message || '').toLowerCase();
+    return e?.code === 'NONCE_EXPIRED' ||
+        m.includes('nonce too low') ||
+        m.includes('nonce has already been used') ||
+        m.includes('already known') ||
+        m.includes('replacement transaction underpriced');
+}
+
+/**
+ * @notice 수수료 필드를 percent% 만큼 올린다 (EIP-1559 / legacy 모두 지원)
+ * @param {object} fees { maxFeePerGas, maxPriorityFeePerGas } | { gasPrice }
+ * @param {bigint} percent
+ * @returns {object}
+ */
+function bumpFees(fees, percent) {
+    const up = (v) => (v * (100n + percent) + 99n) / 100n;
+    if (fees.gasPrice != null) return { gasPrice: up(fees.gasPrice) };
+    return {
+        maxFeePerGas: up(fees.maxFeePerGas),
+        maxPriorityFeePerGas: up(fees.maxPriorityFeePerGas),
+    };
+}
+
+/**
+ * @notice 릴레이 큐 생성
+ * @param {object} cfg
+ * @param {import('ethers').JsonRpcProvider} cfg.provider
+ * @param {string[]} [cfg.relayerKeys] 릴레이어 프라이빗키 목록
+ * @param {import('ethers').Wallet[]} [cfg.relayerWallets] 릴레이어 지갑 목록 (keystore 등에서 로드, relayerKeys 대신)
+ * @param {import('ethers').InterfaceAbi} cfg.forwarderAbi WhitelistForwarder ABI
+ * @param {(e: unknown) => string} [cfg.decodeError] 실패 사유 디코더
+ * @param {number} [cfg.pollMs=2000] 영수증 폴링 주기
+ * @param {number} [cfg.bumpAfterMs=30000] 이 시간 동안 미채굴이면 수수료 인상
+ * @param {number} [cfg.bumpPercent=15] 인상률(%) — 노드 교체 규칙상 10% 이상 필요
+ * @param {number} [cfg.maxBumps=5] 최대 인상 횟수
+ * @param {number} [cfg.maxJobs=10000] 메모리에 보관할 최대 job 수(오래된 완료 job부터 정리)
+ * @returns {object} 큐 핸들 { enqueue, get, stats, relayers, stop }
+ */
+function createRelayQueue(cfg) {
+    const {
+        provider,
+        relayerKeys,
+        relayerWallets,
+        forwarderAbi,
+        decodeError = (e) => e?.shortMessage || e?.message || String(e),
+        pollMs = 2000,
+        bumpAfterMs = 30_000,
+        bumpPercent = 15,
+        maxBumps = 5,
+        maxJobs = 10_000,
+    } = cfg;
+    const wallets = relayerWallets ?? (relayerKeys ?? []).map((k) => new ethers.Wallet(k, provider));
+    if (!wallets.length) throw new Error('❌ 릴레이어 키가 최소 1개 필요합니다.');
+    const forwarderIface = new ethers.Interface(forwarderAbi);
+
+    // ── 릴레이어 풀
+    const relayers = wallets.map((w) => {
+        const wallet = w.provider ? w : w.connect(provider);
+        return {
+            wallet,
+            address: wallet.address,
+            nonce: null, // 로컬 nonce (다음에 쓸 값)
+            inFlight: 0,
+            chain: Promise.resolve(), // 전송 직렬화용
+        };
+    });
+
+    /** @type {Map<string, object>} */
+    const jobs = new Map();
+    const listeners = new Set();
+    let timer = null;
+    let polling = false;
+
+    const now = () => Date.now();
+    const emit = (job) => { for (const fn of listeners) { try { fn(job); } catch { /* listener 오류 무시 */ } } };
+    const update = (job, patch) => {
+        Object.assign(job, patch, { updatedAt: now() });
+        emit(job);
+    };
+
+    /**
+     * @notice 릴레이어 nonce를 체인(pending) 기준으로 동기화
+     */
+    async function syncNonce(r) {
+        r.nonce = await provider.getTransactionCount(r.address, 'pending');
+    }
+
+    /**
+     * @notice 현재 네트워크 수수료 조회 (EIP-1559 미지원 체인은 gasPrice)
+     */
+    async function currentFees() {
+        const fd = await provider.getFeeData();
+        if (fd.maxFeePerGas != null && fd.maxPriorityFeePerGas != null) {
+            return { maxFeePerGas: fd.maxFeePerGas, maxPriorityFeePerGas: fd.maxPriorityFeePerGas };
+        }
+        return { gasPrice: fd.gasPrice ?? 0n };
+    }
+
+    /**
+     * @notice 가장 한가한 릴레이어 선택 (동률이면 앞쪽)
+     */
+    function pickRelayer() {
+        return relayers.reduce((a, b) => (b.inFlight < a.inFlight ? b : a));
+    }
+
+    /**
+     * @notice 릴레이어 전송 직렬화 래퍼
+     */
+    function serialized(r, fn) {
+        const p = r.chain.then(fn, fn);
+        r.chain = p.catch(() => {});
+        return p;
+    }
+
+    /**
+     * @notice job 최초 전송 (nonce 배정)
+     */
+    async function submit(job) {
+        const r = pickRelayer();
+        r.inFlight++;
+        update(job, { relayer: r.address });
+        try {
+            await serialized(r, async () => {
+                if (r.nonce == null) await syncNonce(r);
+                const fees = await currentFees();
+                const forwarder = new ethers.Contract(job.forwarder, forwarderAbi, r.wallet);
+                const overrides = { value: job.value, gasLimit: job.gasLimit };
+                const populated = job.kind === 'batch'
+                    ? await forwarder.executeBatch.populateTransaction(job.requests, r.address, overrides)
+                    : await forwarder.execute.populateTransaction(job.request, overrides);
+                const send = (nonce) => r.wallet.sendTransaction({ ...populated, ...fees, nonce });
+
+                let tx;
+                try {
+                    tx = await send(r.nonce);
+                } catch (e) {
+                    if (!isNonceError(e)) throw e;
+                    await syncNonce(r);
+                    tx = await send(r.nonce);
+                }
+                r.nonce = tx.nonce + 1;
+                update(job, {
+                    status: 'submitted',
+                    nonce: tx.nonce,
+                    txHash: tx.hash,
+                    txHashes: [tx.hash],
+                    tx: { ...populated, nonce: tx.nonce },
+                    fees,
+                    submittedAt: now(),
+                    lastSentAt: now(),
+                });
+                console.log(`📤 [job ${job.id}] relayer=${r.address} nonce=${tx.nonce} tx=${tx.hash}`);
+            });
+        } catch (e) {
+            r.inFlight--;
+            update(job, { status: 'failed', stage: 'submit', error: decodeError(e) });
+        }
+    }
+
+    /**
+     * @notice batch 영수증에서 항목별 실행 결과 추출
+     * @dev ExecutedForwardRequest(signer, nonce, success)를 (from, nonce)로 매칭, 로그가 없으면 건너뛴 항목
+     */
+    function batchItemsOf(job, rc) {
+        const executed = new Map();
+        for (const log of rc.logs || []) {
+            if (log.address.toLowerCase() !== job.forwarder.toLowerCase()) continue;
+            let ev = null;
+            try { ev = forwarderIface.parseLog(log); } catch { /* 다른 이벤트 */ }
+            if (ev?.name !== 'ExecutedForwardRequest') continue;
+            executed.set(`${ev.args.signer.toLowerCase()}:${ev.args.nonce}`, ev.args.success);
+        }
+        return job.requests.map((req, index) => {
+            const key = `${req.from.toLowerCase()}:${BigInt(req.nonce)}`;
+            const ran = rc.status === 1 && executed.has(key);
+            return {
+                index: job.meta?.indices?.[index] ?? index, // /executeBatch 요청 기준 인덱스
+                from: req.from,
+                nonce: req.nonce,
+                executed: ran,
+                success: ran && executed.get(key),
+                error: !ran ? 'skipped (invalid at execution)' : (executed.get(key) ? undefined : 'call reverted'),
+            };
+        });
+    }
+
+    /**
+     * @notice stuck tx 수수료 인상 재전송 (같은 nonce)
+     */
+    async function bump(job, r) {
+        const fees = bumpFees(job.fees, BigInt(bumpPercent));
+        try {
+            const tx = await r.wallet.sendTransaction({ ...job.tx, ...fees });
+            update(job, {
+                fees,
+                txHash: tx.hash,
+                txHashes: [...job.txHashes, tx.hash],
+                bumps: (job.bumps || 0) + 1,
+                lastSentAt: now(),
+            });
+            console.log(`⏫ [job ${job.id}] fee bump #${job.bumps} tx=${tx.hash}`);
+        } catch (e) {
+            // 이미 채굴된 경우(nonce too low)는 다음 폴링에서 영수증으로 정리됨
+            if (!isNonceError(e)) console.warn(`⚠️ [job ${job.id}] fee bump 실패:`, e?.shortMessage || e?.message);
+            update(job, { lastSentAt: now() });
+        }
+    }
+
+    /**
+     * @notice submitted job들의 영수증 확인 / stuck 처리
+     */
+    async function poll() {
+        if (polling) return;
+        polling = true;
+        try {
+            for (const job of jobs.values()) {
+                if (job.status !== 'submitted') continue;
+                const r = relayers.find((x) => x.address === job.relayer);
+
+                let rc = null;
+                for (const h of job.txHashes) {
+                    rc = await provider.getTransactionReceipt(h);
+                    if (rc) break;
+                }
+                if (rc) {
+                    r.inFlight--;
+                    const fee = (rc.gasUsed ?? 0n) * (rc.gasPrice ?? rc.effectiveGasPrice ?? 0n);
+                    update(job, {
+                        status: rc.status === 1 ? 'confirmed' : 'failed',
+                        stage: rc.status === 1 ? undefined : 'execute',
+                        error: rc.status === 1 ? undefined : 'transaction reverted',
+                        txHash: rc.hash,
+                        block: rc.blockNumber,
+                        receiptStatus: rc.status,
+                        gasUsed: rc.gasUsed,
+                        feeWei: fee,
+                        ...(job.kind === 'batch' ? { items: batchItemsOf(job, rc) } : {}),
+                    });
+                    console.log(`${rc.status === 1 ? '✅' : '❌'} [job ${job.id}] block=${rc.blockNumber} gasUsed=${rc.gasUsed} fee=${ethers.formatEther(fee)} ETH`);
+                    continue;
+                }
+
+                // 같은 nonce가 다른 tx로 소비됐는지 확인 (외부에서 같은 키를 사용한 경우 등)
+                const latest = await provider.getTransactionCount(job.relayer, 'latest');
+                if (latest > job.nonce) {
+                    // 영수증이 아직 인덱싱되지 않았을 수 있으므로 한 폴링 주기 유예
+                    if (job.nonceConsumedAt && now() - job.nonceConsumedAt > pollMs * 3) {
+                        r.inFlight--;
+                        update(job, { status: 'failed', stage: 'execute', error: 'nonce consumed by another transaction' });
+                    } else if (!job.nonceConsumedAt) {
+                        update(job, { nonceConsumedAt: now() });
+                    }
+                    continue;
+                }
+
+                if (now() - job.lastSentAt < bumpAfterMs) continue;
+                if ((job.bumps || 0) < maxBumps) {
+                    await serialized(r, () => bump(job, r));
+                    continue;
+                }
+
+                // 인상 한도 소진 후에도 미채굴 → 포기 (슬롯 반환)
+                // 멤풀에서 빠졌을 수 있으므로 다음 전송 시 nonce를 체인(pending) 기준으로 재동기화 (nonce gap 방지)
+                r.inFlight--;
+                update(job, { status: 'failed', stage: 'execute', error: `not mined after ${maxBumps} fee bumps` });
+                console.warn(`⌛ [job ${job.id}] 수수료 인상 ${maxBumps}회 후에도 미채굴 → failed`);
+                await serialized(r, async () => { r.nonce = null; });
+            }
+        } catch (e) {
+            console.warn('⚠️ relay queue poll error:', e?.shortMessage || e?.message || e);
+        } finally {
+            polling = false;
+        }
+    }
+
+    /**
+     * @notice 완료 job 정리 (maxJobs 초과분, 오래된 순)
+     */
+    function prune() {
+        if (jobs.size <= maxJobs) return;
+        for (const [id, job] of jobs) {
+            if (jobs.size <= maxJobs) break;
+            if (job.status === 'confirmed' || job.status === 'failed') jobs.delete(id);
+        }
+    }
+
+    /**
+     * @notice job 등록 (즉시 반환, 전송은 비동기)
+     * @param {object} args
+     * @param {string} args.forwarder WhitelistForwarder 주소
+     * @param {object} [args.request] 서명 포함 ForwardRequest (BigInt 복원 완료) — 단건
+     * @param {object[]} [args.requests] 서명 포함 ForwardRequest 배열 — batch (request 대신 지정)
+     * @param {bigint} args.value execute(Batch)에 첨부할 value
+     * @param {bigint} args.gasLimit execute(Batch) gasLimit
+     * @param {object} [args.meta] 응답/로그용 부가정보
+     * @returns {object} job
+     */
+    function enqueue({ forwarder, request, requests, value, gasLimit, meta }) {
+        const job = {
+            id: crypto.randomUUID(),
+            kind: requests ? 'batch' : 'single',
+            status: 'queued',
+            forwarder,
+            from: requests ? undefined : request.from,
+            to: requests ? undefined : request.to,
+            request,
+            requests,
+            value,
+            gasLimit,
+            meta: meta || {},
+            createdAt: now(),
+            updatedAt: now(),
+        };
+        jobs.set(job.id, job);
+        prune();
+        emit(job);
+        submit(job);
+        if (!timer) {
+            timer = setInterval(poll, pollMs);
+            timer.unref?.();
+        }
+        return job;
+    }
+
+    /**
+     * @notice 외부 응답용 job 직렬화 (BigInt → string, 내부 필드 제외)
+     */
+    function view(job) {
+        if (!job) return null;
+        const s = (v) => (v == null ? undefined : v.toString());
+        return {
+            id: job.id,
+            kind: job.kind,
+            status: job.status,
+            stage: job.stage,
+            error: job.error,
+            from: job.from,
+            to: job.to,
+            relayer: job.relayer,
+            nonce: job.nonce,
+            txHash: job.txHash,
+            txHashes: job.txHashes,
+            bumps: job.bumps || 0,
+            block: job.block,
+            receiptStatus: job.receiptStatus,
+            gasUsed: s(job.gasUsed),
+            feeWei: s(job.feeWei),
+            size: job.requests?.length,
+            items: job.items?.map((it) => ({ ...it, nonce: s(it.nonce) })),
+            meta: job.meta,
+            createdAt: new Date(job.createdAt).toISOString(),
+            updatedAt: new Date(job.updatedAt).toISOString(),
+        };
+    }
+
+    return {
+        enqueue,
+        get: (id) => jobs.get(id) || null,
+        view,
+        onUpdate: (fn) => { listeners.add(fn); return () => listeners.delete(fn); },
+        jobs: () => jobs.values(),
+        relayers: () => relayers.map((r) => ({ address: r.address, nonce: r.nonce, inFlight: r.inFlight })),
+        stats: () => {
+            const out = { queued: 0, submitted: 0, confirmed: 0, failed: 0 };
+            for (const j of jobs.values()) out[j.status]++;
+            return out;
+        },
+        poll,
+        stop: () => { if (timer) clearInterval(timer); timer = null; },
+    };
+}
+
+module.exports = {
+    createRelayQueue,
+    bumpFees,
+    isNonceError,
+};
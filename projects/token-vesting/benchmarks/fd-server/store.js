@@ -0,0 +1,61 @@
+/**
+ * @fileoverview
+ *  fd-server 로컬 JSON 저장소
+ * @description
+ *  - 서버 재시작 후에도 유지되어야 하는 상태(정책 사용량, allowlist 미러 등)를 파일 1개에 보관
+ *  - 쓰기는 tmp 파일 → rename 으로 원자적으로 수행
+ *  - 잦은 갱신은 saveSoon()으로 묶어서 기록 (기본 200ms 디바운스)
+ *  - 디바운스 타이머는 unref → 종료 직전 갱신이 유실되지 않도록 종료 시 close()로 즉시 기록
+ *    (close 이후의 saveSoon()은 바로 기록: 정지 중 정산되는 job 사용량도 반영)
+ *
+ * @author hlibbc
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @notice JSON 파일 저장소를 연다 (없으면 defaults로 생성)
+ * @param {string} file 저장 파일 경로
+ * @param {object} defaults 최초 생성 시 내용 (기존 파일에 없는 최상위 키도 보충)
+ * @param {{debounceMs?: number}} [opts]
+ * @returns {{ file: string, data: object, save: () => void, saveSoon: () => void, flush: () => void, close: () => void }}
+ */
+function openJsonStore(file, defaults, opts = {}) {
+    const debounceMs = opts.debounceMs ?? 200;
+    let data = JSON.parse(JSON.stringify(defaults));
+    if (fs.existsSync(file)) {
+        data = { ...data, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    }
+    let timer = null;
+    let closed = false;
+
+    function save() {
+        if (timer) { clearTimeout(timer); timer = null; }
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+        fs.renameSync(tmp, file);
+    }
+
+    function saveSoon() {
+        if (closed) return save();
+        if (timer) return;
+        timer = setTimeout(save, debounceMs);
+        timer.unref?.();
+    }
+
+    /** 디바운스 대기 중인 기록을 즉시 수행 */
+    function flush() {
+        if (timer) save();
+    }
+
+    /** 종료: 대기분 기록, 이후 갱신은 디바운스 없이 기록 */
+    function close() {
+        closed = true;
+        flush();
+    }
+
+    return { file, data, save, saveSoon, flush, close };
+}
+
+module.exports = { openJsonStore };
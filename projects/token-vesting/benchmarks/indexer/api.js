@@ -0,0 +1,124 @@
+/**
+ * @fileoverview
+ *  vesting-indexer HTTP API (express)
+ * @description
+ *  엔드포인트
+ *  - GET /                      : 인덱서 상태 { ok, chainId, vesting, cursor, head, lag, reorgs, counts, ... }
+ *  - GET /holders               : ?limit=&offset= → { ok, total, totalBoxes, items: [{ address, boxes, purchased, received, sent }] }
+ *  - GET /holders/:address      : { ok, address, boxes, ..., referralCode, referredBy, referredBoxes, badge, claimed } | 404
+ *  - GET /referrals/:address    : ?depth= (1~10, 기본 3) → { ok, address, referredBy, code, referredBoxes, referredBuyers, children }
+ *  - GET /sales/daily           : ?from=&to= (day index) → { ok, items: [{ day, purchases, boxes, referredBoxes, buyers, paid, synced }] }
+ *  - GET /claims/:address       : { ok, address, totals{purchase,referral,buyback}, items }
+ *
+ *  - 주소 파라미터는 체크섬 정규화 (형식 오류 400)
+ *  - 응답의 uint256 금액은 문자열
+ *
+ * @author hlibbc
+ */
+const express = require('express');
+const { ethers } = require('ethers');
+const { createQueries } = require('./queries');
+
+/**
+ * @notice 정수 쿼리 파라미터 (없으면 기본값, 범위 밖/형식 오류면 throw)
+ */
+function intParam(v, def, min, max, name) {
+    if (v == null || v === '') return def;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < min || n > max) {
+        const e = new Error(`${name} must be an integer in ${min}~${max}`);
+        e.status = 400;
+        throw e;
+    }
+    return n;
+}
+
+/**
+ * @notice 주소 파라미터 정규화
+ */
+function addressParam(v) {
+    if (!ethers.isAddress(v)) {
+        const e = new Error('invalid address');
+        e.status = 400;
+        throw e;
+    }
+    return ethers.getAddress(v);
+}
+
+/**
+ * @notice API 앱 생성
+ * @param {object} cfg
+ * @param {ReturnType<import('./db').openIndexDb>} cfg.store 인덱스 DB 핸들
+ * @param {() => object} [cfg.status] 인덱서 상태 (indexer.status)
+ * @returns {import('express').Express}
+ */
+function createApi({ store, status = () => ({}) }) {
+    const app = express();
+    const q = createQueries(store);
+
+    /** 핸들러 래퍼: 예외 → { ok: false, error } (status 지정 없으면 500) */
+    const route = (fn) => (req, res) => {
+        try {
+            const out = fn(req, res);
+            if (out !== undefined) res.json({ ok: true, ...out });
+        } catch (e) {
+            res.status(e.status || 500).json({ ok: false, error: e?.message || String(e) });
+        }
+    };
+
+    /**
+     * @route GET /
+     * @description 헬스체크 + 인덱서 진행 상황
+     */
+    app.get('/', route(() => ({ msg: 'vesting-indexer alive', ...status() })));
+
+    /**
+     * @route GET /holders
+     * @query limit (1~1000, 기본 100), offset
+     */
+    app.get('/holders', route((req) => q.holders({
+        limit: intParam(req.query.limit, 100, 1, 1000, 'limit'),
+        offset: intParam(req.query.offset, 0, 0, Number.MAX_SAFE_INTEGER, 'offset'),
+    })));
+
+    /**
+     * @route GET /holders/:address
+     * @returns 404 { ok: false, error: 'address not indexed' } (이벤트 기록이 없는 주소)
+     */
+    app.get('/holders/:address', route((req, res) => {
+        const h = q.holder(addressParam(req.params.address));
+        if (!h) {
+            res.status(404).json({ ok: false, error: 'address not indexed' });
+            return undefined;
+        }
+        return h;
+    }));
+
+    /**
+     * @route GET /referrals/:address
+     * @query depth (1~10, 기본 3)
+     */
+    app.get('/referrals/:address', route((req) =>
+        q.referralTree(addressParam(req.params.address), intParam(req.query.depth, 3, 1, 10, 'depth'))));
+
+    /**
+     * @route GET /sales/daily
+     * @query from, to (day index, 포함)
+     */
+    app.get('/sales/daily', route((req) => {
+        const from = intParam(req.query.from, 0, 0, Number.MAX_SAFE_INTEGER, 'from');
+        const to = intParam(req.query.to, Number.MAX_SAFE_INTEGER, 0, Number.MAX_SAFE_INTEGER, 'to');
+        return { items: q.dailySales({ from, to }) };
+    }));
+
+    /**
+     * @route GET /claims/:address
+     */
+    app.get('/claims/:address', route((req) => q.claimsOf(addressParam(req.params.address))));
+
+    return app;
+}
+
+module.exports = {
+    createApi,
+};
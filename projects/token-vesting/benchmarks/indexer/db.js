@@ -0,0 +1,202 @@
+/**
+ * @fileoverview
+ *  vesting-indexer SQLite 저장소 (스키마 / 이벤트 기록 / 롤백 / 커서)
+ * @description
+ *  - 이벤트 테이블은 모두 (block_number, log_index)를 키로 가짐
+ *      → reorg 시 "block_number > 공통 조상" 행을 테이블 전체에서 지우면 롤백 완료
+ *  - blocks: 인덱싱한 블록의 hash/timestamp (이벤트가 있는 블록 + 배치 끝 블록)
+ *      → 재시작/폴링 시 커서 블록 hash를 체인과 대조해 reorg 감지
+ *  - meta: chainId / vesting 주소 / 시작 블록 / 커서(cursor = 마지막으로 반영한 블록)
+ *  - 금액(uint256)은 10진 문자열(TEXT)로 저장, 합계는 JS(BigInt)에서 계산
+ *
+ * @author hlibbc
+ */
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA_VERSION = '1';
+
+/** 이벤트 테이블 (롤백 대상) */
+const EVENT_TABLES = ['purchases', 'transfers', 'referral_codes', 'daily_synced', 'claims', 'badges'];
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+    key   TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS blocks (
+    number    INTEGER PRIMARY KEY,
+    hash      TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+);
+CREATE TABLE IF NOT EXISTS purchases (
+    block_number INTEGER NOT NULL,
+    log_index    INTEGER NOT NULL,
+    tx_hash      TEXT NOT NULL,
+    buyer        TEXT NOT NULL,
+    box_count    INTEGER NOT NULL,
+    referrer     TEXT,
+    paid_amount  TEXT NOT NULL,
+    buyback      TEXT NOT NULL,
+    ref_code     TEXT,
+    ts           INTEGER NOT NULL,
+    day          INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS purchases_buyer ON purchases (buyer);
+CREATE INDEX IF NOT EXISTS purchases_referrer ON purchases (referrer);
+CREATE INDEX IF NOT EXISTS purchases_day ON purchases (day);
+CREATE TABLE IF NOT EXISTS transfers (
+    block_number INTEGER NOT NULL,
+    log_index    INTEGER NOT NULL,
+    tx_hash      TEXT NOT NULL,
+    from_addr    TEXT NOT NULL,
+    to_addr      TEXT NOT NULL,
+    box_count    INTEGER NOT NULL,
+    ts           INTEGER NOT NULL,
+    day          INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS transfers_from ON transfers (from_addr);
+CREATE INDEX IF NOT EXISTS transfers_to ON transfers (to_addr);
+CREATE TABLE IF NOT EXISTS referral_codes (
+    block_number INTEGER NOT NULL,
+    log_index    INTEGER NOT NULL,
+    tx_hash      TEXT NOT NULL,
+    user         TEXT NOT NULL,
+    code         TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS referral_codes_user ON referral_codes (user);
+CREATE TABLE IF NOT EXISTS daily_synced (
+    block_number    INTEGER NOT NULL,
+    log_index       INTEGER NOT NULL,
+    tx_hash         TEXT NOT NULL,
+    day             INTEGER NOT NULL,
+    reward_per_box  TEXT NOT NULL,
+    reward_per_ref  TEXT NOT NULL,
+    boxes_denom     TEXT NOT NULL,
+    referral_denom  TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS daily_synced_day ON daily_synced (day);
+CREATE TABLE IF NOT EXISTS claims (
+    block_number INTEGER NOT NULL,
+    log_index    INTEGER NOT NULL,
+    tx_hash      TEXT NOT NULL,
+    user         TEXT NOT NULL,
+    pool         TEXT NOT NULL,
+    amount       TEXT NOT NULL,
+    from_day     INTEGER,
+    to_day       INTEGER,
+    ts           INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS claims_user ON claims (user);
+CREATE TABLE IF NOT EXISTS badges (
+    block_number INTEGER NOT NULL,
+    log_index    INTEGER NOT NULL,
+    tx_hash      TEXT NOT NULL,
+    user         TEXT NOT NULL,
+    token_id     TEXT NOT NULL,
+    kind         TEXT NOT NULL,
+    tier         INTEGER,
+    total_boxes  INTEGER,
+    PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS badges_user ON badges (user);
+`;
+
+/**
+ * @notice 인덱스 DB를 연다 (없으면 생성 + 스키마 적용)
+ * @param {string} file DB 파일 경로 (':memory:' 허용)
+ * @returns {object} 저장소 핸들
+ *   - db                         : better-sqlite3 Database (조회용)
+ *   - getMeta(key) / setMeta(key, value)
+ *   - cursor() / setCursor(n)    : 마지막으로 반영한 블록 (없으면 null)
+ *   - putBlock({number,hash,timestamp}) / getBlock(n) / blocksDesc(maxNumber, limit)
+ *   - insert(table, row)         : 이벤트 행 기록 (같은 (block, logIndex)는 덮어씀)
+ *   - rollbackAfter(n)           : block_number > n 인 이벤트/블록 삭제 + 커서 = n
+ *   - tx(fn)                     : 트랜잭션 래퍼
+ *   - counts()                   : 테이블별 행 수
+ *   - close()
+ */
+function openIndexDb(file) {
+    if (file !== ':memory:') fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const db = new Database(file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = NORMAL');
+    db.exec(SCHEMA);
+
+    const metaGet = db.prepare('SELECT value FROM meta WHERE key = ?');
+    const metaSet = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+    const blockPut = db.prepare('INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES (@number, @hash, @timestamp)');
+    const blockGet = db.prepare('SELECT number, hash, timestamp FROM blocks WHERE number = ?');
+    const blocksDescStmt = db.prepare('SELECT number, hash, timestamp FROM blocks WHERE number <= ? ORDER BY number DESC LIMIT ?');
+
+    const schemaVersion = metaGet.get('schema')?.value;
+    if (schemaVersion && schemaVersion !== SCHEMA_VERSION) {
+        throw new Error(`❌ 인덱스 DB 스키마 버전 불일치: ${schemaVersion} (현재 ${SCHEMA_VERSION}) — DB 파일을 지우고 다시 인덱싱하세요.`);
+    }
+    metaSet.run('schema', SCHEMA_VERSION);
+
+    // 테이블별 INSERT 문 (컬럼은 스키마에서 읽어 named parameter로 바인딩)
+    const inserts = {};
+    for (const t of EVENT_TABLES) {
+        const cols = db.prepare(`PRAGMA table_info(${t})`).all().map((c) => c.name);
+        inserts[t] = db.prepare(`INSERT OR REPLACE INTO ${t} (${cols.join(', ')}) VALUES (${cols.map((c) => `@${c}`).join(', ')})`);
+    }
+    const deletes = [...EVENT_TABLES, 'blocks'].map((t) =>
+        db.prepare(`DELETE FROM ${t} WHERE ${t === 'blocks' ? 'number' : 'block_number'} > ?`));
+
+    const getMeta = (key) => metaGet.get(key)?.value ?? null;
+    const setMeta = (key, value) => metaSet.run(key, String(value));
+
+    return {
+        db,
+        getMeta,
+        setMeta,
+        cursor() {
+            const v = getMeta('cursor');
+            return v == null ? null : Number(v);
+        },
+        setCursor(n) {
+            setMeta('cursor', n);
+        },
+        putBlock(b) {
+            blockPut.run({ number: Number(b.number), hash: b.hash, timestamp: Number(b.timestamp) });
+        },
+        getBlock(n) {
+            return blockGet.get(Number(n)) ?? null;
+        },
+        blocksDesc(maxNumber, limit) {
+            return blocksDescStmt.all(Number(maxNumber), Number(limit));
+        },
+        insert(table, row) {
+            const stmt = inserts[table];
+            if (!stmt) throw new Error(`unknown table: ${table}`);
+            stmt.run(row);
+        },
+        rollbackAfter: db.transaction((n) => {
+            for (const d of deletes) d.run(Number(n));
+            setMeta('cursor', n);
+        }),
+        tx(fn) {
+            return db.transaction(fn)();
+        },
+        counts() {
+            const out = {};
+            for (const t of EVENT_TABLES) out[t] = db.prepare(`SELECT COUNT(*) AS n FROM ${t}`).get().n;
+            return out;
+        },
+        close() {
+            db.close();
+        },
+    };
+}
+
+module.exports = {
+    EVENT_TABLES,
+    openIndexDb,
+};
@@ -0,0 +1,95 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  vesting-indexer 진입점 (인덱서 폴링 루프 + 조회 API)
+ * @description
+ *  - TokenVesting 이벤트를 SQLite(better-sqlite3)에 인덱싱하고, 같은 프로세스에서 조회 API를 제공
+ *  - 주소/시작 블록: 배포 레지스트리(deployments/<chainId>.json, scripts/_deployments.js)
+ *  - 재시작 시 DB의 커서부터 이어서 진행, reorg는 indexer.js 참고
+ *  - 엔드포인트는 api.js 참고
+ *
+ * 실행:
+ *   cd benchmarks/indexer && npm install
+ *   node index.js
+ *
+ * @env
+ *  - PROVIDER_URL          : JSON-RPC 엔드포인트 (기본: http://127.0.0.1:8545)
+ *  - INDEXER_PORT          : API 포트 (기본: 3040)
+ *  - INDEXER_DB            : DB 파일 경로 (기본: indexer/data/<chainId>.sqlite)
+ *  - INDEXER_START_BLOCK   : 최초 시작 블록 (기본: 레지스트리의 TokenVesting 배포 블록, 없으면 0)
+ *  - INDEXER_CONFIRMATIONS : head에서 이만큼 뒤까지만 인덱싱 (기본: 0)
+ *  - INDEXER_BATCH_BLOCKS  : getLogs 1회 블록 범위 (기본: 2000)
+ *  - INDEXER_REORG_DEPTH   : 공통 조상 탐색 시 대조할 최대 저장 블록 수 (기본: 64)
+ *  - INDEXER_POLL_MS       : 따라잡은 뒤 폴링 주기 (기본: 2000)
+ *
+ * @author hlibbc
+ */
+require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { openIndexDb } = require('./db');
+const { createIndexer } = require('./indexer');
+const { createApi } = require('./api');
+const { loadDeployment } = require('../../scripts/_deployments');
+
+/**
+ * @notice Abi 파일을 읽어온다.
+ * @param {*} rel Abi File path (상대경로)
+ * @returns Abi Object
+ */
+function loadAbi(rel) {
+    const p = path.resolve(__dirname, rel);
+    if (!fs.existsSync(p)) throw new Error(`❌ ABI 파일을 찾을 수 없습니다: ${p}`);
+    const j = JSON.parse(fs.readFileSync(p, 'utf8'));
+    if (!j.abi) throw new Error(`❌ ABI 키(abi)를 찾을 수 없습니다: ${p}`);
+    return j.abi;
+}
+
+async function start() {
+    const { PROVIDER_URL, INDEXER_PORT, INDEXER_DB, INDEXER_START_BLOCK } = process.env;
+    const provider = new ethers.JsonRpcProvider(PROVIDER_URL || 'http://127.0.0.1:8545');
+    const dep = await loadDeployment(provider);
+    if (!ethers.isAddress(dep.vesting)) throw new Error(`❌ 배포 레지스트리에 TokenVesting 주소가 없습니다 (chainId=${dep.chainId}).`);
+
+    const store = openIndexDb(INDEXER_DB || path.resolve(__dirname, `./data/${dep.chainId}.sqlite`));
+    const startBlock = INDEXER_START_BLOCK != null && INDEXER_START_BLOCK !== ''
+        ? Number(INDEXER_START_BLOCK)
+        : Number(dep.blockNumber ?? 0);
+
+    const indexer = createIndexer({
+        provider,
+        store,
+        vesting: dep.vesting,
+        abi: loadAbi('../../artifacts/contracts/TokenVesting.sol/TokenVesting.json'),
+        startBlock,
+        confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0),
+        batchBlocks: Number(process.env.INDEXER_BATCH_BLOCKS || 2000),
+        reorgDepth: Number(process.env.INDEXER_REORG_DEPTH || 64),
+    });
+
+    const cursor = store.cursor();
+    console.log(`🗂️  vesting-indexer: chainId=${dep.chainId} vesting=${dep.vesting}`);
+    console.log(`   ${cursor == null ? `시작 블록 ${startBlock}부터 인덱싱` : `커서 ${cursor} 이후부터 재개`}`);
+    indexer.run({ pollMs: Number(process.env.INDEXER_POLL_MS || 2000) });
+
+    const app = createApi({ store, status: indexer.status });
+    const port = Number(INDEXER_PORT || 3040);
+    const server = app.listen(port, () => console.log(`🚀 vesting-indexer API on :${port}`));
+
+    const shutdown = () => {
+        indexer.stop();
+        server.close(() => {
+            store.close();
+            process.exit(0);
+        });
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+start().catch((e) => {
+    console.error(e?.message || e);
+    process.exit(1);
+});
@@ -0,0 +1,346 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  TokenVesting 이벤트 인덱서 (getLogs 배치 → SQLite, reorg 감지/롤백, 커서 재개)
+ * @description
+ *  - 대상 이벤트 (모두 TokenVesting이 emit):
+ *      BoxesPurchased / BoxesTransferred / ReferralCodeAssigned / DailySynced /
+ *      PurchasePoolClaimed / ReferralPoolClaimed / BuybackClaimed / BadgeSBTMinted / BadgeSBTUpgraded
+ *  - syncOnce(): (cursor+1 .. min(cursor+batchBlocks, head-confirmations)) 구간을 한 트랜잭션으로 반영
+ *      • 로그가 있는 블록과 배치 끝 블록의 hash/timestamp를 blocks에 저장
+ *      • 로그의 blockHash가 같은 배치에서 읽은 블록 hash와 다르면(조회 중 reorg) 반영하지 않고 재시도
+ *  - reorg 처리: 매 syncOnce 시작 시 커서 블록 hash를 체인과 대조
+ *      • 다르면 저장된 블록을 최신→과거로 최대 reorgDepth개까지 대조해 공통 조상을 찾고
+ *        그 이후 이벤트/블록을 삭제(rollbackAfter) → 이어서 재인덱싱
+ *      • 블록 hash는 조상 전체를 커밋하므로, 저장된 블록이 일치하면 그 이하 데이터는 유효
+ *  - 재개: 커서(meta.cursor)부터 이어서 진행 (DB 파일 재사용 시 중복 없음)
+ *
+ * @author hlibbc
+ */
+const { ethers } = require('ethers');
+
+const DAY = 86400;
+
+/** 인덱싱 대상 이벤트 */
+const EVENT_NAMES = [
+    'BoxesPurchased',
+    'BoxesTransferred',
+    'ReferralCodeAssigned',
+    'DailySynced',
+    'PurchasePoolClaimed',
+    'ReferralPoolClaimed',
+    'BuybackClaimed',
+    'BadgeSBTMinted',
+    'BadgeSBTUpgraded',
+];
+
+/**
+ * @notice bytes8 레퍼럴 코드 → 문자열 (0이면 null)
+ */
+function codeToString(b8) {
+    if (!b8 || /^0x0+$/.test(b8)) return null;
+    return ethers.toUtf8String(b8).replace(/\0+$/, '');
+}
+
+/**
+ * @notice 0 주소 → null
+ */
+const addrOrNull = (a) => (a && a !== ethers.ZeroAddress ? ethers.getAddress(a) : null);
+
+/**
+ * @notice 이벤트 → (테이블, 행) 변환
+ * @param {import('ethers').LogDescription} ev 파싱된 이벤트
+ * @param {import('ethers').Log} log 원본 로그
+ * @param {{ timestamp: number }} block 로그가 포함된 블록
+ * @param {number} startTs vestingStartDate (일 인덱스 계산용)
+ * @returns {{ table: string, row: object }}
+ */
+function toRow(ev, log, block, startTs) {
+    const base = { block_number: log.blockNumber, log_index: log.index, tx_hash: log.transactionHash };
+    const dayOf = (ts) => (ts < startTs ? 0 : Math.floor((ts - startTs) / DAY));
+    const a = ev.args;
+    switch (ev.name) {
+        case 'BoxesPurchased': {
+            const ts = Number(a.timestamp);
+            return {
+                table: 'purchases',
+                row: {
+                    ...base,
+                    buyer: ethers.getAddress(a.buyer),
+                    box_count: Number(a.boxCount),
+                    referrer: addrOrNull(a.referrer),
+                    paid_amount: a.paidAmount.toString(),
+                    buyback: a.buyback.toString(),
+                    ref_code: codeToString(a.refCode),
+                    ts,
+                    day: dayOf(ts),
+                },
+            };
+        }
+        case 'BoxesTransferred': {
+            const ts = Number(a.timestamp);
+            return {
+                table: 'transfers',
+                row: { ...base, from_addr: ethers.getAddress(a.from), to_addr: ethers.getAddress(a.to), box_count: Number(a.boxCount), ts, day: dayOf(ts) },
+            };
+        }
+        case 'ReferralCodeAssigned':
+            return { table: 'referral_codes', row: { ...base, user: ethers.getAddress(a.user), code: codeToString(a.code) ?? '' } };
+        case 'DailySynced':
+            return {
+                table: 'daily_synced',
+                row: {
+                    ...base,
+                    day: Number(a.day),
+                    reward_per_box: a.rewardPerBox.toString(),
+                    reward_per_ref: a.rewardPerRefUnit.toString(),
+                    boxes_denom: a.boxesDenom.toString(),
+                    referral_denom: a.referralDenom.toString(),
+                },
+            };
+        case 'PurchasePoolClaimed':
+        case 'ReferralPoolClaimed':
+            return {
+                table: 'claims',
+                row: {
+                    ...base,
+                    user: ethers.getAddress(a.user),
+                    pool: ev.name === 'PurchasePoolClaimed' ? 'purchase' : 'referral',
+                    amount: a.amount.toString(),
+                    from_day: Number(a.fromDay),
+                    to_day: Number(a.toDay),
+                    ts: block.timestamp,
+                },
+            };
+        case 'BuybackClaimed':
+            return {
+                table: 'claims',
+                row: { ...base, user: ethers.getAddress(a.user), pool: 'buyback', amount: a.amount.toString(), from_day: null, to_day: null, ts: block.timestamp },
+            };
+        case 'BadgeSBTMinted':
+            return {
+                table: 'badges',
+                row: { ...base, user: ethers.getAddress(a.user), token_id: a.tokenId.toString(), kind: 'mint', tier: null, total_boxes: null },
+            };
+        case 'BadgeSBTUpgraded':
+            return {
+                table: 'badges',
+                row: { ...base, user: ethers.getAddress(a.user), token_id: a.tokenId.toString(), kind: 'upgrade', tier: Number(a.tier), total_boxes: Number(a.totalBoxes) },
+            };
+        default:
+            throw new Error(`unexpected event: ${ev.name}`);
+    }
+}
+
+/**
+ * @notice 인덱서 생성
+ * @param {object} cfg
+ * @param {import('ethers').Provider} cfg.provider
+ * @param {ReturnType<import('./db').openIndexDb>} cfg.store 인덱스 DB 핸들
+ * @param {string} cfg.vesting TokenVesting 주소
+ * @param {import('ethers').InterfaceAbi} cfg.abi TokenVesting ABI
+ * @param {number} [cfg.startBlock=0] 최초 인덱싱 시작 블록 (보통 TokenVesting 배포 블록)
+ * @param {number} [cfg.confirmations=0] head에서 이만큼 뒤까지만 인덱싱
+ * @param {number} [cfg.batchBlocks=2000] getLogs 1회 블록 범위
+ * @param {number} [cfg.reorgDepth=64] 공통 조상 탐색 시 대조할 최대 저장 블록 수
+ * @param {(msg: string) => void} [cfg.log]
+ * @returns {object} { syncOnce, syncToHead, run, stop, status }
+ */
+function createIndexer(cfg) {
+    const {
+        provider,
+        store,
+        abi,
+        startBlock = 0,
+        confirmations = 0,
+        batchBlocks = 2000,
+        reorgDepth = 64,
+        log = (m) => console.log(m),
+    } = cfg;
+    const vesting = ethers.getAddress(cfg.vesting);
+    const iface = new ethers.Interface(abi);
+    const topics = [EVENT_NAMES.map((n) => iface.getEvent(n).topicHash)];
+
+    const state = { head: null, reorgs: 0, lastReorg: null, lastError: null, running: false, timer: null };
+    let startTs = null;
+
+    /**
+     * @notice 최초 1회: chainId / vesting 주소 / vestingStartDate 확인 및 기록
+     * @dev 다른 체인/컨트랙트로 만든 DB를 재사용하지 않도록 meta와 대조
+     */
+    async function ensureMeta() {
+        if (startTs !== null) return;
+        const { chainId } = await provider.getNetwork();
+        const prevChain = store.getMeta('chainId');
+        const prevVesting = store.getMeta('vesting');
+        if (prevChain && prevChain !== chainId.toString()) {
+            throw new Error(`❌ 인덱스 DB의 chainId(${prevChain})가 현재 체인(${chainId})과 다릅니다.`);
+        }
+        if (prevVesting && prevVesting !== vesting) {
+            throw new Error(`❌ 인덱스 DB의 vesting(${prevVesting})이 현재 주소(${vesting})와 다릅니다.`);
+        }
+        let ts = store.getMeta('startTs');
+        if (ts == null) {
+            const c = new ethers.Contract(vesting, abi, provider);
+            ts = (await c.vestingStartDate()).toString();
+        }
+        store.tx(() => {
+            store.setMeta('chainId', chainId);
+            store.setMeta('vesting', vesting);
+            store.setMeta('startTs', ts);
+            if (store.getMeta('startBlock') == null) store.setMeta('startBlock', startBlock);
+        });
+        startTs = Number(ts);
+    }
+
+    /**
+     * @notice 커서 블록 hash 대조 → reorg면 공통 조상까지 롤백
+     * @returns {Promise<{ from: number, ancestor: number } | null>}
+     */
+    async function checkReorg() {
+        const cursor = store.cursor();
+        if (cursor == null) return null;
+        const stored = store.getBlock(cursor);
+        if (!stored) return null;
+        const onchain = await provider.getBlock(cursor);
+        if (onchain && onchain.hash === stored.hash) return null;
+
+        // 저장된 블록을 최신 → 과거로 대조
+        const base = Number(store.getMeta('startBlock') ?? startBlock) - 1;
+        const rows = store.blocksDesc(cursor - 1, reorgDepth);
+        let ancestor = null;
+        for (const r of rows) {
+            const b = await provider.getBlock(r.number);
+            if (b && b.hash === r.hash) { ancestor = r.number; break; }
+        }
+        if (ancestor === null) {
+            if (rows.length >= reorgDepth) {
+                throw new Error(`❌ reorg가 저장 블록 ${reorgDepth}개보다 깊습니다 (cursor=${cursor}) — INDEXER_REORG_DEPTH를 늘리거나 DB를 재생성하세요.`);
+            }
+            ancestor = base; // 저장 블록이 모두 무효 → 시작 블록부터 재인덱싱
+        }
+        store.rollbackAfter(ancestor);
+        state.reorgs += 1;
+        state.lastReorg = { from: cursor, ancestor, at: new Date().toISOString() };
+        log(`⚠️  reorg 감지: cursor=${cursor} → 공통 조상 ${ancestor} 이후 롤백`);
+        return { from: cursor, ancestor };
+    }
+
+    /**
+     * @notice 배치 1회 인덱싱
+     * @returns {Promise<{ from?: number, to?: number, events: number, caughtUp: boolean, reorg: object|null, retry?: boolean }>}
+     */
+    async function syncOnce() {
+        await ensureMeta();
+        const reorg = await checkReorg();
+
+        const head = await provider.getBlockNumber();
+        state.head = head;
+        const target = head - confirmations;
+        const cursor = store.cursor() ?? startBlock - 1;
+        if (target <= cursor) return { events: 0, caughtUp: true, reorg };
+
+        const from = cursor + 1;
+        const to = Math.min(cursor + batchBlocks, target);
+        const logs = await provider.getLogs({ address: vesting, topics, fromBlock: from, toBlock: to });
+
+        // 블록 정보 (로그 블록 + 배치 끝 블록)
+        const blocks = new Map();
+        for (const n of new Set([...logs.map((l) => l.blockNumber), to])) {
+            const b = await provider.getBlock(n);
+            if (!b) return { events: 0, caughtUp: false, reorg, retry: true };
+            blocks.set(n, { number: b.number, hash: b.hash, timestamp: b.timestamp });
+        }
+        if (logs.some((l) => l.blockHash !== blocks.get(l.blockNumber).hash)) {
+            // 조회 도중 reorg → 이번 배치는 버리고 다음 호출에서 재시도
+            return { events: 0, caughtUp: false, reorg, retry: true };
+        }
+
+        const rows = logs.map((l) => {
+            const ev = iface.parseLog(l);
+            return toRow(ev, l, blocks.get(l.blockNumber), startTs);
+        });
+        store.tx(() => {
+            for (const b of blocks.values()) store.putBlock(b);
+            for (const r of rows) store.insert(r.table, r.row);
+            store.setCursor(to);
+        });
+        return { from, to, events: rows.length, caughtUp: to >= target, reorg };
+    }
+
+    /**
+     * @notice 현재 head(-confirmations)까지 반복 인덱싱
+     * @returns {Promise<{ events: number, batches: number, reorgs: number }>}
+     */
+    async function syncToHead() {
+        let events = 0;
+        let batches = 0;
+        let reorgs = 0;
+        for (;;) {
+            const r = await syncOnce();
+            events += r.events;
+            if (r.reorg) reorgs += 1;
+            if (r.from != null) batches += 1;
+            if (r.caughtUp) return { events, batches, reorgs };
+        }
+    }
+
+    /**
+     * @notice 폴링 루프 시작 (따라잡은 뒤에는 pollMs 간격)
+     * @param {{ pollMs?: number }} [opts]
+     */
+    function run({ pollMs = 2000 } = {}) {
+        if (state.running) return;
+        state.running = true;
+        const tick = async () => {
+            let delay = pollMs;
+            try {
+                const r = await syncOnce();
+                state.lastError = null;
+                if (r.events) log(`📥 blocks ${r.from}..${r.to}: ${r.events} events`);
+                if (!r.caughtUp) delay = 0;
+            } catch (e) {
+                state.lastError = e?.shortMessage || e?.message || String(e);
+                log(`❌ indexer: ${state.lastError}`);
+            }
+            if (state.running) {
+                state.timer = setTimeout(tick, delay);
+                state.timer.unref?.();
+            }
+        };
+        tick();
+    }
+
+    function stop() {
+        state.running = false;
+        if (state.timer) clearTimeout(state.timer);
+        state.timer = null;
+    }
+
+    /**
+     * @notice 인덱서 상태 (GET / 응답용)
+     */
+    function status() {
+        const cursor = store.cursor();
+        return {
+            chainId: store.getMeta('chainId'),
+            vesting,
+            startBlock: Number(store.getMeta('startBlock') ?? startBlock),
+            cursor,
+            head: state.head,
+            lag: state.head != null && cursor != null ? state.head - cursor : null,
+            confirmations,
+            reorgs: state.reorgs,
+            lastReorg: state.lastReorg,
+            lastError: state.lastError,
+            counts: store.counts(),
+        };
+    }
+
+    return { syncOnce, syncToHead, run, stop, status };
+}
+
+module.exports = {
+    EVENT_NAMES,
+    createIndexer,
+};
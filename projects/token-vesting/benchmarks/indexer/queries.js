@@ -0,0 +1,196 @@
+/**
+ * @fileoverview
+ *  vesting-indexer 조회 (보유자 / 레퍼럴 트리 / 일별 판매 / 유저별 클레임)
+ * @description
+ *  - 인덱스 DB만 읽음 (체인 호출 없음)
+ *  - 박스 보유량 = 구매 + 전송 수신 - 전송 송신 (TokenVesting.boxesOf 와 동일 기준)
+ *  - 금액(uint256 문자열) 합계는 BigInt로 계산해 문자열로 반환
+ *      • paid : StableCoin 원단위 (6 decimals)
+ *      • claim / rewardPerBox : 18 decimals (claim 이벤트 amount는 실제 지급액 6자리 절삭분)
+ *
+ * @author hlibbc
+ */
+
+/** 보유량 집계 CTE (주소별 구매/수신/송신) */
+const MOVES = `
+WITH moves AS (
+    SELECT buyer AS address, box_count AS purchased, 0 AS received, 0 AS sent FROM purchases
+    UNION ALL SELECT to_addr, 0, box_count, 0 FROM transfers
+    UNION ALL SELECT from_addr, 0, 0, box_count FROM transfers
+),
+holdings AS (
+    SELECT address,
+           SUM(purchased) AS purchased,
+           SUM(received) AS received,
+           SUM(sent) AS sent,
+           SUM(purchased) + SUM(received) - SUM(sent) AS boxes
+    FROM moves GROUP BY address
+)`;
+
+/**
+ * @notice 문자열 금액 합계
+ */
+const sumAmounts = (rows, key) => rows.reduce((a, r) => a + BigInt(r[key]), 0n);
+
+/**
+ * @notice 조회 핸들 생성
+ * @param {ReturnType<import('./db').openIndexDb>} store
+ * @returns {object} { holders, holder, referralTree, dailySales, claimsOf }
+ */
+function createQueries(store) {
+    const { db } = store;
+
+    const holdersStmt = db.prepare(`${MOVES}
+        SELECT * FROM holdings WHERE boxes > 0 ORDER BY boxes DESC, address LIMIT ? OFFSET ?`);
+    const holdersCountStmt = db.prepare(`${MOVES} SELECT COUNT(*) AS n, COALESCE(SUM(boxes), 0) AS boxes FROM holdings WHERE boxes > 0`);
+    const holdingOfStmt = db.prepare(`${MOVES} SELECT * FROM holdings WHERE address = ?`);
+    const codeOfStmt = db.prepare('SELECT code FROM referral_codes WHERE user = ? ORDER BY block_number DESC, log_index DESC LIMIT 1');
+    const badgeOfStmt = db.prepare(`
+        SELECT token_id, MAX(tier) AS tier, MAX(total_boxes) AS total_boxes FROM badges WHERE user = ? GROUP BY token_id
+        ORDER BY MAX(block_number) DESC LIMIT 1`);
+    const referredByStmt = db.prepare(`
+        SELECT referrer FROM purchases WHERE buyer = ? AND referrer IS NOT NULL ORDER BY block_number, log_index LIMIT 1`);
+    const childrenStmt = db.prepare(`
+        SELECT buyer AS address, SUM(box_count) AS boxes, COUNT(*) AS purchases, MIN(day) AS first_day
+        FROM purchases WHERE referrer = ? GROUP BY buyer ORDER BY boxes DESC, address`);
+    const dailyStmt = db.prepare(`
+        SELECT day,
+               COUNT(*) AS purchases,
+               SUM(box_count) AS boxes,
+               SUM(CASE WHEN referrer IS NULL THEN 0 ELSE box_count END) AS referred_boxes,
+               COUNT(DISTINCT buyer) AS buyers
+        FROM purchases WHERE day BETWEEN ? AND ? GROUP BY day ORDER BY day`);
+    const dailyPaidStmt = db.prepare('SELECT day, paid_amount FROM purchases WHERE day BETWEEN ? AND ?');
+    const syncedStmt = db.prepare(`
+        SELECT day, reward_per_box, reward_per_ref, boxes_denom, referral_denom FROM daily_synced
+        WHERE day BETWEEN ? AND ? ORDER BY day`);
+    const claimsStmt = db.prepare(`
+        SELECT block_number, log_index, tx_hash, pool, amount, from_day, to_day, ts FROM claims
+        WHERE user = ? ORDER BY block_number, log_index`);
+
+    /**
+     * @notice 보유자 목록 (보유량 내림차순)
+     * @param {{ limit?: number, offset?: number }} [opts]
+     */
+    function holders({ limit = 100, offset = 0 } = {}) {
+        const total = holdersCountStmt.get();
+        return {
+            total: total.n,
+            totalBoxes: total.boxes,
+            items: holdersStmt.all(limit, offset),
+        };
+    }
+
+    /**
+     * @notice 주소 1개 요약 (보유량 / 코드 / 배지 / 추천 실적 / 클레임 합계)
+     * @returns {object|null} 활동 기록이 없으면 null
+     */
+    function holder(address) {
+        const h = holdingOfStmt.get(address);
+        const code = codeOfStmt.get(address)?.code ?? null;
+        const badge = badgeOfStmt.get(address);
+        const referred = childrenStmt.all(address);
+        const claims = claimsOf(address);
+        if (!h && !code && !badge && !referred.length && !claims.items.length) return null;
+        return {
+            address,
+            boxes: h?.boxes ?? 0,
+            purchased: h?.purchased ?? 0,
+            received: h?.received ?? 0,
+            sent: h?.sent ?? 0,
+            referralCode: code,
+            referredBy: referredByStmt.get(address)?.referrer ?? null,
+            referredBoxes: referred.reduce((a, r) => a + r.boxes, 0),
+            badge: badge ? { tokenId: badge.token_id, tier: badge.tier, totalBoxes: badge.total_boxes } : null,
+            claimed: claims.totals,
+        };
+    }
+
+    /**
+     * @notice 레퍼럴 트리 (address의 코드로 구매한 주소 → 그 주소의 코드로 구매한 주소 ...)
+     * @param {string} address 루트
+     * @param {number} [depth=3] 최대 깊이 (1 = 직접 추천만)
+     * @returns {object} { address, code, referredBoxes, referredBuyers, children: [{ address, boxes, purchases, firstDay, code, referredBoxes, children }] }
+     */
+    function referralTree(address, depth = 3) {
+        const seen = new Set([address]);
+        const expand = (addr, level) => {
+            const rows = childrenStmt.all(addr);
+            const node = {
+                code: codeOfStmt.get(addr)?.code ?? null,
+                referredBoxes: rows.reduce((a, r) => a + r.boxes, 0),
+                referredBuyers: rows.length,
+                children: [],
+            };
+            if (level >= depth) return node;
+            for (const r of rows) {
+                // 순환(A→B→A) 방지: 이미 트리에 있는 주소는 펼치지 않음
+                const child = { address: r.address, boxes: r.boxes, purchases: r.purchases, firstDay: r.first_day };
+                if (seen.has(r.address)) {
+                    node.children.push({ ...child, cycle: true });
+                    continue;
+                }
+                seen.add(r.address);
+                node.children.push({ ...child, ...expand(r.address, level + 1) });
+            }
+            return node;
+        };
+        return { address, referredBy: referredByStmt.get(address)?.referrer ?? null, ...expand(address, 0) };
+    }
+
+    /**
+     * @notice 일별 판매 (+ 해당 일의 DailySynced 단가/분모)
+     * @param {{ from?: number, to?: number }} [range] day index 범위 (포함)
+     */
+    function dailySales({ from = 0, to = Number.MAX_SAFE_INTEGER } = {}) {
+        const paid = new Map();
+        for (const r of dailyPaidStmt.iterate(from, to)) {
+            paid.set(r.day, (paid.get(r.day) ?? 0n) + BigInt(r.paid_amount));
+        }
+        const synced = new Map(syncedStmt.all(from, to).map((r) => [r.day, r]));
+        return dailyStmt.all(from, to).map((r) => {
+            const s = synced.get(r.day);
+            return {
+                day: r.day,
+                purchases: r.purchases,
+                boxes: r.boxes,
+                referredBoxes: r.referred_boxes,
+                buyers: r.buyers,
+                paid: (paid.get(r.day) ?? 0n).toString(),
+                synced: s ? {
+                    rewardPerBox: s.reward_per_box,
+                    rewardPerRef: s.reward_per_ref,
+                    boxesDenom: s.boxes_denom,
+                    referralDenom: s.referral_denom,
+                } : null,
+            };
+        });
+    }
+
+    /**
+     * @notice 유저별 클레임 내역 + 풀별 합계
+     */
+    function claimsOf(address) {
+        const rows = claimsStmt.all(address);
+        const byPool = (p) => sumAmounts(rows.filter((r) => r.pool === p), 'amount').toString();
+        return {
+            address,
+            totals: { purchase: byPool('purchase'), referral: byPool('referral'), buyback: byPool('buyback') },
+            items: rows.map((r) => ({
+                pool: r.pool,
+                amount: r.amount,
+                fromDay: r.from_day,
+                toDay: r.to_day,
+                ts: r.ts,
+                blockNumber: r.block_number,
+                txHash: r.tx_hash,
+            })),
+        };
+    }
+
+    return { holders, holder, referralTree, dailySales, claimsOf };
+}
+
+module.exports = {
+    createQueries,
+};
@@ -213,6 +213,31 @@ contract WhitelistForwarder is Ownable, ERC2771Forwarder {
         }
     }
 
+    /**
+     * @notice executeBatch 경로에도 화이트리스트/selector 정책을 적용한다.
+     * @dev OZ executeBatch는 execute를 거치지 않고 _execute를 직접 호출하므로 여기서 검사한다.
+     *  - requireValidRequest == true (atomic 배치): 정책 위반 시 execute와 동일한 에러로 revert
+     *  - requireValidRequest == false (refundReceiver 지정 배치): 위반 요청은 nonce 소모 없이 건너뜀(false 반환)
+     * @param request ForwardRequestData 구조체
+     * @param requireValidRequest 유효하지 않은 요청에 대해 revert할지 여부
+     * @return success 대상 호출 성공 여부 (건너뛴 경우 false)
+     */
+    function _execute(
+        ForwardRequestData calldata request,
+        bool requireValidRequest
+    ) internal override returns (bool success) {
+        bytes4 sel = _selectorOf(request.data);
+        if(!whitelist[request.to]) {
+            if (requireValidRequest) revert NotWhitelisted(request.to);
+            return false;
+        }
+        if(!isAllowed[request.to][sel]) {
+            if (requireValidRequest) revert SelectorNotAllowed(request.to, sel);
+            return false;
+        }
+        return super._execute(request, requireValidRequest);
+    }
+
     /**
      * @notice data에서 selector를 추출하여 반환한다.
      * @param data ix data
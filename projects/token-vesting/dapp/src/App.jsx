@@ -0,0 +1,63 @@
+import React, { useState } from 'react';
+import { WagmiProvider, useAccount } from 'wagmi';
+import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
+import { config } from './config/wagmi';
+import { fdEnabled } from './utils/fd';
+import WalletConnect from './components/WalletConnect';
+import BuyBox from './components/BuyBox';
+import ReferralBadge from './components/ReferralBadge';
+import Claims from './components/Claims';
+
+const queryClient = new QueryClient();
+
+/**
+ * @notice 연결 후 화면: 구매 / 레퍼럴·배지 / 클레임
+ *  - 위임대납 토글은 구매/클레임 공통 (fd-server 경유 시 가스는 릴레이어 지불)
+ */
+function Screens() {
+    const { isConnected } = useAccount();
+    const [delegated, setDelegated] = useState(false);
+    if (!isConnected) return null;
+
+    return (
+        <>
+            {fdEnabled && (
+                <label className="toggle">
+                    <input type="checkbox" checked={delegated} onChange={(e) => setDelegated(e.target.checked)} />
+                    fd-server 위임대납 (가스비 대납)
+                </label>
+            )}
+
+            <div className="section">
+                <h2>📦 박스 구매</h2>
+                <BuyBox delegated={delegated} />
+            </div>
+
+            <div className="section">
+                <h2>🏅 레퍼럴 / 배지</h2>
+                <ReferralBadge />
+            </div>
+
+            <div className="section">
+                <h2>🎁 클레임</h2>
+                <Claims delegated={delegated} />
+            </div>
+        </>
+    );
+}
+
+function App() {
+    return (
+        <WagmiProvider config={config}>
+            <QueryClientProvider client={queryClient}>
+                <div className="container">
+                    <h1>🔒 TokenVesting</h1>
+                    <WalletConnect />
+                    <Screens />
+                </div>
+            </QueryClientProvider>
+        </WagmiProvider>
+    );
+}
+
+export default App;
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { formatUnits, zeroAddress } from 'viem';
+import { useAccount } from 'wagmi';
+import { useBoxPrice, useBuyBox, useStableCoin } from '../hooks/useVesting';
+import TxStatus from './TxStatus';
+
+/**
+ * @notice 초기 레퍼럴 코드: 공유 링크(?ref=) → VITE_DEFAULT_REF_CODE
+ *  (buyBox는 레퍼럴 코드가 필수 — 사용자가 입력하지 않으면 기본 코드로 구매)
+ */
+function initialRefCode() {
+    const fromUrl = new URLSearchParams(window.location.search).get('ref');
+    return (fromUrl || import.meta.env.VITE_DEFAULT_REF_CODE || '').toUpperCase();
+}
+
+/**
+ * @notice 박스 구매 (실시간 가격 + permit 서명 + 선택적 위임대납)
+ */
+function BuyBox({ delegated }) {
+    const { address } = useAccount();
+    const [quantity, setQuantity] = useState('1');
+    const [refCode, setRefCode] = useState(initialRefCode);
+
+    const price = useBoxPrice({ quantity, refCode });
+    const { decimals, symbol, balance } = useStableCoin();
+    const { buy, state, busy } = useBuyBox();
+    const fmt = (v) => (v === undefined ? '-' : `${formatUnits(v, decimals)} ${symbol}`);
+
+    const refNotFound = price.validRef && price.referrer === zeroAddress;
+    const selfReferral = Boolean(address && price.referrer && price.referrer.toLowerCase() === address.toLowerCase());
+    const insufficient = balance !== undefined && price.total !== undefined && balance < price.total;
+    const canBuy = Boolean(address) && price.qty > 0n && price.validRef && !refNotFound && !selfReferral && !insufficient && !busy;
+
+    return (
+        <div>
+            <div>
+                <input
+                    type="number"
+                    min="1"
+                    placeholder="박스 수량"
+                    value={quantity}
+                    onChange={(e) => setQuantity(e.target.value)}
+                />
+            </div>
+            <div>
+                <input
+                    type="text"
+                    maxLength={8}
+                    placeholder="레퍼럴 코드 (8자)"
+                    value={refCode}
+                    onChange={(e) => setRefCode(e.target.value.toUpperCase())}
+                />
+            </div>
+
+            {!price.validRef && <p className="error">레퍼럴 코드(8자, A-Z/0-9)를 입력하세요.</p>}
+            {refNotFound && <p className="error">존재하지 않는 레퍼럴 코드입니다.</p>}
+            {selfReferral && <p className="error">본인 레퍼럴 코드로는 구매할 수 없습니다.</p>}
+
+            <table className="kv">
+                <tbody>
+                    <tr><td>현재 1박스 가격</td><td>{fmt(price.unitPrice)}</td></tr>
+                    <tr><td>결제 금액 ({String(price.qty)}박스)</td><td>{fmt(refNotFound ? undefined : price.total)}</td></tr>
+                    <tr><td>누적 판매량</td><td>{price.sold === undefined ? '-' : `${price.sold} 박스`}</td></tr>
+                    <tr><td>내 잔액</td><td className={insufficient ? 'error' : ''}>{fmt(balance)}</td></tr>
+                </tbody>
+            </table>
+
+            <button onClick={() => buy({ quantity, refCode, delegated })} disabled={!canBuy}>
+                {busy ? '구매 진행 중...' : delegated ? '구매 (위임대납)' : '구매 (permit)'}
+            </button>
+            <TxStatus state={state} doneText="구매 완료!" />
+        </div>
+    );
+}
+
+export default BuyBox;
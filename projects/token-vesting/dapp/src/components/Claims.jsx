@@ -0,0 +1,46 @@
+import React from 'react';
+import { formatUnits, zeroAddress } from 'viem';
+import { VESTING_DECIMALS } from '../config/contracts';
+import { useClaim, useClaimables, useStableCoin } from '../hooks/useVesting';
+import TxStatus from './TxStatus';
+
+/**
+ * @notice 클레임 1줄 (풀별 진행 상태를 따로 가짐)
+ */
+function ClaimRow({ pool, label, amount, format, delegated }) {
+    const { claim, state, busy } = useClaim(pool);
+    const empty = amount === undefined || amount === 0n;
+
+    return (
+        <div className="claim-row">
+            <span>{label}: {amount === undefined ? '-' : format(amount)}</span>
+            <button onClick={() => claim({ delegated })} disabled={empty || busy}>
+                {busy ? '클레임 중...' : '클레임'}
+            </button>
+            <TxStatus state={state} doneText="클레임 완료!" />
+        </div>
+    );
+}
+
+/**
+ * @notice previewBuyerClaimable / previewReferrerClaimable / 바이백 잔액 표시 + 클레임
+ */
+function Claims({ delegated }) {
+    const { purchase, referral, buyback, vestingToken } = useClaimables();
+    const { decimals, symbol } = useStableCoin();
+    const fmtVesting = (v) => `${formatUnits(v, VESTING_DECIMALS)} 토큰`;
+    const fmtStable = (v) => `${formatUnits(v, decimals)} ${symbol}`;
+
+    return (
+        <div>
+            {vestingToken === zeroAddress && (
+                <p className="error">베스팅 토큰이 아직 설정되지 않았습니다 (setVestingToken).</p>
+            )}
+            <ClaimRow pool="purchase" label="구매 보상" amount={purchase} format={fmtVesting} delegated={delegated} />
+            <ClaimRow pool="referral" label="추천 보상" amount={referral} format={fmtVesting} delegated={delegated} />
+            <ClaimRow pool="buyback" label="바이백" amount={buyback} format={fmtStable} delegated={delegated} />
+        </div>
+    );
+}
+
+export default Claims;
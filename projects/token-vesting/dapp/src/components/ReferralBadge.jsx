@@ -0,0 +1,37 @@
+import React from 'react';
+import { useReferralBadge } from '../hooks/useVesting';
+
+/**
+ * @notice 내 레퍼럴 코드 / 공유 링크 / 보유 박스 / BadgeSBT 등급
+ */
+function ReferralBadge() {
+    const { code, boxes, sbtId, tier } = useReferralBadge();
+    const shareUrl = code ? `${window.location.origin}${window.location.pathname}?ref=${code}` : null;
+
+    return (
+        <table className="kv">
+            <tbody>
+                <tr>
+                    <td>내 레퍼럴 코드</td>
+                    <td className="mono">{code ?? '없음 (첫 구매 시 자동 발급)'}</td>
+                </tr>
+                {shareUrl && (
+                    <tr>
+                        <td>공유 링크</td>
+                        <td className="mono">{shareUrl}</td>
+                    </tr>
+                )}
+                <tr>
+                    <td>보유 박스</td>
+                    <td>{boxes === undefined ? '-' : `${boxes} 박스`}</td>
+                </tr>
+                <tr>
+                    <td>BadgeSBT 등급</td>
+                    <td>{tier ?? '-'}{sbtId > 0n ? ` (tokenId ${sbtId})` : ''}</td>
+                </tr>
+            </tbody>
+        </table>
+    );
+}
+
+export default ReferralBadge;
@@ -0,0 +1,30 @@
+import React from 'react';
+
+/** useSubmit step → 표시 문구 */
+const STEP_TEXT = {
+    preparing: '서명 요청 중...',
+    sending: '트랜잭션 전송 중...',
+    confirming: '블록 확정 대기 중...',
+    relaying: 'fd-server 전송 중 (ForwardRequest 서명)...',
+    queued: 'fd-server 릴레이 대기 중...',
+};
+
+/**
+ * @notice useSubmit 상태 표시 (진행 단계 / tx hash / fd job id / 에러)
+ */
+function TxStatus({ state, doneText = '완료' }) {
+    const { step, hash, jobId, error } = state;
+    if (step === 'idle') return null;
+
+    return (
+        <div className="tx-status">
+            {STEP_TEXT[step] && <p>{STEP_TEXT[step]}</p>}
+            {jobId && <p className="mono">fd job: {jobId}</p>}
+            {step === 'done' && <p className="success">{doneText}{hash ? ` — TX Hash: ${hash}` : ''}</p>}
+            {step !== 'done' && hash && <p className="mono">TX Hash: {hash}</p>}
+            {step === 'error' && <p className="error">실패: {error}</p>}
+        </div>
+    );
+}
+
+export default TxStatus;
@@ -0,0 +1,50 @@
+import React from 'react';
+import { useAccount, useConnect, useDisconnect, useSwitchChain } from 'wagmi';
+import { hardhat } from 'wagmi/chains';
+import { useDeployment } from '../hooks/useVesting';
+
+/**
+ * @notice 지갑 연결 / 체인 확인 / 배포 레지스트리 확인
+ */
+function WalletConnect() {
+    const { address, isConnected, chainId } = useAccount();
+    const { connect, connectors, isPending } = useConnect();
+    const { disconnect } = useDisconnect();
+    const { switchChain } = useSwitchChain();
+    const dep = useDeployment();
+
+    if (!isConnected) {
+        return (
+            <div className="section">
+                <h3>🔌 지갑 연결</h3>
+                {connectors.map((connector) => (
+                    <button key={connector.uid} onClick={() => connect({ connector })} disabled={isPending}>
+                        {isPending ? '연결 중...' : `🔌 ${connector.name}`}
+                    </button>
+                ))}
+            </div>
+        );
+    }
+
+    return (
+        <div className="section">
+            <h3>🔌 지갑 연결</h3>
+            <p className="success">지갑 연결됨: {address}</p>
+            {chainId !== hardhat.id && (
+                <p className="error">
+                    지갑 네트워크(chainId {chainId})가 로컬 노드(chainId {hardhat.id})와 다릅니다.
+                    <button onClick={() => switchChain({ chainId: hardhat.id })}>네트워크 전환</button>
+                </p>
+            )}
+            {!dep && (
+                <p className="error">
+                    deployments/{hardhat.id}.json 에 TokenVesting이 없습니다. scripts/deployContract.js로 먼저 배포하세요.
+                </p>
+            )}
+            {dep && <p className="mono">TokenVesting: {dep.vesting}</p>}
+            <button onClick={() => disconnect()}>연결 해제</button>
+        </div>
+    );
+}
+
+export default WalletConnect;
@@ -0,0 +1,65 @@
+/**
+ * @fileoverview
+ *  dApp 컨트랙트 설정 (ABI + 배포 레지스트리)
+ * @description
+ *  - ABI: hardhat artifacts (npx hardhat compile 필요)
+ *  - 주소: deployments/<chainId>.json (scripts/deployContract.js 가 기록하는 레지스트리, scripts/_deployments.js와 같은 키)
+ *    → 로컬 노드에 재배포하면 dev 서버가 레지스트리 변경을 감지해 새 주소로 다시 로드된다
+ *
+ * @author hlibbc
+ */
+import TokenVesting from '../../../artifacts/contracts/TokenVesting.sol/TokenVesting.json';
+import StableCoin from '../../../artifacts/contracts/StableCoin.sol/StableCoin.json';
+import BadgeSBT from '../../../artifacts/contracts/BadgeSBT.sol/BadgeSBT.json';
+
+/** 레지스트리 문서 전체 (파일명과 무관하게 문서의 chainId로 매칭) */
+const registries = Object.values(
+    import.meta.glob('../../../deployments/*.json', { eager: true, import: 'default' })
+);
+
+/**
+ * @notice ABI 모음
+ */
+export const ABI = {
+    vesting: TokenVesting.abi,
+    stableCoin: StableCoin.abi,
+    sbt: BadgeSBT.abi,
+};
+
+/**
+ * @notice 레지스트리 키 (= 아티팩트 이름, scripts/_deployments.js NAMES와 동일)
+ */
+const NAMES = {
+    forwarder: 'WhitelistForwarder',
+    stableCoin: 'StableCoin',
+    sbt: 'BadgeSBT',
+    vesting: 'TokenVesting',
+};
+
+/** 베스팅 토큰 소수 자릿수 (preview*Claimable 반환값 기준) */
+export const VESTING_DECIMALS = 18;
+
+/** BadgeSBT 등급 (IBadgeSBT.Tier 순서) */
+export const TIERS = ['None', 'Sprout', 'Cloud', 'Airplane', 'Rocket', 'SpaceStation', 'Moon'];
+
+/** 레퍼럴 코드 형식 (TokenVesting._normalizeToBytes8: 8자 A-Z/0-9, 소문자는 대문자로 정규화) */
+export const REF_CODE_RE = /^[A-Za-z0-9]{8}$/;
+
+/**
+ * @notice chainId 기준 배포 주소
+ * @param {number} chainId
+ * @returns {{ chainId: number, vesting: string, stableCoin: string, forwarder?: string, sbt?: string } | null}
+ *   TokenVesting 엔트리가 없으면 null
+ */
+export function deploymentOf(chainId) {
+    const doc = registries.find((d) => String(d?.chainId) === String(chainId));
+    const c = doc?.contracts ?? {};
+    if (!c[NAMES.vesting]?.address) return null;
+    return {
+        chainId: Number(chainId),
+        vesting: c[NAMES.vesting].address,
+        stableCoin: c[NAMES.stableCoin]?.address,
+        forwarder: c[NAMES.forwarder]?.address,
+        sbt: c[NAMES.sbt]?.address,
+    };
+}
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview
+ *  wagmi 설정 (로컬 hardhat 노드, injected 지갑)
+ * @description
+ *  - 체인: hardhat(31337) — `npx hardhat node` + scripts/deployContract.js 배포 기준
+ *  - RPC: VITE_RPC_URL (기본 http://127.0.0.1:8545)
+ *  - 커넥터: injected (MetaMask 등 브라우저 지갑)
+ *
+ * @author hlibbc
+ */
+import { http, createConfig } from 'wagmi';
+import { hardhat } from 'wagmi/chains';
+import { injected } from 'wagmi/connectors';
+
+export const config = createConfig({
+    chains: [hardhat],
+    connectors: [injected()],
+    transports: {
+        [hardhat.id]: http(import.meta.env.VITE_RPC_URL || 'http://127.0.0.1:8545'),
+    },
+});
@@ -0,0 +1,303 @@
+/**
+ * @fileoverview
+ *  TokenVesting dApp 훅 (wagmi v2)
+ * @description
+ *  조회 (새 블록마다 갱신)
+ *  - useDeployment    : 연결된 체인의 배포 레지스트리 주소
+ *  - useStableCoin    : StableCoin 소수 자릿수 / 심볼 / 내 잔액
+ *  - useBoxPrice      : getCurrentBoxPrice / estimatedTotalAmount / 누적 판매량 / 레퍼럴 코드 소유자
+ *  - useReferralBadge : 내 레퍼럴 코드 / 보유 박스 / BadgeSBT 등급
+ *  - useClaimables    : previewBuyerClaimable / previewReferrerClaimable / buybackStableCoinAmount
+ *  실행
+ *  - useSubmit        : TokenVesting 함수 호출 — 직접 tx 또는 fd-server 위임대납(utils/fd.js)
+ *  - useBuyBox        : estimatedTotalAmount → permit 서명 → buyBox
+ *  - useClaim         : claimPurchaseReward / claimReferralReward / claimBuyback
+ *
+ * @author hlibbc
+ */
+import { useEffect, useMemo, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { hashFn } from 'wagmi/query';
+import {
+    useAccount,
+    useBlockNumber,
+    useChainId,
+    usePublicClient,
+    useReadContract,
+    useReadContracts,
+    useSignTypedData,
+    useWriteContract,
+} from 'wagmi';
+import { encodeFunctionData, hexToString, stringToHex, zeroAddress } from 'viem';
+import { ABI, REF_CODE_RE, TIERS, deploymentOf } from '../config/contracts';
+import { signPermit } from '../utils/permit';
+import { describeError, relayViaFd } from '../utils/fd';
+
+/** 코드 미발급 (referralCodeOf 기본값) */
+const NO_CODE = '0x0000000000000000';
+
+/** 클레임 풀 → 함수 (fd-client.js CLAIM_FUNCTIONS와 동일) */
+export const CLAIM_FUNCTIONS = {
+    purchase: 'claimPurchaseReward',
+    referral: 'claimReferralReward',
+    buyback: 'claimBuyback',
+};
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 조회
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @notice 새 블록마다 주어진 쿼리 무효화 (가격 / 클레임 가능량은 블록 시각에 따라 변함)
+ * @dev queryKey 배열은 렌더마다 새로 만들어지므로 wagmi hashFn(bigint 지원) 해시 문자열을 의존성으로 사용
+ *      (wagmi 쿼리의 queryHash도 같은 hashFn으로 계산됨)
+ */
+function useRefreshOnBlock(...queryKeys) {
+    const queryClient = useQueryClient();
+    const { data: blockNumber } = useBlockNumber({ watch: true });
+    const hashKey = queryKeys.map((queryKey) => hashFn(queryKey)).join('\n');
+    useEffect(() => {
+        const targets = new Set(hashKey.split('\n'));
+        queryClient.invalidateQueries({ predicate: (query) => targets.has(query.queryHash) });
+    }, [blockNumber, hashKey, queryClient]);
+}
+
+/**
+ * @notice 연결된 체인의 배포 주소 (레지스트리에 없으면 null)
+ */
+export function useDeployment() {
+    const chainId = useChainId();
+    return useMemo(() => deploymentOf(chainId), [chainId]);
+}
+
+/**
+ * @notice StableCoin 정보 + 내 잔액
+ * @returns {{ decimals: number, symbol: string, balance?: bigint }}
+ */
+export function useStableCoin() {
+    const dep = useDeployment();
+    const { address } = useAccount();
+    const stable = { address: dep?.stableCoin, abi: ABI.stableCoin };
+    const { data, queryKey } = useReadContracts({
+        contracts: [
+            { ...stable, functionName: 'decimals' },
+            { ...stable, functionName: 'symbol' },
+            { ...stable, functionName: 'balanceOf', args: [address ?? zeroAddress] },
+        ],
+        query: { enabled: Boolean(dep?.stableCoin) },
+    });
+    useRefreshOnBlock(queryKey);
+    const [decimals, symbol, balance] = (data ?? []).map((r) => r.result);
+    return { decimals: decimals ?? 6, symbol: symbol ?? 'USDC', balance: address ? balance : undefined };
+}
+
+/**
+ * @notice 실시간 박스 가격
+ * @param {{ quantity: string, refCode: string }} p
+ * @returns {{
+ *   validRef: boolean, refCode: string, qty: bigint,
+ *   unitPrice?: bigint, total?: bigint, sold?: bigint, referrer?: string, isLoading: boolean
+ * }}
+ *   - unitPrice : getCurrentBoxPrice(refCode) — 다음 1박스 가격 (할인 적용)
+ *   - total     : estimatedTotalAmount(qty, refCode) — 0이면 레퍼럴 코드 없음
+ *   - referrer  : 코드 소유자 (없으면 zeroAddress)
+ */
+export function useBoxPrice({ quantity, refCode }) {
+    const dep = useDeployment();
+    const ref = refCode.trim().toUpperCase();
+    const validRef = REF_CODE_RE.test(ref);
+    const qty = /^\d+$/.test(String(quantity)) ? BigInt(quantity) : 0n;
+    const vesting = { address: dep?.vesting, abi: ABI.vesting };
+
+    const { data, queryKey, isLoading } = useReadContracts({
+        contracts: [
+            { ...vesting, functionName: 'getCurrentBoxPrice', args: [ref] },
+            { ...vesting, functionName: 'estimatedTotalAmount', args: [qty, ref] },
+            { ...vesting, functionName: 'getTotalBoxPurchased' },
+            { ...vesting, functionName: 'codeToOwner', args: [validRef ? stringToHex(ref, { size: 8 }) : NO_CODE] },
+        ],
+        query: { enabled: Boolean(dep && validRef) },
+    });
+    useRefreshOnBlock(queryKey);
+
+    const [unitPrice, total, sold, referrer] = (data ?? []).map((r) => r.result);
+    return { validRef, refCode: ref, qty, unitPrice, total, sold, referrer, isLoading };
+}
+
+/**
+ * @notice 내 레퍼럴 코드 / 보유 박스 / BadgeSBT 등급
+ * @returns {{ code: string|null, boxes?: bigint, sbtId?: bigint, tier: string|null }}
+ *   - code : 첫 구매(또는 백필) 시 자동 발급, 없으면 null
+ *   - tier : SBT 미발급이면 'None', 조회 전이면 null
+ */
+export function useReferralBadge() {
+    const dep = useDeployment();
+    const { address } = useAccount();
+    const vesting = { address: dep?.vesting, abi: ABI.vesting };
+
+    const base = useReadContracts({
+        contracts: [
+            { ...vesting, functionName: 'referralCodeOf', args: [address] },
+            { ...vesting, functionName: 'sbtIdOf', args: [address] },
+            { ...vesting, functionName: 'boxesOf', args: [address] },
+            { ...vesting, functionName: 'badgeSBT' },
+        ],
+        query: { enabled: Boolean(dep && address) },
+    });
+    const [code, sbtId, boxes, sbt] = (base.data ?? []).map((r) => r.result);
+
+    const hasBadge = Boolean(sbt && sbt !== zeroAddress && sbtId > 0n);
+    const tier = useReadContract({
+        address: sbt,
+        abi: ABI.sbt,
+        functionName: 'currentTier',
+        args: [sbtId],
+        query: { enabled: hasBadge },
+    });
+    useRefreshOnBlock(base.queryKey, tier.queryKey);
+
+    return {
+        code: code && code !== NO_CODE ? hexToString(code, { size: 8 }) : null,
+        boxes,
+        sbtId,
+        tier: sbtId === undefined ? null : hasBadge ? (TIERS[tier.data] ?? null) : TIERS[0],
+    };
+}
+
+/**
+ * @notice 클레임 가능량
+ * @returns {{ purchase?: bigint, referral?: bigint, buyback?: bigint, vestingToken?: string }}
+ *   - purchase / referral : 베스팅 토큰 (18 decimals)
+ *   - buyback             : StableCoin (레퍼럴 코드 소유자에게 적립되는 바이백)
+ */
+export function useClaimables() {
+    const dep = useDeployment();
+    const { address } = useAccount();
+    const vesting = { address: dep?.vesting, abi: ABI.vesting };
+    const { data, queryKey } = useReadContracts({
+        contracts: [
+            { ...vesting, functionName: 'previewBuyerClaimable', args: [address] },
+            { ...vesting, functionName: 'previewReferrerClaimable', args: [address] },
+            { ...vesting, functionName: 'buybackStableCoinAmount', args: [address] },
+            { ...vesting, functionName: 'vestingToken' },
+        ],
+        query: { enabled: Boolean(dep && address) },
+    });
+    useRefreshOnBlock(queryKey);
+    const [purchase, referral, buyback, vestingToken] = (data ?? []).map((r) => r.result);
+    return { purchase, referral, buyback, vestingToken };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 실행
+// ─────────────────────────────────────────────────────────────────────────────
+
+const IDLE = { step: 'idle', hash: null, jobId: null, error: null };
+
+/**
+ * @notice TokenVesting 함수 호출 (직접 tx 또는 fd-server 위임대납)
+ * @returns {{ submit: Function, state: { step: string, hash: string|null, jobId: string|null, error: string|null }, busy: boolean }}
+ *   step: idle → preparing → (sending → confirming | relaying → queued) → done | error
+ */
+export function useSubmit() {
+    const dep = useDeployment();
+    const { address, connector } = useAccount();
+    const publicClient = usePublicClient();
+    const queryClient = useQueryClient();
+    const { writeContractAsync } = useWriteContract();
+    const [state, setState] = useState(IDLE);
+    const update = (patch) => setState((s) => ({ ...s, ...patch }));
+
+    /**
+     * @param {object} p
+     * @param {string} p.functionName TokenVesting 함수
+     * @param {any[] | (() => Promise<any[]>)} [p.args] 인자 (함수면 호출 직전에 계산: permit 서명 등)
+     * @param {boolean} [p.delegated] true면 fd-server 경유 (가스는 릴레이어 지불)
+     */
+    async function submit({ functionName, args = [], delegated = false }) {
+        setState({ ...IDLE, step: 'preparing' });
+        try {
+            if (!dep || !address) throw new Error('지갑 연결 / 배포 레지스트리를 확인하세요.');
+            const callArgs = typeof args === 'function' ? await args() : args;
+
+            if (delegated) {
+                update({ step: 'relaying' });
+                const data = encodeFunctionData({ abi: ABI.vesting, functionName, args: callArgs });
+                const job = await relayViaFd({
+                    connector,
+                    account: address,
+                    forwarder: dep.forwarder,
+                    to: dep.vesting,
+                    data,
+                    onQueued: (jobId) => update({ step: 'queued', jobId }),
+                });
+                update({ step: 'done', hash: job.txHash ?? null });
+            } else {
+                update({ step: 'sending' });
+                const hash = await writeContractAsync({ address: dep.vesting, abi: ABI.vesting, functionName, args: callArgs });
+                update({ step: 'confirming', hash });
+                const rc = await publicClient.waitForTransactionReceipt({ hash });
+                if (rc.status !== 'success') throw new Error(`트랜잭션 실패 (reverted): ${hash}`);
+                update({ step: 'done' });
+            }
+            await queryClient.invalidateQueries();
+        } catch (e) {
+            update({ step: 'error', error: describeError(e) });
+        }
+    }
+
+    const busy = !['idle', 'done', 'error'].includes(state.step);
+    return { submit, state, busy };
+}
+
+/**
+ * @notice 박스 구매: estimatedTotalAmount(금액 확정) → StableCoin permit 서명 → buyBox(qty, ref, permit)
+ *  - 위임대납이어도 permit은 구매자 본인 서명 (buyBox의 _msgSender() = 구매자)
+ */
+export function useBuyBox() {
+    const dep = useDeployment();
+    const { address } = useAccount();
+    const publicClient = usePublicClient();
+    const { signTypedDataAsync } = useSignTypedData();
+    const { submit, ...rest } = useSubmit();
+
+    /**
+     * @param {{ quantity: string, refCode: string, delegated: boolean }} p
+     */
+    const buy = ({ quantity, refCode, delegated }) => submit({
+        functionName: 'buyBox',
+        delegated,
+        async args() {
+            const qty = BigInt(quantity);
+            const ref = refCode.trim().toUpperCase();
+            const total = await publicClient.readContract({
+                address: dep.vesting,
+                abi: ABI.vesting,
+                functionName: 'estimatedTotalAmount',
+                args: [qty, ref],
+            });
+            if (total === 0n) throw new Error('유효하지 않은 레퍼럴 코드입니다. (estimatedTotalAmount=0)');
+            const permit = await signPermit({
+                publicClient,
+                signTypedDataAsync,
+                token: dep.stableCoin,
+                owner: address,
+                spender: dep.vesting,
+                value: total,
+            });
+            return [qty, ref, permit];
+        },
+    });
+
+    return { buy, ...rest };
+}
+
+/**
+ * @notice 클레임
+ * @param {'purchase'|'referral'|'buyback'} pool
+ */
+export function useClaim(pool) {
+    const { submit, ...rest } = useSubmit();
+    const claim = ({ delegated }) => submit({ functionName: CLAIM_FUNCTIONS[pool], delegated });
+    return { claim, ...rest };
+}
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview
+ *  fd-server 위임대납 경로 (fd-sdk)
+ * @description
+ *  - 지갑의 EIP-1193 provider로 ForwardRequest 서명 (fd-sdk signForwardRequest → eth_signTypedData_v4)
+ *  - nonces / domainSeparator 조회는 같은 provider를 감싼 ethers BrowserProvider
+ *  - 서버 호출은 vite dev 서버 프록시(/fd) 경유 (fd-server에 CORS 헤더 없음)
+ *  - VITE_FD_ENABLED=false 면 UI에서 위임대납 옵션을 숨긴다
+ *
+ * @author hlibbc
+ */
+import { BrowserProvider } from 'ethers';
+import fdSdk from 'fd-sdk';
+
+const { createFdClient, FdError } = fdSdk;
+
+/** 위임대납 옵션 노출 여부 */
+export const fdEnabled = import.meta.env.VITE_FD_ENABLED !== 'false';
+
+const fd = createFdClient({ url: '/fd' });
+
+/**
+ * @notice ForwardRequest 서명 → POST /execute → 확정 대기
+ * @param {object} p
+ * @param {import('wagmi').Connector} p.connector 연결된 wagmi 커넥터 (getProvider → EIP-1193)
+ * @param {string} p.account 요청자 주소 (_msgSender()가 될 주소)
+ * @param {string} p.forwarder WhitelistForwarder 주소
+ * @param {string} p.to TokenVesting 주소
+ * @param {string} p.data calldata
+ * @param {(id: string) => void} [p.onQueued] job 등록 직후 콜백
+ * @returns {Promise<object>} confirmed job ({ id, status, txHash, block, ... })
+ * @throws {FdError} 서버 거부(policy / preflight ...) / 서명 불일치 / 실행 실패 / 대기 초과
+ */
+export async function relayViaFd({ connector, account, forwarder, to, data, onQueued }) {
+    if (!forwarder) throw new Error('배포 레지스트리에 WhitelistForwarder 주소가 없습니다.');
+    const eip1193 = await connector.getProvider();
+    const provider = new BrowserProvider(eip1193);
+    const { id } = await fd.relay({ signer: eip1193, from: account, provider, forwarder, to, data });
+    onQueued?.(id);
+    return fd.waitForJob(id);
+}
+
+/**
+ * @notice 화면 표시용 에러 메시지
+ *  - FdError: [fd-server stage/code] revert 이름 또는 서버 메시지
+ *  - viem/wagmi: shortMessage
+ */
+export function describeError(e) {
+    if (e instanceof FdError) {
+        const tag = e.code ? `${e.stage}/${e.code}` : e.stage;
+        const revert = e.revert ? ` (${e.revert.reason || e.revert.name})` : '';
+        return `[fd-server ${tag}] ${e.message}${revert}`;
+    }
+    return e?.shortMessage || e?.message || String(e);
+}
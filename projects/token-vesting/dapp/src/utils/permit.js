@@ -0,0 +1,68 @@
+/**
+ * @fileoverview
+ *  StableCoin EIP-2612 permit 서명 (브라우저 지갑, viem)
+ * @description
+ *  scripts/_permit.js 의 signPermit 과 같은 흐름을 wagmi/viem으로 구현
+ *  - 도메인: 토큰의 eip712Domain() (StableCoin = ERC20PermitV2, version "2")
+ *  - 서명 후 로컬 복원 주소 == owner 확인 → 불일치면 buyBox 내부 permit의 ERC2612InvalidSigner 대신 여기서 실패
+ *  - 반환: TokenVesting.PermitData { value, deadline, v, r, s }
+ *
+ * @author hlibbc
+ */
+import { parseAbi, parseSignature, recoverTypedDataAddress } from 'viem';
+
+/**
+ * @notice EIP-2612 Permit 타입
+ */
+const PERMIT_TYPES = {
+    Permit: [
+        { name: 'owner', type: 'address' },
+        { name: 'spender', type: 'address' },
+        { name: 'value', type: 'uint256' },
+        { name: 'nonce', type: 'uint256' },
+        { name: 'deadline', type: 'uint256' },
+    ],
+};
+
+const PERMIT_ABI = parseAbi([
+    'function nonces(address owner) view returns (uint256)',
+    'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+]);
+
+/**
+ * @notice permit 서명 → PermitData
+ * @param {object} p
+ * @param {import('viem').PublicClient} p.publicClient 읽기용 클라이언트
+ * @param {(args: object) => Promise<string>} p.signTypedDataAsync wagmi useSignTypedData().signTypedDataAsync
+ * @param {string} p.token StableCoin 주소
+ * @param {string} p.owner 서명자(구매자) 주소
+ * @param {string} p.spender TokenVesting 주소
+ * @param {bigint} p.value 결제 금액 (estimatedTotalAmount)
+ * @param {number} [p.ttlSec] 유효기간 (기본 3600초, 최신 블록 시각 기준)
+ * @returns {Promise<{ value: bigint, deadline: bigint, v: number, r: string, s: string }>}
+ */
+export async function signPermit({ publicClient, signTypedDataAsync, token, owner, spender, value, ttlSec = 3600 }) {
+    const [eip712Domain, nonce, block] = await Promise.all([
+        publicClient.readContract({ address: token, abi: PERMIT_ABI, functionName: 'eip712Domain' }),
+        publicClient.readContract({ address: token, abi: PERMIT_ABI, functionName: 'nonces', args: [owner] }),
+        publicClient.getBlock(),
+    ]);
+    const [, name, version, chainId, verifyingContract] = eip712Domain;
+    const domain = { name, version, chainId: Number(chainId), verifyingContract };
+    const deadline = block.timestamp + BigInt(ttlSec);
+    const typedData = {
+        domain,
+        types: PERMIT_TYPES,
+        primaryType: 'Permit',
+        message: { owner, spender, value, nonce, deadline },
+    };
+
+    const signature = await signTypedDataAsync(typedData);
+    const recovered = await recoverTypedDataAddress({ ...typedData, signature });
+    if (recovered.toLowerCase() !== owner.toLowerCase()) {
+        throw new Error(`permit 서명 복원 주소 불일치: recovered=${recovered}, owner=${owner}`);
+    }
+
+    const { r, s, v, yParity } = parseSignature(signature);
+    return { value, deadline, v: Number(v ?? 27n + BigInt(yParity)), r, s };
+}
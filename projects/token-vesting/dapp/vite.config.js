@@ -0,0 +1,55 @@
+/**
+ * @fileoverview
+ *  token-vesting dApp vite 설정
+ * @description
+ *  - ABI / 배포 주소는 상위 프로젝트의 artifacts/ 와 deployments/<chainId>.json 을 직접 import
+ *    → server.fs.allow 에 프로젝트 루트(..) 추가
+ *  - fd-server는 CORS 헤더가 없으므로 dev 서버 프록시(/fd → FD_SERVER_URL)로 같은 origin에서 호출
+ *  - fd-sdk(../benchmarks/fd-sdk)는 CommonJS 로컬 패키지 → 사전 번들(optimizeDeps) / commonjs 변환 대상에 포함,
+ *    fd-sdk 내부의 require('ethers')는 dApp의 ethers로 해석(dedupe)
+ *
+ *  환경변수 (.env, env_example 참고)
+ *  - FD_SERVER_URL : fd-server 주소 (기본 http://127.0.0.1:3030, 끝의 /execute는 무시)
+ *  - DAPP_PORT     : dev 서버 포트 (기본 3000)
+ *
+ * @author hlibbc
+ */
+import { defineConfig, loadEnv } from 'vite';
+import react from '@vitejs/plugin-react';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const dappRoot = fileURLToPath(new URL('.', import.meta.url));
+const projectRoot = path.resolve(dappRoot, '..');
+
+export default defineConfig(({ mode }) => {
+    const env = loadEnv(mode, dappRoot, '');
+    const fdTarget = (env.FD_SERVER_URL || 'http://127.0.0.1:3030').replace(/\/+$/, '').replace(/\/execute$/, '');
+
+    return {
+        plugins: [react()],
+        server: {
+            port: Number(env.DAPP_PORT || 3000),
+            open: true,
+            fs: { allow: [projectRoot] },
+            proxy: {
+                '/fd': {
+                    target: fdTarget,
+                    changeOrigin: true,
+                    rewrite: (p) => p.replace(/^\/fd/, ''),
+                },
+            },
+        },
+        resolve: {
+            dedupe: ['ethers'],
+        },
+        optimizeDeps: {
+            include: ['fd-sdk'],
+        },
+        build: {
+            commonjsOptions: {
+                include: [/fd-sdk/, /node_modules/],
+            },
+        },
+    };
+});
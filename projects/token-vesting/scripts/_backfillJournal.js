@@ -0,0 +1,448 @@
+/**
+ * @fileoverview
+ *  backfillHistories.js 전용 체크포인트 저널 모듈
+ * @description
+ *  - CSV 행마다 내용 기반 해시(rowKey)를 계산하여 "이미 반영된 행"을 식별
+ *  - 배치 단위로 txHash / 상태(pending|confirmed|failed)를 JSON 파일에 기록
+ *  - 재실행 시
+ *      1) pending 배치의 영수증을 조회해 확정/실패로 정리하고
+ *      2) 확정 배치를 영수증의 BoxesPurchased / BoxesTransferred 이벤트와 대조하며
+ *      3) 저널에 없는 행도 온체인 이벤트에 이미 존재하면 반영된 것으로 표시
+ *    → 크래시 후 재실행해도 같은 행이 두 번 반영되지 않음
+ *
+ * 저널 파일 구조:
+ *   {
+ *     version, chainId, vesting,
+ *     applied: { [rowKey]: txHash | "onchain" },
+ *     batches: [{ kind, label, txHash, status, rowKeys, fingerprints, blockNumber?, reason? }]
+ *   }
+ *
+ * 사용법:
+ *   const Journal = require("./_backfillJournal");
+ *   const journal = Journal.openJournal(file, { chainId, vesting: vestingAddr });
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const JOURNAL_VERSION = 1;
+
+// =============================================================================
+// 행 식별자 / 이벤트 지문
+// =============================================================================
+
+/**
+ * @notice 백필 아이템의 온체인 이벤트 지문(fingerprint)을 만든다.
+ * @param {"purchase"|"send"} kind
+ * @param {object} item backfillPurchaseBulkAt / backfillSendBoxBulkAt 입력 구조체
+ * @returns {string} 이벤트와 1:1로 비교 가능한 문자열
+ * @dev
+ *  - purchase: BoxesPurchased(buyer, boxCount, -, paidAmount, buyback=0, -, timestamp)
+ *  - send    : BoxesTransferred(from, to, boxCount, timestamp)
+ */
+function fingerprintOf(kind, item) {
+    if (kind === "purchase") {
+        return [
+            "P",
+            ethers.getAddress(item.buyer),
+            BigInt(item.boxCount).toString(),
+            BigInt(item.purchaseTs).toString(),
+            BigInt(item.paidUnits).toString(),
+        ].join("|");
+    }
+    if (kind === "send") {
+        return [
+            "S",
+            ethers.getAddress(item.from),
+            ethers.getAddress(item.to),
+            BigInt(item.boxCount).toString(),
+            BigInt(item.transferTs).toString(),
+        ].join("|");
+    }
+    throw new Error(`unknown backfill kind: ${kind}`);
+}
+
+/**
+ * @notice 파싱된 이벤트 로그를 fingerprintOf와 같은 형식의 문자열로 변환한다.
+ * @param {import("ethers").LogDescription} ev
+ * @returns {string|null} 백필 대상 이벤트가 아니면 null
+ * @dev buyBox 이벤트는 buyback > 0 이므로 buyback == 0인 구매 이벤트만 백필로 간주
+ */
+function fingerprintOfEvent(ev) {
+    if (ev?.name === "BoxesPurchased") {
+        if (BigInt(ev.args.buyback) !== 0n) return null;
+        return fingerprintOf("purchase", {
+            buyer: ev.args.buyer,
+            boxCount: ev.args.boxCount,
+            purchaseTs: ev.args.timestamp,
+            paidUnits: ev.args.paidAmount,
+        });
+    }
+    if (ev?.name === "BoxesTransferred") {
+        return fingerprintOf("send", {
+            from: ev.args.from,
+            to: ev.args.to,
+            boxCount: ev.args.boxCount,
+            transferTs: ev.args.timestamp,
+        });
+    }
+    return null;
+}
+
+/**
+ * @notice 아이템 배열에 rowKey를 부여한다.
+ * @param {"purchase"|"send"} kind
+ * @param {object[]} items 백필 구조체 배열 (CSV 순서 그대로)
+ * @returns {Array<{key: string, fp: string, item: object}>}
+ * @dev
+ *  - 동일 내용의 행이 여러 번 등장하는 것은 정상(같은 날 같은 수량 구매)이므로
+ *    지문 + 등장 순번(#n)으로 해시하여 서로 다른 행으로 취급한다.
+ */
+function keyItems(kind, items) {
+    const seen = new Map();
+    return items.map((item) => {
+        const fp = fingerprintOf(kind, item);
+        const occ = seen.get(fp) || 0;
+        seen.set(fp, occ + 1);
+        const key = ethers.keccak256(ethers.toUtf8Bytes(`${kind}|${fp}|#${occ}`));
+        return { key, fp, item };
+    });
+}
+
+// =============================================================================
+// 저널 파일
+// =============================================================================
+
+/**
+ * @notice 저널 파일을 열거나(없으면 생성) 로드한다.
+ * @param {string} file 저널 파일 경로
+ * @param {{chainId: bigint|number|string, vesting: string}} scope 저널이 속한 체인/컨트랙트
+ * @returns {object} 저널 핸들
+ * @throws {Error} 다른 체인/컨트랙트의 저널이면 에러 (다른 배포의 진행상황 오염 방지)
+ */
+function openJournal(file, scope) {
+    const chainId = String(scope.chainId);
+    const vesting = ethers.getAddress(scope.vesting);
+
+    let data = { version: JOURNAL_VERSION, chainId, vesting, applied: {}, batches: [] };
+    if (fs.existsSync(file)) {
+        data = JSON.parse(fs.readFileSync(file, "utf8"));
+        if (String(data.chainId) !== chainId || ethers.getAddress(data.vesting) !== vesting) {
+            throw new Error(
+                `journal scope mismatch: ${file}\n` +
+                ` journal=(chainId ${data.chainId}, vesting ${data.vesting})\n` +
+                ` current=(chainId ${chainId}, vesting ${vesting})\n` +
+                " 다른 배포용 저널입니다. BACKFILL_JOURNAL로 경로를 분리하세요."
+            );
+        }
+        data.applied ??= {};
+        data.batches ??= [];
+    }
+
+    /** @notice 파일에 원자적으로 기록(tmp → rename) */
+    function save() {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+        fs.renameSync(tmp, file);
+    }
+
+    /** @notice 행 반영 여부 */
+    function isApplied(key) {
+        return Object.prototype.hasOwnProperty.call(data.applied, key);
+    }
+
+    /** @notice txHash로 배치 레코드 조회 */
+    function batchOf(txHash) {
+        return data.batches.find((b) => b.txHash === txHash) || null;
+    }
+
+    /**
+     * @notice 배치 전송 직후(영수증 대기 전) pending으로 기록
+     * @param {"purchase"|"send"} kind
+     * @param {string} label 로그용 라벨
+     * @param {Array<{key: string, fp: string}>} keyed keyItems 결과 중 이번 배치분
+     * @param {string} txHash
+     */
+    function recordPending(kind, label, keyed, txHash) {
+        data.batches.push({
+            kind,
+            label,
+            txHash,
+            status: "pending",
+            rowKeys: keyed.map((k) => k.key),
+            fingerprints: keyed.map((k) => k.fp),
+            sentAt: new Date().toISOString(),
+        });
+        save();
+    }
+
+    /** @notice 배치 확정: 포함된 모든 행을 applied로 표시 */
+    function markConfirmed(txHash, blockNumber) {
+        const b = batchOf(txHash);
+        if (!b) throw new Error(`unknown batch tx: ${txHash}`);
+        b.status = "confirmed";
+        b.blockNumber = blockNumber;
+        for (const k of b.rowKeys) data.applied[k] = txHash;
+        save();
+    }
+
+    /** @notice 배치 실패(revert/드롭): 행은 미반영 상태로 남아 재실행 시 다시 시도됨 */
+    function markFailed(txHash, reason) {
+        const b = batchOf(txHash);
+        if (!b) throw new Error(`unknown batch tx: ${txHash}`);
+        b.status = "failed";
+        b.reason = String(reason || "");
+        save();
+    }
+
+    /** @notice 저널 없이 온체인에서 발견된 행을 applied로 표시 */
+    function markAppliedOnchain(keys) {
+        for (const k of keys) data.applied[k] ??= "onchain";
+        save();
+    }
+
+    return {
+        file,
+        data,
+        save,
+        isApplied,
+        batchOf,
+        recordPending,
+        markConfirmed,
+        markFailed,
+        markAppliedOnchain,
+        pending: () => data.batches.filter((b) => b.status === "pending"),
+        confirmed: () => data.batches.filter((b) => b.status === "confirmed"),
+    };
+}
+
+// =============================================================================
+// 온체인 대조
+// =============================================================================
+
+/**
+ * @notice 영수증에서 vesting 컨트랙트의 백필 이벤트 지문 목록을 추출
+ * @param {import("ethers").Contract} vesting
+ * @param {import("ethers").TransactionReceipt} rc
+ * @returns {string[]}
+ */
+function fingerprintsInReceipt(vesting, rc) {
+    const target = String(vesting.target).toLowerCase();
+    const out = [];
+    for (const log of rc?.logs || []) {
+        if (String(log.address).toLowerCase() !== target) continue;
+        let ev = null;
+        try { ev = vesting.interface.parseLog(log); } catch { /* 다른 이벤트 */ }
+        const fp = fingerprintOfEvent(ev);
+        if (fp) out.push(fp);
+    }
+    return out;
+}
+
+/**
+ * @notice 두 지문 목록이 다중집합(multiset)으로 같은지 비교
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {boolean}
+ */
+function sameMultiset(a, b) {
+    if (a.length !== b.length) return false;
+    const x = [...a].sort();
+    const y = [...b].sort();
+    return x.every((v, i) => v === y[i]);
+}
+
+/**
+ * @notice pending 배치를 영수증 기준으로 정리한다 (크래시 복구)
+ * @param {object} journal openJournal 핸들
+ * @param {import("ethers").Contract} vesting runner.provider가 연결된 TokenVesting
+ * @param {{timeoutMs?: number}} [opts] 아직 mempool에 있는 tx 대기 시간
+ * @returns {Promise<{confirmed: number, failed: number}>}
+ */
+async function reconcilePending(journal, vesting, opts = {}) {
+    const provider = vesting.runner?.provider ?? vesting.runner;
+    const timeoutMs = opts.timeoutMs ?? 120_000;
+    let confirmed = 0, failed = 0;
+
+    for (const b of journal.pending()) {
+        let rc = await provider.getTransactionReceipt(b.txHash);
+        if (!rc) {
+            const tx = await provider.getTransaction(b.txHash);
+            if (!tx) {
+                journal.markFailed(b.txHash, "dropped (tx not found)");
+                failed++;
+                continue;
+            }
+            try {
+                rc = await provider.waitForTransaction(b.txHash, 1, timeoutMs);
+            } catch {
+                rc = null;
+            }
+            if (!rc) {
+                throw new Error(`[journal] ${b.label} tx ${b.txHash} still pending; 잠시 후 다시 실행하세요.`);
+            }
+        }
+        if (rc.status !== 1) {
+            journal.markFailed(b.txHash, "reverted");
+            failed++;
+            continue;
+        }
+        const got = fingerprintsInReceipt(vesting, rc);
+        if (!sameMultiset(got, b.fingerprints)) {
+            throw new Error(`[journal] ${b.label} tx ${b.txHash} 이벤트가 저널 기록과 다릅니다.`);
+        }
+        journal.markConfirmed(b.txHash, rc.blockNumber);
+        confirmed++;
+    }
+    return { confirmed, failed };
+}
+
+/**
+ * @notice 확정 배치들을 영수증 이벤트와 재대조한다.
+ * @param {object} journal
+ * @param {import("ethers").Contract} vesting
+ * @returns {Promise<string[]>} 불일치 배치 txHash 목록 (비어있으면 정상)
+ */
+async function verifyConfirmed(journal, vesting) {
+    const provider = vesting.runner?.provider ?? vesting.runner;
+    const bad = [];
+    for (const b of journal.confirmed()) {
+        const rc = await provider.getTransactionReceipt(b.txHash);
+        if (!rc || rc.status !== 1 || !sameMultiset(fingerprintsInReceipt(vesting, rc), b.fingerprints)) {
+            bad.push(b.txHash);
+        }
+    }
+    return bad;
+}
+
+/**
+ * @notice 지정 블록 구간의 백필 이벤트 지문을 등장 횟수와 함께 수집
+ * @param {import("ethers").Contract} vesting
+ * @param {number} fromBlock
+ * @param {{toBlock?: number, step?: number}} [opts]
+ * @returns {Promise<Map<string, number>>} fingerprint → 등장 횟수
+ */
+async function collectOnchainFingerprints(vesting, fromBlock, opts = {}) {
+    const provider = vesting.runner?.provider ?? vesting.runner;
+    const toBlock = opts.toBlock ?? await provider.getBlockNumber();
+    const step = opts.step ?? 5000;
+    const counts = new Map();
+
+    for (let start = fromBlock; start <= toBlock; start += step) {
+        const end = Math.min(start + step - 1, toBlock);
+        const logs = [
+            ...await vesting.queryFilter(vesting.filters.BoxesPurchased(), start, end),
+            ...await vesting.queryFilter(vesting.filters.BoxesTransferred(), start, end),
+        ];
+        for (const log of logs) {
+            const fp = fingerprintOfEvent(vesting.interface.parseLog(log));
+            if (fp) counts.set(fp, (counts.get(fp) || 0) + 1);
+        }
+    }
+    return counts;
+}
+
+/**
+ * @notice 저널에 없지만 온체인에 이미 존재하는 행을 찾아 applied로 표시
+ * @param {object} journal
+ * @param {Array<{key: string, fp: string}>} keyed keyItems 결과(CSV 전체)
+ * @param {Map<string, number>} onchain collectOnchainFingerprints 결과
+ * @returns {number} 새로 applied 처리된 행 수
+ * @dev
+ *  - 온체인 지문 개수에서 이미 저널에 applied인 행 수를 먼저 차감하고,
+ *    남은 개수만큼만 CSV 앞쪽 행부터 소비 → 같은 내용의 행이 3번 있고 온체인에 2번 있으면 2행만 표시
+ */
+function markAppliedFromChain(journal, keyed, onchain) {
+    const remain = new Map(onchain);
+    for (const k of keyed) {
+        if (journal.isApplied(k.key) && remain.get(k.fp) > 0) {
+            remain.set(k.fp, remain.get(k.fp) - 1);
+        }
+    }
+    const found = [];
+    for (const k of keyed) {
+        if (journal.isApplied(k.key)) continue;
+        if (remain.get(k.fp) > 0) {
+            remain.set(k.fp, remain.get(k.fp) - 1);
+            found.push(k.key);
+        }
+    }
+    if (found.length) journal.markAppliedOnchain(found);
+    return found.length;
+}
+
+// =============================================================================
+// 배치 전송
+// =============================================================================
+
+/**
+ * @notice 배치 1건을 저널 기록과 함께 전송한다.
+ * @param {object} args
+ * @param {object} args.journal openJournal 핸들
+ * @param {import("ethers").Contract} args.vesting
+ * @param {"purchase"|"send"} args.kind
+ * @param {string} args.label 로그 라벨
+ * @param {Array<{key: string, fp: string, item: object}>} args.keyed 이번 배치 아이템
+ * @param {() => Promise<import("ethers").TransactionResponse>} args.send tx 전송 팩토리
+ * @param {(label: string, txPromise: Promise<any>) => Promise<any>} args.waitAndLog
+ *        영수증 대기 + 로깅 함수 (Shared.withGasLog 래핑)
+ * @returns {Promise<import("ethers").TransactionReceipt>}
+ * @dev
+ *  - tx 해시를 받은 즉시 pending으로 기록 → 영수증 대기 중 크래시가 나도 재실행 시 복구
+ *  - 전송 자체가 실패(estimateGas revert 등)하면 1회 재시도, 전송된 tx의 대기가 실패하면
+ *    재전송하지 않고 reconcilePending으로 결과를 확인 (중복 반영 방지)
+ */
+async function sendJournaledBatch({ journal, vesting, kind, label, keyed, send, waitAndLog }) {
+    const attempt = async (lbl) => {
+        let sentHash = null;
+        const txPromise = send().then((tx) => {
+            sentHash = tx.hash;
+            journal.recordPending(kind, lbl, keyed, tx.hash);
+            return tx;
+        });
+        try {
+            const rc = await waitAndLog(lbl, txPromise);
+            const got = fingerprintsInReceipt(vesting, rc);
+            if (!sameMultiset(got, keyed.map((k) => k.fp))) {
+                throw new Error(`${lbl}: receipt events do not match batch rows`);
+            }
+            journal.markConfirmed(rc.hash, rc.blockNumber);
+            return rc;
+        } catch (e) {
+            e.sentHash = sentHash;
+            throw e;
+        }
+    };
+
+    try {
+        return await attempt(label);
+    } catch (e) {
+        if (e.sentHash) {
+            // 이미 전송된 tx → 재전송 대신 결과 확인
+            await reconcilePending(journal, vesting);
+            const b = journal.batchOf(e.sentHash);
+            if (b?.status === "confirmed") return null;
+            throw e;
+        }
+        console.warn(`${label} failed (1st). retrying...`, e?.reason || e?.message || String(e));
+        await new Promise((r) => setTimeout(r, 300));
+        return await attempt(`${label} [retry]`);
+    }
+}
+
+module.exports = {
+    JOURNAL_VERSION,
+    fingerprintOf,
+    fingerprintOfEvent,
+    keyItems,
+    openJournal,
+    fingerprintsInReceipt,
+    reconcilePending,
+    verifyConfirmed,
+    collectOnchainFingerprints,
+    markAppliedFromChain,
+    sendJournaledBatch,
+};
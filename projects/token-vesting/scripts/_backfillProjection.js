@@ -0,0 +1,294 @@
+/**
+ * @fileoverview
+ *  백필 dry-run 용 오프라인 투영(projection) 모듈
+ * @description
+ *  - backfillPurchaseBulkAt / backfillSendBoxBulkAt 의 스토리지 반영 로직을 JS로 재현
+ *  - 배치 단위 원자성(한 건 실패 시 배치 전체 revert)까지 동일하게 모델링
+ *  - 결과:
+ *      - 유저별 박스 합계(구매/송신/수신/최종), 레퍼럴 단위
+ *      - revert 될 effDay 역전("non-monotonic effDay"), 확정일 백필("day finalized"),
+ *        잔량 부족(InsufficientAfterPriorTransfers), 미등록 레퍼럴 코드
+ *      - revert는 아니지만 from 측 체크포인트가 역순으로 쌓이는 경우(경고)
+ *      - 일자별 투영 cumBoxes / cumReferals
+ *
+ * 주의:
+ *  - 온체인 기존 상태는 seedBuyerHistory / seedRefHistory / seedCumulative 로 주입해야 정확함
+ *  - 이 모듈은 hardhat에 의존하지 않음 (ethers만 사용)
+ *
+ * @author hlibbc
+ */
+const { ethers } = require("ethers");
+
+const DAY = 86400n;
+const MAX_BACKFILL_BULK = 10;
+
+/**
+ * @notice 체크포인트 배열에서 day 시점 보유량 (컨트랙트 _balanceAtDay와 동일)
+ * @param {Array<{day: bigint, amount: bigint}>} hist
+ * @param {bigint} day
+ * @returns {bigint}
+ */
+function balanceAtDay(hist, day) {
+    let cur = 0n;
+    for (let i = 0; i < hist.length && hist[i].day <= day; i++) cur = hist[i].amount;
+    return cur;
+}
+
+/**
+ * @notice 투영 상태 생성
+ * @param {object} args
+ * @param {bigint} args.startTs 베스팅 시작 시각(vestingStartDate)
+ * @param {bigint} [args.lastSyncedDay] 현재 온체인 lastSyncedDay
+ * @param {Map<string, string>} [args.codeOwners] 정규화된 레퍼럴 코드 → 소유자 주소
+ * @returns {object} 투영 핸들
+ */
+function createProjection({ startTs, lastSyncedDay = 0n, codeOwners = new Map() }) {
+    const base = {
+        buyerHist: new Map(), // addr → [{day, amount}]
+        refHist: new Map(),
+        boxesAdded: new Map(), // day → 추가 박스
+        refAdded: new Map(), // day → 추가 레퍼럴 단위
+    };
+    const users = new Map(); // addr → 합계 집계
+    const issues = []; // revert 예상 항목
+    const warnings = []; // revert는 아니지만 확인 필요한 항목
+    const seeded = { cumBoxes: 0n, cumReferals: 0n, boxesAdded: new Map(), refAdded: new Map() };
+
+    const dayOf = (ts) => (BigInt(ts) < startTs ? 0n : (BigInt(ts) - startTs) / DAY);
+
+    function userOf(addr) {
+        if (!users.has(addr)) {
+            users.set(addr, { purchased: 0n, sentOut: 0n, received: 0n, referralUnits: 0n });
+        }
+        return users.get(addr);
+    }
+
+    // ── 배치 오버레이: 배치 도중 실패하면 base에 반영하지 않음
+    function overlay() {
+        const o = { buyerHist: new Map(), refHist: new Map(), boxesAdded: new Map(), refAdded: new Map(), agg: [] };
+        const hist = (kind, addr) => {
+            if (!o[kind].has(addr)) o[kind].set(addr, (base[kind].get(addr) || []).map((c) => ({ ...c })));
+            return o[kind].get(addr);
+        };
+        const add = (kind, day, n) => {
+            const cur = o[kind].has(day) ? o[kind].get(day) : (base[kind].get(day) || 0n);
+            o[kind].set(day, cur + n);
+        };
+        const commit = () => {
+            for (const k of ["buyerHist", "refHist", "boxesAdded", "refAdded"]) {
+                for (const [key, v] of o[k]) base[k].set(key, v);
+            }
+            for (const fn of o.agg) fn();
+        };
+        return { hist, add, commit, agg: o.agg };
+    }
+
+    // ── _pushBuyerCheckpoint / _pushRefCheckpoint 재현
+    function pushCheckpoint(hist, effDay, added) {
+        if (hist.length) {
+            const last = hist[hist.length - 1];
+            if (last.day === effDay) { last.amount += added; return; }
+            if (effDay < last.day) {
+                const e = new Error("non-monotonic effDay");
+                e.lastDay = last.day;
+                throw e;
+            }
+            hist.push({ day: effDay, amount: last.amount + added });
+        } else {
+            hist.push({ day: effDay, amount: added });
+        }
+    }
+
+    /**
+     * @notice 구매 백필 배치 1건 적용
+     * @param {object[]} items BackfillPurchase[]
+     * @param {object} [ctx] 리포트 표기용 {batch, rows}
+     * @returns {{ok: boolean, reason?: string, index?: number}}
+     */
+    function applyPurchaseBatch(items, ctx = {}) {
+        const ov = overlay();
+        for (let i = 0; i < items.length; i++) {
+            const p = items[i];
+            const buyer = ethers.getAddress(p.buyer);
+            const box = BigInt(p.boxCount);
+            const d = dayOf(p.purchaseTs);
+            const where = { kind: "purchase", batch: ctx.batch, row: ctx.rows?.[i], user: buyer, day: d.toString() };
+            if (box === 0n) return fail(where, "box=0", i);
+            if (d < lastSyncedDay) return fail(where, "day finalized", i);
+
+            let referrer = null;
+            const code = String(p.refCodeStr || "").trim().toUpperCase();
+            if (code) {
+                referrer = codeOwners.get(code) || null;
+                if (!referrer) return fail(where, `Referral code not exist (${code})`, i);
+            }
+
+            ov.add("boxesAdded", d, box);
+            try {
+                pushCheckpoint(ov.hist("buyerHist", buyer), d, box);
+            } catch (e) {
+                return fail({ ...where, side: "buyer", lastDay: e.lastDay?.toString() }, e.message, i);
+            }
+            if (referrer) {
+                ov.add("refAdded", d, box);
+                try {
+                    pushCheckpoint(ov.hist("refHist", referrer), d, box);
+                } catch (e) {
+                    return fail({ ...where, user: referrer, side: "referrer", lastDay: e.lastDay?.toString() }, e.message, i);
+                }
+                ov.agg.push(() => { userOf(referrer).referralUnits += box; });
+            }
+            ov.agg.push(() => { userOf(buyer).purchased += box; });
+        }
+        ov.commit();
+        return { ok: true };
+    }
+
+    /**
+     * @notice 전송 백필 배치 1건 적용
+     * @param {object[]} items BackfillSendBox[]
+     * @param {object} [ctx] 리포트 표기용 {batch, rows}
+     * @returns {{ok: boolean, reason?: string, index?: number}}
+     */
+    function applySendBatch(items, ctx = {}) {
+        const ov = overlay();
+        const pendingWarnings = [];
+        for (let i = 0; i < items.length; i++) {
+            const t = items[i];
+            const from = ethers.getAddress(t.from);
+            const to = ethers.getAddress(t.to);
+            const box = BigInt(t.boxCount);
+            const d = dayOf(t.transferTs);
+            const where = { kind: "send", batch: ctx.batch, row: ctx.rows?.[i], user: from, from, to, day: d.toString() };
+            if (from === to) return fail(where, "same", i);
+            if (box === 0n) return fail(where, "box=0", i);
+            if (d < lastSyncedDay) return fail(where, "day finalized", i);
+
+            const sHist = ov.hist("buyerHist", from);
+            const last = sHist[sHist.length - 1];
+            let bal = balanceAtDay(sHist, d);
+            if (last && last.day === d) bal = last.amount;
+            if (bal < box) return fail({ ...where, balance: bal.toString() }, "InsufficientAfterPriorTransfers", i);
+
+            if (last && last.day === d) {
+                last.amount = bal - box;
+            } else {
+                if (last && last.day > d) {
+                    // 컨트랙트는 from 측에 단조성 검사를 하지 않음 → revert 없이 역순 체크포인트가 쌓임
+                    pendingWarnings.push({ ...where, side: "from", lastDay: last.day.toString(),
+                        reason: "from-side checkpoint pushed out of order (no revert)" });
+                }
+                sHist.push({ day: d, amount: bal - box });
+            }
+            try {
+                pushCheckpoint(ov.hist("buyerHist", to), d, box);
+            } catch (e) {
+                return fail({ ...where, user: to, side: "to", lastDay: e.lastDay?.toString() }, e.message, i);
+            }
+            ov.agg.push(() => {
+                userOf(from).sentOut += box;
+                userOf(to).received += box;
+            });
+        }
+        ov.commit();
+        warnings.push(...pendingWarnings);
+        return { ok: true };
+    }
+
+    function fail(where, reason, index) {
+        issues.push({ ...where, reason });
+        return { ok: false, reason, index };
+    }
+
+    /**
+     * @notice 기존 온체인 체크포인트 주입
+     */
+    function seedBuyerHistory(addr, hist) {
+        base.buyerHist.set(ethers.getAddress(addr), hist.map((c) => ({ day: BigInt(c.day), amount: BigInt(c.amount) })));
+    }
+    function seedRefHistory(addr, hist) {
+        base.refHist.set(ethers.getAddress(addr), hist.map((c) => ({ day: BigInt(c.day), amount: BigInt(c.amount) })));
+    }
+
+    /**
+     * @notice 기존 온체인 누적값 주입
+     * @param {{cumBoxes: bigint, cumReferals: bigint}} prev lastSyncedDay-1 시점 누적값
+     * @param {Map<bigint, {boxes: bigint, refs: bigint}>} [pendingAdds] lastSyncedDay 이후 이미 추가된 일별 수량
+     */
+    function seedCumulative(prev, pendingAdds = new Map()) {
+        seeded.cumBoxes = BigInt(prev.cumBoxes || 0n);
+        seeded.cumReferals = BigInt(prev.cumReferals || 0n);
+        for (const [d, v] of pendingAdds) {
+            seeded.boxesAdded.set(BigInt(d), BigInt(v.boxes || 0n));
+            seeded.refAdded.set(BigInt(d), BigInt(v.refs || 0n));
+        }
+    }
+
+    /**
+     * @notice lastSyncedDay ~ 마지막 백필일 구간의 투영 cumBoxes / cumReferals
+     * @returns {Array<{day: string, boxesAdded: string, referralsAdded: string, cumBoxes: string, cumReferals: string}>}
+     */
+    function projectedCumulative() {
+        const days = [...base.boxesAdded.keys(), ...seeded.boxesAdded.keys()];
+        if (!days.length) return [];
+        const maxDay = days.reduce((a, b) => (b > a ? b : a), lastSyncedDay);
+        const out = [];
+        let cb = seeded.cumBoxes, cr = seeded.cumReferals;
+        for (let d = lastSyncedDay; d <= maxDay; d++) {
+            const ab = (base.boxesAdded.get(d) || 0n) + (seeded.boxesAdded.get(d) || 0n);
+            const ar = (base.refAdded.get(d) || 0n) + (seeded.refAdded.get(d) || 0n);
+            cb += ab;
+            cr += ar;
+            if (ab === 0n && ar === 0n) continue;
+            out.push({
+                day: d.toString(),
+                boxesAdded: ab.toString(),
+                referralsAdded: ar.toString(),
+                cumBoxes: cb.toString(),
+                cumReferals: cr.toString(),
+            });
+        }
+        return out;
+    }
+
+    /**
+     * @notice 유저별 합계 (최종 박스 = 마지막 체크포인트 값)
+     */
+    function userTotals() {
+        const out = {};
+        const addrs = new Set([...users.keys(), ...base.buyerHist.keys(), ...base.refHist.keys()]);
+        for (const a of [...addrs].sort()) {
+            const u = users.get(a) || { purchased: 0n, sentOut: 0n, received: 0n, referralUnits: 0n };
+            const bh = base.buyerHist.get(a) || [];
+            const rh = base.refHist.get(a) || [];
+            out[a] = {
+                purchased: u.purchased.toString(),
+                sentOut: u.sentOut.toString(),
+                received: u.received.toString(),
+                finalBoxes: (bh.length ? bh[bh.length - 1].amount : 0n).toString(),
+                referralUnitsAdded: u.referralUnits.toString(),
+                finalReferralUnits: (rh.length ? rh[rh.length - 1].amount : 0n).toString(),
+            };
+        }
+        return out;
+    }
+
+    return {
+        dayOf,
+        applyPurchaseBatch,
+        applySendBatch,
+        seedBuyerHistory,
+        seedRefHistory,
+        seedCumulative,
+        projectedCumulative,
+        userTotals,
+        issues,
+        warnings,
+    };
+}
+
+module.exports = {
+    MAX_BACKFILL_BULK,
+    balanceAtDay,
+    createProjection,
+};
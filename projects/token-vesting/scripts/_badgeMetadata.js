@@ -0,0 +1,196 @@
+/**
+ * @fileoverview
+ *  BadgeSBT 등급별 메타데이터(ERC-721 JSON) / SVG 아트워크 생성 모듈
+ * @description
+ *  - TIERS : IBadgeSBT.Tier(Sprout..Moon) 별 이름 / 파일 키 / 박스 구간
+ *      • 박스 구간은 BadgeSBT._tierFromCount 와 동일 (TIER_*_MAX = 5, 10, 20, 50, 100)
+ *  - tierFromCount : _tierFromCount 재현 (누적 구매 박스 수 → 등급)
+ *  - tierSvg       : 등급별 SVG (배경 그라데이션 + 엠블럼 + 등급명/구간)
+ *  - tierMetadata  : 등급별 ERC-721 메타데이터 (name / description / image / attributes)
+ *      • attributes: Tier, Tier Level, Min Boxes, Max Boxes, Soulbound(EIP-5192), Burn Auth(EIP-5484)
+ *      • tokenId를 주면 토큰별 메타데이터(name에 #id, Token ID 속성 포함)
+ *  - tierUris      : 메타데이터 base URI → setTierURIs 인자 (tiers, uris)
+ *
+ * 배경:
+ *  - BadgeSbtTierUriResolver 는 등급별 URI만 보관 (초기값 ipfs://.../sprout.json 은 자리표시자)
+ *    → 이 모듈로 만든 <key>.json / <key>.svg 를 호스팅한 뒤 scripts/setTierURIs.js 로 URI 등록
+ *
+ * 주의:
+ *  - 이 모듈은 hardhat에 의존하지 않음 (badge-server 에서도 사용)
+ *
+ * @author hlibbc
+ */
+
+/**
+ * @notice 등급 정의 (IBadgeSBT.Tier 순서, None 제외)
+ *  - maxBoxes: 다음 등급 직전까지 (Moon은 상한 없음 = null)
+ */
+const TIERS = [
+    { tier: 1, name: "Sprout",       key: "sprout",   minBoxes: 0,   maxBoxes: 4,    colors: ["#d9f99d", "#4d7c0f"] },
+    { tier: 2, name: "Cloud",        key: "cloud",    minBoxes: 5,   maxBoxes: 9,    colors: ["#e0f2fe", "#0369a1"] },
+    { tier: 3, name: "Airplane",     key: "airplane", minBoxes: 10,  maxBoxes: 19,   colors: ["#fef3c7", "#b45309"] },
+    { tier: 4, name: "Rocket",       key: "rocket",   minBoxes: 20,  maxBoxes: 49,   colors: ["#fee2e2", "#b91c1c"] },
+    { tier: 5, name: "SpaceStation", key: "sstation", minBoxes: 50,  maxBoxes: 99,   colors: ["#ede9fe", "#5b21b6"] },
+    { tier: 6, name: "Moon",         key: "moon",     minBoxes: 100, maxBoxes: null, colors: ["#1e1b4b", "#fde68a"] },
+];
+
+/** IERC5484.BurnAuth 순서 */
+const BURN_AUTH = ["IssuerOnly", "OwnerOnly", "Both", "Neither"];
+
+/** TokenVesting이 mint 시 사용하는 BurnAuth (SBT_BURNAUTH) */
+const DEFAULT_BURN_AUTH = 3; // Neither
+
+/** 등급별 엠블럼 (viewBox 0 0 400 400 중앙 영역) */
+const EMBLEMS = {
+    sprout:
+        '<path d="M200 250 V170" stroke="#3f6212" stroke-width="10" stroke-linecap="round"/>' +
+        '<path d="M200 185 C160 185 135 160 135 125 C175 125 200 150 200 185 Z" fill="#65a30d"/>' +
+        '<path d="M200 170 C240 170 265 145 265 110 C225 110 200 135 200 170 Z" fill="#84cc16"/>',
+    cloud:
+        '<g fill="#ffffff" stroke="#0369a1" stroke-width="6">' +
+        '<path d="M130 215 A40 40 0 0 1 150 140 A55 55 0 0 1 255 130 A45 45 0 0 1 275 215 Z"/></g>',
+    airplane:
+        '<path d="M200 95 L215 165 L290 200 L290 215 L215 200 L210 260 L235 280 L235 290 L200 280 L165 290 L165 280 L190 260 L185 200 L110 215 L110 200 L185 165 Z" fill="#b45309"/>',
+    rocket:
+        '<path d="M200 85 C235 115 245 170 235 240 L165 240 C155 170 165 115 200 85 Z" fill="#ef4444"/>' +
+        '<circle cx="200" cy="160" r="18" fill="#fee2e2" stroke="#7f1d1d" stroke-width="5"/>' +
+        '<path d="M165 210 L135 260 L170 245 Z M235 210 L265 260 L230 245 Z" fill="#7f1d1d"/>' +
+        '<path d="M180 245 L200 295 L220 245 Z" fill="#f59e0b"/>',
+    sstation:
+        '<rect x="100" y="170" width="60" height="40" rx="4" fill="#7c3aed"/>' +
+        '<rect x="240" y="170" width="60" height="40" rx="4" fill="#7c3aed"/>' +
+        '<rect x="160" y="185" width="80" height="10" fill="#4c1d95"/>' +
+        '<circle cx="200" cy="190" r="35" fill="#ddd6fe" stroke="#4c1d95" stroke-width="6"/>',
+    moon:
+        '<circle cx="205" cy="185" r="80" fill="#fde68a"/>' +
+        '<circle cx="240" cy="160" r="75" fill="#1e1b4b"/>' +
+        '<circle cx="120" cy="110" r="3" fill="#fef9c3"/><circle cx="300" cy="260" r="4" fill="#fef9c3"/>' +
+        '<circle cx="290" cy="95" r="2" fill="#fef9c3"/>',
+};
+
+// =============================================================================
+// 등급 조회
+// =============================================================================
+
+/**
+ * @notice 등급 조회 (번호 / 이름 / 파일 키)
+ * @param {number|bigint|string} t 1..6 | "Moon" | "moon"
+ * @returns {typeof TIERS[number]}
+ * @throws {Error} 알 수 없는 등급 (None 포함)
+ */
+function tierInfo(t) {
+    const s = String(t).toLowerCase();
+    const found = TIERS.find((x) => String(x.tier) === s || x.name.toLowerCase() === s || x.key === s);
+    if (!found) throw new Error(`알 수 없는 등급입니다: ${t} (Sprout..Moon / 1..6)`);
+    return found;
+}
+
+/**
+ * @notice BadgeSBT._tierFromCount 재현
+ * @param {number|bigint} n 누적 구매 박스 수
+ * @returns {number} 등급 번호 (1..6)
+ */
+function tierFromCount(n) {
+    const c = BigInt(n);
+    for (let i = TIERS.length - 1; i >= 0; i--) {
+        if (c >= BigInt(TIERS[i].minBoxes)) return TIERS[i].tier;
+    }
+    return TIERS[0].tier;
+}
+
+/**
+ * @notice 박스 구간 표시 문자열 ("10–19 boxes" / "100+ boxes")
+ */
+function rangeLabel(t) {
+    return t.maxBoxes == null ? `${t.minBoxes}+ boxes` : `${t.minBoxes}–${t.maxBoxes} boxes`;
+}
+
+// =============================================================================
+// 생성
+// =============================================================================
+
+/**
+ * @notice 등급 SVG 아트워크
+ * @param {number|string} t 등급
+ * @returns {string} SVG 문서
+ */
+function tierSvg(t) {
+    const x = tierInfo(t);
+    const [bg, fg] = x.colors;
+    return [
+        '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="400" viewBox="0 0 400 400">',
+        `<defs><linearGradient id="bg" x1="0" y1="0" x2="0" y2="1"><stop offset="0" stop-color="${bg}"/><stop offset="1" stop-color="${fg}" stop-opacity="0.35"/></linearGradient></defs>`,
+        '<rect width="400" height="400" rx="36" fill="url(#bg)"/>',
+        `<circle cx="200" cy="190" r="130" fill="none" stroke="${fg}" stroke-width="4" stroke-dasharray="6 10"/>`,
+        EMBLEMS[x.key],
+        `<text x="200" y="345" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="34" font-weight="700" fill="${x.key === "moon" ? bg : fg}" stroke="${x.key === "moon" ? fg : "none"}" stroke-width="0.5">${x.name}</text>`,
+        `<text x="200" y="372" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="16" fill="${x.key === "moon" ? bg : fg}" opacity="0.8">Tier ${x.tier} · ${rangeLabel(x)}</text>`,
+        "</svg>",
+    ].join("\n") + "\n";
+}
+
+/**
+ * @notice 등급 ERC-721 메타데이터
+ * @param {number|string} t 등급
+ * @param {object} [opts]
+ * @param {string} [opts.image] 이미지 URI (기본: SVG data URI)
+ * @param {string} [opts.externalUrl] external_url
+ * @param {number} [opts.burnAuth] IERC5484.BurnAuth (기본 Neither = TokenVesting 발행값)
+ * @param {boolean} [opts.locked] EIP-5192 locked (기본 true)
+ * @param {string} [opts.collection] 컬렉션 이름 (기본 "Badge")
+ * @param {number|bigint|string} [opts.tokenId] 지정 시 토큰별 메타데이터
+ * @returns {object}
+ */
+function tierMetadata(t, opts = {}) {
+    const x = tierInfo(t);
+    const collection = opts.collection ?? "Badge";
+    const burnAuth = Number(opts.burnAuth ?? DEFAULT_BURN_AUTH);
+    const locked = opts.locked ?? true;
+    const image = opts.image ?? `data:image/svg+xml;base64,${Buffer.from(tierSvg(x.tier)).toString("base64")}`;
+
+    const attributes = [
+        { trait_type: "Tier", value: x.name },
+        { trait_type: "Tier Level", value: x.tier, display_type: "number", max_value: TIERS.length },
+        { trait_type: "Min Boxes", value: x.minBoxes, display_type: "number" },
+        { trait_type: "Max Boxes", value: x.maxBoxes ?? "Unlimited" },
+        { trait_type: "Soulbound", value: locked ? "Yes" : "No" },
+        { trait_type: "Burn Auth", value: BURN_AUTH[burnAuth] ?? String(burnAuth) },
+    ];
+    if (opts.tokenId != null) attributes.push({ trait_type: "Token ID", value: Number(opts.tokenId), display_type: "number" });
+
+    const meta = {
+        name: opts.tokenId != null ? `${collection} #${opts.tokenId} — ${x.name}` : `${collection} — ${x.name}`,
+        description:
+            `${x.name} tier badge (${rangeLabel(x)} purchased). ` +
+            "Soulbound (non-transferable) token issued by TokenVesting; the tier upgrades automatically as more boxes are purchased.",
+        image,
+        attributes,
+    };
+    if (opts.externalUrl) meta.external_url = opts.externalUrl;
+    return meta;
+}
+
+/**
+ * @notice base URI → setTierURIs 인자
+ * @param {string} baseUri 예) "ipfs://<CID>" | "http://127.0.0.1:3050/tiers"
+ * @returns {{ tiers: number[], uris: string[] }}
+ */
+function tierUris(baseUri) {
+    const base = String(baseUri || "").replace(/\/+$/, "");
+    if (!base) throw new Error("base URI가 비어 있습니다.");
+    return {
+        tiers: TIERS.map((x) => x.tier),
+        uris: TIERS.map((x) => `${base}/${x.key}.json`),
+    };
+}
+
+module.exports = {
+    TIERS,
+    BURN_AUTH,
+    DEFAULT_BURN_AUTH,
+    tierInfo,
+    tierFromCount,
+    tierSvg,
+    tierMetadata,
+    tierUris,
+};
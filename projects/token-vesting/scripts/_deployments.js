@@ -0,0 +1,87 @@
+/**
+ * @fileoverview
+ *  token-vesting 배포 정보 조회/기록 (워크스페이스 공용 레지스트리 common/deployRegistry.js 래핑)
+ * @description
+ *  - 레지스트리 위치: projects/token-vesting/deployments/<chainId>.json
+ *  - 레지스트리 키 = 컨트랙트 이름 (NAMES 참고)
+ *  - TokenVesting 엔트리의 meta에 startTs / schedule / vestingToken / recipient 기록
+ *  - hardhat에 의존하지 않음 → benchmarks(fd-server / fd-client / faucet)에서도 사용
+ *
+ * 사용법:
+ *   const { registry, loadDeployment } = require("./_deployments");
+ *   const d = await loadDeployment(provider);   // { chainId, vesting, stableCoin, forwarder, startTs, schedule, ... }
+ *
+ * @author hlibbc
+ */
+const path = require("path");
+const { createRegistry } = require("../../../common/deployRegistry");
+
+const registry = createRegistry(path.join(__dirname, ".."));
+
+/**
+ * @notice 레지스트리 키 (= 아티팩트 이름)
+ */
+const NAMES = {
+    forwarder: "WhitelistForwarder",
+    stableCoin: "StableCoin",
+    sbt: "BadgeSBT",
+    resolver: "BadgeSbtTierUriResolver",
+    vesting: "TokenVesting",
+    vestingToken: "Token",
+};
+
+/**
+ * @notice chainId 기준 배포 정보 정규화
+ * @param {number|bigint|string} chainId
+ * @param {ReturnType<typeof createRegistry>} [reg] 레지스트리 (기본: 프로젝트 레지스트리)
+ * @returns {object} 반환 객체 구조:
+ *   - chainId / network
+ *   - vesting, sbt, resolver, stableCoin, forwarder : 주소 (vesting 외에는 없을 수 있음)
+ *   - vestingToken, recipient : TokenVesting meta (없으면 null)
+ *   - startTs : bigint
+ *   - schedule : { ends, buyerTotals, refTotals } (bigint[]) 또는 null
+ *   - blockNumber : TokenVesting 배포 블록
+ *   - raw : 레지스트리 문서
+ * @throws {Error} TokenVesting 엔트리가 없는 경우
+ */
+function deploymentOf(chainId, reg = registry) {
+    const doc = reg.load(chainId);
+    const c = doc.contracts;
+    const tv = reg.require(chainId, NAMES.vesting);
+    const meta = tv.meta ?? {};
+    const s = meta.schedule;
+
+    return {
+        chainId: doc.chainId,
+        network: doc.network,
+        vesting: tv.address,
+        sbt: c[NAMES.sbt]?.address,
+        resolver: c[NAMES.resolver]?.address,
+        stableCoin: c[NAMES.stableCoin]?.address,
+        forwarder: c[NAMES.forwarder]?.address,
+        vestingToken: meta.vestingToken ?? null,
+        recipient: meta.recipient ?? null,
+        deployer: tv.deployer,
+        startTs: meta.startTs != null ? BigInt(meta.startTs) : undefined,
+        schedule: s?.ends?.length
+            ? { ends: s.ends.map(BigInt), buyerTotals: s.buyerTotals.map(BigInt), refTotals: s.refTotals.map(BigInt) }
+            : null,
+        blockNumber: tv.blockNumber,
+        raw: doc,
+    };
+}
+
+/**
+ * @notice provider의 chainId로 배포 정보 로드
+ * @param {import("ethers").Provider} provider
+ */
+async function loadDeployment(provider) {
+    return deploymentOf(await registry.chainIdOf(provider));
+}
+
+module.exports = {
+    registry,
+    NAMES,
+    deploymentOf,
+    loadDeployment,
+};
@@ -0,0 +1,237 @@
+/**
+ * @fileoverview
+ *  ERC-2771 ForwardRequest 생성/서명 모듈 (WhitelistForwarder 공용)
+ * @description
+ *  - FORWARDABLE          : 위임대납 대상 TokenVesting 함수 목록 (_msgSender() 기준으로 동작하는 함수)
+ *      • buyBox / claimPurchaseReward / claimReferralReward / claimBuyback : 사용자 서명
+ *      • sendBox                                                         : onlyOwner → owner 서명
+ *  - forwardableSelectors : FORWARDABLE 함수의 selector 목록 (setAllowed 등록용)
+ *  - buildForwardRequest  : calldata → ForwardRequest(EIP-712) 서명 + 로컬 복원 주소 확인 → ForwardRequestData
+ *  - toWire               : fd-server 전송용 직렬화 (BigInt → string)
+ *  - ensureAllowed        : forwarder.whitelist / isAllowed 를 조회해 빠진 항목만 addToWhitelist / setAllowed
+ *
+ * 배경:
+ *  - delegateBuyBox.js / fd-client.js 가 buyBox 전용으로 도메인/타입/nonce를 각자 구성했음
+ *    → 클레임/sendBox도 같은 경로로 대납할 수 있도록 공통화 (ETH 없는 사용자도 클레임 가능)
+ *
+ * 사용법:
+ *   const FR = require("./_forwardRequest");
+ *   const data = FR.encodeForwardCall(vesting.interface, "claimBuyback", []);
+ *   const req = await FR.buildForwardRequest(user, { forwarder: fwdAddr, to: vestingAddr, data });
+ *   await forwarder.connect(relayer).execute(req);          // 직접 릴레이
+ *   await postJson(url, { forwardRequest: FR.toWire(req) }); // fd-server 경유
+ *
+ * 주의:
+ *  - 이 모듈은 hardhat에 의존하지 않음 (fd-client 에서도 사용)
+ *
+ * @author hlibbc
+ */
+const { ethers } = require("ethers");
+
+/**
+ * @notice WhitelistForwarder EIP-712 ForwardRequest 타입 (필드 순서가 컨트랙트 정의와 같아야 함)
+ */
+const FORWARD_REQUEST_TYPES = {
+    ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint48" },
+        { name: "data", type: "bytes" },
+    ],
+};
+
+/**
+ * @notice 조회/정책 설정에 필요한 최소 ABI
+ */
+const FORWARDER_ABI = [
+    "function nonces(address owner) view returns (uint256)",
+    "function whitelist(address target) view returns (bool)",
+    "function isAllowed(address target, bytes4 selector) view returns (bool)",
+    "function addToWhitelist(address target)",
+    "function setAllowed(address target, bytes4 selector, bool allowed)",
+];
+
+/**
+ * @notice 위임대납 대상 TokenVesting 함수
+ * @dev role: 요청 서명자 (sendBox는 onlyOwner라 owner가 서명해야 _msgSender() 검사를 통과)
+ */
+const FORWARDABLE = {
+    buyBox: { role: "user" },
+    claimPurchaseReward: { role: "user" },
+    claimReferralReward: { role: "user" },
+    claimBuyback: { role: "user" },
+    sendBox: { role: "owner" },
+};
+
+/** 기본값: 내부 call 가스 / 요청 유효기간(초) */
+const DEFAULT_GAS = 1_500_000n;
+const DEFAULT_TTL_SEC = 3600;
+
+// =============================================================================
+// 유틸
+// =============================================================================
+
+/**
+ * @notice 주소 또는 Contract → 주소 문자열
+ */
+async function addressOf(target) {
+    return typeof target === "string" ? ethers.getAddress(target) : target.getAddress();
+}
+
+/**
+ * @notice WhitelistForwarder EIP-712 도메인
+ * @param {bigint|number} chainId
+ * @param {string} forwarder forwarder 주소
+ */
+function forwarderDomain(chainId, forwarder) {
+    return { name: "WhitelistForwarder", version: "1", chainId: Number(chainId), verifyingContract: forwarder };
+}
+
+// =============================================================================
+// selector / calldata
+// =============================================================================
+
+/**
+ * @notice FORWARDABLE 함수 calldata 생성
+ * @param {import("ethers").Interface} iface TokenVesting 인터페이스
+ * @param {string} fn 함수 이름
+ * @param {any[]} args
+ * @throws {Error} FORWARDABLE이 아닌 함수 (code = "NOT_FORWARDABLE")
+ */
+function encodeForwardCall(iface, fn, args = []) {
+    if (!FORWARDABLE[fn]) {
+        const err = new Error(`위임대납 대상이 아닌 함수입니다: ${fn} (허용: ${Object.keys(FORWARDABLE).join(", ")})`);
+        err.code = "NOT_FORWARDABLE";
+        throw err;
+    }
+    return iface.encodeFunctionData(fn, args);
+}
+
+/**
+ * @notice FORWARDABLE 함수 selector 목록
+ * @param {import("ethers").Interface} iface TokenVesting 인터페이스
+ * @param {string[]} [names] 일부만 (기본: 전체)
+ * @returns {{ name: string, selector: string, role: string }[]}
+ */
+function forwardableSelectors(iface, names = Object.keys(FORWARDABLE)) {
+    return names.map((name) => {
+        if (!FORWARDABLE[name]) encodeForwardCall(iface, name); // NOT_FORWARDABLE
+        return { name, selector: iface.getFunction(name).selector, role: FORWARDABLE[name].role };
+    });
+}
+
+// =============================================================================
+// 서명
+// =============================================================================
+
+/**
+ * @notice ForwardRequest 서명 → ForwardRequestData (forwarder.execute / executeBatch 인자)
+ * @param {import("ethers").Signer} signer 요청자 (_msgSender()가 될 주소, provider 연결 필요 또는 opts.provider)
+ * @param {object} p
+ * @param {string|import("ethers").BaseContract} p.forwarder WhitelistForwarder
+ * @param {string|import("ethers").BaseContract} p.to 대상 컨트랙트 (TokenVesting)
+ * @param {string} p.data calldata (encodeForwardCall)
+ * @param {bigint} [p.value] 전달 ETH (기본 0)
+ * @param {bigint} [p.gas] 내부 call 가스 (기본 1,500,000)
+ * @param {number} [p.deadline] 만료 시각(uint48) (기본: 최신 블록 시각 + ttlSec)
+ * @param {number} [p.ttlSec] deadline 미지정 시 유효기간 (기본 3600초)
+ * @param {bigint} [p.nonce] forwarder nonce (기본: forwarder.nonces(from))
+ * @param {import("ethers").Provider} [p.provider] signer에 provider가 없을 때
+ * @returns {Promise<{ from: string, to: string, value: bigint, gas: bigint, nonce: bigint, deadline: number, data: string, signature: string }>}
+ * @throws {Error} 서명 복원 주소 불일치
+ */
+async function buildForwardRequest(signer, { forwarder, to, data, value = 0n, gas = DEFAULT_GAS, deadline, ttlSec = DEFAULT_TTL_SEC, nonce, provider }) {
+    provider ??= signer.provider;
+    if (!provider) throw new Error("buildForwardRequest: signer에 provider가 연결되어 있지 않습니다.");
+    const forwarderAddr = await addressOf(forwarder);
+    const from = await signer.getAddress();
+
+    if (nonce == null) nonce = await new ethers.Contract(forwarderAddr, FORWARDER_ABI, provider).nonces(from);
+    if (deadline == null) {
+        const { timestamp } = await provider.getBlock("latest");
+        deadline = Number(timestamp) + ttlSec;
+    }
+    const { chainId } = await provider.getNetwork();
+
+    const domain = forwarderDomain(chainId, forwarderAddr);
+    const request = {
+        from,
+        to: await addressOf(to),
+        value: BigInt(value),
+        gas: BigInt(gas),
+        nonce: BigInt(nonce),
+        deadline: Number(deadline),
+        data,
+    };
+    const signature = await signer.signTypedData(domain, FORWARD_REQUEST_TYPES, request);
+    const recovered = ethers.verifyTypedData(domain, FORWARD_REQUEST_TYPES, request, signature);
+    if (recovered.toLowerCase() !== from.toLowerCase()) {
+        throw new Error(`ForwardRequest 서명 복원 주소 불일치: recovered=${recovered}, from=${from}`);
+    }
+    return { ...request, signature };
+}
+
+/**
+ * @notice fd-server 전송용 직렬화 (서버의 toForwardRequest가 BigInt로 복원)
+ */
+function toWire(request) {
+    return {
+        ...request,
+        value: request.value.toString(),
+        gas: request.gas.toString(),
+        nonce: request.nonce.toString(),
+    };
+}
+
+// =============================================================================
+// 정책 설정
+// =============================================================================
+
+/**
+ * @notice target whitelist + selector 허용을 멱등하게 맞춘다 (이미 등록된 항목은 tx 없이 건너뜀)
+ * @param {import("ethers").BaseContract|string} forwarder WhitelistForwarder (owner 연결) 또는 주소
+ * @param {string} target 대상 컨트랙트 주소
+ * @param {string[]} selectors bytes4 selector 목록
+ * @param {object} [opts]
+ * @param {import("ethers").Signer} [opts.signer] forwarder가 주소일 때 owner 서명자
+ * @param {(label: string, txPromise: Promise<any>) => Promise<any>} [opts.send] tx 전송/대기 (기본: tx.wait())
+ * @returns {Promise<{ whitelisted: boolean, allowed: string[], skipped: string[] }>}
+ *   - whitelisted : 이번 호출에서 addToWhitelist를 보냈는지
+ *   - allowed     : 이번 호출에서 setAllowed(true)를 보낸 selector
+ *   - skipped     : 이미 허용되어 있던 selector
+ */
+async function ensureAllowed(forwarder, target, selectors, { signer, send } = {}) {
+    const fwd = typeof forwarder === "string" ? new ethers.Contract(forwarder, FORWARDER_ABI, signer) : forwarder;
+    send ??= async (label, txPromise) => (await txPromise).wait();
+    target = ethers.getAddress(target);
+
+    const res = { whitelisted: false, allowed: [], skipped: [] };
+    if (!(await fwd.whitelist(target))) {
+        await send(`[setup] forwarder.addToWhitelist(${target})`, fwd.addToWhitelist(target));
+        res.whitelisted = true;
+    }
+    for (const selector of selectors) {
+        if (await fwd.isAllowed(target, selector)) {
+            res.skipped.push(selector);
+            continue;
+        }
+        await send(`[setup] forwarder.setAllowed(${target}, ${selector}, true)`, fwd.setAllowed(target, selector, true));
+        res.allowed.push(selector);
+    }
+    return res;
+}
+
+module.exports = {
+    FORWARD_REQUEST_TYPES,
+    FORWARDER_ABI,
+    FORWARDABLE,
+    forwarderDomain,
+    encodeForwardCall,
+    forwardableSelectors,
+    buildForwardRequest,
+    toWire,
+    ensureAllowed,
+};
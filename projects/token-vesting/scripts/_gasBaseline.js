@@ -0,0 +1,254 @@
+/**
+ * @fileoverview
+ *  가스 리포트 / 베이스라인 비교 모듈 (gasBaseline.js, _shared.printGasSummary, test/vesting.gas.test.js에서 사용)
+ * @description
+ *  - 리포트 JSON 한 파일에 두 섹션을 모음
+ *      • functions : 테스트 스위트(test/vesting.gas.test.js)의 함수별 gasUsed ("<함수>/<케이스>" 키, 샘플 min/max/avg)
+ *      • scripts   : 스크립트 실행 시 withGasLog / addGasTotals로 누적한 버킷별 gas · fee · 건수
+ *                    (GAS_REPORT=<파일> 이면 printGasSummary가 "<스크립트명>" 항목으로 병합 기록)
+ *  - compareReports: 베이스라인 대비 gas 증가율이 threshold(%)를 넘으면 regression
+ *      • functions는 샘플 max, scripts는 버킷 gas를 건수로 나눈 평균을 비교 (fee는 gasPrice에 따라 달라 비교 제외)
+ *      • TRACKED 함수가 현재 리포트에 없으면 missing (측정 누락도 실패로 취급)
+ *
+ * 리포트 형식:
+ *  {
+ *    "version": 1,
+ *    "updatedAt": "2025-01-01T00:00:00.000Z",
+ *    "functions": { "sendBox/first": { "min": "52000", "max": "52000", "avg": "52000", "samples": 1 } },
+ *    "scripts":   { "claimPurchaseReward": { "claim": { "gas": "91000", "fee": "91000000000", "count": 1 } } }
+ *  }
+ *
+ * 주의:
+ *  - 이 모듈은 hardhat에 의존하지 않음 (fs/path만 사용)
+ *  - 수치는 JSON에 10진 문자열로 저장 (bigint)
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const path = require("path");
+
+const VERSION = 1;
+const DEFAULT_THRESHOLD = 5; // %
+
+/**
+ * @notice 반드시 측정되어야 하는 함수 (리포트 키 "<함수>" 또는 "<함수>/<케이스>")
+ */
+const TRACKED = [
+    "buyBox",
+    "sendBox",
+    "claimPurchaseReward",
+    "syncLimitDay(7)",
+    "backfillPurchaseBulkAt",
+    "backfillSendBoxBulkAt",
+];
+
+// =============================================================================
+// 리포트 입출력
+// =============================================================================
+
+/**
+ * @notice 빈 리포트
+ */
+function emptyReport() {
+    return { version: VERSION, updatedAt: null, functions: {}, scripts: {} };
+}
+
+/**
+ * @notice 리포트 로드 (없으면 빈 리포트)
+ * @param {string} file
+ * @param {{required?: boolean}} [opts] required면 파일이 없을 때 에러
+ * @returns {object}
+ */
+function readReport(file, { required = false } = {}) {
+    if (!fs.existsSync(file)) {
+        if (required) throw new Error(`❌ 가스 리포트가 없습니다: ${file}`);
+        return emptyReport();
+    }
+    const doc = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (doc.version !== VERSION) throw new Error(`❌ 지원하지 않는 가스 리포트 버전: ${doc.version} (${file})`);
+    return { ...emptyReport(), ...doc };
+}
+
+/**
+ * @notice 리포트 저장 (상위 디렉터리 생성, updatedAt 갱신)
+ * @param {string} file
+ * @param {object} report
+ */
+function writeReport(file, report) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const doc = { ...report, version: VERSION, updatedAt: new Date().toISOString() };
+    fs.writeFileSync(file, JSON.stringify(doc, null, 2) + "\n");
+}
+
+/**
+ * @notice 기존 리포트에 섹션 단위로 병합 저장 (같은 키는 덮어씀)
+ * @param {string} file
+ * @param {{functions?: object, scripts?: object}} patch
+ * @returns {object} 저장된 리포트
+ */
+function mergeReport(file, patch) {
+    const cur = readReport(file);
+    const next = {
+        ...cur,
+        functions: { ...cur.functions, ...(patch.functions ?? {}) },
+        scripts: { ...cur.scripts, ...(patch.scripts ?? {}) },
+    };
+    writeReport(file, next);
+    return next;
+}
+
+// =============================================================================
+// 수집
+// =============================================================================
+
+/**
+ * @notice 함수별 gasUsed 수집기 (테스트용)
+ * @returns {{add: Function, functions: Function}}
+ */
+function createGasRecorder() {
+    const samples = new Map(); // key → bigint[]
+
+    return {
+        /**
+         * @param {string} key "<함수>/<케이스>"
+         * @param {{gasUsed: bigint}} receipt
+         * @returns {bigint} gasUsed
+         */
+        add(key, receipt) {
+            const gas = BigInt(receipt.gasUsed);
+            if (!samples.has(key)) samples.set(key, []);
+            samples.get(key).push(gas);
+            return gas;
+        },
+        /**
+         * @returns {Record<string, {min: string, max: string, avg: string, samples: number}>}
+         */
+        functions() {
+            const out = {};
+            for (const [key, xs] of [...samples].sort(([a], [b]) => a.localeCompare(b))) {
+                const sum = xs.reduce((a, b) => a + b, 0n);
+                out[key] = {
+                    min: xs.reduce((a, b) => (b < a ? b : a)).toString(),
+                    max: xs.reduce((a, b) => (b > a ? b : a)).toString(),
+                    avg: (sum / BigInt(xs.length)).toString(),
+                    samples: xs.length,
+                };
+            }
+            return out;
+        },
+    };
+}
+
+/**
+ * @notice withGasLog 누적 집계(totals)를 리포트 scripts 섹션 형식으로 변환
+ * @param {Record<string, {gas: bigint, fee: bigint, count?: number}>} totals
+ */
+function scriptEntry(totals) {
+    return Object.fromEntries(Object.entries(totals).map(([bucket, v]) => [bucket, {
+        gas: (v?.gas ?? 0n).toString(),
+        fee: (v?.fee ?? 0n).toString(),
+        count: v?.count ?? 1,
+    }]));
+}
+
+/**
+ * @notice 스크립트 가스 집계를 리포트 파일에 병합 기록
+ * @param {string} file
+ * @param {string} name 스크립트 이름 (예: "claimPurchaseReward")
+ * @param {Record<string, {gas: bigint, fee: bigint, count?: number}>} totals
+ */
+function recordScriptTotals(file, name, totals) {
+    return mergeReport(file, { scripts: { [name]: scriptEntry(totals) } });
+}
+
+// =============================================================================
+// 비교
+// =============================================================================
+
+/**
+ * @notice 리포트 → 비교용 평탄화 { "functions:<키>" | "scripts:<스크립트>.<버킷>": gas }
+ */
+function flatten(report) {
+    const out = new Map();
+    for (const [k, v] of Object.entries(report.functions ?? {})) out.set(`functions:${k}`, BigInt(v.max));
+    for (const [name, buckets] of Object.entries(report.scripts ?? {})) {
+        for (const [b, v] of Object.entries(buckets)) {
+            out.set(`scripts:${name}.${b}`, BigInt(v.gas) / BigInt(Math.max(1, v.count ?? 1)));
+        }
+    }
+    return out;
+}
+
+const isTracked = (fnKey) => TRACKED.some((t) => fnKey === t || fnKey.startsWith(`${t}/`));
+
+/**
+ * @notice 베이스라인 대비 비교
+ * @param {object} baseline
+ * @param {object} current
+ * @param {{threshold?: number}} [opts] threshold: 허용 증가율(%)
+ * @returns {{ok: boolean, rows: object[], regressions: object[], missing: string[]}}
+ *   rows: { section, key, base, current, diff, pct, status }
+ *         status = regression | improved | ok | new | removed
+ */
+function compareReports(baseline, current, { threshold = DEFAULT_THRESHOLD } = {}) {
+    const base = flatten(baseline);
+    const cur = flatten(current);
+    const rows = [];
+
+    for (const id of [...new Set([...base.keys(), ...cur.keys()])].sort()) {
+        const [section, key] = [id.slice(0, id.indexOf(":")), id.slice(id.indexOf(":") + 1)];
+        const b = base.get(id);
+        const c = cur.get(id);
+        if (b == null || c == null) {
+            rows.push({ section, key, base: b ?? null, current: c ?? null, diff: null, pct: null, status: b == null ? "new" : "removed" });
+            continue;
+        }
+        const diff = c - b;
+        // 0.01% 단위 증가율
+        const pct = b === 0n ? (c === 0n ? 0 : Infinity) : Number((diff * 10000n) / b) / 100;
+        const status = pct > threshold ? "regression" : pct < -threshold ? "improved" : "ok";
+        rows.push({ section, key, base: b, current: c, diff, pct, status });
+    }
+
+    const fnKeys = Object.keys(current.functions ?? {});
+    const missing = TRACKED.filter((t) => !fnKeys.some((k) => k === t || k.startsWith(`${t}/`)));
+    const regressions = rows.filter((r) => r.status === "regression");
+    return { ok: regressions.length === 0 && missing.length === 0, rows, regressions, missing };
+}
+
+/**
+ * @notice 비교 결과 → 고정폭 표 (regression 행은 ⚠️ 표시)
+ * @param {object[]} rows compareReports rows
+ * @returns {string}
+ */
+function formatComparison(rows) {
+    const cols = ["", "section", "key", "base", "current", "diff", "%", "status"];
+    const fmtPct = (p) => (p == null ? "" : p === Infinity ? "+inf" : `${p > 0 ? "+" : ""}${p.toFixed(2)}`);
+    const cells = rows.map((r) => [
+        r.status === "regression" ? "⚠️" : "",
+        r.section,
+        r.key + (r.section === "functions" && isTracked(r.key) ? " *" : ""),
+        r.base == null ? "-" : r.base.toString(),
+        r.current == null ? "-" : r.current.toString(),
+        r.diff == null ? "" : `${r.diff > 0n ? "+" : ""}${r.diff}`,
+        fmtPct(r.pct),
+        r.status,
+    ]);
+    const widths = cols.map((h, i) => Math.max(h.length, ...cells.map((c) => c[i].length)));
+    const line = (vals) => vals.map((v, i) => v.padEnd(widths[i])).join("  ").trimEnd();
+    return [line(cols), ...cells.map(line)].join("\n");
+}
+
+module.exports = {
+    VERSION,
+    DEFAULT_THRESHOLD,
+    TRACKED,
+    emptyReport,
+    readReport,
+    writeReport,
+    mergeReport,
+    createGasRecorder,
+    recordScriptTotals,
+    compareReports,
+    formatComparison,
+};
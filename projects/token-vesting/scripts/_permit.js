@@ -0,0 +1,197 @@
+/**
+ * @fileoverview
+ *  EIP-2612 permit 서명 모듈 (StableCoin / ERC20PermitV2 / OZ ERC20Permit 공용)
+ * @description
+ *  - discoverPermitDomain : 토큰의 EIP-712 도메인 탐색 + 온체인 DOMAIN_SEPARATOR와 대조
+ *      1) EIP-5267 eip712Domain() 지원 시 그 값을 그대로 사용
+ *      2) 아니면 name() + version() (ERC20PermitV2는 "2", 미구현이면 "1"/"2" 후보)
+ *      3) DOMAIN_SEPARATOR()가 있으면 계산값과 비교 → 불일치면 throw (후보 버전은 일치하는 것 채택)
+ *  - signPermit : 임의의 ethers signer(Wallet / NonceManager / JsonRpcSigner / hardhat signer)로
+ *                 Permit(owner, spender, value, nonce, deadline) 서명 → TokenVesting.PermitData 반환
+ *
+ * 배경:
+ *  - 도메인(name/version)이 틀리면 buyBox 내부 permit에서 ERC2612InvalidSigner(recovered, owner)로만 실패해
+ *    원인 파악이 어렵다 → 서명 전에 DOMAIN_SEPARATOR를 대조하고, 서명 후 로컬 복원 주소를 확인한다.
+ *
+ * 사용법:
+ *   const { signPermit } = require("./_permit");
+ *   const p = await signPermit(signer, { token: stableCoinAddr, spender: vestingAddr, value: required });
+ *   await vesting.buyBox(amount, refCode, p); // p = { value, deadline, v, r, s }
+ *
+ * 주의:
+ *  - 이 모듈은 hardhat에 의존하지 않음 (fd-client 에서도 사용)
+ *
+ * @author hlibbc
+ */
+const { ethers } = require("ethers");
+
+/**
+ * @notice EIP-2612 Permit 타입 (OZ ERC20Permit / ERC20PermitV2 동일)
+ */
+const PERMIT_TYPES = {
+    Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+    ],
+};
+
+/**
+ * @notice 도메인 탐색/서명에 필요한 최소 ABI
+ */
+const PERMIT_ABI = [
+    "function name() view returns (string)",
+    "function version() view returns (string)",
+    "function nonces(address owner) view returns (uint256)",
+    "function DOMAIN_SEPARATOR() view returns (bytes32)",
+    "function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+];
+
+/** version()이 없을 때 DOMAIN_SEPARATOR와 대조해 볼 후보 */
+const FALLBACK_VERSIONS = ["1", "2"];
+
+// =============================================================================
+// 유틸
+// =============================================================================
+
+/**
+ * @notice view 호출 (미구현/revert면 undefined)
+ */
+async function tryCall(fn, ...args) {
+    try {
+        return await fn(...args);
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * @notice 주소 또는 Contract → 주소 문자열
+ */
+async function addressOf(target) {
+    return typeof target === "string" ? ethers.getAddress(target) : target.getAddress();
+}
+
+// =============================================================================
+// 도메인 탐색
+// =============================================================================
+
+/**
+ * @notice 토큰의 permit EIP-712 도메인 탐색 및 검증
+ * @param {string|import("ethers").BaseContract} token 토큰 주소 또는 Contract
+ * @param {import("ethers").Provider} provider
+ * @param {object} [opts]
+ * @param {string} [opts.name] name 강제 (EIP-5267 미지원 토큰용)
+ * @param {string} [opts.version] version 강제 (EIP-5267 미지원 토큰용)
+ * @returns {Promise<{ domain: object, separator: string, verified: boolean, source: string }>}
+ *   - source   : "eip5267" | "version()" | "override" | "fallback"
+ *   - verified : 온체인 DOMAIN_SEPARATOR()와 계산값 일치 여부 (getter가 없으면 false)
+ * @throws {Error} 계산한 도메인이 온체인 DOMAIN_SEPARATOR와 다른 경우 (code = "PERMIT_DOMAIN_MISMATCH")
+ */
+async function discoverPermitDomain(token, provider, opts = {}) {
+    const address = await addressOf(token);
+    const c = new ethers.Contract(address, PERMIT_ABI, provider);
+    const { chainId } = await provider.getNetwork();
+
+    const [eip5267, onchainSeparator] = await Promise.all([
+        tryCall(c.getFunction("eip712Domain")),
+        tryCall(c.getFunction("DOMAIN_SEPARATOR")),
+    ]);
+
+    let source;
+    let candidates;
+    if (eip5267 && opts.name == null && opts.version == null) {
+        // EIP-5267: fields 비트(0x01 name, 0x02 version, 0x04 chainId, 0x08 verifyingContract, 0x10 salt)
+        const fields = Number(eip5267.fields);
+        const d = {};
+        if (fields & 0x01) d.name = eip5267.name;
+        if (fields & 0x02) d.version = eip5267.version;
+        if (fields & 0x04) d.chainId = eip5267.chainId;
+        if (fields & 0x08) d.verifyingContract = eip5267.verifyingContract;
+        if (fields & 0x10) d.salt = eip5267.salt;
+        source = "eip5267";
+        candidates = [d];
+    } else {
+        const name = opts.name ?? (await tryCall(c.getFunction("name")));
+        if (name == null) throw new Error(`permit 도메인 탐색 실패: ${address}의 name()을 읽을 수 없습니다.`);
+        const base = { name, chainId, verifyingContract: address };
+        const version = opts.version ?? (await tryCall(c.getFunction("version")));
+        if (version != null) {
+            source = opts.version != null || opts.name != null ? "override" : "version()";
+            candidates = [{ ...base, version }];
+        } else {
+            source = "fallback";
+            candidates = FALLBACK_VERSIONS.map((v) => ({ ...base, version: v }));
+        }
+    }
+
+    if (!onchainSeparator) {
+        return { domain: candidates[0], separator: ethers.TypedDataEncoder.hashDomain(candidates[0]), verified: false, source };
+    }
+    for (const domain of candidates) {
+        const separator = ethers.TypedDataEncoder.hashDomain(domain);
+        if (separator === onchainSeparator) return { domain, separator, verified: true, source };
+    }
+
+    const tried = candidates.map((d) => `${JSON.stringify(d.name)}/v${d.version}`).join(", ");
+    const err = new Error(
+        `permit 도메인 불일치: ${address} DOMAIN_SEPARATOR=${onchainSeparator}, ` +
+        `계산값(${source}: ${tried}, chainId=${chainId})과 다릅니다. ` +
+        `이대로 서명하면 permit이 ERC2612InvalidSigner로 revert 됩니다.`
+    );
+    err.code = "PERMIT_DOMAIN_MISMATCH";
+    err.onchainSeparator = onchainSeparator;
+    throw err;
+}
+
+// =============================================================================
+// 서명
+// =============================================================================
+
+/**
+ * @notice permit 서명 → TokenVesting.PermitData
+ * @param {import("ethers").Signer} signer 토큰 owner (provider 연결 필요, 또는 opts.provider)
+ * @param {object} p
+ * @param {string|import("ethers").BaseContract} p.token permit 토큰
+ * @param {string} p.spender 승인 대상 (예: TokenVesting)
+ * @param {bigint} p.value 승인 금액 (buyBox는 estimatedTotalAmount와 정확히 일치해야 함)
+ * @param {bigint} [p.deadline] 만료 시각 (기본: 최신 블록 시각 + ttlSec)
+ * @param {number} [p.ttlSec] deadline 미지정 시 유효기간 (기본 1800초)
+ * @param {bigint} [p.nonce] permit nonce (기본: token.nonces(owner))
+ * @param {object} [p.domain] 도메인 강제 (기본: discoverPermitDomain)
+ * @param {import("ethers").Provider} [p.provider] signer에 provider가 없을 때
+ * @returns {Promise<{ value: bigint, deadline: bigint, v: number, r: string, s: string }>}
+ * @throws {Error} 도메인 불일치 / 서명 복원 주소 불일치
+ */
+async function signPermit(signer, { token, spender, value, deadline, ttlSec = 1800, nonce, domain, provider }) {
+    provider ??= signer.provider;
+    if (!provider) throw new Error("signPermit: signer에 provider가 연결되어 있지 않습니다.");
+    const address = await addressOf(token);
+    const owner = await signer.getAddress();
+
+    if (!domain) ({ domain } = await discoverPermitDomain(address, provider));
+    if (nonce == null) nonce = await new ethers.Contract(address, PERMIT_ABI, provider).nonces(owner);
+    if (deadline == null) {
+        const { timestamp } = await provider.getBlock("latest");
+        deadline = BigInt(timestamp + ttlSec);
+    }
+
+    const message = { owner, spender: await addressOf(spender), value: BigInt(value), nonce: BigInt(nonce), deadline: BigInt(deadline) };
+    const signature = await signer.signTypedData(domain, PERMIT_TYPES, message);
+    const recovered = ethers.verifyTypedData(domain, PERMIT_TYPES, message, signature);
+    if (recovered.toLowerCase() !== owner.toLowerCase()) {
+        throw new Error(`permit 서명 복원 주소 불일치: recovered=${recovered}, owner=${owner}`);
+    }
+
+    const { v, r, s } = ethers.Signature.from(signature);
+    return { value: message.value, deadline: message.deadline, v, r, s };
+}
+
+module.exports = {
+    PERMIT_TYPES,
+    PERMIT_ABI,
+    discoverPermitDomain,
+    signPermit,
+};
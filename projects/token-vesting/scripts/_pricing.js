@@ -0,0 +1,209 @@
+/**
+ * @fileoverview
+ *  박스 가격 견적 모듈 (TokenVesting._calculatePurchasePrice 오프체인 재현)
+ * @description
+ *  - 가격 정책 (USDT 6 decimals, 판매 인덱스 idx는 1-based = 누적판매량 + 1)
+ *      • idx 1 ~ 3199          : 350 USDT
+ *      • idx 3200 ~ 9999       : 200개 단위로 +25 USDT (3200~3399: 375, ... 9800~9999: 1200)
+ *      • idx 10000 이상        : 1300 USDT 고정
+ *      • 할인: 구간별 합계(gross)에 한 번만 적용 → total = gross * (100 - discountRate) / 100 (내림)
+ *  - priceBreakdown : 누적판매량/수량/할인율 → 구간별 내역 + 총액 (estimatedTotalAmount와 동일 값)
+ *  - quote          : priceBreakdown + "다른 구매가 먼저 체결될 때"의 최악 견적(worstCase)
+ *  - quoteFromChain : getTotalBoxPurchased / codeToOwner / refDiscountOf를 같은 블록에서 읽어 quote
+ *
+ * 주의:
+ *  - buyBox는 p.value == estimatedTotalAmount 를 **정확히** 요구한다.
+ *    → permit value에 여유분을 더할 수 없음 (permitValue = total 고정)
+ *    → worstCase.total은 잔고/approve 한도 확인과 "재견적 필요" 안내용
+ *    → ahead(먼저 체결될 박스 수) <= stableFor 이면 견적이 바뀌지 않음
+ *  - 유효하지 않은 레퍼럴 코드면 컨트랙트는 estimatedTotalAmount=0, buyBox는 revert → quoteFromChain은 throw
+ *  - 이 모듈은 hardhat에 의존하지 않음 (fd-server 에서도 사용)
+ *
+ * 사용법:
+ *   const { quoteFromChain } = require("./_pricing");
+ *   const q = await quoteFromChain(vesting, { quantity: 3n, refCode: "SPLALABS", ahead: 20n });
+ *   // q.total (= permit value), q.tiers, q.worstCase.total
+ *
+ * @author hlibbc
+ */
+const { ethers } = require("ethers");
+
+// =============================================================================
+// 상수 (TokenVesting._calculatePurchasePrice와 동일)
+// =============================================================================
+
+const PRICING = Object.freeze({
+    decimals: 6,
+    basePrice: 350n * 10n ** 6n,   // 시작가
+    stepAmount: 25n * 10n ** 6n,   // 스텝당 +$25
+    stepUnits: 200n,               // 200개 단위
+    hardCap: 10000n,               // 10000번째부터 고정가
+    capPrice: 1300n * 10n ** 6n,   // 1300 USDT
+});
+
+// =============================================================================
+// 가격 계산
+// =============================================================================
+
+/**
+ * @notice idx번째 박스(1-based)가 속한 가격 구간
+ * @param {bigint} idx
+ * @returns {{ unitPrice: bigint, end: bigint|null }} end = 구간 마지막 인덱스 (고정가 구간이면 null)
+ */
+function tierAt(idx) {
+    const { basePrice, stepAmount, stepUnits, hardCap, capPrice } = PRICING;
+    if (idx >= hardCap) return { unitPrice: capPrice, end: null };
+    const step = idx <= 3000n ? 0n : (idx - 3000n) / stepUnits;
+    let end = 3199n + step * stepUnits;
+    if (end > hardCap - 1n) end = hardCap - 1n;
+    return { unitPrice: basePrice + stepAmount * step, end };
+}
+
+/**
+ * @notice 구간별 가격 내역 (컨트랙트 루프를 그대로 재현)
+ * @param {object} p
+ * @param {bigint|number} p.sold 누적 판매량 (getTotalBoxPurchased)
+ * @param {bigint|number} p.quantity 구매 수량
+ * @param {bigint|number} [p.discountRate] 할인율 (0~100)
+ * @returns {object} { sold, quantity, discountRate, tiers[{from,to,count,unitPrice,subtotal}], gross, discount, total }
+ */
+function priceBreakdown({ sold, quantity, discountRate = 0n }) {
+    sold = BigInt(sold);
+    quantity = BigInt(quantity);
+    discountRate = BigInt(discountRate);
+    if (sold < 0n) throw new Error("sold must be >= 0");
+    if (quantity <= 0n) throw new Error("box=0");
+    if (discountRate < 0n || discountRate > 100n) throw new Error("discountRate out of range (0~100)");
+
+    const tiers = [];
+    let idx = sold + 1n;
+    let remain = quantity;
+    let gross = 0n;
+    while (remain !== 0n) {
+        const { unitPrice, end } = tierAt(idx);
+        const count = end === null || end + 1n - idx > remain ? remain : end + 1n - idx;
+        const subtotal = unitPrice * count;
+        tiers.push({ from: idx, to: idx + count - 1n, count, unitPrice, subtotal });
+        gross += subtotal;
+        idx += count;
+        remain -= count;
+    }
+    const total = (gross * (100n - discountRate)) / 100n;
+    return { sold, quantity, discountRate, tiers, gross, discount: gross - total, total };
+}
+
+/**
+ * @notice 견적 + 선행 체결(ahead) 시 최악 견적
+ * @param {object} p priceBreakdown 인자 + ahead
+ * @param {bigint|number} [p.ahead] 내 트랜잭션보다 먼저 체결될 수 있는 박스 수
+ * @returns {object} priceBreakdown 결과 +
+ *   - unitPrice   : 지금 1박스 단가 (할인 전)
+ *   - stableFor   : 가격이 바뀌기 전까지 먼저 팔려도 되는 박스 수 (고정가 구간이면 null = 무제한)
+ *   - permitValue : buyBox에 넣을 p.value (= total, 정확히 일치해야 함)
+ *   - worstCase   : { ahead, total, diff, bps } ahead개가 먼저 팔린 뒤의 총액과 증가분
+ */
+function quote({ sold, quantity, discountRate = 0n, ahead = 0n }) {
+    ahead = BigInt(ahead);
+    if (ahead < 0n) throw new Error("ahead must be >= 0");
+    const now = priceBreakdown({ sold, quantity, discountRate });
+    const worst = priceBreakdown({ sold: now.sold + ahead, quantity, discountRate });
+    // 각 구간의 마지막 박스가 다음 구간으로 밀려나기 전까지 여유 (고정가 구간은 무제한)
+    const room = now.tiers
+        .map((t) => tierAt(t.to).end)
+        .map((end, i) => (end === null ? null : end - now.tiers[i].to))
+        .filter((r) => r !== null);
+    const diff = worst.total - now.total;
+    return {
+        ...now,
+        unitPrice: now.tiers[0].unitPrice,
+        stableFor: room.length ? room.reduce((a, r) => (r < a ? r : a)) : null,
+        permitValue: now.total,
+        worstCase: {
+            ahead,
+            total: worst.total,
+            diff,
+            bps: now.total === 0n ? 0n : (diff * 10000n) / now.total,
+        },
+    };
+}
+
+// =============================================================================
+// 온체인 상태 연동
+// =============================================================================
+
+/**
+ * @notice 레퍼럴 코드 정규화 (TokenVesting._normalizeToBytes8과 동일 규칙)
+ * @param {string} code 8자리 영숫자 (소문자 허용)
+ * @returns {{ code: string, bytes8: string }} 대문자 코드 / bytes8 hex
+ * @throws {Error} "ref len!=8" | "ref invalid char"
+ */
+function normalizeRefCode(code) {
+    const s = String(code ?? "");
+    if (s.length !== 8) throw new Error("ref len!=8");
+    const up = s.toUpperCase();
+    if (!/^[A-Z0-9]{8}$/.test(up)) throw new Error("ref invalid char");
+    return { code: up, bytes8: ethers.hexlify(ethers.toUtf8Bytes(up)) };
+}
+
+/**
+ * @notice 최근 blocks 블록 동안 판매된 박스 수 (선행 체결 추정용)
+ * @param {import("ethers").Contract} vesting
+ * @param {{ blocks: number, toBlock?: number }} opts
+ * @returns {Promise<bigint>}
+ */
+async function recentBoxVolume(vesting, { blocks, toBlock }) {
+    const provider = vesting.runner?.provider ?? vesting.provider;
+    const to = toBlock ?? await provider.getBlockNumber();
+    const logs = await vesting.queryFilter(vesting.filters.BoxesPurchased(), Math.max(0, to - blocks + 1), to);
+    return logs.reduce((a, l) => a + BigInt(l.args.boxCount), 0n);
+}
+
+/**
+ * @notice 온체인 상태 기반 견적 (모든 조회는 같은 blockTag 기준)
+ * @param {import("ethers").Contract} vesting TokenVesting (읽기 전용 가능)
+ * @param {object} p
+ * @param {bigint|number} p.quantity 구매 수량
+ * @param {string} p.refCode 레퍼럴 코드
+ * @param {bigint|number} [p.ahead] 선행 체결 가정 박스 수
+ * @param {number|string} [p.blockTag] 기준 블록 (기본 latest 고정)
+ * @returns {Promise<object>} quote 결과 + { refCode, referrer, blockNumber }
+ * @throws {Error} "referral code not found" (컨트랙트 buyBox와 동일 사유)
+ */
+async function quoteFromChain(vesting, { quantity, refCode, ahead = 0n, blockTag }) {
+    const { code, bytes8 } = normalizeRefCode(refCode);
+    const provider = vesting.runner?.provider ?? vesting.provider;
+    const blockNumber = blockTag ?? await provider.getBlockNumber();
+    const overrides = { blockTag: blockNumber };
+
+    const [sold, referrer, discountRate] = await Promise.all([
+        vesting.getTotalBoxPurchased(overrides),
+        vesting.codeToOwner(bytes8, overrides),
+        vesting.refDiscountOf(bytes8, overrides),
+    ]);
+    if (referrer === ethers.ZeroAddress) throw new Error("referral code not found");
+
+    return {
+        refCode: code,
+        referrer,
+        blockNumber,
+        ...quote({ sold, quantity, discountRate, ahead }),
+    };
+}
+
+/**
+ * @notice bigint 필드를 문자열로 (HTTP 응답용)
+ */
+function quoteToJSON(q) {
+    return JSON.parse(JSON.stringify(q, (_k, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+module.exports = {
+    PRICING,
+    tierAt,
+    priceBreakdown,
+    quote,
+    normalizeRefCode,
+    recentBoxVolume,
+    quoteFromChain,
+    quoteToJSON,
+};
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview
+ *  TokenVesting 회계 대사(reconciliation) 모듈 (reconcileVesting.js에서 사용)
+ * @description
+ *  - fetchVestingLogs : 배포 블록부터 대상 블록까지 회계 관련 이벤트를 블록 구간 단위로 수집
+ *  - replayLogs       : _vestingModel에 이벤트를 순서대로 재생
+ *  - reconcile        : 모델 결과와 컨트랙트 public getter를 같은 블록(blockTag) 기준으로 비교
+ *      • 전역   : lastSyncedDay, nextSyncTs, getTotalBoxPurchased, getTotalReferralUnits
+ *      • 일자별 : boxesAddedPerDay, referralsAddedPerDay, cumBoxes, cumReferals,
+ *                 rewardPerBox, rewardPerReferral, cumRewardPerBox, cumRewardPerReferral
+ *      • 유저별 : buyerBoxAmountHistory / referralAmountHistory (길이 포함), boxesOf, referralsOf,
+ *                 lastBuyerClaimedDay, lastRefClaimedDay, totalClaimedBuyer, totalClaimedReferral,
+ *                 buybackStableCoinAmount, 확정분 청구 가능액(preview*ClaimableAt(user, nextSyncTs))
+ *
+ * 리포트 구조:
+ *   {
+ *     ok, block, blockTime, fromBlock,
+ *     events: { BoxesPurchased: n, ... },
+ *     replayIssues: [...],  // 이벤트끼리/이벤트와 모델 사이의 불일치
+ *     diffs: [{ scope: "global"|"day"|"user", key, field, expected, actual }],
+ *     checked: { days, users, getters }
+ *   }
+ *
+ * 주의:
+ *  - 이 모듈은 hardhat에 의존하지 않음 (ethers Contract만 사용)
+ *  - 배열 getter는 길이 조회가 없으므로, 모델 길이 위치(index = len)가 revert 되는지로 초과 항목을 확인
+ *
+ * @author hlibbc
+ */
+const { ethers } = require("ethers");
+const { createVestingModel } = require("./_vestingModel");
+
+const EVENTS = [
+    "BoxesPurchased",
+    "BoxesTransferred",
+    "DailySynced",
+    "PurchasePoolClaimed",
+    "ReferralPoolClaimed",
+    "BuybackClaimed",
+];
+
+/**
+ * @notice 컨트랙트 배포 블록 탐색 (getCode 이진 탐색, archive 미지원이면 0)
+ * @param {import("ethers").Provider} provider
+ * @param {string} addr
+ * @returns {Promise<number>}
+ */
+async function findDeployBlock(provider, addr) {
+    try {
+        let lo = 0, hi = await provider.getBlockNumber();
+        if ((await provider.getCode(addr, hi)) === "0x") return hi;
+        while (lo < hi) {
+            const mid = Math.floor((lo + hi) / 2);
+            if ((await provider.getCode(addr, mid)) === "0x") lo = mid + 1; else hi = mid;
+        }
+        return lo;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * @notice 회계 관련 이벤트 수집 (블록 → 로그 순 정렬)
+ * @param {import("ethers").Contract} vesting
+ * @param {{fromBlock: number, toBlock: number, step?: number}} range
+ * @returns {Promise<Array<{name: string, args: object, blockNumber: number, index: number, transactionHash: string}>>}
+ */
+async function fetchVestingLogs(vesting, { fromBlock, toBlock, step = 5000 }) {
+    const provider = vesting.runner?.provider ?? vesting.provider;
+    const iface = vesting.interface;
+    const topics = [EVENTS.map((n) => iface.getEvent(n).topicHash)];
+    const address = await vesting.getAddress();
+    const out = [];
+    for (let start = fromBlock; start <= toBlock; start += step) {
+        const end = Math.min(start + step - 1, toBlock);
+        const logs = await provider.getLogs({ address, topics, fromBlock: start, toBlock: end });
+        for (const log of logs) {
+            const ev = iface.parseLog(log);
+            out.push({
+                name: ev.name,
+                args: ev.args.toObject(),
+                blockNumber: log.blockNumber,
+                index: log.index,
+                transactionHash: log.transactionHash,
+            });
+        }
+    }
+    out.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+    return out;
+}
+
+/**
+ * @notice 수집한 이벤트를 모델에 재생
+ * @param {ReturnType<typeof createVestingModel>} model
+ * @param {Awaited<ReturnType<typeof fetchVestingLogs>>} logs
+ */
+function replayLogs(model, logs) {
+    for (const l of logs) model.apply(l.name, l.args, { blockNumber: l.blockNumber, transactionHash: l.transactionHash });
+    return model;
+}
+
+/**
+ * @notice 동시 실행 수를 제한한 map
+ */
+async function mapLimit(items, limit, fn) {
+    const out = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const i = next++;
+            out[i] = await fn(items[i], i);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return out;
+}
+
+/**
+ * @notice 모델 vs 컨트랙트 getter 비교
+ * @param {import("ethers").Contract} vesting
+ * @param {ReturnType<typeof createVestingModel>} model 재생을 마친 모델
+ * @param {object} [opts]
+ * @param {number} [opts.blockTag] 비교 기준 블록 (이벤트 수집 toBlock과 같아야 함)
+ * @param {string[]} [opts.users] 유저 비교 대상 제한 (기본: 이벤트에 등장한 전체)
+ * @param {number} [opts.concurrency=8]
+ * @returns {Promise<{diffs: object[], checked: object}>}
+ */
+async function reconcile(vesting, model, opts = {}) {
+    const { blockTag, concurrency = 8 } = opts;
+    const o = blockTag != null ? { blockTag } : {};
+    const st = model.state;
+    const diffs = [];
+    let getters = 0;
+
+    const read = async (fn, ...args) => { getters++; return BigInt(await vesting[fn](...args, o)); };
+    const cmp = (scope, key, field, expected, actual) => {
+        if (expected !== actual) diffs.push({ scope, key, field, expected: expected.toString(), actual: actual.toString() });
+    };
+
+    // ── 전역 ────────────────────────────────────────────────────────────────
+    const provider = vesting.runner?.provider ?? vesting.provider;
+    const blk = await provider.getBlock(blockTag ?? "latest");
+    const tot = model.totals(BigInt(blk.timestamp));
+    cmp("global", "-", "lastSyncedDay", st.lastSyncedDay, await read("lastSyncedDay"));
+    cmp("global", "-", "nextSyncTs", st.nextSyncTs, await read("nextSyncTs"));
+    cmp("global", "-", "getTotalBoxPurchased", tot.boxes, await read("getTotalBoxPurchased"));
+    cmp("global", "-", "getTotalReferralUnits", tot.referrals, await read("getTotalReferralUnits"));
+
+    // ── 일자별 ──────────────────────────────────────────────────────────────
+    const days = new Set([...st.boxesAdded.keys(), ...st.refAdded.keys()]);
+    for (let d = 0n; d < st.lastSyncedDay; d++) days.add(d);
+    const dayList = [...days].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const perDay = [
+        ["boxesAddedPerDay", st.boxesAdded, false],
+        ["referralsAddedPerDay", st.refAdded, false],
+        ["cumBoxes", st.cumBoxes, true],
+        ["cumReferals", st.cumReferals, true],
+        ["rewardPerBox", st.rewardPerBox, true],
+        ["rewardPerReferral", st.rewardPerReferral, true],
+        ["cumRewardPerBox", st.cumRewardPerBox, true],
+        ["cumRewardPerReferral", st.cumRewardPerReferral, true],
+    ];
+    await mapLimit(dayList, concurrency, async (d) => {
+        for (const [field, m, syncedOnly] of perDay) {
+            if (syncedOnly && d >= st.lastSyncedDay) continue;
+            cmp("day", d.toString(), field, m.get(d) ?? 0n, await read(field, d));
+        }
+    });
+
+    // ── 유저별 ──────────────────────────────────────────────────────────────
+    const users = opts.users ? opts.users.map((a) => ethers.getAddress(a)) : [...st.users.keys()];
+    const histDiff = async (user, fn, hist) => {
+        for (let i = 0; i < hist.length; i++) {
+            getters++;
+            const cp = await vesting[fn](user, i, o);
+            cmp("user", user, `${fn}[${i}].day`, hist[i].day, BigInt(cp.day));
+            cmp("user", user, `${fn}[${i}].amount`, hist[i].amount, BigInt(cp.amount));
+        }
+        getters++;
+        const extra = await vesting[fn](user, hist.length, o).then(() => true, () => false);
+        if (extra) diffs.push({ scope: "user", key: user, field: `${fn}.length`, expected: String(hist.length), actual: `> ${hist.length}` });
+    };
+    await mapLimit(users, concurrency, async (user) => {
+        const u = st.users.get(user);
+        const empty = { buyerHist: [], refHist: [], lastBuyerClaimedDay: 0n, lastRefClaimedDay: 0n,
+            totalClaimedBuyer: 0n, totalClaimedReferral: 0n, buyback: 0n };
+        const m = u ?? empty;
+        await histDiff(user, "buyerBoxAmountHistory", m.buyerHist);
+        await histDiff(user, "referralAmountHistory", m.refHist);
+        const last = (h) => (h.length ? h[h.length - 1].amount : 0n);
+        cmp("user", user, "boxesOf", last(m.buyerHist), await read("boxesOf", user));
+        cmp("user", user, "referralsOf", last(m.refHist), await read("referralsOf", user));
+        cmp("user", user, "lastBuyerClaimedDay", m.lastBuyerClaimedDay, await read("lastBuyerClaimedDay", user));
+        cmp("user", user, "lastRefClaimedDay", m.lastRefClaimedDay, await read("lastRefClaimedDay", user));
+        cmp("user", user, "totalClaimedBuyer", m.totalClaimedBuyer, await read("totalClaimedBuyer", user));
+        cmp("user", user, "totalClaimedReferral", m.totalClaimedReferral, await read("totalClaimedReferral", user));
+        cmp("user", user, "buybackStableCoinAmount", m.buyback, await read("buybackStableCoinAmount", user));
+        // 확정분만 비교: ts = nextSyncTs 이면 미확정일 시뮬레이션 구간이 비어 있음
+        const c = model.claimable(user);
+        cmp("user", user, "previewBuyerClaimableAt(nextSyncTs)", c.buyer, await read("previewBuyerClaimableAt", user, st.nextSyncTs));
+        cmp("user", user, "previewReferrerClaimableAt(nextSyncTs)", c.referral, await read("previewReferrerClaimableAt", user, st.nextSyncTs));
+    });
+
+    return { diffs, checked: { days: dayList.length, users: users.length, getters } };
+}
+
+/**
+ * @notice 수집 → 재생 → 비교 한 번에 실행
+ * @param {import("ethers").Contract} vesting
+ * @param {object} [opts]
+ * @param {number} [opts.fromBlock] 기본: 배포 블록 탐색
+ * @param {number} [opts.toBlock] 기본: latest
+ * @param {{ends: bigint[], buyerTotals: bigint[], refTotals: bigint[]}} [opts.schedule]
+ * @param {number} [opts.step] getLogs 블록 구간
+ * @param {string[]} [opts.users]
+ * @param {number} [opts.concurrency]
+ * @param {(logs: object[]) => object[]} [opts.mapLogs] 재생 전 로그 가공 (테스트/시뮬레이션용)
+ * @returns {Promise<object>} 리포트
+ */
+async function runReconciliation(vesting, opts = {}) {
+    const provider = vesting.runner?.provider ?? vesting.provider;
+    const address = await vesting.getAddress();
+    const toBlock = opts.toBlock ?? await provider.getBlockNumber();
+    const fromBlock = opts.fromBlock ?? await findDeployBlock(provider, address);
+
+    const o = { blockTag: toBlock };
+    const startTs = BigInt(await vesting.vestingStartDate(o));
+
+    // schedule 종료시각은 getter(poolEndTimes)로 검증, 총량은 private이라 재생 결과(단가)로 검증
+    let schedule = opts.schedule ?? null;
+    const scheduleIssues = [];
+    if (schedule) {
+        for (let i = 0; i < schedule.ends.length; i++) {
+            const onchain = BigInt(await vesting.poolEndTimes(i, o));
+            if (onchain !== BigInt(schedule.ends[i])) {
+                scheduleIssues.push({ kind: "schedule mismatch", index: i, expected: String(schedule.ends[i]), actual: onchain.toString() });
+            }
+        }
+        if (scheduleIssues.length) schedule = null; // 잘못된 schedule로 단가를 재계산하지 않음
+    }
+
+    const logs = await fetchVestingLogs(vesting, { fromBlock, toBlock, step: opts.step });
+    const model = createVestingModel({ startTs, schedule });
+    replayLogs(model, opts.mapLogs ? opts.mapLogs(logs) : logs);
+
+    const { diffs, checked } = await reconcile(vesting, model, { ...opts, blockTag: toBlock });
+    const blk = await provider.getBlock(toBlock);
+    const replayIssues = [...scheduleIssues, ...model.issues];
+    return {
+        ok: diffs.length === 0 && replayIssues.length === 0,
+        vesting: address,
+        fromBlock,
+        block: toBlock,
+        blockTime: new Date(Number(blk.timestamp) * 1000).toISOString(),
+        ratesFrom: schedule ? "schedule" : "events",
+        events: model.counts,
+        replayIssues,
+        diffs,
+        checked,
+        model,
+    };
+}
+
+module.exports = {
+    EVENTS,
+    findDeployBlock,
+    fetchVestingLogs,
+    replayLogs,
+    reconcile,
+    runReconciliation,
+    mapLimit,
+};
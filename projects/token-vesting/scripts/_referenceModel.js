@@ -0,0 +1,375 @@
+/**
+ * @fileoverview
+ *  TokenVesting 기준(reference) 모델 — 호출 단위 순방향 시뮬레이션
+ * @description
+ *  - _vestingModel.js(이벤트 재생)와 달리 컨트랙트 "호출"을 그대로 입력받아 상태를 진행
+ *      • buy          ↔ buyBox (내부 sync → 당일 boxesAddedPerDay/referralsAddedPerDay, 체크포인트)
+ *      • send         ↔ sendBox (from 절대값 차감 in-place, to 가산 — 분모 불변)
+ *      • sync         ↔ sync / syncLimitDay (_syncOneDay: 분모 = 전일 누적 + 당일 추가분)
+ *      • claim        ↔ claimPurchaseReward / claimReferralReward (내부 sync → _calcByHistory → _applyFloor6)
+ *      • preview      ↔ previewBuyerClaimableAt / previewReferrerClaimableAt (확정분 + 미확정 시뮬레이션)
+ *  - 호출마다 컨트랙트가 낼 revert 사유를 먼저 판정하고, revert면 상태를 바꾸지 않음
+ *      → 반환값 { revert: "<사유>" | null, ... }
+ *  - poolStats: 확정된 날의 일일 풀 합계와 지급/청구 가능 합계 (지급 ≤ 풀 불변식 검사용)
+ *
+ * 컨트랙트 로직 대응:
+ *   rewardPerBox / cumRewardPerBox          ↔ _syncOneDay (perBox = pool / denom, 내림)
+ *   rewardPerReferral / cumRewardPerReferral ↔ _syncOneDay (레퍼럴 풀, 연차 총량 0이면 0)
+ *   pending                                  ↔ _previewBuyerPendingAt / _previewRefPendingAt (curBal * (pool / denom))
+ *   round(기본 floor6)                       ↔ _applyFloor6
+ *
+ * 주의:
+ *  - 이 모듈은 hardhat / ethers provider에 의존하지 않음 (순수 계산, 모든 수치는 bigint)
+ *  - 가격/바이백(StableCoin)과 SBT는 다루지 않음 (베스팅 토큰 회계만)
+ *  - 주소는 체크섬 여부와 무관하게 같은 유저로 취급
+ *
+ * @author hlibbc
+ */
+const { DAY, UNSET, balanceAtDay, floor6, calcByHistory, dailyPoolAt } = require("./_vestingModel");
+
+const POOLS = ["buyer", "referral"];
+
+/**
+ * @notice 모델 생성
+ * @param {object} args
+ * @param {bigint} args.startTs vestingStartDate
+ * @param {{ends: bigint[], buyerTotals: bigint[], refTotals: bigint[]}} args.schedule initializeSchedule 인자
+ * @param {(amount18: bigint) => bigint} [args.round] 클레임 지급액 절삭 (기본 floor6 = _applyFloor6)
+ * @returns {object} 모델 핸들
+ */
+function createReferenceModel({ startTs, schedule, round = floor6 }) {
+    startTs = BigInt(startTs);
+    const sch = {
+        ends: schedule.ends.map(BigInt),
+        buyerTotals: schedule.buyerTotals.map(BigInt),
+        refTotals: schedule.refTotals.map(BigInt),
+    };
+    const lastEnd = sch.ends[sch.ends.length - 1];
+
+    const state = {
+        lastSyncedDay: 0n,
+        nextSyncTs: startTs,
+        boxesAdded: new Map(), // day → 박스
+        refAdded: new Map(), // day → 레퍼럴 단위
+        cumBoxes: new Map(),
+        cumReferals: new Map(),
+        rewardPerBox: new Map(),
+        rewardPerReferral: new Map(),
+        cumRewardPerBox: new Map(),
+        cumRewardPerReferral: new Map(),
+        users: new Map(), // addr(lowercase) → 유저 상태
+        // 확정된 날의 일일 풀 합계 (18dec)
+        finalizedPool: { buyer: 0n, referral: 0n },
+        claimed: { buyer: 0n, referral: 0n },
+    };
+
+    const at = (m, k) => m.get(k) ?? 0n;
+    const inc = (m, k, n) => m.set(k, at(m, k) + n);
+    const dayOf = (ts) => (BigInt(ts) < startTs ? 0n : (BigInt(ts) - startTs) / DAY);
+    const keyOf = (addr) => String(addr).toLowerCase();
+    const dailyPool = (dayStartTs, forBuyer) => dailyPoolAt(startTs, sch, dayStartTs, forBuyer);
+
+    /**
+     * @notice 풀 종류별 필드 (buyer ↔ 구매자 풀, referral ↔ 추천인 풀)
+     */
+    function poolOf(kind) {
+        if (kind === "buyer") {
+            return { hist: "buyerHist", last: "lastBuyerClaimedDay", claimed: "claimedBuyer", added: state.boxesAdded, cum: state.cumBoxes, cumReward: state.cumRewardPerBox, forBuyer: true };
+        }
+        if (kind === "referral") {
+            return { hist: "refHist", last: "lastRefClaimedDay", claimed: "claimedReferral", added: state.refAdded, cum: state.cumReferals, cumReward: state.cumRewardPerReferral, forBuyer: false };
+        }
+        throw new Error(`❌ 알 수 없는 풀: ${kind} (${POOLS.join("|")})`);
+    }
+
+    const emptyUser = () => ({
+        buyerHist: [],
+        refHist: [],
+        lastBuyerClaimedDay: 0n,
+        lastRefClaimedDay: 0n,
+        claimedBuyer: 0n,
+        claimedReferral: 0n,
+        totalBought: 0n,
+    });
+
+    function userOf(addr) {
+        const k = keyOf(addr);
+        if (!state.users.has(k)) state.users.set(k, emptyUser());
+        return state.users.get(k);
+    }
+
+    // ── 체크포인트 (_pushBuyerCheckpoint / _pushRefCheckpoint) ─────────────
+    function pushCheckpoint(u, kind, effDay, added) {
+        const p = poolOf(kind);
+        const hist = u[p.hist];
+        if (hist.length === 0 && u[p.last] === 0n) u[p.last] = UNSET;
+        const last = hist[hist.length - 1];
+        if (last && last.day === effDay) { last.amount += added; return; }
+        // effDay는 항상 "오늘"이라 last.day보다 작을 수 없음 (컨트랙트의 non-monotonic effDay)
+        if (last && effDay < last.day) throw new Error(`❌ 체크포인트 역행: ${effDay} < ${last.day}`);
+        hist.push({ day: effDay, amount: (last ? last.amount : 0n) + added });
+    }
+
+    // ── 동기화 (_syncOneDay) ────────────────────────────────────────────────
+    function syncOneDay() {
+        const d = (state.nextSyncTs - startTs) / DAY;
+        const prevBoxes = d === 0n ? 0n : at(state.cumBoxes, d - 1n);
+        const prevRefs = d === 0n ? 0n : at(state.cumReferals, d - 1n);
+        const boxesDenom = prevBoxes + at(state.boxesAdded, d);
+        const referralDenom = prevRefs + at(state.refAdded, d);
+
+        const buyerPool = dailyPool(state.nextSyncTs, true);
+        const refPool = dailyPool(state.nextSyncTs, false);
+        const perBox = buyerPool > 0n && boxesDenom > 0n ? buyerPool / boxesDenom : 0n;
+        const perRef = refPool > 0n && referralDenom > 0n ? refPool / referralDenom : 0n;
+
+        state.rewardPerBox.set(d, perBox);
+        state.rewardPerReferral.set(d, perRef);
+        state.cumRewardPerBox.set(d, (d === 0n ? 0n : at(state.cumRewardPerBox, d - 1n)) + perBox);
+        state.cumRewardPerReferral.set(d, (d === 0n ? 0n : at(state.cumRewardPerReferral, d - 1n)) + perRef);
+        state.cumBoxes.set(d, boxesDenom);
+        state.cumReferals.set(d, referralDenom);
+        state.finalizedPool.buyer += buyerPool;
+        state.finalizedPool.referral += refPool;
+
+        state.nextSyncTs += DAY;
+        state.lastSyncedDay = d + 1n;
+        return d;
+    }
+
+    /**
+     * @notice sync() — ts까지 완전히 지난 날을 모두 확정
+     * @param {bigint} ts 블록 시각
+     * @returns {{revert: null, days: bigint[]}}
+     */
+    function sync(ts) {
+        const days = [];
+        while (state.nextSyncTs + DAY <= BigInt(ts)) days.push(syncOneDay());
+        return { revert: null, days };
+    }
+
+    /**
+     * @notice syncLimitDay(limit) — 최대 limit일만 확정
+     * @param {bigint} ts 블록 시각
+     * @param {bigint} limit
+     * @returns {{revert: string|null, days?: bigint[]}}
+     */
+    function syncLimitDay(ts, limit) {
+        limit = BigInt(limit);
+        if (limit === 0n) return { revert: "limit=0" };
+        if (state.nextSyncTs + DAY > BigInt(ts)) return { revert: "nothing to sync" };
+        const days = [];
+        while (state.nextSyncTs + DAY <= BigInt(ts) && BigInt(days.length) < limit) days.push(syncOneDay());
+        return { revert: null, days };
+    }
+
+    // ── 구매 / 전송 ─────────────────────────────────────────────────────────
+    /**
+     * @notice buyBox (레퍼럴 코드 해석은 호출자 몫: referrer 주소를 받음)
+     * @param {{user: string, referrer: string, boxes: bigint, ts: bigint}} args
+     * @returns {{revert: string|null, day?: bigint}}
+     */
+    function buy({ user, referrer, boxes, ts }) {
+        ts = BigInt(ts);
+        boxes = BigInt(boxes);
+        if (ts < startTs) return { revert: "not started" };
+        if (ts > lastEnd) return { revert: "vesting ended" };
+        if (boxes === 0n) return { revert: "box=0" };
+        if (keyOf(referrer) === keyOf(user)) return { revert: "self referral" };
+
+        sync(ts);
+        const d = dayOf(ts);
+        inc(state.boxesAdded, d, boxes);
+        inc(state.refAdded, d, boxes);
+        const u = userOf(user);
+        pushCheckpoint(u, "buyer", d, boxes);
+        pushCheckpoint(userOf(referrer), "referral", d, boxes);
+        u.totalBought += boxes;
+        return { revert: null, day: d };
+    }
+
+    /**
+     * @notice sendBox (owner) — 당일부터 효력, 판매 기록/분모는 불변
+     * @param {{from: string, to: string, boxes: bigint, ts: bigint}} args
+     * @returns {{revert: string|null, day?: bigint}}
+     */
+    function send({ from, to, boxes, ts }) {
+        ts = BigInt(ts);
+        boxes = BigInt(boxes);
+        if (ts < startTs) return { revert: "not started" };
+        if (keyOf(from) === keyOf(to)) return { revert: "same addr" };
+        if (boxes === 0n) return { revert: "box=0" };
+
+        const d = dayOf(ts);
+        const f = userOf(from);
+        const hist = f.buyerHist;
+        const last = hist[hist.length - 1];
+        const base = last && last.day === d ? last.amount : balanceAtDay(hist, d);
+        if (base < boxes) return { revert: "InsufficientAfterPriorTransfers" };
+
+        if (hist.length === 0 && f.lastBuyerClaimedDay === 0n) f.lastBuyerClaimedDay = UNSET;
+        if (last && last.day === d) last.amount = base - boxes;
+        else hist.push({ day: d, amount: base - boxes });
+        pushCheckpoint(userOf(to), "buyer", d, boxes);
+        return { revert: null, day: d };
+    }
+
+    // ── 클레임 ──────────────────────────────────────────────────────────────
+    /**
+     * @notice 클레임 구간 (_claimWindow)
+     * @returns {[bigint, bigint]} [fromDay, toDay] (fromDay > toDay면 청구 불가)
+     */
+    function claimWindow(lastClaimed) {
+        if (state.lastSyncedDay === 0n) return [1n, 0n];
+        return [lastClaimed === UNSET ? 0n : lastClaimed + 1n, state.lastSyncedDay - 1n];
+    }
+
+    /**
+     * @notice claimPurchaseReward / claimReferralReward
+     * @param {{user: string, pool: "buyer"|"referral", ts: bigint}} args
+     * @returns {{revert: string|null, amount?: bigint, pay?: bigint, fromDay?: bigint, toDay?: bigint}}
+     *          amount: 절삭 전(18dec) / pay: 실제 지급액
+     */
+    function claim({ user, pool, ts }) {
+        poolOf(pool); // 풀 이름 검증
+        // revert 시 내부 sync까지 되돌림
+        const before = structuredClone(state);
+        const fail = (reason) => { Object.assign(state, before); return { revert: reason }; };
+
+        sync(ts);
+        const p = poolOf(pool); // sync 이후의 맵 참조
+        const u = userOf(user);
+        const [fromDay, toDay] = claimWindow(u[p.last]);
+        if (fromDay > toDay) return fail("nothing to claim");
+        const amount = calcByHistory(u[p.hist], p.cumReward, fromDay, toDay);
+        if (amount === 0n) return fail("zero");
+
+        const pay = round(amount);
+        u[p.last] = toDay;
+        u[p.claimed] += pay;
+        state.claimed[pool] += pay;
+        return { revert: null, amount, pay, fromDay, toDay };
+    }
+
+    // ── 미리보기 ────────────────────────────────────────────────────────────
+    /**
+     * @notice 미확정 구간 시뮬레이션 (_previewBuyerPendingAt / _previewRefPendingAt)
+     */
+    function pending(hist, p, startSim, endSim) {
+        let i = 0;
+        let curBal = 0n;
+        while (i < hist.length && hist[i].day <= startSim) curBal = hist[i++].amount;
+
+        let prev = state.lastSyncedDay === 0n ? 0n : at(p.cum, state.lastSyncedDay - 1n);
+        for (let dd = state.lastSyncedDay; dd < startSim; dd++) prev += at(p.added, dd);
+
+        let total = 0n;
+        for (let d = startSim; d <= endSim; d++) {
+            while (i < hist.length && hist[i].day <= d) curBal = hist[i++].amount;
+            const denom = prev + at(p.added, d);
+            if (denom > 0n && curBal > 0n) {
+                const pool = dailyPool(startTs + d * DAY, p.forBuyer);
+                if (pool > 0n) total += curBal * (pool / denom);
+            }
+            prev += at(p.added, d);
+        }
+        return total;
+    }
+
+    /**
+     * @notice previewBuyerClaimableAt / previewReferrerClaimableAt (18dec, 절삭 전)
+     * @param {string} user
+     * @param {"buyer"|"referral"} pool
+     * @param {bigint} ts 기준 시각
+     * @returns {bigint}
+     */
+    function previewClaimable(user, pool, ts) {
+        const p = poolOf(pool);
+        const u = state.users.get(keyOf(user));
+        if (!u) return 0n;
+
+        let dNext = state.lastSyncedDay;
+        for (let next = state.nextSyncTs; next + DAY <= BigInt(ts); next += DAY) dNext++;
+        const previewLast = dNext === 0n ? 0n : dNext - 1n;
+
+        const [fromDay, toDay] = claimWindow(u[p.last]);
+        let total = calcByHistory(u[p.hist], p.cumReward, fromDay, toDay);
+        if (dNext > state.lastSyncedDay && state.lastSyncedDay <= previewLast) {
+            total += pending(u[p.hist], p, state.lastSyncedDay, previewLast);
+        }
+        return total;
+    }
+
+    // ── 조회 ────────────────────────────────────────────────────────────────
+    /**
+     * @notice 유저 스냅샷 (boxesOf / referralsOf / totalClaimed* / 확정분 청구 가능액)
+     * @param {string} user
+     */
+    function userView(user) {
+        const u = state.users.get(keyOf(user)) ?? emptyUser();
+        const latest = (h) => (h.length ? h[h.length - 1].amount : 0n);
+        const confirmed = (kind) => {
+            const p = poolOf(kind);
+            const [f, t] = claimWindow(u[p.last]);
+            return calcByHistory(u[p.hist], p.cumReward, f, t);
+        };
+        return {
+            boxes: latest(u.buyerHist),
+            referralUnits: latest(u.refHist),
+            totalBought: u.totalBought,
+            claimedBuyer: u.claimedBuyer,
+            claimedReferral: u.claimedReferral,
+            confirmedBuyer: confirmed("buyer"),
+            confirmedReferral: confirmed("referral"),
+        };
+    }
+
+    /**
+     * @notice 풀별 회계 합계 — 지급 + 확정분 청구 가능액 ≤ 확정된 일일 풀 합계 ≤ 연차 총량 합계
+     * @returns {{buyer: object, referral: object}} { total, finalized, claimed, confirmed }
+     */
+    function poolStats() {
+        const sum = (xs) => xs.reduce((a, b) => a + b, 0n);
+        const out = {};
+        for (const kind of POOLS) {
+            let confirmed = 0n;
+            for (const u of state.users.values()) {
+                const p = poolOf(kind);
+                const [f, t] = claimWindow(u[p.last]);
+                confirmed += calcByHistory(u[p.hist], p.cumReward, f, t);
+            }
+            out[kind] = {
+                total: sum(kind === "buyer" ? sch.buyerTotals : sch.refTotals),
+                finalized: state.finalizedPool[kind],
+                claimed: state.claimed[kind],
+                confirmed,
+            };
+        }
+        return out;
+    }
+
+    return {
+        buy,
+        send,
+        sync,
+        syncLimitDay,
+        claim,
+        claimWindow,
+        previewClaimable,
+        userView,
+        poolStats,
+        dailyPool,
+        dayOf,
+        lastEnd,
+        state,
+    };
+}
+
+module.exports = {
+    POOLS,
+    createReferenceModel,
+    // 공용 계산은 _vestingModel과 동일한 구현을 재노출
+    floor6,
+    balanceAtDay,
+    calcByHistory,
+};
@@ -0,0 +1,368 @@
+/**
+ * @fileoverview
+ *  레퍼럴 코드 관리 모듈 (referralCodes.js에서 사용)
+ * @description
+ *  - 코드 형식: 8자리 [A-Z0-9] (컨트랙트 _normalizeToBytes8 / _pricing.normalizeRefCode 와 동일)
+ *  - generateCodes    : 충돌 없는 코드 생성 (배치 내 중복 + 온체인 codeToOwner 확인)
+ *      • prefix 지정 시 vanity 코드 (예: "SUMMER" + 2자리 랜덤)
+ *  - parseCodesCsv    : 배정용 CSV 파싱 (wallet_address, referral_code?, discount?)
+ *  - planAssignments  : 배정 사전 점검 → 전송 대상 / 건너뜀 / 충돌 분류, 코드 없는 행은 자동 생성
+ *  - toBulkBatches    : setReferralCodesBulk(users, codes, overwrite) 호출 단위로 분할
+ *  - readCodes        : 코드별 owner / discount (codeToOwner, refDiscountOf)
+ *  - discoverCodeOwners / buildExport : ReferralCodeAssigned 이벤트로 코드 보유자 탐색 →
+ *                       owner, code, discount, referralUnits(referralsOf) 행 생성
+ *
+ * 주의:
+ *  - 이 모듈은 hardhat에 의존하지 않음 (ethers Contract만 사용)
+ *  - overwrite로 코드를 바꾸면 이전 코드는 codeToOwner에서 해제되지만 refDiscountOf는 남는다
+ *    → 해제된 코드를 다른 유저에게 다시 배정하면 이전 할인율이 그대로 적용됨 (planAssignments가 경고로 표시)
+ *
+ * @author hlibbc
+ */
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+const { normalizeRefCode } = require("./_pricing");
+const { findDeployBlock, mapLimit } = require("./_reconcile");
+
+const CODE_LEN = 8;
+const CODE_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+const EXPORT_COLUMNS = ["owner", "code", "discount", "referralUnits"];
+
+// =============================================================================
+// 코드 형식
+// =============================================================================
+
+/**
+ * @notice bytes8(hex) → 코드 문자열 (0x0000000000000000 → "")
+ * @param {string} hex
+ * @returns {string}
+ */
+function codeFromBytes8(hex) {
+    if (BigInt(hex) === 0n) return "";
+    return ethers.toUtf8String(hex);
+}
+
+/**
+ * @notice vanity prefix 정규화 (대문자, 0~7자리 [A-Z0-9])
+ * @param {string} [prefix]
+ * @returns {string}
+ */
+function normalizePrefix(prefix) {
+    const up = String(prefix ?? "").trim().toUpperCase();
+    if (up.length >= CODE_LEN) throw new Error(`prefix는 ${CODE_LEN - 1}자 이하여야 합니다: ${prefix}`);
+    if (!/^[A-Z0-9]*$/.test(up)) throw new Error(`prefix에 허용되지 않는 문자가 있습니다: ${prefix}`);
+    return up;
+}
+
+/**
+ * @notice 랜덤 코드 1개 (prefix + 랜덤 [A-Z0-9])
+ * @param {string} [prefix=""] 정규화된 prefix
+ * @param {(n: number) => number} [randomInt] 0..n-1 난수 (기본 crypto.randomInt)
+ * @returns {string}
+ */
+function randomCode(prefix = "", randomInt = crypto.randomInt) {
+    let s = prefix;
+    while (s.length < CODE_LEN) s += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+    return s;
+}
+
+// =============================================================================
+// 생성
+// =============================================================================
+
+/**
+ * @notice 충돌 없는 코드 생성
+ * @param {import("ethers").Contract} vesting
+ * @param {object} opts
+ * @param {number} opts.count 생성 개수
+ * @param {string} [opts.prefix] vanity prefix
+ * @param {Iterable<string>} [opts.exclude] 제외할 코드 (같은 배치에서 직접 지정한 코드 등)
+ * @param {number} [opts.maxAttempts] 후보 시도 상한 (기본 count * 20 + 100)
+ * @param {(n: number) => number} [opts.randomInt]
+ * @returns {Promise<string[]>}
+ * @throws prefix 코드 공간이 부족하거나 시도 상한을 넘으면 에러
+ */
+async function generateCodes(vesting, opts) {
+    const count = Number(opts.count);
+    if (!Number.isInteger(count) || count < 0) throw new Error(`count가 올바르지 않습니다: ${opts.count}`);
+    const prefix = normalizePrefix(opts.prefix);
+    const space = CODE_ALPHABET.length ** (CODE_LEN - prefix.length);
+    if (count > space) throw new Error(`prefix "${prefix}"로 만들 수 있는 코드는 ${space}개입니다 (요청 ${count}개)`);
+
+    const seen = new Set([...(opts.exclude ?? [])].map((c) => normalizeRefCode(c).code));
+    const maxAttempts = opts.maxAttempts ?? count * 20 + 100;
+    const out = [];
+    let attempts = 0;
+    while (out.length < count) {
+        // 부족분만큼 후보를 뽑아 한 번에 온체인 확인
+        const batch = [];
+        while (batch.length < count - out.length) {
+            if (++attempts > maxAttempts) {
+                throw new Error(`충돌 없는 코드를 ${count}개 만들지 못했습니다 (prefix "${prefix}", ${out.length}개 생성)`);
+            }
+            const c = randomCode(prefix, opts.randomInt);
+            if (seen.has(c)) continue;
+            seen.add(c);
+            batch.push(c);
+        }
+        const owners = await mapLimit(batch, 8, (c) => vesting.codeToOwner(normalizeRefCode(c).bytes8));
+        batch.forEach((c, i) => { if (owners[i] === ethers.ZeroAddress) out.push(c); });
+    }
+    return out;
+}
+
+// =============================================================================
+// 배정
+// =============================================================================
+
+/**
+ * @notice 배정용 CSV 파싱
+ * @example 헤더: wallet_address, referral_code, discount (referral_code / discount 생략 가능)
+ *          헤더가 없으면 wallet_address, referral_code, discount 순서
+ * @param {string} csvText
+ * @returns {Array<{line: number, user: string, code: string, discount: number|null}>}
+ *          code는 빈 문자열이면 자동 생성 대상
+ */
+function parseCodesCsv(csvText) {
+    const lines = csvText.split(/\r?\n/).map((s) => s.trim());
+    const header = (lines.find(Boolean) ?? "").split(",").map((s) => s.trim().toLowerCase());
+    let col = { w: 0, c: 1, d: 2 };
+    let start = 0;
+    if (header.includes("wallet_address")) {
+        col = {
+            w: header.indexOf("wallet_address"),
+            c: header.indexOf("referral_code"),
+            d: header.indexOf("discount"),
+        };
+        start = lines.findIndex(Boolean) + 1;
+    }
+
+    const rows = [];
+    for (let i = start; i < lines.length; i++) {
+        if (!lines[i] || lines[i].startsWith("#")) continue;
+        const cols = lines[i].split(",").map((s) => s.trim());
+        const at = `line ${i + 1}`;
+        let user;
+        try {
+            user = ethers.getAddress(cols[col.w]);
+        } catch {
+            throw new Error(`${at}: 잘못된 주소 형식입니다: ${cols[col.w]}`);
+        }
+        const rawCode = col.c >= 0 ? cols[col.c] ?? "" : "";
+        let code = "";
+        if (rawCode) {
+            try {
+                code = normalizeRefCode(rawCode).code;
+            } catch (e) {
+                throw new Error(`${at}: 잘못된 레퍼럴 코드입니다 (${e.message}): ${rawCode}`);
+            }
+        }
+        const rawDiscount = col.d >= 0 ? cols[col.d] ?? "" : "";
+        rows.push({ line: i + 1, user, code, discount: rawDiscount === "" ? null : parseDiscount(rawDiscount, at) });
+    }
+    return rows;
+}
+
+/**
+ * @notice 할인율 검증 (0~100 정수, setReferralDiscount 범위)
+ * @param {string|number} v
+ * @param {string} [at] 에러 표기용 위치
+ * @returns {number}
+ */
+function parseDiscount(v, at = "discount") {
+    const s = String(v).trim();
+    if (!/^\d+$/.test(s) || Number(s) > 100) throw new Error(`${at}: 할인율은 0~100 정수여야 합니다: ${v}`);
+    return Number(s);
+}
+
+/**
+ * @notice 배정 사전 점검 (컨트랙트 _setReferralCodeInternal 규칙 재현)
+ * @param {import("ethers").Contract} vesting
+ * @param {ReturnType<typeof parseCodesCsv>} rows
+ * @param {object} [opts]
+ * @param {boolean} [opts.overwrite=false] 기존 코드를 덮어쓸지 (setReferralCodesBulk _overwrite)
+ * @param {string} [opts.prefix] 코드 없는 행의 자동 생성 prefix
+ * @returns {Promise<{
+ *   items: Array<{user: string, code: string, discount: number|null, prev: string, generated: boolean}>,
+ *   skipped: Array<{user: string, code: string, reason: string}>,
+ *   conflicts: Array<{user: string, code: string, reason: string}>,
+ *   warnings: string[],
+ * }>}
+ *   - items     : 전송 대상
+ *   - skipped   : 이미 같은 코드 보유 / 기존 코드 보유(overwrite 아님) — 전송하면 "has code" revert
+ *   - conflicts : 입력 내 중복, 다른 주소가 쓰는 코드 — 전송하면 "code taken" revert
+ */
+async function planAssignments(vesting, rows, opts = {}) {
+    const overwrite = !!opts.overwrite;
+    const items = [], skipped = [], conflicts = [], warnings = [];
+
+    // 입력 내 중복
+    const byUser = new Map(), byCode = new Map();
+    for (const r of rows) {
+        if (byUser.has(r.user)) conflicts.push({ user: r.user, code: r.code, reason: `duplicate user (line ${byUser.get(r.user)})` });
+        else byUser.set(r.user, r.line);
+        if (!r.code) continue;
+        if (byCode.has(r.code)) conflicts.push({ user: r.user, code: r.code, reason: `duplicate code (line ${byCode.get(r.code)})` });
+        else byCode.set(r.code, r.line);
+    }
+
+    const state = await mapLimit(rows, 8, async (r) => {
+        const [prev, codeOwner] = await Promise.all([
+            vesting.referralCodeOf(r.user),
+            r.code ? vesting.codeToOwner(normalizeRefCode(r.code).bytes8) : ethers.ZeroAddress,
+        ]);
+        return { prev: codeFromBytes8(prev), codeOwner };
+    });
+
+    const pending = [];
+    rows.forEach((r, i) => {
+        if (conflicts.some((c) => c.user === r.user && c.code === r.code)) return;
+        const { prev, codeOwner } = state[i];
+        if (r.code && codeOwner !== ethers.ZeroAddress && codeOwner !== r.user) {
+            conflicts.push({ user: r.user, code: r.code, reason: `code taken by ${codeOwner}` });
+        } else if (r.code && prev === r.code) {
+            skipped.push({ user: r.user, code: r.code, reason: "already assigned" });
+        } else if (prev && (!r.code || !overwrite)) {
+            skipped.push({ user: r.user, code: r.code || prev, reason: `has code ${prev}` });
+        } else {
+            const item = { user: r.user, code: r.code, discount: r.discount, prev, generated: !r.code };
+            items.push(item);
+            if (!r.code) pending.push(item);
+        }
+    });
+
+    // 코드 없는 행 → 자동 생성 (입력 코드와도 겹치지 않게)
+    if (pending.length) {
+        const codes = await generateCodes(vesting, { count: pending.length, prefix: opts.prefix, exclude: byCode.keys() });
+        pending.forEach((item, i) => { item.code = codes[i]; });
+    }
+
+    // 해제됐던 코드 재사용 시 이전 할인율이 남아 있는지
+    const stale = await mapLimit(items, 8, (it) => vesting.refDiscountOf(normalizeRefCode(it.code).bytes8));
+    items.forEach((it, i) => {
+        if (stale[i] !== 0n && it.discount == null) {
+            warnings.push(`${it.code}: 이전 할인율 ${stale[i]}%가 남아 있습니다 (discount 컬럼으로 재설정 가능)`);
+        }
+    });
+
+    return { items, skipped, conflicts, warnings };
+}
+
+/**
+ * @notice setReferralCodesBulk 호출 단위로 분할
+ * @param {Array<{user: string, code: string}>} items
+ * @param {number} [batchSize=100]
+ * @returns {Array<{users: string[], codes: string[]}>}
+ */
+function toBulkBatches(items, batchSize = 100) {
+    if (!Number.isInteger(batchSize) || batchSize <= 0) throw new Error(`batchSize가 올바르지 않습니다: ${batchSize}`);
+    const out = [];
+    for (let i = 0; i < items.length; i += batchSize) {
+        const part = items.slice(i, i + batchSize);
+        out.push({ users: part.map((x) => x.user), codes: part.map((x) => x.code) });
+    }
+    return out;
+}
+
+// =============================================================================
+// 조회 / 내보내기
+// =============================================================================
+
+/**
+ * @notice 코드별 owner / discount
+ * @param {import("ethers").Contract} vesting
+ * @param {string[]} codes
+ * @param {{blockTag?: number}} [o]
+ * @returns {Promise<Array<{code: string, owner: string, discount: number}>>}
+ */
+async function readCodes(vesting, codes, o = {}) {
+    return mapLimit(codes, 8, async (c) => {
+        const { code, bytes8 } = normalizeRefCode(c);
+        const [owner, discount] = await Promise.all([
+            vesting.codeToOwner(bytes8, o),
+            vesting.refDiscountOf(bytes8, o),
+        ]);
+        return { code, owner, discount: Number(discount) };
+    });
+}
+
+/**
+ * @notice ReferralCodeAssigned 이벤트로 코드를 배정받은 적 있는 주소 탐색
+ * @param {import("ethers").Contract} vesting
+ * @param {{fromBlock?: number, toBlock?: number, step?: number}} [range]
+ * @returns {Promise<string[]>} 최초 배정 순서
+ */
+async function discoverCodeOwners(vesting, range = {}) {
+    const provider = vesting.runner?.provider ?? vesting.provider;
+    const address = await vesting.getAddress();
+    const toBlock = range.toBlock ?? await provider.getBlockNumber();
+    const fromBlock = range.fromBlock ?? await findDeployBlock(provider, address);
+    const step = range.step ?? 5000;
+    const filter = vesting.filters.ReferralCodeAssigned();
+    const users = new Set();
+    for (let start = fromBlock; start <= toBlock; start += step) {
+        const logs = await vesting.queryFilter(filter, start, Math.min(start + step - 1, toBlock));
+        for (const l of logs) users.add(ethers.getAddress(l.args.user));
+    }
+    return [...users];
+}
+
+/**
+ * @notice 내보내기 행 생성 (모든 조회는 같은 blockTag 기준)
+ * @param {import("ethers").Contract} vesting
+ * @param {object} [opts]
+ * @param {string[]} [opts.users] 대상 주소 (생략 시 이벤트에서 탐색)
+ * @param {number} [opts.fromBlock] 이벤트 조회 시작 블록 (기본: 배포 블록 탐색)
+ * @param {number} [opts.blockTag] 기준 블록 (기본: latest)
+ * @returns {Promise<{block: number, rows: Array<{owner: string, code: string, discount: number, referralUnits: bigint}>}>}
+ *          현재 코드가 없는 주소(덮어쓰기로 해제 등)는 제외
+ */
+async function buildExport(vesting, opts = {}) {
+    const provider = vesting.runner?.provider ?? vesting.provider;
+    const block = opts.blockTag ?? await provider.getBlockNumber();
+    const o = { blockTag: block };
+    const users = opts.users?.length
+        ? opts.users.map((a) => ethers.getAddress(a))
+        : await discoverCodeOwners(vesting, { fromBlock: opts.fromBlock, toBlock: block });
+
+    const rows = await mapLimit(users, 8, async (owner) => {
+        const code = await vesting.referralCodeOf(owner, o);
+        if (BigInt(code) === 0n) return null;
+        const [discount, referralUnits] = await Promise.all([
+            vesting.refDiscountOf(code, o),
+            vesting.referralsOf(owner, o),
+        ]);
+        return { owner, code: codeFromBytes8(code), discount: Number(discount), referralUnits: BigInt(referralUnits) };
+    });
+    return { block, rows: rows.filter(Boolean) };
+}
+
+/**
+ * @notice CSV 문자열 생성 (헤더 포함)
+ * @param {Array<object>} rows buildExport 행
+ * @param {string[]} [columns=EXPORT_COLUMNS]
+ * @returns {string}
+ */
+function toCsv(rows, columns = EXPORT_COLUMNS) {
+    const lines = [columns.join(",")];
+    for (const r of rows) lines.push(columns.map((c) => String(r[c] ?? "")).join(","));
+    return lines.join("\n") + "\n";
+}
+
+module.exports = {
+    CODE_LEN,
+    CODE_ALPHABET,
+    EXPORT_COLUMNS,
+    codeFromBytes8,
+    normalizePrefix,
+    randomCode,
+    generateCodes,
+    parseCodesCsv,
+    parseDiscount,
+    planAssignments,
+    toBulkBatches,
+    readCodes,
+    discoverCodeOwners,
+    buildExport,
+    toCsv,
+};
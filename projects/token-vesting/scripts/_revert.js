@@ -0,0 +1,404 @@
+/**
+ * @fileoverview
+ *  공용 revert 디코더 (scripts / fd-server / fd-client 공용)
+ * @description
+ *  - ethers v6 에러(중첩된 info/error/body/receipt 형태 포함)에서 revert data(hex)를 찾아낸다
+ *  - 주어진 ABI 목록(TokenVesting, WhitelistForwarder, StableCoin, BadgeSBT + OZ 공통 에러)으로 파싱해
+ *    구조화된 결과를 돌려준다
+ *      { kind, name, args, namedArgs, signature, selector, contract, reason, panicCode, data, message, http }
+ *  - kind
+ *      • custom  : 커스텀 에러 (contract = 매칭된 ABI 라벨)
+ *      • error   : require/revert(string) → Error(string), reason = 메시지
+ *      • panic   : assert/산술 오버플로 등 Panic(uint256), panicCode + 설명
+ *      • unknown : revert data 없음/미등록 selector (message = ethers 메시지)
+ *  - http: API 응답용 권장 상태코드 (ERROR_HTTP_STATUS / REASON_HTTP_STATUS 참고)
+ *
+ * 주의:
+ *  - hardhat에 의존하지 않음 (ethers + fs만 사용) → fd-server / fd-client에서도 require 가능
+ *  - 같은 이름의 에러(OwnableUnauthorizedAccount 등)는 ABI 목록 순서상 먼저 매칭된 라벨로 표기
+ *
+ * 사용법:
+ *   const { createRevertDecoder, loadDefaultAbis } = require("./_revert");
+ *   const revert = createRevertDecoder(loadDefaultAbis());
+ *   const r = revert.decode(err); // r.message, r.http ...
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const ERROR_STRING_SELECTOR = "0x08c379a0"; // Error(string)
+const PANIC_SELECTOR = "0x4e487b71"; // Panic(uint256)
+
+/** Panic 코드 설명 (Solidity 문서 기준) */
+const PANIC_CODES = {
+    0x00: "generic compiler panic",
+    0x01: "assert(false)",
+    0x11: "arithmetic overflow/underflow",
+    0x12: "division or modulo by zero",
+    0x21: "invalid enum value",
+    0x22: "corrupted storage byte array",
+    0x31: "pop() on empty array",
+    0x32: "array index out of bounds",
+    0x41: "out of memory / too large allocation",
+    0x51: "call to zero-initialized function",
+};
+
+/**
+ * @notice 프로젝트 ABI에 없을 수 있는 OpenZeppelin 공통 에러 (라벨: OpenZeppelin)
+ */
+const OZ_ERRORS = [
+    "error AddressEmptyCode(address target)",
+    "error FailedCall()",
+    "error FailedDeployment()",
+    "error InsufficientBalance(uint256 balance, uint256 needed)",
+    "error SafeERC20FailedOperation(address token)",
+    "error SafeERC20FailedDecreaseAllowance(address spender, uint256 currentAllowance, uint256 requestedDecrease)",
+    "error ReentrancyGuardReentrantCall()",
+    "error OwnableUnauthorizedAccount(address account)",
+    "error OwnableInvalidOwner(address owner)",
+    "error AccessControlUnauthorizedAccount(address account, bytes32 neededRole)",
+    "error AccessControlBadConfirmation()",
+    "error EnforcedPause()",
+    "error ExpectedPause()",
+    "error InvalidAccountNonce(address account, uint256 currentNonce)",
+    "error ECDSAInvalidSignature()",
+    "error ECDSAInvalidSignatureLength(uint256 length)",
+    "error ECDSAInvalidSignatureS(bytes32 s)",
+    "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+    "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+    "error ERC20InvalidSender(address sender)",
+    "error ERC20InvalidReceiver(address receiver)",
+    "error ERC20InvalidApprover(address approver)",
+    "error ERC20InvalidSpender(address spender)",
+    "error ERC2612ExpiredSignature(uint256 deadline)",
+    "error ERC2612InvalidSigner(address signer, address owner)",
+    "error ERC2771ForwarderInvalidSigner(address signer, address from)",
+    "error ERC2771ForwarderMismatchedValue(uint256 requestedValue, uint256 msgValue)",
+    "error ERC2771ForwarderExpiredRequest(uint48 deadline)",
+    "error ERC2771UntrustfulTarget(address target, address forwarder)",
+    "error SafeCastOverflowedUintDowncast(uint8 bits, uint256 value)",
+    "error StringTooLong(string str)",
+    "error InvalidShortString()",
+];
+
+/**
+ * @notice 커스텀 에러 이름 → 권장 HTTP status
+ * @dev 403: 권한/정책, 409: 상태 충돌(nonce/재진입), 422: 입력 의미 오류, 500: 서버/배포 구성 문제
+ */
+const ERROR_HTTP_STATUS = {
+    // ── 권한/정책
+    NotWhitelisted: 403,
+    SelectorNotAllowed: 403,
+    ERC2771UntrustfulTarget: 403,
+    OwnableUnauthorizedAccount: 403,
+    AccessControlUnauthorizedAccount: 403,
+    NotAdmin: 403,
+    SBT_TransferNotAllowed: 403,
+    SBT_ApprovalNotAllowed: 403,
+    SBT_BurnNotAuthorized: 403,
+    EnforcedPause: 403,
+    // ── 상태 충돌
+    InvalidAccountNonce: 409,
+    ReentrancyGuardReentrantCall: 409,
+    ExpectedPause: 409,
+    // ── 입력 의미 오류
+    InsufficientAfterPriorTransfers: 422,
+    InvalidAddress: 422,
+    InvalidTier: 422,
+    InsufficientBalance: 422,
+    ERC20InsufficientBalance: 422,
+    ERC20InsufficientAllowance: 422,
+    ERC20InvalidSender: 422,
+    ERC20InvalidReceiver: 422,
+    ERC20InvalidApprover: 422,
+    ERC20InvalidSpender: 422,
+    ERC2612ExpiredSignature: 422,
+    ERC2612InvalidSigner: 422,
+    ERC2771ForwarderInvalidSigner: 422,
+    ERC2771ForwarderMismatchedValue: 422,
+    ERC2771ForwarderExpiredRequest: 422,
+    ECDSAInvalidSignature: 422,
+    ECDSAInvalidSignatureLength: 422,
+    ECDSAInvalidSignatureS: 422,
+    ERC721IncorrectOwner: 422,
+    ERC721InsufficientApproval: 422,
+    ERC721InvalidApprover: 422,
+    ERC721InvalidOperator: 422,
+    ERC721InvalidOwner: 422,
+    ERC721InvalidReceiver: 422,
+    ERC721InvalidSender: 422,
+    ERC721NonexistentToken: 422,
+    OwnableInvalidOwner: 422,
+    SafeERC20FailedDecreaseAllowance: 422,
+    StringTooLong: 422,
+    InvalidShortString: 422,
+    SafeCastOverflowedUintDowncast: 422,
+    AccessControlBadConfirmation: 422,
+    // ── 서버/배포 구성 문제
+    StableCoinTransferFailed: 500,
+    SafeERC20FailedOperation: 500,
+    ResolverNotSet: 500,
+    FailedCall: 500,
+    FailedDeployment: 500,
+    AddressEmptyCode: 500,
+};
+
+/**
+ * @notice require(string) 메시지 → 권장 HTTP status (TokenVesting 기준)
+ */
+const REASON_HTTP_STATUS = {
+    // 입력 의미 오류
+    "box=0": 422,
+    "self referral": 422,
+    "ref len!=8": 422,
+    "ref invalid char": 422,
+    "referral code not found": 422,
+    "Referral is not exist": 422,
+    "The amount to be paid is incorrect.": 422,
+    "non-monotonic effDay": 422,
+    "invalid address": 422,
+    "invalid length": 422,
+    "invalid to": 422,
+    "invalid token": 422,
+    "invalid sbt": 422,
+    "invalid StableCoin": 422,
+    "len mismatch": 422,
+    "limit=0": 422,
+    "out of range": 422,
+    "end<=start": 422,
+    "not increasing": 422,
+    "empty": 422,
+    "same": 422,
+    "same addr": 422,
+    "zero": 422,
+    "zero addr": 422,
+    "zero buyer": 422,
+    "zero code": 422,
+    "zero user": 422,
+    // 상태 충돌 (지금은 불가, 상태가 바뀌면 가능)
+    "not started": 409,
+    "vesting ended": 409,
+    "no schedule": 409,
+    "schedule inited": 409,
+    "day finalized": 409,
+    "code taken": 409,
+    "has code": 409,
+    "no code": 409,
+    "nothing": 409,
+    "nothing to claim": 409,
+    "nothing to sync": 409,
+    "nothing to withdraw": 409,
+    "not withdraw yet": 409,
+    "recipient not set": 409,
+    "token not set": 409,
+    // 서버/배포 구성 문제
+    "xfer failed": 500,
+};
+
+/**
+ * @notice artifacts 디렉토리에서 기본 ABI 목록을 읽는다 (없는 파일은 건너뜀)
+ * @param {string} [artifactsDir] 기본: <token-vesting>/artifacts/contracts
+ * @returns {Array<[string, import('ethers').InterfaceAbi]>} [라벨, ABI] 배열 (디코딩 우선순위 순)
+ */
+function loadDefaultAbis(artifactsDir = path.resolve(__dirname, "..", "artifacts", "contracts")) {
+    const files = [
+        ["WhitelistForwarder", "Forwarder.sol/WhitelistForwarder.json"],
+        ["TokenVesting", "TokenVesting.sol/TokenVesting.json"],
+        ["StableCoin", "StableCoin.sol/StableCoin.json"],
+        ["BadgeSBT", "BadgeSBT.sol/BadgeSBT.json"],
+    ];
+    const out = [];
+    for (const [label, rel] of files) {
+        const p = path.join(artifactsDir, rel);
+        if (!fs.existsSync(p)) continue;
+        const j = JSON.parse(fs.readFileSync(p, "utf8"));
+        if (Array.isArray(j.abi)) out.push([label, j.abi]);
+    }
+    return out;
+}
+
+/**
+ * @notice hex 문자열 판별 (selector 이상 길이)
+ */
+function isRevertHex(v) {
+    return typeof v === "string" && /^0x[0-9a-fA-F]*$/.test(v) && v.length >= 10 && v.length % 2 === 0;
+}
+
+/**
+ * @notice 에러 객체에서 revert data(hex)를 찾는다
+ * @dev ethers v6 CallException(data), JSON-RPC 에러(info.error.data[.data]), Hardhat HttpProvider(error.body),
+ *      tx 영수증(receipt.revertReason), 메시지 문자열("return data: 0x...") 순으로 탐색
+ * @param {unknown} err
+ * @returns {string|null}
+ */
+function extractRevertData(err) {
+    const seen = new Set();
+    const queue = [err];
+    while (queue.length) {
+        const cur = queue.shift();
+        if (!cur || typeof cur !== "object" || seen.has(cur)) continue;
+        seen.add(cur);
+
+        for (const key of ["data", "revertData", "revertReason"]) {
+            const v = cur[key];
+            if (isRevertHex(v)) return v;
+            if (v instanceof Uint8Array && v.length >= 4) return ethers.hexlify(v);
+            if (v && typeof v === "object") queue.push(v);
+        }
+        if (typeof cur.body === "string") {
+            try { queue.push(JSON.parse(cur.body)); } catch { /* body가 JSON이 아님 */ }
+        }
+        for (const key of ["error", "info", "receipt", "cause"]) {
+            if (cur[key] && typeof cur[key] === "object") queue.push(cur[key]);
+        }
+    }
+    const msg = String(err?.message || "");
+    const m = msg.match(/(?:return data|revert data|data)[:=]\s*"?(0x[0-9a-fA-F]{8,})/);
+    return m && isRevertHex(m[1]) ? m[1] : null;
+}
+
+/**
+ * @notice 값 → 사람이 읽을 문자열 (BigInt/Result 배열 대응)
+ */
+function stringifyArg(v) {
+    if (typeof v === "bigint") return v.toString();
+    if (Array.isArray(v)) return `[${Array.from(v).map(stringifyArg).join(", ")}]`;
+    return String(v);
+}
+
+/**
+ * @notice revert 디코더 생성
+ * @param {Array<[string, import('ethers').InterfaceAbi]>|Object<string, import('ethers').InterfaceAbi>} abis
+ *        [라벨, ABI] 배열 또는 { 라벨: ABI } (앞쪽이 우선)
+ * @param {object} [opts]
+ * @param {boolean} [opts.includeOz=true] OZ 공통 에러 ABI를 마지막 순위로 추가
+ * @param {number} [opts.defaultHttp=400] 매핑이 없을 때의 HTTP status
+ * @returns {{ decode: (err: unknown) => object, decodeData: (hex: string) => object|null, format: (r: object) => string }}
+ */
+function createRevertDecoder(abis = [], opts = {}) {
+    const { includeOz = true, defaultHttp = 400 } = opts;
+    const list = Array.isArray(abis) ? abis : Object.entries(abis);
+    // Interface 인스턴스(다른 ethers 사본 포함)는 JSON으로 변환해 이 모듈의 ethers로 다시 만든다
+    const ifaces = list.map(([label, abi]) => [label, new ethers.Interface(typeof abi?.formatJson === "function" ? abi.formatJson() : abi)]);
+    if (includeOz) ifaces.push(["OpenZeppelin", new ethers.Interface(OZ_ERRORS)]);
+    const coder = ethers.AbiCoder.defaultAbiCoder();
+
+    const httpOf = (r) => {
+        if (r.kind === "custom") return ERROR_HTTP_STATUS[r.name] ?? defaultHttp;
+        if (r.kind === "error") return REASON_HTTP_STATUS[r.reason] ?? defaultHttp;
+        if (r.kind === "panic") return 500;
+        return defaultHttp;
+    };
+
+    /**
+     * @notice 결과 → 한 줄 문자열
+     *  - custom: "Contract.Name(arg1, arg2)"
+     *  - error : reason 문자열 그대로 (e.g. "box=0")
+     *  - panic : "Panic(0x11: arithmetic overflow/underflow)"
+     */
+    function format(r) {
+        if (r.kind === "custom") return `${r.contract ? `${r.contract}.` : ""}${r.name}(${r.args.join(", ")})`;
+        if (r.kind === "error") return r.reason;
+        if (r.kind === "panic") return `Panic(0x${r.panicCode.toString(16).padStart(2, "0")}: ${r.reason})`;
+        return r.message;
+    }
+
+    const finish = (r) => {
+        r.http = httpOf(r);
+        r.message = format(r);
+        return r;
+    };
+
+    /**
+     * @notice raw revert data 디코딩
+     * @param {string} data hex
+     * @returns {object|null} 구조화 결과 (data가 없으면 null)
+     */
+    function decodeData(data) {
+        if (!isRevertHex(data)) return null;
+        const selector = data.slice(0, 10).toLowerCase();
+        const base = {
+            kind: "unknown", name: null, args: [], namedArgs: {}, signature: null,
+            selector, contract: null, reason: null, panicCode: null, data,
+        };
+
+        if (selector === ERROR_STRING_SELECTOR) {
+            try {
+                const [reason] = coder.decode(["string"], ethers.dataSlice(data, 4));
+                return finish({ ...base, kind: "error", name: "Error", args: [reason], namedArgs: { message: reason },
+                    signature: "Error(string)", reason });
+            } catch { /* 잘린 데이터 → unknown */ }
+        }
+        if (selector === PANIC_SELECTOR) {
+            try {
+                const [code] = coder.decode(["uint256"], ethers.dataSlice(data, 4));
+                const panicCode = Number(code);
+                return finish({ ...base, kind: "panic", name: "Panic", args: [code.toString()], namedArgs: { code: code.toString() },
+                    signature: "Panic(uint256)", panicCode, reason: PANIC_CODES[panicCode] || "unknown panic code" });
+            } catch { /* 잘린 데이터 → unknown */ }
+        }
+
+        for (const [label, iface] of ifaces) {
+            let parsed = null;
+            try { parsed = iface.parseError(data); } catch { /* 다음 ABI */ }
+            if (!parsed?.name) continue;
+            const args = Array.from(parsed.args || []).map(stringifyArg);
+            const namedArgs = {};
+            parsed.fragment.inputs.forEach((inp, i) => { namedArgs[inp.name || String(i)] = args[i]; });
+            return finish({ ...base, kind: "custom", name: parsed.name, args, namedArgs,
+                signature: parsed.signature, contract: label });
+        }
+        return finish({ ...base, message: `unknown custom error ${selector}` });
+    }
+
+    /**
+     * @notice 임의의 에러 객체 디코딩
+     * @param {unknown} err ethers v6 / Hardhat / JSON-RPC 에러
+     * @returns {object} 구조화 결과 (항상 반환, 해석 불가 시 kind = 'unknown')
+     */
+    function decode(err) {
+        const fromData = decodeData(extractRevertData(err));
+        if (fromData && fromData.kind !== "unknown") return fromData;
+
+        // revert data 없이 ethers가 이미 해석한 경우 (e.revert / e.reason)
+        const base = {
+            kind: "unknown", name: null, args: [], namedArgs: {}, signature: null,
+            selector: fromData?.selector ?? null, contract: null, reason: null, panicCode: null, data: fromData?.data ?? null,
+        };
+        if (err?.revert?.name) {
+            const args = Array.from(err.revert.args || []).map(stringifyArg);
+            if (err.revert.name === "Error") return finish({ ...base, kind: "error", name: "Error", args, reason: args[0] });
+            return finish({ ...base, kind: "custom", name: err.revert.name, args, signature: err.revert.signature, contract: null });
+        }
+        const msg = String(err?.shortMessage || err?.message || "");
+        const m1 = msg.match(/reverted with reason string '([^']*)'/) || msg.match(/execution reverted: "([^"]*)"/);
+        if (m1) return finish({ ...base, kind: "error", name: "Error", args: [m1[1]], reason: m1[1] });
+        const m2 = msg.match(/reverted with custom error '([A-Za-z0-9_]+)\((.*)\)'/);
+        if (m2) {
+            const args = m2[2] ? m2[2].split(",").map((s) => s.trim().replace(/^"|"$/g, "")) : [];
+            return finish({ ...base, kind: "custom", name: m2[1], args, signature: null, contract: null });
+        }
+        const m3 = msg.match(/reverted with panic code (0x[0-9a-fA-F]+)/);
+        if (m3) {
+            const panicCode = Number(m3[1]);
+            return finish({ ...base, kind: "panic", name: "Panic", args: [String(panicCode)], panicCode,
+                reason: PANIC_CODES[panicCode] || "unknown panic code" });
+        }
+        if (fromData) return fromData;
+        return finish({ ...base, message: msg || String(err ?? "execution failed") });
+    }
+
+    return { decode, decodeData, format };
+}
+
+module.exports = {
+    ERROR_HTTP_STATUS,
+    REASON_HTTP_STATUS,
+    PANIC_CODES,
+    OZ_ERRORS,
+    loadDefaultAbis,
+    extractRevertData,
+    createRevertDecoder,
+};
@@ -0,0 +1,280 @@
+/**
+ * @fileoverview
+ *  베스팅 스케줄 플래너 (initializeSchedule 인자 / 일일 풀 / Token 펀딩량 산출)
+ * @description
+ *  - createPlan   : 시작일 + 연차 수(또는 사용자 정의 구간) + 구간별 총량 → 리뷰용 plan 객체
+ *      • 시작 시각은 UTC 자정이어야 함 (일 인덱스 = (ts - start) / 86400)
+ *      • 각 구간 종료(poolEnds[i])는 "다음 구간 시작 자정 - 1초" (inclusive)
+ *        → _termDays = (end - start) / 86400 + 1 이 정확히 구간 일수가 됨
+ *      • 연차 단위는 달력 기준(같은 월/일)이라 윤년(2/29 포함 구간)은 366일
+ *        (2/29 시작이면 다음 해 3/1 자정에 경계)
+ *  - 일일 풀(rewardPerBox 산정 전 총액) = total / termDays, 구간 마지막 날은 잔여 보정
+ *    (TokenVesting._dailyPoolRawByTs와 동일) → 구간별 일일 풀 합 = 구간 총량
+ *  - funding      : TokenVesting이 지급할 수 있는 최대량 = Σ buyerTotals + Σ refTotals (18dec 원값)
+ *                   (판매 0인 날의 풀은 지급되지 않고, 클레임은 6자리 절삭되므로 실제 지급은 이하)
+ *  - validatePlan : initializeSchedule require 조건 + 자정 정렬 + 재계산 일치 검사
+ *
+ * plan 구조 (JSON 직렬화 시 bigint → 문자열):
+ *   {
+ *     version: 1, decimals: 18,
+ *     start: { ts, date },
+ *     periods: [{ index, startTs, endTs, firstDate, lastDate, termDays, fromDay, toDay,
+ *                 buyerTotal, refTotal, buyerDaily, buyerLastDay, refDaily, refLastDay }],
+ *     initializeSchedule: { poolEnds: [...], buyerTotals: [...], refTotals: [...] },
+ *     funding: { buyerSum, refSum, total },
+ *     days?: [{ day, date, period, buyerPool, refPool }]   // includeDays 옵션
+ *   }
+ *
+ * 주의:
+ *  - 이 모듈은 hardhat에 의존하지 않음 (순수 계산)
+ *  - initializeSchedule은 한 번만 호출 가능 → 배포 전에 plan 파일을 리뷰하고 deployContract.js(VEST_PLAN_FILE)로 사용
+ *
+ * @author hlibbc
+ */
+const { ethers } = require("ethers");
+
+const DAY = 86400n;
+
+// =============================================================================
+// 날짜 유틸 (UTC)
+// =============================================================================
+
+/**
+ * @notice 날짜 입력 → epoch 초 (bigint)
+ * @param {string|number|bigint} v "YYYY-MM-DD"(UTC 자정) 또는 epoch 초
+ * @returns {bigint}
+ */
+function toTs(v) {
+    if (typeof v === "bigint") return v;
+    if (typeof v === "number" || /^\d+$/.test(String(v))) return BigInt(v);
+    const ms = Date.parse(`${v}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(v)) || !Number.isFinite(ms)) {
+        throw new Error(`잘못된 날짜 형식입니다 (YYYY-MM-DD 또는 epoch 초): ${v}`);
+    }
+    return BigInt(ms / 1000);
+}
+
+/**
+ * @notice epoch 초 → "YYYY-MM-DD" (UTC)
+ */
+function dateOf(ts) {
+    return new Date(Number(ts) * 1000).toISOString().slice(0, 10);
+}
+
+/**
+ * @notice ts로부터 n년 뒤 같은 월/일 UTC 자정 (2/29 → 다음 해 3/1)
+ */
+function addYears(ts, n) {
+    const d = new Date(Number(ts) * 1000);
+    return BigInt(Date.UTC(d.getUTCFullYear() + n, d.getUTCMonth(), d.getUTCDate()) / 1000);
+}
+
+/**
+ * @notice 토큰 수량 입력 → 18dec(또는 decimals) 원값
+ * @param {string|number|bigint} v 토큰 "개수" (콤마/언더스코어/공백 허용, 소수 허용) 또는 { wei: "..." }
+ */
+function toUnits(v, decimals) {
+    if (v && typeof v === "object" && v.wei != null) return BigInt(v.wei);
+    const s = String(v ?? "0").trim().replace(/[,_\s]/g, "") || "0";
+    try {
+        return ethers.parseUnits(s, decimals);
+    } catch {
+        throw new Error(`잘못된 수량입니다: ${v}`);
+    }
+}
+
+// =============================================================================
+// 계획 생성
+// =============================================================================
+
+/**
+ * @notice 구간 경계(다음 구간 시작 자정) 계산
+ * @param {bigint} startTs
+ * @param {{ years?: number, periods?: Array<{days?: number, lastDate?: string}> }} spec
+ * @returns {bigint[]} 각 구간의 "다음 시작 자정" (exclusive end)
+ */
+function periodBounds(startTs, { years, periods }) {
+    if (periods?.length) {
+        const out = [];
+        let cur = startTs;
+        periods.forEach((p, i) => {
+            let next;
+            if (p.days != null) {
+                if (!(Number.isInteger(Number(p.days)) && Number(p.days) > 0)) throw new Error(`periods[${i}].days는 양의 정수여야 합니다.`);
+                next = cur + BigInt(p.days) * DAY;
+            } else if (p.lastDate != null) {
+                next = toTs(p.lastDate) + DAY;
+            } else {
+                throw new Error(`periods[${i}]: days 또는 lastDate가 필요합니다.`);
+            }
+            if (next <= cur) throw new Error(`periods[${i}]: 구간이 비어 있습니다 (${dateOf(cur)} ~ ${dateOf(next - DAY)}).`);
+            out.push(next);
+            cur = next;
+        });
+        return out;
+    }
+    const n = Number(years);
+    if (!Number.isInteger(n) || n <= 0) throw new Error("years(양의 정수) 또는 periods가 필요합니다.");
+    return Array.from({ length: n }, (_, i) => addYears(startTs, i + 1));
+}
+
+/**
+ * @notice 구간 일일 풀 (_dailyPoolRawByTs): [평상일, 마지막 날]
+ */
+function dailySplit(total, termDays) {
+    const base = total / termDays;
+    return [base, total - base * (termDays - 1n)];
+}
+
+/**
+ * @notice 스케줄 계획 생성
+ * @param {object} spec
+ * @param {string|number|bigint} spec.start 시작일 ("YYYY-MM-DD" 또는 UTC 자정 epoch 초)
+ * @param {number} [spec.years] 연차 수 (periods와 택1)
+ * @param {Array<{days?: number, lastDate?: string}>} [spec.periods] 사용자 정의 구간 (lastDate는 포함)
+ * @param {Array<string|number>} spec.buyerTotals 구간별 구매자 풀 총량 (토큰 개수)
+ * @param {Array<string|number>} spec.refTotals 구간별 추천인 풀 총량 (토큰 개수, 생략 시 0)
+ * @param {number} [spec.decimals] 기본 18 (TokenVesting 풀 단위)
+ * @param {object} [opts]
+ * @param {boolean} [opts.includeDays] 일자별 풀 목록 포함
+ * @returns {object} plan
+ */
+function createPlan(spec, opts = {}) {
+    const decimals = spec.decimals ?? 18;
+    const startTs = toTs(spec.start);
+    if (startTs % DAY !== 0n) throw new Error(`시작 시각은 UTC 자정이어야 합니다: ${startTs} (${new Date(Number(startTs) * 1000).toISOString()})`);
+
+    const bounds = periodBounds(startTs, spec);
+    const n = bounds.length;
+    const buyer = spec.buyerTotals ?? [];
+    const ref = spec.refTotals ?? [];
+    if (buyer.length !== n) throw new Error(`buyerTotals 길이(${buyer.length})가 구간 수(${n})와 다릅니다.`);
+    if (ref.length !== 0 && ref.length !== n) throw new Error(`refTotals 길이(${ref.length})가 구간 수(${n})와 다릅니다.`);
+
+    const periods = [];
+    let cur = startTs;
+    bounds.forEach((next, index) => {
+        const termDays = (next - cur) / DAY;
+        const buyerTotal = toUnits(buyer[index], decimals);
+        const refTotal = toUnits(ref[index] ?? 0, decimals);
+        const [buyerDaily, buyerLastDay] = dailySplit(buyerTotal, termDays);
+        const [refDaily, refLastDay] = dailySplit(refTotal, termDays);
+        periods.push({
+            index,
+            startTs: cur,
+            endTs: next - 1n,
+            firstDate: dateOf(cur),
+            lastDate: dateOf(next - DAY),
+            termDays,
+            fromDay: (cur - startTs) / DAY,
+            toDay: (next - startTs) / DAY - 1n,
+            buyerTotal,
+            refTotal,
+            buyerDaily,
+            buyerLastDay,
+            refDaily,
+            refLastDay,
+        });
+        cur = next;
+    });
+
+    const buyerSum = periods.reduce((a, p) => a + p.buyerTotal, 0n);
+    const refSum = periods.reduce((a, p) => a + p.refTotal, 0n);
+    const plan = {
+        version: 1,
+        decimals,
+        start: { ts: startTs, date: dateOf(startTs) },
+        periods,
+        initializeSchedule: {
+            poolEnds: periods.map((p) => p.endTs),
+            buyerTotals: periods.map((p) => p.buyerTotal),
+            refTotals: periods.map((p) => p.refTotal),
+        },
+        funding: { buyerSum, refSum, total: buyerSum + refSum },
+    };
+    if (opts.includeDays) plan.days = dailyBudgets(plan);
+    return plan;
+}
+
+/**
+ * @notice 일자별 풀 목록 (day index / 날짜 / 구간 / 구매자·추천인 일일 풀)
+ */
+function dailyBudgets(plan) {
+    const out = [];
+    for (const p of plan.periods) {
+        for (let d = p.fromDay; d <= p.toDay; d++) {
+            const last = d === p.toDay;
+            out.push({
+                day: d,
+                date: dateOf(plan.start.ts + d * DAY),
+                period: p.index,
+                buyerPool: last ? p.buyerLastDay : p.buyerDaily,
+                refPool: last ? p.refLastDay : p.refDaily,
+            });
+        }
+    }
+    return out;
+}
+
+// =============================================================================
+// 검증 / 직렬화
+// =============================================================================
+
+/**
+ * @notice plan(JSON 로드본 포함) 정규화 + 검증
+ * @param {object} raw plan 또는 JSON.parse 결과
+ * @returns {{ startTs: bigint, poolEnds: bigint[], buyerTotals: bigint[], refTotals: bigint[], fundingTotal: bigint, plan: object }}
+ * @throws {Error} initializeSchedule revert 조건 / 자정 정렬 / 구간·펀딩 재계산 불일치
+ */
+function validatePlan(raw) {
+    const startTs = BigInt(raw?.start?.ts ?? NaN);
+    const s = raw?.initializeSchedule ?? {};
+    const poolEnds = (s.poolEnds ?? []).map(BigInt);
+    const buyerTotals = (s.buyerTotals ?? []).map(BigInt);
+    const refTotals = (s.refTotals ?? []).map(BigInt);
+
+    if (!poolEnds.length) throw new Error("plan: poolEnds가 비어 있습니다 (empty).");
+    if (poolEnds.length !== buyerTotals.length || poolEnds.length !== refTotals.length) throw new Error("plan: 배열 길이가 다릅니다 (len mismatch).");
+    if (startTs % DAY !== 0n) throw new Error(`plan: 시작 시각이 UTC 자정이 아닙니다: ${startTs}`);
+    poolEnds.forEach((e, i) => {
+        if (e <= startTs) throw new Error(`plan: poolEnds[${i}] <= start (end<=start).`);
+        if (i > 0 && e <= poolEnds[i - 1]) throw new Error(`plan: poolEnds[${i}]가 증가하지 않습니다 (not increasing).`);
+        if ((e + 1n) % DAY !== 0n) throw new Error(`plan: poolEnds[${i}]=${e}는 UTC 자정 - 1초(23:59:59)여야 합니다.`);
+    });
+
+    // 재계산 일치 (직접 수정된 plan 파일 방지)
+    const re = createPlan({
+        start: startTs,
+        periods: poolEnds.map((e) => ({ lastDate: dateOf(e + 1n - DAY) })),
+        buyerTotals: buyerTotals.map((w) => ({ wei: w })),
+        refTotals: refTotals.map((w) => ({ wei: w })),
+        decimals: raw.decimals ?? 18,
+    });
+    const fundingTotal = re.funding.total;
+    if (raw.funding?.total != null && BigInt(raw.funding.total) !== fundingTotal) {
+        throw new Error(`plan: funding.total(${raw.funding.total})이 풀 합계(${fundingTotal})와 다릅니다.`);
+    }
+    (raw.periods ?? []).forEach((p, i) => {
+        if (p.termDays != null && BigInt(p.termDays) !== re.periods[i]?.termDays) {
+            throw new Error(`plan: periods[${i}].termDays(${p.termDays})가 재계산값(${re.periods[i]?.termDays})과 다릅니다.`);
+        }
+    });
+    return { startTs, poolEnds, buyerTotals, refTotals, fundingTotal, plan: re };
+}
+
+/**
+ * @notice bigint → 문자열 (plan 파일 저장용)
+ */
+function planToJSON(plan) {
+    return JSON.parse(JSON.stringify(plan, (_k, v) => (typeof v === "bigint" ? v.toString() : v)));
+}
+
+module.exports = {
+    DAY,
+    toTs,
+    dateOf,
+    createPlan,
+    dailyBudgets,
+    validatePlan,
+    planToJSON,
+};
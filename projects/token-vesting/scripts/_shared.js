@@ -5,10 +5,13 @@
  * 
  * 주요 기능:
  *   - 명령행 인수 처리 및 주소 검증
- *   - 배포 정보 파일 로드 및 정규화
+ *   - 배포 정보 로드 (배포 레지스트리, _deployments.js)
+ *   - 역할별 서명자 로드 (key / keystore / offline, _signer.js 래핑)
  *   - 스마트 컨트랙트 인스턴스 생성 및 연결
  *   - 공통 유틸리티 함수들
- *   - 가스/수수료 로깅 및 집계 유틸
+ *   - 가스/수수료 로깅 및 집계 유틸 (GAS_REPORT 지정 시 리포트 파일에 병합 기록, _gasBaseline.js)
+ *   - revert 해석/출력 (_revert.js 래핑)
+ *   - 위임대납 selector 추출 (buyBox / 클레임 / sendBox, _forwardRequest.js)
  * 
  * 사용법:
  *   const { pickAddressArg, attachVestingWithEthers, withGasLog, printGasSummary } = require("./_shared");
@@ -16,10 +19,14 @@
  * @author hlibbc
  */
 
-const fs = require("fs");
 const path = require("path");
 const hre = require("hardhat");
 const { ethers } = hre;
+const Revert = require("./_revert");
+const Deployments = require("./_deployments");
+const Signer = require("./_signer");
+const GasBaseline = require("./_gasBaseline");
+const ForwardRequest = require("./_forwardRequest");
 
 // =============================================================================
 // 명령행 인수 처리 함수들
@@ -66,57 +73,24 @@ function pickAddressArg() {
 // =============================================================================
 
 /**
- * @notice deployment-info.json 파일을 로드하고 현재 파일 구조에 맞게 정규화하는 함수
- * @param {string} file - 배포 정보 파일 경로 (기본값: output/deployment-info.json)
- * @returns {Object} 정규화된 배포 정보 객체
- * @throws {Error} 파일이 없거나 필수 정보가 누락된 경우
- * 
+ * @notice 현재 네트워크(chainId)의 배포 정보를 레지스트리(deployments/<chainId>.json)에서 로드
+ * @param {import("ethers").Provider} [provider] chainId 조회용 (기본값: hardhat 네트워크 provider)
+ * @returns {Promise<Object>} 정규화된 배포 정보 객체 (_deployments.js deploymentOf 참고)
+ * @throws {Error} 해당 체인에 TokenVesting 배포 기록이 없는 경우
+ *
  * 반환 객체 구조:
+ *   - chainId: 체인 ID (문자열)
  *   - vesting: TokenVesting 컨트랙트 주소
  *   - sbt: BadgeSBT 컨트랙트 주소 (선택)
  *   - stableCoin: StableCoin 컨트랙트 주소 (선택)
  *   - startTs: 시작 타임스탬프 (BigInt)
+ *   - schedule: { ends, buyerTotals, refTotals } (선택)
  *   - forwarder: 메타트랜잭션 포워더 주소 (선택)
- *   - network: 네트워크 정보 (선택)
- *   - raw: 원본 JSON 객체
+ *   - network: 네트워크 이름
+ *   - raw: 레지스트리 원본 문서
  */
-function loadDeployment(file = path.join(__dirname, "output", "deployment-info.json")) {
-    if (!fs.existsSync(file)) {
-        throw new Error(`deployment-info.json이 없습니다: ${file}`);
-    }
-    const obj = JSON.parse(fs.readFileSync(file, "utf8"));
-    const c = obj.contracts || {};
-
-    // 현재 JSON 키에 맞게 컨트랙트 주소 추출 (다양한 키 이름 대응)
-    const vesting =
-        c.vesting ||
-        c.tokenVesting ||
-        c.TokenVesting;
-
-    const sbt =
-        c.sbt ||
-        c.badgeSBT ||
-        c.BadgeSBT;
-
-    const stableCoin =
-        c.stableCoin ||
-        c.StableCoin ||
-        c.usdt ||
-        c.USDT;
-
-    if (!vesting) {
-        throw new Error("deployment-info.json에 contracts.tokenVesting 주소가 없습니다.");
-    }
-
-    return {
-        vesting,
-        sbt,
-        stableCoin,
-        startTs: obj.startTs ? BigInt(obj.startTs) : undefined,
-        forwarder: obj.forwarder,
-        network: obj.network,
-        raw: obj,
-    };
+async function loadDeployment(provider = ethers.provider) {
+    return Deployments.loadDeployment(provider);
 }
 
 // =============================================================================
@@ -135,7 +109,7 @@ function loadDeployment(file = path.join(__dirname, "output", "deployment-info.j
  *   - ethers: ethers 라이브러리 객체
  */
 async function attachContracts() {
-    const d = loadDeployment();
+    const d = await loadDeployment();
     const vesting = await ethers.getContractAt("TokenVesting", d.vesting);
     const sbt = d.sbt ? await ethers.getContractAt("BadgeSBT", d.sbt) : null;
     const stable = d.stableCoin ? await ethers.getContractAt("StableCoin", d.stableCoin) : null;
@@ -156,6 +130,74 @@ async function attachVestingWithEthers() {
     return { d, vesting, ethers };
 }
 
+// =============================================================================
+// 서명자
+// =============================================================================
+
+const LOCAL_NETWORKS = ["localhost", "hardhat", "development"];
+
+let callIfaces = null;
+
+/**
+ * @notice offline 기록용 호출 설명 (artifacts ABI로 함수/인자 디코드, 실패 시 undefined)
+ * @param {{to: string, data: string}} tx
+ * @returns {string|undefined}
+ */
+function describeCall(tx) {
+    if (!callIfaces) {
+        const abis = Revert.loadDefaultAbis();
+        try {
+            abis.push(["BadgeSbtTierUriResolver", hre.artifacts.readArtifactSync("BadgeSbtTierUriResolver").abi]);
+        } catch { /* 아티팩트 없음 */ }
+        callIfaces = abis.map(([name, abi]) => [name, new ethers.Interface(abi)]);
+    }
+    for (const [name, iface] of callIfaces) {
+        try {
+            const p = iface.parseTransaction({ data: tx.data });
+            if (p) return `${name}.${p.name}(${p.args.map((a) => String(a)).join(", ")}) @ ${tx.to}`;
+        } catch { /* 다음 ABI */ }
+    }
+    return undefined;
+}
+
+/**
+ * @notice 역할별 서명자 로드 (_signer.js: OWNER_SIGNER=key|keystore|offline ...)
+ * @param {"owner"|"user"|"ref"} [role="owner"]
+ * @param {object} [opts]
+ * @param {import("ethers").Provider} [opts.provider] 기본: development면 hardhat provider, 아니면 PROVIDER_URL
+ * @param {number} [opts.devIndex] development 네트워크에서 <P>_SIGNER 미지정 시 getSigners()[devIndex] 사용
+ * @param {boolean} [opts.offline=true] false면 offline 백엔드 거부 (컨트랙트 배포 / 영수증 기반 재개 로직)
+ * @returns {Promise<import("ethers").Signer>}
+ * @throws 설정이 없으면 "❌ .env에 <키 변수>를 설정하세요."
+ *
+ * 사용법:
+ *   const owner = await getSigner("owner", { devIndex: 0 });
+ *   const user  = await getSigner("user", { provider, offline: false });
+ */
+async function getSigner(role = "owner", opts = {}) {
+    const { prefix, keyEnv } = Signer.ROLES[role] ?? {};
+    if (hre.network.name === "development" && opts.devIndex != null && !process.env[`${prefix}_SIGNER`]) {
+        return (await ethers.getSigners())[opts.devIndex];
+    }
+    const provider = opts.provider ?? (hre.network.name === "development"
+        ? ethers.provider
+        : new ethers.JsonRpcProvider(process.env.PROVIDER_URL || "http://localhost:8545"));
+    const signer = await Signer.loadSigner(role, { provider, offline: opts.offline, describe: describeCall });
+    if (!signer) throw new Error(`❌ .env에 ${keyEnv}를 설정하세요. (또는 ${prefix}_SIGNER=keystore|offline)`);
+    return signer;
+}
+
+/**
+ * @notice 로그용 서명자 설명 (예: "OWNER_KEY 사용", "keystore ops.json", "offline(safe) 0x...")
+ * @param {"owner"|"user"|"ref"} [role="owner"]
+ * @returns {string}
+ */
+function signerLabel(role = "owner") {
+    const cfg = Signer.signerConfig(role);
+    if (!cfg.backend && LOCAL_NETWORKS.includes(hre.network.name)) return "로컬 signer";
+    return Signer.describeConfig(cfg);
+}
+
 // =============================================================================
 // 가스/수수료 로깅 유틸
 // =============================================================================
@@ -192,22 +234,25 @@ function logGas(prefix, tx, receipt) {
 }
 
 /**
- * @notice 누적 집계 객체에 가스/수수료를 더함 (버킷은 필요 시 자동 생성)
- * @param {Record<string, {gas: bigint, fee: bigint}>} totals
+ * @notice 누적 집계 객체에 가스/수수료/건수를 더함 (버킷은 필요 시 자동 생성)
+ * @param {Record<string, {gas: bigint, fee: bigint, count: number}>} totals
  * @param {string} bucket
  * @param {import("ethers").TransactionResponse} tx
  * @param {import("ethers").TransactionReceipt} receipt
  */
 function addGasTotals(totals, bucket, tx, receipt) {
     const gi = gasInfo(tx, receipt);
-    totals[bucket] ??= { gas: 0n, fee: 0n };
+    totals[bucket] ??= { gas: 0n, fee: 0n, count: 0 };
     totals[bucket].gas += gi.gasUsed;
     totals[bucket].fee += gi.feeWei;
+    totals[bucket].count = (totals[bucket].count ?? 0) + 1;
 }
 
 /**
  * @notice 가스/수수료 요약 출력 (order 제공 시 해당 순서로, 없으면 키 사전순)
- * @param {Record<string, {gas: bigint, fee: bigint}>} totals
+ * @dev 환경변수 GAS_REPORT=<파일> 이면 집계를 리포트 scripts 섹션에 병합 기록
+ *      (항목 이름: GAS_REPORT_NAME, 없으면 실행 중인 스크립트 파일명)
+ * @param {Record<string, {gas: bigint, fee: bigint, count?: number}>} totals
  * @param {string[]=} order
  */
 function printGasSummary(totals, order) {
@@ -220,6 +265,13 @@ function printGasSummary(totals, order) {
         console.log(`[gas:summary] ${k.padEnd(8)} gas=${v.gas} fee=${ethers.formatEther(v.fee)} ETH`);
     }
     console.log(`[gas:summary] TOTAL     fee=${ethers.formatEther(sumFee)} ETH`);
+
+    const reportFile = process.env.GAS_REPORT;
+    if (reportFile && entries.length) {
+        const name = process.env.GAS_REPORT_NAME || path.basename(process.argv[1] ?? "script", ".js");
+        GasBaseline.recordScriptTotals(reportFile, name, Object.fromEntries(entries));
+        console.log(`[gas:summary] 리포트 기록: ${reportFile} (${name})`);
+    }
 }
 
 /**
@@ -233,6 +285,10 @@ function printGasSummary(totals, order) {
 async function withGasLog(prefix, txPromise, totals, bucket) {
     const tx = await txPromise;
     const rc = await tx.wait();
+    if (Signer.isQueuedTx(tx.hash)) {
+        console.log(`${prefix} | offline: 기록만 됨 (브로드캐스트하지 않음)`);
+        return rc;
+    }
     logGas(prefix, tx, rc);
     if (totals && bucket) {
         addGasTotals(totals, bucket, tx, rc);
@@ -264,6 +320,17 @@ function selectorForBuyBox(iface) {
     return selectorFromEncode(iface, 'buyBox', [0n, 'ABCDEFGH', dummyPermit]);
 }
 
+/**
+ * TokenVesting 위임대납 대상 함수 셀렉터 (forwarder.setAllowed 등록용)
+ * buyBox / claimPurchaseReward / claimReferralReward / claimBuyback / sendBox
+ * @param {ethers.Interface} iface
+ * @param {string[]} [names] 일부만 (기본: 전체)
+ * @returns {{ name: string, selector: string, role: string }[]}
+ */
+function selectorsForForwardable(iface, names) {
+    return ForwardRequest.forwardableSelectors(iface, names);
+}
+
 /**
  * TokenVesting.testFunc 전용 셀렉터 헬퍼
  * testFunc()
@@ -272,6 +339,43 @@ function selectorForTestFunc(iface) {
     return selectorFromEncode(iface, 'testFunc', []);
 }
 
+// =============================================================================
+// revert 해석
+// =============================================================================
+
+let revertDecoder = null;
+
+/**
+ * @notice 에러 객체를 공용 디코더(_revert.js)로 해석한다 (artifacts ABI 기준, 최초 호출 시 1회 로드)
+ * @param {unknown} e ethers/Hardhat 에러
+ * @returns {Object} { kind, name, args, contract, reason, message, http, data, ... }
+ */
+function describeRevert(e) {
+    revertDecoder ??= Revert.createRevertDecoder(Revert.loadDefaultAbis());
+    return revertDecoder.decode(e);
+}
+
+/**
+ * @notice 스크립트 공통 실패 출력
+ * @param {string} label 출력 머리말 (예: "실행 실패")
+ * @param {unknown} e
+ * @returns {Object} describeRevert 결과
+ *
+ * 출력 형식:
+ *   ❌ <label>: <message>
+ *      • revert: <kind> <signature>   (revert로 해석된 경우)
+ *      • raw   : <revert data>        (있을 경우)
+ *   DEBUG=1 이면 원본 에러 객체도 출력
+ */
+function printRevert(label, e) {
+    const r = describeRevert(e);
+    console.error(`❌ ${label}:`, r.message);
+    if (r.kind !== "unknown") console.error(`   • revert: ${r.kind} ${r.signature || r.name}${r.contract ? ` @ ${r.contract}` : ""}`);
+    if (r.data) console.error(`   • raw   : ${r.data}`);
+    if (process.env.DEBUG) console.error(e);
+    return r;
+}
+
 
 // =============================================================================
 /* 모듈 내보내기 */
@@ -284,9 +388,17 @@ module.exports = {
 
     // 배포 정보/컨트랙트
     loadDeployment,
+    registry: Deployments.registry,
     attachContracts,
     attachVestingWithEthers,
 
+    // 서명자
+    getSigner,
+    signerLabel,
+    describeCall,
+    isOffline: Signer.isOffline,
+    isQueuedTx: Signer.isQueuedTx,
+
     // ethers 재내보내기
     ethers,
 
@@ -300,5 +412,10 @@ module.exports = {
     // selector 추출
     selectorFromEncode,
     selectorForBuyBox,
-    selectorForTestFunc
+    selectorsForForwardable,
+    selectorForTestFunc,
+
+    // revert 해석
+    describeRevert,
+    printRevert,
 };
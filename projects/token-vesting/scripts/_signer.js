@@ -0,0 +1,517 @@
+/**
+ * @fileoverview
+ *  스크립트 서명자(signer) 백엔드 모듈 (_shared.js getSigner, fd-server, fd-client, faucet에서 사용)
+ * @description
+ *  역할(role)별로 서명자 백엔드를 환경변수로 선택한다 (<P> = 역할 prefix, 아래 ROLES 참고)
+ *  - key      : 평문 프라이빗키 (<P>의 기존 키 변수: OWNER_KEY / PRIVATE_KEY / REF_PRIVATE_KEY / RELAYER_KEYS)
+ *  - keystore : 암호화된 JSON keystore (<P>_KEYSTORE, 비밀번호는 <P>_KEYSTORE_PASSWORD 또는 TTY 입력)
+ *  - offline  : 브로드캐스트하지 않고 트랜잭션을 파일로 기록 (<P>_OFFLINE_ADDRESS = 실행 주체, 예: Safe 주소)
+ *      • <P>_OFFLINE_FORMAT=safe (기본) : Safe Transaction Builder batch JSON → Safe UI에서 Import
+ *      • <P>_OFFLINE_FORMAT=raw         : 서명 전 트랜잭션(unsignedSerialized, nonce/gas/fee 포함)
+ *                                         → scripts/signer.js sign / broadcast 로 오프라인 서명 후 전송
+ *      • 기록 전에 estimateGas(from = 실행 주체)로 사전 검증 → revert 예정이면 일반 전송과 같은 에러
+ *      • 기록된 tx의 wait()는 가짜 영수증(status=1, gasUsed=0, logs 없음)을 돌려준다 (isQueuedTx로 구분)
+ *
+ *  <P>_SIGNER 로 백엔드를 명시하고, 없으면 <P>_KEYSTORE → 키 변수 순으로 추론한다.
+ *
+ * 주의:
+ *  - 이 모듈은 hardhat에 의존하지 않음 (ethers만 사용)
+ *  - offline 서명자는 컨트랙트 배포(to 없음)와 서명(signMessage / signTypedData)을 지원하지 않는다
+ *  - offline 기록은 체인 상태를 바꾸지 않으므로, 앞 tx 결과를 읽어 다음 tx를 정하는 흐름에는 쓰지 않는다
+ *
+ * 사용법:
+ *   const { loadSigner } = require("./_signer");
+ *   const owner = await loadSigner("owner", { provider });
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { ethers } = require("ethers");
+
+/** 역할별 환경변수 prefix / 평문 키 변수 */
+const ROLES = {
+    owner: { prefix: "OWNER", keyEnv: "OWNER_KEY" },
+    user: { prefix: "USER", keyEnv: "PRIVATE_KEY" },
+    ref: { prefix: "REF", keyEnv: "REF_PRIVATE_KEY" },
+    relayer: { prefix: "RELAYER", keyEnv: "RELAYER_KEYS" },
+};
+const BACKENDS = ["key", "keystore", "offline"];
+const OFFLINE_FORMATS = ["safe", "raw"];
+
+/** offline 서명자가 기록한 tx (unsignedHash → 기록 항목) */
+const QUEUED = new Map();
+
+// =============================================================================
+// 설정
+// =============================================================================
+
+/**
+ * @notice 역할 정의 조회
+ * @param {string} role
+ * @returns {{prefix: string, keyEnv: string}}
+ */
+function roleOf(role) {
+    const r = ROLES[role];
+    if (!r) throw new Error(`알 수 없는 signer 역할입니다: ${role} (${Object.keys(ROLES).join("|")})`);
+    return r;
+}
+
+const splitList = (v) => String(v || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+/**
+ * @notice 역할의 서명자 설정을 환경변수에서 읽는다
+ * @param {string} role owner | user | ref | relayer
+ * @param {NodeJS.ProcessEnv} [env=process.env]
+ * @returns {{
+ *   role: string, backend: "key"|"keystore"|"offline"|null,
+ *   keys: string[], keystores: string[], password: string|undefined,
+ *   offline: {address: string, format: string, out: string|undefined}|null,
+ * }} backend=null 이면 설정 없음
+ */
+function signerConfig(role, env = process.env) {
+    const { prefix, keyEnv } = roleOf(role);
+    const keys = splitList(env[keyEnv]);
+    const keystores = splitList(env[`${prefix}_KEYSTORE`]);
+    const explicit = String(env[`${prefix}_SIGNER`] || "").trim().toLowerCase();
+    if (explicit && !BACKENDS.includes(explicit)) {
+        throw new Error(`${prefix}_SIGNER는 ${BACKENDS.join("|")} 중 하나여야 합니다: ${explicit}`);
+    }
+    const backend = explicit || (keystores.length ? "keystore" : keys.length ? "key" : null);
+
+    let offline = null;
+    if (backend === "key" && !keys.length) throw new Error(`${prefix}_SIGNER=key: .env에 ${keyEnv}를 설정하세요.`);
+    if (backend === "keystore" && !keystores.length) throw new Error(`${prefix}_SIGNER=keystore: ${prefix}_KEYSTORE(파일 경로)를 설정하세요.`);
+    if (backend === "offline") {
+        const raw = env[`${prefix}_OFFLINE_ADDRESS`];
+        if (!raw || !ethers.isAddress(raw)) {
+            throw new Error(`${prefix}_SIGNER=offline: ${prefix}_OFFLINE_ADDRESS(실행 주체 주소, 예: Safe)를 설정하세요: ${raw ?? "(없음)"}`);
+        }
+        const format = String(env[`${prefix}_OFFLINE_FORMAT`] || "safe").toLowerCase();
+        if (!OFFLINE_FORMATS.includes(format)) {
+            throw new Error(`${prefix}_OFFLINE_FORMAT는 ${OFFLINE_FORMATS.join("|")} 중 하나여야 합니다: ${format}`);
+        }
+        offline = { address: ethers.getAddress(raw), format, out: env[`${prefix}_OFFLINE_OUT`] || undefined };
+    }
+    return { role, backend, keys, keystores, password: env[`${prefix}_KEYSTORE_PASSWORD`], offline };
+}
+
+/**
+ * @notice 로그용 서명자 설명 (예: "keystore ops.json", "offline(safe) 0xSafe...")
+ * @param {ReturnType<typeof signerConfig>} cfg
+ * @returns {string}
+ */
+function describeConfig(cfg) {
+    const { keyEnv } = roleOf(cfg.role);
+    if (cfg.backend === "key") return `${keyEnv} 사용`;
+    if (cfg.backend === "keystore") return `keystore ${cfg.keystores.map((f) => path.basename(f)).join(", ")}`;
+    if (cfg.backend === "offline") return `offline(${cfg.offline.format}) ${cfg.offline.address}`;
+    return "(설정 없음)";
+}
+
+// =============================================================================
+// keystore
+// =============================================================================
+
+/**
+ * @notice TTY에서 입력을 화면에 표시하지 않고 읽는다
+ * @param {string} question
+ * @returns {Promise<string>}
+ * @throws TTY가 아니면 에러
+ */
+function promptHidden(question) {
+    if (!process.stdin.isTTY) {
+        return Promise.reject(new Error(`${question.trim()} — TTY가 아니어서 입력받을 수 없습니다`));
+    }
+    return new Promise((resolve) => {
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        process.stdout.write(question);
+        rl._writeToOutput = () => {}; // 입력 에코 숨김
+        rl.question("", (answer) => {
+            rl.close();
+            process.stdout.write("\n");
+            resolve(answer);
+        });
+    });
+}
+
+/**
+ * @notice keystore 파일 복호화
+ * @param {string} file
+ * @param {string} password
+ * @returns {Promise<import("ethers").Wallet>}
+ */
+async function decryptKeystore(file, password) {
+    if (!fs.existsSync(file)) throw new Error(`keystore 파일이 없습니다: ${file}`);
+    try {
+        const w = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(file, "utf8"), password);
+        return new ethers.Wallet(w.privateKey);
+    } catch (e) {
+        throw new Error(`keystore 복호화 실패 (${path.basename(file)}): ${e?.shortMessage || e?.message || e}`);
+    }
+}
+
+// =============================================================================
+// offline
+// =============================================================================
+
+/**
+ * @notice Safe Transaction Builder batch JSON
+ * @param {object} p
+ * @param {bigint|number|string} p.chainId
+ * @param {string} p.safe 실행 주체(Safe) 주소
+ * @param {Array<{to: string, value: bigint, data: string, description?: string}>} p.transactions
+ * @param {string} [p.name]
+ * @param {number} [p.createdAt=Date.now()]
+ * @returns {object}
+ */
+function toSafeBatch({ chainId, safe, transactions, name = "token-vesting batch", createdAt = Date.now() }) {
+    return {
+        version: "1.0",
+        chainId: String(chainId),
+        createdAt,
+        meta: {
+            name,
+            description: transactions.map((t, i) => `${i + 1}. ${t.description || t.data.slice(0, 10)}`).join("\n"),
+            txBuilderVersion: "1.16.5",
+            createdFromSafeAddress: safe,
+            createdFromOwnerAddress: "",
+        },
+        transactions: transactions.map((t) => ({
+            to: t.to,
+            value: BigInt(t.value ?? 0n).toString(),
+            data: t.data,
+            contractMethod: null,
+            contractInputsValues: null,
+        })),
+    };
+}
+
+/**
+ * @notice 서명 전 트랜잭션 목록 JSON (scripts/signer.js sign 입력)
+ * @param {object} p
+ * @param {bigint|number|string} p.chainId
+ * @param {string} p.from
+ * @param {Array<object>} p.transactions OfflineSigner.queued 항목
+ * @param {number} [p.createdAt=Date.now()]
+ * @returns {object}
+ */
+function toRawBatch({ chainId, from, transactions, createdAt = Date.now() }) {
+    const str = (v) => (v == null ? null : v.toString());
+    return {
+        format: "unsigned-transactions",
+        chainId: String(chainId),
+        from,
+        createdAt,
+        transactions: transactions.map((t) => ({
+            description: t.description,
+            to: t.to,
+            value: str(t.value),
+            data: t.data,
+            nonce: t.nonce,
+            gasLimit: str(t.gasLimit),
+            type: t.type,
+            gasPrice: str(t.gasPrice),
+            maxFeePerGas: str(t.maxFeePerGas),
+            maxPriorityFeePerGas: str(t.maxPriorityFeePerGas),
+            unsignedSerialized: t.unsignedSerialized,
+            unsignedHash: t.hash,
+        })),
+    };
+}
+
+/**
+ * @notice provider 래퍼: 기록된 tx 해시는 가짜 영수증으로 응답 (tx.wait()가 멈추지 않도록)
+ * @param {import("ethers").Provider} provider
+ * @returns {import("ethers").Provider}
+ */
+function offlineProvider(provider) {
+    const proxy = new Proxy(provider, {
+        get(target, key) {
+            if (key === "getTransactionReceipt") {
+                return async (hash) => (QUEUED.has(hash) ? queuedReceipt(hash, proxy) : target.getTransactionReceipt(hash));
+            }
+            const v = Reflect.get(target, key, target);
+            return typeof v === "function" ? v.bind(target) : v;
+        },
+    });
+    return proxy;
+}
+
+/**
+ * @notice 기록된 tx의 가짜 영수증 (status=1, gasUsed=0, logs 없음)
+ * @param {string} hash
+ * @param {import("ethers").Provider} provider
+ * @returns {import("ethers").TransactionReceipt}
+ */
+function queuedReceipt(hash, provider) {
+    const t = QUEUED.get(hash);
+    return new ethers.TransactionReceipt({
+        to: t.to, from: t.from, contractAddress: null, hash, index: 0,
+        blockHash: ethers.ZeroHash, blockNumber: 0, logsBloom: ethers.zeroPadValue("0x", 256), logs: [],
+        gasUsed: 0n, cumulativeGasUsed: 0n, gasPrice: 0n, blobGasUsed: null, blobGasPrice: null,
+        type: t.type, status: 1, root: null,
+    }, provider);
+}
+
+/**
+ * @notice 브로드캐스트 대신 파일로 기록하는 서명자
+ * @dev sendTransaction마다 파일 전체를 다시 써서 중간에 실패해도 그때까지의 기록이 남는다
+ */
+class OfflineSigner extends ethers.AbstractSigner {
+    /**
+     * @param {string} address 실행 주체 (Safe 또는 오프라인 지갑 주소)
+     * @param {import("ethers").Provider} provider
+     * @param {object} [opts]
+     * @param {"safe"|"raw"} [opts.format="safe"]
+     * @param {string} [opts.out] 출력 파일 (기본 scripts/output/offline-<role>-<chainId>-<ts>.json)
+     * @param {string} [opts.role="owner"]
+     * @param {(tx: {to: string, data: string, value: bigint}) => string|undefined} [opts.describe] 기록용 호출 설명
+     * @param {(msg: string) => void} [opts.log=console.log]
+     */
+    constructor(address, provider, opts = {}) {
+        super(offlineProvider(provider));
+        this.address = ethers.getAddress(address);
+        this.baseProvider = provider;
+        this.format = opts.format ?? "safe";
+        this.out = opts.out;
+        this.role = opts.role ?? "owner";
+        this.describe = opts.describe;
+        this.log = opts.log ?? console.log;
+        this.queued = [];
+        this.nextNonce = null;
+    }
+
+    async getAddress() {
+        return this.address;
+    }
+
+    connect(provider) {
+        return new OfflineSigner(this.address, provider, this);
+    }
+
+    async signTransaction() {
+        throw new Error("offline 서명자는 서명할 수 없습니다 (signTransaction)");
+    }
+
+    async signMessage() {
+        throw new Error("offline 서명자는 서명할 수 없습니다 (signMessage)");
+    }
+
+    async signTypedData() {
+        throw new Error("offline 서명자는 서명할 수 없습니다 (signTypedData)");
+    }
+
+    /**
+     * @notice 사전 검증(estimateGas) 후 기록
+     * @param {import("ethers").TransactionRequest} tx
+     * @returns {Promise<import("ethers").TransactionResponse>}
+     */
+    async sendTransaction(tx) {
+        const pop = await this.populateCall(tx);
+        if (!pop.to) throw new Error("offline 서명자는 컨트랙트 배포를 지원하지 않습니다");
+        const value = BigInt(pop.value ?? 0n);
+        const data = pop.data ?? "0x";
+        const estimate = await this.baseProvider.estimateGas({ from: this.address, to: pop.to, data, value });
+        const [{ chainId }, fee] = await Promise.all([this.baseProvider.getNetwork(), this.baseProvider.getFeeData()]);
+        this.nextNonce ??= await this.baseProvider.getTransactionCount(this.address, "pending");
+        const nonce = pop.nonce ?? this.nextNonce;
+        this.nextNonce = nonce + 1;
+
+        const fields = fee.maxFeePerGas != null
+            ? { type: 2, maxFeePerGas: fee.maxFeePerGas, maxPriorityFeePerGas: fee.maxPriorityFeePerGas }
+            : { type: 0, gasPrice: fee.gasPrice };
+        const unsigned = ethers.Transaction.from({
+            ...fields, chainId, nonce, to: pop.to, data, value,
+            gasLimit: pop.gasLimit ?? (estimate * 12n) / 10n,
+        });
+        const entry = {
+            ...fields,
+            description: this.describe?.({ to: pop.to, data, value }) ?? undefined,
+            from: this.address, to: pop.to, data, value, nonce, gasLimit: unsigned.gasLimit,
+            unsignedSerialized: unsigned.unsignedSerialized,
+            hash: unsigned.unsignedHash,
+        };
+        this.queued.push(entry);
+        QUEUED.set(entry.hash, entry);
+        this.flush(chainId);
+
+        return new ethers.TransactionResponse({
+            ...fields, hash: entry.hash, blockNumber: null, blockHash: null, index: 0,
+            from: this.address, to: pop.to, data, value, nonce, gasLimit: unsigned.gasLimit, chainId,
+            signature: null, accessList: null,
+        }, this.provider);
+    }
+
+    /**
+     * @notice 기록 파일 쓰기
+     * @param {bigint} chainId
+     */
+    flush(chainId) {
+        if (!this.out) {
+            const ts = new Date().toISOString().replace(/[-:]/g, "").replace(/\..+$/, "").replace("T", "-");
+            this.out = path.join(__dirname, "output", `offline-${this.role}-${chainId}-${ts}.json`);
+        }
+        const doc = this.format === "safe"
+            ? toSafeBatch({ chainId, safe: this.address, transactions: this.queued, name: `token-vesting ${this.role} batch` })
+            : toRawBatch({ chainId, from: this.address, transactions: this.queued });
+        fs.mkdirSync(path.dirname(this.out), { recursive: true });
+        fs.writeFileSync(this.out, JSON.stringify(doc, null, 2) + "\n");
+        const last = this.queued[this.queued.length - 1];
+        this.log(`📝 offline(${this.format}) #${this.queued.length} ${last.description || last.data.slice(0, 10)} → ${this.out}`);
+    }
+}
+
+/**
+ * @notice offline 서명자인지 (NonceManager 등 래퍼 포함)
+ * @param {unknown} signer
+ * @returns {boolean}
+ */
+function isOffline(signer) {
+    return signer instanceof OfflineSigner || signer?.signer instanceof OfflineSigner;
+}
+
+/**
+ * @notice offline 서명자가 기록한 tx 해시인지
+ * @param {string} hash
+ * @returns {boolean}
+ */
+function isQueuedTx(hash) {
+    return QUEUED.has(hash);
+}
+
+/**
+ * @notice unsigned-transactions 배치에 서명 (scripts/signer.js sign)
+ * @dev unsignedSerialized를 다시 파싱해 unsignedHash / chainId가 기록과 같은지 확인한 뒤 서명한다
+ * @param {object} batch toRawBatch 출력
+ * @param {import("ethers").Signer} wallet 배치 from과 같은 주소의 서명자
+ * @param {number} [createdAt=Date.now()]
+ * @returns {Promise<object>} { format: "signed-transactions", chainId, from, transactions: [{ description, nonce, hash, signedSerialized }] }
+ */
+async function signRawBatch(batch, wallet, createdAt = Date.now()) {
+    if (batch?.format !== "unsigned-transactions") throw new Error(`unsigned-transactions 배치가 아닙니다: ${batch?.format ?? "(format 없음)"}`);
+    const addr = await wallet.getAddress();
+    if (ethers.getAddress(batch.from) !== addr) throw new Error(`배치 from(${batch.from})과 서명자(${addr})가 다릅니다`);
+
+    const transactions = [];
+    for (const [i, t] of batch.transactions.entries()) {
+        const tx = ethers.Transaction.from(t.unsignedSerialized);
+        if (tx.unsignedHash !== t.unsignedHash) throw new Error(`#${i + 1}: unsignedHash가 unsignedSerialized와 다릅니다`);
+        if (tx.chainId.toString() !== String(batch.chainId)) throw new Error(`#${i + 1}: chainId ${tx.chainId} ≠ 배치 ${batch.chainId}`);
+        const signedSerialized = await wallet.signTransaction(tx);
+        transactions.push({
+            description: t.description,
+            nonce: tx.nonce,
+            hash: ethers.keccak256(signedSerialized),
+            signedSerialized,
+        });
+    }
+    return { format: "signed-transactions", chainId: String(batch.chainId), from: addr, createdAt, transactions };
+}
+
+/**
+ * @notice 서명된 배치를 순서대로 전송하고 영수증 확인 (scripts/signer.js broadcast)
+ * @dev 이미 포함된 tx(같은 해시의 영수증 존재)는 건너뛰므로 중간 실패 후 재실행해도 된다
+ * @param {object} signed signRawBatch 출력
+ * @param {import("ethers").Provider} provider
+ * @param {(msg: string) => void} [log=console.log]
+ * @returns {Promise<Array<{hash: string, status: number|null, skipped: boolean}>>}
+ * @throws chainId 불일치, 또는 revert(status=0)된 tx가 있으면 그 지점에서 중단
+ */
+async function broadcastSigned(signed, provider, log = console.log) {
+    if (signed?.format !== "signed-transactions") throw new Error(`signed-transactions 배치가 아닙니다: ${signed?.format ?? "(format 없음)"}`);
+    const { chainId } = await provider.getNetwork();
+    if (chainId.toString() !== String(signed.chainId)) throw new Error(`chainId 불일치: 배치 ${signed.chainId} ≠ provider ${chainId}`);
+
+    const results = [];
+    for (const [i, t] of signed.transactions.entries()) {
+        const label = `#${i + 1} nonce=${t.nonce} ${t.description || ""}`.trim();
+        const prev = await provider.getTransactionReceipt(t.hash);
+        if (prev) {
+            log(`⏭️  ${label} 이미 포함됨 (block ${prev.blockNumber})`);
+            results.push({ hash: t.hash, status: prev.status, skipped: true });
+            continue;
+        }
+        const tx = await provider.broadcastTransaction(t.signedSerialized);
+        const rc = await tx.wait();
+        log(`📤 ${label} → ${tx.hash} (block ${rc.blockNumber}, gasUsed ${rc.gasUsed})`);
+        results.push({ hash: tx.hash, status: rc.status, skipped: false });
+    }
+    return results;
+}
+
+// =============================================================================
+// 로드
+// =============================================================================
+
+/**
+ * @notice 역할의 서명자 목록 로드 (relayer처럼 여러 개인 경우)
+ * @param {string} role owner | user | ref | relayer
+ * @param {object} [opts]
+ * @param {import("ethers").Provider} [opts.provider]
+ * @param {NodeJS.ProcessEnv} [opts.env=process.env]
+ * @param {boolean} [opts.offline=true] false면 offline 백엔드를 거부 (배포/재개 로직 등 실제 전송이 필요한 스크립트)
+ * @param {(question: string) => Promise<string>} [opts.prompt=promptHidden] keystore 비밀번호 입력
+ * @param {(tx: object) => string|undefined} [opts.describe] offline 기록용 호출 설명
+ * @returns {Promise<import("ethers").Signer[]>} 설정이 없으면 빈 배열
+ */
+async function loadSigners(role, opts = {}) {
+    const env = opts.env ?? process.env;
+    const cfg = signerConfig(role, env);
+    const { prefix } = roleOf(role);
+    const provider = opts.provider ?? null;
+
+    if (cfg.backend === "key") {
+        return cfg.keys.map((k) => new ethers.Wallet(k, provider));
+    }
+    if (cfg.backend === "keystore") {
+        let password = cfg.password;
+        if (password == null) {
+            // CI 등 TTY가 없는 환경에서는 <P>_KEYSTORE_PASSWORD 사용
+            password = await (opts.prompt ?? promptHidden)(`🔐 ${prefix} keystore 비밀번호: `).catch((e) => {
+                throw new Error(`${e.message} (${prefix}_KEYSTORE_PASSWORD 설정)`);
+            });
+        }
+        const out = [];
+        for (const f of cfg.keystores) out.push((await decryptKeystore(f, password)).connect(provider));
+        return out;
+    }
+    if (cfg.backend === "offline") {
+        if (opts.offline === false) throw new Error(`${prefix}_SIGNER=offline 은 이 스크립트에서 지원하지 않습니다 (실제 전송 필요).`);
+        if (!provider) throw new Error("offline 서명자에는 provider가 필요합니다 (사전 검증/nonce 조회)");
+        return [new OfflineSigner(cfg.offline.address, provider, {
+            format: cfg.offline.format, out: cfg.offline.out, role, describe: opts.describe,
+        })];
+    }
+    return [];
+}
+
+/**
+ * @notice 역할의 서명자 1개 로드
+ * @param {string} role
+ * @param {Parameters<typeof loadSigners>[1]} [opts]
+ * @returns {Promise<import("ethers").Signer|null>} 설정이 없으면 null
+ */
+async function loadSigner(role, opts = {}) {
+    const [signer] = await loadSigners(role, opts);
+    return signer ?? null;
+}
+
+module.exports = {
+    ROLES,
+    BACKENDS,
+    signerConfig,
+    describeConfig,
+    promptHidden,
+    decryptKeystore,
+    toSafeBatch,
+    toRawBatch,
+    OfflineSigner,
+    isOffline,
+    isQueuedTx,
+    signRawBatch,
+    broadcastSigned,
+    loadSigners,
+    loadSigner,
+};
@@ -0,0 +1,300 @@
+/**
+ * @fileoverview
+ *  유저별 베스팅 명세(statement) 생성 모듈 (exportStatements.js에서 사용)
+ * @description
+ *  - 주소 × 일자(day index)마다 구매자 풀 / 추천인 풀의 earned · claimed · claimable 산출
+ *      • boxes / referralUnits : buyerBoxesAtDay / referralUnitsAtDay
+ *      • earned (확정일, d < lastSyncedDay) : boxes × rewardPerBox[d]  (referral: units × rewardPerReferral[d])
+ *      • earned (미확정일)                  : previewBuyerClaimableAt(user, dayEnd(d)) - previewBuyerClaimableAt(user, dayEnd(d-1))
+ *      • claimed   : 그날(블록 시각 기준) 발생한 PurchasePoolClaimed / ReferralPoolClaimed 지급액 합
+ *      • claimable : 그날 24:00 기준 청구 가능액 = E(d) - E(T)
+ *                    E(d) = 0..d일 누적 earned, T = 그날까지 마지막 클레임의 toDay
+ *                    (마지막 클레임 이후 행은 previewBuyerClaimableAt(user, dayEnd(d))와 같음)
+ *  - 대상 주소를 주지 않으면 이벤트(BoxesPurchased buyer/referrer, BoxesTransferred from/to)에서 보유자 탐색
+ *  - 모든 조회는 같은 블록(blockTag) 기준
+ *
+ * 행 status:
+ *   final    : 확정된 날 (d < lastSyncedDay)
+ *   pending  : 지난 날이지만 아직 sync 전 (preview 시뮬레이션 값)
+ *   accruing : 오늘 (하루가 끝나면 확정될 예상값)
+ *
+ * 주의:
+ *  - 이 모듈은 hardhat에 의존하지 않음 (ethers Contract만 사용)
+ *  - earned / claimable은 18dec 원값(클레임 시 6자리 절삭), claimed는 실제 지급액(절삭 후)
+ *
+ * @author hlibbc
+ */
+const { ethers } = require("ethers");
+const { fetchVestingLogs, findDeployBlock, mapLimit } = require("./_reconcile");
+const { calcByHistory } = require("./_vestingModel");
+
+const DAY = 86400n;
+
+/**
+ * @notice 체크포인트 배열 전체 읽기 (길이 getter가 없으므로 revert 날 때까지)
+ */
+async function readHistory(vesting, fn, user, o) {
+    const out = [];
+    for (let i = 0; ; i++) {
+        try {
+            const cp = await vesting[fn](user, i, o);
+            out.push({ day: BigInt(cp.day), amount: BigInt(cp.amount) });
+        } catch (e) {
+            // index 범위 밖 → revert(빈 데이터)로 끝 (네트워크 오류 등은 그대로 전파)
+            if (e?.code === "CALL_EXCEPTION" || /revert/i.test(e?.message ?? "")) return out;
+            throw e;
+        }
+    }
+}
+
+/**
+ * @notice 로그에서 보유자(구매자/추천인/전송 당사자) 주소 탐색
+ * @param {Array<{name: string, args: object}>} logs
+ * @returns {string[]}
+ */
+function holdersFromLogs(logs) {
+    const set = new Set();
+    const add = (a) => { if (a && a !== ethers.ZeroAddress) set.add(ethers.getAddress(a)); };
+    for (const l of logs) {
+        if (l.name === "BoxesPurchased") { add(l.args.buyer); add(l.args.referrer); }
+        if (l.name === "BoxesTransferred") { add(l.args.from); add(l.args.to); }
+    }
+    return [...set];
+}
+
+/**
+ * @notice 명세 생성
+ * @param {import("ethers").Contract} vesting
+ * @param {object} [opts]
+ * @param {string[]} [opts.users] 대상 주소 (생략 시 이벤트에서 탐색)
+ * @param {number|bigint} [opts.fromDay=0] 시작 day index (포함)
+ * @param {number|bigint} [opts.toDay] 종료 day index (포함, 기본/상한: 오늘)
+ * @param {number} [opts.fromBlock] 이벤트 조회 시작 블록 (기본: 배포 블록 탐색)
+ * @param {number} [opts.blockTag] 기준 블록 (기본: latest)
+ * @param {number} [opts.step] getLogs 블록 구간
+ * @param {number} [opts.concurrency=8]
+ * @returns {Promise<{meta: object, rows: object[]}>}
+ */
+async function buildStatements(vesting, opts = {}) {
+    const provider = vesting.runner?.provider ?? vesting.provider;
+    const concurrency = opts.concurrency ?? 8;
+    const blockTag = opts.blockTag ?? await provider.getBlockNumber();
+    const o = { blockTag };
+    const blk = await provider.getBlock(blockTag);
+
+    const startTs = BigInt(await vesting.vestingStartDate(o));
+    const lastSyncedDay = BigInt(await vesting.lastSyncedDay(o));
+    const nowTs = BigInt(blk.timestamp);
+    const today = nowTs < startTs ? 0n : (nowTs - startTs) / DAY;
+    const fromDay = BigInt(opts.fromDay ?? 0);
+    let toDay = opts.toDay != null ? BigInt(opts.toDay) : today;
+    if (toDay > today) toDay = today;
+    if (fromDay > toDay) throw new Error(`invalid day range: ${fromDay}..${toDay} (today=${today})`);
+
+    const dayOf = (ts) => (BigInt(ts) < startTs ? 0n : (BigInt(ts) - startTs) / DAY);
+    const dayEnd = (d) => startTs + (d + 1n) * DAY; // d일 24:00 (= d+1일 00:00)
+
+    // ── 이벤트: 보유자 탐색 + 클레임 내역 ──────────────────────────────────
+    const address = await vesting.getAddress();
+    const fromBlock = opts.fromBlock ?? await findDeployBlock(provider, address);
+    const logs = await fetchVestingLogs(vesting, { fromBlock, toBlock: blockTag, step: opts.step });
+    const users = (opts.users?.length ? opts.users : holdersFromLogs(logs)).map((a) => ethers.getAddress(a));
+
+    const claimLogs = logs.filter((l) => l.name === "PurchasePoolClaimed" || l.name === "ReferralPoolClaimed");
+    const blockTs = new Map();
+    for (const n of new Set(claimLogs.map((l) => l.blockNumber))) {
+        blockTs.set(n, BigInt((await provider.getBlock(n)).timestamp));
+    }
+    const claims = new Map(); // user → { buyer: [...], referral: [...] }
+    for (const l of claimLogs) {
+        const u = ethers.getAddress(l.args.user);
+        if (!claims.has(u)) claims.set(u, { buyer: [], referral: [] });
+        claims.get(u)[l.name === "PurchasePoolClaimed" ? "buyer" : "referral"].push({
+            day: dayOf(blockTs.get(l.blockNumber)),
+            toDay: BigInt(l.args.toDay),
+            amount: BigInt(l.args.amount),
+        });
+    }
+
+    // ── 일자별 공통 단가 (확정일) / 누적 단가 캐시 ─────────────────────────
+    const days = [];
+    for (let d = fromDay; d <= toDay; d++) days.push(d);
+    const rates = new Map();
+    await mapLimit(days.filter((d) => d < lastSyncedDay), concurrency, async (d) => {
+        const [perBox, perRef] = await Promise.all([vesting.rewardPerBox(d, o), vesting.rewardPerReferral(d, o)]);
+        rates.set(d, { perBox: BigInt(perBox), perRef: BigInt(perRef) });
+    });
+    const cumCache = { cumRewardPerBox: new Map(), cumRewardPerReferral: new Map() };
+    const cumMap = async (fn, hist, toD) => {
+        // calcByHistory가 참조하는 경계(d-1, 구간 끝)만 읽어 Map으로 제공
+        const need = new Set([toD]);
+        for (const cp of hist) if (cp.day > 0n && cp.day - 1n <= toD) need.add(cp.day - 1n);
+        const cache = cumCache[fn];
+        for (const d of need) if (!cache.has(d)) cache.set(d, BigInt(await vesting[fn](d, o)));
+        return cache;
+    };
+
+    // ── 유저별 행 생성 ─────────────────────────────────────────────────────
+    const perUser = await mapLimit(users, concurrency, async (user) => {
+        const hist = {
+            buyer: await readHistory(vesting, "buyerBoxAmountHistory", user, o),
+            referral: await readHistory(vesting, "referralAmountHistory", user, o),
+        };
+        const previewFn = { buyer: "previewBuyerClaimableAt", referral: "previewReferrerClaimableAt" };
+        const cumFn = { buyer: "cumRewardPerBox", referral: "cumRewardPerReferral" };
+
+        // E(d): 0..d일 누적 earned (확정 구간은 체크포인트×누적단가, 미확정 구간은 preview 차분)
+        const finalE = new Map();
+        const previewAt = new Map();
+        const preview = async (pool, ts) => {
+            const k = `${pool}:${ts}`;
+            if (!previewAt.has(k)) previewAt.set(k, BigInt(await vesting[previewFn[pool]](user, ts, o)));
+            return previewAt.get(k);
+        };
+        const E = async (pool, d) => {
+            if (d < 0n || hist[pool].length === 0) return 0n;
+            const lastFinal = lastSyncedDay - 1n;
+            const fd = d < lastSyncedDay ? d : lastFinal;
+            let e = 0n;
+            if (fd >= 0n) {
+                const k = `${pool}:${fd}`;
+                if (!finalE.has(k)) {
+                    const cum = await cumMap(cumFn[pool], hist[pool], fd);
+                    finalE.set(k, calcByHistory(hist[pool], cum, 0n, fd));
+                }
+                e = finalE.get(k);
+            }
+            if (d >= lastSyncedDay) {
+                e += (await preview(pool, dayEnd(d))) - (await preview(pool, dayEnd(lastFinal)));
+            }
+            return e;
+        };
+        const lastClaimAsOf = (pool, d) => {
+            let t = -1n;
+            for (const c of claims.get(user)?.[pool] ?? []) if (c.day <= d && c.toDay > t) t = c.toDay;
+            return t;
+        };
+        const claimedOn = (pool, d) => (claims.get(user)?.[pool] ?? [])
+            .filter((c) => c.day === d).reduce((s, c) => s + c.amount, 0n);
+
+        const rows = [];
+        for (const d of days) {
+            const [boxes, units] = await Promise.all([
+                vesting.buyerBoxesAtDay(user, d, o).then(BigInt),
+                vesting.referralUnitsAtDay(user, d, o).then(BigInt),
+            ]);
+            const status = d < lastSyncedDay ? "final" : (d < today ? "pending" : "accruing");
+            const row = { address: user, day: d, date: new Date(Number(startTs + d * DAY) * 1000).toISOString().slice(0, 10), status, boxes, referralUnits: units };
+            for (const pool of ["buyer", "referral"]) {
+                let earned;
+                if (d < lastSyncedDay) {
+                    const r = rates.get(d);
+                    earned = pool === "buyer" ? boxes * r.perBox : units * r.perRef;
+                } else {
+                    earned = (await E(pool, d)) - (await E(pool, d - 1n));
+                }
+                const T = lastClaimAsOf(pool, d);
+                row[pool === "buyer" ? "purchase" : "referral"] = {
+                    earned,
+                    claimed: claimedOn(pool, d),
+                    claimable: (await E(pool, d)) - (await E(pool, T)),
+                };
+            }
+            rows.push(row);
+        }
+        return rows;
+    });
+
+    return {
+        meta: {
+            vesting: address,
+            block: blockTag,
+            blockTime: new Date(Number(nowTs) * 1000).toISOString(),
+            startTs: startTs.toString(),
+            lastSyncedDay: lastSyncedDay.toString(),
+            today: today.toString(),
+            fromDay: fromDay.toString(),
+            toDay: toDay.toString(),
+            users: users.length,
+        },
+        rows: perUser.flat(),
+    };
+}
+
+// =============================================================================
+// 출력 포맷
+// =============================================================================
+
+const CSV_COLUMNS = [
+    "address", "day", "date", "status", "boxes", "referralUnits",
+    "purchaseEarned", "purchaseClaimed", "purchaseClaimable",
+    "referralEarned", "referralClaimed", "referralClaimable",
+];
+
+/**
+ * @notice 금액 표기 (units: "token" → 18dec 소수 문자열, "wei" → 정수 문자열)
+ */
+function fmtAmount(v, units) {
+    return units === "wei" ? v.toString() : ethers.formatUnits(v, 18);
+}
+
+/**
+ * @notice 행 → 평탄화된 레코드 (CSV/JSON 공통)
+ * @param {object} row buildStatements 행
+ * @param {"token"|"wei"} [units="token"]
+ */
+function flattenRow(row, units = "token") {
+    return {
+        address: row.address,
+        day: row.day.toString(),
+        date: row.date,
+        status: row.status,
+        boxes: row.boxes.toString(),
+        referralUnits: row.referralUnits.toString(),
+        purchaseEarned: fmtAmount(row.purchase.earned, units),
+        purchaseClaimed: fmtAmount(row.purchase.claimed, units),
+        purchaseClaimable: fmtAmount(row.purchase.claimable, units),
+        referralEarned: fmtAmount(row.referral.earned, units),
+        referralClaimed: fmtAmount(row.referral.claimed, units),
+        referralClaimable: fmtAmount(row.referral.claimable, units),
+    };
+}
+
+/**
+ * @notice CSV 문자열 생성 (헤더 포함)
+ * @param {object[]} rows buildStatements 행
+ * @param {"token"|"wei"} [units="token"]
+ * @returns {string}
+ */
+function toCsv(rows, units = "token") {
+    const lines = [CSV_COLUMNS.join(",")];
+    for (const r of rows) {
+        const f = flattenRow(r, units);
+        lines.push(CSV_COLUMNS.map((c) => f[c]).join(","));
+    }
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * @notice JSON 문자열 생성 ({meta, statements: {address: [rows...]}})
+ * @param {{meta: object, rows: object[]}} result
+ * @param {"token"|"wei"} [units="token"]
+ * @returns {string}
+ */
+function toJson(result, units = "token") {
+    const statements = {};
+    for (const r of result.rows) {
+        const { address, ...rest } = flattenRow(r, units);
+        (statements[address] ??= []).push(rest);
+    }
+    return JSON.stringify({ meta: { ...result.meta, units }, statements }, null, 2);
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    holdersFromLogs,
+    buildStatements,
+    flattenRow,
+    toCsv,
+    toJson,
+};
@@ -0,0 +1,426 @@
+/**
+ * @fileoverview
+ *  TokenVesting 일일 sync keeper 코어 모듈 (syncKeeper.js에서 사용)
+ * @description
+ *  - 블록 타임스탬프 기준으로 UTC 자정 경계를 감시하고,
+ *    nextSyncTs + 1일 + graceSec 이 지나면 syncLimitDay(chunk)를 반복 호출해 lastSyncedDay를 따라잡는다
+ *  - chunk(한 tx에 확정할 일수) 자동 조절
+ *      • estimateGas 실패(out of gas) / 추정치 > gasCap / 영수증 out-of-gas → chunk 절반으로 축소 후 재시도
+ *      • growAfter회 연속 성공 시 chunk + 1 (maxChunk까지)
+ *  - 진행 상태를 JSON 파일에 저장 (chunk, 전송중 tx, 누적 통계, 최근 실행 이력)
+ *      • 재시작 시 전송중(pending) tx가 있으면 영수증을 먼저 확인한 뒤 이어서 진행
+ *  - health / Prometheus metrics 렌더링 제공 (HTTP 서버는 syncKeeper.js가 담당)
+ *
+ * 상태 파일 구조:
+ *   {
+ *     version, chainId, vesting,
+ *     chunk, successStreak,
+ *     pendingTx: { hash, nonce, days, gasLimit, sentAt } | null,
+ *     totals: { txs, failedTxs, outOfGas, daysSynced, gasUsed, feeWei },
+ *     lastRun: { at, fromDay, toDay, txHash, gasUsed } | null,
+ *     history: [...최근 실행 (최대 50건)]
+ *   }
+ *
+ * 주의:
+ *  - syncLimitDay는 onlyOwner → keeper 서명자는 owner여야 함
+ *  - 이 모듈은 hardhat에 의존하지 않음 (ethers만 사용)
+ *
+ * 사용법:
+ *   const { createSyncKeeper } = require("./_syncKeeper");
+ *   const keeper = createSyncKeeper({ vesting, stateFile });
+ *   await keeper.tick(); // 또는 keeper.start()
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const path = require("path");
+
+const STATE_VERSION = 1;
+const DAY = 86400n;
+const HISTORY_KEEP = 50;
+
+/**
+ * @notice out-of-gas 류 에러인지 판별 (estimateGas / 전송 실패 공통)
+ * @param {unknown} e
+ * @returns {boolean}
+ */
+function isOutOfGasError(e) {
+    const m = String(e?.shortMessage || e?.message || "").toLowerCase()
+        + " " + String(e?.info?.error?.message || e?.error?.message || "").toLowerCase();
+    return m.includes("out of gas") ||
+        m.includes("gas required exceeds") ||
+        m.includes("exceeds block gas limit") ||
+        m.includes("transaction ran out of gas") ||
+        m.includes("intrinsic gas too low");
+}
+
+/**
+ * @notice "nothing to sync" revert 여부 (확정할 날이 없음)
+ */
+function isNothingToSync(e) {
+    return String(e?.shortMessage || e?.message || e?.reason || "").includes("nothing to sync");
+}
+
+/**
+ * @notice 상태 파일 열기 (없거나 다른 체인/컨트랙트면 초기화)
+ * @param {string} file
+ * @param {{chainId: string, vesting: string, chunk: number}} meta
+ * @returns {{ data: object, save: () => void }}
+ */
+function openState(file, meta) {
+    let data = null;
+    if (file && fs.existsSync(file)) {
+        const j = JSON.parse(fs.readFileSync(file, "utf8"));
+        if (j.chainId === meta.chainId && j.vesting?.toLowerCase() === meta.vesting.toLowerCase()) data = j;
+    }
+    data ??= {
+        version: STATE_VERSION,
+        chainId: meta.chainId,
+        vesting: meta.vesting,
+        chunk: meta.chunk,
+        successStreak: 0,
+        pendingTx: null,
+        totals: { txs: 0, failedTxs: 0, outOfGas: 0, daysSynced: 0, gasUsed: "0", feeWei: "0" },
+        lastRun: null,
+        history: [],
+    };
+    const save = () => {
+        if (!file) return;
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+        fs.renameSync(tmp, file);
+    };
+    return { data, save };
+}
+
+/**
+ * @notice keeper 생성
+ * @param {object} cfg
+ * @param {import("ethers").Contract} cfg.vesting owner 서명자로 연결된 TokenVesting
+ * @param {string} [cfg.stateFile] 진행 상태 파일 (생략 시 메모리에만 유지)
+ * @param {number} [cfg.maxChunk=7] chunk 상한 (syncVesting.js의 7일 분할과 동일)
+ * @param {number} [cfg.initialChunk=maxChunk] 상태 파일이 없을 때의 시작 chunk
+ * @param {number} [cfg.growAfter=3] 연속 성공 N회마다 chunk + 1
+ * @param {bigint} [cfg.gasCap] estimateGas 추정치 상한 (초과 시 chunk 축소). 생략 시 블록 가스한도의 절반
+ * @param {number} [cfg.gasMarginPercent=20] gasLimit = 추정치 × (100 + margin)%
+ * @param {number} [cfg.graceSec=60] 자정 경계 후 대기 시간(초) — 경계 직후 블록 시각 흔들림 회피
+ * @param {number} [cfg.pollMs=30000] start() 폴링 주기
+ * @param {number} [cfg.maxLagDays=1] health: 이보다 밀리면 unhealthy
+ * @param {(msg: string) => void} [cfg.log]
+ * @returns {object} { tick, start, stop, health, metrics, renderMetrics, state }
+ */
+function createSyncKeeper(cfg) {
+    const {
+        vesting,
+        stateFile,
+        maxChunk = 7,
+        growAfter = 3,
+        gasMarginPercent = 20,
+        graceSec = 60,
+        pollMs = 30_000,
+        maxLagDays = 1,
+        log = (msg) => console.log(msg),
+    } = cfg;
+    const initialChunk = Math.min(cfg.initialChunk ?? maxChunk, maxChunk);
+    const provider = vesting.runner?.provider ?? vesting.provider;
+    if (!provider) throw new Error("vesting contract must be connected to a signer with a provider");
+
+    let store = null;
+    let timer = null;
+    let running = null;
+    const live = {
+        startedAt: Date.now(),
+        lastTickAt: null,
+        lastError: null,
+        lastSyncedDay: null,
+        targetDay: null,
+        nextBoundaryTs: null,
+        blockTs: null,
+        ticks: 0,
+    };
+
+    async function ensureState() {
+        if (store) return store;
+        const { chainId } = await provider.getNetwork();
+        store = openState(stateFile, {
+            chainId: chainId.toString(),
+            vesting: await vesting.getAddress(),
+            chunk: initialChunk,
+        });
+        store.data.chunk = Math.max(1, Math.min(store.data.chunk, maxChunk));
+        return store;
+    }
+
+    async function gasCapOf() {
+        if (cfg.gasCap != null) return BigInt(cfg.gasCap);
+        const blk = await provider.getBlock("latest");
+        return BigInt(blk.gasLimit) / 2n;
+    }
+
+    /**
+     * @notice 현재 체인 시각 기준 확정 대상 일수
+     */
+    async function observe() {
+        const [blk, nextSyncTs, lastSyncedDay, startTs] = await Promise.all([
+            provider.getBlock("latest"),
+            vesting.nextSyncTs(),
+            vesting.lastSyncedDay(),
+            vesting.vestingStartDate(),
+        ]);
+        const blockTs = BigInt(blk.timestamp);
+        const next = BigInt(nextSyncTs);
+        const pending = blockTs >= next + DAY ? (blockTs - next) / DAY : 0n;
+        live.blockTs = Number(blockTs);
+        live.lastSyncedDay = Number(lastSyncedDay);
+        live.targetDay = blockTs <= BigInt(startTs) ? 0 : Number((blockTs - BigInt(startTs)) / DAY);
+        live.nextBoundaryTs = Number(next + DAY);
+        // 경계 직후 graceSec 동안은 대기 (단, 2일 이상 밀렸으면 바로 진행)
+        const ready = pending > 1n || (pending === 1n && blockTs >= next + DAY + BigInt(graceSec));
+        return { pending, ready, blockTs };
+    }
+
+    /**
+     * @notice chunk 축소 (out-of-gas)
+     */
+    function shrink(st, why) {
+        const before = st.chunk;
+        st.chunk = Math.max(1, Math.floor(st.chunk / 2));
+        st.successStreak = 0;
+        st.totals.outOfGas++;
+        log(`[keeper] out-of-gas (${why}) → chunk ${before} → ${st.chunk}`);
+        return before > 1;
+    }
+
+    /**
+     * @notice 재시작 전 전송했던 tx 정리
+     */
+    async function reconcilePending(st) {
+        const p = st.pendingTx;
+        if (!p) return true;
+        const rc = await provider.getTransactionReceipt(p.hash);
+        if (!rc) {
+            // 아직 미채굴: 같은 nonce가 다른 tx로 소비되지 않았다면 계속 대기
+            const signerAddr = await vesting.runner.getAddress();
+            const latestNonce = await provider.getTransactionCount(signerAddr, "latest");
+            if (latestNonce <= p.nonce) {
+                log(`[keeper] pending tx ${p.hash} 대기 중`);
+                return false;
+            }
+            log(`[keeper] pending tx ${p.hash}의 nonce가 이미 소비됨 → 폐기`);
+            st.pendingTx = null;
+            return true;
+        }
+        recordReceipt(st, p, rc);
+        return true;
+    }
+
+    /**
+     * @notice 영수증 반영 (성공/실패/out-of-gas)
+     * @returns {"ok"|"oog"|"failed"}
+     */
+    function recordReceipt(st, p, rc, fromDay) {
+        st.pendingTx = null;
+        const gasUsed = BigInt(rc.gasUsed ?? 0n);
+        const fee = gasUsed * BigInt(rc.gasPrice ?? rc.effectiveGasPrice ?? 0n);
+        st.totals.txs++;
+        st.totals.gasUsed = (BigInt(st.totals.gasUsed) + gasUsed).toString();
+        st.totals.feeWei = (BigInt(st.totals.feeWei) + fee).toString();
+        if (rc.status !== 1) {
+            st.totals.failedTxs++;
+            // gasLimit 거의 전부를 쓰고 실패 → out-of-gas로 간주
+            const oog = p.gasLimit && gasUsed * 100n >= BigInt(p.gasLimit) * 95n;
+            if (oog) shrink(st, `receipt gasUsed=${gasUsed}/${p.gasLimit}`);
+            else st.successStreak = 0;
+            pushHistory(st, { at: new Date().toISOString(), days: p.days, txHash: rc.hash, status: "failed", gasUsed: gasUsed.toString() });
+            return oog ? "oog" : "failed";
+        }
+        st.totals.daysSynced += p.days;
+        st.successStreak++;
+        if (st.successStreak >= growAfter && st.chunk < maxChunk) {
+            st.chunk++;
+            st.successStreak = 0;
+            log(`[keeper] ${growAfter}회 연속 성공 → chunk ${st.chunk}`);
+        }
+        st.lastRun = {
+            at: new Date().toISOString(),
+            fromDay: fromDay ?? null,
+            toDay: fromDay != null ? fromDay + p.days - 1 : null,
+            txHash: rc.hash,
+            gasUsed: gasUsed.toString(),
+        };
+        pushHistory(st, { at: st.lastRun.at, days: p.days, txHash: rc.hash, status: "ok", gasUsed: gasUsed.toString() });
+        return "ok";
+    }
+
+    function pushHistory(st, row) {
+        st.history.push(row);
+        if (st.history.length > HISTORY_KEEP) st.history.splice(0, st.history.length - HISTORY_KEEP);
+    }
+
+    /**
+     * @notice syncLimitDay(days) 1건 전송 + 대기
+     * @returns {Promise<"ok"|"oog"|"failed"|"nothing">}
+     */
+    async function sendChunk(st, days) {
+        const cap = await gasCapOf();
+        let est;
+        try {
+            est = await vesting.syncLimitDay.estimateGas(days);
+        } catch (e) {
+            if (isNothingToSync(e)) return "nothing";
+            if (isOutOfGasError(e)) { shrink(st, "estimateGas"); return "oog"; }
+            throw e;
+        }
+        if (est > cap) { shrink(st, `estimate ${est} > cap ${cap}`); return "oog"; }
+
+        let gasLimit = (est * BigInt(100 + gasMarginPercent)) / 100n;
+        if (gasLimit > cap) gasLimit = cap;
+        const fromDay = Number(await vesting.lastSyncedDay());
+        const tx = await vesting.syncLimitDay(days, { gasLimit });
+        st.pendingTx = { hash: tx.hash, nonce: tx.nonce, days, gasLimit: gasLimit.toString(), sentAt: new Date().toISOString() };
+        store.save();
+        log(`[keeper] syncLimitDay(${days}) sent tx=${tx.hash} gasLimit=${gasLimit}`);
+
+        let rc;
+        try {
+            rc = await tx.wait();
+        } catch (e) {
+            // ethers v6: status 0 영수증은 CALL_EXCEPTION으로 throw → receipt 꺼내서 동일 처리
+            rc = e?.receipt;
+            if (!rc) throw e;
+        }
+        const res = recordReceipt(st, st.pendingTx, rc, fromDay);
+        log(`[keeper] syncLimitDay(${days}) ${res} block=${rc.blockNumber} gasUsed=${rc.gasUsed}`);
+        return res;
+    }
+
+    /**
+     * @notice 1회 점검: 필요 시 lastSyncedDay가 따라잡을 때까지 syncLimitDay 반복
+     * @returns {Promise<{synced: number, pending: number}>}
+     */
+    async function tickOnce() {
+        const st = (await ensureState()).data;
+        live.ticks++;
+        live.lastTickAt = Date.now();
+        try {
+            if (!(await reconcilePending(st))) return { synced: 0, pending: -1 };
+            let synced = 0;
+            for (;;) {
+                const { pending, ready } = await observe();
+                if (!ready || pending === 0n) {
+                    live.lastError = null;
+                    return { synced, pending: Number(pending) };
+                }
+                const days = Math.min(st.chunk, Number(pending));
+                const res = await sendChunk(st, days);
+                store.save();
+                if (res === "nothing") return { synced, pending: 0 };
+                if (res === "ok") { synced += days; continue; }
+                if (res === "oog" && days > 1) continue; // 축소된 chunk로 재시도
+                throw new Error(`syncLimitDay(${days}) ${res === "oog" ? "out of gas even with chunk=1" : "reverted"}`);
+            }
+        } catch (e) {
+            live.lastError = { at: new Date().toISOString(), message: e?.shortMessage || e?.message || String(e) };
+            store?.save();
+            throw e;
+        }
+    }
+
+    /**
+     * @notice tick 직렬화 (폴링과 수동 호출이 겹치지 않게)
+     */
+    function tick() {
+        running ??= tickOnce().finally(() => { running = null; });
+        return running;
+    }
+
+    function start() {
+        if (timer) return;
+        const loop = () => tick().catch((e) => log(`[keeper] tick 실패: ${e?.shortMessage || e?.message || e}`));
+        loop();
+        timer = setInterval(loop, pollMs);
+    }
+
+    function stop() {
+        if (timer) clearInterval(timer);
+        timer = null;
+    }
+
+    /**
+     * @notice health 판단
+     * @returns {{ok: boolean, reasons: string[], ...}}
+     */
+    function health() {
+        const reasons = [];
+        const lag = live.targetDay != null && live.lastSyncedDay != null ? live.targetDay - live.lastSyncedDay : null;
+        if (lag != null && lag > maxLagDays) reasons.push(`lag ${lag} day(s) > ${maxLagDays}`);
+        if (live.lastTickAt == null || Date.now() - live.lastTickAt > pollMs * 3) reasons.push("tick stalled");
+        if (live.lastError) reasons.push(`last error: ${live.lastError.message}`);
+        return {
+            ok: reasons.length === 0,
+            reasons,
+            lastSyncedDay: live.lastSyncedDay,
+            targetDay: live.targetDay,
+            lagDays: lag,
+            nextBoundary: live.nextBoundaryTs ? new Date(live.nextBoundaryTs * 1000).toISOString() : null,
+            blockTime: live.blockTs ? new Date(live.blockTs * 1000).toISOString() : null,
+            chunk: store?.data.chunk ?? initialChunk,
+            pendingTx: store?.data.pendingTx ?? null,
+            lastRun: store?.data.lastRun ?? null,
+            lastError: live.lastError,
+            lastTickAt: live.lastTickAt ? new Date(live.lastTickAt).toISOString() : null,
+        };
+    }
+
+    /**
+     * @notice 수치 지표 (Prometheus 렌더링 전 원본)
+     */
+    function metrics() {
+        const t = store?.data.totals ?? { txs: 0, failedTxs: 0, outOfGas: 0, daysSynced: 0, gasUsed: "0", feeWei: "0" };
+        const lag = live.targetDay != null && live.lastSyncedDay != null ? live.targetDay - live.lastSyncedDay : 0;
+        return {
+            last_synced_day: live.lastSyncedDay ?? 0,
+            target_day: live.targetDay ?? 0,
+            lag_days: lag,
+            chunk_size: store?.data.chunk ?? initialChunk,
+            sync_tx_total: t.txs,
+            sync_tx_failed_total: t.failedTxs,
+            out_of_gas_total: t.outOfGas,
+            days_synced_total: t.daysSynced,
+            gas_used_total: t.gasUsed,
+            fee_wei_total: t.feeWei,
+            ticks_total: live.ticks,
+            last_tick_timestamp_seconds: live.lastTickAt ? Math.floor(live.lastTickAt / 1000) : 0,
+            healthy: health().ok ? 1 : 0,
+        };
+    }
+
+    /**
+     * @notice Prometheus text exposition 형식
+     * @returns {string}
+     */
+    function renderMetrics() {
+        const m = metrics();
+        const counters = new Set(["sync_tx_total", "sync_tx_failed_total", "out_of_gas_total", "days_synced_total",
+            "gas_used_total", "fee_wei_total", "ticks_total"]);
+        return Object.entries(m)
+            .map(([k, v]) => `# TYPE vesting_keeper_${k} ${counters.has(k) ? "counter" : "gauge"}\nvesting_keeper_${k} ${v}`)
+            .join("\n") + "\n";
+    }
+
+    return {
+        tick,
+        start,
+        stop,
+        health,
+        metrics,
+        renderMetrics,
+        state: () => store?.data ?? null,
+    };
+}
+
+module.exports = {
+    createSyncKeeper,
+    isOutOfGasError,
+};
@@ -0,0 +1,555 @@
+/**
+ * @fileoverview
+ *  통합 vesting CLI 코어 (인수 파싱 / 서브커맨드 / 출력 / 종료 코드) — scripts/vesting.js에서 사용
+ * @description
+ *  - 개별 스크립트(buyBox / sendBox / claim* / preview* / queryClaimable / syncVesting)의 입력 방식
+ *    (VEST_EPOCH·VEST_ADDR 환경변수, scripts/input/*.json, argv(0))을 공통 플래그로 통일
+ *      • 공통: --network <net>, --json, --help
+ *      • 조회: --address <addr> (없으면 USER_ADDRESS), --at <epoch초 | ISO 시각 | YYYY-MM-DD>
+ *  - 서브커맨드는 결과 객체를 돌려주고, 출력은 한 곳에서 처리
+ *      • 기본: 사람용 표 형식
+ *      • --json: stdout에 JSON 한 줄만 출력 (진행 로그/가스 로그는 stderr로 보냄, bigint는 10진 문자열)
+ *          { "ok": true,  "command": "claimable", "network": "...", "chainId": "...", "result": { ... } }
+ *          { "ok": false, "command": "claim", "exitCode": 3, "error": { "message", "kind", "name", "reason", "data" } }
+ *  - 종료 코드 (EXIT)
+ *      • 0 성공 (클레임할 금액 없음 / 이미 동기화됨 같은 no-op 포함, result.skipped로 구분)
+ *      • 1 실행 실패 (설정 누락, RPC 오류 등)
+ *      • 2 사용법 오류 (알 수 없는 명령/플래그, 잘못된 인수)
+ *      • 3 컨트랙트 revert (_revert.js로 해석된 경우)
+ *
+ * 컨텍스트(ctx, scripts/vesting.js가 hardhat/_shared.js로 구성 — 테스트에서는 직접 주입):
+ *   {
+ *     network, chainId, deployment,           // loadDeployment 결과 (vesting, startTs, ...)
+ *     provider, vesting,                      // 조회용 provider / TokenVesting 컨트랙트
+ *     signer(role),                           // "owner" | "user" → Signer (_shared.getSigner)
+ *     send(label, txPromise, bucket),         // 전송→대기→가스 로그 (_shared.withGasLog), receipt 반환
+ *     isQueuedTx?(hash),                      // offline 서명자 기록 여부
+ *     finish?(),                              // 명령 종료 후 정리 (가스 요약 출력 등)
+ *   }
+ *
+ * 주의:
+ *  - 이 모듈은 hardhat에 의존하지 않음 (ethers만 사용)
+ *
+ * @author hlibbc
+ */
+const { ethers } = require("ethers");
+const Revert = require("./_revert");
+const { floor6 } = require("./_vestingModel");
+const { discoverPermitDomain, signPermit } = require("./_permit");
+
+const DAY = 86400n;
+const SYNC_MAX_LIMIT = 7n;
+
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2, REVERTED: 3 };
+
+const GLOBAL_FLAGS = ["network", "json", "help"];
+const BOOLEAN_FLAGS = ["json", "help"];
+
+const ERC20_ABI = ["function balanceOf(address) view returns (uint256)"];
+
+// =============================================================================
+// 인수 파싱
+// =============================================================================
+
+/**
+ * @notice 사용법 오류 (종료 코드 2)
+ * @param {string} message
+ * @returns {Error} code = "USAGE"
+ */
+function usageError(message) {
+    const err = new Error(message);
+    err.code = "USAGE";
+    return err;
+}
+
+/**
+ * @notice argv 파싱 (플래그 검증은 명령 선택 후 validateFlags에서)
+ * @param {string[]} argv process.argv.slice(2)
+ * @returns {{command: string|null, args: string[], flags: Record<string, string|true>}}
+ *
+ * 형식: <command> [positional...] [--flag value | --flag=value | --json]
+ */
+function parseArgs(argv) {
+    const flags = {};
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const tok = argv[i];
+        if (!tok.startsWith("--")) {
+            positional.push(tok);
+            continue;
+        }
+        const eq = tok.indexOf("=");
+        const name = tok.slice(2, eq < 0 ? undefined : eq);
+        if (!name) throw usageError(`❌ 잘못된 플래그: ${tok}`);
+        if (name in flags) throw usageError(`❌ 플래그가 중복되었습니다: --${name}`);
+        if (eq >= 0) {
+            flags[name] = tok.slice(eq + 1);
+        } else if (BOOLEAN_FLAGS.includes(name)) {
+            flags[name] = true;
+        } else {
+            const value = argv[i + 1];
+            if (value == null || value.startsWith("--")) throw usageError(`❌ --${name} 값이 필요합니다.`);
+            flags[name] = value;
+            i++;
+        }
+    }
+    const [command = null, ...args] = positional;
+    return { command, args, flags };
+}
+
+/**
+ * @notice 명령이 허용하지 않는 플래그 검사
+ */
+function validateFlags(command, spec, flags) {
+    for (const name of Object.keys(flags)) {
+        if (!GLOBAL_FLAGS.includes(name) && !spec.flags.includes(name)) {
+            throw usageError(`❌ ${command}: 알 수 없는 플래그 --${name} (허용: ${[...spec.flags, ...GLOBAL_FLAGS].map((f) => `--${f}`).join(" ")})`);
+        }
+    }
+}
+
+/**
+ * @notice 주소 인수 (체크섬 정규화)
+ * @param {string|undefined} raw
+ * @param {string} name 오류 메시지용 이름 (예: "--address")
+ */
+function parseAddress(raw, name) {
+    if (raw == null || raw === true || raw === "") throw usageError(`❌ ${name} 주소가 필요합니다.`);
+    try {
+        return ethers.getAddress(raw);
+    } catch {
+        throw usageError(`❌ 잘못된 주소 형식입니다 (${name}): ${raw}`);
+    }
+}
+
+/**
+ * @notice 양의 정수 인수
+ */
+function parsePositiveInt(raw, name) {
+    if (raw == null || raw === true || !/^\d+$/.test(String(raw)) || BigInt(raw) === 0n) {
+        throw usageError(`❌ ${name}는 1 이상의 정수여야 합니다: ${raw ?? "(없음)"}`);
+    }
+    return BigInt(raw);
+}
+
+/**
+ * @notice --at 파싱: epoch 초 | ISO 시각 | YYYY-MM-DD (UTC 자정)
+ * @param {string} raw
+ * @returns {bigint} epoch 초
+ */
+function parseAt(raw) {
+    if (raw == null || raw === true || raw === "") throw usageError("❌ --at 값이 필요합니다.");
+    if (/^\d+$/.test(raw)) return BigInt(raw);
+    const ms = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(raw) ? `${raw}T00:00:00Z` : raw);
+    if (Number.isNaN(ms)) throw usageError(`❌ --at 형식이 올바르지 않습니다 (epoch 초 / ISO 시각 / YYYY-MM-DD): ${raw}`);
+    return BigInt(Math.floor(ms / 1000));
+}
+
+// =============================================================================
+// 공통 헬퍼
+// =============================================================================
+
+async function latestTs(provider) {
+    return BigInt((await provider.getBlock("latest")).timestamp);
+}
+
+async function startTsOf(ctx) {
+    return ctx.deployment?.startTs ?? BigInt(await ctx.vesting.vestingStartDate());
+}
+
+const dayOf = (start, ts) => (ts < start ? 0n : (ts - start) / DAY);
+
+const isoOf = (ts) => new Date(Number(ts) * 1000).toISOString();
+
+/**
+ * @notice 조회 대상 주소: --address → USER_ADDRESS
+ */
+function pickAddress(flags, env) {
+    return parseAddress(flags.address ?? env.USER_ADDRESS, "--address (또는 USER_ADDRESS)");
+}
+
+/**
+ * @notice 전송 결과 요약 (offline 기록이면 queued=true, 가스 정보 없음)
+ */
+function txSummary(ctx, rc) {
+    const queued = Boolean(ctx.isQueuedTx?.(rc.hash));
+    return { txHash: rc.hash, queued, gasUsed: queued ? null : rc.gasUsed };
+}
+
+/**
+ * @notice 영수증에서 TokenVesting 이벤트 1건 찾기
+ */
+function findEvent(vesting, rc, name) {
+    for (const log of rc.logs ?? []) {
+        try {
+            const ev = vesting.interface.parseLog(log);
+            if (ev?.name === name) return ev;
+        } catch { /* 다른 컨트랙트 로그 */ }
+    }
+    return null;
+}
+
+// =============================================================================
+// 서브커맨드
+// =============================================================================
+
+/**
+ * @description 배포/동기화 상태
+ */
+async function cmdInfo(ctx) {
+    const v = ctx.vesting;
+    const [start, now, lastSyncedDay, totalBoxes, totalReferralUnits, vestingToken, recipient, owner] = await Promise.all([
+        startTsOf(ctx), latestTs(ctx.provider), v.lastSyncedDay(), v.getTotalBoxPurchased(), v.getTotalReferralUnits(),
+        v.vestingToken(), v.recipient(), v.owner(),
+    ]);
+    const today = dayOf(start, now);
+    return {
+        vesting: await v.getAddress(),
+        owner,
+        recipient,
+        vestingToken,
+        startTs: start,
+        now,
+        today,
+        lastSyncedDay,
+        syncLagDays: today > lastSyncedDay ? today - lastSyncedDay : 0n,
+        totalBoxes,
+        totalReferralUnits,
+    };
+}
+
+/**
+ * @description 지정 시점(--at, 기본 최신 블록)의 구매자/추천인 claimable (previewBuyer/ReferrerClaimableAt)
+ */
+async function cmdClaimable(ctx, { flags, env }) {
+    const address = pickAddress(flags, env);
+    const atArg = flags.at != null ? parseAt(flags.at) : null;
+    const v = ctx.vesting;
+    const start = await startTsOf(ctx);
+    const at = atArg ?? await latestTs(ctx.provider);
+    const day = dayOf(start, at);
+    const [buyer, referral, boxes, referralUnits] = await Promise.all([
+        v.previewBuyerClaimableAt(address, at),
+        v.previewReferrerClaimableAt(address, at),
+        v.buyerBoxesAtDay(address, day),
+        v.referralUnitsAtDay(address, day),
+    ]);
+    return {
+        address,
+        at,
+        day,
+        boxes,
+        referralUnits,
+        buyer: { amount: buyer, pay: floor6(buyer) },
+        referral: { amount: referral, pay: floor6(referral) },
+    };
+}
+
+/**
+ * @description 어제 획득량 (previewBuyer/ReferrerEarnedYesterday — 최신 블록 기준이라 --at 미지원)
+ */
+async function cmdEarned(ctx, { flags, env }) {
+    const address = pickAddress(flags, env);
+    const [buyer, referral] = await Promise.all([
+        ctx.vesting.previewBuyerEarnedYesterday(address),
+        ctx.vesting.previewReferrerEarnedYesterday(address),
+    ]);
+    return { address, buyer, referral };
+}
+
+/**
+ * @description 박스 구매 (user 서명자, permit 경로)
+ */
+async function cmdBuy(ctx, { flags }) {
+    const boxes = parsePositiveInt(flags.boxes, "--boxes");
+    const ref = String(flags.ref ?? "").toUpperCase();
+    if (!/^[A-Z0-9]{8}$/.test(ref)) throw usageError(`❌ --ref는 8자리 레퍼럴 코드(A-Z/0-9)여야 합니다: ${flags.ref ?? "(없음)"}`);
+
+    const v = ctx.vesting;
+    const price = await v.estimatedTotalAmount(boxes, ref);
+    if (price === 0n) throw new Error(`❌ 유효하지 않은 레퍼럴 코드입니다: ${ref} (estimatedTotalAmount = 0)`);
+
+    const signer = await ctx.signer("user");
+    const buyer = await signer.getAddress();
+    const stableAddr = await v.stableCoin();
+    const balance = await new ethers.Contract(stableAddr, ERC20_ABI, ctx.provider).balanceOf(buyer);
+    if (balance < price) throw new Error(`❌ StableCoin 잔액 부족: 필요=${price}, 보유=${balance} (${buyer})`);
+
+    const { domain } = await discoverPermitDomain(stableAddr, ctx.provider);
+    const permit = await signPermit(signer, { token: stableAddr, spender: await v.getAddress(), value: price, domain, provider: ctx.provider });
+    const rc = await ctx.send(`[buy] vesting.buyBox(${boxes}, ${ref})`, v.connect(signer).buyBox(boxes, ref, permit), "purchase");
+    return { buyer, boxes, ref, price, ...txSummary(ctx, rc) };
+}
+
+/**
+ * @description 박스 소유권 이전 (owner 서명자, offline 가능)
+ */
+async function cmdSend(ctx, { flags }) {
+    const from = parseAddress(flags.from, "--from");
+    const to = parseAddress(flags.to, "--to");
+    const boxes = parsePositiveInt(flags.boxes, "--boxes");
+    if (from === to) throw usageError("❌ --from과 --to가 같습니다.");
+
+    const signer = await ctx.signer("owner");
+    const rc = await ctx.send(`[send] vesting.sendBox(${from} → ${to}, ${boxes})`, ctx.vesting.connect(signer).sendBox(from, to, boxes), "send");
+    return { from, to, boxes, ...txSummary(ctx, rc) };
+}
+
+const CLAIM_POOLS = {
+    purchase: { fn: "claimPurchaseReward", preview: "previewBuyerClaimable", event: "PurchasePoolClaimed" },
+    referral: { fn: "claimReferralReward", preview: "previewReferrerClaimable", event: "ReferralPoolClaimed" },
+};
+
+/**
+ * @description 보상 클레임 (user 서명자). floor6 지급액이 0이면 전송하지 않음 (skipped)
+ */
+async function cmdClaim(ctx, { args }) {
+    const pool = args[0];
+    const spec = CLAIM_POOLS[pool];
+    if (!spec) throw usageError(`❌ claim 대상 풀을 지정하세요 (${Object.keys(CLAIM_POOLS).join("|")}): ${pool ?? "(없음)"}`);
+
+    const signer = await ctx.signer("user");
+    const address = await signer.getAddress();
+    const preview = await ctx.vesting[spec.preview](address);
+    if (floor6(preview) === 0n) {
+        return { pool, address, preview, skipped: true, reason: "nothing to claim" };
+    }
+    const rc = await ctx.send(`[claim] ${pool}`, ctx.vesting.connect(signer)[spec.fn](), "claim");
+    const ev = findEvent(ctx.vesting, rc, spec.event);
+    return {
+        pool,
+        address,
+        preview,
+        pay: ev ? ev.args[1] : null,
+        fromDay: ev ? ev.args[2] : null,
+        toDay: ev ? ev.args[3] : null,
+        ...txSummary(ctx, rc),
+    };
+}
+
+/**
+ * @description 일일 확정 따라잡기 (owner 서명자): 목표일(--at, 기본 최신 블록)까지 --limit(기본 7)일씩 syncLimitDay
+ */
+async function cmdSync(ctx, { flags }) {
+    const limit = flags.limit != null ? parsePositiveInt(flags.limit, "--limit") : SYNC_MAX_LIMIT;
+    if (limit > SYNC_MAX_LIMIT) throw usageError(`❌ --limit는 ${SYNC_MAX_LIMIT} 이하여야 합니다: ${limit}`);
+    const atArg = flags.at != null ? parseAt(flags.at) : null;
+
+    const v = ctx.vesting;
+    const [start, now] = [await startTsOf(ctx), await latestTs(ctx.provider)];
+    const at = atArg ?? now;
+    const target = dayOf(start, at < now ? at : now);
+    const from = BigInt(await v.lastSyncedDay());
+    if (target <= from) {
+        return { fromDay: from, targetDay: target, toDay: from, txs: [], skipped: true, reason: "up-to-date" };
+    }
+
+    const signer = await ctx.signer("owner");
+    const txs = [];
+    for (let remain = target - from; remain > 0n;) {
+        const days = remain > limit ? limit : remain;
+        const rc = await ctx.send(`[sync] syncLimitDay(${days})`, v.connect(signer).syncLimitDay(days), "sync");
+        txs.push({ days, ...txSummary(ctx, rc) });
+        remain -= days;
+    }
+    const queued = txs.some((t) => t.queued);
+    return { fromDay: from, targetDay: target, toDay: queued ? from : BigInt(await v.lastSyncedDay()), txs };
+}
+
+// =============================================================================
+// 명령 테이블 / 사람용 출력
+// =============================================================================
+
+const fmt18 = (x) => ethers.formatUnits(x, 18);
+const txLine = (r) => (r.queued ? `📝 offline 기록 (브로드캐스트하지 않음) ${r.txHash}` : `✅ tx ${r.txHash} (gasUsed=${r.gasUsed})`);
+
+const COMMANDS = {
+    info: {
+        usage: "info",
+        summary: "배포 주소 / 시작일 / 오늘 day / lastSyncedDay / 총 판매량",
+        flags: [],
+        run: cmdInfo,
+        render: (r) => [
+            `🔗 TokenVesting : ${r.vesting}`,
+            `👤 owner        : ${r.owner}`,
+            `🏦 recipient    : ${r.recipient}`,
+            `🪙 vestingToken : ${r.vestingToken}`,
+            `🗓️  start        : ${r.startTs} (${isoOf(r.startTs)})`,
+            `⏱️  now          : ${r.now} (${isoOf(r.now)}) → day ${r.today}`,
+            `🔁 lastSyncedDay: ${r.lastSyncedDay} (미확정 ${r.syncLagDays}일)`,
+            `📦 총 박스      : ${r.totalBoxes} (레퍼럴 ${r.totalReferralUnits})`,
+        ],
+    },
+    claimable: {
+        usage: "claimable --address <addr> [--at <epoch|ISO|YYYY-MM-DD>]",
+        summary: "구매자/추천인 클레임 가능액 (지정 시점 시뮬레이션, floor6 지급액 포함)",
+        flags: ["address", "at"],
+        run: cmdClaimable,
+        render: (r) => [
+            `👤 ${r.address} @ ${r.at} (${isoOf(r.at)}, day ${r.day})`,
+            `📦 boxes=${r.boxes} referralUnits=${r.referralUnits}`,
+            `💰 buyer    : ${r.buyer.amount} → pay ${r.buyer.pay} (≈ ${fmt18(r.buyer.pay)})`,
+            `💰 referral : ${r.referral.amount} → pay ${r.referral.pay} (≈ ${fmt18(r.referral.pay)})`,
+        ],
+    },
+    earned: {
+        usage: "earned --address <addr>",
+        summary: "어제 하루 획득량 (구매자/추천인, 6자리 절삭)",
+        flags: ["address"],
+        run: cmdEarned,
+        render: (r) => [
+            `👤 ${r.address}`,
+            `💰 buyer    : ${r.buyer} (≈ ${fmt18(r.buyer)})`,
+            `💰 referral : ${r.referral} (≈ ${fmt18(r.referral)})`,
+        ],
+    },
+    buy: {
+        usage: "buy --boxes <n> --ref <CODE8>",
+        summary: "박스 구매 (user 서명자, permit 결제)",
+        flags: ["boxes", "ref"],
+        run: cmdBuy,
+        render: (r) => [`🛒 ${r.buyer}: ${r.boxes}박스 (ref ${r.ref}, 결제 ${r.price})`, txLine(r)],
+    },
+    send: {
+        usage: "send --from <addr> --to <addr> --boxes <n>",
+        summary: "박스 소유권 이전 (owner 서명자, offline 가능)",
+        flags: ["from", "to", "boxes"],
+        run: cmdSend,
+        render: (r) => [`📤 ${r.from} → ${r.to}: ${r.boxes}박스`, txLine(r)],
+    },
+    claim: {
+        usage: "claim <purchase|referral>",
+        summary: "보상 전액 클레임 (user 서명자, 지급액 0이면 건너뜀)",
+        flags: [],
+        run: cmdClaim,
+        render: (r) => (r.skipped
+            ? [`⚠️ ${r.address}: 클레임 가능한 ${r.pool} 보상이 없습니다. (preview=${r.preview})`]
+            : [`🎁 ${r.address}: ${r.pool} pay=${r.pay ?? "-"} (day ${r.fromDay ?? "-"}..${r.toDay ?? "-"})`, txLine(r)]),
+    },
+    sync: {
+        usage: "sync [--limit <1..7>] [--at <epoch|ISO|YYYY-MM-DD>]",
+        summary: "일일 확정 따라잡기 (owner 서명자, syncLimitDay 반복)",
+        flags: ["limit", "at"],
+        run: cmdSync,
+        render: (r) => (r.skipped
+            ? [`✅ 이미 동기화됨 (lastSyncedDay=${r.fromDay}, 목표 day ${r.targetDay})`]
+            : [...r.txs.map((t) => `[sync] +${t.days}일 ${txLine(t)}`), `🔁 lastSyncedDay ${r.fromDay} → ${r.toDay} (목표 day ${r.targetDay})`]),
+    },
+};
+
+/**
+ * @notice 사용법 문자열
+ */
+function usageText() {
+    const width = Math.max(...Object.values(COMMANDS).map((c) => c.usage.length));
+    return [
+        "사용법: node scripts/vesting.js <command> [options] [--network <net>] [--json]",
+        "",
+        "명령:",
+        ...Object.values(COMMANDS).map((c) => `  ${c.usage.padEnd(width)}  ${c.summary}`),
+        "",
+        "공통 옵션:",
+        "  --network <net>  hardhat 네트워크 (HARDHAT_NETWORK)",
+        "  --json           결과를 JSON 한 줄로 stdout에 출력 (로그는 stderr)",
+        "  --help           이 도움말",
+        "",
+        `종료 코드: ${EXIT.OK}=성공, ${EXIT.FAILED}=실행 실패, ${EXIT.USAGE}=사용법 오류, ${EXIT.REVERTED}=컨트랙트 revert`,
+    ].join("\n");
+}
+
+// =============================================================================
+// 실행
+// =============================================================================
+
+/**
+ * @notice bigint → 10진 문자열 JSON 직렬화
+ */
+function toJSON(value) {
+    return JSON.stringify(value, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+}
+
+let revertDecoder = null;
+
+/**
+ * @notice 에러 → { exitCode, error }
+ */
+function classifyError(e) {
+    if (e?.code === "USAGE") return { exitCode: EXIT.USAGE, error: { message: e.message } };
+    revertDecoder ??= Revert.createRevertDecoder(Revert.loadDefaultAbis());
+    const r = revertDecoder.decode(e);
+    const error = { message: r.message, kind: r.kind, name: r.name, reason: r.reason ?? null, data: r.data ?? null };
+    return { exitCode: r.kind === "unknown" ? EXIT.FAILED : EXIT.REVERTED, error };
+}
+
+/**
+ * @notice CLI 실행
+ * @param {string[]} argv process.argv.slice(2)
+ * @param {object} io
+ * @param {(opts: {network?: string}) => Promise<object>} io.createContext 컨텍스트 생성 (파일 머리말 참고)
+ * @param {{write: Function}} [io.stdout]
+ * @param {{write: Function}} [io.stderr]
+ * @param {Record<string, string>} [io.env]
+ * @returns {Promise<number>} 종료 코드
+ */
+async function runCli(argv, { createContext, stdout = process.stdout, stderr = process.stderr, env = process.env }) {
+    let parsed = { command: null, args: [], flags: {} };
+    const json = argv.includes("--json");
+    const emit = (ok, body) => {
+        if (json) stdout.write(toJSON({ ok, command: parsed.command, ...body }) + "\n");
+    };
+    const fail = (e) => {
+        const { exitCode, error } = classifyError(e);
+        if (json) {
+            emit(false, { exitCode, error });
+        } else {
+            stderr.write(`${error.message}\n`);
+            if (error.kind && error.kind !== "unknown") stderr.write(`   • revert: ${error.kind} ${error.name}${error.data ? ` (${error.data})` : ""}\n`);
+            if (exitCode === EXIT.USAGE) stderr.write(`\n${usageText()}\n`);
+            if (env.DEBUG) stderr.write(`${e?.stack ?? e}\n`);
+        }
+        return exitCode;
+    };
+
+    try {
+        parsed = parseArgs(argv);
+    } catch (e) {
+        return fail(e);
+    }
+    const { command, args, flags } = parsed;
+    if (flags.help || command == null || command === "help") {
+        stdout.write(`${usageText()}\n`);
+        return command == null && !flags.help ? EXIT.USAGE : EXIT.OK;
+    }
+    const spec = COMMANDS[command];
+
+    // --json이면 진행/가스 로그(console.log)를 stderr로 돌려 stdout에는 결과 JSON만 남김
+    const log = console.log;
+    if (json) console.log = (...a) => stderr.write(a.map(String).join(" ") + "\n");
+    try {
+        if (!spec) throw usageError(`❌ 알 수 없는 명령: ${command}`);
+        validateFlags(command, spec, flags);
+        const ctx = await createContext({ network: flags.network });
+        const result = await spec.run(ctx, { args, flags, env });
+        await ctx.finish?.();
+        if (json) {
+            emit(true, { network: ctx.network ?? null, chainId: ctx.chainId ?? null, result });
+        } else {
+            stdout.write(spec.render(result).join("\n") + "\n");
+        }
+        return EXIT.OK;
+    } catch (e) {
+        return fail(e);
+    } finally {
+        console.log = log;
+    }
+}
+
+module.exports = {
+    EXIT,
+    COMMANDS,
+    parseArgs,
+    parseAt,
+    usageText,
+    toJSON,
+    runCli,
+};
@@ -0,0 +1,404 @@
+/**
+ * @fileoverview
+ *  TokenVesting 오프체인 회계 모델 (이벤트 재생)
+ * @description
+ *  - 배포 이후의 이벤트를 순서대로 재생해 컨트랙트 회계 상태를 JS로 재구성
+ *      • BoxesPurchased     → boxesAddedPerDay / referralsAddedPerDay / 구매자·추천인 체크포인트 / 바이백 적립
+ *      • BoxesTransferred   → from 절대값 차감(in-place) + to 가산 (sendBox / backfillSendBoxBulkAt 동일 로직)
+ *      • DailySynced        → cumBoxes / cumReferals / rewardPerBox / rewardPerReferral / 누적 단가
+ *      • PurchasePoolClaimed / ReferralPoolClaimed → 청구 구간 / 누적 청구액
+ *      • BuybackClaimed     → 바이백 잔액 차감
+ *  - 재생 중 이벤트 자체와 모델 계산이 어긋나면 issues에 기록
+ *      (예: DailySynced 분모 ≠ 재생한 누적 박스 수, 클레임 금액 ≠ 체크포인트 기반 계산값)
+ *  - schedule(연차 종료시각/풀 총량)을 주면 일일 단가를 모델이 직접 계산하고,
+ *    없으면 DailySynced의 단가를 그대로 채택(분모/누적만 검증)
+ *
+ * 컨트랙트 로직 대응:
+ *   balanceAtDay   ↔ _balanceAtDay
+ *   calcByHistory  ↔ _calcByHistory (+ _rangeSum)
+ *   dailyPool      ↔ _dailyPoolRawByTs
+ *   claimWindow    ↔ _claimWindow
+ *
+ * 주의:
+ *  - 이 모듈은 hardhat / ethers provider에 의존하지 않음 (순수 계산)
+ *  - 모든 수치는 bigint
+ *
+ * @author hlibbc
+ */
+const { ethers } = require("ethers");
+
+const DAY = 86400n;
+const UNSET = ethers.MaxUint256; // 컨트랙트의 "클레임 이력없음" 센티널
+
+/**
+ * @notice 체크포인트 배열에서 day 시점 보유량 (_balanceAtDay)
+ * @param {Array<{day: bigint, amount: bigint}>} hist
+ * @param {bigint} day
+ * @returns {bigint}
+ */
+function balanceAtDay(hist, day) {
+    let cur = 0n;
+    for (let i = 0; i < hist.length && hist[i].day <= day; i++) cur = hist[i].amount;
+    return cur;
+}
+
+/**
+ * @notice 18dec → 소수 6자리 절삭 (_applyFloor6)
+ * @param {bigint} amount18
+ * @returns {bigint}
+ */
+function floor6(amount18) {
+    return amount18 - (amount18 % 10n ** 12n);
+}
+
+/**
+ * @notice 누적 맵 구간합 [a, b] (_rangeSum)
+ */
+function rangeSum(cum, a, b) {
+    if (a > b) return 0n;
+    const at = (d) => cum.get(d) ?? 0n;
+    return a === 0n ? at(b) : at(b) - at(a - 1n);
+}
+
+/**
+ * @notice 체크포인트 기반 확정 보상 (_calcByHistory)
+ * @param {Array<{day: bigint, amount: bigint}>} hist
+ * @param {Map<bigint, bigint>} cum 누적 단가 (cumRewardPerBox / cumRewardPerReferral)
+ * @param {bigint} fromDay 포함
+ * @param {bigint} toDay 포함
+ * @returns {bigint} 18dec
+ */
+function calcByHistory(hist, cum, fromDay, toDay) {
+    if (fromDay > toDay || hist.length === 0) return 0n;
+    const n = hist.length;
+    let i = 0;
+    let curBal = 0n;
+    while (i < n && hist[i].day <= fromDay) { curBal = hist[i].amount; i++; }
+
+    let total = 0n;
+    const segEndOf = (next) => (next > 0n ? (toDay < next - 1n ? toDay : next - 1n) : toDay);
+
+    let segStart = fromDay;
+    let segEnd = segEndOf(i < n ? hist[i].day : toDay + 1n);
+    if (segEnd >= segStart && curBal > 0n) total += curBal * rangeSum(cum, segStart, segEnd);
+
+    while (i < n && hist[i].day <= toDay) {
+        curBal = hist[i].amount;
+        segStart = hist[i].day;
+        i++;
+        segEnd = segEndOf(i < n ? hist[i].day : toDay + 1n);
+        if (segEnd >= segStart && curBal > 0n) total += curBal * rangeSum(cum, segStart, segEnd);
+    }
+    return total;
+}
+
+/**
+ * @notice 자정 시각 기준 일일 풀 (_dailyPoolRawByTs, 연차 마지막 날 잔여 보정 포함)
+ * @param {bigint} startTs vestingStartDate
+ * @param {{ends: bigint[], buyerTotals: bigint[], refTotals: bigint[]}} sch 연차 스케줄 (bigint)
+ * @param {bigint} dayStartTs
+ * @param {boolean} forBuyer
+ * @returns {bigint} 18dec (스케줄 밖이면 0)
+ */
+function dailyPoolAt(startTs, sch, dayStartTs, forBuyer) {
+    const y = sch.ends.findIndex((e) => dayStartTs <= e);
+    if (y < 0) return 0n;
+    const total = forBuyer ? sch.buyerTotals[y] : sch.refTotals[y];
+    if (total === 0n) return 0n;
+    const yStart = y === 0 ? startTs : sch.ends[y - 1] + 1n;
+    const inYear = (dayStartTs - yStart) / DAY;
+    const termDays = (sch.ends[y] - yStart) / DAY + 1n;
+    const base = total / termDays;
+    return inYear === termDays - 1n ? total - base * (termDays - 1n) : base;
+}
+
+/**
+ * @notice 모델 생성
+ * @param {object} args
+ * @param {bigint} args.startTs vestingStartDate
+ * @param {{ends: bigint[], buyerTotals: bigint[], refTotals: bigint[]}} [args.schedule]
+ *        initializeSchedule 인자 (생략 시 DailySynced 단가 채택)
+ * @returns {object} 모델 핸들
+ */
+function createVestingModel({ startTs, schedule = null }) {
+    startTs = BigInt(startTs);
+    const sch = schedule && {
+        ends: schedule.ends.map(BigInt),
+        buyerTotals: schedule.buyerTotals.map(BigInt),
+        refTotals: schedule.refTotals.map(BigInt),
+    };
+
+    const state = {
+        lastSyncedDay: 0n,
+        nextSyncTs: startTs,
+        boxesAdded: new Map(), // day → 박스
+        refAdded: new Map(), // day → 레퍼럴 단위
+        cumBoxes: new Map(),
+        cumReferals: new Map(),
+        rewardPerBox: new Map(),
+        rewardPerReferral: new Map(),
+        cumRewardPerBox: new Map(),
+        cumRewardPerReferral: new Map(),
+        users: new Map(), // addr → 유저 상태
+    };
+    const issues = [];
+    const counts = {};
+
+    const dayOf = (ts) => (BigInt(ts) < startTs ? 0n : (BigInt(ts) - startTs) / DAY);
+    const inc = (m, k, n) => m.set(k, (m.get(k) ?? 0n) + n);
+
+    function userOf(addr) {
+        const a = ethers.getAddress(addr);
+        if (!state.users.has(a)) {
+            state.users.set(a, {
+                buyerHist: [],
+                refHist: [],
+                lastBuyerClaimedDay: 0n,
+                lastRefClaimedDay: 0n,
+                totalClaimedBuyer: 0n,
+                totalClaimedReferral: 0n,
+                buyback: 0n,
+            });
+        }
+        return state.users.get(a);
+    }
+
+    function issue(meta, kind, detail) {
+        issues.push({ kind, event: meta?.event, block: meta?.blockNumber, tx: meta?.transactionHash, ...detail });
+    }
+
+    // ── 일일 풀 (_dailyPoolRawByTs) ────────────────────────────────────────
+    /**
+     * @notice 자정 시각 기준 일일 풀 (schedule 없으면 null)
+     * @param {bigint} dayStartTs
+     * @param {boolean} forBuyer
+     * @returns {bigint|null}
+     */
+    function dailyPool(dayStartTs, forBuyer) {
+        return sch ? dailyPoolAt(startTs, sch, dayStartTs, forBuyer) : null;
+    }
+
+    // ── 체크포인트 (_pushBuyerCheckpoint / _pushRefCheckpoint) ─────────────
+    function pushCheckpoint(u, kind, effDay, added, meta) {
+        const hist = kind === "buyer" ? u.buyerHist : u.refHist;
+        const claimedKey = kind === "buyer" ? "lastBuyerClaimedDay" : "lastRefClaimedDay";
+        if (hist.length === 0 && u[claimedKey] === 0n) u[claimedKey] = UNSET;
+        if (hist.length) {
+            const last = hist[hist.length - 1];
+            if (last.day === effDay) { last.amount += added; return; }
+            if (effDay < last.day) {
+                // 컨트랙트라면 "non-monotonic effDay"로 revert → 이벤트가 있을 수 없는 상태
+                issue(meta, "non-monotonic checkpoint", { kind: kind, day: effDay.toString(), lastDay: last.day.toString() });
+            }
+            hist.push({ day: effDay, amount: last.amount + added });
+        } else {
+            hist.push({ day: effDay, amount: added });
+        }
+    }
+
+    // ── 이벤트 핸들러 ───────────────────────────────────────────────────────
+    function onPurchased(a, meta) {
+        const d = dayOf(a.timestamp);
+        const box = BigInt(a.boxCount);
+        if (d < state.lastSyncedDay) {
+            issue(meta, "purchase on finalized day", { day: d.toString(), lastSyncedDay: state.lastSyncedDay.toString() });
+        }
+        inc(state.boxesAdded, d, box);
+        pushCheckpoint(userOf(a.buyer), "buyer", d, box, meta);
+        if (a.referrer !== ethers.ZeroAddress) {
+            const r = userOf(a.referrer);
+            inc(state.refAdded, d, box);
+            pushCheckpoint(r, "ref", d, box, meta);
+            r.buyback += BigInt(a.buyback);
+        }
+    }
+
+    function onTransferred(a, meta) {
+        const d = dayOf(a.timestamp);
+        const box = BigInt(a.boxCount);
+        const from = userOf(a.from);
+        const hist = from.buyerHist;
+        const last = hist[hist.length - 1];
+        const base = last && last.day === d ? last.amount : balanceAtDay(hist, d);
+        if (base < box) {
+            issue(meta, "transfer exceeds balance", { from: ethers.getAddress(a.from), day: d.toString(), balance: base.toString(), boxCount: box.toString() });
+        }
+        const newBal = base >= box ? base - box : 0n;
+        if (hist.length === 0 && from.lastBuyerClaimedDay === 0n) from.lastBuyerClaimedDay = UNSET;
+        if (last && last.day === d) last.amount = newBal;
+        else hist.push({ day: d, amount: newBal });
+
+        pushCheckpoint(userOf(a.to), "buyer", d, box, meta);
+    }
+
+    function onSynced(a, meta) {
+        const d = BigInt(a.day);
+        if (d !== state.lastSyncedDay) {
+            issue(meta, "sync day gap", { expected: state.lastSyncedDay.toString(), got: d.toString() });
+        }
+        const prevBoxes = d === 0n ? 0n : (state.cumBoxes.get(d - 1n) ?? 0n);
+        const prevRefs = d === 0n ? 0n : (state.cumReferals.get(d - 1n) ?? 0n);
+        const boxesDenom = prevBoxes + (state.boxesAdded.get(d) ?? 0n);
+        const referralDenom = prevRefs + (state.refAdded.get(d) ?? 0n);
+
+        if (boxesDenom !== BigInt(a.boxesDenom) || referralDenom !== BigInt(a.referralDenom)) {
+            issue(meta, "sync denominator mismatch", {
+                day: d.toString(),
+                boxesDenom: { model: boxesDenom.toString(), event: BigInt(a.boxesDenom).toString() },
+                referralDenom: { model: referralDenom.toString(), event: BigInt(a.referralDenom).toString() },
+            });
+        }
+
+        let perBox = BigInt(a.rewardPerBox);
+        let perRef = BigInt(a.rewardPerRefUnit);
+        const dayStart = startTs + d * DAY;
+        const buyerPool = dailyPool(dayStart, true);
+        if (buyerPool != null) {
+            const refPool = dailyPool(dayStart, false);
+            const mBox = buyerPool > 0n && boxesDenom > 0n ? buyerPool / boxesDenom : 0n;
+            const mRef = refPool > 0n && referralDenom > 0n ? refPool / referralDenom : 0n;
+            if (mBox !== perBox || mRef !== perRef) {
+                issue(meta, "sync rate mismatch", {
+                    day: d.toString(),
+                    rewardPerBox: { model: mBox.toString(), event: perBox.toString() },
+                    rewardPerReferral: { model: mRef.toString(), event: perRef.toString() },
+                });
+            }
+            perBox = mBox;
+            perRef = mRef;
+        }
+
+        state.rewardPerBox.set(d, perBox);
+        state.rewardPerReferral.set(d, perRef);
+        state.cumRewardPerBox.set(d, (d === 0n ? 0n : (state.cumRewardPerBox.get(d - 1n) ?? 0n)) + perBox);
+        state.cumRewardPerReferral.set(d, (d === 0n ? 0n : (state.cumRewardPerReferral.get(d - 1n) ?? 0n)) + perRef);
+        state.cumBoxes.set(d, boxesDenom);
+        state.cumReferals.set(d, referralDenom);
+        state.lastSyncedDay = d + 1n;
+        state.nextSyncTs = startTs + state.lastSyncedDay * DAY;
+    }
+
+    function onClaimed(a, meta, kind) {
+        const u = userOf(a.user);
+        const buyer = kind === "buyer";
+        const key = buyer ? "lastBuyerClaimedDay" : "lastRefClaimedDay";
+        const [fromDay, toDay] = claimWindow(u[key]);
+        const amount = floor6(calcByHistory(
+            buyer ? u.buyerHist : u.refHist,
+            buyer ? state.cumRewardPerBox : state.cumRewardPerReferral,
+            fromDay, toDay,
+        ));
+        const ev = { fromDay: BigInt(a.fromDay), toDay: BigInt(a.toDay), amount: BigInt(a.amount) };
+        if (ev.fromDay !== fromDay || ev.toDay !== toDay || ev.amount !== amount) {
+            issue(meta, "claim mismatch", {
+                user: ethers.getAddress(a.user),
+                pool: kind,
+                model: { fromDay: fromDay.toString(), toDay: toDay.toString(), amount: amount.toString() },
+                event: { fromDay: ev.fromDay.toString(), toDay: ev.toDay.toString(), amount: ev.amount.toString() },
+            });
+        }
+        // 이후 상태는 이벤트 기준으로 진행 (한 건의 불일치가 뒤따르는 모든 클레임으로 번지지 않도록)
+        u[key] = ev.toDay;
+        if (buyer) u.totalClaimedBuyer += ev.amount;
+        else u.totalClaimedReferral += ev.amount;
+    }
+
+    function onBuybackClaimed(a, meta) {
+        const u = userOf(a.user);
+        const amount = BigInt(a.amount);
+        if (amount !== u.buyback) {
+            issue(meta, "buyback mismatch", { user: ethers.getAddress(a.user), model: u.buyback.toString(), event: amount.toString() });
+        }
+        u.buyback = 0n;
+    }
+
+    /**
+     * @notice 클레임 구간 (_claimWindow)
+     * @param {bigint} lastClaimed
+     * @returns {[bigint, bigint]} [fromDay, toDay] (fromDay > toDay면 청구 불가)
+     */
+    function claimWindow(lastClaimed) {
+        if (state.lastSyncedDay === 0n) return [1n, 0n];
+        return [lastClaimed === UNSET ? 0n : lastClaimed + 1n, state.lastSyncedDay - 1n];
+    }
+
+    const handlers = {
+        BoxesPurchased: onPurchased,
+        BoxesTransferred: onTransferred,
+        DailySynced: onSynced,
+        PurchasePoolClaimed: (a, m) => onClaimed(a, m, "buyer"),
+        ReferralPoolClaimed: (a, m) => onClaimed(a, m, "referral"),
+        BuybackClaimed: onBuybackClaimed,
+    };
+
+    /**
+     * @notice 이벤트 1건 적용 (블록/로그 순서대로 호출해야 함)
+     * @param {string} name 이벤트 이름
+     * @param {object} args 이벤트 인자 (이름 기반 접근)
+     * @param {{blockNumber?: number, transactionHash?: string}} [meta]
+     * @returns {boolean} 모델이 다루는 이벤트였는지
+     */
+    function apply(name, args, meta = {}) {
+        const h = handlers[name];
+        if (!h) return false;
+        counts[name] = (counts[name] ?? 0) + 1;
+        h(args, { ...meta, event: name });
+        return true;
+    }
+
+    /**
+     * @notice 유저별 확정분 청구 가능액 (18dec, 미확정일 시뮬레이션 제외)
+     * @param {string} addr
+     * @returns {{buyer: bigint, referral: bigint}}
+     */
+    function claimable(addr) {
+        const u = state.users.get(ethers.getAddress(addr));
+        if (!u) return { buyer: 0n, referral: 0n };
+        const [bf, bt] = claimWindow(u.lastBuyerClaimedDay);
+        const [rf, rt] = claimWindow(u.lastRefClaimedDay);
+        return {
+            buyer: calcByHistory(u.buyerHist, state.cumRewardPerBox, bf, bt),
+            referral: calcByHistory(u.refHist, state.cumRewardPerReferral, rf, rt),
+        };
+    }
+
+    /**
+     * @notice getTotalBoxPurchased / getTotalReferralUnits 재현
+     * @param {bigint} nowTs 기준 블록 시각
+     */
+    function totals(nowTs) {
+        const today = dayOf(nowTs);
+        const pick = (cum, added) => {
+            if (state.lastSyncedDay === 0n) return added.get(0n) ?? 0n;
+            let s = cum.get(state.lastSyncedDay - 1n) ?? 0n;
+            for (let d = state.lastSyncedDay; d <= today; d++) s += added.get(d) ?? 0n;
+            return s;
+        };
+        return {
+            boxes: pick(state.cumBoxes, state.boxesAdded),
+            referrals: pick(state.cumReferals, state.refAdded),
+        };
+    }
+
+    return {
+        apply,
+        claimable,
+        claimWindow,
+        totals,
+        dailyPool,
+        dayOf,
+        state,
+        issues,
+        counts,
+    };
+}
+
+module.exports = {
+    DAY,
+    UNSET,
+    balanceAtDay,
+    floor6,
+    calcByHistory,
+    dailyPoolAt,
+    createVestingModel,
+};
@@ -12,15 +12,33 @@
  *   npx hardhat run scripts/adhoc/backfillHistory.js --network <net>
  *
  * 주의:
- *  - 동일 CSV를 재주입하면 중복 반영됩니다(컨트랙트가 중복 방어 안함)
+ *  - 컨트랙트는 중복 방어를 하지 않으므로, 스크립트가 체크포인트 저널로 중복 반영을 막습니다
+ *      - 저널: scripts/data/backfill-journal.<chainId>.json (BACKFILL_JOURNAL로 경로 변경 가능)
+ *      - 행마다 내용 해시(rowKey)를 기록, 배치 tx 해시는 영수증 대기 전에 pending으로 저장
+ *      - 재실행 시 pending 배치는 영수증으로 확정/실패 처리, 확정 배치는 이벤트와 재대조
+ *      - 저널에 없는 행도 BoxesPurchased / BoxesTransferred 이벤트에 이미 있으면 건너뜀
+ *        (이벤트 조회 시작 블록: BACKFILL_FROM_BLOCK, 기본값 배포 레지스트리의 TokenVesting 배포 블록)
  *  - 각 CSV는 내부적으로 **시간 오름차순 정렬 권장** (같은 user의 effDay가 역전되면 컨트랙트에서 revert)
  *  - 구매 → 전송 → (마지막) sync 순서를 지키십시오
+ *  - 실행 전후로 scripts/reconcileVesting.js를 돌려 이벤트 재생 결과와 온체인 회계가 일치하는지 확인하십시오
  *
  * 변경사항:
  *  - 단건 함수(backfillPurchaseAt, backfillSendBoxAt) 대신 벌크 함수 사용:
  *      - backfillPurchaseBulkAt(BackfillPurchase[]), backfillSendBoxBulkAt(BackfillSendBox[])
  *  - 배치 크기: 10개 (컨트랙트 MAX_BACKFILL_BULK=10에 맞춤)
  *  - 실패 시 같은 배치를 **한 번 재시도** (더 복잡한 반 분할 재시도 로직 제거)
+ *      - 단, tx가 이미 전송된 뒤의 실패는 재전송하지 않고 영수증으로 결과를 확인
+ *  - 잘못된 행(주소/수량/시각 파싱 실패)은 해당 행만 건너뜀
+ *
+ * Dry-run:
+ *   BACKFILL_DRY_RUN=1 npx hardhat run scripts/backfillHistories.js --network <net>
+ *  - 트랜잭션을 남기지 않고 유저별 박스 합계 / 레퍼럴 단위 / revert 될 effDay 역전 /
+ *    투영 cumBoxes·cumReferals 를 리포트 (scripts/output/backfill-dryrun-report.json)
+ *  - 로컬 노드나 포크 노드에서는 evm_snapshot 위에서 배치를 실제 실행 후 원복
+ *
+ * 서명자:
+ *  - OWNER_KEY 또는 OWNER_SIGNER=keystore (scripts/_signer.js, development 네트워크에서는 첫 번째 signer)
+ *  - 저널이 영수증으로 배치를 확정하므로 OWNER_SIGNER=offline 은 지원하지 않음 (dry-run은 owner impersonate)
  *
  * @author hlibbc
  */
@@ -29,6 +47,9 @@ const path = require("path");
 const hre = require("hardhat");
 const { ethers } = hre;
 const Shared = require("./_shared"); // 가스 유틸(withGasLog 등) 사용
+const Journal = require("./_backfillJournal");
+const Projection = require("./_backfillProjection");
+const { signerConfig } = require("./_signer");
 
 // ── .env 로드 (scripts/adhoc 기준 상위에 .env가 있다면 경로 맞춰 주세요)
 require("dotenv").config({ path: path.join(__dirname, "../.env") });
@@ -47,19 +68,6 @@ function mustRead(p) {
     return fs.readFileSync(p, "utf8");
 }
 
-/**
- * @description 배포 산출물(`scripts/output/deployment-info.json`)을 로드합니다
- * @returns {{contracts?: {tokenVesting?: string}, startTs?: string}} 배포 정보 객체
- * @throws {Error} 파일이 없거나 JSON 파싱이 실패하면 에러를 발생시킵니다
- */
-function loadDeploymentInfo() {
-    const p = path.join(__dirname, "./output/deployment-info.json");
-    if (!fs.existsSync(p)) {
-        throw new Error(`deployment-info.json not found: ${p}\n(먼저 deployContracts.js 실행)`);
-    }
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-}
-
 /**
  * @description 레퍼럴 코드를 정규화합니다(대문자/공백제거). 빈 값은 허용합니다.
  * @param {string} code - 원본 레퍼럴 코드
@@ -144,21 +152,70 @@ function chunk(arr, chunkSize) {
 }
 
 /**
- * @description tx 팩토리 함수를 받아 1회 재시도까지 수행합니다
- * @param {() => Promise<any>} txFactory - 호출 시점을 늦추기 위한 팩토리
- * @param {string} label - 로그 표기용
- * @param {object} totals - 가스 집계 버킷
- * @param {string} bucket - 집계 키(referral|purchase|send|sync)
+ * @description CSV 행을 백필 구조체로 변환합니다. 변환 실패한 행은 경고 후 제외합니다.
+ * @param {Array<object>} rows - 파싱된 CSV 행
+ * @param {(row: object) => object} toItem - 행 → 구조체 변환 함수(실패 시 throw)
+ * @param {string} tag - 로그 표기용 (purchase|sendbox)
+ * @returns {Array<object>} 구조체 배열
  */
-async function withRetryOnce(txFactory, label, totals, bucket) {
-    try {
-        await Shared.withGasLog(label, txFactory(), totals, bucket);
-    } catch (e) {
-        console.warn(`${label} failed (1st). retrying...`, e?.reason || e?.message || String(e));
-        // 간단한 짧은 대기(옵션)
-        await new Promise(r => setTimeout(r, 300));
-        await Shared.withGasLog(label + " [retry]", txFactory(), totals, bucket);
+function toItemsOrSkip(rows, toItem, tag) {
+    const items = [];
+    rows.forEach((row, i) => {
+        try {
+            items.push(toItem(row));
+        } catch (e) {
+            console.warn(`[${tag} skip] row ${i + 1}`, "\n reason:", e?.message || String(e));
+        }
+    });
+    return items;
+}
+
+/**
+ * @description 저널 기반으로 백필 아이템을 배치 전송합니다 (이미 반영된 행은 건너뜀)
+ * @param {object} ctx
+ * @param {object} ctx.journal - 체크포인트 저널 핸들
+ * @param {import("ethers").Contract} ctx.vesting - owner 연결된 TokenVesting
+ * @param {Map<string, number>} ctx.onchain - 온체인 백필 이벤트 지문 집계
+ * @param {object} ctx.totals - 가스 집계 버킷
+ * @param {"purchase"|"send"} kind - 백필 종류
+ * @param {string} tag - 로그 표기용 (purchase|sendbox)
+ * @param {Array<object>} items - 구조체 배열 (시간 오름차순)
+ * @param {(batch: Array<object>) => Promise<any>} sendFn - 배치 전송 함수
+ */
+async function runJournaled(ctx, kind, tag, items, sendFn) {
+    const { journal, vesting, onchain, totals } = ctx;
+    const keyed = Journal.keyItems(kind, items);
+    const found = Journal.markAppliedFromChain(journal, keyed, onchain);
+    if (found) console.log(`[${tag}] ${found} rows found on-chain without journal entry → marked applied`);
+
+    const todo = keyed.filter((k) => !journal.isApplied(k.key));
+    console.log(`[${tag}] ${keyed.length} rows, ${keyed.length - todo.length} already applied, ${todo.length} to send`);
+
+    const batches = chunk(todo, 10);
+    let ok = 0, skipped = 0;
+    for (let bi = 0; bi < batches.length; bi++) {
+        const batch = batches[bi];
+        try {
+            await Journal.sendJournaledBatch({
+                journal,
+                vesting,
+                kind,
+                label: `[${tag}] bulk ${bi + 1}/${batches.length} (size=${batch.length})`,
+                keyed: batch,
+                send: () => sendFn(batch.map((k) => k.item)),
+                waitAndLog: (label, txPromise) => Shared.withGasLog(label, txPromise, totals, kind),
+            });
+            ok += batch.length;
+        } catch (e) {
+            console.warn(`[${tag} skip] bulk ${bi + 1}/${batches.length}`, "\n reason:", e?.reason || e?.message || String(e));
+            skipped += batch.length;
+        }
+
+        if ((bi + 1) % 10 === 0) {
+            console.log(`[${tag}] progress ${bi + 1}/${batches.length} (ok=${ok}, skipped=${skipped})`);
+        }
     }
+    console.log(`[${tag}] success=${ok}, skipped=${skipped}`);
 }
 
 // ──────────────────────────────────────────────────────────────────────────────
@@ -258,53 +315,27 @@ function parseSendboxCsv(csvText) {
 }
 
 // ──────────────────────────────────────────────────────────────────────────────
-// 메인
-// ─────────────────────────────────────────────────────────────────────────────-
+// CSV → 백필 입력
+// ──────────────────────────────────────────────────────────────────────────────
 /**
- * @description TokenVesting 히스토리 백필 메인 루틴
- * 절차: 1) 레퍼럴 선등록 → 2) 구매 백필(벌크) → 3) 박스 전송 백필(벌크) → 4) (옵션) 동기화
- * 주의: 동일 CSV 재주입 시 중복 반영. CSV는 시간 오름차순 정렬 권장.
+ * @description scripts/data 의 CSV 3종을 읽어 컨트랙트 입력 형태로 변환합니다
+ * @returns {{
+ *   userRows: Array<{user: string, code: string}>|null,
+ *   purchaseItems: Array<object>|null,
+ *   sendItems: Array<object>|null
+ * }} 파일이 없으면 해당 항목은 null
  */
-async function main() {
-    // 배포정보 & 컨트랙트
-    const info = loadDeploymentInfo();
-    const vestingAddr = info?.contracts?.tokenVesting;
-    if (!vestingAddr) throw new Error("tokenVesting address missing in deployment-info.json");
+function loadCsvInputs() {
+    const out = { userRows: null, purchaseItems: null, sendItems: null };
 
-    // 가스 집계 버킷
-    const totals = {}; // { referral: {gas,fee}, purchase: {...}, send: {...}, sync: {...} }
-
-    let owner;
-    if (hre.network.name !== "development") {
-        const ownerKey = process.env.OWNER_KEY;
-        if (!ownerKey) {
-            throw new Error("❌ .env에 OWNER_KEY를 설정하세요.");
-        }
-        const providerUrl = process.env.PROVIDER_URL || "http://localhost:8545";
-        const provider = new ethers.JsonRpcProvider(providerUrl);
-        owner = new ethers.Wallet(ownerKey, provider);
-    } else {
-        owner = (await ethers.getSigners())[0];
-    }
-
-    const vesting = await ethers.getContractAt("TokenVesting", vestingAddr, owner);
-
-    // 1) 레퍼럴 선등록
     const userCsvPath = path.join(__dirname, "./data/user.csv");
     if (fs.existsSync(userCsvPath)) {
-        const userRows = parseUsersCsv(mustRead(userCsvPath));
-        const users = userRows.map(r => ethers.getAddress(r.wallet));
-        const codes = userRows.map(r => normCodeMaybeEmpty(r.code));
-        await Shared.withGasLog(
-            `[referral] setReferralCodesBulk x${users.length}`,
-            vesting.connect(owner).setReferralCodesBulk(users, codes, true),
-            totals, "referral"
-        );
-    } else {
-        console.log("[referral] skipped: user.csv not found");
+        out.userRows = parseUsersCsv(mustRead(userCsvPath)).map(r => ({
+            user: ethers.getAddress(r.wallet),
+            code: normCodeMaybeEmpty(r.code),
+        }));
     }
 
-    // 2) 구매 내역 백필 (purchase_history.csv → bulk, 10개씩)
     const purchaseCsvPath = path.join(__dirname, "./data/purchase_history.csv");
     if (fs.existsSync(purchaseCsvPath)) {
         // CSV 파싱 후 시간 오름차순 정렬 권장 (같은 buyer가 섞여 들어올 때 effDay 역전 방지)
@@ -312,52 +343,24 @@ async function main() {
             .sort((a, b) => Number(parseEpochSec(a.time) - parseEpochSec(b.time)));
 
         console.log(`[purchase] ${rows.length} rows (sorted asc by time)`);
-        const batches = chunk(rows, 10);
-        let ok = 0, skipped = 0;
-
-        for (let bi = 0; bi < batches.length; bi++) {
-            const batchRows = batches[bi];
-            try {
-                // 컨트랙트 Struct 배열 변환
-                const items = batchRows.map((row) => {
-                    const buyer = ethers.getAddress(row.wallet);
-                    const refCodeStr = normCodeMaybeEmpty(row.ref);
-                    const boxCount = parseBoxCount(row.amount);
-                    const purchaseTs = parseEpochSec(row.time);
-                    const paidUnits = boxCount * parseUsdt6(row.price || "300");
-                    if (boxCount === 0n) throw new Error("boxCount=0");
-                    return {
-                        buyer,
-                        refCodeStr,
-                        boxCount,
-                        purchaseTs,
-                        paidUnits
-                    };
-                });
-
-                await withRetryOnce(
-                    () => vesting.connect(owner).backfillPurchaseBulkAt(items),
-                    `[purchase] bulk ${bi + 1}/${batches.length} (size=${items.length})`,
-                    totals,
-                    "purchase"
-                );
-                ok += items.length;
-            } catch (e) {
-                console.warn(`[purchase skip] bulk ${bi + 1}/${batches.length}`, "\n reason:", e?.reason || e?.message || String(e));
-                skipped += batchRows.length;
-            }
-
-            if ((bi + 1) % 10 === 0) {
-                console.log(`[purchase] progress ${bi + 1}/${batches.length} (ok=${ok}, skipped=${skipped})`);
-            }
-        }
-
-        console.log(`[purchase] success=${ok}, skipped=${skipped}`);
-    } else {
-        console.log("[purchase] skipped: purchase_history.csv not found");
+        // 컨트랙트 Struct 배열 변환
+        out.purchaseItems = toItemsOrSkip(rows, (row) => {
+            const buyer = ethers.getAddress(row.wallet);
+            const refCodeStr = normCodeMaybeEmpty(row.ref);
+            const boxCount = parseBoxCount(row.amount);
+            const purchaseTs = parseEpochSec(row.time);
+            const paidUnits = boxCount * parseUsdt6(row.price || "300");
+            if (boxCount === 0n) throw new Error("boxCount=0");
+            return {
+                buyer,
+                refCodeStr,
+                boxCount,
+                purchaseTs,
+                paidUnits
+            };
+        }, "purchase");
     }
 
-    // 3) 전송 내역 백필 (sendbox_history.csv → bulk, 10개씩)
     const sendboxCsvPath = path.join(__dirname, "./data/sendbox_history.csv");
     if (fs.existsSync(sendboxCsvPath)) {
         // CSV 파싱 후 시간 오름차순 정렬 권장 (같은 from의 effDay 역전 방지)
@@ -365,44 +368,278 @@ async function main() {
             .sort((a, b) => Number(parseEpochSec(a.time) - parseEpochSec(b.time)));
 
         console.log(`[sendbox] ${rows.length} rows (sorted asc by time)`);
-        const batches = chunk(rows, 10);
-        let ok = 0, skipped = 0;
-
-        for (let bi = 0; bi < batches.length; bi++) {
-            const batchRows = batches[bi];
-            try {
-                const items = batchRows.map((row) => {
-                    const from = ethers.getAddress(row.from);
-                    const to = ethers.getAddress(row.to);
-                    const boxCount = parseBoxCount(row.amount);
-                    const transferTs = parseEpochSec(row.time);
-                    if (boxCount === 0n) throw new Error("boxCount=0");
-                    return {
-                        from,
-                        to,
-                        boxCount,
-                        transferTs
-                    };
-                });
-
-                await withRetryOnce(
-                    () => vesting.connect(owner).backfillSendBoxBulkAt(items),
-                    `[sendbox] bulk ${bi + 1}/${batches.length} (size=${items.length})`,
-                    totals,
-                    "send"
-                );
-                ok += items.length;
-            } catch (e) {
-                console.warn(`[sendbox skip] bulk ${bi + 1}/${batches.length}`, "\n reason:", e?.reason || e?.message || String(e));
-                skipped += batchRows.length;
+        out.sendItems = toItemsOrSkip(rows, (row) => {
+            const from = ethers.getAddress(row.from);
+            const to = ethers.getAddress(row.to);
+            const boxCount = parseBoxCount(row.amount);
+            const transferTs = parseEpochSec(row.time);
+            if (boxCount === 0n) throw new Error("boxCount=0");
+            return {
+                from,
+                to,
+                boxCount,
+                transferTs
+            };
+        }, "sendbox");
+    }
+    return out;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// Dry-run (BACKFILL_DRY_RUN=1)
+// ──────────────────────────────────────────────────────────────────────────────
+/**
+ * @description 체크포인트 배열 getter를 revert 날 때까지 순회해 전체 히스토리를 읽습니다
+ * @param {(i: number) => Promise<{day: bigint, amount: bigint}>} getAt - buyerBoxAmountHistory(addr, i) 등
+ * @returns {Promise<Array<{day: bigint, amount: bigint}>>}
+ */
+async function readHistory(getAt) {
+    const out = [];
+    for (let i = 0; ; i++) {
+        try {
+            const cp = await getAt(i);
+            out.push({ day: cp.day, amount: cp.amount });
+        } catch {
+            return out;
+        }
+    }
+}
+
+/**
+ * @description 시뮬레이션용 owner signer를 준비합니다
+ *  - development: getSigners()[0]
+ *  - OWNER_KEY / OWNER_SIGNER=keystore 설정: 해당 지갑
+ *  - 그 외(포크 노드, OWNER_SIGNER=offline 포함): owner 주소 impersonate (hardhat_/anvil_ impersonateAccount)
+ * @returns {Promise<import("ethers").Signer|null>} 준비 실패 시 null (staticCall도 owner 필요)
+ */
+async function simulationSigner(vestingRO) {
+    if (hre.network.name === "development") return (await ethers.getSigners())[0];
+    const provider = new ethers.JsonRpcProvider(process.env.PROVIDER_URL || "http://localhost:8545");
+    if (["key", "keystore"].includes(signerConfig("owner").backend)) return Shared.getSigner("owner", { provider });
+    const ownerAddr = await vestingRO.owner();
+    for (const m of ["hardhat_impersonateAccount", "anvil_impersonateAccount"]) {
+        try {
+            await provider.send(m, [ownerAddr]);
+            return await provider.getSigner(ownerAddr);
+        } catch { /* 다음 방식 시도 */ }
+    }
+    return null;
+}
+
+/**
+ * @description 실제 전송 없이 백필 결과를 투영하고 노드에서 배치별로 시뮬레이션합니다
+ *  1) 오프라인 투영: 유저별 박스/레퍼럴 합계, revert 예상 항목(effDay 역전 등), 투영 누적값
+ *  2) 노드 시뮬레이션: 배치마다 staticCall
+ *     - evm_snapshot 지원 노드(로컬/포크)면 배치를 실제로 실행해 다음 배치가 앞 배치 결과 위에서
+ *       시뮬레이션되도록 하고, 끝나면 evm_revert로 원복
+ *     - 미지원 노드면 staticCall만 수행(배치 간 의존성은 반영되지 않음 → mode=static-only)
+ *  3) 리포트: BACKFILL_REPORT (기본 scripts/output/backfill-dryrun-report.json)
+ * @param {object} info - Shared.loadDeployment() 결과
+ * @param {string} vestingAddr - TokenVesting 주소
+ * @param {ReturnType<typeof loadCsvInputs>} inputs - CSV 변환 결과
+ */
+async function dryRun(info, vestingAddr, inputs) {
+    const signer = await simulationSigner(await ethers.getContractAt("TokenVesting", vestingAddr));
+    if (!signer) throw new Error("❌ dry-run: owner signer 준비 실패 (OWNER_KEY 설정 또는 포크 노드 사용)");
+    const vesting = await ethers.getContractAt("TokenVesting", vestingAddr, signer);
+    const provider = signer.provider;
+    const { chainId } = await provider.getNetwork();
+
+    const startTs = BigInt(await vesting.vestingStartDate());
+    const lastSyncedDay = BigInt(await vesting.lastSyncedDay());
+    const purchaseItems = inputs.purchaseItems || [];
+    const sendItems = inputs.sendItems || [];
+
+    // ── 레퍼럴 코드 소유자: user.csv 우선, 나머지는 온체인 codeToOwner
+    const codeOwners = new Map();
+    for (const r of inputs.userRows || []) if (r.code) codeOwners.set(r.code, r.user);
+    for (const p of purchaseItems) {
+        const c = p.refCodeStr;
+        if (!c || codeOwners.has(c)) continue;
+        const owner = await vesting.codeToOwner(ethers.hexlify(ethers.toUtf8Bytes(c)));
+        if (owner !== ethers.ZeroAddress) codeOwners.set(c, owner);
+    }
+
+    // ── 투영 상태를 온체인 상태로 초기화
+    const proj = Projection.createProjection({ startTs, lastSyncedDay, codeOwners });
+    const buyers = new Set([
+        ...purchaseItems.map(p => p.buyer),
+        ...sendItems.flatMap(t => [t.from, t.to]),
+    ]);
+    for (const a of buyers) {
+        proj.seedBuyerHistory(a, await readHistory(i => vesting.buyerBoxAmountHistory(a, i)));
+    }
+    for (const a of new Set(codeOwners.values())) {
+        proj.seedRefHistory(a, await readHistory(i => vesting.referralAmountHistory(a, i)));
+    }
+    const allDays = [...purchaseItems.map(p => proj.dayOf(p.purchaseTs)), ...sendItems.map(t => proj.dayOf(t.transferTs))];
+    const maxDay = allDays.reduce((a, b) => (b > a ? b : a), lastSyncedDay);
+    const pendingAdds = new Map();
+    for (let d = lastSyncedDay; d <= maxDay; d++) {
+        const boxes = await vesting.boxesAddedPerDay(d);
+        const refs = await vesting.referralsAddedPerDay(d);
+        if (boxes || refs) pendingAdds.set(d, { boxes, refs });
+    }
+    proj.seedCumulative(lastSyncedDay > 0n ? {
+        cumBoxes: await vesting.cumBoxes(lastSyncedDay - 1n),
+        cumReferals: await vesting.cumReferals(lastSyncedDay - 1n),
+    } : { cumBoxes: 0n, cumReferals: 0n }, pendingAdds);
+
+    // ── 노드 시뮬레이션 준비
+    let snapshot = null;
+    try { snapshot = await provider.send("evm_snapshot", []); } catch { /* 미지원 노드 */ }
+    const mode = snapshot ? "snapshot" : "static-only";
+    console.log(`[dry-run] chainId=${chainId}, lastSyncedDay=${lastSyncedDay}, mode=${mode}`);
+
+    const simulated = [];
+    const errText = (e) => e?.revert?.name || e?.reason || e?.shortMessage || e?.message || String(e);
+    try {
+        // 레퍼럴 선등록(스냅샷 모드에서만 실제 반영 — 구매 배치의 코드 조회에 필요)
+        if (snapshot && inputs.userRows?.length) {
+            const users = inputs.userRows.map(r => r.user), codes = inputs.userRows.map(r => r.code);
+            for (let i = 0; i < users.length; i += 200) {
+                await (await vesting.setReferralCodesBulk(users.slice(i, i + 200), codes.slice(i, i + 200), true)).wait();
             }
+        }
 
-            if ((bi + 1) % 10 === 0) {
-                console.log(`[sendbox] progress ${bi + 1}/${batches.length} (ok=${ok}, skipped=${skipped})`);
+        const plan = [
+            ["purchase", chunk(purchaseItems, Projection.MAX_BACKFILL_BULK), "backfillPurchaseBulkAt", "applyPurchaseBatch"],
+            ["send", chunk(sendItems, Projection.MAX_BACKFILL_BULK), "backfillSendBoxBulkAt", "applySendBatch"],
+        ];
+        for (const [kind, batches, fn, apply] of plan) {
+            for (let bi = 0; bi < batches.length; bi++) {
+                const batch = batches[bi];
+                const rows = batch.map((_, i) => bi * Projection.MAX_BACKFILL_BULK + i + 1);
+                const projected = proj[apply](batch, { batch: bi + 1, rows });
+                const entry = { kind, batch: bi + 1, size: batch.length, projectedOk: projected.ok };
+                try {
+                    entry.gasEstimate = (await vesting[fn].estimateGas(batch)).toString();
+                    await vesting[fn].staticCall(batch);
+                    entry.simulatedOk = true;
+                    if (snapshot) await (await vesting[fn](batch)).wait();
+                } catch (e) {
+                    entry.simulatedOk = false;
+                    entry.reason = errText(e);
+                }
+                if (!projected.ok) entry.projectedReason = projected.reason;
+                simulated.push(entry);
             }
         }
+    } finally {
+        if (snapshot) await provider.send("evm_revert", [snapshot]);
+    }
 
-        console.log(`[sendbox] success=${ok}, skipped=${skipped}`);
+    const report = {
+        network: hre.network.name,
+        chainId: chainId.toString(),
+        vesting: vestingAddr,
+        generatedAt: new Date().toISOString(),
+        mode,
+        onchain: { startTs: startTs.toString(), lastSyncedDay: lastSyncedDay.toString() },
+        inputs: {
+            users: inputs.userRows?.length ?? 0,
+            purchases: purchaseItems.length,
+            sends: sendItems.length,
+        },
+        users: proj.userTotals(),
+        cumulative: proj.projectedCumulative(),
+        issues: proj.issues,
+        warnings: proj.warnings,
+        batches: simulated,
+        mismatches: simulated.filter(b => b.projectedOk !== b.simulatedOk),
+    };
+    const outPath = process.env.BACKFILL_REPORT || path.join(__dirname, "./output/backfill-dryrun-report.json");
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, JSON.stringify(report, null, 2));
+
+    const failed = simulated.filter(b => !b.simulatedOk);
+    console.log(`[dry-run] batches=${simulated.length}, would revert=${failed.length}, ` +
+        `issues=${proj.issues.length}, warnings=${proj.warnings.length}, mismatches=${report.mismatches.length}`);
+    for (const it of proj.issues.slice(0, 20)) {
+        console.log(`  ✖ ${it.kind} batch ${it.batch} row ${it.row}: ${it.reason} (user=${it.user}, day=${it.day}${it.lastDay ? `, lastDay=${it.lastDay}` : ""})`);
+    }
+    if (proj.issues.length > 20) console.log(`  ... ${proj.issues.length - 20} more (see report)`);
+    console.log(`📝 report: ${outPath}`);
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 메인
+// ─────────────────────────────────────────────────────────────────────────────-
+/**
+ * @description TokenVesting 히스토리 백필 메인 루틴
+ * 절차: 0) 저널 복구 → 1) 레퍼럴 선등록 → 2) 구매 백필(벌크) → 3) 박스 전송 백필(벌크) → 4) (옵션) 동기화
+ * 주의: 반영 여부는 저널 + 온체인 이벤트로 판별하므로 동일 CSV 재실행은 안전. CSV는 시간 오름차순 정렬 권장.
+ */
+async function main() {
+    // 배포정보 & 컨트랙트
+    const info = await Shared.loadDeployment();
+    const vestingAddr = info.vesting;
+
+    // 가스 집계 버킷
+    const totals = {}; // { referral: {gas,fee}, purchase: {...}, send: {...}, sync: {...} }
+
+    const inputs = loadCsvInputs();
+    if (/^(1|true|yes)$/i.test(String(process.env.BACKFILL_DRY_RUN || ""))) {
+        await dryRun(info, vestingAddr, inputs);
+        return;
+    }
+
+    const owner = await Shared.getSigner("owner", { devIndex: 0, offline: false });
+
+    const vesting = await ethers.getContractAt("TokenVesting", vestingAddr, owner);
+
+    // 0) 체크포인트 저널 로드 + 직전 실행의 pending 배치 정리
+    const { chainId } = await owner.provider.getNetwork();
+    const journalPath = process.env.BACKFILL_JOURNAL
+        || path.join(__dirname, `./data/backfill-journal.${chainId}.json`);
+    const journal = Journal.openJournal(journalPath, { chainId, vesting: vestingAddr });
+    const rec = await Journal.reconcilePending(journal, vesting);
+    if (rec.confirmed || rec.failed) {
+        console.log(`[journal] recovered pending batches: confirmed=${rec.confirmed}, failed=${rec.failed}`);
+    }
+    const mismatched = await Journal.verifyConfirmed(journal, vesting);
+    if (mismatched.length) {
+        throw new Error(`[journal] confirmed batches do not match on-chain events:\n ${mismatched.join("\n ")}`);
+    }
+    const fromBlock = Number(process.env.BACKFILL_FROM_BLOCK ?? info.blockNumber ?? 0);
+    const onchain = await Journal.collectOnchainFingerprints(vesting, fromBlock);
+    console.log(`[journal] ${journalPath} (from block ${fromBlock})`);
+    const ctx = { journal, vesting, onchain, totals };
+
+    // 1) 레퍼럴 선등록 (이미 같은 코드가 등록된 유저는 제외)
+    if (inputs.userRows) {
+        const users = [], codes = [];
+        for (const r of inputs.userRows) {
+            const current = await vesting.referralCodeOf(r.user);
+            if (current.toLowerCase() === ethers.hexlify(ethers.toUtf8Bytes(r.code)).toLowerCase()) continue;
+            users.push(r.user);
+            codes.push(r.code);
+        }
+        if (users.length) {
+            await Shared.withGasLog(
+                `[referral] setReferralCodesBulk x${users.length}`,
+                vesting.connect(owner).setReferralCodesBulk(users, codes, true),
+                totals, "referral"
+            );
+        } else {
+            console.log(`[referral] up-to-date (${inputs.userRows.length} users already assigned)`);
+        }
+    } else {
+        console.log("[referral] skipped: user.csv not found");
+    }
+
+    // 2) 구매 내역 백필 (purchase_history.csv → bulk, 10개씩)
+    if (inputs.purchaseItems) {
+        await runJournaled(ctx, "purchase", "purchase", inputs.purchaseItems,
+            (batch) => vesting.connect(owner).backfillPurchaseBulkAt(batch));
+    } else {
+        console.log("[purchase] skipped: purchase_history.csv not found");
+    }
+
+    // 3) 전송 내역 백필 (sendbox_history.csv → bulk, 10개씩)
+    if (inputs.sendItems) {
+        await runJournaled(ctx, "send", "sendbox", inputs.sendItems,
+            (batch) => vesting.connect(owner).backfillSendBoxBulkAt(batch));
     } else {
         console.log("[sendbox] skipped: sendbox_history.csv not found");
     }
@@ -416,7 +653,8 @@ async function main() {
         return;
     }
 
-    const START_TS = BigInt(info.startTs);
+    if (info.startTs == null) throw new Error(`startTs missing in deployment registry (chainId=${info.chainId})`);
+    const START_TS = info.startTs;
     const DAY = 86400n;
     const QUERY_TS = BigInt(queryTsStr);
     const dTarget = QUERY_TS <= START_TS ? 0n : (QUERY_TS - START_TS) / DAY;
@@ -444,6 +682,6 @@ async function main() {
 }
 
 main().catch((e) => {
-    console.error(e);
+    Shared.printRevert("스크립트 오류", e);
     process.exit(1);
 });
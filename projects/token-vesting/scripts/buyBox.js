@@ -6,6 +6,7 @@ const path = require('path');
 const hre = require('hardhat');
 const { ethers } = hre;
 const Shared = require('./_shared'); // 선택 유틸
+const { discoverPermitDomain, signPermit } = require('./_permit');
 
 function loadJSON(p) {
     if (!fs.existsSync(p)) {
@@ -33,21 +34,20 @@ async function main() {
 
     // ── 환경/입력
     const providerUrl = process.env.PROVIDER_URL || 'http://127.0.0.1:8545';
-    const pk = process.env.PRIVATE_KEY;
-    if (!pk) throw new Error('❌ .env에 PRIVATE_KEY를 설정하세요.');
 
-    const deploymentPath = path.resolve(__dirname, './output/deployment-info.json');
     const buyBoxPath = path.resolve(__dirname, './input/buyBox.json');
-
-    const dep = loadJSON(deploymentPath);
     const cfg = loadJSON(buyBoxPath);
 
-    const tokenVestingAddr = dep?.contracts?.tokenVesting;
-    const stableCoinAddr = dep?.contracts?.stableCoin;
-    const recipientAddr = dep?.contracts?.recipient;
+    // ── provider / 배포 정보 (레지스트리: deployments/<chainId>.json)
+    const provider = new ethers.JsonRpcProvider(providerUrl);
+    const dep = await Shared.loadDeployment(provider);
+
+    const tokenVestingAddr = dep.vesting;
+    const stableCoinAddr = dep.stableCoin;
+    const recipientAddr = dep.recipient;
 
     if (!ethers.isAddress(tokenVestingAddr) || !ethers.isAddress(stableCoinAddr)) {
-        throw new Error('❌ deployment-info.json에서 주소를 읽지 못했습니다 (tokenVesting / stableCoin).');
+        throw new Error(`❌ 배포 레지스트리에서 주소를 읽지 못했습니다 (TokenVesting / StableCoin, chainId=${dep.chainId}).`);
     }
     if (!recipientAddr || !ethers.isAddress(recipientAddr)) {
         console.warn('⚠️ recipient 주소가 비어있거나 유효하지 않습니다. (buyBox 시 revert 가능)');
@@ -60,13 +60,13 @@ async function main() {
     console.log('🌐 네트워크:', hre.network.name);
     console.log('📄 TokenVesting:', tokenVestingAddr);
     console.log('📄 USDT:', stableCoinAddr);
-    console.log('👤 구매자(지갑): PRIVATE_KEY 사용');
+    console.log(`👤 구매자(지갑): ${Shared.signerLabel('user')}`);
     console.log('🧾 amount(박스 수량):', amount.toString());
     console.log('🏷️ refCodeStr:', JSON.stringify(refCodeStr));
 
-    // ── provider / wallet
-    const provider = new ethers.JsonRpcProvider(providerUrl);
-    const baseWallet = new ethers.Wallet(pk, provider);
+    // ── wallet
+    // permit 서명이 필요하므로 offline 불가 (PRIVATE_KEY 또는 USER_SIGNER=keystore)
+    const baseWallet = await Shared.getSigner('user', { provider, offline: false });
     const wallet = new ethers.NonceManager(baseWallet);
     const buyerAddr = await wallet.getAddress();
 
@@ -79,14 +79,8 @@ async function main() {
     (await (typeof stableCoin?.symbol === 'function'
         ? stableCoin.symbol().catch(() => undefined)
         : Promise.resolve(undefined))) ?? 'TOKEN';
-    const tokenName =
-    (await (typeof stableCoin?.name === 'function'
-        ? stableCoin.name().catch(() => undefined)
-        : Promise.resolve(undefined))) ?? 'Token';
-    const version =
-    (await (typeof stableCoin?.version === 'function'
-        ? stableCoin.version().catch(() => undefined)
-        : Promise.resolve(undefined))) ?? '1';
+    // permit 도메인: EIP-5267 / version() 탐색 후 DOMAIN_SEPARATOR와 대조 (불일치면 여기서 중단)
+    const permitDomain = await discoverPermitDomain(stableCoinAddr, provider);
 
     // ── 1) 견적: estimatedTotalAmount(uint256,string)
     let required;
@@ -117,12 +111,12 @@ async function main() {
     console.log('📦 현재까지 레퍼럴된 박스 총량:', totalRefsBefore.toString());
 
     // ── 2.5) 부족하면 OWNER로부터 자동 충전 (선택)
-    const ownerKey = process.env.OWNER_KEY;
     if (buyerBal < required) {
-        if (!ownerKey) {
-            console.warn('⚠️ OWNER_KEY 가 .env에 없어 자동 충전을 건너뜁니다.');
-        } else {
-            const ownerBase = new ethers.Wallet(ownerKey, provider);
+        const ownerBase = await Shared.getSigner('owner', { provider, offline: false }).catch((e) => {
+            console.warn(`⚠️ owner 서명자를 준비하지 못해 자동 충전을 건너뜁니다: ${e?.message || e}`);
+            return null;
+        });
+        if (ownerBase) {
             const owner = new ethers.NonceManager(ownerBase);
             const ownerAddr = await owner.getAddress();
 
@@ -156,38 +150,18 @@ async function main() {
         throw new Error(`❌ 잔액 부족: 필요=${ethers.formatUnits(required, decimals)} ${symbol}, 보유=${ethers.formatUnits(buyerBal, decimals)} ${symbol}`);
     }
 
-    // ── 3) PERMIT 서명 생성 (EIP-2612)
+    // ── 3) PERMIT 서명 생성 (EIP-2612, scripts/_permit.js)
     // OZ ERC20Permit 표준: Permit(owner, spender, value, nonce, deadline)
-    const chain = await provider.getNetwork();
-    const nonce = await stableCoin.nonces(buyerAddr);
-    const deadline = BigInt(Math.floor(Date.now() / 1000) + 60 * 30); // 지금부터 30분
-    console.log(tokenName, version)
-    const domain = {
-        name: tokenName,
-        version: version,
-        chainId: Number(chain.chainId),
-        verifyingContract: stableCoinAddr,
-    };
-    const types = {
-        Permit: [
-            { name: 'owner', type: 'address' },
-            { name: 'spender', type: 'address' },
-            { name: 'value', type: 'uint256' },
-            { name: 'nonce', type: 'uint256' },
-            { name: 'deadline', type: 'uint256' },
-        ],
-    };
-    const message = {
-        owner: buyerAddr,
+    console.log(`\n🔏 permit 도메인: ${permitDomain.domain.name} v${permitDomain.domain.version} (${permitDomain.source}, verified=${permitDomain.verified})`);
+    console.log('📝 permit 서명 생성 중...');
+    // struct PermitData { uint256 value; uint256 deadline; uint8 v; bytes32 r; bytes32 s; }
+    const p = await signPermit(wallet, {
+        token: stableCoinAddr,
         spender: tokenVestingAddr,
         value: required,
-        nonce,
-        deadline,
-    };
-
-    console.log('\n📝 permit 서명 생성 중...');
-    const signature = await wallet.signTypedData(domain, types, message);
-    const sig = ethers.Signature.from(signature);
+        domain: permitDomain.domain,
+        provider,
+    });
     console.log('✅ permit 서명 완료');
 
     // ── 4) buyBox 전 잔액 재출력(선택)
@@ -203,15 +177,6 @@ async function main() {
     }
 
     // ── 5) buyBox 호출 (permit 사용 경로: deadline!=0)
-    // struct PermitData { uint256 value; uint256 deadline; uint8 v; bytes32 r; bytes32 s; }
-    const p = {
-        value: required,
-        deadline: deadline,
-        v: sig.v,
-        r: sig.r,
-        s: sig.s,
-    };
-
     console.log('\n🛒 buyBox 실행 중...(permit)');
     const txBuy = await vesting.buyBox(amount, refCodeStr, p);
     if (Shared?.withGasLog) {
@@ -239,7 +204,6 @@ async function main() {
 main()
     .then(() => process.exit(0))
     .catch((e) => {
-        console.log(e)
-        console.error('❌ 실행 실패:', e?.shortMessage || e?.message || e);
+        Shared.printRevert('실행 실패', e);
         process.exit(1);
     });
@@ -1,6 +1,6 @@
 /**
  * @fileoverview
- *  PRIVATE_KEY 지갑으로 스테이블코인 바이백을 청구(claim)하는 스크립트
+ *  REF_PRIVATE_KEY 지갑으로 스테이블코인 바이백을 청구(claim)하는 스크립트
  *  - 현재 buyback 가능 금액(USDT 단위, 최소단위) 출력
  *  - 클레임 전/후 지갑의 StableCoin 잔액 출력
  *  - claimBuyback() 호출로 전액 클레임 수행
@@ -9,7 +9,7 @@
  *   pnpm exec hardhat run scripts/buybackStableCoin.js --network <net>
  *
  * 환경변수(../.env):
- *   PRIVATE_KEY   : 트랜잭션을 보낼 사용자 지갑 프라이빗키 (필수)
+ *   REF_PRIVATE_KEY : 트랜잭션을 보낼 사용자 지갑 프라이빗키 (필수, 또는 REF_SIGNER=keystore|offline)
  *   PROVIDER_URL  : RPC URL (선택, 기본 http://localhost:8545)
  */
 
@@ -25,14 +25,12 @@ const Shared = require("./_shared");
 
 async function main() {
     // ── 0) 지갑/프로바이더
-    const pk = process.env.REF_PRIVATE_KEY;
-    if (!pk) throw new Error("❌ .env에 PRIVATE_KEY를 설정하세요.");
     const providerUrl = process.env.PROVIDER_URL || "http://localhost:8545";
     const provider = new ethers.JsonRpcProvider(providerUrl);
-    const wallet = new ethers.Wallet(pk, provider);
+    const wallet = await Shared.getSigner("ref", { provider });
 
     console.log("🌐 네트워크:", hre.network.name);
-    console.log("👤 사용자:", wallet.address);
+    console.log(`👤 사용자: ${wallet.address} (${Shared.signerLabel("ref")})`);
 
     // ── 1) 배포정보/컨트랙트 연결
     const { d } = await Shared.attachVestingWithEthers();
@@ -63,6 +61,7 @@ async function main() {
     const totals = {};
     await Shared.withGasLog("[claim] buyback", vesting.claimBuyback(), totals, "claim");
     Shared.printGasSummary(totals, ["claim"]);
+    if (Shared.isOffline(wallet)) return;
     console.log("✅ claim 완료");
 
     // ── 5) 클레임 후 잔액 재확인
@@ -75,6 +74,6 @@ async function main() {
 
 main()
     .then(() => process.exit(0))
-    .catch((e) => { console.error("❌ 스크립트 오류:", e); process.exit(1); });
+    .catch((e) => { Shared.printRevert("스크립트 오류", e); process.exit(1); });
 
 
@@ -9,13 +9,12 @@
  *   pnpm exec hardhat run scripts/claimPurchaseReward.js --network <net>
  *
  * 환경변수(../.env):
- *   PRIVATE_KEY   : 트랜잭션을 보낼 사용자 지갑 프라이빗키 (필수)
+ *   PRIVATE_KEY   : 트랜잭션을 보낼 사용자 지갑 프라이빗키 (필수, 또는 USER_SIGNER=keystore|offline)
  *   PROVIDER_URL  : RPC URL (선택, 기본 http://localhost:8545)
  */
 
 require("dotenv").config({ path: require("path").resolve(__dirname, "../.env") });
 
-const path = require("path");
 const hre = require("hardhat");
 const { ethers } = hre;
 const Shared = require("./_shared");
@@ -40,17 +39,15 @@ function floor6(x) {
 
 async function main() {
     // ── 0) 지갑/프로바이더
-    const pk = process.env.PRIVATE_KEY;
-    if (!pk) throw new Error("❌ .env에 PRIVATE_KEY를 설정하세요.");
     const providerUrl = process.env.PROVIDER_URL || "http://localhost:8545";
     const provider = new ethers.JsonRpcProvider(providerUrl);
-    const wallet = new ethers.Wallet(pk, provider);
+    const wallet = await Shared.getSigner("user", { provider });
 
     console.log("🌐 네트워크:", hre.network.name);
-    console.log("👤 사용자:", wallet.address);
+    console.log(`👤 사용자: ${wallet.address} (${Shared.signerLabel("user")})`);
 
     // ── 1) 배포정보/컨트랙트 연결
-    const d = Shared.loadDeployment(path.join(__dirname, "output", "deployment-info.json"));
+    const d = await Shared.loadDeployment(provider);
     const vesting = await ethers.getContractAt("TokenVesting", d.vesting, wallet);
     console.log("🔗 Vesting:", d.vesting);
 
@@ -85,6 +82,7 @@ async function main() {
     const totals = {};
     await Shared.withGasLog("[claim] purchase", vesting.claimPurchaseReward(), totals, "claim");
     Shared.printGasSummary(totals, ["claim"]);
+    if (Shared.isOffline(wallet)) return;
     console.log("✅ claim 완료");
 
     // ── 5) 잔액 재확인
@@ -97,6 +95,6 @@ async function main() {
 
 main()
     .then(() => process.exit(0))
-    .catch((e) => { console.error("❌ 스크립트 오류:", e); process.exit(1); });
+    .catch((e) => { Shared.printRevert("스크립트 오류", e); process.exit(1); });
 
 
@@ -5,7 +5,9 @@ const fs = require('fs');
 const path = require('path');
 const hre = require('hardhat');
 const { ethers } = hre;
-const Shared = require('./_shared'); // selectorForBuyBox 사용(선택)
+const Shared = require('./_shared'); // selectorForBuyBox / printRevert
+const { discoverPermitDomain, signPermit } = require('./_permit');
+const { buildForwardRequest } = require('./_forwardRequest');
 
 /** 파일 로더 */
 function loadJSON(rel) {
@@ -22,140 +24,20 @@ function ensure8CharRef(s) {
     return s.toUpperCase();
 }
 
-/** 커스텀 에러/리버트 디코딩 */
-function decodeRevert(e, forwarderIface, vestingIface, erc20Iface) {
-    // A) provider가 이미 디코드한 경우
-    const directName =
-        e?.errorName || e?.data?.errorName || e?.error?.errorName || e?.info?.error?.errorName || null;
-    const directArgs =
-        e?.errorArgs || e?.data?.errorArgs || e?.error?.errorArgs || e?.info?.error?.errorArgs || null;
-
-    if (directName) {
-        try {
-            const argsStr = Array.isArray(directArgs) ? directArgs.map(String).join(', ') : '';
-            return { raw: null, decoded: `${directName}(${argsStr})`, hint: 'provider가 직접 디코드함' };
-        } catch {
-            return { raw: null, decoded: directName, hint: 'provider가 직접 디코드함' };
-        }
-    }
-
-    // B) revert hex 추출 유틸 (Hardhat error.body 지원)
-    const extractHex = (err) => {
-        // 흔한 위치들
-        let raw =
-            err?.receipt?.revertReason ||
-            err?.info?.error?.data?.data ||
-            err?.info?.error?.data ||
-            err?.data ||
-            err?.error?.data ||
-            err?.error?.error?.data ||
-            null;
-
-        // Hardhat HttpProvider: error.body(JSON string)에 들어있는 케이스
-        if (!raw && typeof err?.error?.body === 'string') {
-            try {
-                const body = JSON.parse(err.error.body);
-                raw =
-                    body?.error?.data?.data ||
-                    body?.error?.data ||
-                    null;
-            } catch {
-                // ignore
-            }
-        }
-        // hexlify
-        try {
-            if (!raw) return null;
-            if (typeof raw === 'string') return raw;
-            return ethers.hexlify(raw);
-        } catch {
-            return null;
-        }
-    };
-
-    const asHex = extractHex(e);
-    if (asHex && asHex.length >= 10) {
-        // 1) Forwarder 커스텀 에러
-        try {
-            const err = forwarderIface.parseError(asHex);
-            return { raw: asHex, decoded: `Forwarder.${err?.name}(${err?.args?.map(String).join(', ')})`, hint: null };
-        } catch {}
-
-        // 2) TokenVesting 커스텀 에러/require(string)
-        try {
-            const err = vestingIface.parseError(asHex);
-            return { raw: asHex, decoded: `TokenVesting.${err?.name}(${err?.args?.map(String).join(', ')})`, hint: null };
-        } catch {}
-
-        // 3) ERC20 / ERC2612 표준 커스텀 에러
-        try {
-            const err = erc20Iface.parseError(asHex);
-            return { raw: asHex, decoded: `ERC20.${err?.name}(${err?.args?.map(String).join(', ')})`, hint: null };
-        } catch {}
-
-        // 4) 마지막 셀렉터 힌트
-        const selectorMap = {
-            ERC2771ForwarderMismatchedValue: '0x1f5c50f0',
-            NotWhitelisted: '0xe0a8f8c6',
-            SelectorNotAllowed: '0x5fb4d40d',
-            ERC2771UntrustfulTarget: '0x3e09eeff',
-            ERC2771ForwarderExpiredRequest: '0x5c873ca1',
-            ERC2771ForwarderInvalidSigner: '0x28998c5f',
-            ERC2612ExpiredSignature: '0x52f13ef7',
-            ERC2612InvalidSigner: '0x3c43d9b1',
-            ERC20InvalidApprover: '0x6f5e8818',
-            ERC20InvalidSpender: '0x1f3f3a75',
-            ERC20InsufficientAllowance: '0x13be252b',
-            ERC20InvalidSender: '0x17f9c883',
-            ERC20InvalidReceiver: '0x9a89f93e',
-            ERC20InsufficientBalance: '0xe450d38c',
-        };
-        const sel = asHex.slice(0, 10);
-        for (const [name, sig] of Object.entries(selectorMap)) {
-            if (sel === sig) {
-                return { raw: asHex, decoded: name, hint: 'selector 매칭' };
-            }
-        }
-    }
-
-    // C) 메시지 문자열 파싱(마지막 fallback)
-    const msg = e?.shortMessage || e?.message || '';
-    if (msg) {
-        // custom error 'Name(args)'
-        const m1 = msg.match(/custom error '([^']+)\((.*)\)'/i);
-        if (m1) {
-            return { raw: null, decoded: `${m1[1]}(${m1[2] ?? ''})`, hint: 'message 파싱' };
-        }
-        // reverted with reason string '...'
-        const m2 = msg.match(/reason string '([^']+)'/i);
-        if (m2) {
-            return { raw: null, decoded: `Error("${m2[1]}")`, hint: 'message 파싱' };
-        }
-    }
-
-    return { raw: asHex ?? null, decoded: null, hint: '리버트 데이터 없음/짧음' };
-}
-
-
 async function main() {
     console.log('🚀 buyBox (ERC2771 위임대납) 실행');
 
-    // ---- env ----
-    const { PRIVATE_KEY, OWNER_KEY } = process.env;
-    if (!PRIVATE_KEY) throw new Error('❌ .env의 PRIVATE_KEY(구매자 서명자)가 필요합니다.');
-    if (!OWNER_KEY) throw new Error('❌ .env의 OWNER_KEY(릴레이어)가 필요합니다.');
-
     // ---- load files ----
-    const dep = loadJSON('./output/deployment-info.json');
+    const dep = await Shared.loadDeployment(); // 배포 레지스트리 (deployments/<chainId>.json)
     const dcfg = loadJSON('./input/delegateBuyBox.json'); // { amount, ref, deadline, gas_call, gas_execute }
 
-    const forwarderAddr = dep?.forwarder;
-    const tokenVestingAddr = dep?.contracts?.tokenVesting;
-    const stableCoinAddr = dep?.contracts?.stableCoin;
-    const recipientAddr = dep?.contracts?.recipient;
+    const forwarderAddr = dep.forwarder;
+    const tokenVestingAddr = dep.vesting;
+    const stableCoinAddr = dep.stableCoin;
+    const recipientAddr = dep.recipient;
 
     if (!ethers.isAddress(forwarderAddr) || !ethers.isAddress(tokenVestingAddr) || !ethers.isAddress(stableCoinAddr)) {
-        throw new Error('❌ deployment-info.json에서 forwarder/tokenVesting/stableCoin 주소를 읽지 못했습니다.');
+        throw new Error(`❌ 배포 레지스트리에서 forwarder/tokenVesting/stableCoin 주소를 읽지 못했습니다 (chainId=${dep.chainId}).`);
     }
 
     const amount = BigInt(dcfg?.amount ?? 0);
@@ -167,9 +49,10 @@ async function main() {
     const gasExecute = BigInt(dcfg?.gas_execute ?? 3_000_000);
     const deadlineIn = Number(dcfg?.deadline ?? 3600); // seconds → uint48
 
-    // ---- provider & wallets ----
-    const signer = new ethers.Wallet(PRIVATE_KEY, hre.ethers.provider); // 구매자(_msgSender)
-    const relayer = new ethers.Wallet(OWNER_KEY, hre.ethers.provider); // 가스 지불자
+    // ---- provider & wallets (PRIVATE_KEY / OWNER_KEY 또는 USER_SIGNER / OWNER_SIGNER=keystore) ----
+    // 구매자는 forward request / permit 서명, 릴레이어는 즉시 전송이 필요하므로 offline 불가
+    const signer = await Shared.getSigner('user', { provider: hre.ethers.provider, offline: false }); // 구매자(_msgSender)
+    const relayer = await Shared.getSigner('owner', { provider: hre.ethers.provider, offline: false }); // 가스 지불자
     const buyerAddr = signer.address;
     const relayerAddr = relayer.address;
 
@@ -200,53 +83,25 @@ async function main() {
     (await (typeof stableCoin?.symbol === 'function'
         ? stableCoin.symbol().catch(() => undefined)
         : Promise.resolve(undefined))) ?? 'TOKEN';
-    const tokenName =
-    (await (typeof stableCoin?.name === 'function'
-        ? stableCoin.name().catch(() => undefined)
-        : Promise.resolve(undefined))) ?? 'Token';
-    const version =
-    (await (typeof stableCoin?.version === 'function'
-        ? stableCoin.version().catch(() => undefined)
-        : Promise.resolve(undefined))) ?? '1';
-    const erc20Iface = stableCoin.interface;
+    // permit 도메인: EIP-5267 / version() 탐색 후 DOMAIN_SEPARATOR와 대조 (불일치면 여기서 중단)
+    const permitDomain = await discoverPermitDomain(stableCoinAddr, hre.ethers.provider);
 
     // ---- 견적 및 레퍼럴 유효성 ----
     const required = await vestingRead.estimatedTotalAmount(amount, refCodeStr);
     if (required === 0n) throw new Error('❌ 유효하지 않은 레퍼럴 코드입니다. (estimatedTotalAmount가 0 반환)');
     console.log(`\n🧮 필요 ${symbol}: ${ethers.formatUnits(required, decimals)} ${symbol}`);
 
-    // ---- PERMIT(EIP-2612) 서명 (owner=buyer, spender=TokenVesting) ----
-    const permitNonce = await stableCoin.nonces(buyerAddr);
-    const permitDeadline = BigInt(Math.floor(Date.now() / 1000) + 60 * 30); // +30m
-    const permitDomain = {
-        name: tokenName,
-        version: version,
-        chainId,
-        verifyingContract: stableCoinAddr,
-    };
-    const permitTypes = {
-        Permit: [
-            { name: 'owner', type: 'address' },
-            { name: 'spender', type: 'address' },
-            { name: 'value', type: 'uint256' },
-            { name: 'nonce', type: 'uint256' },
-            { name: 'deadline', type: 'uint256' },
-        ],
-    };
-    const permitMsg = {
-        owner: buyerAddr,
+    // ---- PERMIT(EIP-2612) 서명 (owner=buyer, spender=TokenVesting, scripts/_permit.js) ----
+    console.log(`\n🔏 permit 도메인: ${permitDomain.domain.name} v${permitDomain.domain.version} (${permitDomain.source}, verified=${permitDomain.verified})`);
+    console.log('📝 permit 서명 생성 중...');
+    const p = await signPermit(signer, {
+        token: stableCoinAddr,
         spender: tokenVestingAddr,
         value: required,
-        nonce: permitNonce,
-        deadline: permitDeadline,
-    };
-    console.log('\n📝 permit 서명 생성 중...');
-    const permitSig = await signer.signTypedData(permitDomain, permitTypes, permitMsg);
-    const { v, r, s } = ethers.Signature.from(permitSig);
+        domain: permitDomain.domain,
+    }); // TokenVesting.PermitData
     console.log('✅ permit 서명 완료');
 
-    const p = { value: required, deadline: permitDeadline, v, r, s }; // TokenVesting.PermitData
-
     // ---- buyBox calldata ----
     const callData = vestingIface.encodeFunctionData('buyBox', [amount, refCodeStr, p]);
 
@@ -285,7 +140,7 @@ async function main() {
     console.log('📦 현재까지 레퍼럴된 박스 총량:', totalRefsBefore.toString());
 
     if (buyerBal < required) {
-        const ownerBase = new ethers.Wallet(OWNER_KEY, hre.ethers.provider);
+        const ownerBase = relayer;
         const ownerAddr = await ownerBase.getAddress();
         const need = required - buyerBal;
         const ownerBal = await stableCoin.balanceOf(ownerAddr);
@@ -319,54 +174,16 @@ async function main() {
     }
     // =======================================
 
-    // ---- ForwardRequest EIP-712 서명 ----
-    let fwdNonce;
-    try {
-        fwdNonce = await forwarder.getNonce(buyerAddr);
-    } catch {
-        fwdNonce = await forwarder.nonces(buyerAddr);
-    }
-    fwdNonce = BigInt(fwdNonce.toString());
-
-    const fwdDeadline = Math.floor(Date.now() / 1000) + deadlineIn; // uint48
-
-    // !!! 타입 순서 매우 중요 (deadline → data)!
-    const domain = {
-        name: 'WhitelistForwarder',
-        version: '1',
-        chainId,
-        verifyingContract: forwarderAddr,
-    };
-    const types = {
-        ForwardRequest: [
-            { name: 'from', type: 'address' },
-            { name: 'to', type: 'address' },
-            { name: 'value', type: 'uint256' },
-            { name: 'gas', type: 'uint256' }, // 내부 call 가스
-            { name: 'nonce', type: 'uint256' },
-            { name: 'deadline', type: 'uint48' }, // ← Forwarder 정의와 일치
-            { name: 'data', type: 'bytes' },
-        ],
-    };
-    const request = {
-        from: buyerAddr,
+    // ---- ForwardRequest EIP-712 서명 (도메인/타입/nonce: scripts/_forwardRequest.js) ----
+    console.log('\n🖋️ ForwardRequest 서명 생성 중...');
+    const requestWithSig = await buildForwardRequest(signer, {
+        forwarder: forwarderAddr,
         to: tokenVestingAddr,
-        value: 0n,
-        gas: gasCall,
-        nonce: fwdNonce,
-        deadline: fwdDeadline,
         data: callData,
-    };
-
-    console.log('\n🖋️ ForwardRequest 서명 생성 중...');
-    const signature = await signer.signTypedData(domain, types, request);
-    const recovered = ethers.verifyTypedData(domain, types, request, signature);
-    console.log(`✅ 서명 완료. recovered=${recovered}`);
-    if (recovered.toLowerCase() !== buyerAddr.toLowerCase()) {
-        throw new Error('❌ 서명자 불일치 (recovered != signer)');
-    }
-
-    const requestWithSig = { ...request, signature };
+        gas: gasCall,
+        deadline: Math.floor(Date.now() / 1000) + deadlineIn, // uint48
+    });
+    console.log(`✅ 서명 완료. nonce=${requestWithSig.nonce}, from=${requestWithSig.from}`);
 
     // ---- 실행(메타TX) ----
     try {
@@ -377,16 +194,13 @@ async function main() {
     // --- execute 직전에 프리플라이트 ---
     try {
         await forwarder.execute.staticCall(requestWithSig, {
-            value: request.value,
+            value: requestWithSig.value,
             gasLimit: gasExecute,
         });
         // callStatic 통과 시에만 실제 트랜잭션 진행
     } catch (preErr) {
-        console.log(preErr)
-        const info = decodeRevert(preErr, FwdFactory.interface, vestingIface, erc20Iface);
-        console.error('❌ callStatic 프리체크 실패(해석):', info.decoded || '(미해석)');
-        if (info.hint) console.error('   • hint:', info.hint);
-        if (info.raw) console.error('   • raw:', info.raw);
+        Shared.printRevert('callStatic 프리체크 실패(해석)', preErr);
+        preErr.reported = true;
         throw preErr; // 중단
     }
 
@@ -401,17 +215,15 @@ async function main() {
     let rc;
     try {
         const tx = await forwarder.execute(requestWithSig, {
-            value: request.value,   // 0
+            value: requestWithSig.value,   // 0
             gasLimit: gasExecute,   // 트xn 가스 상한
         });
         console.log(`⏳ Tx sent: ${tx.hash}`);
         rc = await tx.wait();
         console.log(`✅ 실행 완료. status=${rc.status} block=${rc.blockNumber}`);
     } catch (err) {
-        const info = decodeRevert(err, FwdFactory.interface, vestingIface, erc20Iface);
-        console.error('❌ execute 실패(해석):', info.decoded || '(미해석)');
-        if (info.hint) console.error('   • hint:', info.hint);
-        if (info.raw) console.error('   • raw:', info.raw);
+        Shared.printRevert('execute 실패(해석)', err);
+        err.reported = true;
         throw err;
     }
 
@@ -444,21 +256,6 @@ async function main() {
 }
 
 main().catch((e) => {
-    const { ethers } = require('hardhat');
-    console.error('❌ 실행 실패:', e?.shortMessage || e?.message || e);
-    const raw =
-        e?.info?.error?.data?.data ||
-        e?.info?.error?.data ||
-        e?.data ||
-        e?.error?.data ||
-        e?.error?.error?.data ||
-        null;
-    if (raw) {
-        try {
-            console.error('   • raw revert data:', typeof raw === 'string' ? raw : ethers.hexlify(raw));
-        } catch {
-            console.error('   • raw revert data: (hex 변환 실패)');
-        }
-    }
+    if (!e?.reported) Shared.printRevert('실행 실패', e);
     process.exit(1);
 });
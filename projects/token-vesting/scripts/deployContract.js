@@ -1,9 +1,11 @@
 require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
-const fs = require('fs');
-const path = require('path');
 const hre = require('hardhat');
 const { ethers } = hre;
+const fs = require('fs');
+const path = require('path');
 const Shared = require('./_shared'); // ← 가스 로깅 유틸
+const { validatePlan } = require('./_schedulePlan');
+const ForwardRequest = require('./_forwardRequest');
 
 const DAY = 86400n;
 const ZERO = ethers.ZeroAddress;
@@ -47,43 +49,47 @@ async function main() {
     // ── 가스 집계 버킷
     const totals = {}; // { deploy: {gas,fee}, setup: {gas,fee} }
 
-    // ── 필수: 배포자
-    const ownerKey = process.env.OWNER_KEY;
-    if (!ownerKey) throw new Error('❌ .env에 OWNER_KEY를 설정하세요.');
+    // ── 필수: 배포자 (OWNER_KEY 또는 OWNER_SIGNER=keystore, 배포는 offline 불가)
     const providerUrl = process.env.PROVIDER_URL || 'http://localhost:8545';
     const provider = new ethers.JsonRpcProvider(providerUrl);
-    const owner = new ethers.Wallet(ownerKey, provider);
+    const owner = await Shared.getSigner('owner', { provider, offline: false });
 
     console.log('🌐 네트워크:', hre.network.name);
-    console.log('👤 Deployer:', owner.address);
+    console.log(`👤 Deployer: ${owner.address} (${Shared.signerLabel('owner')})`);
 
     // ─────────────────────────────────────────────────────────────
-    // 🔒 하드코딩된 베스팅 시작/종료값
-    const startTsStr = process.env.VEST_START;
-    const START_TS = BigInt(startTsStr);
-
-    const endTsStr1 = process.env.VEST_END1;
-    const END_TS1 = BigInt(endTsStr1);
-    const endTsStr2 = process.env.VEST_END2;
-    const END_TS2 = BigInt(endTsStr2);
-    const endTsStr3 = process.env.VEST_END3;
-    const END_TS3 = BigInt(endTsStr3);
-    const endTsStr4 = process.env.VEST_END4;
-    const END_TS4 = BigInt(endTsStr4);
-    const ENDS = [END_TS1, END_TS2, END_TS3, END_TS4]; // inclusive
-
-    const BUYER_TOTALS = [
-        envAmount("BUY_POOL1_AMOUNT", 18),
-        envAmount("BUY_POOL2_AMOUNT", 18),
-        envAmount("BUY_POOL3_AMOUNT", 18),
-        envAmount("BUY_POOL4_AMOUNT", 18),
-    ];
-    const REF_TOTALS = [
-        envAmount("REF_POOL1_AMOUNT", 18),
-        envAmount("REF_POOL2_AMOUNT", 18),
-        envAmount("REF_POOL3_AMOUNT", 18),
-        envAmount("REF_POOL4_AMOUNT", 18),
-    ];
+    // 🔒 베스팅 시작/종료값 / 풀 총량
+    //   - VEST_PLAN_FILE 이 있으면 리뷰된 plan 파일(scripts/planSchedule.js 출력) 사용
+    //   - 없으면 .env (VEST_START / VEST_ENDn / BUY_POOLn_AMOUNT / REF_POOLn_AMOUNT)
+    let START_TS, ENDS, BUYER_TOTALS, REF_TOTALS;
+    const planFile = process.env.VEST_PLAN_FILE;
+    if (planFile) {
+        const planPath = path.resolve(planFile);
+        const plan = validatePlan(JSON.parse(fs.readFileSync(planPath, 'utf8')));
+        ({ startTs: START_TS, poolEnds: ENDS, buyerTotals: BUYER_TOTALS, refTotals: REF_TOTALS } = plan);
+        console.log('🗓️ 스케줄 plan 사용:', planPath);
+    } else {
+        START_TS = BigInt(process.env.VEST_START);
+        ENDS = [
+            BigInt(process.env.VEST_END1),
+            BigInt(process.env.VEST_END2),
+            BigInt(process.env.VEST_END3),
+            BigInt(process.env.VEST_END4),
+        ]; // inclusive
+
+        BUYER_TOTALS = [
+            envAmount("BUY_POOL1_AMOUNT", 18),
+            envAmount("BUY_POOL2_AMOUNT", 18),
+            envAmount("BUY_POOL3_AMOUNT", 18),
+            envAmount("BUY_POOL4_AMOUNT", 18),
+        ];
+        REF_TOTALS = [
+            envAmount("REF_POOL1_AMOUNT", 18),
+            envAmount("REF_POOL2_AMOUNT", 18),
+            envAmount("REF_POOL3_AMOUNT", 18),
+            envAmount("REF_POOL4_AMOUNT", 18),
+        ];
+    }
     // ─────────────────────────────────────────────────────────────
 
     // 기타 파라미터
@@ -96,6 +102,11 @@ async function main() {
     if (!isUtcMidnight(START_TS)) {
         console.warn('⚠️ START_TS가 UTC 자정으로 정렬되지 않았습니다. (권장: 자정)');
     }
+    ENDS.forEach((e, i) => {
+        if (!isUtcMidnight(e + 1n)) {
+            console.warn(`⚠️ ENDS[${i}]가 UTC 23:59:59로 정렬되지 않았습니다. (권장: node scripts/planSchedule.js 로 경계 계산)`);
+        }
+    });
     if (!(ENDS.length > 0 && ENDS.length === BUYER_TOTALS.length && ENDS.length === REF_TOTALS.length)) {
         throw new Error('❌ ends/buyerTotals/refTotals 길이가 일치해야 합니다.');
     }
@@ -104,7 +115,7 @@ async function main() {
         if (i > 0 && ENDS[i] <= ENDS[i - 1]) throw new Error('❌ ENDS 배열은 엄격히 증가해야 합니다.');
     }
 
-    console.log('\n📋 배포 파라미터 (하드코딩)');
+    console.log(`\n📋 배포 파라미터 (${planFile ? 'plan' : '.env'})`);
     console.log('  - START_TS :', START_TS.toString());
     console.log('  - ENDS     :', ENDS.map(String));
     console.log('  - BUYER_TOTALS(18dec):', BUYER_TOTALS.map(String));
@@ -115,6 +126,7 @@ async function main() {
         // 0) WhitelistForwarder 배포 or 재사용  ← (1) 요구사항
         let fwdAddr = FORWARDER_ENV;
         let forwarder;
+        let forwarderDeployed = false;
         if (!fwdAddr || fwdAddr === ZERO) {
             console.log('\n0️⃣ WhitelistForwarder 배포 중...');
             const Fwd = await ethers.getContractFactory('WhitelistForwarder', owner);
@@ -123,6 +135,7 @@ async function main() {
             await Shared.withGasLog('[deploy] WhitelistForwarder', Promise.resolve(depTxF), totals, 'deploy');
             await forwarder.waitForDeployment();
             fwdAddr = await forwarder.getAddress();
+            forwarderDeployed = true;
             console.log('✅ WhitelistForwarder 배포 완료:', fwdAddr);
             await waitIfNeeded();
         } else {
@@ -132,10 +145,11 @@ async function main() {
 
         // 1) StableCoin 배포 or 재사용
         let stableAddr = STABLECOIN_ADDRESS;
+        let stable = null;
         if (!stableAddr) {
             console.log('\n1️⃣ StableCoin 배포 중...(contracts/StableCoin.sol: StableCoin)');
             const Stable = await ethers.getContractFactory('StableCoin', owner);
-            const stable = await Stable.deploy();
+            stable = await Stable.deploy();
             const depTx1 = stable.deploymentTransaction();
             await Shared.withGasLog('[deploy] StableCoin', Promise.resolve(depTx1), totals, 'deploy');
             await stable.waitForDeployment();
@@ -192,28 +206,20 @@ async function main() {
         console.log('✅ TokenVesting 배포 완료:', vestingAddr);
         await waitIfNeeded();
 
-        // 3.5) Forwarder 설정: 화이트리스트 + buyBox 셀렉터 허용  ← (3)(4) 요구사항
+        // 3.5) Forwarder 설정: 화이트리스트 + 위임대납 셀렉터 허용  ← (3)(4) 요구사항
+        //      buyBox뿐 아니라 클레임/sendBox도 대납 가능하도록 FORWARDABLE 전체 등록
         console.log('\n3.5️⃣ Forwarder 정책 설정 (whitelist + setAllowed)...');
-        await Shared.withGasLog(
-            '[setup] forwarder.addToWhitelist(Vesting)',
-            forwarder.addToWhitelist(vestingAddr),
-            totals,
-            'setup'
+        const forwardable = Shared.selectorsForForwardable(vesting.interface);
+        const allowRes = await ForwardRequest.ensureAllowed(
+            forwarder,
+            vestingAddr,
+            forwardable.map((f) => f.selector),
+            { send: (label, txPromise) => Shared.withGasLog(label, txPromise, totals, 'setup') }
         );
-        console.log('    • addToWhitelist 완료');
-        await waitIfNeeded();
-
-        // selector 계산
-        const buyBoxSel = Shared.selectorForBuyBox(vesting.interface);
-
-        // 허용 등록
-        await Shared.withGasLog(
-            `[setup] forwarder.setAllowed(Vesting, buyBox=${buyBoxSel}, true)`,
-            forwarder.setAllowed(vestingAddr, buyBoxSel, true),
-            totals,
-            'setup'
-        );
-        console.log('    • setAllowed 완료 (selector:', buyBoxSel, ')');
+        if (allowRes.whitelisted) console.log('    • addToWhitelist 완료');
+        for (const f of forwardable) {
+            console.log(`    • setAllowed 완료 (${f.name}: ${f.selector}, 서명자=${f.role})`);
+        }
         await waitIfNeeded();
 
         // 4) 스케줄 초기화
@@ -263,35 +269,41 @@ async function main() {
             console.log('\n6.5️⃣ recipient 설정 스킵(미지정). 추후 setRecipient으로 설정 가능.');
         }
 
-        // 7) 결과 저장
-        const deploymentInfo = {
-            network: (await provider.getNetwork()).toJSON?.() ?? await provider.getNetwork(),
-            deployer: owner.address,
-            forwarder: fwdAddr, // ← 실제 사용된 forwarder 주소로 저장
-            startTs: START_TS.toString(),
-            contracts: {
-                stableCoin: stableAddr,
-                badgeSBT: sbtAddr,
-                badgeSbtResolver: resolverAddr,
-                tokenVesting: vestingAddr,
+        // 7) 결과 저장 (배포 레지스트리: deployments/<chainId>.json)
+        const registry = Shared.registry;
+        const chainId = await registry.chainIdOf(provider);
+        const recordReused = (name, address) => {
+            // 기존 주소 재사용: 같은 주소가 이미 기록돼 있으면 배포 tx 정보를 보존
+            const cur = registry.get(chainId, name);
+            if (cur?.address?.toLowerCase() === address.toLowerCase()) return;
+            registry.record(chainId, name, { address, network: hre.network.name });
+        };
+        if (forwarderDeployed) {
+            await registry.recordDeployment(hre, 'WhitelistForwarder', forwarder);
+        } else {
+            recordReused('WhitelistForwarder', fwdAddr);
+        }
+        if (stable) {
+            await registry.recordDeployment(hre, 'StableCoin', stable);
+        } else {
+            recordReused('StableCoin', stableAddr);
+        }
+        await registry.recordDeployment(hre, 'BadgeSBT', sbt, { args: [SBT_NAME, SBT_SYMBOL, owner.address] });
+        await registry.recordDeployment(hre, 'BadgeSbtTierUriResolver', resolver, { args: [sbtAddr] });
+        await registry.recordDeployment(hre, 'TokenVesting', vesting, {
+            args: [fwdAddr, stableAddr, START_TS],
+            meta: {
+                startTs: START_TS,
+                schedule: {
+                    ends: toJsonableBigInts(ENDS),
+                    buyerTotals: toJsonableBigInts(BUYER_TOTALS),
+                    refTotals: toJsonableBigInts(REF_TOTALS),
+                },
                 vestingToken: VESTING_TOKEN_ADDRESS || null,
-                // permitAndBuyWrapper: wrapperAddr,
                 recipient: recipientAddr,
             },
-            schedule: {
-                ends: toJsonableBigInts(ENDS),
-                buyerTotals: toJsonableBigInts(BUYER_TOTALS),
-                refTotals: toJsonableBigInts(REF_TOTALS),
-            },
-            time: new Date().toISOString(),
-            blockNumber: await provider.getBlockNumber(),
-        };
-
-        const outDir = path.join(__dirname, 'output');
-        if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
-        const outFile = path.join(outDir, `deployment-info.json`);
-        fs.writeFileSync(outFile, JSON.stringify(deploymentInfo, null, 2));
-        console.log(`\n💾 배포 정보를 ${outFile} 에 저장했습니다.`);
+        });
+        console.log(`\n💾 배포 정보를 ${registry.fileOf(chainId)} 에 저장했습니다. (chainId=${chainId})`);
         // ── 가스 요약
         Shared.printGasSummary(totals, ['deploy', 'setup']);
 
@@ -304,4 +316,4 @@ async function main() {
 
 main()
     .then(() => { console.log('\n🎯 배포 스크립트 정상 종료'); process.exit(0); })
-    .catch((e) => { console.error('❌ 스크립트 실패:', e); process.exit(1); });
+    .catch((e) => { Shared.printRevert('스크립트 실패', e); process.exit(1); });
@@ -0,0 +1,117 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  유저별 베스팅 명세(statement) 내보내기 (CSV / JSON)
+ * @description
+ *   1) 대상 주소: 명령행 인수(콤마 구분) 또는 STATEMENT_USERS, 없으면 이벤트에서 보유자 전체 탐색
+ *   2) 기간: STATEMENT_FROM ~ STATEMENT_TO (YYYY-MM-DD 또는 day index, 기본: 지난 7일 + 오늘)
+ *   3) 주소 × 일자별 구매자 풀 / 추천인 풀 earned · claimed · claimable 산출 (_statement.js)
+ *   4) CSV 또는 JSON으로 저장
+ *
+ * 실행:
+ *   npx hardhat run scripts/exportStatements.js --network <net>
+ *   STATEMENT_USERS=0xabc...,0xdef... STATEMENT_FROM=2025-06-01 STATEMENT_TO=2025-06-07 \
+ *     npx hardhat run scripts/exportStatements.js --network <net>
+ *
+ * 환경변수(.env):
+ *   STATEMENT_USERS      : 대상 주소 (콤마 구분, 선택)
+ *   STATEMENT_FROM       : 시작일 (YYYY-MM-DD(UTC) 또는 day index, 선택)
+ *   STATEMENT_TO         : 종료일 (포함, 선택, 오늘 이후는 오늘로 제한)
+ *   STATEMENT_FORMAT     : csv | json (기본 csv)
+ *   STATEMENT_UNITS      : token | wei (기본 token = 18dec 소수 표기)
+ *   STATEMENT_OUT        : 출력 경로 (기본 scripts/output/statements-<from>_<to>.<format>)
+ *   STATEMENT_FROM_BLOCK : 이벤트 조회 시작 블록 (기본: 배포 블록 자동 탐색)
+ *
+ * 컬럼:
+ *   address, day, date, status(final|pending|accruing), boxes, referralUnits,
+ *   purchaseEarned, purchaseClaimed, purchaseClaimable,
+ *   referralEarned, referralClaimed, referralClaimable
+ *
+ * 주의:
+ *  - earned / claimable은 18dec 원값(실제 클레임 시 6자리 절삭), claimed는 실제 지급액
+ *  - pending / accruing 행은 preview 시뮬레이션 값으로 sync 후 확정됨
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const Shared = require("./_shared");
+const Statement = require("./_statement");
+
+require("dotenv").config({ path: path.join(__dirname, "../.env") });
+
+const DAY = 86400n;
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 유틸
+// ──────────────────────────────────────────────────────────────────────────────
+/**
+ * @description 날짜 인자 → day index (YYYY-MM-DD는 UTC 자정 기준)
+ * @param {string|undefined} v
+ * @param {bigint} startTs vestingStartDate
+ * @returns {bigint|undefined}
+ */
+function parseDay(v, startTs) {
+    if (v == null || v === "") return undefined;
+    if (/^\d+$/.test(v)) return BigInt(v);
+    const ms = Date.parse(`${v}T00:00:00Z`);
+    if (!Number.isFinite(ms)) throw new Error(`잘못된 날짜 형식입니다 (YYYY-MM-DD 또는 day index): ${v}`);
+    const ts = BigInt(ms / 1000);
+    return ts < startTs ? 0n : (ts - startTs) / DAY;
+}
+
+/**
+ * @description 대상 주소 목록 (인수 → STATEMENT_USERS)
+ */
+function pickUsers() {
+    const raw = Shared.argv(0) || process.env.STATEMENT_USERS || "";
+    return raw.split(",").map((s) => s.trim()).filter(Boolean).map((a) => {
+        try {
+            return ethers.getAddress(a);
+        } catch {
+            throw new Error(`잘못된 주소 형식입니다: ${a}`);
+        }
+    });
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 메인
+// ──────────────────────────────────────────────────────────────────────────────
+async function main() {
+    const format = (process.env.STATEMENT_FORMAT || "csv").toLowerCase();
+    const units = (process.env.STATEMENT_UNITS || "token").toLowerCase();
+    if (!["csv", "json"].includes(format)) throw new Error(`STATEMENT_FORMAT must be csv|json: ${format}`);
+    if (!["token", "wei"].includes(units)) throw new Error(`STATEMENT_UNITS must be token|wei: ${units}`);
+
+    const { vesting } = await Shared.attachVestingWithEthers();
+    const startTs = BigInt(await vesting.vestingStartDate());
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const today = BigInt(timestamp) < startTs ? 0n : (BigInt(timestamp) - startTs) / DAY;
+
+    const toDay = parseDay(process.env.STATEMENT_TO, startTs) ?? today;
+    const fromDay = parseDay(process.env.STATEMENT_FROM, startTs) ?? (toDay > 7n ? toDay - 7n : 0n);
+    const users = pickUsers();
+    const fromBlock = process.env.STATEMENT_FROM_BLOCK ? Number(process.env.STATEMENT_FROM_BLOCK) : undefined;
+
+    console.log(`[statement] days ${fromDay}..${toDay}, users=${users.length ? users.length : "(discover from events)"}`);
+    const result = await Statement.buildStatements(vesting, { users, fromDay, toDay, fromBlock });
+    const { meta } = result;
+
+    const outPath = process.env.STATEMENT_OUT ||
+        path.join(__dirname, "output", `statements-${meta.fromDay}_${meta.toDay}.${format}`);
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, format === "csv" ? Statement.toCsv(result.rows, units) : Statement.toJson(result, units));
+
+    const stat = result.rows.reduce((s, r) => { s[r.status] = (s[r.status] ?? 0) + 1; return s; }, {});
+    console.log(`[statement] block ${meta.block} (${meta.blockTime}), lastSyncedDay=${meta.lastSyncedDay}, today=${meta.today}`);
+    console.log(`[statement] ${meta.users} user(s), ${result.rows.length} row(s) ` +
+        `(${Object.entries(stat).map(([k, v]) => `${k}=${v}`).join(", ") || "none"})`);
+    console.log(`📝 ${format.toUpperCase()}: ${outPath}`);
+}
+
+main().catch((e) => {
+    Shared.printRevert("스크립트 오류", e);
+    process.exit(1);
+});
@@ -0,0 +1,111 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  가스 베이스라인 CLI (리포트 비교 / 베이스라인 갱신 / 리포트 출력)
+ * @description
+ *   명령 (첫 번째 명령행 인수):
+ *   - compare [baseline] [current] : 베이스라인 대비 증가율이 GAS_THRESHOLD(%)를 넘는 항목을 regression으로 표시
+ *                                    regression 또는 TRACKED 함수 누락 시 exit 1 (CI용)
+ *   - update  [current] [baseline] : 현재 리포트로 베이스라인 교체 (의도된 변경을 리뷰한 뒤 커밋)
+ *   - show    [file]               : 리포트 내용 출력
+ *
+ *   기본 경로: baseline = gas-baseline.json, current = gas-report.json (프로젝트 루트)
+ *   리포트 생성:
+ *     - 함수별: GAS_REPORT=gas-report.json npx hardhat test test/vesting.gas.test.js  (pnpm gas:report)
+ *     - 스크립트: GAS_REPORT=gas-report.json npx hardhat run scripts/syncVesting.js --network <net>
+ *                 (printGasSummary가 버킷별 집계를 병합 기록, 이름은 GAS_REPORT_NAME 또는 스크립트 파일명)
+ *
+ * 실행 (hardhat 불필요):
+ *   node scripts/gasBaseline.js compare
+ *   GAS_THRESHOLD=10 node scripts/gasBaseline.js compare gas-baseline.json gas-report.json
+ *   node scripts/gasBaseline.js update
+ *
+ * 환경변수(.env):
+ *   GAS_THRESHOLD : 허용 증가율(%) (기본 5)
+ *
+ * @author hlibbc
+ */
+const path = require("path");
+const GasBaseline = require("./_gasBaseline");
+
+require("dotenv").config({ path: path.join(__dirname, "../.env") });
+
+const COMMANDS = ["compare", "update", "show"];
+const ROOT = path.join(__dirname, "..");
+const DEFAULT_BASELINE = path.join(ROOT, "gas-baseline.json");
+const DEFAULT_CURRENT = path.join(ROOT, "gas-report.json");
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 명령
+// ──────────────────────────────────────────────────────────────────────────────
+/**
+ * @description 베이스라인 대비 비교 (regression/누락 시 exitCode 1)
+ */
+function cmdCompare(baselineFile = DEFAULT_BASELINE, currentFile = DEFAULT_CURRENT) {
+    const threshold = Number(process.env.GAS_THRESHOLD || GasBaseline.DEFAULT_THRESHOLD);
+    if (!Number.isFinite(threshold) || threshold < 0) throw new Error(`❌ GAS_THRESHOLD 값이 올바르지 않습니다: ${process.env.GAS_THRESHOLD}`);
+
+    const baseline = GasBaseline.readReport(baselineFile, { required: true });
+    const current = GasBaseline.readReport(currentFile, { required: true });
+    const res = GasBaseline.compareReports(baseline, current, { threshold });
+
+    console.log(`⛽ 가스 비교 (threshold ${threshold}%, * = TRACKED)`);
+    console.log(`  - baseline : ${baselineFile} (${baseline.updatedAt ?? "-"})`);
+    console.log(`  - current  : ${currentFile} (${current.updatedAt ?? "-"})\n`);
+    console.log(GasBaseline.formatComparison(res.rows));
+
+    if (res.missing.length) console.log(`\n❌ 측정 누락 (TRACKED): ${res.missing.join(", ")}`);
+    if (res.regressions.length) {
+        console.log(`\n❌ regression ${res.regressions.length}건:`);
+        for (const r of res.regressions) console.log(`   - ${r.section}:${r.key} ${r.base} → ${r.current} (+${r.pct}%)`);
+    }
+    if (!res.ok) {
+        process.exitCode = 1;
+        return;
+    }
+    console.log("\n✅ regression 없음");
+}
+
+/**
+ * @description 현재 리포트로 베이스라인 교체
+ */
+function cmdUpdate(currentFile = DEFAULT_CURRENT, baselineFile = DEFAULT_BASELINE) {
+    const current = GasBaseline.readReport(currentFile, { required: true });
+    const { missing } = GasBaseline.compareReports(GasBaseline.emptyReport(), current);
+    if (missing.length) throw new Error(`❌ 측정 누락 (TRACKED): ${missing.join(", ")} — 베이스라인을 갱신하지 않습니다.`);
+    GasBaseline.writeReport(baselineFile, current);
+    const n = Object.keys(current.functions).length + Object.values(current.scripts).reduce((a, b) => a + Object.keys(b).length, 0);
+    console.log(`💾 베이스라인 갱신: ${baselineFile} (${n}개 항목)`);
+}
+
+/**
+ * @description 리포트 출력
+ */
+function cmdShow(file = DEFAULT_CURRENT) {
+    const report = GasBaseline.readReport(file, { required: true });
+    console.log(`⛽ ${file} (${report.updatedAt ?? "-"})`);
+    console.log("\n[functions] gasUsed (min / avg / max, samples)");
+    for (const [k, v] of Object.entries(report.functions)) {
+        console.log(`  ${k.padEnd(28)} ${v.min} / ${v.avg} / ${v.max} (${v.samples})`);
+    }
+    console.log("\n[scripts] 버킷별 gas / fee(wei) / 건수");
+    for (const [name, buckets] of Object.entries(report.scripts)) {
+        for (const [b, v] of Object.entries(buckets)) {
+            console.log(`  ${`${name}.${b}`.padEnd(28)} gas=${v.gas} fee=${v.fee} count=${v.count}`);
+        }
+    }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 메인
+// ──────────────────────────────────────────────────────────────────────────────
+async function main() {
+    const [cmd, ...args] = process.argv.slice(2);
+    if (!COMMANDS.includes(cmd)) throw new Error(`❌ 명령을 지정하세요 (${COMMANDS.join("|")}): ${cmd || "(없음)"}`);
+    await { compare: cmdCompare, update: cmdUpdate, show: cmdShow }[cmd](...args);
+}
+
+main().catch((e) => {
+    console.error(e?.message || e);
+    process.exit(1);
+});
@@ -0,0 +1,57 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  BadgeSBT 등급별 메타데이터 / SVG 생성 CLI
+ * @description
+ *   1) 등급(Sprout..Moon)별 <key>.svg, <key>.json(ERC-721 메타데이터) 생성 — scripts/_badgeMetadata.js
+ *   2) 출력 디렉터리를 IPFS/웹서버에 올리거나 badge-server(benchmarks/badge-server)로 서빙
+ *   3) 올린 위치를 BADGE_METADATA_BASE_URI로 지정해 scripts/setTierURIs.js 실행
+ *
+ * 실행 (hardhat 불필요):
+ *   node scripts/generateBadgeMetadata.js
+ *   BADGE_IMAGE_BASE_URI=ipfs://<imagesCID> node scripts/generateBadgeMetadata.js
+ *
+ * 환경변수(.env):
+ *   BADGE_METADATA_OUT    : 출력 디렉터리 (기본 scripts/output/badge-metadata)
+ *   BADGE_IMAGE_BASE_URI  : image 필드 base URI (<base>/<key>.svg). 없으면 SVG를 data URI로 내장
+ *   BADGE_EXTERNAL_URL    : external_url (선택)
+ *   BADGE_COLLECTION_NAME : 메타데이터 name 접두어 (기본 "Badge")
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const path = require("path");
+const Badge = require("./_badgeMetadata");
+
+require("dotenv").config({ path: path.join(__dirname, "../.env") });
+
+async function main() {
+    const out = path.resolve(process.env.BADGE_METADATA_OUT || path.join(__dirname, "output", "badge-metadata"));
+    const imageBase = (process.env.BADGE_IMAGE_BASE_URI || "").replace(/\/+$/, "");
+    fs.mkdirSync(out, { recursive: true });
+
+    console.log("🏅 BadgeSBT 등급 메타데이터 생성");
+    console.log(`  - 출력     : ${out}`);
+    console.log(`  - image    : ${imageBase ? `${imageBase}/<key>.svg` : "data URI (SVG 내장)"}`);
+
+    for (const t of Badge.TIERS) {
+        const meta = Badge.tierMetadata(t.tier, {
+            image: imageBase ? `${imageBase}/${t.key}.svg` : undefined,
+            externalUrl: process.env.BADGE_EXTERNAL_URL || undefined,
+            collection: process.env.BADGE_COLLECTION_NAME || undefined,
+        });
+        fs.writeFileSync(path.join(out, `${t.key}.svg`), Badge.tierSvg(t.tier));
+        fs.writeFileSync(path.join(out, `${t.key}.json`), JSON.stringify(meta, null, 2) + "\n");
+        const range = t.maxBoxes == null ? `${t.minBoxes}+` : `${t.minBoxes}..${t.maxBoxes}`;
+        console.log(`  [${t.tier}] ${t.name.padEnd(12)} boxes ${range.padEnd(7)} → ${t.key}.json / ${t.key}.svg`);
+    }
+
+    console.log("\n다음 단계:");
+    console.log(`  1) ${out} 를 호스팅 (IPFS 업로드 또는 benchmarks/badge-server)`);
+    console.log("  2) BADGE_METADATA_BASE_URI=<호스팅 위치> npx hardhat run scripts/setTierURIs.js --network <net>");
+}
+
+main().catch((e) => {
+    console.error(e?.message || e);
+    process.exit(1);
+});
@@ -0,0 +1,115 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  베스팅 스케줄 플래너 CLI (initializeSchedule 인자 / 일일 풀 / Token 펀딩량 → 리뷰용 plan 파일)
+ * @description
+ *   1) 스펙 로드: 명령행 인수(JSON 경로) → SCHEDULE_SPEC → 없으면 .env(VEST_START, BUY/REF_POOLn_AMOUNT)
+ *   2) 구간 경계 계산 (UTC 자정 시작, inclusive 종료 = 다음 자정 - 1초, 윤년 반영) — scripts/_schedulePlan.js
+ *   3) 구간별 일일 풀(평상일 / 마지막 날 보정) 및 펀딩 총량 출력
+ *   4) plan 파일 저장 → 리뷰 후 deployContract.js / setVestingToken.js 에서 VEST_PLAN_FILE로 사용
+ *
+ * 실행 (hardhat 불필요):
+ *   node scripts/planSchedule.js scripts/input/schedule.json
+ *   SCHEDULE_PLAN_DAYS=1 node scripts/planSchedule.js            # .env 기반 + 일자별 풀 포함
+ *
+ * 스펙(JSON):
+ *   {
+ *     "start": "2026-11-01",                  // UTC 자정 (YYYY-MM-DD 또는 epoch 초)
+ *     "years": 4,                             // 또는 "periods": [{ "days": 365 }, { "lastDate": "2028-10-31" }, ...]
+ *     "buyerTotals": ["170,000,000", ...],    // 구간별 구매자 풀 (토큰 개수)
+ *     "refTotals":   ["15,000,000", ...]      // 구간별 추천인 풀 (토큰 개수, 생략 시 0)
+ *   }
+ *
+ * 환경변수(.env):
+ *   SCHEDULE_SPEC       : 스펙 JSON 경로 (명령행 인수 없을 때)
+ *   SCHEDULE_PLAN_OUT   : 출력 경로 (기본 scripts/output/schedule-plan.json)
+ *   SCHEDULE_PLAN_DAYS  : 1이면 일자별 풀(days[]) 포함
+ *   VEST_START, BUY_POOLn_AMOUNT, REF_POOLn_AMOUNT (n=1..4) : 스펙 파일이 없을 때 사용 (연차 = 풀 개수)
+ *   VEST_ENDn           : 있으면 계산된 경계와 비교해 불일치 경고
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const Plan = require("./_schedulePlan");
+
+require("dotenv").config({ path: path.join(__dirname, "../.env") });
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 유틸
+// ──────────────────────────────────────────────────────────────────────────────
+/**
+ * @description 스펙 로드 (인수/SCHEDULE_SPEC JSON → .env)
+ * @returns {{ spec: object, source: string }}
+ */
+function loadSpec() {
+    const file = process.argv[2] || process.env.SCHEDULE_SPEC;
+    if (file) {
+        const p = path.resolve(file);
+        if (!fs.existsSync(p)) throw new Error(`❌ 스펙 파일을 찾을 수 없습니다: ${p}`);
+        return { spec: JSON.parse(fs.readFileSync(p, "utf8")), source: p };
+    }
+    if (!process.env.VEST_START) throw new Error("❌ 스펙 파일 인수 또는 .env의 VEST_START가 필요합니다.");
+
+    const buyerTotals = [];
+    const refTotals = [];
+    for (let i = 1; i <= 4; i++) {
+        const b = process.env[`BUY_POOL${i}_AMOUNT`];
+        const r = process.env[`REF_POOL${i}_AMOUNT`];
+        if ((b == null || b.trim() === "") && (r == null || r.trim() === "")) break;
+        buyerTotals.push(b || "0");
+        refTotals.push(r || "0");
+    }
+    return { spec: { start: process.env.VEST_START, years: buyerTotals.length, buyerTotals, refTotals }, source: ".env" };
+}
+
+const fmt = (wei, decimals) => ethers.formatUnits(wei, decimals).replace(/\.0$/, "");
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 메인
+// ──────────────────────────────────────────────────────────────────────────────
+async function main() {
+    const { spec, source } = loadSpec();
+    const plan = Plan.createPlan(spec, { includeDays: process.env.SCHEDULE_PLAN_DAYS === "1" });
+    const dec = plan.decimals;
+
+    console.log("🗓️  베스팅 스케줄 계획");
+    console.log(`  - 스펙     : ${source}`);
+    console.log(`  - 시작     : ${plan.start.date} 00:00:00 UTC (${plan.start.ts})`);
+    console.log(`  - 구간 수  : ${plan.periods.length}`);
+
+    console.log("\n📋 구간별 경계 / 일일 풀 (rewardPerBox 분배 전 총액, 마지막 날은 잔여 보정)");
+    for (const p of plan.periods) {
+        console.log(`\n  [${p.index + 1}] ${p.firstDate} ~ ${p.lastDate} (${p.termDays}일, day ${p.fromDay}..${p.toDay})`);
+        console.log(`      poolEnd      : ${p.endTs} (${p.lastDate} 23:59:59 UTC)`);
+        console.log(`      buyer total  : ${fmt(p.buyerTotal, dec)}  daily=${fmt(p.buyerDaily, dec)}  lastDay=${fmt(p.buyerLastDay, dec)}`);
+        console.log(`      ref   total  : ${fmt(p.refTotal, dec)}  daily=${fmt(p.refDaily, dec)}  lastDay=${fmt(p.refLastDay, dec)}`);
+    }
+
+    console.log("\n💸 Token → TokenVesting 펀딩량 (최대 지급 가능량)");
+    console.log(`  - buyer 합계 : ${fmt(plan.funding.buyerSum, dec)}`);
+    console.log(`  - ref   합계 : ${fmt(plan.funding.refSum, dec)}`);
+    console.log(`  - TOTAL      : ${fmt(plan.funding.total, dec)} (wei=${plan.funding.total})`);
+
+    // .env 기반 흐름과 대조 / 붙여넣기용
+    console.log("\n🧾 .env 값");
+    console.log(`  VEST_START=${plan.start.ts}`);
+    plan.periods.forEach((p) => {
+        const key = `VEST_END${p.index + 1}`;
+        const cur = process.env[key];
+        const warn = cur && cur.trim() !== "" && BigInt(cur.trim()) !== p.endTs ? `   ⚠️ 현재 .env ${key}=${cur} 와 다름` : "";
+        console.log(`  ${key}=${p.endTs}${warn}`);
+    });
+
+    const out = process.env.SCHEDULE_PLAN_OUT || path.join(__dirname, "output", "schedule-plan.json");
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, JSON.stringify(Plan.planToJSON(plan), null, 2) + "\n");
+    console.log(`\n💾 plan 저장: ${out}`);
+    console.log("   리뷰 후 VEST_PLAN_FILE로 deployContract.js / setVestingToken.js에 전달하세요. (initializeSchedule은 1회만 가능)");
+}
+
+main().catch((e) => {
+    console.error(e?.message || e);
+    process.exit(1);
+});
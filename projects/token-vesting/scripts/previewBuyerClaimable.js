@@ -12,12 +12,15 @@
  * 환경변수(../.env):
  *   OWNER_KEY=<개인키>
  *   PROVIDER_URL=<RPC URL> (선택, 기본값: http://127.0.0.1:8545)
- * 
+ *
+ * 참고:
+ *  - 기간별(일자별) earned/claimed/claimable 명세는 scripts/exportStatements.js 참고
+ *
  * @author hlibbc
  */
 
 require("dotenv").config();
-const { pickAddressArg, attachVestingWithEthers, ethers } = require("./_shared");
+const { pickAddressArg, attachVestingWithEthers, ethers, printRevert } = require("./_shared");
 
 // =============================================================================
 // 유틸리티 함수들
@@ -64,7 +67,7 @@ async function main() {
 
     // === 결과 출력 ===
     console.log("\n=== Buyer Claimable (현재 시점) ===");
-    console.log("🌐 네트워크    :", d.network?.name || process.env.HARDHAT_NETWORK || "unknown");
+    console.log("🌐 네트워크    :", d.network || process.env.HARDHAT_NETWORK || "unknown");
     console.log("🔗 Vesting    :", d.vesting);             // ⬅ 여기!
     console.log("👤 사용자     :", user);
     console.log("📦 총 박스량  :", totalBoxes.toString());     // ← 추가 출력
@@ -84,6 +87,6 @@ async function main() {
 // =============================================================================
 
 main().catch((e) => { 
-    console.error("❌ 스크립트 오류:", e); 
+    printRevert("스크립트 오류", e); 
     process.exit(1); 
 });
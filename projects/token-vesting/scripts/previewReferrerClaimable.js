@@ -22,7 +22,7 @@
  */
 
 require("dotenv").config();
-const { pickAddressArg, attachVestingWithEthers, ethers } = require("./_shared");
+const { pickAddressArg, attachVestingWithEthers, ethers, printRevert } = require("./_shared");
 
 // =============================================================================
 // 유틸리티 함수들
@@ -68,7 +68,7 @@ async function main() {
 
     // === 결과 출력 ===
     console.log("\n=== Referrer Claimable (현재 시점) ===");
-    console.log("🌐 네트워크    :", d.network?.name || process.env.HARDHAT_NETWORK || "unknown");
+    console.log("🌐 네트워크    :", d.network || process.env.HARDHAT_NETWORK || "unknown");
     console.log("🔗 Vesting    :", d.vesting);             // ⬅ 여기!
     console.log("👤 사용자     :", user);
     console.log("💰 amount18   :", ref18.toString());
@@ -86,6 +86,6 @@ async function main() {
 // =============================================================================
 
 main().catch((e) => { 
-    console.error("❌ 스크립트 오류:", e); 
+    printRevert("스크립트 오류", e); 
     process.exit(1); 
 });
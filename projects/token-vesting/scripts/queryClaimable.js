@@ -3,7 +3,7 @@
  * @fileoverview 
  *  TokenVesting 컨트랙트의 claimable 조회 스크립트
  * @description
- *  배포 없이, 기존 배포(deployment-info.json)를 읽어
+ *  배포 없이, 기존 배포(배포 레지스트리 deployments/<chainId>.json)를 읽어
  *  - 지정 시점(epoch) / 지정 주소의 purchase/referral 클레임 가능액 및 보조 정보 조회
  * 
  * 실행 방법:
@@ -28,10 +28,10 @@
  * 
  * @author hlibbc
  */
-const fs = require("fs");
 const path = require("path");
 const hre = require("hardhat");
 const { ethers } = hre;
+const { printRevert, loadDeployment } = require("./_shared");
 
 // =============================================================================
 // 환경변수 설정
@@ -44,22 +44,6 @@ require("dotenv").config({ path: path.join(__dirname, "../.env") });
 // 유틸리티 함수
 // =============================================================================
 
-/**
- * @description 배포 정보 파일을 로드하는 함수
- * @returns {Object} 배포 정보 객체
- * @throws {Error} deployment-info.json 파일이 존재하지 않을 경우
- * 
- * ../output/deployment-info.json 파일을 읽어서 JSON으로 파싱
- * deployContracts.js 실행 후에 생성되는 파일
- */
-function loadDeploymentInfo() {
-    const p = path.join(__dirname, "./output/deployment-info.json");
-    if (!fs.existsSync(p)) {
-        throw new Error(`deployment-info.json not found: ${p}\n(먼저 deployContracts.js 실행)`);
-    }
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-}
-
 /**
  * @description 18자리 소수점 금액을 6자리 소수점으로 내림 처리하는 함수
  * @param {BigInt} amount18n - 18자리 소수점 금액
@@ -127,12 +111,11 @@ async function main() {
     const TARGET   = ethers.getAddress(addrArg);
 
     // === 배포 정보 로드 및 컨트랙트 핸들 획득 ===
-    const info = loadDeploymentInfo();
-    const vestingAddr = info?.contracts?.tokenVesting;
-    if (!vestingAddr) throw new Error("tokenVesting address missing in deployment-info.json");
+    const info = await loadDeployment();
+    const vestingAddr = info.vesting;
 
     // === 베스팅 시작 시각 및 일자 상수 ===
-    const START_TS = BigInt(info.startTs);
+    const START_TS = info.startTs;
     const DAY = 86400n;
 
     const [owner] = await ethers.getSigners();
@@ -209,7 +192,7 @@ async function main() {
 
     // === 첫 번째 기간의 일수 계산 (옵션) ===
     try {
-        const term0Days = Number((BigInt(info.schedule.ends[0]) - START_TS)/DAY + 1n);
+        const term0Days = Number((info.schedule.ends[0] - START_TS)/DAY + 1n);
         console.log("termDays", term0Days);
     } catch {
         // 스케줄 정보가 없거나 오류 발생 시 무시
@@ -230,6 +213,6 @@ async function main() {
  * 이는 스크립트가 배치 처리에서 사용될 때 오류 상태를 명확히 전달하기 위함
  */
 main().catch((e)=>{ 
-    console.error(e); 
+    printRevert("스크립트 오류", e); 
     process.exit(1); 
 });
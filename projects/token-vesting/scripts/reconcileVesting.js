@@ -0,0 +1,101 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  TokenVesting 회계 대사(reconciliation) / 감사 스크립트
+ * @description
+ *   1) 배포 레지스트리(deployments/<chainId>.json)에서 TokenVesting 주소 / schedule 로드
+ *   2) 배포 블록부터 대상 블록까지 BoxesPurchased / BoxesTransferred / DailySynced /
+ *      PurchasePoolClaimed / ReferralPoolClaimed / BuybackClaimed 이벤트 수집
+ *   3) 오프체인 모델(_vestingModel.js)로 재생 → cumBoxes, cumRewardPerBox, rewardPerReferral,
+ *      유저별 buyerBoxAmountHistory / referralAmountHistory, 확정분 청구 가능액 재계산
+ *   4) 같은 블록 기준 컨트랙트 public getter와 비교 → 불일치(drift) 리포트
+ *
+ * 실행:
+ *   npx hardhat run scripts/reconcileVesting.js --network <net>
+ *   - 백필/동기화 전후로 실행해 두 리포트를 비교하는 용도
+ *
+ * 환경변수(.env):
+ *   RECONCILE_FROM_BLOCK : 이벤트 조회 시작 블록 (기본: 배포 블록 자동 탐색)
+ *   RECONCILE_TO_BLOCK   : 비교 기준 블록 (기본: latest)
+ *   RECONCILE_USERS      : 유저 비교 대상 제한 (콤마 구분 주소, 기본: 이벤트에 등장한 전체)
+ *   RECONCILE_LOG_STEP   : getLogs 블록 구간 (기본 5000)
+ *   RECONCILE_REPORT     : 리포트 경로 (기본 scripts/output/reconcile-report.json)
+ *
+ * 종료 코드:
+ *   0 = 일치, 2 = drift 발견, 1 = 실행 오류
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const Shared = require("./_shared");
+const { runReconciliation } = require("./_reconcile");
+
+require("dotenv").config({ path: path.join(__dirname, "../.env") });
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 유틸
+// ──────────────────────────────────────────────────────────────────────────────
+/**
+ * @description 선택적 정수 환경변수
+ */
+function envBlock(name) {
+    const v = process.env[name];
+    if (v == null || v === "") return undefined;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`${name} must be a block number: ${v}`);
+    return n;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 메인
+// ──────────────────────────────────────────────────────────────────────────────
+async function main() {
+    const d = await Shared.loadDeployment();
+    const vesting = await ethers.getContractAt("TokenVesting", d.vesting);
+
+    const users = process.env.RECONCILE_USERS
+        ? process.env.RECONCILE_USERS.split(",").map((s) => s.trim()).filter(Boolean)
+        : undefined;
+
+    console.log(`[reconcile] vesting=${d.vesting} network=${hre.network.name}`);
+    const report = await runReconciliation(vesting, {
+        fromBlock: envBlock("RECONCILE_FROM_BLOCK"),
+        toBlock: envBlock("RECONCILE_TO_BLOCK"),
+        step: envBlock("RECONCILE_LOG_STEP") || 5000,
+        schedule: d.schedule,
+        users,
+    });
+
+    const { model, ...out } = report;
+    out.lastSyncedDay = model.state.lastSyncedDay.toString();
+    const outPath = process.env.RECONCILE_REPORT || path.join(__dirname, "./output/reconcile-report.json");
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, JSON.stringify(out, null, 2));
+
+    console.log(`[reconcile] blocks ${out.fromBlock}..${out.block} (${out.blockTime}), lastSyncedDay=${out.lastSyncedDay}`);
+    console.log(`[reconcile] events: ${Object.entries(out.events).map(([k, v]) => `${k}=${v}`).join(", ") || "(none)"}`);
+    console.log(`[reconcile] rates from ${out.ratesFrom}, checked ${out.checked.days} day(s) / ${out.checked.users} user(s) / ${out.checked.getters} getter call(s)`);
+
+    for (const i of out.replayIssues.slice(0, 20)) console.log(`  ⚠️  replay: ${JSON.stringify(i)}`);
+    if (out.replayIssues.length > 20) console.log(`  ... ${out.replayIssues.length - 20} more (see report)`);
+    for (const x of out.diffs.slice(0, 20)) {
+        console.log(`  ❌ ${x.scope} ${x.key} ${x.field}: expected=${x.expected} actual=${x.actual}`);
+    }
+    if (out.diffs.length > 20) console.log(`  ... ${out.diffs.length - 20} more (see report)`);
+    console.log(`📝 report: ${outPath}`);
+
+    if (out.ok) {
+        console.log("✅ reconcile: no drift");
+    } else {
+        console.log(`❌ reconcile: ${out.diffs.length} diff(s), ${out.replayIssues.length} replay issue(s)`);
+        process.exitCode = 2;
+    }
+}
+
+main().catch((e) => {
+    Shared.printRevert("스크립트 오류", e);
+    process.exit(1);
+});
@@ -0,0 +1,245 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  레퍼럴 코드 관리 CLI (생성 / 배정 / 할인율 / 조회 / 내보내기)
+ * @description
+ *   명령 (명령행 인수 또는 REFCODE_CMD):
+ *   - generate : 충돌 없는 코드 REFCODE_COUNT개 생성 (codeToOwner 확인, REFCODE_PREFIX로 vanity) → CSV
+ *   - assign   : REFCODE_FILE(wallet_address, referral_code?, discount?)을 점검 후
+ *                setReferralCodesBulk로 REFCODE_BATCH건씩 배정, discount 컬럼이 있으면 setReferralDiscount
+ *                referral_code가 빈 행은 자동 생성 코드 배정 → 결과 CSV 저장
+ *   - discount : 코드별 할인율 설정 (캠페인: REFCODE_CODES + REFCODE_DISCOUNT, 개별: CODE:rate)
+ *                현재 값과 같으면 전송하지 않음
+ *   - list     : 코드별 owner / discount 출력 (REFCODE_CODES, 없으면 이벤트에서 전체 탐색)
+ *   - export   : owner, code, discount, referralUnits CSV (scripts/_referralCodes.js buildExport)
+ *
+ * 실행:
+ *   REFCODE_CMD=generate REFCODE_COUNT=50 REFCODE_PREFIX=SUMMER npx hardhat run scripts/referralCodes.js --network <net>
+ *   REFCODE_CMD=assign REFCODE_FILE=scripts/data/codes.csv npx hardhat run scripts/referralCodes.js --network <net>
+ *   REFCODE_CMD=discount REFCODE_CODES=SUMMER01,SUMMER02 REFCODE_DISCOUNT=10 npx hardhat run scripts/referralCodes.js --network <net>
+ *   REFCODE_CMD=discount REFCODE_CODES=VIPCODE1:20,VIPCODE2:0 npx hardhat run scripts/referralCodes.js --network <net>
+ *   HARDHAT_NETWORK=<net> node scripts/referralCodes.js export
+ *
+ * 환경변수(.env):
+ *   OWNER_KEY        : TokenVesting owner 프라이빗키 (assign/discount, development 네트워크에서는 첫 번째 signer)
+ *   OWNER_SIGNER     : key | keystore | offline (선택, scripts/_signer.js 참고)
+ *   PROVIDER_URL     : RPC URL (선택, 기본 http://localhost:8545)
+ *   REFCODE_CMD      : generate | assign | discount | list | export (명령행 인수가 우선)
+ *   REFCODE_COUNT    : generate 개수 (기본 10)
+ *   REFCODE_PREFIX   : vanity prefix (0~7자리 [A-Z0-9], generate / assign 자동 생성)
+ *   REFCODE_FILE     : assign 입력 CSV (헤더: wallet_address, referral_code, discount)
+ *   REFCODE_OVERWRITE: 1이면 기존 코드 덮어쓰기 (이전 코드는 해제됨)
+ *   REFCODE_BATCH    : setReferralCodesBulk 1회당 건수 (기본 100)
+ *   REFCODE_DRY_RUN  : 1이면 점검 결과만 출력하고 전송하지 않음 (assign / discount)
+ *   REFCODE_CODES    : 대상 코드 (콤마 구분, discount는 CODE:rate 형식 허용)
+ *   REFCODE_DISCOUNT : 캠페인 할인율 0~100 (CODE:rate가 없는 코드에 적용)
+ *   REFCODE_USERS    : export 대상 주소 (콤마 구분, 없으면 이벤트에서 탐색)
+ *   REFCODE_FROM_BLOCK: 이벤트 조회 시작 블록 (기본: 배포 블록 자동 탐색)
+ *   REFCODE_OUT      : 출력 CSV 경로 (기본 scripts/output/referral-codes[-generated|-assigned].csv)
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const Shared = require("./_shared");
+const Ref = require("./_referralCodes");
+const { normalizeRefCode } = require("./_pricing");
+
+require("dotenv").config({ path: path.join(__dirname, "../.env") });
+
+const COMMANDS = ["generate", "assign", "discount", "list", "export"];
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 유틸
+// ──────────────────────────────────────────────────────────────────────────────
+const isOn = (v) => /^(1|true|yes)$/i.test(String(v || ""));
+const splitList = (v) => String(v || "").split(",").map((s) => s.trim()).filter(Boolean);
+const fromBlock = () => (process.env.REFCODE_FROM_BLOCK ? Number(process.env.REFCODE_FROM_BLOCK) : undefined);
+
+/**
+ * @description 출력 CSV 저장
+ * @param {string} name 기본 파일명
+ * @param {string} csv
+ * @returns {string} 저장 경로
+ */
+function writeOut(name, csv) {
+    const outPath = process.env.REFCODE_OUT || path.join(__dirname, "output", name);
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, csv);
+    return outPath;
+}
+
+/**
+ * @description owner 지갑으로 연결된 TokenVesting (owner 일치 확인)
+ */
+async function vestingAsOwner() {
+    const info = await Shared.loadDeployment();
+    const owner = await Shared.getSigner("owner", { devIndex: 0 });
+    const ownerAddr = await owner.getAddress();
+    const vesting = await ethers.getContractAt("TokenVesting", info.vesting, owner);
+    const vestingOwner = await vesting.owner();
+    if (vestingOwner.toLowerCase() !== ownerAddr.toLowerCase()) {
+        throw new Error(`❌ TokenVesting owner(${vestingOwner})와 실행 지갑(${ownerAddr})이 다릅니다.`);
+    }
+    return vesting;
+}
+
+/**
+ * @description 할인율 설정 (현재 값과 같으면 건너뜀)
+ * @param {import("ethers").Contract} vesting owner 연결
+ * @param {Array<{code: string, discount: number}>} targets
+ * @param {object} totals 가스 합계
+ * @param {boolean} dryRun
+ */
+async function applyDiscounts(vesting, targets, totals, dryRun) {
+    const cur = await Ref.readCodes(vesting, targets.map((t) => t.code));
+    for (let i = 0; i < targets.length; i++) {
+        const { code, discount } = targets[i];
+        const { owner, discount: now } = cur[i];
+        if (owner === ethers.ZeroAddress) {
+            console.log(`  ⚠️ ${code}: 배정되지 않은 코드 (건너뜀)`);
+        } else if (now === discount) {
+            console.log(`  = ${code}: ${discount}% (변경 없음)`);
+        } else if (dryRun) {
+            console.log(`  → ${code}: ${now}% → ${discount}% (dry-run)`);
+        } else {
+            await Shared.withGasLog(
+                `[discount] ${code} ${now}% → ${discount}%`,
+                vesting.setReferralDiscount(code, discount),
+                totals, "discount"
+            );
+        }
+    }
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 명령
+// ──────────────────────────────────────────────────────────────────────────────
+async function cmdGenerate() {
+    const { vesting } = await Shared.attachVestingWithEthers();
+    const count = Number(process.env.REFCODE_COUNT || 10);
+    const prefix = Ref.normalizePrefix(process.env.REFCODE_PREFIX);
+    const codes = await Ref.generateCodes(vesting, { count, prefix });
+    codes.forEach((c) => console.log(`  ${c}`));
+    const out = writeOut("referral-codes-generated.csv", Ref.toCsv(codes.map((c) => ({ referral_code: c })), ["referral_code"]));
+    console.log(`🎟️ ${codes.length} code(s)${prefix ? ` (prefix ${prefix})` : ""}, codeToOwner 미사용 확인`);
+    console.log(`📝 CSV: ${out}`);
+}
+
+async function cmdAssign() {
+    const file = process.env.REFCODE_FILE;
+    if (!file) throw new Error("❌ REFCODE_FILE(wallet_address, referral_code, discount CSV)을 지정하세요.");
+    if (!fs.existsSync(file)) throw new Error(`File not found: ${file}`);
+    const overwrite = isOn(process.env.REFCODE_OVERWRITE);
+    const dryRun = isOn(process.env.REFCODE_DRY_RUN);
+    const batchSize = Number(process.env.REFCODE_BATCH || 100);
+
+    const vesting = await vestingAsOwner();
+    const rows = Ref.parseCodesCsv(fs.readFileSync(file, "utf8"));
+    const plan = await Ref.planAssignments(vesting, rows, { overwrite, prefix: process.env.REFCODE_PREFIX });
+
+    console.log(`[assign] ${rows.length} row(s): send=${plan.items.length}, skip=${plan.skipped.length}, ` +
+        `conflict=${plan.conflicts.length}, overwrite=${overwrite}`);
+    for (const s of plan.skipped) console.log(`  - skip ${s.user} ${s.code}: ${s.reason}`);
+    for (const w of plan.warnings) console.log(`  ⚠️ ${w}`);
+    if (plan.conflicts.length) {
+        for (const c of plan.conflicts) console.log(`  ❌ ${c.user} ${c.code}: ${c.reason}`);
+        throw new Error(`❌ 충돌 ${plan.conflicts.length}건 — 입력을 수정한 뒤 다시 실행하세요.`);
+    }
+    for (const it of plan.items) {
+        console.log(`  + ${it.user} ${it.code}${it.generated ? " (generated)" : ""}${it.prev ? ` (was ${it.prev})` : ""}`);
+    }
+
+    const totals = {};
+    const batches = Ref.toBulkBatches(plan.items, batchSize);
+    if (!dryRun) {
+        for (let i = 0; i < batches.length; i++) {
+            const b = batches[i];
+            await Shared.withGasLog(
+                `[assign] setReferralCodesBulk ${i + 1}/${batches.length} (${b.users.length})`,
+                vesting.setReferralCodesBulk(b.users, b.codes, overwrite),
+                totals, "assign"
+            );
+        }
+    }
+
+    // discount 컬럼 (건너뛴 행도 코드가 자기 것이면 적용)
+    const mine = new Set(plan.skipped.filter((s) => s.reason === "already assigned").map((s) => s.user));
+    const discounts = rows.filter((r) => r.discount != null && mine.has(r.user))
+        .concat(plan.items.filter((it) => it.discount != null));
+    if (discounts.length) {
+        if (dryRun) {
+            for (const d of discounts) console.log(`  → ${d.code}: ${d.discount}% (dry-run)`);
+        } else {
+            await applyDiscounts(vesting, discounts, totals, false);
+        }
+    }
+
+    const out = writeOut("referral-codes-assigned.csv", Ref.toCsv(
+        plan.items.map((it) => ({ ...it, wallet_address: it.user, referral_code: it.code, discount: it.discount ?? "" })),
+        ["wallet_address", "referral_code", "discount", "generated", "prev"]
+    ));
+    Shared.printGasSummary(totals, ["assign", "discount"]);
+    console.log(`📝 CSV: ${out}`);
+    console.log(dryRun ? "ℹ️ dry-run: 전송하지 않았습니다." : `✅ ${plan.items.length} code(s) assigned in ${batches.length} tx.`);
+}
+
+async function cmdDiscount() {
+    const base = process.env.REFCODE_DISCOUNT;
+    const targets = splitList(process.env.REFCODE_CODES).map((s) => {
+        const [code, rate] = s.split(":");
+        const r = rate ?? base;
+        if (r == null || r === "") throw new Error(`❌ ${code}: 할인율이 없습니다 (CODE:rate 또는 REFCODE_DISCOUNT).`);
+        return { code: normalizeRefCode(code).code, discount: Ref.parseDiscount(r, code) };
+    });
+    if (!targets.length) throw new Error("❌ REFCODE_CODES에 대상 코드를 지정하세요.");
+    const dryRun = isOn(process.env.REFCODE_DRY_RUN);
+
+    const vesting = await vestingAsOwner();
+    const totals = {};
+    console.log(`[discount] ${targets.length} code(s)`);
+    await applyDiscounts(vesting, targets, totals, dryRun);
+    Shared.printGasSummary(totals, ["discount"]);
+}
+
+async function cmdList() {
+    const { vesting } = await Shared.attachVestingWithEthers();
+    let codes = splitList(process.env.REFCODE_CODES).map((s) => s.split(":")[0]);
+    if (!codes.length) {
+        const { rows } = await Ref.buildExport(vesting, { fromBlock: fromBlock() });
+        codes = rows.map((r) => r.code);
+    }
+    const list = await Ref.readCodes(vesting, codes);
+    for (const r of list) {
+        const owner = r.owner === ethers.ZeroAddress ? "(unassigned)" : r.owner;
+        console.log(`  ${r.code}  ${String(r.discount).padStart(3)}%  ${owner}`);
+    }
+    console.log(`[list] ${list.length} code(s), discounted=${list.filter((r) => r.discount > 0).length}`);
+}
+
+async function cmdExport() {
+    const { vesting } = await Shared.attachVestingWithEthers();
+    const users = splitList(process.env.REFCODE_USERS);
+    const { block, rows } = await Ref.buildExport(vesting, { users, fromBlock: fromBlock() });
+    const out = writeOut("referral-codes.csv", Ref.toCsv(rows));
+    console.log(`[export] block ${block}, ${rows.length} code(s)`);
+    console.log(`📝 CSV: ${out}`);
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 메인
+// ──────────────────────────────────────────────────────────────────────────────
+async function main() {
+    // hardhat run 으로 실행하면 argv(0)은 "run" 이므로 명령 이름일 때만 사용
+    const arg = String(Shared.argv(0) || "").toLowerCase();
+    const cmd = COMMANDS.includes(arg) ? arg : String(process.env.REFCODE_CMD || "").toLowerCase();
+    if (!COMMANDS.includes(cmd)) throw new Error(`❌ 명령을 지정하세요 (REFCODE_CMD=${COMMANDS.join("|")}): ${cmd || "(없음)"}`);
+    await { generate: cmdGenerate, assign: cmdAssign, discount: cmdDiscount, list: cmdList, export: cmdExport }[cmd]();
+}
+
+main().catch((e) => {
+    Shared.printRevert("referralCodes 실패", e);
+    process.exit(1);
+});
@@ -10,8 +10,10 @@
 //   (또는) npx hardhat run scripts/sendBox.js --network <network>
 //
 // 사전조건
-// - ./output/deployment-info.json 에 tokenVesting 주소가 기록되어 있어야 합니다.
+// - 배포 레지스트리(deployments/<chainId>.json)에 TokenVesting 주소가 기록되어 있어야 합니다.
 // - .env 에 OWNER_KEY, (선택) PROVIDER_URL 이 설정되어 있어야 합니다.
+//   OWNER_SIGNER=keystore|offline 로 서명자 백엔드를 바꿀 수 있습니다 (scripts/_signer.js).
+//   offline이면 sendBox 호출을 Safe batch / unsigned tx 파일로 기록만 합니다 (멀티시그 owner).
 //
 // 주의사항
 // - sendBox 는 onlyOwner 전용 함수입니다. OWNER_KEY 가 컨트랙트 owner 와 일치해야 합니다.
@@ -23,6 +25,7 @@ const fs = require('fs');
 const path = require('path');
 const hre = require('hardhat');
 const { ethers } = hre;
+const { printRevert, loadDeployment, getSigner, signerLabel, isQueuedTx } = require('./_shared');
 
 function loadJSON(p) {
     if (!fs.existsSync(p)) {
@@ -49,16 +52,14 @@ async function main() {
 
     // ── 환경/입력
     const providerUrl = process.env.PROVIDER_URL || 'http://127.0.0.1:8545';
-    const ownerKey = process.env.OWNER_KEY;
-    if (!ownerKey) throw new Error('❌ .env에 OWNER_KEY를 설정하세요.');
 
-    const deploymentPath = path.resolve(__dirname, './output/deployment-info.json');
     const sendBoxPath = path.resolve(__dirname, './input/sendBox.json');
-
-    const dep = loadJSON(deploymentPath);
     const cfg = loadJSON(sendBoxPath);
 
-    const tokenVestingAddr = ensureAddress(dep?.contracts?.tokenVesting, 'tokenVesting');
+    // ── provider / 배포 정보 (레지스트리: deployments/<chainId>.json)
+    const provider = new ethers.JsonRpcProvider(providerUrl);
+    const dep = await loadDeployment(provider);
+    const tokenVestingAddr = ensureAddress(dep.vesting, 'tokenVesting');
 
     const from = ensureAddress(cfg?.from, 'from');
     const to = ensureAddress(cfg?.to, 'to');
@@ -67,14 +68,13 @@ async function main() {
 
     console.log('🌐 네트워크:', hre.network.name);
     console.log('📄 TokenVesting:', tokenVestingAddr);
-    console.log('👤 호출자(지갑): OWNER_KEY 사용');
+    console.log(`👤 호출자(지갑): ${signerLabel('owner')}`);
     console.log('↪️ from:', from);
     console.log('↪️ to  :', to);
     console.log('📦 amount(박스 수량):', amount.toString());
 
-    // ── provider / wallet
-    const provider = new ethers.JsonRpcProvider(providerUrl);
-    const baseWallet = new ethers.Wallet(ownerKey, provider);
+    // ── wallet
+    const baseWallet = await getSigner('owner', { provider });
     const wallet = new ethers.NonceManager(baseWallet);
     const ownerAddr = await wallet.getAddress();
 
@@ -84,7 +84,7 @@ async function main() {
     // ── 사전 검사: 컨트랙트 owner 확인
     const onchainOwner = await vesting.owner();
     if (onchainOwner.toLowerCase() !== ownerAddr.toLowerCase()) {
-        throw new Error(`❌ OWNER_KEY(${ownerAddr})가 컨트랙트 owner(${onchainOwner})와 다릅니다.`);
+        throw new Error(`❌ 실행 지갑(${ownerAddr})이 컨트랙트 owner(${onchainOwner})와 다릅니다.`);
     }
 
     // ── 실행 전 간단한 상태 정보
@@ -95,6 +95,10 @@ async function main() {
     console.log('\n📤 sendBox 실행 중...');
     const tx = await vesting.sendBox(from, to, amount);
     const rcpt = await tx.wait();
+    if (isQueuedTx(tx.hash)) {
+        console.log('📝 sendBox 기록 완료 (offline, 브로드캐스트하지 않음)');
+        return;
+    }
     console.log('✅ sendBox 성공. txHash:', rcpt.hash);
     await waitIfLocal();
 
@@ -107,7 +111,7 @@ async function main() {
 main()
     .then(() => process.exit(0))
     .catch((e) => {
-        console.error('❌ 실행 실패:', e?.shortMessage || e?.message || e);
+        printRevert('실행 실패', e);
         process.exit(1);
     });
 
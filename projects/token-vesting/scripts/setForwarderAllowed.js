@@ -0,0 +1,78 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  WhitelistForwarder 위임대납 정책 등록 스크립트 (whitelist + setAllowed)
+ * @description
+ *   1) 배포 레지스트리(deployments/<chainId>.json)에서 forwarder / TokenVesting 주소 로드
+ *   2) 위임대납 대상 함수 selector 계산 (scripts/_forwardRequest.js FORWARDABLE)
+ *      - buyBox / claimPurchaseReward / claimReferralReward / claimBuyback / sendBox
+ *   3) whitelist(vesting) / isAllowed(vesting, selector)를 조회해 빠진 항목만 전송 (재실행해도 안전)
+ *
+ *   buyBox만 허용된 채 배포된 기존 환경에서 클레임/sendBox 대납을 켤 때 사용
+ *   (새 배포는 deployContract.js가 같은 목록을 등록)
+ *
+ * 실행:
+ *   npx hardhat run scripts/setForwarderAllowed.js --network <net>
+ *   FORWARD_FUNCTIONS=claimPurchaseReward,claimBuyback npx hardhat run scripts/setForwarderAllowed.js --network development
+ *
+ * 환경변수(.env):
+ *   OWNER_KEY         : Forwarder owner 프라이빗키 (development 네트워크에서는 첫 번째 signer)
+ *   OWNER_SIGNER      : key | keystore | offline (선택, scripts/_signer.js 참고)
+ *   PROVIDER_URL      : RPC URL (선택, 기본 http://localhost:8545)
+ *   FORWARD_FUNCTIONS : 등록할 함수 이름 (쉼표 구분, 선택 — 기본: 전체)
+ *
+ * @author hlibbc
+ */
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const Shared = require("./_shared");
+const ForwardRequest = require("./_forwardRequest");
+
+require("dotenv").config({ path: path.join(__dirname, "../.env") });
+
+async function main() {
+    const info = await Shared.loadDeployment();
+    if (!info.forwarder) throw new Error(`❌ 배포 레지스트리에 forwarder 주소가 없습니다 (chainId=${info.chainId}).`);
+
+    const names = process.env.FORWARD_FUNCTIONS
+        ? process.env.FORWARD_FUNCTIONS.split(",").map((s) => s.trim()).filter(Boolean)
+        : undefined;
+
+    const owner = await Shared.getSigner("owner", { devIndex: 0 });
+    const ownerAddr = await owner.getAddress();
+    const forwarder = await ethers.getContractAt("WhitelistForwarder", info.forwarder, owner);
+    const fwdOwner = await forwarder.owner();
+    if (fwdOwner.toLowerCase() !== ownerAddr.toLowerCase()) {
+        throw new Error(`❌ Forwarder owner(${fwdOwner})와 실행 지갑(${ownerAddr})이 다릅니다.`);
+    }
+
+    const vesting = await ethers.getContractAt("TokenVesting", info.vesting);
+    const forwardable = Shared.selectorsForForwardable(vesting.interface, names);
+
+    console.log(`📨 Forwarder: ${info.forwarder}`);
+    console.log(`🎯 Target   : ${info.vesting}`);
+    const totals = {};
+    const res = await ForwardRequest.ensureAllowed(
+        forwarder,
+        info.vesting,
+        forwardable.map((f) => f.selector),
+        { send: (label, txPromise) => Shared.withGasLog(label, txPromise, totals, "setup") }
+    );
+
+    console.log(`  whitelist : ${res.whitelisted ? "→ 등록" : "= 등록됨"}`);
+    for (const f of forwardable) {
+        const mark = res.allowed.includes(f.selector) ? "→ 허용" : "= 허용됨";
+        console.log(`  ${f.name.padEnd(20)} ${f.selector}  ${mark}  (서명자: ${f.role})`);
+    }
+    if (!res.whitelisted && res.allowed.length === 0) {
+        console.log("ℹ️ 모든 selector가 이미 허용되어 있습니다. 전송하지 않습니다.");
+    }
+    Shared.printGasSummary(totals, ["setup"]);
+    console.log("✅ setForwarderAllowed finished.");
+}
+
+main().catch((e) => {
+    Shared.printRevert("setForwarderAllowed 실패", e);
+    process.exit(1);
+});
@@ -0,0 +1,89 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  BadgeSbtTierUriResolver 등급별 URI 등록 스크립트
+ * @description
+ *   1) 배포 레지스트리(deployments/<chainId>.json)에서 Resolver 주소 로드
+ *   2) BADGE_METADATA_BASE_URI → 등급별 URI (<base>/<key>.json, scripts/_badgeMetadata.js)
+ *   3) 현재 tierURI(tier)와 비교해 바뀐 등급만 setTierURIs(tiers, uris) 1건으로 전송
+ *   4) 레지스트리 meta.tierURIs 갱신
+ *
+ * 실행:
+ *   BADGE_METADATA_BASE_URI=ipfs://<CID> npx hardhat run scripts/setTierURIs.js --network <net>
+ *   BADGE_METADATA_BASE_URI=http://127.0.0.1:3050/tiers npx hardhat run scripts/setTierURIs.js --network development
+ *
+ * 환경변수(.env):
+ *   OWNER_KEY               : Resolver owner 프라이빗키 (development 네트워크에서는 첫 번째 signer)
+ *   OWNER_SIGNER            : key | keystore | offline (선택, scripts/_signer.js 참고)
+ *   PROVIDER_URL            : RPC URL (선택, 기본 http://localhost:8545)
+ *   BADGE_METADATA_BASE_URI : 메타데이터 base URI (필수) — generateBadgeMetadata.js 출력 위치
+ *
+ * @author hlibbc
+ */
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const Shared = require("./_shared");
+const { TIERS, tierUris } = require("./_badgeMetadata");
+
+require("dotenv").config({ path: path.join(__dirname, "../.env") });
+
+async function main() {
+    const base = process.env.BADGE_METADATA_BASE_URI;
+    if (!base) throw new Error("❌ .env에 BADGE_METADATA_BASE_URI를 설정하세요. (예: ipfs://<CID>)");
+
+    const info = await Shared.loadDeployment();
+    if (!info.resolver) throw new Error(`❌ 배포 레지스트리에 BadgeSbtTierUriResolver 주소가 없습니다 (chainId=${info.chainId}).`);
+
+    const owner = await Shared.getSigner("owner", { devIndex: 0 });
+    const ownerAddr = await owner.getAddress();
+    const resolver = await ethers.getContractAt("BadgeSbtTierUriResolver", info.resolver, owner);
+    const resolverOwner = await resolver.owner();
+    if (resolverOwner.toLowerCase() !== ownerAddr.toLowerCase()) {
+        throw new Error(`❌ Resolver owner(${resolverOwner})와 실행 지갑(${ownerAddr})이 다릅니다.`);
+    }
+
+    // 바뀐 등급만 전송
+    const { tiers, uris } = tierUris(base);
+    const changed = { tiers: [], uris: [] };
+    console.log(`🏅 Resolver: ${info.resolver}`);
+    for (let i = 0; i < tiers.length; i++) {
+        const cur = await resolver.tierURI(tiers[i]);
+        const same = cur === uris[i];
+        console.log(`  [${tiers[i]}] ${TIERS[i].name.padEnd(12)} ${same ? "=" : "→"} ${uris[i]}${same ? "" : `   (현재: ${cur})`}`);
+        if (!same) {
+            changed.tiers.push(tiers[i]);
+            changed.uris.push(uris[i]);
+        }
+    }
+
+    const totals = {};
+    if (changed.tiers.length === 0) {
+        console.log("ℹ️ 모든 등급 URI가 이미 최신입니다. 전송하지 않습니다.");
+    } else {
+        await Shared.withGasLog(
+            `[resolver] setTierURIs(${changed.tiers.length} tiers)`,
+            resolver.setTierURIs(changed.tiers, changed.uris),
+            totals, "setup"
+        );
+    }
+
+    if (Shared.isOffline(owner)) {
+        console.log("ℹ️ offline: 실행 전이므로 레지스트리 meta.tierURIs는 갱신하지 않습니다.");
+    } else {
+        try {
+            Shared.registry.updateMeta(info.chainId, "BadgeSbtTierUriResolver", {
+                tierURIs: Object.fromEntries(TIERS.map((t, i) => [t.name, uris[i]])),
+            });
+        } catch (e) {
+            console.warn("⚠️ Failed to update deployment registry:", e?.message || e);
+        }
+    }
+    Shared.printGasSummary(totals, ["setup"]);
+    console.log("✅ setTierURIs finished.");
+}
+
+main().catch((e) => {
+    Shared.printRevert("setTierURIs 실패", e);
+    process.exit(1);
+});
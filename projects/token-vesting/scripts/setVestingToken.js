@@ -7,7 +7,7 @@
  *   pnpm exec hardhat run scripts/setVestingToken.js --network <network>
  *
  * 환경변수(../.env):
- *   OWNER_KEY           : 배포/운영 지갑 프라이빗키 (필수)
+ *   OWNER_KEY           : 배포/운영 지갑 프라이빗키 (필수, 또는 OWNER_SIGNER=keystore — Token 배포가 있어 offline 불가)
  *   PROVIDER_URL        : RPC URL (선택, 기본 http://localhost:8545)
  *   BUY_POOL1_AMOUNT    : 구매 풀 1 총량(토큰 "개수" 단위, 구분자 허용)
  *   BUY_POOL2_AMOUNT    : 구매 풀 2 총량(토큰 "개수" 단위, 구분자 허용)
@@ -17,6 +17,8 @@
  *   REF_POOL2_AMOUNT    : 추천인 풀 2 총량(토큰 "개수" 단위, 구분자 허용)
  *   REF_POOL3_AMOUNT    : 추천인 풀 3 총량(빈 값이면 0 처리)
  *   REF_POOL4_AMOUNT    : 추천인 풀 4 총량(빈 값이면 0 처리)
+ *   VEST_PLAN_FILE      : (선택) scripts/planSchedule.js 가 만든 plan 파일
+ *                         → 있으면 BUY/REF 환경변수 대신 plan의 funding.total(풀 합계 원값)을 전송
  *
  * 산술/스케일:
  *   - Token.decimals()를 읽어 scale = 10^decimals 계산
@@ -28,48 +30,17 @@
 
 require('dotenv').config({ path: require('path').resolve(__dirname, '../.env') });
 
-const fs = require('fs');
-const path = require('path');
 const hre = require('hardhat');
 const { ethers } = hre;
+const fs = require('fs');
+const path = require('path');
+const { printRevert, loadDeployment, registry, getSigner, signerLabel } = require('./_shared');
+const { validatePlan } = require('./_schedulePlan');
 
 // =============================================================================
 // 유틸리티 함수
 // =============================================================================
 
-/**
- * @description 배포 산출물 JSON 파일을 로드합니다.
- * @param {string} p - 작업 디렉터리 기준 상대 경로 (예: './output/deployment-info.json')
- * @returns {any} 파싱된 JSON 객체
- * @throws {Error} 파일이 없거나 JSON 파싱 실패 시
- */
-function loadJSON(p) {
-    const abs = path.resolve(process.cwd(), p);
-    if (!fs.existsSync(abs)) {
-        throw new Error(`❌ deployment-info.json not found: ${abs}`);
-    }
-    const raw = fs.readFileSync(abs, 'utf8');
-    return JSON.parse(raw);
-}
-
-/**
- * @description deployment-info.json에서 TokenVesting 주소를 찾아 유효성 검증 후 체크섬 주소로 반환합니다.
- * @param {{contracts?: {tokenVesting?: string}}} info - 배포 정보 객체
- * @returns {string} 체크섬 정규화된 vesting 주소
- * @throws {Error} 주소 누락, 형식 오류 시
- */
-function findVestingAddress(info) {
-    const addr = info?.contracts?.tokenVesting;
-    if (typeof addr !== 'string' || addr.length === 0) {
-        throw new Error('❌ tokenVesting not found in deployment-info.json (expected contracts.tokenVesting)');
-    }
-    if (!ethers.isAddress(addr)) {
-        throw new Error(`❌ Invalid address format for tokenVesting: ${addr}`);
-    }
-    // 체크섬 정규화 (잘못되면 throw)
-    return ethers.getAddress(addr);
-}
-
 /**
  * @description 환경변수에서 금액(토큰 "개수" 단위)을 읽어 BigInt로 반환합니다.
  *   - 허용: 숫자, 콤마, 언더스코어, 공백 (모두 제거 후 숫자만 남김)
@@ -118,18 +89,16 @@ async function waitIfNeeded() {
  * @description
  *   1) 지갑/프로바이더 준비
  *   2) Token 배포 및 파라미터(decimals/scale) 취득
- *   3) deployment-info.json에서 TokenVesting 주소 로드 및 연결
+ *   3) 배포 레지스트리(deployments/<chainId>.json)에서 TokenVesting 주소 로드 및 연결 (Token 배포도 기록)
  *   4) vestingToken이 다르면 setVestingToken 호출(같으면 스킵)
  *   5) BUY/REF 풀 총합을 계산하여 on-chain 전송 단위로 환산
  *   6) 보유 잔액 확인 후 Vesting으로 전송, 결과 로그 출력
  */
 async function main() {
-    const ownerKey = process.env.OWNER_KEY;
-    if (!ownerKey) throw new Error('❌ .env에 OWNER_KEY를 설정하세요.');
     const providerUrl = process.env.PROVIDER_URL || 'http://localhost:8545';
     const provider = new ethers.JsonRpcProvider(providerUrl);
-    const owner = new ethers.Wallet(ownerKey, provider);
-    console.log(`👤 Deployer: ${owner.address}`);
+    const owner = await getSigner('owner', { provider, offline: false });
+    console.log(`👤 Deployer: ${owner.address} (${signerLabel('owner')})`);
 
     // 1) Token 배포
     console.log('🚀 Deploying Token...');
@@ -142,10 +111,10 @@ async function main() {
     const scale = 10n ** BigInt(tokenDec);
     console.log(`✅ Token deployed at: ${tokenAddr} (decimals=${tokenDec})`);
 
-    // 2) TokenVesting 주소 로드
-     const deploymentPath = path.resolve(__dirname, './output/deployment-info.json');
-    const info = loadJSON(deploymentPath);
-    const vestingAddr = findVestingAddress(info);
+    // 2) TokenVesting 주소 로드 (+ Token 배포 기록)
+    const dep = await loadDeployment(provider);
+    await registry.recordDeployment(hre, 'Token', token);
+    const vestingAddr = ethers.getAddress(dep.vesting);
     console.log(`📦 TokenVesting at: ${vestingAddr}`);
 
     const vesting = await ethers.getContractAt('TokenVesting', vestingAddr, owner);
@@ -162,38 +131,52 @@ async function main() {
         console.log('ℹ️ vestingToken is already set to this Token. Skipping.');
     }
 
-    // 3.5) deployment-info.json 업데이트 (contracts.vestingToken 저장)
+    // 3.5) 배포 레지스트리 업데이트 (TokenVesting meta.vestingToken 저장)
     try {
-        if (!info.contracts || typeof info.contracts !== 'object') info.contracts = {};
-        info.contracts.vestingToken = tokenAddr;
-        fs.writeFileSync(deploymentPath, JSON.stringify(info, null, 2));
-        console.log(`💾 deployment-info.json updated: contracts.vestingToken = ${tokenAddr}`);
+        registry.updateMeta(dep.chainId, 'TokenVesting', { vestingToken: tokenAddr });
+        console.log(`💾 ${registry.fileOf(dep.chainId)} updated: TokenVesting.meta.vestingToken = ${tokenAddr}`);
     } catch (e) {
-        console.warn('⚠️ Failed to update deployment-info.json:', e?.message || e);
+        console.warn('⚠️ Failed to update deployment registry:', e?.message || e);
     }
 
-    // 4) 환경변수에서 금액 합산 (토큰 "개수" 단위)
-    const buy1 = parseAmountEnv('BUY_POOL1_AMOUNT');
-    const buy2 = parseAmountEnv('BUY_POOL2_AMOUNT');
-    const buy3 = parseAmountEnv('BUY_POOL3_AMOUNT');
-    const buy4 = parseAmountEnv('BUY_POOL4_AMOUNT');
-    const ref1 = parseAmountEnv('REF_POOL1_AMOUNT');
-    const ref2 = parseAmountEnv('REF_POOL2_AMOUNT');
-    const ref3 = parseAmountEnv('REF_POOL3_AMOUNT');
-    const ref4 = parseAmountEnv('REF_POOL4_AMOUNT');
-
-    const buySum = buy1 + buy2 + buy3 + buy4;
-    const refSum = ref1 + ref2 + ref3 + ref4;
-    const totalTokens = buySum + refSum; // "개수" 단위
-
-    if (totalTokens === 0n) {
+    // 4) 펀딩량 산정
+    //    - VEST_PLAN_FILE: plan의 풀 합계(18dec 원값, initializeSchedule 인자와 동일)
+    //    - 그 외: 환경변수 합산 (토큰 "개수" 단위) × 10^decimals
+    let buySum, refSum, totalTokens, amountWei;
+    if (process.env.VEST_PLAN_FILE) {
+        const planPath = path.resolve(process.env.VEST_PLAN_FILE);
+        const plan = validatePlan(JSON.parse(fs.readFileSync(planPath, 'utf8')));
+        const planDec = BigInt(plan.plan.decimals);
+        if (planDec !== BigInt(tokenDec)) {
+            console.warn(`⚠️ plan decimals(${planDec}) ≠ Token decimals(${tokenDec}) — 풀 원값 그대로 전송합니다.`);
+        }
+        console.log(`🗓️ 스케줄 plan 사용: ${planPath}`);
+        amountWei = plan.fundingTotal;
+        buySum = plan.plan.funding.buyerSum / 10n ** planDec;
+        refSum = plan.plan.funding.refSum / 10n ** planDec;
+        totalTokens = amountWei / scale;
+    } else {
+        const buy1 = parseAmountEnv('BUY_POOL1_AMOUNT');
+        const buy2 = parseAmountEnv('BUY_POOL2_AMOUNT');
+        const buy3 = parseAmountEnv('BUY_POOL3_AMOUNT');
+        const buy4 = parseAmountEnv('BUY_POOL4_AMOUNT');
+        const ref1 = parseAmountEnv('REF_POOL1_AMOUNT');
+        const ref2 = parseAmountEnv('REF_POOL2_AMOUNT');
+        const ref3 = parseAmountEnv('REF_POOL3_AMOUNT');
+        const ref4 = parseAmountEnv('REF_POOL4_AMOUNT');
+
+        buySum = buy1 + buy2 + buy3 + buy4;
+        refSum = ref1 + ref2 + ref3 + ref4;
+        totalTokens = buySum + refSum; // "개수" 단위
+        amountWei = totalTokens * scale; // 5) decimals 스케일 반영
+    }
+
+    if (amountWei === 0n) {
         console.log('⚠️ Total funding amount is 0. Nothing to transfer.');
         return;
     }
 
-    // 5) 잔액 확인 및 전송 (decimals 스케일 반영)
-    const amountWei = totalTokens * scale;
-
+    // 5) 잔액 확인 및 전송
     const bal = await token.balanceOf(owner.address);
     if (bal < amountWei) {
         throw new Error(
@@ -221,6 +204,6 @@ async function main() {
 }
 
 main().catch((e) => {
-    console.error(e);
+    printRevert('스크립트 오류', e);
     process.exit(1);
 });
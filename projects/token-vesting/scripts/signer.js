@@ -0,0 +1,122 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  서명자 도구 CLI (keystore 생성 / offline 배치 서명 / 서명된 배치 전송)
+ * @description
+ *   명령 (첫 번째 명령행 인수):
+ *   - keystore <out.json>          : 프라이빗키와 비밀번호를 화면에 표시하지 않고 입력받아 암호화 JSON keystore 생성
+ *                                    → .env에서 OWNER_KEY 대신 OWNER_KEYSTORE=<out.json>
+ *   - sign <unsigned.json> [out]   : OWNER_SIGNER=offline, OWNER_OFFLINE_FORMAT=raw 로 기록한 배치를
+ *                                    SIGNER_ROLE 서명자(key/keystore)로 서명 → <name>.signed.json
+ *                                    (에어갭 PC에서 실행 가능: RPC 접속 없음)
+ *   - broadcast <signed.json>      : 서명된 tx를 nonce 순서대로 PROVIDER_URL에 전송, 영수증 확인
+ *                                    이미 포함된 tx는 건너뜀 (중간 실패 후 재실행 가능)
+ *
+ * 실행:
+ *   node scripts/signer.js keystore keystores/ops.json
+ *   SIGNER_ROLE=owner OWNER_KEYSTORE=keystores/ops.json node scripts/signer.js sign scripts/output/offline-owner-1-20250101-000000.json
+ *   PROVIDER_URL=https://... node scripts/signer.js broadcast scripts/output/offline-owner-1-20250101-000000.signed.json
+ *
+ * 환경변수(.env):
+ *   SIGNER_ROLE            : sign에 쓸 역할 owner | user | ref | relayer (기본 owner)
+ *   <P>_KEY / <P>_KEYSTORE : 역할별 서명자 (scripts/_signer.js 참고, offline 불가)
+ *   PROVIDER_URL           : broadcast RPC URL (기본 http://localhost:8545)
+ *
+ * 주의:
+ *  - hardhat 없이 node로 실행 (ethers만 사용)
+ *  - Safe batch(OWNER_OFFLINE_FORMAT=safe)는 Safe UI에서 Import하므로 이 도구의 대상이 아님
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const Signer = require("./_signer");
+
+require("dotenv").config({ path: path.join(__dirname, "../.env") });
+
+const COMMANDS = ["keystore", "sign", "broadcast"];
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 유틸
+// ──────────────────────────────────────────────────────────────────────────────
+/**
+ * @description JSON 파일 로드
+ * @param {string} file
+ */
+function readJson(file) {
+    if (!file) throw new Error("❌ 입력 파일을 지정하세요.");
+    if (!fs.existsSync(file)) throw new Error(`❌ 파일이 없습니다: ${file}`);
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * @description JSON 파일 저장 (상위 디렉터리 생성)
+ * @param {string} file
+ * @param {object} doc
+ */
+function writeJson(file, doc) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(doc, null, 2) + "\n");
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 명령
+// ──────────────────────────────────────────────────────────────────────────────
+async function cmdKeystore(out) {
+    if (!out) throw new Error("❌ 출력 keystore 경로를 지정하세요. 예) node scripts/signer.js keystore keystores/ops.json");
+    if (fs.existsSync(out)) throw new Error(`❌ 이미 존재하는 파일입니다 (덮어쓰지 않음): ${out}`);
+
+    const raw = (await Signer.promptHidden("🔑 프라이빗키 (0x...): ")).trim();
+    let wallet;
+    try {
+        wallet = new ethers.Wallet(raw.startsWith("0x") ? raw : `0x${raw}`);
+    } catch {
+        throw new Error("❌ 잘못된 프라이빗키입니다.");
+    }
+    const password = await Signer.promptHidden("🔐 keystore 비밀번호: ");
+    if (password.length < 8) throw new Error("❌ 비밀번호는 8자 이상이어야 합니다.");
+    if (await Signer.promptHidden("🔐 비밀번호 확인: ") !== password) throw new Error("❌ 비밀번호가 일치하지 않습니다.");
+
+    console.log("⏳ 암호화 중 (scrypt)...");
+    writeJson(out, JSON.parse(await wallet.encrypt(password)));
+    console.log(`✅ keystore 생성: ${out}`);
+    console.log(`   address: ${wallet.address}`);
+    console.log("   .env에서 평문 키를 지우고 <P>_KEYSTORE 로 지정하세요.");
+}
+
+async function cmdSign(file, out) {
+    const role = String(process.env.SIGNER_ROLE || "owner").toLowerCase();
+    const batch = readJson(file);
+    const wallet = await Signer.loadSigner(role, { offline: false });
+    if (!wallet) throw new Error(`❌ ${role} 서명자가 없습니다 (${Signer.ROLES[role].keyEnv} 또는 ${Signer.ROLES[role].prefix}_KEYSTORE).`);
+
+    const signed = await Signer.signRawBatch(batch, wallet);
+    const outPath = out || file.replace(/(\.json)?$/, ".signed.json");
+    writeJson(outPath, signed);
+    console.log(`✍️  ${signed.transactions.length} tx 서명 (from ${signed.from}, chainId ${signed.chainId})`);
+    signed.transactions.forEach((t, i) => console.log(`  #${i + 1} nonce=${t.nonce} ${t.description || ""} ${t.hash}`));
+    console.log(`📝 ${outPath}`);
+}
+
+async function cmdBroadcast(file) {
+    const signed = readJson(file);
+    const provider = new ethers.JsonRpcProvider(process.env.PROVIDER_URL || "http://localhost:8545");
+    const results = await Signer.broadcastSigned(signed, provider);
+    const sent = results.filter((r) => !r.skipped).length;
+    console.log(`✅ broadcast finished. sent=${sent}, skipped=${results.length - sent}`);
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 메인
+// ──────────────────────────────────────────────────────────────────────────────
+async function main() {
+    const [cmd, ...args] = process.argv.slice(2);
+    if (!COMMANDS.includes(cmd)) throw new Error(`❌ 명령을 지정하세요 (${COMMANDS.join("|")}): ${cmd || "(없음)"}`);
+    await { keystore: cmdKeystore, sign: cmdSign, broadcast: cmdBroadcast }[cmd](...args);
+}
+
+main().catch((e) => {
+    console.error(e?.shortMessage || e?.message || e);
+    process.exit(1);
+});
@@ -0,0 +1,135 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  TokenVesting 일일 sync keeper 데몬
+ * @description
+ *   1) 배포 레지스트리(deployments/<chainId>.json)에서 TokenVesting 주소 로드
+ *   2) pollMs 주기로 최신 블록 타임스탬프를 확인
+ *   3) UTC 자정 경계(nextSyncTs + 1일) + graceSec 이 지나면 syncLimitDay(chunk) 반복 실행
+ *      - out-of-gas(추정 실패 / 추정치 > gasCap / 영수증 가스 소진) 시 chunk 절반으로 줄여 재시도
+ *      - 연속 성공 시 chunk를 maxChunk까지 점진 확대
+ *   4) 진행 상태를 scripts/data/sync-keeper.json에 저장 (재시작 시 chunk/전송중 tx/통계 이어받음)
+ *   5) HTTP 엔드포인트
+ *      - GET /health  : JSON (정상 200 / 지연·에러 시 503)
+ *      - GET /metrics : Prometheus text format
+ *
+ * 실행:
+ *   npx hardhat run scripts/syncKeeper.js --network <net>
+ *
+ * 환경변수(.env):
+ *   OWNER_KEY          : 운영 지갑 프라이빗키 (development 네트워크가 아니면 필수, syncLimitDay는 onlyOwner)
+ *   OWNER_SIGNER       : key | keystore (선택, scripts/_signer.js 참고 — keeper는 offline 불가)
+ *   PROVIDER_URL       : RPC URL (선택, 기본 http://localhost:8545)
+ *   KEEPER_PORT        : health/metrics 포트 (기본 9464, 0이면 서버 미기동)
+ *   KEEPER_POLL_MS     : 폴링 주기 ms (기본 30000)
+ *   KEEPER_GRACE_SEC   : 자정 경계 후 대기 초 (기본 60)
+ *   KEEPER_MAX_CHUNK   : 한 tx 최대 일수 (기본 7)
+ *   KEEPER_GAS_CAP     : estimateGas 상한 (기본 블록 가스한도/2)
+ *   KEEPER_MAX_LAG     : health 허용 지연 일수 (기본 1)
+ *   KEEPER_STATE_FILE  : 상태 파일 경로 (기본 scripts/data/sync-keeper.json)
+ *   KEEPER_ONCE        : 1이면 한 번만 점검하고 종료
+ *
+ * @author hlibbc
+ */
+const path = require("path");
+const http = require("http");
+const hre = require("hardhat");
+const { ethers } = hre;
+const Shared = require("./_shared");
+const { createSyncKeeper } = require("./_syncKeeper");
+
+require("dotenv").config({ path: path.join(__dirname, "../.env") });
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 유틸
+// ──────────────────────────────────────────────────────────────────────────────
+/**
+ * @description 정수 환경변수 (없으면 기본값)
+ */
+function envInt(name, def) {
+    const v = process.env[name];
+    if (v == null || v === "") return def;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`${name} must be a non-negative integer: ${v}`);
+    return n;
+}
+
+/**
+ * @description health/metrics HTTP 서버
+ * @param keeper createSyncKeeper 결과
+ * @param {number} port
+ * @returns {http.Server}
+ */
+function serve(keeper, port) {
+    const server = http.createServer((req, res) => {
+        const url = (req.url || "").split("?")[0];
+        if (req.method === "GET" && url === "/health") {
+            const h = keeper.health();
+            res.writeHead(h.ok ? 200 : 503, { "content-type": "application/json" });
+            res.end(JSON.stringify(h, null, 2));
+            return;
+        }
+        if (req.method === "GET" && url === "/metrics") {
+            res.writeHead(200, { "content-type": "text/plain; version=0.0.4" });
+            res.end(keeper.renderMetrics());
+            return;
+        }
+        res.writeHead(404, { "content-type": "application/json" });
+        res.end(JSON.stringify({ ok: false, error: "not found" }));
+    });
+    server.listen(port, () => console.log(`[keeper] health/metrics → http://localhost:${port}/health, /metrics`));
+    return server;
+}
+
+// ──────────────────────────────────────────────────────────────────────────────
+// 메인
+// ──────────────────────────────────────────────────────────────────────────────
+async function main() {
+    const { vesting: vestingAddr } = await Shared.loadDeployment();
+
+    // 지갑/프로바이더 (keeper는 sync 결과를 읽어 다음 chunk를 정하므로 offline 불가)
+    const owner = await Shared.getSigner("owner", { devIndex: 0, offline: false });
+    const vesting = await ethers.getContractAt("TokenVesting", vestingAddr, owner);
+
+    const gasCap = process.env.KEEPER_GAS_CAP ? BigInt(process.env.KEEPER_GAS_CAP) : undefined;
+    const pollMs = envInt("KEEPER_POLL_MS", 30_000);
+    const keeper = createSyncKeeper({
+        vesting,
+        stateFile: process.env.KEEPER_STATE_FILE || path.join(__dirname, "data", "sync-keeper.json"),
+        pollMs,
+        graceSec: envInt("KEEPER_GRACE_SEC", 60),
+        maxChunk: Math.max(1, envInt("KEEPER_MAX_CHUNK", 7)),
+        maxLagDays: envInt("KEEPER_MAX_LAG", 1),
+        gasCap,
+    });
+
+    console.log(`[keeper] vesting=${vestingAddr} owner=${await owner.getAddress()} network=${hre.network.name}`);
+
+    if (process.env.KEEPER_ONCE === "1") {
+        const r = await keeper.tick();
+        console.log(`[keeper] synced ${r.synced} day(s), pending ${r.pending}`);
+        console.log(JSON.stringify(keeper.health(), null, 2));
+        return;
+    }
+
+    const port = envInt("KEEPER_PORT", 9464);
+    const server = port ? serve(keeper, port) : null;
+    keeper.start();
+
+    // 종료 신호 처리 (진행 중 tick은 상태 파일에 기록되어 있으므로 재시작 시 이어짐)
+    await new Promise((resolve) => {
+        const shutdown = (sig) => {
+            console.log(`[keeper] ${sig} 수신 → 종료`);
+            keeper.stop();
+            if (server) server.close();
+            resolve();
+        };
+        process.once("SIGINT", shutdown);
+        process.once("SIGTERM", shutdown);
+    });
+}
+
+main().catch((e) => {
+    Shared.printRevert("스크립트 오류", e);
+    process.exit(1);
+});
@@ -3,7 +3,7 @@
  * @fileoverview
  *  TokenVesting 동기화 전용 스크립트
  * @description
- *   1) deployment-info.json에서 컨트랙트 주소/시작시각 로드
+ *   1) 배포 레지스트리(deployments/<chainId>.json)에서 컨트랙트 주소/시작시각 로드
  *   2) lastSyncedDay 읽기
  *   3) 현재 시각(now) 기준 목표 일(dTarget) 계산
  *   4) (dTarget - lastSyncedDay)을 7일 단위로 분할하여 syncLimitDay 반복 실행
@@ -15,12 +15,16 @@
  *   npx hardhat run scripts/adhoc/syncVesting.js --network <net>
  *
  * 환경변수(.env):
- *   OWNER_KEY     : 배포/운영 지갑 프라이빗키 (필수)
+ *   OWNER_KEY     : 배포/운영 지갑 프라이빗키 (OWNER_SIGNER=key, development 네트워크에서는 첫 번째 signer)
+ *   OWNER_SIGNER  : key | keystore | offline (선택, scripts/_signer.js 참고)
+ *                   offline이면 syncLimitDay 호출을 Safe batch / unsigned tx 파일로 기록 (멀티시그 owner)
  *   PROVIDER_URL  : RPC URL (선택, 기본 http://localhost:8545)
  *
  * 주의:
  *  - 컨트랙트가 scheduleInitialized=false면 sync가 revert 됩니다.
  *  - 네트워크 가스 상태에 따라 한 번에 7일도 실패할 수 있으니, 필요 시 값을 조절하세요.
+ *  - 매일 자동 실행(가스 적응형 chunk, 상태 저장, health/metrics)은 scripts/syncKeeper.js 참고
+ *  - 동기화 후 회계 검증은 scripts/reconcileVesting.js 참고
  *
  * @author hlibbc
  */
@@ -35,19 +39,6 @@ require("dotenv").config({ path: path.join(__dirname, "../.env") });
 // ──────────────────────────────────────────────────────────────────────────────
 // 유틸
 // ──────────────────────────────────────────────────────────────────────────────
-/**
- * @description 배포 산출물(`scripts/adhoc/output/deployment-info.json`)을 로드합니다.
- * @returns {{contracts?: {tokenVesting?: string}, startTs?: string}}
- */
-function loadDeploymentInfo() {
-    const fs = require("fs");
-    const p = path.join(__dirname, "./output/deployment-info.json");
-    if (!fs.existsSync(p)) {
-        throw new Error(`deployment-info.json not found: ${p}\n(먼저 deployContracts.js 실행)`);
-    }
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-}
-
 /**
  * @description n(남은 일수)을 7일 단위로 분할하는 제너레이터
  * @param {bigint} total
@@ -76,25 +67,15 @@ async function waitIfNeeded() {
 // ──────────────────────────────────────────────────────────────────────────────
 async function main() {
     // 1) 배포정보 & 컨트랙트
-    const info = loadDeploymentInfo();
-    const vestingAddr = info?.contracts?.tokenVesting;
-    if (!vestingAddr) throw new Error("tokenVesting address missing in deployment-info.json");
-    if (!info?.startTs) throw new Error("startTs missing in deployment-info.json");
+    const info = await Shared.loadDeployment();
+    const vestingAddr = info.vesting;
+    if (info.startTs == null) throw new Error(`startTs missing in deployment registry (chainId=${info.chainId})`);
 
     // 가스 요약 집계
     const totals = {}; // { sync: {gas, fee} }
 
     // 지갑/프로바이더
-    let owner;
-    if (hre.network.name !== "development") {
-        const ownerKey = process.env.OWNER_KEY;
-        if (!ownerKey) throw new Error("❌ .env에 OWNER_KEY를 설정하세요.");
-        const providerUrl = process.env.PROVIDER_URL || "http://localhost:8545";
-        const provider = new ethers.JsonRpcProvider(providerUrl);
-        owner = new ethers.Wallet(ownerKey, provider);
-    } else {
-        owner = (await ethers.getSigners())[0];
-    }
+    const owner = await Shared.getSigner("owner", { devIndex: 0 });
 
     const vesting = await ethers.getContractAt("TokenVesting", vestingAddr, owner);
 
@@ -103,7 +84,7 @@ async function main() {
     console.log(`[sync] lastSyncedDay = ${lastSyncedDay.toString()}`);
 
     // 3) 현재 시각(now) 기준 목표 일(dTarget) 계산
-    const START_TS = BigInt(info.startTs);
+    const START_TS = info.startTs;
     const DAY = 86400n;
     const NOW_SEC = BigInt(Math.floor(Date.now() / 1000));
     const dTarget = NOW_SEC <= START_TS ? 0n : (NOW_SEC - START_TS) / DAY;
@@ -145,6 +126,6 @@ async function main() {
 }
 
 main().catch((e) => {
-    console.error(e);
+    Shared.printRevert("스크립트 오류", e);
     process.exit(1);
 });
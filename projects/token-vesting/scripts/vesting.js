@@ -0,0 +1,89 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  통합 vesting CLI (서브커맨드 + 공통 플래그 + JSON 출력 + 종료 코드)
+ * @description
+ *   buyBox / sendBox / claimPurchaseReward / claimReferralReward / preview* / queryClaimable / syncVesting 을
+ *   하나의 진입점으로 묶음 — scripts/input/*.json 편집이나 VEST_EPOCH·VEST_ADDR 주입 없이 cron / CI에서 호출 가능
+ *
+ *   명령:
+ *   - info                                          : 배포/동기화 상태
+ *   - claimable --address <addr> [--at <시각>]      : 구매자/추천인 클레임 가능액 (queryClaimable, previewBuyer/ReferrerClaimable)
+ *   - earned --address <addr>                       : 어제 획득량 (previewBuyer/ReferrerEarnedYesterday)
+ *   - buy --boxes <n> --ref <CODE8>                 : 박스 구매 (buyBox, permit 결제)
+ *   - send --from <addr> --to <addr> --boxes <n>    : 박스 소유권 이전 (sendBox)
+ *   - claim <purchase|referral>                     : 보상 클레임 (claimPurchaseReward / claimReferralReward)
+ *   - sync [--limit <1..7>] [--at <시각>]           : 일일 확정 따라잡기 (syncVesting)
+ *   공통: --network <net>, --json, --help  (자세한 형식/종료 코드는 scripts/_vestingCli.js 참고)
+ *
+ * 실행 (hardhat run은 추가 인수를 받지 않으므로 node로 실행, --network → HARDHAT_NETWORK):
+ *   node scripts/vesting.js info --network development
+ *   node scripts/vesting.js claimable --address 0xabc... --at 2026-01-01 --json
+ *   node scripts/vesting.js sync --network development --json || echo "exit=$?"
+ *   pnpm vesting claim purchase --network development
+ *
+ * 환경변수(.env):
+ *   OWNER_KEY / OWNER_SIGNER ... : send / sync 서명자 (development 네트워크에서는 미설정 시 첫 번째 signer)
+ *   PRIVATE_KEY / USER_SIGNER ...: buy / claim 서명자 (buy는 permit 서명이 필요해 offline 불가)
+ *   USER_ADDRESS                 : claimable / earned 의 --address 기본값
+ *   GAS_REPORT                   : 지정 시 가스 집계를 리포트에 병합 기록 (이름: vesting-<command>)
+ *
+ * @author hlibbc
+ */
+const path = require("path");
+const { parseArgs, runCli } = require("./_vestingCli");
+
+// quiet: --json 출력(stdout)에 dotenv 안내 문구가 섞이지 않도록
+require("dotenv").config({ path: path.join(__dirname, "../.env"), quiet: true });
+
+/**
+ * @description hardhat / _shared.js 기반 실행 컨텍스트
+ * @param {{network?: string}} opts
+ * @param {string} command 가스 리포트 항목 이름용
+ */
+async function createContext({ network }, command) {
+    // hardhat은 require 시점에 HARDHAT_NETWORK로 네트워크를 고른다
+    if (network) process.env.HARDHAT_NETWORK = network;
+    const hre = require("hardhat");
+    const Shared = require("./_shared");
+    const { ethers } = hre;
+
+    const provider = ethers.provider;
+    const deployment = await Shared.loadDeployment(provider);
+    if ((await provider.getCode(deployment.vesting)) === "0x") {
+        throw new Error(`❌ ${hre.network.name}(chainId=${deployment.chainId})의 ${deployment.vesting}에 TokenVesting 코드가 없습니다. (--network 확인)`);
+    }
+    const vesting = await ethers.getContractAt("TokenVesting", deployment.vesting);
+    const totals = {};
+
+    return {
+        network: hre.network.name,
+        chainId: deployment.chainId,
+        deployment,
+        provider,
+        vesting,
+        // buy는 permit 서명이 필요하므로 offline 서명자 불가
+        signer: (role) => Shared.getSigner(role, { provider, devIndex: role === "owner" ? 0 : undefined, offline: command === "buy" ? false : undefined }),
+        send: (label, txPromise, bucket) => Shared.withGasLog(label, txPromise, totals, bucket),
+        isQueuedTx: Shared.isQueuedTx,
+        finish: () => {
+            if (!Object.keys(totals).length) return;
+            process.env.GAS_REPORT_NAME ||= `vesting-${command}`;
+            Shared.printGasSummary(totals);
+        },
+    };
+}
+
+async function main() {
+    const argv = process.argv.slice(2);
+    let command = null;
+    try {
+        ({ command } = parseArgs(argv));
+    } catch { /* runCli가 사용법 오류로 처리 */ }
+    process.exitCode = await runCli(argv, { createContext: (opts) => createContext(opts, command) });
+}
+
+main().catch((e) => {
+    console.error(e?.message || e);
+    process.exitCode = 1;
+});
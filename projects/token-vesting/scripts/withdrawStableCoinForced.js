@@ -0,0 +1,97 @@
+/* eslint-disable no-console */
+/**
+ * @fileoverview
+ *  TokenVesting 잔여 StableCoin 강제 회수 스크립트 (owner 전용)
+ * @description
+ *   1) 배포 레지스트리(deployments/<chainId>.json)에서 TokenVesting / StableCoin 주소 로드
+ *   2) 회수 가능 여부 확인 (마지막 풀 종료 + 90일 경과, 컨트랙트 잔액 > 0)
+ *   3) withdrawStableCoinForced(to) 실행
+ *      - OWNER_SIGNER=offline 이면 Safe Transaction Builder batch JSON(또는 unsigned tx)로 기록만 함
+ *        → 멀티시그 owner가 Safe UI에서 Import 후 서명/실행
+ *
+ * 실행:
+ *   WITHDRAW_TO=0x... npx hardhat run scripts/withdrawStableCoinForced.js --network <net>
+ *
+ * 환경변수(.env):
+ *   OWNER_KEY              : owner 프라이빗키 (development 네트워크에서는 첫 번째 signer)
+ *   OWNER_SIGNER           : key | keystore | offline (선택, scripts/_signer.js 참고)
+ *   OWNER_OFFLINE_ADDRESS  : offline 실행 주체 (Safe 주소)
+ *   WITHDRAW_TO            : 수령 주소 (선택, 기본: owner 주소 — offline이면 Safe)
+ *   PROVIDER_URL           : RPC URL (선택, 기본 http://localhost:8545)
+ *
+ * @author hlibbc
+ */
+const path = require("path");
+const hre = require("hardhat");
+const { ethers } = hre;
+const Shared = require("./_shared");
+
+require("dotenv").config({ path: path.join(__dirname, "../.env") });
+
+const GRACE_SEC = 90n * 86400n; // 컨트랙트 정책: 마지막 풀 종료 + 90일
+
+/**
+ * @notice 수령 주소 (WITHDRAW_TO → 주소 형식 argv → owner)
+ * @param {string} fallback
+ * @returns {string}
+ */
+function pickRecipient(fallback) {
+    const arg = Shared.argv(0);
+    const raw = process.env.WITHDRAW_TO || (ethers.isAddress(arg) ? arg : undefined);
+    if (!raw) return fallback;
+    if (!ethers.isAddress(raw)) throw new Error(`❌ 잘못된 WITHDRAW_TO 주소입니다: ${raw}`);
+    return ethers.getAddress(raw);
+}
+
+async function main() {
+    const info = await Shared.loadDeployment();
+    const owner = await Shared.getSigner("owner", { devIndex: 0 });
+    const ownerAddr = await owner.getAddress();
+    const vesting = await ethers.getContractAt("TokenVesting", info.vesting, owner);
+    const stable = await ethers.getContractAt("StableCoin", await vesting.stableCoin());
+
+    const to = pickRecipient(ownerAddr);
+    const onchainOwner = await vesting.owner();
+    if (onchainOwner.toLowerCase() !== ownerAddr.toLowerCase()) {
+        throw new Error(`❌ TokenVesting owner(${onchainOwner})와 실행 주체(${ownerAddr})가 다릅니다.`);
+    }
+
+    // 회수 가능 여부 (revert 전에 사유를 알려줌)
+    const [decimals, symbol, bal, lastEnd] = await Promise.all([
+        stable.decimals(),
+        stable.symbol(),
+        stable.balanceOf(info.vesting),
+        // 마지막 풀 종료시각: 레지스트리 schedule 기준 (없으면 확인 생략 → revert 사유로 확인)
+        info.schedule?.ends?.length ? BigInt(info.schedule.ends.at(-1)) : null,
+    ]);
+    const fmt = (v) => `${ethers.formatUnits(v, decimals)} ${symbol}`;
+    console.log(`👤 실행 주체: ${ownerAddr} (${Shared.signerLabel("owner")})`);
+    console.log(`🏦 TokenVesting: ${info.vesting} | 잔액 ${fmt(bal)}`);
+    console.log(`🎯 수령 주소: ${to}`);
+    if (lastEnd != null) {
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        const openAt = lastEnd + GRACE_SEC;
+        if (BigInt(timestamp) <= openAt) {
+            throw new Error(`❌ 아직 회수할 수 없습니다: ${new Date(Number(openAt) * 1000).toISOString()} 이후 가능`);
+        }
+    }
+    if (bal === 0n) throw new Error("❌ 회수할 StableCoin 잔액이 없습니다.");
+
+    const totals = {};
+    await Shared.withGasLog(
+        `[withdraw] withdrawStableCoinForced(${to})`,
+        vesting.withdrawStableCoinForced(to),
+        totals, "withdraw"
+    );
+    if (!Shared.isOffline(owner)) {
+        console.log(`  • TokenVesting 잔액: ${fmt(await stable.balanceOf(info.vesting))}`);
+        console.log(`  • 수령 주소 잔액   : ${fmt(await stable.balanceOf(to))}`);
+    }
+    Shared.printGasSummary(totals, ["withdraw"]);
+    console.log("✅ withdrawStableCoinForced finished.");
+}
+
+main().catch((e) => {
+    Shared.printRevert("스크립트 오류", e);
+    process.exit(1);
+});
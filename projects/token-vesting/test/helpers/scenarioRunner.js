@@ -0,0 +1,450 @@
+/**
+ * @fileoverview
+ *  선언형 시나리오 러너 (test/scenarios/*.json → vestingFixture 위에서 실행)
+ * @description
+ *  수작업 adhoc 시나리오(test/adhoc/scenario0N) 대신, 시나리오를 JSON으로 기술하고
+ *  이 러너가 일자별로 액션을 실행한 뒤 체크포인트마다 기대값과 실제값을 비교한다.
+ *
+ * 시나리오 형식:
+ *  {
+ *    "name": "기본 구매/레퍼럴/클레임",
+ *    "description": "(선택)",
+ *    "actors": ["alice", "bob", "carol"],          // getSigners()[1..] 순서로 배정 ("owner"는 예약)
+ *    "referralCodes": { "bob": "BOBCODE1" },        // (선택) 시작 전에 배정할 레퍼럴 코드
+ *    "tolerance": "0.000001",                       // (선택) 토큰 지표 허용 오차 (토큰 단위, 기본 0)
+ *    "steps": [
+ *      { "day": 0, "action": "buy", "actor": "alice", "boxes": 3, "ref": "bob" },
+ *      { "day": 2, "action": "check", "expect": { "alice": { "buyerClaimable": "931506.849315" } } }
+ *    ]
+ *  }
+ *
+ *  - day : 베스팅 시작(fixture start)으로부터의 일 인덱스 (내림차순 불가)
+ *  - time: (선택) 그 날의 시각 "HH:MM[:SS]" (기본 00:01) — 체인 시간이 그보다 이르면 그 시각으로 이동
+ *  - revert: (선택) 액션이 이 메시지로 실패해야 함
+ *
+ * 액션:
+ *  - buy      : { actor, boxes, ref }            ref = 배우 이름(그 배우의 코드) 또는 8자리 코드. StableCoin 자동 지급/승인
+ *  - send     : { from, to, boxes }              owner sendBox
+ *  - backfill : { actor, boxes, ref?, atDay?, paid? }  owner backfillPurchaseBulkAt (atDay 기본 = day, paid = USDT)
+ *  - sync     : { days? }                        days 있으면 syncLimitDay(days), 없으면 sync()
+ *  - claim    : { actor, pool }                  pool = buyer | referral | buyback
+ *  - discount : { code | actor, rate }           owner setReferralDiscount
+ *  - check    : { expect: { <actor>: { <지표>: 값 }, global: { <지표>: 값 } } }
+ *
+ * 지표 (METRICS / GLOBAL_METRICS):
+ *  - 토큰(18dec, "1234.5" 형식): buyerClaimable, referrerClaimable, buyerEarnedYesterday, referrerEarnedYesterday,
+ *                               claimedBuyer, claimedReferral, tokenBalance
+ *  - USDT(6dec): buyback, usdtBalance
+ *  - 개수: boxes, referralUnits, totalBought, tier / global: totalBoxes, lastSyncedDay
+ *  - 값을 "?"로 두면 비교하지 않고 실제값만 보고 (기대값 작성용)
+ *
+ * 사용법:
+ *  const Scenario = require("./helpers/scenarioRunner");
+ *  const result = await Scenario.runScenario(Scenario.loadScenario("test/scenarios/basic.json"));
+ *  if (!result.ok) throw new Error(Scenario.formatTable(result.mismatches));
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./vestingFixture");
+const { createRevertDecoder, loadDefaultAbis } = require("../../scripts/_revert");
+
+// =============================================================================
+// 상수 / 지표 정의
+// =============================================================================
+
+const DAY = 86400n;
+const SCENARIO_DIR = path.resolve(__dirname, "..", "scenarios");
+const DEFAULT_TIME = 60; // 00:01 — 같은 날 fixture 배포 직후
+
+/**
+ * @description 단위별 파싱/포맷
+ */
+const UNITS = {
+    token: { parse: (v) => ethers.parseUnits(String(v), 18), format: (v) => ethers.formatUnits(v, 18) },
+    usdt: { parse: (v) => ethers.parseUnits(String(v), 6), format: (v) => ethers.formatUnits(v, 6) },
+    count: { parse: (v) => BigInt(v), format: (v) => v.toString() },
+};
+
+/**
+ * @description 배우별 지표 (ctx: 러너 컨텍스트, a: 주소)
+ */
+const METRICS = {
+    boxes: { unit: "count", read: (ctx, a) => ctx.vesting.boxesOf(a) },
+    referralUnits: { unit: "count", read: (ctx, a) => ctx.vesting.referralsOf(a) },
+    totalBought: { unit: "count", read: (ctx, a) => ctx.vesting.totalBoughtBoxes(a) },
+    tier: {
+        unit: "count",
+        read: async (ctx, a) => {
+            const id = await ctx.vesting.sbtIdOf(a);
+            return id === 0n ? 0n : BigInt(await ctx.sbt.currentTier(id));
+        },
+    },
+    buyerClaimable: { unit: "token", read: (ctx, a) => ctx.vesting.previewBuyerClaimable(a) },
+    referrerClaimable: { unit: "token", read: (ctx, a) => ctx.vesting.previewReferrerClaimable(a) },
+    buyerEarnedYesterday: { unit: "token", read: (ctx, a) => ctx.vesting.previewBuyerEarnedYesterday(a) },
+    referrerEarnedYesterday: { unit: "token", read: (ctx, a) => ctx.vesting.previewReferrerEarnedYesterday(a) },
+    claimedBuyer: { unit: "token", read: (ctx, a) => ctx.vesting.totalClaimedBuyer(a) },
+    claimedReferral: { unit: "token", read: (ctx, a) => ctx.vesting.totalClaimedReferral(a) },
+    tokenBalance: { unit: "token", read: (ctx, a) => ctx.token.balanceOf(a) },
+    buyback: { unit: "usdt", read: (ctx, a) => ctx.vesting.buybackStableCoinAmount(a) },
+    usdtBalance: { unit: "usdt", read: (ctx, a) => ctx.stableCoin.balanceOf(a) },
+};
+
+/**
+ * @description 전역 지표 (check.expect.global)
+ */
+const GLOBAL_METRICS = {
+    totalBoxes: { unit: "count", read: (ctx) => ctx.vesting.getTotalBoxPurchased() },
+    lastSyncedDay: { unit: "count", read: (ctx) => ctx.vesting.lastSyncedDay() },
+};
+
+/**
+ * @description 액션별 필수 / 배우 필드
+ */
+const ACTIONS = {
+    buy: { required: ["actor", "boxes", "ref"], actors: ["actor"] },
+    send: { required: ["from", "to", "boxes"], actors: ["from", "to"] },
+    backfill: { required: ["actor", "boxes"], actors: ["actor"] },
+    sync: { required: [], actors: [] },
+    claim: { required: ["actor", "pool"], actors: ["actor"] },
+    discount: { required: ["rate"], actors: [] },
+    check: { required: ["expect"], actors: [] },
+};
+const POOLS = ["buyer", "referral", "buyback"];
+
+// =============================================================================
+// 로드 / 검증
+// =============================================================================
+
+/**
+ * @description "HH:MM[:SS]" → 초
+ * @param {string} t
+ * @returns {number}
+ */
+function parseTime(t) {
+    const m = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(t));
+    if (!m || Number(m[1]) > 23 || Number(m[2]) > 59 || Number(m[3] ?? 0) > 59) throw new Error(`잘못된 time: ${t} (HH:MM[:SS])`);
+    return Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3] ?? 0);
+}
+
+/**
+ * @description 8자리 레퍼럴 코드 형식인지
+ */
+const isCode = (v) => /^[A-Za-z0-9]{8}$/.test(String(v));
+
+/**
+ * @description 시나리오 검증 및 정규화
+ * @param {object} raw 시나리오 JSON
+ * @param {string} [source] 에러 메시지용 출처 (파일명)
+ * @returns {object} 정규화된 시나리오 (steps[i].at = 시작 기준 초, tolerance = bigint)
+ * @throws 형식 오류 시 "<source> steps[i] (day d action): ..." 에러
+ */
+function normalizeScenario(raw, source = raw?.name ?? "scenario") {
+    const fail = (where, msg) => { throw new Error(`${source}${where ? ` ${where}` : ""}: ${msg}`); };
+    if (!raw || typeof raw !== "object") fail("", "시나리오 객체가 아닙니다");
+    if (!raw.name) fail("", "name이 필요합니다");
+    const actors = raw.actors ?? [];
+    if (!Array.isArray(actors) || actors.length === 0) fail("", "actors(배우 이름 배열)가 필요합니다");
+    if (new Set(actors).size !== actors.length) fail("actors", "중복된 이름이 있습니다");
+    if (actors.includes("owner") || actors.includes("global")) fail("actors", "owner / global 은 예약된 이름입니다");
+
+    const known = new Set(["owner", ...actors]);
+    const referralCodes = raw.referralCodes ?? {};
+    for (const [name, code] of Object.entries(referralCodes)) {
+        if (!actors.includes(name)) fail("referralCodes", `알 수 없는 배우: ${name}`);
+        if (!isCode(code)) fail("referralCodes", `${name}: 8자리 [A-Z0-9] 코드가 아닙니다: ${code}`);
+    }
+
+    let tolerance = 0n;
+    try {
+        tolerance = UNITS.token.parse(raw.tolerance ?? "0");
+    } catch {
+        fail("tolerance", `토큰 단위 숫자가 아닙니다: ${raw.tolerance}`);
+    }
+
+    if (!Array.isArray(raw.steps) || raw.steps.length === 0) fail("", "steps가 필요합니다");
+    let prevAt = -1;
+    const steps = raw.steps.map((s, i) => {
+        const where = `steps[${i}] (day ${s?.day} ${s?.action})`;
+        if (!Number.isInteger(s?.day) || s.day < 0) fail(where, "day는 0 이상의 정수여야 합니다");
+        if (i > 0 && s.day < raw.steps[i - 1].day) fail(where, "day가 이전 step보다 작습니다");
+        const spec = ACTIONS[s.action];
+        if (!spec) fail(where, `알 수 없는 action (${Object.keys(ACTIONS).join("|")})`);
+        for (const f of spec.required) if (s[f] == null) fail(where, `${f}가 필요합니다`);
+        for (const f of spec.actors) if (!known.has(s[f])) fail(where, `${f}: 알 수 없는 배우 ${s[f]}`);
+        if (s.boxes != null && !(Number.isInteger(s.boxes) && s.boxes > 0)) fail(where, "boxes는 양의 정수여야 합니다");
+        if (s.ref != null && !known.has(s.ref) && !isCode(s.ref)) fail(where, `ref는 배우 이름 또는 8자리 코드여야 합니다: ${s.ref}`);
+        if (s.action === "claim" && !POOLS.includes(s.pool)) fail(where, `pool은 ${POOLS.join("|")} 중 하나여야 합니다`);
+        if (s.action === "discount" && (s.code == null) === (s.actor == null)) fail(where, "code 또는 actor 중 하나만 지정하세요");
+        if (s.action === "discount" && s.actor != null && !known.has(s.actor)) fail(where, `actor: 알 수 없는 배우 ${s.actor}`);
+        if (s.action === "backfill" && s.atDay != null && !(Number.isInteger(s.atDay) && s.atDay >= 0 && s.atDay <= s.day)) {
+            fail(where, "atDay는 0 이상 day 이하의 정수여야 합니다");
+        }
+        if (s.action === "check") {
+            if (s.revert != null) fail(where, "check에는 revert를 쓸 수 없습니다");
+            for (const [who, metrics] of Object.entries(s.expect)) {
+                const table = who === "global" ? GLOBAL_METRICS : METRICS;
+                if (who !== "global" && !known.has(who)) fail(where, `expect: 알 수 없는 배우 ${who}`);
+                for (const [m, v] of Object.entries(metrics)) {
+                    if (!table[m]) fail(where, `expect.${who}: 알 수 없는 지표 ${m} (${Object.keys(table).join(", ")})`);
+                    if (v === "?") continue;
+                    try {
+                        UNITS[table[m].unit].parse(v);
+                    } catch {
+                        fail(where, `expect.${who}.${m}: ${table[m].unit} 값이 아닙니다: ${v}`);
+                    }
+                }
+            }
+        }
+
+        let at;
+        try {
+            at = s.day * 86400 + (s.time != null ? parseTime(s.time) : DEFAULT_TIME);
+        } catch (e) {
+            fail(where, e.message);
+        }
+        if (at < prevAt && s.time != null) fail(where, "시간이 이전 step보다 앞섭니다");
+        prevAt = Math.max(prevAt, at);
+        return { ...s, index: i, at: BigInt(at) };
+    });
+
+    return { name: raw.name, description: raw.description ?? "", actors, referralCodes, tolerance, steps, source };
+}
+
+/**
+ * @description 시나리오 파일 로드 (.json)
+ * @param {string} file
+ * @returns {object} normalizeScenario 결과
+ */
+function loadScenario(file) {
+    const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    return normalizeScenario(raw, path.basename(file));
+}
+
+/**
+ * @description 시나리오 디렉터리의 파일 목록 (이름순)
+ * @param {string} [dir=test/scenarios]
+ * @returns {string[]}
+ */
+function listScenarios(dir = SCENARIO_DIR) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).filter((f) => f.endsWith(".json")).sort().map((f) => path.join(dir, f));
+}
+
+// =============================================================================
+// 실행
+// =============================================================================
+
+/**
+ * @description 시나리오 실행 컨텍스트 준비 (fixture + 베스팅 토큰 + recipient + 코드 배정)
+ */
+async function setup(scn) {
+    const fx = await deployFixture();
+    const signers = await ethers.getSigners();
+    if (scn.actors.length > signers.length - 1) throw new Error(`${scn.source}: 배우는 최대 ${signers.length - 1}명입니다`);
+
+    const addr = { owner: fx.owner.address };
+    const signerOf = { owner: fx.owner };
+    scn.actors.forEach((name, i) => {
+        addr[name] = signers[i + 1].address;
+        signerOf[name] = signers[i + 1];
+    });
+
+    const v = fx.vesting.connect(fx.owner);
+    const Token = await ethers.getContractFactory("Token");
+    const token = await Token.deploy();
+    await token.transfer(await v.getAddress(), await token.balanceOf(fx.owner.address));
+    await v.setVestingToken(await token.getAddress());
+    await v.setRecipient(fx.owner.address);
+
+    const coded = Object.entries(scn.referralCodes);
+    if (coded.length) {
+        await v.setReferralCodesBulk(coded.map(([n]) => addr[n]), coded.map(([, c]) => c.toUpperCase()), true);
+    }
+    return { ...fx, v, token, addr, signerOf, approved: new Set() };
+}
+
+/**
+ * @description 체인 시간을 시나리오 시각(start + at)으로 이동 (이미 지났으면 그대로)
+ */
+async function moveTo(ctx, at) {
+    const target = ctx.start + at;
+    const now = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+    if (target <= now) return;
+    await ethers.provider.send("evm_setNextBlockTimestamp", [Number(target)]);
+    await ethers.provider.send("evm_mine", []);
+}
+
+/**
+ * @description ref 필드 → 레퍼럴 코드 문자열 (배우 이름이면 그 배우의 현재 코드)
+ */
+async function refCode(ctx, ref) {
+    if (ref == null || ref === "") return "";
+    if (!(ref in ctx.addr)) return String(ref).toUpperCase();
+    const code = await ctx.vesting.getReferralCode(ctx.addr[ref]);
+    if (!code) throw new Error(`${ref}에게 레퍼럴 코드가 없습니다 (referralCodes 또는 이전 구매 필요)`);
+    return code;
+}
+
+/**
+ * @description 액션 1개 실행 (check 제외)
+ */
+async function runAction(ctx, s) {
+    const { v, vesting, addr } = ctx;
+    switch (s.action) {
+    case "buy": {
+        const buyer = ctx.signerOf[s.actor];
+        const code = await refCode(ctx, s.ref);
+        const price = await vesting.estimatedTotalAmount(BigInt(s.boxes), code);
+        await ctx.stableCoin.connect(ctx.owner).transfer(buyer.address, price);
+        if (!ctx.approved.has(s.actor)) {
+            await ctx.stableCoin.connect(buyer).approve(await vesting.getAddress(), ethers.MaxUint256);
+            ctx.approved.add(s.actor);
+        }
+        const p = { value: price, deadline: 0n, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+        return vesting.connect(buyer).buyBox(BigInt(s.boxes), code, p);
+    }
+    case "send":
+        return v.sendBox(addr[s.from], addr[s.to], BigInt(s.boxes));
+    case "backfill":
+        return v.backfillPurchaseBulkAt([{
+            buyer: addr[s.actor],
+            refCodeStr: await refCode(ctx, s.ref),
+            boxCount: BigInt(s.boxes),
+            purchaseTs: ctx.start + BigInt(s.atDay ?? s.day) * DAY + 10n,
+            paidUnits: UNITS.usdt.parse(s.paid ?? "0"),
+        }]);
+    case "sync":
+        return s.days != null ? v.syncLimitDay(BigInt(s.days)) : v.sync();
+    case "claim": {
+        const c = vesting.connect(ctx.signerOf[s.actor]);
+        return { buyer: c.claimPurchaseReward, referral: c.claimReferralReward, buyback: c.claimBuyback }[s.pool]();
+    }
+    case "discount":
+        return v.setReferralDiscount(s.code ?? await refCode(ctx, s.actor), BigInt(s.rate));
+    default:
+        throw new Error(`알 수 없는 action: ${s.action}`);
+    }
+}
+
+let decoder = null;
+
+/**
+ * @description 에러 메시지 (require reason / custom error 이름 우선, scripts/_revert.js)
+ */
+function errorText(e) {
+    decoder ??= createRevertDecoder(loadDefaultAbis());
+    const r = decoder.decode(e);
+    if (r.kind === "error") return r.reason;
+    if (r.kind === "custom") return r.name;
+    return r.message;
+}
+
+/**
+ * @description 시나리오 실행
+ * @param {object} scn normalizeScenario / loadScenario 결과
+ * @returns {Promise<{ok: boolean, rows: object[], mismatches: object[], reports: object[]}>}
+ *   rows: 비교 행 { day, step, who, metric, expected, actual, diff, ok } (표시용 문자열)
+ *   reports: 기대값 "?" 행 (실제값만)
+ * @throws 액션이 예상치 못하게 실패하면 step 정보를 붙여 즉시 에러
+ */
+async function runScenario(scn) {
+    const ctx = await setup(scn);
+    const rows = [];
+
+    for (const s of scn.steps) {
+        await moveTo(ctx, s.at);
+        const label = `#${s.index} ${s.action}`;
+
+        if (s.action !== "check") {
+            try {
+                await (await runAction(ctx, s)).wait();
+                if (s.revert != null) {
+                    rows.push({ day: s.day, step: label, who: s.actor ?? s.from ?? "owner", metric: "revert", expected: s.revert, actual: "(성공)", diff: "", ok: false });
+                }
+            } catch (e) {
+                const msg = errorText(e);
+                if (s.revert == null) throw new Error(`${scn.source} steps[${s.index}] (day ${s.day} ${s.action}) 실패: ${msg}`);
+                const ok = msg.includes(s.revert);
+                rows.push({ day: s.day, step: label, who: s.actor ?? s.from ?? "owner", metric: "revert", expected: s.revert, actual: msg, diff: "", ok });
+            }
+            continue;
+        }
+
+        for (const [who, metrics] of Object.entries(s.expect)) {
+            for (const [metric, want] of Object.entries(metrics)) {
+                const def = who === "global" ? GLOBAL_METRICS[metric] : METRICS[metric];
+                const unit = UNITS[def.unit];
+                const actual = BigInt(await def.read(ctx, ctx.addr[who]));
+                const row = { day: s.day, step: label, who, metric, expected: String(want), actual: unit.format(actual), diff: "" };
+                if (want === "?") {
+                    rows.push({ ...row, ok: true, report: true });
+                    continue;
+                }
+                const d = actual - unit.parse(want);
+                const tol = def.unit === "token" ? scn.tolerance : 0n;
+                row.diff = d === 0n ? "" : `${d > 0n ? "+" : "-"}${unit.format(d < 0n ? -d : d)}`;
+                rows.push({ ...row, ok: (d < 0n ? -d : d) <= tol });
+            }
+        }
+    }
+
+    const mismatches = rows.filter((r) => !r.ok);
+    return { ok: mismatches.length === 0, rows, mismatches, reports: rows.filter((r) => r.report) };
+}
+
+// =============================================================================
+// 출력
+// =============================================================================
+
+/**
+ * @description 비교 행 → 고정폭 표
+ * @param {object[]} rows runScenario rows / mismatches
+ * @returns {string}
+ */
+function formatTable(rows) {
+    const cols = [
+        ["day", "day"], ["step", "step"], ["who", "actor"], ["metric", "metric"],
+        ["expected", "expected"], ["actual", "actual"], ["diff", "diff"],
+    ];
+    const cells = rows.map((r) => cols.map(([k]) => String(r[k] ?? "")));
+    const widths = cols.map(([, h], i) => Math.max(h.length, ...cells.map((c) => c[i].length)));
+    const line = (vals) => `| ${vals.map((v, i) => v.padEnd(widths[i])).join(" | ")} |`;
+    return [
+        line(cols.map(([, h]) => h)),
+        `|${widths.map((w) => "-".repeat(w + 2)).join("|")}|`,
+        ...cells.map(line),
+    ].join("\n");
+}
+
+/**
+ * @description 파일 로드 → 실행 → 불일치가 있으면 표를 담은 에러
+ * @param {string} file
+ * @param {(msg: string) => void} [log=console.log] "?" 지표 보고용
+ * @returns {Promise<object>} runScenario 결과
+ */
+async function runScenarioFile(file, log = console.log) {
+    const scn = loadScenario(file);
+    const result = await runScenario(scn);
+    if (result.reports.length) log(`\n[${scn.source}] 실제값 보고 (expected "?")\n${formatTable(result.reports)}`);
+    if (!result.ok) {
+        throw new Error(`${scn.source}: ${result.mismatches.length}개 불일치\n${formatTable(result.mismatches)}`);
+    }
+    return result;
+}
+
+module.exports = {
+    SCENARIO_DIR,
+    METRICS,
+    GLOBAL_METRICS,
+    ACTIONS,
+    normalizeScenario,
+    loadScenario,
+    listScenarios,
+    runScenario,
+    runScenarioFile,
+    formatTable,
+};
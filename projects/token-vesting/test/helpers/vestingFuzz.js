@@ -0,0 +1,460 @@
+/**
+ * @fileoverview
+ *  TokenVesting 속성 기반(property-based) 퍼징 하네스
+ * @description
+ *  시드 고정 난수로 무작위 연차 스케줄과 호출 시퀀스(buy / send / sync / syncLimitDay / claim / 시간 이동)를 만들고,
+ *  같은 시퀀스를 기준 모델(scripts/_referenceModel.js)과 배포된 컨트랙트에 동시에 실행해 비교한다.
+ *
+ * 매 step 검사 (속성):
+ *  - revert 여부/사유가 모델과 컨트랙트에서 같음
+ *  - 클레임 지급액 / 구간(fromDay, toDay)이 같고, 지급액은 소수 6자리 절삭(하위 12자리 0)
+ *  - 배우별 previewBuyerClaimableAt / previewReferrerClaimableAt / boxesOf / referralsOf /
+ *    totalClaimedBuyer / totalClaimedReferral, 전역 lastSyncedDay 가 같음
+ *  - 풀별 (누적 지급 + 확정분 청구 가능액) ≤ 확정된 일일 풀 합계 ≤ 연차 총량 합계
+ *  - 컨트랙트 베스팅 토큰 잔액 = 예치액 - 누적 지급
+ *
+ * 스케줄:
+ *  - 365일 연차로 여러 해를 돌리면 sync 가스/시간이 과도하므로, 연차 길이를 3~12일로 줄인 2~4개 연차를 무작위 생성
+ *  - 연차 총량에 wei 단위 끝수를 섞어 일일 풀 내림 / 마지막 날 잔여 보정 / floor6 절삭이 매번 발생하도록 함
+ *  - 레퍼럴 풀 총량이 0인 연차 포함
+ *
+ * 재현:
+ *  - 실패 메시지에 run 시드와 최근 op 이력이 포함됨
+ *  - FUZZ_SEED=<run 시드> FUZZ_RUNS=1 npx hardhat test test/vesting.model.fuzz.test.js
+ *
+ * @author hlibbc
+ */
+const { ethers } = require("hardhat");
+const { createReferenceModel, POOLS } = require("../../scripts/_referenceModel");
+const { createRevertDecoder, loadDefaultAbis } = require("../../scripts/_revert");
+
+// =============================================================================
+// 상수
+// =============================================================================
+
+const DAY = 86400n;
+const UNIT12 = 10n ** 12n; // floor6 절삭 단위
+const ACTORS = ["alice", "bob", "carol", "dave"];
+const REFERRAL_CODES = { bob: "FUZZBOB1", carol: "FUZZCAR1" };
+const HISTORY = 12; // 실패 보고에 담을 최근 op 수
+const TX_GAS = 15_000_000n; // 명시 → estimateGas 생략, revert tx도 블록에 포함(시각 고정)
+
+// =============================================================================
+// 난수
+// =============================================================================
+
+/**
+ * @notice 시드 고정 난수 (mulberry32)
+ * @param {number} seed 32bit 정수
+ */
+function createRng(seed) {
+    let a = seed >>> 0;
+    const next = () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const int = (lo, hi) => lo + Math.floor(next() * (hi - lo + 1)); // [lo, hi]
+    return {
+        next,
+        int,
+        big: (lo, hi) => BigInt(int(lo, hi)),
+        chance: (p) => next() < p,
+        pick: (xs) => xs[int(0, xs.length - 1)],
+        weighted: (table) => {
+            const total = Object.values(table).reduce((x, y) => x + y, 0);
+            let r = next() * total;
+            for (const [k, w] of Object.entries(table)) {
+                if ((r -= w) < 0) return k;
+            }
+            return Object.keys(table).at(-1);
+        },
+    };
+}
+
+/**
+ * @notice FUZZ_SEED 해석 (10진/0x16진, 없으면 기본값)
+ */
+function parseSeed(raw, fallback) {
+    if (raw == null || raw === "") return fallback;
+    const n = Number(raw);
+    if (!Number.isSafeInteger(n) || n < 0) throw new Error(`❌ 잘못된 FUZZ_SEED: ${raw}`);
+    return n >>> 0;
+}
+
+const hexSeed = (s) => `0x${(s >>> 0).toString(16).padStart(8, "0")}`;
+
+// =============================================================================
+// 스케줄 / 배포
+// =============================================================================
+
+/**
+ * @notice 무작위 연차 스케줄 (2~4개 연차, 각 3~12일)
+ * @param {object} rng
+ * @param {bigint} start
+ */
+function randomSchedule(rng, start) {
+    const years = rng.int(2, 4);
+    const ends = [];
+    const buyerTotals = [];
+    const refTotals = [];
+    let days = 0n;
+    for (let y = 0; y < years; y++) {
+        days += rng.big(3, 12);
+        ends.push(start - 1n + DAY * days);
+        // 토큰 단위 + wei 끝수 → 일일 풀 / 단가가 나누어떨어지지 않게
+        const odd = () => rng.big(0, 999_999_999) * 1_000_003n + rng.big(1, 999_999);
+        buyerTotals.push(ethers.parseEther(String(rng.int(1_000, 2_000_000))) + odd());
+        refTotals.push(y > 0 && rng.chance(0.3) ? 0n : ethers.parseEther(String(rng.int(100, 300_000))) + odd());
+    }
+    return { ends, buyerTotals, refTotals };
+}
+
+/**
+ * @notice 무작위 스케줄로 TokenVesting 배포 (+ 베스팅 토큰 예치, 레퍼럴 코드, 배우별 USDT 지급/승인)
+ * @param {object} rng
+ */
+async function deploy(rng) {
+    const [owner, ...rest] = await ethers.getSigners();
+    const actors = Object.fromEntries(ACTORS.map((n, i) => [n, rest[i]]));
+
+    const forwarder = await (await ethers.getContractFactory("WhitelistForwarder")).deploy();
+    const stableCoin = await (await ethers.getContractFactory("StableCoin")).deploy();
+    const token = await (await ethers.getContractFactory("Token")).deploy();
+
+    const start = BigInt((await ethers.provider.getBlock("latest")).timestamp) + 100n;
+    const vesting = await (await ethers.getContractFactory("TokenVesting")).deploy(
+        await forwarder.getAddress(), await stableCoin.getAddress(), start
+    );
+    const schedule = randomSchedule(rng, start);
+    await vesting.initializeSchedule(schedule.ends, schedule.buyerTotals, schedule.refTotals);
+
+    const vestingAddr = await vesting.getAddress();
+    const funded = [...schedule.buyerTotals, ...schedule.refTotals].reduce((a, b) => a + b, 0n);
+    await token.transfer(vestingAddr, funded);
+    await vesting.setVestingToken(await token.getAddress());
+    await vesting.setRecipient(owner.address);
+
+    const coded = Object.entries(REFERRAL_CODES);
+    await vesting.setReferralCodesBulk(coded.map(([n]) => actors[n].address), coded.map(([, c]) => c), true);
+    for (const s of Object.values(actors)) {
+        await stableCoin.transfer(s.address, ethers.parseUnits("1000000", 6));
+        await stableCoin.connect(s).approve(vestingAddr, ethers.MaxUint256);
+    }
+    return { owner, actors, vesting, token, start, schedule, funded };
+}
+
+// =============================================================================
+// 시퀀스 생성
+// =============================================================================
+
+/**
+ * @notice 다음 op 시각 — 평균 간격(pace)은 시퀀스가 전체 스케줄을 조금 넘게 덮도록 맞춤
+ *         (대부분 pace 안팎, 가끔 여러 날 점프 또는 가까운 연차 경계 직전/직후로 이동)
+ * @param {bigint} pace 평균 간격(초)
+ */
+function nextTs(rng, now, schedule, pace) {
+    const kind = rng.weighted({ step: 80, jump: 8, boundary: 12 });
+    // pace 이내의 다음 연차 경계: 마지막 초(e) 또는 다음 연차 첫 초(e + 1)
+    const edge = schedule.ends.find((e) => e + 1n > now);
+    if (kind === "boundary" && edge != null && edge - now <= 2n * pace) {
+        return edge > now && rng.chance(0.5) ? edge : edge + 1n;
+    }
+    if (kind === "jump") return now + DAY + pace * rng.big(2, 4);
+    return now + 1n + BigInt(Math.floor(rng.next() * Number(2n * pace)));
+}
+
+/**
+ * @notice 현재 모델 상태로 다음 op 생성
+ */
+function nextOp(rng, model, actors, ts) {
+    // 판매가 없으면 구매 비중을 높여 빈 시퀀스를 줄임
+    const sold = model.state.boxesAdded.size > 0;
+    const kind = rng.weighted({ buy: sold ? 30 : 70, send: 15, sync: 8, syncLimitDay: 7, claim: 32, idle: 8 });
+    const who = () => rng.pick(ACTORS);
+    switch (kind) {
+    case "buy":
+        // 레퍼럴 코드 보유자(bob/carol) 중 하나 — 본인이면 self referral revert 기대
+        return { kind, user: who(), ref: rng.pick(Object.keys(REFERRAL_CODES)), boxes: rng.big(1, 5), ts };
+    case "send": {
+        const from = who();
+        const to = rng.pick(ACTORS.filter((n) => n !== from));
+        const bal = model.userView(actors[from].address).boxes;
+        // 가끔 잔액 + 1 → InsufficientAfterPriorTransfers 기대
+        const boxes = bal === 0n || rng.chance(0.15) ? bal + 1n : rng.big(1, Number(bal));
+        return { kind, from, to, boxes, ts };
+    }
+    case "syncLimitDay":
+        return { kind, limit: rng.big(1, 3), ts };
+    case "claim":
+        return { kind, user: who(), pool: rng.pick(POOLS), ts };
+    default:
+        return { kind, ts };
+    }
+}
+
+// =============================================================================
+// 실행 / 비교
+// =============================================================================
+
+let decoder = null;
+
+/**
+ * @description 에러 → revert 사유 (require reason / custom error 이름)
+ */
+function revertReason(e) {
+    decoder ??= createRevertDecoder(loadDefaultAbis());
+    const r = decoder.decode(e);
+    if (r.kind === "error") return r.reason;
+    if (r.kind === "custom") return r.name;
+    throw e; // revert가 아닌 실패(하네스 오류)는 그대로
+}
+
+/**
+ * @description op 한 줄 표기
+ */
+function describeOp(op, start) {
+    const rel = op.ts - start;
+    const clock = new Date(Number(rel % DAY) * 1000).toISOString().slice(11, 19);
+    const when = `@ day ${rel / DAY} ${clock}`;
+    switch (op.kind) {
+    case "buy": return `buy ${op.user} ${op.boxes} (ref ${op.ref}) ${when}`;
+    case "send": return `send ${op.from}→${op.to} ${op.boxes} ${when}`;
+    case "syncLimitDay": return `syncLimitDay(${op.limit}) ${when}`;
+    case "claim": return `claim ${op.pool} ${op.user} ${when}`;
+    default: return `${op.kind} ${when}`;
+    }
+}
+
+/**
+ * @description op를 모델에 적용
+ */
+function applyModel(model, ctx, op) {
+    const addr = (n) => ctx.actors[n].address;
+    switch (op.kind) {
+    case "buy": return model.buy({ user: addr(op.user), referrer: addr(op.ref), boxes: op.boxes, ts: op.ts });
+    case "send": return model.send({ from: addr(op.from), to: addr(op.to), boxes: op.boxes, ts: op.ts });
+    case "sync": return model.sync(op.ts);
+    case "syncLimitDay": return model.syncLimitDay(op.ts, op.limit);
+    case "claim": return model.claim({ user: addr(op.user), pool: op.pool, ts: op.ts });
+    default: return { revert: null };
+    }
+}
+
+/**
+ * @description op를 컨트랙트에 실행 (블록 시각 = op.ts)
+ * @returns {Promise<{revert: string|null, claim?: {pay: bigint, fromDay: bigint, toDay: bigint}}>}
+ */
+async function applyChain(ctx, op) {
+    const { vesting, owner, actors } = ctx;
+    const opts = { gasLimit: TX_GAS };
+    // 가격은 시각 이동 전에 조회 (판매량 기준이라 같은 블록 시각에서도 동일)
+    const price = op.kind === "buy" ? await vesting.estimatedTotalAmount(op.boxes, REFERRAL_CODES[op.ref]) : 0n;
+
+    await ethers.provider.send("evm_setNextBlockTimestamp", [Number(op.ts)]);
+    let send;
+    switch (op.kind) {
+    case "buy": {
+        const p = { value: price, deadline: 0n, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+        send = () => vesting.connect(actors[op.user]).buyBox(op.boxes, REFERRAL_CODES[op.ref], p, opts);
+        break;
+    }
+    case "send":
+        send = () => vesting.connect(owner).sendBox(actors[op.from].address, actors[op.to].address, op.boxes, opts);
+        break;
+    case "sync":
+        send = () => vesting.connect(owner).sync(opts);
+        break;
+    case "syncLimitDay":
+        send = () => vesting.connect(owner).syncLimitDay(op.limit, opts);
+        break;
+    case "claim": {
+        const c = vesting.connect(actors[op.user]);
+        send = () => (op.pool === "buyer" ? c.claimPurchaseReward(opts) : c.claimReferralReward(opts));
+        break;
+    }
+    default:
+        await ethers.provider.send("evm_mine", []);
+        return { revert: null };
+    }
+
+    try {
+        const rc = await (await send()).wait();
+        if (op.kind !== "claim") return { revert: null };
+        const event = op.pool === "buyer" ? "PurchasePoolClaimed" : "ReferralPoolClaimed";
+        const log = rc.logs.map((l) => vesting.interface.parseLog(l)).find((l) => l?.name === event);
+        return { revert: null, claim: { pay: log.args.amount, fromDay: log.args.fromDay, toDay: log.args.toDay } };
+    } catch (e) {
+        const reason = revertReason(e);
+        // revert tx도 블록에 포함됐는지 확인 (아니면 시각이 다음 op로 밀림)
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        if (BigInt(timestamp) !== op.ts) await ethers.provider.send("evm_mine", []);
+        return { revert: reason };
+    }
+}
+
+/**
+ * @description 불일치 에러 (시드 / step / op / 이력 포함)
+ */
+class FuzzMismatch extends Error {
+    constructor(where, metric, model, chain) {
+        const lines = [
+            `❌ fuzz 불일치 (FUZZ_SEED=${hexSeed(where.seed)} step=${where.step})`,
+            `  op      : ${where.op}`,
+            `  metric  : ${metric}`,
+            `  model   : ${model}`,
+            `  contract: ${chain}`,
+            `  재현    : FUZZ_SEED=${hexSeed(where.seed)} FUZZ_RUNS=1 npx hardhat test test/vesting.model.fuzz.test.js`,
+            `  이력 (최근 ${where.history.length}):`,
+            ...where.history.map((h) => `    ${h}`),
+        ];
+        super(lines.join("\n"));
+        this.name = "FuzzMismatch";
+        this.metric = metric;
+        this.seed = where.seed;
+        this.step = where.step;
+    }
+}
+
+/**
+ * @description 모델과 컨트랙트 상태 비교 + 풀 불변식
+ */
+async function compareState(ctx, model, where, ts) {
+    const { vesting, token, actors } = ctx;
+    const eq = (metric, m, c) => {
+        if (m !== c) throw new FuzzMismatch(where, metric, m.toString(), c.toString());
+    };
+
+    eq("lastSyncedDay", model.state.lastSyncedDay, await vesting.lastSyncedDay());
+    await Promise.all(ACTORS.map(async (n) => {
+        const a = actors[n].address;
+        const [pb, pr, boxes, refs, cb, cr] = await Promise.all([
+            vesting.previewBuyerClaimableAt(a, ts),
+            vesting.previewReferrerClaimableAt(a, ts),
+            vesting.boxesOf(a),
+            vesting.referralsOf(a),
+            vesting.totalClaimedBuyer(a),
+            vesting.totalClaimedReferral(a),
+        ]);
+        const u = model.userView(a);
+        eq(`previewBuyerClaimableAt(${n})`, model.previewClaimable(a, "buyer", ts), pb);
+        eq(`previewReferrerClaimableAt(${n})`, model.previewClaimable(a, "referral", ts), pr);
+        eq(`boxesOf(${n})`, u.boxes, boxes);
+        eq(`referralsOf(${n})`, u.referralUnits, refs);
+        eq(`totalClaimedBuyer(${n})`, u.claimedBuyer, cb);
+        eq(`totalClaimedReferral(${n})`, u.claimedReferral, cr);
+    }));
+
+    const stats = model.poolStats();
+    for (const kind of POOLS) {
+        const s = stats[kind];
+        if (s.claimed + s.confirmed > s.finalized) {
+            throw new FuzzMismatch(where, `${kind} pool: claimed + confirmed ≤ finalized`, `${s.claimed} + ${s.confirmed}`, `finalized ${s.finalized}`);
+        }
+        if (s.finalized > s.total) {
+            throw new FuzzMismatch(where, `${kind} pool: finalized ≤ total`, s.finalized.toString(), `total ${s.total}`);
+        }
+    }
+    const paid = stats.buyer.claimed + stats.referral.claimed;
+    eq("vesting token balance", ctx.funded - paid, await token.balanceOf(await vesting.getAddress()));
+}
+
+/**
+ * @description op 1건을 모델/컨트랙트에 실행하고 결과 비교
+ */
+async function step(ctx, model, op, where) {
+    const m = applyModel(model, ctx, op);
+    const c = await applyChain(ctx, op);
+    const outcome = m.revert ? `revert ${m.revert}` : op.kind === "claim" ? `pay ${m.pay}` : "ok";
+    where.history.push(`#${where.step} ${where.op} → ${outcome}`);
+    if (where.history.length > HISTORY) where.history.shift();
+
+    if (m.revert !== c.revert) throw new FuzzMismatch(where, "revert", m.revert ?? "(성공)", c.revert ?? "(성공)");
+    if (op.kind === "claim" && !m.revert) {
+        if (m.pay % UNIT12 !== 0n) throw new FuzzMismatch(where, "claim floor6", m.pay.toString(), "(하위 12자리 0)");
+        for (const k of ["pay", "fromDay", "toDay"]) {
+            if (m[k] !== c.claim[k]) throw new FuzzMismatch(where, `claim ${k}`, m[k].toString(), c.claim[k].toString());
+        }
+    }
+    await compareState(ctx, model, where, op.ts);
+}
+
+/**
+ * @description 시퀀스 1개 실행 — 무작위 op를 steps개 실행한 뒤, 마지막 연차 종료 후 전원 클레임으로 마감
+ * @param {number} seed run 시드
+ * @param {{steps?: number, round?: Function}} [opts] round: 모델 절삭 함수 주입 (하네스 자체 검증용)
+ * @returns {Promise<{seed: number, ops: number, claims: number, reverts: number, paid: bigint, total: bigint}>}
+ */
+async function runSequence(seed, { steps = 40, round } = {}) {
+    const rng = createRng(seed);
+    const ctx = await deploy(rng);
+    const model = createReferenceModel({ startTs: ctx.start, schedule: ctx.schedule, ...(round ? { round } : {}) });
+    const where = { seed, step: 0, op: "", history: [] };
+    const tally = { ops: 0, claims: 0, reverts: 0 };
+
+    const run = async (op) => {
+        where.step++;
+        where.op = describeOp(op, ctx.start);
+        await step(ctx, model, op, where);
+        tally.ops++;
+        if (op.kind === "claim" && !where.history.at(-1).includes("revert")) tally.claims++;
+        if (where.history.at(-1).includes("→ revert")) tally.reverts++;
+    };
+
+    const pace = ((model.lastEnd - ctx.start) * 11n) / (10n * BigInt(steps));
+    let now = ctx.start + rng.big(60, 3 * 3600);
+    for (let i = 0; i < steps; i++) {
+        await run(nextOp(rng, model, ctx.actors, now));
+        now = nextTs(rng, now, ctx.schedule, pace);
+    }
+
+    // 마감: 마지막 연차 종료 다음날 → 전체 sync → 전원 양쪽 풀 클레임
+    now = now > model.lastEnd + DAY ? now : model.lastEnd + DAY + 1n;
+    await run({ kind: "sync", ts: now });
+    for (const user of ACTORS) {
+        for (const pool of POOLS) await run({ kind: "claim", user, pool, ts: (now += 60n) });
+    }
+
+    const stats = model.poolStats();
+    for (const kind of POOLS) {
+        if (stats[kind].finalized !== stats[kind].total) {
+            throw new FuzzMismatch(where, `${kind} pool: 마감 후 finalized = total`, stats[kind].finalized.toString(), stats[kind].total.toString());
+        }
+        if (stats[kind].confirmed !== 0n) {
+            throw new FuzzMismatch(where, `${kind} pool: 마감 후 미청구 잔량`, stats[kind].confirmed.toString(), "0");
+        }
+    }
+    return {
+        seed,
+        ...tally,
+        paid: stats.buyer.claimed + stats.referral.claimed,
+        total: stats.buyer.total + stats.referral.total,
+    };
+}
+
+/**
+ * @description runs개 시퀀스 실행 (run i 시드 = baseSeed + i)
+ * @param {{seed?: number, runs?: number, steps?: number, round?: Function}} [opts]
+ * @returns {Promise<object[]>} runSequence 결과 목록
+ */
+async function runFuzz({ seed = 0x5eed, runs = 4, steps = 40, round } = {}) {
+    const results = [];
+    for (let i = 0; i < runs; i++) {
+        results.push(await runSequence((seed + i) >>> 0, { steps, round }));
+    }
+    return results;
+}
+
+module.exports = {
+    ACTORS,
+    REFERRAL_CODES,
+    FuzzMismatch,
+    createRng,
+    parseSeed,
+    hexSeed,
+    randomSchedule,
+    runSequence,
+    runFuzz,
+};
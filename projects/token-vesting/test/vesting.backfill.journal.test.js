@@ -0,0 +1,150 @@
+// test/vesting.backfill.journal.test.js
+/**
+ * @fileoverview
+ *  백필 체크포인트 저널(scripts/_backfillJournal.js) 테스트
+ * @description
+ *  - 배치 전송 시 저널에 pending → confirmed로 기록되는지 검증
+ *  - 영수증 대기 중 중단(pending만 남은 상태) 후 재실행 시 영수증으로 복구되는지 검증
+ *  - 저널 유실 시 온체인 이벤트로 이미 반영된 행을 판별하는지 검증
+ *  - 다른 배포의 저널을 여는 경우 거부되는지 검증
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+const Journal = require("../scripts/_backfillJournal");
+
+// =============================================================================
+// 헬퍼
+// =============================================================================
+
+/**
+ * @notice 임시 저널 파일 경로 생성
+ */
+function tmpJournalPath() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "backfill-journal-"));
+    return path.join(dir, "journal.json");
+}
+
+/**
+ * @notice 테스트용 구매 백필 아이템 n개 생성 (같은 내용의 행을 일부러 포함)
+ */
+function purchaseItems(buyer, start, DAY, ONE_USDT) {
+    return [
+        { buyer: buyer.address, refCodeStr: "", boxCount: 2n, purchaseTs: start - DAY * 3n, paidUnits: ONE_USDT * 2n },
+        { buyer: buyer.address, refCodeStr: "", boxCount: 2n, purchaseTs: start - DAY * 3n, paidUnits: ONE_USDT * 2n },
+        { buyer: buyer.address, refCodeStr: "", boxCount: 1n, purchaseTs: start - DAY * 2n, paidUnits: ONE_USDT },
+    ];
+}
+
+// =============================================================================
+// 테스트 스위트
+// =============================================================================
+
+describe("vesting.backfill.journal", function () {
+
+    /**
+     * @test 같은 내용의 행도 서로 다른 rowKey를 갖는다
+     */
+    it("keyItems: 동일 내용 행은 등장 순번으로 구분", async () => {
+        const { buyer, start, DAY, ONE_USDT } = await deployFixture();
+        const keyed = Journal.keyItems("purchase", purchaseItems(buyer, start, DAY, ONE_USDT));
+
+        expect(keyed[0].fp).to.equal(keyed[1].fp);
+        expect(keyed[0].key).to.not.equal(keyed[1].key);
+        expect(new Set(keyed.map((k) => k.key)).size).to.equal(3);
+    });
+
+    /**
+     * @test 정상 전송 → confirmed 기록, 재실행 시 전송 대상 없음
+     */
+    it("sendJournaledBatch: 전송 후 confirmed, 행은 applied", async () => {
+        const { vesting, owner, buyer, start, DAY, ONE_USDT } = await deployFixture();
+        const { chainId } = await ethers.provider.getNetwork();
+        const journal = Journal.openJournal(tmpJournalPath(), { chainId, vesting: await vesting.getAddress() });
+
+        const keyed = Journal.keyItems("purchase", purchaseItems(buyer, start, DAY, ONE_USDT));
+        const rc = await Journal.sendJournaledBatch({
+            journal,
+            vesting,
+            kind: "purchase",
+            label: "[purchase] bulk 1/1",
+            keyed,
+            send: () => vesting.connect(owner).backfillPurchaseBulkAt(keyed.map((k) => k.item)),
+            waitAndLog: async (_label, txPromise) => (await txPromise).wait(),
+        });
+
+        expect(rc.status).to.equal(1);
+        expect(journal.confirmed()).to.have.length(1);
+        expect(keyed.every((k) => journal.isApplied(k.key))).to.equal(true);
+        expect(await Journal.verifyConfirmed(journal, vesting)).to.deep.equal([]);
+
+        // 다시 열어도 같은 상태
+        const reopened = Journal.openJournal(journal.file, { chainId, vesting: await vesting.getAddress() });
+        expect(keyed.every((k) => reopened.isApplied(k.key))).to.equal(true);
+    });
+
+    /**
+     * @test 영수증 대기 전에 중단된 배치는 재실행 시 영수증으로 확정됨 (재전송 없음)
+     */
+    it("reconcilePending: pending 배치를 영수증으로 복구", async () => {
+        const { vesting, owner, buyer, start, DAY, ONE_USDT } = await deployFixture();
+        const { chainId } = await ethers.provider.getNetwork();
+        const file = tmpJournalPath();
+        const journal = Journal.openJournal(file, { chainId, vesting: await vesting.getAddress() });
+
+        const keyed = Journal.keyItems("purchase", purchaseItems(buyer, start, DAY, ONE_USDT));
+        const tx = await vesting.connect(owner).backfillPurchaseBulkAt(keyed.map((k) => k.item));
+        journal.recordPending("purchase", "[purchase] bulk 1/1", keyed, tx.hash);
+        // ← 여기서 프로세스가 죽었다고 가정 (confirmed 기록 전)
+
+        const reopened = Journal.openJournal(file, { chainId, vesting: await vesting.getAddress() });
+        expect(reopened.pending()).to.have.length(1);
+        expect(reopened.isApplied(keyed[0].key)).to.equal(false);
+
+        const res = await Journal.reconcilePending(reopened, vesting);
+        expect(res).to.deep.equal({ confirmed: 1, failed: 0 });
+        expect(keyed.every((k) => reopened.isApplied(k.key))).to.equal(true);
+        expect(await vesting.boxesOf(buyer.address)).to.equal(5n);
+    });
+
+    /**
+     * @test 저널이 유실되어도 온체인 이벤트로 반영된 행을 판별 (등장 횟수만큼만)
+     */
+    it("markAppliedFromChain: 저널 없이 이벤트로 반영 행 판별", async () => {
+        const { vesting, owner, buyer, start, DAY, ONE_USDT } = await deployFixture();
+        const { chainId } = await ethers.provider.getNetwork();
+        const items = purchaseItems(buyer, start, DAY, ONE_USDT);
+        const fromBlock = await ethers.provider.getBlockNumber();
+
+        // 0번 행만 반영된 뒤 저널이 유실된 상황
+        await (await vesting.connect(owner).backfillPurchaseBulkAt([items[0]])).wait();
+
+        const journal = Journal.openJournal(tmpJournalPath(), { chainId, vesting: await vesting.getAddress() });
+        const keyed = Journal.keyItems("purchase", items);
+        const onchain = await Journal.collectOnchainFingerprints(vesting, fromBlock);
+        const found = Journal.markAppliedFromChain(journal, keyed, onchain);
+
+        expect(found).to.equal(1);
+        expect(journal.isApplied(keyed[0].key)).to.equal(true);
+        expect(journal.isApplied(keyed[1].key)).to.equal(false); // 같은 내용이지만 두 번째 등장분은 미반영
+        expect(journal.isApplied(keyed[2].key)).to.equal(false);
+    });
+
+    /**
+     * @test 다른 체인/컨트랙트의 저널은 열 수 없음
+     */
+    it("openJournal: scope 불일치 시 에러", async () => {
+        const { vesting } = await deployFixture();
+        const { chainId } = await ethers.provider.getNetwork();
+        const file = tmpJournalPath();
+        Journal.openJournal(file, { chainId, vesting: await vesting.getAddress() }).save();
+
+        expect(() => Journal.openJournal(file, { chainId, vesting: ethers.Wallet.createRandom().address }))
+            .to.throw(/journal scope mismatch/);
+    });
+});
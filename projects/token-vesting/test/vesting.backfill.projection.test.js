@@ -0,0 +1,123 @@
+// test/vesting.backfill.projection.test.js
+/**
+ * @fileoverview
+ *  백필 dry-run 투영 모듈(scripts/_backfillProjection.js) 테스트
+ * @description
+ *  - 투영 결과(유저별 박스/레퍼럴 단위, 누적 cumBoxes)가 실제 컨트랙트 반영 결과와 같은지 검증
+ *  - 컨트랙트가 revert 하는 배치(effDay 역전, 잔량 부족)를 투영이 같은 사유로 잡아내는지 검증
+ *  - 실패 배치는 원자적으로 버려지는지(부분 반영 없음) 검증
+ *
+ * @author hlibbc
+ */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+const Projection = require("../scripts/_backfillProjection");
+
+describe("vesting.backfill.projection", function () {
+
+    /**
+     * @test 정상 배치: 투영 합계 == 온체인 상태
+     */
+    it("투영한 박스/레퍼럴 단위/누적값이 컨트랙트 결과와 일치", async () => {
+        const { vesting, owner, buyer, referrer, other, start, DAY, ONE_USDT, seedReferralFor, increaseTime } = await deployFixture();
+        const code = await seedReferralFor(referrer);
+
+        const purchases = [
+            { buyer: buyer.address, refCodeStr: code, boxCount: 3n, purchaseTs: start + 10n, paidUnits: ONE_USDT * 3n },
+            { buyer: other.address, refCodeStr: "", boxCount: 2n, purchaseTs: start + DAY + 10n, paidUnits: ONE_USDT * 2n },
+            { buyer: buyer.address, refCodeStr: code, boxCount: 1n, purchaseTs: start + DAY * 2n, paidUnits: ONE_USDT },
+        ];
+        const sends = [
+            { from: buyer.address, to: other.address, boxCount: 2n, transferTs: start + DAY * 2n + 5n },
+        ];
+
+        const proj = Projection.createProjection({
+            startTs: start,
+            codeOwners: new Map([[code, referrer.address]]),
+        });
+        expect(proj.applyPurchaseBatch(purchases).ok).to.equal(true);
+        expect(proj.applySendBatch(sends).ok).to.equal(true);
+
+        await vesting.connect(owner).backfillPurchaseBulkAt(purchases);
+        await vesting.connect(owner).backfillSendBoxBulkAt(sends);
+
+        const users = proj.userTotals();
+        expect(users[buyer.address].finalBoxes).to.equal((await vesting.boxesOf(buyer.address)).toString());
+        expect(users[other.address].finalBoxes).to.equal((await vesting.boxesOf(other.address)).toString());
+        expect(users[referrer.address].finalReferralUnits).to.equal((await vesting.referralsOf(referrer.address)).toString());
+
+        // 3일 확정 후 누적값 비교
+        await increaseTime(DAY * 3n + 1n);
+        await vesting.sync();
+        for (const row of proj.projectedCumulative()) {
+            expect((await vesting.cumBoxes(row.day)).toString()).to.equal(row.cumBoxes);
+            expect((await vesting.cumReferals(row.day)).toString()).to.equal(row.cumReferals);
+        }
+    });
+
+    /**
+     * @test effDay 역전: 컨트랙트 revert 사유와 동일하게 탐지, 배치 전체 미반영
+     */
+    it("to 측 effDay 역전 → non-monotonic effDay, 배치 원자성 유지", async () => {
+        const { vesting, owner, buyer, other, start, DAY, ONE_USDT } = await deployFixture();
+        const purchases = [
+            { buyer: buyer.address, refCodeStr: "", boxCount: 5n, purchaseTs: start + DAY * 3n, paidUnits: ONE_USDT * 5n },
+            { buyer: other.address, refCodeStr: "", boxCount: 5n, purchaseTs: start + DAY * 5n, paidUnits: ONE_USDT * 5n },
+        ];
+        // other의 마지막 체크포인트(d=5)보다 이른 d=4로 수신 → revert
+        const sends = [
+            { from: buyer.address, to: other.address, boxCount: 1n, transferTs: start + DAY * 4n },
+        ];
+
+        const proj = Projection.createProjection({ startTs: start });
+        expect(proj.applyPurchaseBatch(purchases).ok).to.equal(true);
+        const res = proj.applySendBatch(sends, { batch: 1, rows: [1] });
+        expect(res).to.include({ ok: false, reason: "non-monotonic effDay", index: 0 });
+        expect(proj.issues[0]).to.include({ side: "to", user: other.address, day: "4", lastDay: "5" });
+
+        await vesting.connect(owner).backfillPurchaseBulkAt(purchases);
+        await expect(vesting.connect(owner).backfillSendBoxBulkAt(sends)).to.be.revertedWith("non-monotonic effDay");
+
+        // 실패 배치는 투영에도 반영되지 않음
+        expect(proj.userTotals()[buyer.address].finalBoxes).to.equal("5");
+    });
+
+    /**
+     * @test 잔량 부족 → InsufficientAfterPriorTransfers
+     */
+    it("보유량 초과 전송 → InsufficientAfterPriorTransfers", async () => {
+        const { vesting, owner, buyer, other, start, DAY, ONE_USDT } = await deployFixture();
+        const purchases = [
+            { buyer: buyer.address, refCodeStr: "", boxCount: 2n, purchaseTs: start + DAY, paidUnits: ONE_USDT * 2n },
+        ];
+        const sends = [
+            { from: buyer.address, to: other.address, boxCount: 2n, transferTs: start + DAY * 2n },
+            { from: buyer.address, to: other.address, boxCount: 1n, transferTs: start + DAY * 2n + 1n },
+        ];
+
+        const proj = Projection.createProjection({ startTs: start });
+        proj.applyPurchaseBatch(purchases);
+        expect(proj.applySendBatch(sends)).to.include({ ok: false, reason: "InsufficientAfterPriorTransfers", index: 1 });
+
+        await vesting.connect(owner).backfillPurchaseBulkAt(purchases);
+        await expect(vesting.connect(owner).backfillSendBoxBulkAt(sends))
+            .to.be.revertedWithCustomError(vesting, "InsufficientAfterPriorTransfers");
+    });
+
+    /**
+     * @test 확정일 이전 백필 / 미등록 코드
+     */
+    it("day finalized / 미등록 레퍼럴 코드 탐지", async () => {
+        const { buyer, start, DAY, ONE_USDT } = await deployFixture();
+        const proj = Projection.createProjection({ startTs: start, lastSyncedDay: 3n });
+
+        expect(proj.applyPurchaseBatch([
+            { buyer: buyer.address, refCodeStr: "", boxCount: 1n, purchaseTs: start + DAY, paidUnits: ONE_USDT },
+        ]).reason).to.equal("day finalized");
+        expect(proj.applyPurchaseBatch([
+            { buyer: buyer.address, refCodeStr: "ZZZZ9999", boxCount: 1n, purchaseTs: start + DAY * 4n, paidUnits: ONE_USDT },
+        ]).reason).to.match(/^Referral code not exist/);
+        expect(ethers.isAddress(proj.issues[0].user)).to.equal(true);
+    });
+});
@@ -0,0 +1,127 @@
+// test/vesting.badge.metadata.test.js
+/**
+ * @fileoverview
+ *  BadgeSBT 메타데이터 생성(scripts/_badgeMetadata.js) / badge-server 테스트
+ * @description
+ *  - tierFromCount가 BadgeSBT._tierFromCount(구매 누적 → currentTier)와 경계값에서 일치
+ *  - 등급 메타데이터 속성(Tier / 박스 구간 / Soulbound / Burn Auth)과 SVG
+ *  - tierUris → setTierURIs 후 BadgeSBT.tokenURI가 등급별 URI로 해석
+ *  - badge-server /token/:id 가 currentTier/burnAuth를 반영, 없는 토큰은 404
+ *
+ * @author hlibbc
+ */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+const Badge = require("../scripts/_badgeMetadata");
+
+let createBadgeApp;
+try {
+    ({ createBadgeApp } = require("../benchmarks/badge-server/app"));
+} catch {
+    createBadgeApp = null;
+}
+
+describe("badge metadata (scripts/_badgeMetadata.js)", function () {
+
+    /**
+     * @notice buyer의 누적 구매를 total로 맞춤 (백필 → SBT mint/upgrade)
+     */
+    async function buyUpTo(ctx, total) {
+        const { owner, buyer, vesting, start } = ctx;
+        const cur = await vesting.totalBoughtBoxes(buyer.address);
+        if (BigInt(total) === cur) return;
+        await vesting.connect(owner).backfillPurchaseBulkAt([{
+            buyer: buyer.address, refCodeStr: "", boxCount: BigInt(total) - cur, purchaseTs: start, paidUnits: 0n,
+        }]);
+    }
+
+    /**
+     * @test 등급 경계
+     */
+    it("tierFromCount = 온체인 currentTier (등급 경계 전후)", async () => {
+        const ctx = await deployFixture();
+        const { sbt, buyer } = ctx;
+        for (const n of [1, 4, 5, 9, 10, 19, 20, 49, 50, 99, 100, 250]) {
+            await buyUpTo(ctx, n);
+            const tokenId = 1n;
+            expect(await sbt.ownerOf(tokenId)).to.equal(buyer.address);
+            expect(Number(await sbt.currentTier(tokenId)), `boxes=${n}`).to.equal(Badge.tierFromCount(n));
+        }
+        expect(Badge.TIERS.map((t) => [t.minBoxes, t.maxBoxes])).to.deep.equal([
+            [0, 4], [5, 9], [10, 19], [20, 49], [50, 99], [100, null],
+        ]);
+    });
+
+    /**
+     * @test 메타데이터 / SVG
+     */
+    it("tierMetadata: ERC-721 필드와 Tier/박스 구간/Soulbound/Burn Auth 속성, SVG", () => {
+        const meta = Badge.tierMetadata("rocket", { image: "ipfs://img/rocket.svg", tokenId: 7n });
+        expect(meta.name).to.equal("Badge #7 — Rocket");
+        expect(meta.image).to.equal("ipfs://img/rocket.svg");
+        const attr = Object.fromEntries(meta.attributes.map((a) => [a.trait_type, a.value]));
+        expect(attr).to.deep.equal({
+            "Tier": "Rocket",
+            "Tier Level": 4,
+            "Min Boxes": 20,
+            "Max Boxes": 49,
+            "Soulbound": "Yes",
+            "Burn Auth": "Neither",
+            "Token ID": 7,
+        });
+        expect(Badge.tierMetadata(6).attributes.find((a) => a.trait_type === "Max Boxes").value).to.equal("Unlimited");
+
+        // image 미지정 시 SVG data URI 내장
+        const inline = Badge.tierMetadata("Moon");
+        const svg = Buffer.from(inline.image.split(",")[1], "base64").toString();
+        expect(svg).to.equal(Badge.tierSvg(6));
+        expect(svg).to.match(/^<svg [^>]*xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+        expect(svg).to.include(">Moon</text>");
+        expect(() => Badge.tierInfo(0)).to.throw("알 수 없는 등급");
+    });
+
+    /**
+     * @test setTierURIs → tokenURI, badge-server
+     */
+    it("setTierURIs(tierUris) 후 tokenURI 해석, badge-server 토큰 메타데이터", async () => {
+        const ctx = await deployFixture();
+        const { owner, sbt } = ctx;
+        const resolver = await ethers.getContractAt("BadgeSbtTierUriResolver", await sbt.resolver(), owner);
+
+        const { tiers, uris } = Badge.tierUris("http://127.0.0.1:3050/tiers/");
+        expect(uris[4]).to.equal("http://127.0.0.1:3050/tiers/sstation.json");
+        await resolver.setTierURIs(tiers, uris);
+
+        await buyUpTo(ctx, 3);
+        expect(await sbt.tokenURI(1n)).to.equal("http://127.0.0.1:3050/tiers/sprout.json");
+        await buyUpTo(ctx, 60);
+        expect(await sbt.tokenURI(1n)).to.equal("http://127.0.0.1:3050/tiers/sstation.json");
+
+        if (!createBadgeApp) return; // benchmarks/badge-server 의존성 미설치
+        const server = createBadgeApp({
+            provider: ethers.provider,
+            sbt: await sbt.getAddress(),
+            publicUrl: "http://badges.local/",
+        }).listen(0);
+        try {
+            const base = `http://127.0.0.1:${server.address().port}`;
+            const res = await fetch(`${base}/token/1`);
+            expect(res.status).to.equal(200);
+            const meta = await res.json();
+            expect(meta.name).to.equal("Badge #1 — SpaceStation");
+            expect(meta.image).to.equal("http://badges.local/tiers/sstation.svg");
+            expect(meta.attributes).to.deep.include({ trait_type: "Burn Auth", value: "Neither" });
+
+            expect((await fetch(`${base}/token/99`)).status).to.equal(404);
+            expect((await fetch(`${base}/token/abc`)).status).to.equal(400);
+            const tier = await (await fetch(`${base}/tiers/moon.json`)).json();
+            expect(tier.image).to.equal("http://badges.local/tiers/moon.svg");
+            const svg = await fetch(`${base}/tiers/moon.svg`);
+            expect(svg.headers.get("content-type")).to.match(/^image\/svg\+xml/);
+            expect(await svg.text()).to.equal(Badge.tierSvg("moon"));
+        } finally {
+            server.close();
+        }
+    });
+});
@@ -0,0 +1,182 @@
+// test/vesting.cli.test.js
+/**
+ * @fileoverview
+ *  통합 vesting CLI(scripts/_vestingCli.js) 테스트
+ * @description
+ *  - 사용법 오류(알 수 없는 명령/플래그, 잘못된 인수)는 컨텍스트 생성 전에 종료 코드 2
+ *  - 조회 명령(info / claimable / earned): --address / --at 처리, --json 출력이 컨트랙트 preview와 일치
+ *  - 실행 명령(buy / send / sync / claim): 결과 JSON, no-op(skipped)은 0, 컨트랙트 revert는 종료 코드 3
+ *
+ *  컨텍스트는 scripts/vesting.js 대신 deployFixture 서명자로 직접 주입
+ *
+ * @author hlibbc
+ */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+const { runCli, parseArgs, parseAt, EXIT } = require("../scripts/_vestingCli");
+
+/**
+ * @notice stdout/stderr 캡처 + runCli 실행
+ * @returns {Promise<{code: number, out: string, err: string, json: () => object}>}
+ */
+async function run(argv, ctx, env = {}) {
+    let out = "";
+    let err = "";
+    let created = 0;
+    const code = await runCli(argv, {
+        createContext: async () => { created++; return ctx; },
+        stdout: { write: (s) => { out += s; } },
+        stderr: { write: (s) => { err += s; } },
+        env,
+    });
+    return { code, out, err, created, json: () => JSON.parse(out) };
+}
+
+/**
+ * @notice 픽스처 기반 CLI 컨텍스트 (owner = owner, user = buyer)
+ */
+async function cliContext(fx) {
+    return {
+        network: "hardhat",
+        chainId: "31337",
+        deployment: { vesting: await fx.vesting.getAddress(), startTs: fx.start },
+        provider: ethers.provider,
+        vesting: fx.vesting,
+        signer: async (role) => (role === "owner" ? fx.owner : fx.buyer),
+        send: async (label, txPromise) => (await txPromise).wait(),
+    };
+}
+
+describe("vesting.cli (unified CLI)", function () {
+
+    /**
+     * @test 인수 파싱 / 사용법 오류
+     */
+    it("사용법 오류는 컨텍스트 생성 없이 종료 코드 2, --help는 0", async () => {
+        expect(parseArgs(["claim", "purchase", "--network=development", "--json"]))
+            .to.deep.equal({ command: "claim", args: ["purchase"], flags: { network: "development", json: true } });
+        expect(parseAt("1767225600")).to.equal(1767225600n);
+        expect(parseAt("2026-01-01")).to.equal(1767225600n);
+        expect(parseAt("2026-01-01T09:00:00+09:00")).to.equal(1767225600n);
+
+        const cases = [
+            [["frob"], "알 수 없는 명령: frob"],
+            [["claimable", "--addr", "0x1"], "알 수 없는 플래그 --addr"],
+            [["claimable", "--address", "0x1234"], "잘못된 주소 형식"],
+            [["claimable", "--address"], "--address 값이 필요합니다"],
+            [["claimable"], "--address (또는 USER_ADDRESS) 주소가 필요합니다"],
+            [["claimable", "--address", ethers.ZeroAddress, "--at", "yesterday"], "--at 형식이 올바르지 않습니다"],
+            [["send", "--from", ethers.ZeroAddress, "--to", ethers.ZeroAddress, "--boxes", "1"], "--from과 --to가 같습니다"],
+            [["sync", "--limit", "8"], "--limit는 7 이하"],
+            [["buy", "--boxes", "0", "--ref", "SPLALABS"], "--boxes는 1 이상의 정수"],
+            [["claim", "buyback"], "claim 대상 풀을 지정하세요"],
+        ];
+        const ctx = { vesting: null, provider: null };
+        for (const [argv, msg] of cases) {
+            const r = await run([...argv, "--json"], ctx);
+            expect(r.code, argv.join(" ")).to.equal(EXIT.USAGE);
+            expect(r.json()).to.deep.include({ ok: false, exitCode: EXIT.USAGE });
+            expect(r.json().error.message, argv.join(" ")).to.include(msg);
+        }
+        // 플래그 검증은 컨텍스트(체인 연결) 전에 수행
+        expect((await run(["claimable", "--addr", "0x1"], ctx)).created).to.equal(0);
+
+        const human = await run(["sync", "--limit", "x"], ctx);
+        expect(human.code).to.equal(EXIT.USAGE);
+        expect(human.err).to.include("--limit는 1 이상의 정수").and.include("사용법: node scripts/vesting.js");
+
+        const help = await run(["--help"], ctx);
+        expect(help.code).to.equal(EXIT.OK);
+        expect(help.out).to.include("claimable --address <addr>").and.include("3=컨트랙트 revert");
+        expect((await run([], ctx)).code).to.equal(EXIT.USAGE);
+    });
+
+    /**
+     * @test 조회 명령
+     */
+    it("info / claimable / earned: --address·--at·USER_ADDRESS 처리, JSON 값이 컨트랙트 preview와 일치", async () => {
+        const fx = await deployFixture();
+        const { vesting, owner, buyer, referrer, start, DAY, ONE_USDT, increaseTime, seedReferralFor } = fx;
+        const code = await seedReferralFor(referrer);
+        await vesting.connect(owner).backfillPurchaseBulkAt([
+            { buyer: buyer.address, refCodeStr: code, boxCount: 3n, purchaseTs: start + 10n, paidUnits: ONE_USDT * 3n },
+        ]);
+        await increaseTime(DAY * 3n);
+        const ctx = await cliContext(fx);
+
+        const info = await run(["info", "--json"], ctx);
+        expect(info.code).to.equal(EXIT.OK);
+        expect(info.json()).to.deep.include({ ok: true, command: "info", network: "hardhat", chainId: "31337" });
+        expect(info.json().result).to.include({ owner: owner.address, startTs: start.toString(), today: "3", lastSyncedDay: "0", syncLagDays: "3", totalBoxes: "3" });
+
+        // --at: 날짜 / epoch 모두 day 인덱스로 환산, 값은 previewBuyer/ReferrerClaimableAt 그대로
+        const at = start + DAY * 2n + 5n;
+        const r = await run(["claimable", "--address", buyer.address.toLowerCase(), "--at", at.toString(), "--json"], ctx);
+        expect(r.code).to.equal(EXIT.OK);
+        const res = r.json().result;
+        const buyerAmt = await vesting.previewBuyerClaimableAt(buyer.address, at);
+        expect(res).to.include({ address: buyer.address, at: at.toString(), day: "2", boxes: "3" });
+        expect(BigInt(res.buyer.amount)).to.equal(buyerAmt).and.be.greaterThan(0n);
+        expect(BigInt(res.buyer.pay)).to.equal(buyerAmt - (buyerAmt % 10n ** 12n));
+
+        const ref = await run(["claimable", "--json"], ctx, { USER_ADDRESS: referrer.address });
+        expect(ref.json().result).to.include({ address: referrer.address, referralUnits: "3", boxes: "0" });
+        expect(BigInt(ref.json().result.referral.amount)).to.equal(
+            await vesting.previewReferrerClaimableAt(referrer.address, BigInt((await ethers.provider.getBlock("latest")).timestamp)));
+
+        const earned = await run(["earned", "--address", buyer.address], ctx);
+        expect(earned.code).to.equal(EXIT.OK);
+        expect(earned.out).to.include(`buyer    : ${await vesting.previewBuyerEarnedYesterday(buyer.address)}`);
+    });
+
+    /**
+     * @test 실행 명령
+     */
+    it("buy → send → sync → claim: 결과 JSON, no-op은 skipped(0), revert는 종료 코드 3", async () => {
+        const fx = await deployFixture();
+        const { vesting, owner, buyer, referrer, other, stableCoin, DAY, increaseTime, seedReferralFor } = fx;
+        const token = await (await ethers.getContractFactory("Token")).deploy();
+        await token.transfer(await vesting.getAddress(), ethers.parseEther("100000000"));
+        await vesting.setVestingToken(await token.getAddress());
+        await vesting.setRecipient(owner.address);
+        const code = await seedReferralFor(referrer);
+        await stableCoin.transfer(buyer.address, await vesting.estimatedTotalAmount(5n, code));
+        const ctx = await cliContext(fx);
+
+        // buy: permit 결제 (approve 없음)
+        const buy = await run(["buy", "--boxes", "5", "--ref", code.toLowerCase(), "--json"], ctx);
+        expect(buy.code, buy.out).to.equal(EXIT.OK);
+        expect(buy.json().result).to.include({ buyer: buyer.address, boxes: "5", ref: code, queued: false });
+        expect(await vesting.boxesOf(buyer.address)).to.equal(5n);
+
+        const send = await run(["send", "--from", buyer.address, "--to", other.address, "--boxes", "2", "--json"], ctx);
+        expect(send.json().result).to.include({ from: buyer.address, to: other.address, boxes: "2" });
+        expect(await vesting.boxesOf(other.address)).to.equal(2n);
+
+        // revert: 보유량 초과 이전 → 종료 코드 3 + 해석된 revert
+        const bad = await run(["send", "--from", other.address, "--to", buyer.address, "--boxes", "9", "--json"], ctx);
+        expect(bad.code).to.equal(EXIT.REVERTED);
+        expect(bad.json()).to.deep.include({ ok: false, command: "send", exitCode: EXIT.REVERTED });
+        expect(bad.json().error.kind).to.not.equal("unknown");
+
+        // sync: 5일 미확정 → --limit 2 → 2,2,1
+        await increaseTime(DAY * 5n);
+        const sync = await run(["sync", "--limit", "2", "--json"], ctx);
+        expect(sync.json().result).to.include({ fromDay: "0", targetDay: "5", toDay: "5" });
+        expect(sync.json().result.txs.map((t) => t.days)).to.deep.equal(["2", "2", "1"]);
+        expect((await run(["sync", "--json"], ctx)).json().result).to.include({ skipped: true, reason: "up-to-date" });
+
+        // claim: 이벤트 기반 지급액, 이후 재실행/추천인 풀(구매자는 추천 실적 없음)은 skipped
+        const claim = await run(["claim", "purchase", "--json"], ctx);
+        expect(claim.code, claim.out).to.equal(EXIT.OK);
+        const c = claim.json().result;
+        expect(c).to.include({ pool: "purchase", address: buyer.address, fromDay: "0", toDay: "4" });
+        expect(await token.balanceOf(buyer.address)).to.equal(BigInt(c.pay)).and.be.greaterThan(0n);
+        expect((await run(["claim", "purchase", "--json"], ctx)).json().result).to.include({ skipped: true });
+
+        const human = await run(["claim", "referral"], ctx);
+        expect(human.code).to.equal(EXIT.OK);
+        expect(human.out).to.include("클레임 가능한 referral 보상이 없습니다");
+    });
+});
@@ -0,0 +1,199 @@
+// test/vesting.delegate.batch.test.js
+/**
+ * @fileoverview
+ *  WhitelistForwarder.executeBatch 경유 위임대납 배치 테스트
+ * @description
+ *  - 여러 사용자의 buyBox 요청을 한 트랜잭션으로 실행
+ *  - executeBatch 경로에도 whitelist / selector 정책이 적용되는지 검증
+ *      • atomic 배치(refundReceiver = 0): 정책 위반 시 execute와 같은 에러로 revert
+ *      • 비원자 배치(refundReceiver 지정): 위반 요청만 건너뜀 (nonce 미소모)
+ *  - 대상 호출 실패 항목은 ExecutedForwardRequest(success=false)로 구분됨
+ *
+ * @author hlibbc
+ */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+
+// =============================================================================
+// 공통 유틸
+// =============================================================================
+
+/**
+ * @notice Forwarder EIP-712 서명 생성
+ * @param signer 메타트랜잭션 서명자(실제 사용자)
+ * @param forwarder Forwarder 컨트랙트 인스턴스
+ * @param req ForwardRequest 오브젝트({from,to,value,gas,nonce,deadline,data})
+ * @returns signature string (serialized)
+ */
+async function signForwardRequest(signer, forwarder, req) {
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+        name: "WhitelistForwarder",
+        version: "1",
+        chainId: Number(chainId),
+        verifyingContract: await forwarder.getAddress(),
+    };
+    const types = {
+        ForwardRequest: [
+            { name: "from", type: "address" },
+            { name: "to", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "gas", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint48" },
+            { name: "data", type: "bytes" },
+        ],
+    };
+    return signer.signTypedData(domain, types, req);
+}
+
+/**
+ * @notice buyBox(approve 경로) 위임대납 요청 생성 + 서명
+ * @param ctx deployFixture 결과
+ * @param signer 구매자
+ * @param refCode 레퍼럴 코드
+ * @param [boxCount=1n]
+ * @returns 서명 포함 ForwardRequestData
+ */
+async function signedBuyBox(ctx, signer, refCode, boxCount = 1n) {
+    const { vesting, forwarder } = ctx;
+    const price = await vesting.estimatedTotalAmount(boxCount, refCode);
+    const pSkip = { value: price, deadline: 0n, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+    const data = vesting.interface.encodeFunctionData("buyBox", [boxCount, refCode, pSkip]);
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const req = {
+        from: signer.address,
+        to: await vesting.getAddress(),
+        value: 0n,
+        gas: 1_000_000n,
+        nonce: await forwarder.nonces(signer.address),
+        deadline: Number(timestamp) + 3600,
+        data,
+    };
+    return { ...req, signature: await signForwardRequest(signer, forwarder, req) };
+}
+
+/**
+ * @notice 구매자에게 USDT 지급 + vesting approve
+ */
+async function fund(ctx, signer, amount) {
+    const { stableCoin, vesting } = ctx;
+    await stableCoin.transfer(signer.address, amount);
+    await stableCoin.connect(signer).approve(await vesting.getAddress(), amount);
+}
+
+/**
+ * @notice forwarder whitelist + buyBox selector 허용 (+ 판매대금 수령자 설정)
+ */
+async function allowBuyBox(ctx) {
+    const { owner, vesting, forwarder } = ctx;
+    await vesting.connect(owner).setRecipient(owner.address);
+    const vestingAddr = await vesting.getAddress();
+    await forwarder.addToWhitelist(vestingAddr);
+    await forwarder.setAllowed(vestingAddr, vesting.interface.getFunction("buyBox").selector, true);
+}
+
+describe("vesting.delegate.batch (via WhitelistForwarder.executeBatch)", function () {
+
+    /**
+     * @test 여러 사용자의 buyBox를 한 트랜잭션으로 처리
+     */
+    it("executeBatch: 두 사용자의 buyBox가 한 tx로 처리됨", async () => {
+        const ctx = await deployFixture();
+        const { owner, buyer, other, referrer, vesting, forwarder, seedReferralFor } = ctx;
+        await allowBuyBox(ctx);
+        const code = await seedReferralFor(referrer);
+        const price = await vesting.estimatedTotalAmount(1n, code);
+        await fund(ctx, buyer, price);
+        await fund(ctx, other, price);
+
+        const reqs = [await signedBuyBox(ctx, buyer, code), await signedBuyBox(ctx, other, code)];
+        const tx = await forwarder.connect(owner).executeBatch(reqs, ethers.ZeroAddress);
+        await expect(tx).to.emit(forwarder, "ExecutedForwardRequest").withArgs(buyer.address, 0n, true);
+        await expect(tx).to.emit(forwarder, "ExecutedForwardRequest").withArgs(other.address, 0n, true);
+
+        expect(await vesting.boxesOf(buyer.address)).to.equal(1n);
+        expect(await vesting.boxesOf(other.address)).to.equal(1n);
+        expect(await forwarder.nonces(buyer.address)).to.equal(1n);
+    });
+
+    /**
+     * @test atomic 배치에서 정책 위반 → execute와 같은 에러로 revert
+     */
+    it("executeBatch (atomic): 미허용 selector → SelectorNotAllowed, 미등록 target → NotWhitelisted", async () => {
+        const ctx = await deployFixture();
+        const { owner, buyer, referrer, vesting, forwarder, seedReferralFor } = ctx;
+        const code = await seedReferralFor(referrer);
+        const vestingAddr = await vesting.getAddress();
+
+        const req = await signedBuyBox(ctx, buyer, code);
+        await expect(forwarder.connect(owner).executeBatch([req], ethers.ZeroAddress))
+            .to.be.revertedWithCustomError(forwarder, "NotWhitelisted").withArgs(vestingAddr);
+
+        await forwarder.addToWhitelist(vestingAddr);
+        const sel = vesting.interface.getFunction("buyBox").selector;
+        await expect(forwarder.connect(owner).executeBatch([req], ethers.ZeroAddress))
+            .to.be.revertedWithCustomError(forwarder, "SelectorNotAllowed").withArgs(vestingAddr, sel);
+    });
+
+    /**
+     * @test 비원자 배치: 정책 위반 항목은 건너뛰고 나머지만 실행
+     */
+    it("executeBatch (refundReceiver 지정): 미허용 요청은 nonce 소모 없이 건너뜀", async () => {
+        const ctx = await deployFixture();
+        const { owner, buyer, other, referrer, vesting, forwarder, seedReferralFor } = ctx;
+        await allowBuyBox(ctx);
+        const code = await seedReferralFor(referrer);
+        const price = await vesting.estimatedTotalAmount(1n, code);
+        await fund(ctx, buyer, price);
+
+        // other: 허용되지 않은 selector(claimPurchaseReward) 요청
+        const data = vesting.interface.encodeFunctionData("claimPurchaseReward");
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        const bad = {
+            from: other.address,
+            to: await vesting.getAddress(),
+            value: 0n,
+            gas: 500_000n,
+            nonce: 0n,
+            deadline: Number(timestamp) + 3600,
+            data,
+        };
+        const badSigned = { ...bad, signature: await signForwardRequest(other, forwarder, bad) };
+
+        const tx = await forwarder.connect(owner).executeBatch(
+            [badSigned, await signedBuyBox(ctx, buyer, code)],
+            owner.address,
+        );
+        const rc = await tx.wait();
+        const executed = rc.logs
+            .filter((l) => l.address === forwarder.target)
+            .map((l) => forwarder.interface.parseLog(l))
+            .filter((ev) => ev?.name === "ExecutedForwardRequest");
+        expect(executed.map((ev) => ev.args.signer)).to.deep.equal([buyer.address]);
+        expect(await forwarder.nonces(other.address)).to.equal(0n);
+        expect(await vesting.boxesOf(buyer.address)).to.equal(1n);
+    });
+
+    /**
+     * @test 대상 호출 실패 항목은 success=false 이벤트로 남고 배치는 계속 진행
+     */
+    it("executeBatch: 대상 호출 실패 항목은 success=false, 나머지는 반영", async () => {
+        const ctx = await deployFixture();
+        const { owner, buyer, other, referrer, vesting, forwarder, seedReferralFor } = ctx;
+        await allowBuyBox(ctx);
+        const code = await seedReferralFor(referrer);
+        const price = await vesting.estimatedTotalAmount(1n, code);
+        await fund(ctx, buyer, price); // other는 잔액/allowance 없음 → buyBox 실패
+
+        const tx = await forwarder.connect(owner).executeBatch(
+            [await signedBuyBox(ctx, other, code), await signedBuyBox(ctx, buyer, code)],
+            owner.address,
+        );
+        await expect(tx).to.emit(forwarder, "ExecutedForwardRequest").withArgs(other.address, 0n, false);
+        await expect(tx).to.emit(forwarder, "ExecutedForwardRequest").withArgs(buyer.address, 0n, true);
+        expect(await vesting.boxesOf(other.address)).to.equal(0n);
+        expect(await vesting.boxesOf(buyer.address)).to.equal(1n);
+    });
+});
@@ -0,0 +1,179 @@
+// test/vesting.delegate.claims.test.js
+/**
+ * @fileoverview
+ *  클레임 / sendBox 위임대납 테스트 (scripts/_forwardRequest.js)
+ * @description
+ *  - ETH가 0인 사용자가 buyBox(permit) → claimPurchaseReward / claimReferralReward / claimBuyback 을
+ *    모두 forwarder 경유로 실행 (가스는 릴레이어 지불, 사용자 ETH 잔액 불변)
+ *  - ensureAllowed: 빠진 whitelist / selector만 등록 (재실행 시 tx 없음), 미등록 selector는 SelectorNotAllowed
+ *  - sendBox: owner 서명 요청만 통과 (_msgSender() 기준 onlyOwner), 비owner 서명은 OwnableUnauthorizedAccount
+ *
+ * @author hlibbc
+ */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+const FR = require("../scripts/_forwardRequest");
+const { signPermit } = require("../scripts/_permit");
+
+/**
+ * @notice ETH 없는 새 지갑 (서명만 가능)
+ */
+function emptyWallet() {
+    return ethers.Wallet.createRandom().connect(ethers.provider);
+}
+
+/**
+ * @notice 서명된 ForwardRequest 생성
+ */
+async function forwardCall(ctx, signer, fn, args = []) {
+    const { vesting, forwarder } = ctx;
+    return FR.buildForwardRequest(signer, {
+        forwarder,
+        to: vesting,
+        data: FR.encodeForwardCall(vesting.interface, fn, args),
+    });
+}
+
+/**
+ * @notice 모든 FORWARDABLE selector 등록 + 판매대금 수령자 / 베스팅 토큰 설정
+ */
+async function setup(ctx) {
+    const { owner, vesting, forwarder } = ctx;
+    await vesting.connect(owner).setRecipient(owner.address);
+    const token = await (await ethers.getContractFactory("Token")).deploy();
+    await token.transfer(await vesting.getAddress(), ethers.parseEther("100000000"));
+    await vesting.setVestingToken(await token.getAddress());
+    const selectors = FR.forwardableSelectors(vesting.interface).map((f) => f.selector);
+    const res = await FR.ensureAllowed(forwarder.connect(owner), await vesting.getAddress(), selectors);
+    return { token, selectors, res };
+}
+
+describe("vesting.delegate.claims (forwarded claims / sendBox)", function () {
+
+    /**
+     * @test ETH 없는 사용자의 구매 → 클레임 전 과정 위임대납
+     */
+    it("ETH 0 사용자: buyBox(permit) / claimPurchaseReward / claimReferralReward / claimBuyback 모두 forwarder 경유", async () => {
+        const ctx = await deployFixture();
+        const { vesting, forwarder, stableCoin, other: relayer, DAY, increaseTime, seedReferralFor } = ctx;
+        const { token } = await setup(ctx);
+        const buyer = emptyWallet();
+        const referrer = emptyWallet();
+        const code = await seedReferralFor(referrer);
+        const vestingAddr = await vesting.getAddress();
+
+        // buyBox: permit 결제 (approve tx 없음)
+        const price = await vesting.estimatedTotalAmount(2n, code);
+        await stableCoin.transfer(buyer.address, price);
+        const permit = await signPermit(buyer, { token: stableCoin, spender: vestingAddr, value: price });
+        await forwarder.connect(relayer).execute(await forwardCall(ctx, buyer, "buyBox", [2n, code, permit]));
+        expect(await vesting.boxesOf(buyer.address)).to.equal(2n);
+        const buyback = await vesting.buybackStableCoinAmount(referrer.address);
+        expect(buyback).to.be.greaterThan(0n);
+
+        await increaseTime(DAY * 3n);
+
+        const purchase = await forwardCall(ctx, buyer, "claimPurchaseReward");
+        await expect(forwarder.connect(relayer).execute(purchase))
+            .to.emit(vesting, "PurchasePoolClaimed")
+            .and.to.emit(forwarder, "ExecutedForwardRequest").withArgs(buyer.address, 1n, true);
+        expect(await token.balanceOf(buyer.address)).to.be.greaterThan(0n);
+
+        await expect(forwarder.connect(relayer).execute(await forwardCall(ctx, referrer, "claimReferralReward")))
+            .to.emit(vesting, "ReferralPoolClaimed");
+        expect(await token.balanceOf(referrer.address)).to.be.greaterThan(0n);
+
+        await expect(forwarder.connect(relayer).execute(await forwardCall(ctx, referrer, "claimBuyback")))
+            .to.emit(vesting, "BuybackClaimed").withArgs(referrer.address, buyback);
+        expect(await stableCoin.balanceOf(referrer.address)).to.equal(buyback);
+        expect(await vesting.buybackStableCoinAmount(referrer.address)).to.equal(0n);
+
+        // 사용자는 끝까지 ETH 0
+        expect(await ethers.provider.getBalance(buyer.address)).to.equal(0n);
+        expect(await ethers.provider.getBalance(referrer.address)).to.equal(0n);
+        expect(await forwarder.nonces(referrer.address)).to.equal(2n);
+
+        // 재사용(같은 nonce) 요청은 서명 불일치로 거부
+        await expect(forwarder.connect(relayer).execute(purchase))
+            .to.be.revertedWithCustomError(forwarder, "ERC2771ForwarderInvalidSigner");
+    });
+
+    /**
+     * @test selector 등록
+     */
+    it("ensureAllowed: 빠진 항목만 등록(멱등), 미등록 selector는 SelectorNotAllowed, 비대상 함수는 NOT_FORWARDABLE", async () => {
+        const ctx = await deployFixture();
+        const { owner, vesting, forwarder, buyer } = ctx;
+        const vestingAddr = await vesting.getAddress();
+        const iface = vesting.interface;
+
+        expect(FR.forwardableSelectors(iface).map((f) => [f.name, f.role])).to.deep.equal([
+            ["buyBox", "user"], ["claimPurchaseReward", "user"], ["claimReferralReward", "user"],
+            ["claimBuyback", "user"], ["sendBox", "owner"],
+        ]);
+        expect(() => FR.encodeForwardCall(iface, "syncLimitDay", [1n])).to.throw().with.property("code", "NOT_FORWARDABLE");
+        expect(() => FR.forwardableSelectors(iface, ["withdrawStableCoinForced"])).to.throw(/위임대납 대상이 아닌 함수/);
+
+        // 일부만 등록 (buyBox만 허용된 기존 배포 상황)
+        const [buyBoxSel] = FR.forwardableSelectors(iface, ["buyBox"]).map((f) => f.selector);
+        const first = await FR.ensureAllowed(forwarder.connect(owner), vestingAddr, [buyBoxSel]);
+        expect(first).to.deep.equal({ whitelisted: true, allowed: [buyBoxSel], skipped: [] });
+
+        const claim = await forwardCall(ctx, buyer, "claimBuyback");
+        const claimSel = iface.getFunction("claimBuyback").selector;
+        await expect(forwarder.connect(owner).execute(claim))
+            .to.be.revertedWithCustomError(forwarder, "SelectorNotAllowed").withArgs(vestingAddr, claimSel);
+
+        // 나머지 등록: 이미 허용된 buyBox는 건너뜀 / 주소 + signer 형태도 지원
+        const all = FR.forwardableSelectors(iface).map((f) => f.selector);
+        const second = await FR.ensureAllowed(await forwarder.getAddress(), vestingAddr, all, { signer: owner });
+        expect(second.whitelisted).to.equal(false);
+        expect(second.skipped).to.deep.equal([buyBoxSel]);
+        expect(second.allowed).to.have.length(4);
+        for (const sel of all) expect(await forwarder.isAllowed(vestingAddr, sel)).to.equal(true);
+
+        // 재실행: tx 없음
+        const sent = [];
+        const third = await FR.ensureAllowed(forwarder.connect(owner), vestingAddr, all, { send: async (label) => sent.push(label) });
+        expect(third).to.deep.equal({ whitelisted: false, allowed: [], skipped: all });
+        expect(sent).to.deep.equal([]);
+
+        // 비owner는 등록 불가
+        await expect(FR.ensureAllowed(forwarder.connect(buyer), ethers.Wallet.createRandom().address, all))
+            .to.be.revertedWithCustomError(forwarder, "OwnableUnauthorizedAccount");
+
+        // 이제 허용됨 → 정책 통과 후 대상 revert(바이백 없음)가 그대로 버블링
+        await expect(forwarder.connect(owner).execute(claim)).to.be.revertedWith("nothing");
+    });
+
+    /**
+     * @test sendBox 위임대납
+     */
+    it("sendBox: owner 서명 요청은 릴레이어 경유로 실행, 비owner 서명은 OwnableUnauthorizedAccount", async () => {
+        const ctx = await deployFixture();
+        const { owner, buyer, other, vesting, forwarder, start, ONE_USDT } = ctx;
+        await setup(ctx);
+        await vesting.connect(owner).backfillPurchaseBulkAt([
+            { buyer: buyer.address, refCodeStr: "", boxCount: 3n, purchaseTs: start + 10n, paidUnits: ONE_USDT * 3n },
+        ]);
+        const relayer = other;
+
+        const bad = await forwardCall(ctx, buyer, "sendBox", [buyer.address, other.address, 1n]);
+        await expect(forwarder.connect(relayer).execute(bad))
+            .to.be.revertedWithCustomError(vesting, "OwnableUnauthorizedAccount").withArgs(buyer.address);
+
+        const ownerEth = await ethers.provider.getBalance(owner.address);
+        const req = await forwardCall(ctx, owner, "sendBox", [buyer.address, other.address, 2n]);
+        await expect(forwarder.connect(relayer).execute(req))
+            .to.emit(forwarder, "ExecutedForwardRequest").withArgs(owner.address, req.nonce, true);
+        expect(await vesting.boxesOf(buyer.address)).to.equal(1n);
+        expect(await vesting.boxesOf(other.address)).to.equal(2n);
+        expect(await ethers.provider.getBalance(owner.address)).to.equal(ownerEth);
+
+        // fd-server 전송 형식: BigInt → string (서명/주소/데이터는 그대로)
+        const wire = FR.toWire(req);
+        expect(wire).to.include({ from: owner.address, value: "0", gas: req.gas.toString(), nonce: req.nonce.toString(), signature: req.signature });
+        expect(JSON.parse(JSON.stringify(wire))).to.deep.equal(wire);
+    });
+});
@@ -0,0 +1,119 @@
+// test/vesting.deployments.test.js
+/**
+ * @fileoverview
+ *  배포 레지스트리(common/deployRegistry.js, scripts/_deployments.js) 테스트
+ * @description
+ *  - chainId별 파일 분리: 한 체인 재배포가 다른 체인 주소를 덮어쓰지 않음
+ *  - 같은 체인 재배포 시 이전 엔트리는 history로 보존
+ *  - hardhat 배포 결과 기록 (txHash / blockNumber / 생성자 인자 / artifactHash)
+ *  - TokenVesting meta(startTs / schedule) → deploymentOf 정규화
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { createRegistry, artifactHash } = require("../../../common/deployRegistry");
+const { deploymentOf } = require("../scripts/_deployments");
+const { deployFixture } = require("./helpers/vestingFixture");
+
+// =============================================================================
+// 헬퍼
+// =============================================================================
+
+/**
+ * @notice 임시 디렉터리 기반 레지스트리
+ */
+function tmpRegistry() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-registry-"));
+    return createRegistry(dir);
+}
+
+const A1 = "0x0000000000000000000000000000000000000001";
+const A2 = "0x0000000000000000000000000000000000000002";
+const A3 = "0x0000000000000000000000000000000000000003";
+
+describe("deployments (chainId × contract registry)", function () {
+
+    /**
+     * @test 체인별 분리 + 재배포 history
+     */
+    it("다른 체인은 덮어쓰지 않고, 같은 체인 재배포는 history로 보존", async () => {
+        const reg = tmpRegistry();
+        reg.record(31337, "TokenVesting", { address: A1, network: "localhost" });
+        reg.record("0x134fff8", "TokenVesting", { address: A2, network: "kaia" }); // 20250616
+        reg.record(31337n, "TokenVesting", { address: A3 });
+
+        expect(reg.chains().sort()).to.deep.equal(["20250616", "31337"]);
+        expect(reg.address("20250616", "TokenVesting")).to.equal(A2);
+
+        const e = reg.get(31337, "TokenVesting");
+        expect(e.address).to.equal(A3);
+        expect(e.network).to.equal("localhost");
+        expect(e.history.map((h) => h.address)).to.deep.equal([A1]);
+
+        // 같은 주소 재기록은 history를 늘리지 않고 meta는 유지
+        reg.updateMeta(31337, "TokenVesting", { startTs: 1748822400n });
+        reg.record(31337, "TokenVesting", { address: A3 });
+        expect(reg.get(31337, "TokenVesting").history).to.have.length(1);
+        expect(reg.get(31337, "TokenVesting").meta).to.deep.equal({ startTs: "1748822400" });
+
+        expect(() => reg.address(1, "TokenVesting")).to.throw(/TokenVesting 배포 정보가 없습니다 \(chainId=1/);
+    });
+
+    /**
+     * @test hardhat 배포 결과 기록
+     */
+    it("recordDeployment: txHash / blockNumber / args / artifactHash 기록", async () => {
+        const reg = tmpRegistry();
+        const [owner] = await ethers.getSigners();
+        const sbt = await (await ethers.getContractFactory("BadgeSBT")).deploy("Badge", "BDG", owner.address);
+        await sbt.waitForDeployment();
+
+        const e = await reg.recordDeployment(hre, "BadgeSBT", sbt, { args: ["Badge", "BDG", owner.address] });
+        const receipt = await sbt.deploymentTransaction().wait();
+
+        expect(e.address).to.equal(await sbt.getAddress());
+        expect(e.txHash).to.equal(receipt.hash);
+        expect(e.blockNumber).to.equal(receipt.blockNumber);
+        expect(e.deployer).to.equal(owner.address);
+        expect(e.args).to.deep.equal(["Badge", "BDG", owner.address]);
+        expect(e.network).to.equal(hre.network.name);
+        expect(e.artifactHash).to.equal(artifactHash(await hre.artifacts.readArtifact("BadgeSBT")));
+        expect(e.artifactHash).to.match(/^0x[0-9a-f]{64}$/);
+
+        const chainId = (await ethers.provider.getNetwork()).chainId.toString();
+        expect(JSON.parse(fs.readFileSync(reg.fileOf(chainId), "utf8")).contracts.BadgeSBT.address).to.equal(e.address);
+    });
+
+    /**
+     * @test token-vesting 정규화 (scripts/_deployments.js)
+     */
+    it("deploymentOf: TokenVesting meta의 startTs / schedule을 bigint로 정규화", async () => {
+        const { vesting, stableCoin, forwarder, start, ends, buyerTotals, refTotals } = await deployFixture();
+
+        // 프로젝트 레지스트리(deployments/)를 건드리지 않도록 임시 레지스트리 사용
+        const reg = tmpRegistry();
+        const chainId = (await ethers.provider.getNetwork()).chainId;
+        reg.record(chainId, "StableCoin", { address: await stableCoin.getAddress() });
+        reg.record(chainId, "WhitelistForwarder", { address: await forwarder.getAddress() });
+        reg.record(chainId, "TokenVesting", {
+            address: await vesting.getAddress(),
+            meta: { startTs: start, schedule: { ends, buyerTotals, refTotals } },
+        });
+
+        const d = deploymentOf(chainId, reg);
+        expect(d.chainId).to.equal(chainId.toString());
+        expect(d.vesting).to.equal(await vesting.getAddress());
+        expect(d.stableCoin).to.equal(await stableCoin.getAddress());
+        expect(d.forwarder).to.equal(await forwarder.getAddress());
+        expect(d.startTs).to.equal(start);
+        expect(d.schedule.ends).to.deep.equal(ends);
+        expect(d.schedule.buyerTotals).to.deep.equal(buyerTotals);
+        expect(d.sbt).to.equal(undefined);
+        expect(d.vestingToken).to.equal(null);
+    });
+});
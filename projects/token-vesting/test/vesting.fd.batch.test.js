@@ -0,0 +1,180 @@
+// test/vesting.fd.batch.test.js
+/**
+ * @fileoverview
+ *  fd-server POST /executeBatch 라우트 테스트 (benchmarks/fd-server/app.js, createFdApp)
+ * @description
+ *  - 항목별 검증: payload 형식 / 같은 from 중복 → stage=validate
+ *  - preflight revert: 사유 디코딩(revert.kind/name/args) → stage=preflight, 해당 항목만 제외
+ *  - BATCH_MAX_GAS: 통과 항목을 앞에서부터 채택, 초과분은 stage=batch / BATCH_GAS_EXCEEDED (예약 해제)
+ *  - items / job 결과(index)가 요청 forwardRequests 위치에 대응
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+const Sdk = require("../benchmarks/fd-sdk");
+const { createFdApp } = require("../benchmarks/fd-server/app");
+const { openJsonStore } = require("../benchmarks/fd-server/store");
+
+describe("vesting.fd.batch (benchmarks/fd-server POST /executeBatch)", function () {
+    let ctx;
+
+    /**
+     * @notice fixture + buyBox/sendBox 허용 + fd-server 앱 (릴레이어 = owner, forwarder 고정, 폴링은 테스트가 직접 호출)
+     */
+    async function setup(cfg = {}) {
+        const fx = await deployFixture();
+        const { owner, referrer, vesting, forwarder, stableCoin, seedReferralFor } = fx;
+        const { ensureAllowed, forwardableSelectors } = require("../scripts/_forwardRequest");
+        const vestingAddr = await vesting.getAddress();
+        const forwarderAddr = await forwarder.getAddress();
+        await vesting.connect(owner).setRecipient(owner.address);
+        await ensureAllowed(forwarder.connect(owner), vestingAddr, forwardableSelectors(vesting.interface).map((f) => f.selector));
+        const code = await seedReferralFor(referrer);
+
+        /** 사용자 서명 ForwardRequest (fd-sdk) */
+        const signed = async (signer, data) => {
+            const td = await Sdk.buildForwardRequest({ provider: ethers.provider, forwarder: forwarderAddr, from: signer.address, to: vestingAddr, data, ttlSec: 3600 });
+            return Sdk.signAndVerify(signer, td);
+        };
+        /** USDT 지급 + approve 후 buyBox(1) 요청 */
+        const buyBox = async (signer) => {
+            const price = await vesting.estimatedTotalAmount(1n, code);
+            await stableCoin.connect(owner).transfer(signer.address, price);
+            await stableCoin.connect(signer).approve(vestingAddr, price);
+            const pSkip = { value: price, deadline: 0n, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+            return signed(signer, vesting.interface.encodeFunctionData("buyBox", [1n, code, pSkip]));
+        };
+
+        const store = openJsonStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), "fd-batch-")), "store.json"), { version: 1 });
+        const fd = await createFdApp({
+            provider: ethers.provider,
+            relayerWallets: [owner],
+            store,
+            forwarder: forwarderAddr,
+            policy: { mirrorTtlMs: 0 },
+            queue: { pollMs: 3_600_000 },
+            ...cfg,
+        });
+        const server = fd.app.listen(0);
+        const base = `http://127.0.0.1:${server.address().port}`;
+        ctx = { fd, server };
+
+        const post = async (forwardRequests) => {
+            const res = await fetch(`${base}/executeBatch`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify({ forwardRequests: forwardRequests.map((r) => (r.signature ? Sdk.toWire(r) : r)) }),
+            });
+            return { http: res.status, body: await res.json() };
+        };
+        const status = async (id) => (await fetch(`${base}/status/${id}`)).json();
+        /** 전송(enqueue 이후 비동기) 대기 → 폴링으로 확정 반영 */
+        const settle = async (id) => {
+            for (let i = 0; (await status(id)).status === "queued"; i++) {
+                if (i >= 500) throw new Error(`job ${id} not sent`);
+                await new Promise((r) => setTimeout(r, 10));
+            }
+            await ctx.fd.queue.poll();
+            return status(id);
+        };
+        /** preflight와 같은 기준의 항목 가스 (estimateGas × 1.2) */
+        const itemGas = async (request) => (await forwarder.execute.estimateGas(request) * 12n) / 10n;
+        return { ...fx, fd, signed, buyBox, post, settle, itemGas };
+    }
+
+    afterEach(async () => {
+        if (!ctx) return;
+        ctx.fd.stop();
+        ctx.server.close();
+        ctx = null;
+    });
+
+    /**
+     * @test 항목별 거부 + index 매핑
+     */
+    it("중복 from / payload 오류는 validate, preflight revert는 디코딩된 사유로 제외, 나머지는 요청 index로 실행 결과 대응", async () => {
+        const t = await setup();
+        const { owner, buyer, other, referrer, vesting } = t;
+
+        const buyerReq = await t.buyBox(buyer);
+        const otherReq = await t.buyBox(other);
+        // sendBox는 onlyOwner → referrer 서명은 preflight에서 OwnableUnauthorizedAccount
+        const notOwner = await t.signed(referrer, vesting.interface.encodeFunctionData("sendBox", [buyer.address, referrer.address, 1n]));
+        const list = [
+            { ...buyerReq, from: "0x1234" }, // 0: 형식 오류 (주소 아님)
+            buyerReq,                       // 1: 채택 (from 최초 등장은 유효 항목 기준)
+            notOwner,                       // 2: preflight revert
+            { ...buyerReq },                // 3: 같은 from 중복
+            otherReq,                       // 4: 채택
+        ];
+
+        // 기대 가스는 전송 전에 계산 (응답 직후 비동기 전송·채굴되면 nonce 소모로 estimateGas가 revert)
+        const expectedGas = [await t.itemGas(buyerReq), await t.itemGas(otherReq)].map(String);
+
+        const { http, body } = await t.post(list);
+        expect(http).to.equal(202);
+        expect(body).to.include({ ok: true, status: "queued", accepted: 2, rejected: 3 });
+        expect(body.items.map((it) => it.index)).to.deep.equal([0, 1, 2, 3, 4]);
+        expect(body.items.map((it) => it.ok)).to.deep.equal([false, true, false, false, true]);
+        expect(body.items[0]).to.include({ stage: "validate", error: "invalid address in request" });
+        expect(body.items[3]).to.include({ stage: "validate", error: "duplicate from in batch" });
+        expect(body.items[2]).to.include({ stage: "preflight", http: 403 });
+        expect(body.items[2].revert).to.include({ kind: "custom", name: "OwnableUnauthorizedAccount", selector: "0x118cdaa7" });
+        expect(body.items[2].revert.args).to.deep.equal({ account: referrer.address });
+        expect(body.items[2].error).to.match(/OwnableUnauthorizedAccount\(0x/);
+        expect([body.items[1].gas, body.items[4].gas]).to.deep.equal(expectedGas);
+
+        // 릴레이: job.items[].index 는 batch 내 위치가 아니라 요청 index
+        const job = await t.settle(body.id);
+        expect(job).to.include({ status: "confirmed", kind: "batch", size: 2 });
+        expect(job.items.map((it) => [it.index, it.from, it.success])).to.deep.equal([
+            [1, buyer.address, true],
+            [4, other.address, true],
+        ]);
+        expect(await vesting.boxesOf(buyer.address)).to.equal(1n);
+        expect(await vesting.boxesOf(other.address)).to.equal(1n);
+        expect(await vesting.boxesOf(owner.address)).to.equal(0n);
+    });
+
+    /**
+     * @test BATCH_MAX_GAS 컷오프
+     */
+    it("BATCH_MAX_GAS: 앞 항목부터 채택, 초과 항목은 BATCH_GAS_EXCEEDED + 예약 해제, 전부 거부면 422", async () => {
+        const probe = await setup();
+        const probeGas = await probe.itemGas(await probe.buyBox(probe.buyer));
+        ctx.fd.stop();
+        ctx.server.close();
+
+        // 첫 항목만 들어가는 상한 (항목 가스 ≈ 동일)
+        const t = await setup({ batchMaxGas: (probeGas * 3n) / 2n });
+        const { owner, buyer, other, fd } = t;
+        const reqs = [await t.buyBox(buyer), await t.buyBox(other), await t.buyBox(owner)];
+
+        const { http, body } = await t.post(reqs);
+        expect(http).to.equal(202);
+        expect(body).to.include({ accepted: 1, rejected: 2 });
+        expect(body.items[0]).to.include({ index: 0, ok: true });
+        for (const i of [1, 2]) {
+            expect(body.items[i]).to.include({ index: i, ok: false, stage: "batch", code: "BATCH_GAS_EXCEEDED" });
+        }
+        // 잘린 항목의 가스 예약은 해제, 채택 항목만 예약 유지
+        expect(fd.policy.quotaOf(buyer.address).reserved).to.equal(body.items[0].gas);
+        expect(fd.policy.quotaOf(other.address).reserved).to.equal("0");
+        expect(fd.policy.quotaOf(owner.address).reserved).to.equal("0");
+        const job = fd.queue.get(body.id);
+        expect(job.meta).to.deep.equal({ indices: [0], itemGas: [body.items[0].gas] });
+        expect(job.gasLimit <= (probeGas * 3n) / 2n).to.equal(true);
+
+        // 통과 항목이 하나도 없으면 422 (stage=preflight, 항목별 사유 포함) — 0번은 확정 후 nonce 소모로 revert
+        expect((await t.settle(body.id)).status).to.equal("confirmed");
+        const dup = await t.post([reqs[0], reqs[0]]);
+        expect(dup.http).to.equal(422);
+        expect(dup.body).to.include({ ok: false, stage: "preflight" });
+        expect(dup.body.items.map((it) => it.stage)).to.deep.equal(["preflight", "validate"]);
+    });
+});
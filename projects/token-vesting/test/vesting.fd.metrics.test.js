@@ -0,0 +1,206 @@
+// test/vesting.fd.metrics.test.js
+/**
+ * @fileoverview
+ *  fd-server 운영 메트릭(benchmarks/fd-server/metrics.js) / 잔액 알림(alerts.js) 테스트
+ * @description
+ *  - createRegistry: Prometheus text 형식 (HELP/TYPE, 빈 label 생략, escape, bigint 정밀도)
+ *  - observeJob: single/batch job → selector별 실행 결과 / 가스·수수료 배분 (batch는 itemGas 비율)
+ *  - collect: 실제 릴레이 큐(hardhat signer 릴레이어) 기준 잔액 / in-flight / 미확정 tx 경과 시간
+ *  - createBalanceAlert: 임계값 미만 알림, cooldown 재알림, 회복 알림, 비활성 (webhook / command 대역)
+ *
+ * @author hlibbc
+ */
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployFixture } = require("./helpers/vestingFixture");
+const Sdk = require("../benchmarks/fd-sdk");
+const { createRegistry, createFdMetrics, gasShares } = require("../benchmarks/fd-server/metrics");
+const { createBalanceAlert, EVENTS } = require("../benchmarks/fd-server/alerts");
+const { createRelayQueue } = require("../benchmarks/fd-server/queue");
+
+/**
+ * @notice text exposition에서 샘플 1줄의 값 (없으면 undefined)
+ */
+function sample(text, series) {
+    const line = text.split("\n").find((l) => l.startsWith(`${series} `));
+    return line === undefined ? undefined : line.slice(series.length + 1);
+}
+
+describe("vesting.fd.metrics (benchmarks/fd-server metrics / alerts)", function () {
+
+    /**
+     * @test 레지스트리 / job 집계
+     */
+    it("registry 렌더링과 observeJob: selector별 실행 결과, batch 가스·수수료는 실행 항목 itemGas 비율로 배분", async () => {
+        const reg = createRegistry();
+        const c = reg.counter("t_total", "test counter");
+        c.inc({ a: "x\"y\\z\n", empty: "" });
+        c.inc({ a: "x\"y\\z\n" }, 2);
+        c.inc({}, 10n ** 30n);
+        c.inc({}, 1);
+        expect(() => reg.gauge("t_total", "dup")).to.throw(/already defined/);
+        const text = reg.render();
+        expect(text).to.include("# HELP t_total test counter\n# TYPE t_total counter\n");
+        expect(sample(text, "t_total{a=\"x\\\"y\\\\z\\n\"}")).to.equal("3");
+        expect(sample(text, "t_total")).to.equal(`${10n ** 30n + 1n}`);
+
+        // batch: 0번 성공(itemGas 100), 1번 건너뜀, 2번 revert(itemGas 200) → 1:2 배분, 나머지는 첫 항목
+        const sel = (s) => ({ data: `${s}${"00".repeat(32)}` });
+        const batch = {
+            kind: "batch", status: "confirmed", stage: undefined, gasUsed: 301n, feeWei: 3010n,
+            requests: [sel("0xaaaaaaaa"), sel("0xbbbbbbbb"), sel("0xaaaaaaaa")],
+            items: [{ executed: true, success: true }, { executed: false }, { executed: true, success: false }],
+            meta: { itemGas: ["100", "500", "200"] },
+        };
+        expect(gasShares(batch)).to.deep.equal([
+            { selector: "0xaaaaaaaa", gas: 101n, result: "success" },
+            { selector: "0xbbbbbbbb", gas: 0n, result: "skipped" },
+            { selector: "0xaaaaaaaa", gas: 200n, result: "reverted" },
+        ]);
+
+        const queue = { relayers: () => [], jobs: () => [] };
+        const m = createFdMetrics({ queue, describeSelector: (s) => (s === "0xaaaaaaaa" ? "sendBox" : undefined) });
+        m.observeJob(batch);
+        m.observeJob(batch); // 같은 job 재통지는 무시
+        m.observeJob({ kind: "single", status: "failed", stage: "execute", request: sel("0xbbbbbbbb"), gasUsed: 50n, feeWei: 500n });
+        m.observeJob({ kind: "single", status: "failed", stage: "submit", request: sel("0xbbbbbbbb") });
+        m.observeJob({ kind: "single", status: "submitted", request: sel("0xbbbbbbbb") });
+        m.observeRequest({ endpoint: "execute", stage: "policy", result: "rejected", code: "QUOTA_EXCEEDED" });
+        m.observePreflightRevert({ kind: "custom", contract: "TokenVesting", name: "InsufficientBoxes", reason: "ignored" });
+        m.observePreflightRevert({ kind: "error", name: "Error", reason: "not allowed" });
+
+        const out = await m.render();
+        expect(sample(out, "fd_jobs_total{kind=\"batch\",status=\"confirmed\"}")).to.equal("1");
+        expect(sample(out, "fd_jobs_total{kind=\"single\",status=\"failed\",stage=\"execute\"}")).to.equal("1");
+        expect(sample(out, "fd_jobs_total{kind=\"single\",status=\"failed\",stage=\"submit\"}")).to.equal("1");
+        expect(sample(out, "fd_executions_total{selector=\"0xaaaaaaaa\",function=\"sendBox\",result=\"success\"}")).to.equal("1");
+        expect(sample(out, "fd_executions_total{selector=\"0xbbbbbbbb\",result=\"skipped\"}")).to.equal("1");
+        expect(sample(out, "fd_executions_total{selector=\"0xbbbbbbbb\",result=\"reverted\"}")).to.equal("1");
+        expect(sample(out, "fd_gas_used_total{selector=\"0xaaaaaaaa\",function=\"sendBox\"}")).to.equal("301");
+        expect(sample(out, "fd_fee_wei_total{selector=\"0xaaaaaaaa\",function=\"sendBox\"}")).to.equal("3010");
+        expect(sample(out, "fd_gas_used_total{selector=\"0xbbbbbbbb\"}")).to.equal("50");
+        expect(sample(out, "fd_requests_total{endpoint=\"execute\",stage=\"policy\",result=\"rejected\",code=\"QUOTA_EXCEEDED\"}")).to.equal("1");
+        expect(sample(out, "fd_preflight_reverts_total{kind=\"custom\",contract=\"TokenVesting\",name=\"InsufficientBoxes\"}")).to.equal("1");
+        expect(sample(out, "fd_preflight_reverts_total{kind=\"error\",name=\"Error\",reason=\"not allowed\"}")).to.equal("1");
+        expect(sample(out, "fd_pending_jobs{status=\"queued\"}")).to.equal("0");
+    });
+
+    /**
+     * @test 실제 릴레이 큐 기준 scrape gauge
+     */
+    it("collect: 릴레이어 잔액 / in-flight / 미확정 tx 경과 시간, 확정 후 대상 함수별 가스 집계", async () => {
+        const fx = await deployFixture();
+        const { owner, buyer, other: relayer, vesting, forwarder, start, ONE_USDT } = fx;
+        const { ensureAllowed, forwardableSelectors } = require("../scripts/_forwardRequest");
+        await ensureAllowed(forwarder.connect(owner), await vesting.getAddress(), forwardableSelectors(vesting.interface).map((f) => f.selector));
+        await vesting.connect(owner).backfillPurchaseBulkAt([
+            { buyer: buyer.address, refCodeStr: "", boxCount: 2n, purchaseTs: start + 10n, paidUnits: ONE_USDT * 2n },
+        ]);
+
+        const provider = ethers.provider;
+        const queue = createRelayQueue({ provider, relayerWallets: [relayer], forwarderAbi: forwarder.interface.fragments, pollMs: 3_600_000 });
+        let clock = Date.now();
+        const metrics = createFdMetrics({
+            queue,
+            readBalances: () => Promise.all(queue.relayers().map(async (r) => ({ address: r.address, balance: await provider.getBalance(r.address) }))),
+            describeSelector: (s) => vesting.interface.getFunction(s)?.name,
+            now: () => clock,
+        });
+        queue.onUpdate(metrics.observeJob);
+
+        try {
+            const data = vesting.interface.encodeFunctionData("sendBox", [buyer.address, relayer.address, 1n]);
+            const td = await Sdk.buildForwardRequest({ provider, forwarder: await forwarder.getAddress(), from: owner.address, to: await vesting.getAddress(), data, ttlSec: 600 });
+            const request = await Sdk.signAndVerify(owner, td);
+            const sent = new Promise((resolve) => queue.onUpdate((j) => { if (j.status !== "queued") resolve(j); }));
+            const job = queue.enqueue({ forwarder: await forwarder.getAddress(), request, value: 0n, gasLimit: 1_000_000n });
+            expect((await sent).status).to.equal("submitted");
+
+            // 전송 후 poll 전: 미확정 1건, 경과 시간은 submittedAt 기준
+            clock = job.submittedAt + 7_500;
+            const pendingText = await metrics.render();
+            const label = `{relayer="${relayer.address}"}`;
+            expect(sample(pendingText, `fd_relayer_in_flight${label}`)).to.equal("1");
+            expect(sample(pendingText, `fd_pending_tx_age_seconds${label}`)).to.equal("7.5");
+            expect(sample(pendingText, "fd_pending_jobs{status=\"submitted\"}")).to.equal("1");
+            const balanceEther = ethers.formatEther(await provider.getBalance(relayer.address));
+            expect(Number(sample(pendingText, `fd_relayer_balance_ether${label}`))).to.equal(Number(balanceEther));
+
+            // poll → 확정: gauge 초기화, 가스·수수료는 sendBox selector로 집계
+            await queue.poll();
+            expect(job.status).to.equal("confirmed");
+            const doneText = await metrics.render();
+            const sel = vesting.interface.getFunction("sendBox").selector;
+            expect(sample(doneText, `fd_relayer_in_flight${label}`)).to.equal("0");
+            expect(sample(doneText, `fd_pending_tx_age_seconds${label}`)).to.equal("0");
+            expect(sample(doneText, "fd_jobs_total{kind=\"single\",status=\"confirmed\"}")).to.equal("1");
+            expect(sample(doneText, `fd_executions_total{selector="${sel}",function="sendBox",result="success"}`)).to.equal("1");
+            expect(sample(doneText, `fd_gas_used_total{selector="${sel}",function="sendBox"}`)).to.equal(job.gasUsed.toString());
+            expect(sample(doneText, `fd_fee_wei_total{selector="${sel}",function="sendBox"}`)).to.equal(job.feeWei.toString());
+            expect(await vesting.boxesOf(relayer.address)).to.equal(1n);
+        } finally {
+            queue.stop();
+        }
+    });
+
+    /**
+     * @test 잔액 알림
+     */
+    it("createBalanceAlert: 임계값 미만 알림(webhook + command), cooldown 후 재알림, 회복 알림, 미설정 시 비활성", async () => {
+        let clock = 1_000_000;
+        const posts = [];
+        const runs = [];
+        const alert = createBalanceAlert({
+            minBalance: ethers.parseEther("1"),
+            webhookUrl: "http://hooks.local/alert",
+            command: "notify-ops",
+            cooldownMs: 60_000,
+            chainId: 31337n,
+            fetch: async (url, init) => { posts.push({ url, body: JSON.parse(init.body) }); return { ok: true, status: 200 }; },
+            exec: async (cmd, opts) => { runs.push({ cmd, env: opts.env }); },
+            now: () => clock,
+        });
+        const A = "0x00000000000000000000000000000000000000aa";
+        const B = "0x00000000000000000000000000000000000000bb";
+        const low = ethers.parseEther("0.25");
+        const ok = ethers.parseEther("2");
+
+        const first = await alert.check([{ address: A, balance: low }, { address: B, balance: ok }, { address: B, balance: null }]);
+        expect(first.map((e) => e.event)).to.deep.equal([EVENTS.low]);
+        expect(posts).to.have.length(1);
+        expect(posts[0].url).to.equal("http://hooks.local/alert");
+        expect(posts[0].body).to.include({ event: EVENTS.low, relayer: A, balanceWei: low.toString(), balanceEther: "0.25", minBalanceEther: "1.0", chainId: "31337" });
+        expect(runs[0].cmd).to.equal("notify-ops");
+        expect(runs[0].env).to.include({ FD_ALERT_EVENT: EVENTS.low, FD_ALERT_RELAYER: A, FD_ALERT_BALANCE: "0.25", FD_ALERT_MIN_BALANCE: "1.0", FD_ALERT_CHAIN_ID: "31337" });
+
+        // cooldown 안: 조용, cooldown 경과: 재알림
+        clock += 30_000;
+        expect(await alert.check([{ address: A, balance: low }])).to.deep.equal([]);
+        clock += 30_000;
+        expect((await alert.check([{ address: A, balance: low }])).map((e) => e.event)).to.deep.equal([EVENTS.low]);
+
+        // 회복 → 1회만 알림, 다시 부족하면 cooldown과 무관하게 즉시 알림
+        expect((await alert.check([{ address: A, balance: ok }])).map((e) => e.event)).to.deep.equal([EVENTS.recovered]);
+        expect(await alert.check([{ address: A, balance: ok }])).to.deep.equal([]);
+        expect((await alert.check([{ address: A, balance: low }])).map((e) => e.event)).to.deep.equal([EVENTS.low]);
+        expect(posts.map((p) => p.body.event)).to.deep.equal([EVENTS.low, EVENTS.low, EVENTS.recovered, EVENTS.low]);
+        expect(runs).to.have.length(4);
+
+        // webhook 실패는 알림 흐름을 막지 않는다
+        const failing = createBalanceAlert({
+            minBalance: ethers.parseEther("1"),
+            webhookUrl: "http://hooks.local/down",
+            fetch: async () => ({ ok: false, status: 503 }),
+        });
+        expect(await failing.check([{ address: A, balance: low }])).to.have.length(1);
+
+        // 임계값 미설정: 비활성 (start / refresh 도 no-op)
+        const off = createBalanceAlert({ minBalance: null, fetch: async () => { throw new Error("unexpected"); } });
+        expect(off.enabled).to.equal(false);
+        expect(await off.check([{ address: A, balance: 0n }])).to.deep.equal([]);
+        off.start(async () => { throw new Error("unexpected"); }, 10);
+        expect(await off.refresh()).to.deep.equal([]);
+        off.stop();
+    });
+});
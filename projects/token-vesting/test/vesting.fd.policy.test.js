@@ -0,0 +1,183 @@
+// test/vesting.fd.policy.test.js
+/**
+ * @fileoverview
+ *  fd-server 릴레이 정책 엔진(benchmarks/fd-server/policy.js) + JSON 저장소(store.js) 테스트
+ * @description
+ *  - reason code: VALUE_NOT_ALLOWED / DEADLINE_INVALID / DEADLINE_TOO_SOON / GAS_LIMIT_EXCEEDED / TARGET_NOT_WHITELISTED /
+ *    SELECTOR_NOT_ALLOWED / DAILY_GAS_BUDGET_EXCEEDED (+ HTTP status)
+ *  - allowlist 미러: forwarder 이벤트 재생, setAllowed 변경이 다음 갱신에 반영
+ *  - 가스 예산: 동시 요청의 쿼터 비교·예약이 한 단계 (같은 잔여량으로 함께 통과하지 않음), release / bind / settle
+ *  - 저장소 재오픈 후 사용량 / 미러 유지, close()가 디바운스 대기분을 즉시 기록 (종료 직전 갱신 유실 방지)
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+const { createPolicy, POLICY_HTTP_STATUS, utcDayKey } = require("../benchmarks/fd-server/policy");
+const { openJsonStore } = require("../benchmarks/fd-server/store");
+
+/**
+ * @notice 정책 + 임시 저장소 구성 (TokenVesting whitelist + sendBox만 허용)
+ */
+async function setup(overrides = {}) {
+    const fx = await deployFixture();
+    const { owner, forwarder, vesting } = fx;
+    const vestingAddr = await vesting.getAddress();
+    const sendBox = vesting.interface.getFunction("sendBox").selector;
+    await (await forwarder.connect(owner).addToWhitelist(vestingAddr)).wait();
+    await (await forwarder.connect(owner).setAllowed(vestingAddr, sendBox, true)).wait();
+
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "fd-policy-")), "store.json");
+    const open = (cfg = {}) => {
+        const store = openJsonStore(file, { version: 1 });
+        const policy = createPolicy({
+            provider: ethers.provider,
+            forwarderAbi: forwarder.interface.fragments,
+            store,
+            mirrorTtlMs: 0,
+            ...overrides,
+            ...cfg,
+        });
+        return { store, policy };
+    };
+
+    const nowSec = () => Math.floor(Date.now() / 1000);
+    /** 정책 검사용 요청 (서명 불필요) */
+    const requestOf = (patch = {}) => ({
+        from: fx.buyer.address,
+        to: vestingAddr,
+        value: 0n,
+        gas: 500_000n,
+        deadline: BigInt(nowSec() + 600),
+        data: vesting.interface.encodeFunctionData("sendBox", [fx.buyer.address, fx.other.address, 1n]),
+        ...patch,
+    });
+    return { ...fx, file, open, requestOf, vestingAddr, sendBox, forwarderAddr: await forwarder.getAddress() };
+}
+
+describe("vesting.fd.policy (benchmarks/fd-server policy / store)", function () {
+
+    /**
+     * @test reason code + allowlist 미러 갱신
+     */
+    it("check: 항목별 reason code / HTTP status, setAllowed 변경이 미러에 반영", async () => {
+        const fx = await setup({ maxGasPerRequest: 1_000_000n, maxExecuteGas: 2_000_000n, dailyGasBudget: 1_500_000n });
+        const { owner, forwarder, vesting, vestingAddr, sendBox, forwarderAddr, requestOf } = fx;
+        const { policy } = fx.open();
+        const verdict = (request, gasLimit = 1_000_000n) => policy.check({ forwarder: forwarderAddr, request, gasLimit });
+        const expectDenied = async (p, code) => {
+            const v = await p;
+            expect(v).to.include({ ok: false, code, http: POLICY_HTTP_STATUS[code] });
+            expect(v.error).to.be.a("string");
+            return v;
+        };
+
+        const ok = await verdict(requestOf());
+        expect(ok.ok).to.equal(true);
+        ok.reservation.release();
+
+        await expectDenied(verdict(requestOf({ value: 1n })), "VALUE_NOT_ALLOWED");
+        // deadline 누락 / 정수 아님 → 예약 없이 거부 (NaN 비교로 기한 검사를 통과하지 않음)
+        const noDeadline = requestOf();
+        delete noDeadline.deadline;
+        const missing = await expectDenied(verdict(noDeadline), "DEADLINE_INVALID");
+        expect(missing.http).to.equal(400);
+        expect(missing.detail).to.deep.equal({ deadline: null });
+        for (const deadline of ["abc", "1.5", 1.5, -1, "", 2n ** 48n]) await expectDenied(verdict(requestOf({ deadline })), "DEADLINE_INVALID");
+        expect(policy.quotaOf(fx.buyer.address).reserved).to.equal("0");
+        const asString = await verdict(requestOf({ deadline: String(Math.floor(Date.now() / 1000) + 600) }));
+        expect(asString.ok).to.equal(true);
+        asString.reservation.release();
+        const soon = await expectDenied(verdict(requestOf({ deadline: BigInt(Math.floor(Date.now() / 1000) + 10) })), "DEADLINE_TOO_SOON");
+        expect(soon.detail.min).to.equal(60);
+        await expectDenied(verdict(requestOf({ gas: 1_000_001n })), "GAS_LIMIT_EXCEEDED");
+        await expectDenied(verdict(requestOf(), 2_000_001n), "GAS_LIMIT_EXCEEDED");
+        const target = await expectDenied(verdict(requestOf({ to: owner.address })), "TARGET_NOT_WHITELISTED");
+        expect(target.detail.target).to.equal(owner.address);
+        const claim = vesting.interface.encodeFunctionData("claimPurchaseReward");
+        const sel = await expectDenied(verdict(requestOf({ data: claim })), "SELECTOR_NOT_ALLOWED");
+        expect(sel.detail.selector).to.equal(claim.slice(0, 10));
+        const budget = await expectDenied(verdict(requestOf(), 1_500_001n), "DAILY_GAS_BUDGET_EXCEEDED");
+        expect(budget.detail).to.include({ budget: "1500000", remaining: "1500000", requested: "1500001" });
+        expect(POLICY_HTTP_STATUS).to.include({ TARGET_NOT_WHITELISTED: 403, DAILY_GAS_BUDGET_EXCEEDED: 429, VALUE_NOT_ALLOWED: 422 });
+
+        // setAllowed(true) → 허용, sendBox 해제 → 거부, whitelist 제거 → 거부
+        await (await forwarder.connect(owner).setAllowed(vestingAddr, claim.slice(0, 10), true)).wait();
+        const allowed = await verdict(requestOf({ data: claim }));
+        expect(allowed.ok).to.equal(true);
+        allowed.reservation.release();
+        await (await forwarder.connect(owner).setAllowed(vestingAddr, sendBox, false)).wait();
+        await expectDenied(verdict(requestOf()), "SELECTOR_NOT_ALLOWED");
+        await (await forwarder.connect(owner).removeFromWhitelist(vestingAddr)).wait();
+        await expectDenied(verdict(requestOf({ data: claim })), "TARGET_NOT_WHITELISTED");
+    });
+
+    /**
+     * @test 동시 요청 예약
+     */
+    it("가스 예산: 같은 from의 동시 요청은 잔여량을 한 번만 통과, release 후 재사용, bind → settle로 사용량 반영", async () => {
+        const fx = await setup({ dailyGasBudget: 1_000_000n });
+        const { buyer, forwarderAddr, requestOf } = fx;
+        const { policy } = fx.open();
+        const check = () => policy.check({ forwarder: forwarderAddr, request: requestOf(), gasLimit: 600_000n });
+
+        // 미러 갱신(await) 중에 겹친 요청들: 예약은 하나만
+        const burst = await Promise.all([check(), check(), check()]);
+        expect(burst.filter((v) => v.ok)).to.have.length(1);
+        expect(burst.filter((v) => v.code === "DAILY_GAS_BUDGET_EXCEEDED")).to.have.length(2);
+        expect(policy.quotaOf(buyer.address)).to.include({ used: "0", reserved: "600000", remaining: "400000" });
+
+        // preflight / 큐 등록 실패 → 해제 → 다음 요청 통과
+        burst.find((v) => v.ok).reservation.release();
+        expect(policy.quotaOf(buyer.address).reserved).to.equal("0");
+        const next = await check();
+        expect(next.ok).to.equal(true);
+
+        // 큐 등록 → job id 연결 → 종료 시 실제 gasUsed로 정산
+        next.reservation.bind("job-1");
+        expect(policy.quotaOf(buyer.address).reserved).to.equal("600000");
+        policy.settle("job-1", 123_456n);
+        policy.settle("job-1", 999n); // 중복 정산 무시
+        expect(policy.quotaOf(buyer.address)).to.include({ used: "123456", reserved: "0", remaining: "876544", count: 1 });
+        expect((await check()).ok).to.equal(true);
+    });
+
+    /**
+     * @test 저장소 영속화
+     */
+    it("store: settle 사용량 / allowlist 미러 / 주소별 예산이 저장소 재오픈 후 유지, close()는 대기분 즉시 기록", async () => {
+        const fx = await setup({ dailyGasBudget: 1_000_000n });
+        const { buyer, forwarderAddr, vestingAddr, sendBox, requestOf, file } = fx;
+        const first = fx.open();
+        const v = await first.policy.check({ forwarder: forwarderAddr, request: requestOf(), gasLimit: 500_000n });
+        v.reservation.bind("job-a");
+        first.policy.settle("job-a", 300_000n);
+        first.store.data.budgets[buyer.address] = "2000000";
+        const onDisk = () => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {});
+        expect(onDisk().usage?.[utcDayKey()]?.[buyer.address]).to.equal(undefined); // 디바운스 대기 중
+
+        // 종료(close): 대기분 즉시 기록, 이후 정산은 디바운스 없이 기록
+        first.store.close();
+        const saved = onDisk();
+        expect(saved.usage[utcDayKey()][buyer.address]).to.deep.equal({ used: "300000", count: 1 });
+        expect(saved.mirror).to.include({ forwarder: forwarderAddr });
+        expect(saved.mirror.allowed[vestingAddr][sendBox.toLowerCase()]).to.equal(true);
+        const late = await first.policy.check({ forwarder: forwarderAddr, request: requestOf(), gasLimit: 100_000n });
+        late.reservation.bind("job-b");
+        first.policy.settle("job-b", 50_000n);
+        expect(onDisk().usage[utcDayKey()][buyer.address]).to.deep.equal({ used: "350000", count: 2 });
+
+        // 재시작: 사용량·예산 유지, 예약(메모리)은 사라짐
+        const second = fx.open({ mirrorTtlMs: 60_000 });
+        expect(second.store.data.version).to.equal(1);
+        expect(second.policy.quotaOf(buyer.address)).to.include({ budget: "2000000", used: "350000", reserved: "0", remaining: "1650000" });
+        const again = await second.policy.check({ forwarder: forwarderAddr, request: requestOf(), gasLimit: 1_650_000n });
+        expect(again.ok).to.equal(true);
+        expect((await second.policy.check({ forwarder: forwarderAddr, request: requestOf(), gasLimit: 1n })).code)
+            .to.equal("DAILY_GAS_BUDGET_EXCEEDED");
+    });
+});
@@ -0,0 +1,219 @@
+// test/vesting.fd.queue.test.js
+/**
+ * @fileoverview
+ *  fd-server 릴레이 큐(benchmarks/fd-server/queue.js) 테스트 — hardhat 노드 automine 끔
+ * @description
+ *  - 동시 enqueue: 릴레이어 로컬 nonce가 연속 배정, 한 블록에서 순서대로 확정
+ *  - stuck tx: bumpAfterMs 경과 시 같은 nonce로 수수료 인상 재전송 → 인상 tx로 확정
+ *  - 인상 한도(maxBumps) 소진: job failed + inFlight 반환, nonce 재동기화로 다음 job이 같은 nonce 재사용
+ *  - GET /status/:id 로 각 상태 변화(queued → submitted → confirmed | failed) 확인 (createFdApp 라우트)
+ *  - 큐 등록 전 입력 검증: options.gasLimit / 요청 숫자 필드(deadline 포함)가 정수가 아니면 500이 아닌 400
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+const Sdk = require("../benchmarks/fd-sdk");
+const { createFdApp } = require("../benchmarks/fd-server/app");
+const { openJsonStore } = require("../benchmarks/fd-server/store");
+
+describe("vesting.fd.queue (benchmarks/fd-server queue)", function () {
+    let ctx;
+
+    /**
+     * @notice fixture + fd-server 앱 (릴레이어 = other, forwarder 고정, 폴링은 테스트가 직접 호출)
+     */
+    async function setup(queueCfg) {
+        const fx = await deployFixture();
+        const { owner, buyer, other: relayer, vesting, forwarder, start, ONE_USDT } = fx;
+        const { ensureAllowed, forwardableSelectors } = require("../scripts/_forwardRequest");
+        await ensureAllowed(forwarder.connect(owner), await vesting.getAddress(), forwardableSelectors(vesting.interface).map((f) => f.selector));
+        await vesting.connect(owner).backfillPurchaseBulkAt([
+            { buyer: buyer.address, refCodeStr: "", boxCount: 10n, purchaseTs: start + 10n, paidUnits: ONE_USDT * 10n },
+        ]);
+
+        const store = openJsonStore(path.join(fs.mkdtempSync(path.join(os.tmpdir(), "fd-queue-")), "store.json"), { version: 1 });
+        const fd = await createFdApp({
+            provider: ethers.provider,
+            relayerWallets: [relayer],
+            store,
+            forwarder: await forwarder.getAddress(),
+            policy: { mirrorTtlMs: 0 },
+            queue: { pollMs: 3_600_000, ...queueCfg },
+        });
+        const server = fd.app.listen(0);
+        const base = `http://127.0.0.1:${server.address().port}`;
+        await ethers.provider.send("evm_setAutomine", [false]);
+        ctx = { fd, server };
+
+        /** owner 서명 sendBox(buyer → relayer, 1) — nonce 지정 시 미채굴 선행 요청 뒤 순번 */
+        const signed = async (nonce) => {
+            const data = vesting.interface.encodeFunctionData("sendBox", [buyer.address, relayer.address, 1n]);
+            const td = await Sdk.buildForwardRequest({
+                provider: ethers.provider, forwarder: await forwarder.getAddress(), from: owner.address,
+                to: await vesting.getAddress(), data, ttlSec: 3600, nonce,
+            });
+            return Sdk.signAndVerify(owner, td);
+        };
+        const status = async (id) => (await fetch(`${base}/status/${id}`)).json();
+        /** 상태가 queued를 벗어날 때까지 대기 (전송은 enqueue 이후 비동기) */
+        const sent = async (id) => {
+            for (let i = 0; i < 100; i++) {
+                const s = await status(id);
+                if (s.status !== "queued") return s;
+                await new Promise((r) => setTimeout(r, 10));
+            }
+            throw new Error(`job ${id} not sent`);
+        };
+        const mine = () => ethers.provider.send("evm_mine", []);
+        return { ...fx, fd, base, signed, status, sent, mine, relayer, forwarderAddr: await forwarder.getAddress() };
+    }
+
+    afterEach(async () => {
+        await ethers.provider.send("evm_setAutomine", [true]);
+        if (!ctx) return;
+        ctx.fd.stop();
+        ctx.server.close();
+        ctx = null;
+    });
+
+    /**
+     * @test 동시 등록 → 연속 nonce
+     */
+    it("동시 enqueue: 연속 nonce 배정, 한 블록에서 확정, /status는 queued → submitted → confirmed", async () => {
+        const t = await setup();
+        const { fd, relayer, vesting, forwarderAddr } = t;
+        const base = await ethers.provider.getTransactionCount(relayer.address, "pending");
+
+        const requests = await Promise.all([0n, 1n, 2n].map((n) => t.signed(n)));
+        const jobs = requests.map((request) => fd.queue.enqueue({ forwarder: forwarderAddr, request, value: 0n, gasLimit: 1_000_000n }));
+        expect(jobs.map((j) => j.status)).to.deep.equal(["queued", "queued", "queued"]);
+        expect((await t.status(jobs[0].id))).to.include({ ok: true, status: "queued", relayer: relayer.address });
+
+        const sent = await Promise.all(jobs.map((j) => t.sent(j.id)));
+        expect(sent.map((s) => s.status)).to.deep.equal(["submitted", "submitted", "submitted"]);
+        expect(sent.map((s) => s.nonce)).to.deep.equal([base, base + 1, base + 2]);
+        expect((await (await fetch(`${t.base}/`)).json()).relayers[0]).to.include({ inFlight: 3, nonce: base + 3 });
+
+        await t.mine();
+        await fd.queue.poll();
+        const done = await Promise.all(jobs.map((j) => t.status(j.id)));
+        expect(done.map((s) => s.status)).to.deep.equal(["confirmed", "confirmed", "confirmed"]);
+        expect(new Set(done.map((s) => s.block)).size).to.equal(1);
+        expect(done[0].gasUsed).to.match(/^\d+$/);
+        expect(fd.queue.relayers()[0].inFlight).to.equal(0);
+        expect(await vesting.boxesOf(relayer.address)).to.equal(3n);
+    });
+
+    /**
+     * @test stuck tx 수수료 인상
+     */
+    it("stuck tx: 같은 nonce로 수수료 인상 재전송, 원래 tx는 대체되고 인상 tx로 확정", async () => {
+        const t = await setup({ bumpAfterMs: 0, bumpPercent: 20, maxBumps: 3 });
+        const { fd, relayer, vesting } = t;
+
+        const res = await fetch(`${t.base}/execute`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ forwardRequest: Sdk.toWire(await t.signed()), options: { gasLimit: "1000000" } }),
+        });
+        expect(res.status).to.equal(202);
+        const { id, status } = await res.json();
+        expect(status).to.equal("queued");
+        const submitted = await t.sent(id);
+        expect(submitted).to.include({ status: "submitted", bumps: 0 });
+        const orig = await ethers.provider.getTransaction(submitted.txHash);
+
+        // 미채굴 상태에서 폴링 → 인상 재전송 (같은 nonce, 수수료 20%↑, 원래 tx는 멤풀에서 대체됨)
+        await fd.queue.poll();
+        const bumped = await t.status(id);
+        expect(bumped).to.include({ status: "submitted", bumps: 1, nonce: submitted.nonce });
+        expect(bumped.txHashes).to.deep.equal([submitted.txHash, bumped.txHash]);
+        const next = await ethers.provider.getTransaction(bumped.txHash);
+        expect(next.nonce).to.equal(orig.nonce);
+        expect(next.maxFeePerGas).to.equal((orig.maxFeePerGas * 120n + 99n) / 100n);
+
+        await t.mine();
+        await fd.queue.poll();
+        const done = await t.status(id);
+        expect(done).to.include({ status: "confirmed", txHash: bumped.txHashes[1], bumps: 1 });
+        expect(await ethers.provider.getTransactionReceipt(bumped.txHashes[0])).to.equal(null);
+        expect(await vesting.boxesOf(relayer.address)).to.equal(1n);
+    });
+
+    /**
+     * @test 인상 한도 소진
+     */
+    it("maxBumps 소진 후 미채굴: job failed + inFlight 반환, 다음 job은 재동기화된 같은 nonce로 확정", async () => {
+        const t = await setup({ bumpAfterMs: 0, maxBumps: 1 });
+        const { fd, relayer, vesting, forwarderAddr } = t;
+        const request = await t.signed();
+
+        const job = fd.queue.enqueue({ forwarder: forwarderAddr, request, value: 0n, gasLimit: 1_000_000n });
+        const submitted = await t.sent(job.id);
+        await fd.queue.poll(); // 인상 1회
+        expect((await t.status(job.id)).bumps).to.equal(1);
+        await fd.queue.poll(); // 한도 소진 → 포기
+        const failed = await t.status(job.id);
+        expect(failed).to.include({ status: "failed", stage: "execute", error: "not mined after 1 fee bumps" });
+        expect(fd.queue.relayers()[0]).to.include({ inFlight: 0, nonce: null });
+        expect(fd.queue.stats()).to.include({ submitted: 0, failed: 1 });
+
+        // 멤풀에서 빠진 경우: 다음 job은 체인(pending) 기준 nonce → gap 없이 같은 nonce 재사용
+        for (const h of failed.txHashes) await ethers.provider.send("hardhat_dropTransaction", [h]);
+        const retry = fd.queue.enqueue({ forwarder: forwarderAddr, request, value: 0n, gasLimit: 1_000_000n });
+        expect((await t.sent(retry.id)).nonce).to.equal(submitted.nonce);
+        await t.mine();
+        await fd.queue.poll();
+        expect((await t.status(retry.id)).status).to.equal("confirmed");
+        expect(await vesting.boxesOf(relayer.address)).to.equal(1n);
+    });
+
+    /**
+     * @test 입력 검증 (BigInt 변환 실패가 500으로 새지 않음)
+     */
+    it("POST /execute·/executeBatch: 잘못된 options.gasLimit / 숫자 필드 / deadline 누락은 400, 큐 미등록", async () => {
+        const t = await setup();
+        const { fd, owner } = t;
+        const wire = Sdk.toWire(await t.signed());
+        const post = async (route, body) => {
+            const res = await fetch(`${t.base}${route}`, {
+                method: "POST",
+                headers: { "Content-Type": "application/json" },
+                body: JSON.stringify(body),
+            });
+            return { http: res.status, body: await res.json() };
+        };
+        const expect400 = async (route, body, error) => {
+            const r = await post(route, body);
+            expect(r.http).to.equal(400);
+            expect(r.body).to.deep.equal({ ok: false, error });
+        };
+
+        for (const gasLimit of ["abc", "1.5", "0", 0, -1, 1.5, "", "0x10"]) {
+            await expect400("/execute", { forwardRequest: wire, options: { gasLimit } }, "invalid options.gasLimit: positive integer expected");
+            await expect400("/executeBatch", { forwardRequests: [wire], options: { gasLimit } }, "invalid options.gasLimit: positive integer expected");
+        }
+        await expect400("/execute", { forwardRequest: wire, options: { value: "1e18" } }, "invalid options.value: non-negative integer expected");
+        for (const [field, bad] of [["deadline", "soon"], ["deadline", 1.5], ["value", "-1"], ["gas", "abc"], ["nonce", "1.5"]]) {
+            await expect400("/execute", { forwardRequest: { ...wire, [field]: bad } }, `invalid ${field} in request: non-negative integer expected`);
+        }
+        const noDeadline = { ...wire };
+        delete noDeadline.deadline;
+        await expect400("/execute", { forwardRequest: noDeadline }, "invalid payload: forwardRequest/request missing fields");
+        const batch = await post("/executeBatch", { forwardRequests: [{ ...wire, deadline: "soon" }] });
+        expect(batch.http).to.equal(422);
+        expect(batch.body.items[0]).to.include({ stage: "validate", error: "invalid deadline in request: non-negative integer expected" });
+
+        expect(fd.queue.stats()).to.include({ queued: 0, submitted: 0 });
+        expect(fd.policy.quotaOf(owner.address).reserved).to.equal("0");
+
+        // 정수(number / 10진 문자열)는 그대로 허용
+        const ok = await post("/execute", { forwardRequest: { ...wire, deadline: Number(wire.deadline) }, options: { gasLimit: 1_000_000 } });
+        expect(ok.http).to.equal(202);
+    });
+});
@@ -0,0 +1,223 @@
+// test/vesting.fdsdk.test.js
+/**
+ * @fileoverview
+ *  fee-delegation 클라이언트 SDK(benchmarks/fd-sdk) 테스트
+ * @description
+ *  - buildForwardRequest: forwarder nonces / eip712Domain·domainSeparator 기반 typed data
+ *    ethers Signer 와 EIP-1193 provider(eth_signTypedData_v4) 서명이 동일, 로컬 검증(SIGNER_MISMATCH)
+ *  - createFdClient: 서버 stage/code → 에러 클래스, 지수 백오프 재시도는 GET 일시 장애와 연결 거부만
+ *    (POST /execute 는 서버가 이미 큐에 넣었을 수 있으므로 503 / queue 실패를 자동 재전송하지 않음)
+ *  - relay: build → 서명 → 검증 → POST /execute → waitForJob (인메모리 fd-server 대역 + 실제 forwarder 실행)
+ *
+ *  fd-server 대역은 fetch 주입으로 구성 (HTTP 서버 없이 응답 형식만 재현)
+ *
+ * @author hlibbc
+ */
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deployFixture } = require("./helpers/vestingFixture");
+const Sdk = require("../benchmarks/fd-sdk");
+
+/**
+ * @notice fetch 대역: handler(method, path, body) → [status, json|text]
+ * @returns {{ fetch: typeof fetch, calls: object[] }}
+ */
+function fakeFetch(handler) {
+    const calls = [];
+    const fetch = async (url, init = {}) => {
+        const path = url.replace(/^https?:\/\/[^/]+/, "");
+        const body = init.body ? JSON.parse(init.body) : undefined;
+        calls.push({ method: init.method, path, body });
+        const [status, payload] = await handler(init.method, path, body);
+        const text = typeof payload === "string" ? payload : JSON.stringify(payload);
+        return { ok: status >= 200 && status < 300, status, text: async () => text };
+    };
+    return { fetch, calls };
+}
+
+/**
+ * @notice forwarder whitelist + 모든 위임대납 selector 허용
+ */
+async function allowAll({ owner, vesting, forwarder }) {
+    const { ensureAllowed, forwardableSelectors } = require("../scripts/_forwardRequest");
+    const selectors = forwardableSelectors(vesting.interface).map((f) => f.selector);
+    await ensureAllowed(forwarder.connect(owner), await vesting.getAddress(), selectors);
+}
+
+describe("vesting.fdsdk (benchmarks/fd-sdk)", function () {
+
+    /**
+     * @test 빌더 / 서명 / 검증
+     */
+    it("buildForwardRequest: 온체인 nonce·도메인, ethers Signer와 EIP-1193 서명 일치, 서명자 불일치는 SIGNER_MISMATCH", async () => {
+        const fx = await deployFixture();
+        const { owner, buyer, other, vesting, forwarder, start, ONE_USDT } = fx;
+        await allowAll(fx);
+        const provider = ethers.provider;
+        const forwarderAddr = await forwarder.getAddress();
+
+        const { domain, separator } = await Sdk.readForwarderDomain(provider, forwarderAddr);
+        expect(domain).to.deep.equal({ name: "WhitelistForwarder", version: "1", chainId: 31337, verifyingContract: forwarderAddr });
+        expect(separator).to.equal(await forwarder.domainSeparator());
+
+        await vesting.connect(owner).backfillPurchaseBulkAt([
+            { buyer: buyer.address, refCodeStr: "", boxCount: 2n, purchaseTs: start + 10n, paidUnits: ONE_USDT * 2n },
+        ]);
+        const data = vesting.interface.encodeFunctionData("sendBox", [buyer.address, other.address, 1n]);
+        const td = await Sdk.buildForwardRequest({ provider, forwarder: forwarderAddr, from: owner.address, to: await vesting.getAddress(), data, ttlSec: 600 });
+        const { timestamp } = await provider.getBlock("latest");
+        expect(td.primaryType).to.equal("ForwardRequest");
+        expect(td.message).to.include({ from: owner.address, value: 0n, gas: Sdk.DEFAULT_GAS, nonce: 0n, deadline: Number(timestamp) + 600 });
+
+        // ethers Signer vs EIP-1193 (hardhat provider = MetaMask와 같은 eth_signTypedData_v4 경로)
+        const viaSigner = await Sdk.signAndVerify(owner, td);
+        const via1193 = await Sdk.signAndVerify(hre.network.provider, td);
+        expect(via1193.signature).to.equal(viaSigner.signature);
+        expect(await Sdk.signerAddress(hre.network.provider)).to.equal(owner.address);
+
+        // 다른 계정이 서명 → 서버 전송 전에 로컬에서 거부
+        const wrong = await Sdk.signForwardRequest(buyer, td);
+        expect(() => Sdk.verifyForwardRequest(td, wrong)).to.throw(Sdk.FdSignatureError).with.property("code", "SIGNER_MISMATCH");
+        await Sdk.signAndVerify({}, td).then(
+            () => expect.fail("unsupported signer"),
+            (e) => expect(e).to.be.instanceOf(Sdk.FdError).and.include({ stage: "sign", code: "UNSUPPORTED_SIGNER" })
+        );
+
+        // SDK 결과를 그대로 forwarder.execute에 사용
+        await forwarder.connect(other).execute(via1193);
+        expect(await vesting.boxesOf(other.address)).to.equal(1n);
+        expect(Sdk.toWire(via1193)).to.include({ value: "0", nonce: "0", gas: "1500000", signature: via1193.signature });
+    });
+
+    /**
+     * @test 에러 매핑 / 재시도
+     */
+    it("createFdClient: stage별 에러 클래스, GET 일시 장애·연결 거부만 백오프 재시도 (POST 503/queue는 재전송 안 함)", async () => {
+        const sleeps = [];
+        const sleep = async (ms) => { sleeps.push(ms); };
+        const req = { from: ethers.ZeroAddress, to: ethers.ZeroAddress, value: 0n, gas: 100000n, nonce: 7n, deadline: 1, data: "0x12345678", signature: "0x" };
+        /** Node fetch 연결 거부 형태: TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } }) */
+        const refused = () => new TypeError("fetch failed", { cause: Object.assign(new Error("connect ECONNREFUSED 127.0.0.1:3030"), { code: "ECONNREFUSED" }) });
+
+        // GET: 503 두 번 → 성공 (대기 100, 200)
+        let n = 0;
+        const busy = fakeFetch(async () => (++n < 3 ? [503, "<html>busy</html>"] : [200, { ok: true, id: "j0", status: "submitted" }]));
+        const c0 = Sdk.createFdClient({ fetch: busy.fetch, backoffMs: 100, sleep });
+        expect(await c0.status("j0")).to.include({ id: "j0", status: "submitted" });
+        expect(sleeps).to.deep.equal([100, 200]);
+
+        // POST: 연결 거부(서버 미도달) 두 번 → 성공 / 본문은 문자열화
+        sleeps.length = 0;
+        let m = 0;
+        const ok = fakeFetch(async () => { if (++m < 3) throw refused(); return [202, { ok: true, id: "j1", status: "queued" }]; });
+        const c1 = Sdk.createFdClient({ url: "http://fd.local/execute", fetch: ok.fetch, backoffMs: 100, sleep });
+        expect(c1.url).to.equal("http://fd.local");
+        expect(await c1.execute(req, { gasLimit: 3_000_000n })).to.deep.equal({ ok: true, id: "j1", status: "queued" });
+        expect(sleeps).to.deep.equal([100, 200]);
+        expect(ok.calls[2].body).to.deep.equal({
+            forwardRequest: { ...req, value: "0", gas: "100000", nonce: "7" },
+            options: { value: "0", gasLimit: "3000000" },
+        });
+
+        // POST: 503 / 응답 유실 / queue 실패 → 서버가 이미 등록했을 수 있으므로 1회만 전송하고 그대로 throw
+        const unsafe = [
+            [async () => [503, "<html>busy</html>"], Sdk.FdNetworkError],
+            [async () => { throw new TypeError("fetch failed", { cause: Object.assign(new Error("other side closed"), { code: "UND_ERR_SOCKET" }) }); }, Sdk.FdNetworkError],
+            [async () => [500, { ok: false, stage: "queue", error: "no relayer" }], Sdk.FdQueueError],
+        ];
+        for (const [handler, Cls] of unsafe) {
+            sleeps.length = 0;
+            const f = fakeFetch(handler);
+            const err = await Sdk.createFdClient({ fetch: f.fetch, sleep }).execute(req).catch((e) => e);
+            expect(err).to.be.instanceOf(Cls).and.include({ retryable: true });
+            expect(f.calls).to.have.length(1);
+            expect(sleeps).to.deep.equal([]);
+        }
+        const batchErr = await Sdk.createFdClient({ fetch: fakeFetch(unsafe[0][0]).fetch, sleep }).executeBatch([req]).catch((e) => e);
+        expect(batchErr).to.be.instanceOf(Sdk.FdNetworkError).and.include({ status: 503, connectionRefused: false });
+
+        // 재시도하지 않는 실패: 정책 / preflight / 형식
+        const cases = [
+            [429, { ok: false, stage: "policy", code: "DAILY_GAS_BUDGET_EXCEEDED", error: "daily gas budget exceeded", detail: { remaining: "0" } }, Sdk.FdPolicyError],
+            [403, { ok: false, stage: "policy", code: "SELECTOR_NOT_ALLOWED", error: "selector not allowed" }, Sdk.FdPolicyError],
+            [409, { ok: false, stage: "preflight", error: "reverted", revert: { kind: "custom", name: "ERC2771ForwarderInvalidSigner", contract: "WhitelistForwarder" } }, Sdk.FdPreflightError],
+            [400, { ok: false, error: "invalid payload: forwardRequest/request missing fields" }, Sdk.FdValidationError],
+        ];
+        for (const [status, body, Cls] of cases) {
+            sleeps.length = 0;
+            const f = fakeFetch(async () => [status, body]);
+            const c = Sdk.createFdClient({ fetch: f.fetch, sleep });
+            const err = await c.execute(req).catch((e) => e);
+            expect(err).to.be.instanceOf(Cls).and.instanceOf(Sdk.FdError);
+            expect(err).to.include({ status, code: body.code ?? null, message: body.error, retryable: false });
+            expect(err.stage).to.equal(body.stage ?? "validate");
+            expect(f.calls).to.have.length(1);
+            expect(sleeps).to.deep.equal([]);
+        }
+        const pre = await Sdk.createFdClient({ fetch: fakeFetch(async () => cases[2].slice(0, 2)).fetch }).execute(req).catch((e) => e);
+        expect(pre.revert).to.include({ name: "ERC2771ForwarderInvalidSigner" });
+
+        // 연결 거부 → retries 소진 후 FdNetworkError (대기 상한 maxBackoffMs)
+        sleeps.length = 0;
+        const down = fakeFetch(async () => { throw refused(); });
+        const c3 = Sdk.createFdClient({ fetch: down.fetch, retries: 4, backoffMs: 100, maxBackoffMs: 300, sleep });
+        const netErr = await c3.execute(req).catch((e) => e);
+        expect(netErr).to.be.instanceOf(Sdk.FdNetworkError).and.include({ stage: "network", retryable: true, connectionRefused: true });
+        expect(down.calls).to.have.length(5);
+        expect(sleeps).to.deep.equal([100, 200, 300, 300]);
+    });
+
+    /**
+     * @test relay 전체 흐름
+     */
+    it("relay: 서명·전송·확정 대기 (EIP-1193 서명자), failed job은 FdExecutionError, 대기 초과는 FdTimeoutError", async () => {
+        const fx = await deployFixture();
+        const { owner, buyer, other: relayer, vesting, forwarder, start, ONE_USDT } = fx;
+        await allowAll(fx);
+        await vesting.connect(owner).backfillPurchaseBulkAt([
+            { buyer: buyer.address, refCodeStr: "", boxCount: 3n, purchaseTs: start + 10n, paidUnits: ONE_USDT * 3n },
+        ]);
+
+        // fd-server 대역: /execute 는 실제 forwarder.execute 실행, /status 는 결과 반환
+        const jobs = new Map();
+        const server = fakeFetch(async (method, path, body) => {
+            if (method === "POST" && path === "/execute") {
+                const r = body.forwardRequest;
+                const id = `job-${jobs.size + 1}`;
+                try {
+                    const tx = await forwarder.connect(relayer).execute(
+                        { ...r, value: BigInt(r.value), gas: BigInt(r.gas), nonce: BigInt(r.nonce) },
+                        { gasLimit: BigInt(body.options.gasLimit) }
+                    );
+                    const rc = await tx.wait();
+                    jobs.set(id, { id, kind: "single", status: "confirmed", txHash: rc.hash, block: rc.blockNumber });
+                } catch {
+                    jobs.set(id, { id, kind: "single", status: "failed", stage: "execute", error: "transaction reverted" });
+                }
+                return [202, { ok: true, id, status: "queued" }];
+            }
+            const job = jobs.get(path.replace("/status/", ""));
+            return job ? [200, { ok: true, ...job }] : [200, { ok: true, id: "pending", status: "submitted" }];
+        });
+        const fd = Sdk.createFdClient({ fetch: server.fetch, sleep: async () => {} });
+        const base = { provider: ethers.provider, forwarder: await forwarder.getAddress(), to: await vesting.getAddress(), gasLimit: 2_000_000n };
+        const send = (n) => vesting.interface.encodeFunctionData("sendBox", [buyer.address, relayer.address, n]);
+
+        const res = await fd.relay({ ...base, signer: hre.network.provider, data: send(2n), wait: true });
+        expect(res).to.include({ id: "job-1", status: "confirmed" });
+        expect(res.request).to.include({ from: owner.address, nonce: 0n });
+        expect(res.job.txHash).to.match(/^0x[0-9a-f]{64}$/);
+        expect(await vesting.boxesOf(relayer.address)).to.equal(2n);
+        expect(server.calls[0].body.forwardRequest).to.include({ from: owner.address, nonce: "0" });
+
+        // 보유량 초과 → 체인에서 revert → failed job
+        const failed = await fd.relay({ ...base, signer: owner, data: send(5n), wait: true }).catch((e) => e);
+        expect(failed).to.be.instanceOf(Sdk.FdExecutionError).and.include({ stage: "execute", message: "transaction reverted" });
+
+        // 확정되지 않는 job → 대기 초과
+        const timeout = await fd.waitForJob("unknown", { timeoutMs: 0 }).catch((e) => e);
+        expect(timeout).to.be.instanceOf(Sdk.FdTimeoutError).and.include({ stage: "timeout" });
+        expect(timeout.body).to.include({ status: "submitted" });
+    });
+});
@@ -0,0 +1,199 @@
+// test/vesting.gas.test.js
+/**
+ * @fileoverview
+ *  함수별 가스 측정 및 베이스라인 비교(scripts/_gasBaseline.js) 테스트
+ * @description
+ *  - 고정 시나리오로 buyBox / sendBox / claimPurchaseReward / syncLimitDay(7) / 백필 벌크(10건)의 gasUsed 측정
+ *    (GAS_REPORT=<파일> 이면 functions 섹션에 기록 → gas-baseline.json 갱신/비교에 사용)
+ *  - compareReports: threshold 초과 증가(예: sendBox 2배)는 regression, 누락된 TRACKED 함수는 missing
+ *  - printGasSummary: GAS_REPORT 지정 시 스크립트 버킷 집계를 scripts 섹션에 병합 기록
+ *
+ * 사용법:
+ *   GAS_REPORT=gas-report.json npx hardhat test test/vesting.gas.test.js
+ *   node scripts/gasBaseline.js compare gas-baseline.json gas-report.json
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+const GasBaseline = require("../scripts/_gasBaseline");
+
+/**
+ * @notice permit 스킵용 헬퍼 (approve 경로 사용)
+ */
+function makePermitSkip(value = 0n) {
+    return { value, deadline: 0n, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+}
+
+/**
+ * @notice 백필용 결정적 주소 (SBT 발급 대상이 되므로 실제 서명자일 필요 없음)
+ */
+const fakeAddr = (i) => ethers.getAddress(ethers.zeroPadValue(ethers.toBeHex(0x1000 + i), 20));
+
+describe("vesting.gas (baseline tracking)", function () {
+
+    /**
+     * @test 고정 시나리오 가스 측정
+     * @description
+     *  1) d=0 백필 구매 10건 / 백필 이전 10건 (벌크 최대치)
+     *  2) buyBox: 첫 구매, 같은 날 재구매, 이후 9일간 매일 구매(체크포인트 누적)
+     *  3) sendBox: 첫 이전(수령자 SBT 발급 포함), 같은 날 추가 이전
+     *  4) 8일간 sync 없이 경과 → syncLimitDay(7)
+     *  5) claimPurchaseReward
+     */
+    it("고정 시나리오: TRACKED 함수 gasUsed 측정 (GAS_REPORT 지정 시 기록)", async function () {
+        this.timeout(0);
+        const { owner, buyer, referrer, other, stableCoin, vesting, start, DAY, ONE_USDT, seedReferralFor, increaseTime } =
+            await deployFixture();
+        const v = vesting.connect(owner);
+        const rec = GasBaseline.createGasRecorder();
+        const measure = async (key, txPromise) => rec.add(key, await (await txPromise).wait());
+
+        const token = await (await ethers.getContractFactory("Token")).deploy();
+        await token.transfer(await vesting.getAddress(), ethers.parseEther("100000000"));
+        await v.setVestingToken(await token.getAddress());
+        await v.setRecipient(owner.address);
+        const code = await seedReferralFor(referrer);
+
+        // 1) 백필 벌크 (d=0, 미확정)
+        const purchases = Array.from({ length: 10 }, (_, i) => ({
+            buyer: fakeAddr(i), refCodeStr: i % 2 ? code : "", boxCount: 5n, purchaseTs: start + BigInt(i), paidUnits: ONE_USDT * 5n,
+        }));
+        await measure("backfillPurchaseBulkAt/10", v.backfillPurchaseBulkAt(purchases));
+        const transfers = Array.from({ length: 10 }, (_, i) => ({
+            from: fakeAddr(i), to: fakeAddr(100 + i), boxCount: 2n, transferTs: start + 100n + BigInt(i),
+        }));
+        await measure("backfillSendBoxBulkAt/10", v.backfillSendBoxBulkAt(transfers));
+
+        // 2) buyBox
+        const need = await vesting.estimatedTotalAmount(1n, code);
+        await stableCoin.transfer(buyer.address, need * 20n);
+        await stableCoin.connect(buyer).approve(await vesting.getAddress(), ethers.MaxUint256);
+        const buy = () => vesting.connect(buyer).buyBox(1n, code, makePermitSkip(need));
+        await measure("buyBox/first", buy());
+        await measure("buyBox/same-day", buy());
+        for (let d = 1; d <= 9; d++) {
+            await increaseTime(DAY);
+            await measure("buyBox/next-day", buy());
+        }
+
+        // 3) sendBox
+        await measure("sendBox/first", v.sendBox(buyer.address, other.address, 1n));
+        await measure("sendBox/same-day", v.sendBox(buyer.address, other.address, 1n));
+
+        // 4) syncLimitDay(7): 미확정 8일 중 7일 확정
+        await increaseTime(DAY * 8n);
+        const before = await vesting.lastSyncedDay();
+        await measure("syncLimitDay(7)", v.syncLimitDay(7n));
+        expect(await vesting.lastSyncedDay()).to.equal(before + 7n);
+
+        // 5) claimPurchaseReward (미확정 1일은 내부 sync)
+        await measure("claimPurchaseReward", vesting.connect(buyer).claimPurchaseReward());
+
+        const functions = rec.functions();
+        const { missing } = GasBaseline.compareReports(GasBaseline.emptyReport(), { functions });
+        expect(missing).to.deep.equal([]);
+        expect(functions["buyBox/next-day"].samples).to.equal(9);
+        for (const [key, g] of Object.entries(functions)) {
+            expect(BigInt(g.min), key).to.be.greaterThan(21000n);
+        }
+
+        if (process.env.GAS_REPORT) {
+            GasBaseline.mergeReport(process.env.GAS_REPORT, { functions });
+        }
+    });
+
+    /**
+     * @test 비교 로직 (합성 리포트)
+     */
+    it("compareReports: threshold 초과 증가는 regression, 누락 TRACKED 함수는 missing", () => {
+        const fn = (gas) => ({ min: String(gas), max: String(gas), avg: String(gas), samples: 1 });
+        const baseline = {
+            functions: {
+                "buyBox/first": fn(200000), "sendBox/first": fn(60000), "claimPurchaseReward": fn(100000),
+                "syncLimitDay(7)": fn(150000), "backfillPurchaseBulkAt/10": fn(900000), "backfillSendBoxBulkAt/10": fn(700000),
+                "legacy/removed": fn(1),
+            },
+            scripts: { syncVesting: { sync: { gas: "300000", fee: "1", count: 2 } } },
+        };
+        const current = {
+            functions: {
+                ...baseline.functions,
+                "buyBox/first": fn(209000),         // +4.5% → ok (기본 5%)
+                "sendBox/first": fn(120000),        // 2배 → regression
+                "claimPurchaseReward": fn(80000),   // -20% → improved
+                "sendBox/new-case": fn(1),
+            },
+            scripts: { syncVesting: { sync: { gas: "330000", fee: "999", count: 3 } } }, // 건당 110000 (-26%)
+        };
+        delete current.functions["legacy/removed"];
+
+        const res = GasBaseline.compareReports(baseline, current);
+        const status = Object.fromEntries(res.rows.map((r) => [`${r.section}:${r.key}`, r.status]));
+        expect(res.ok).to.equal(false);
+        expect(res.missing).to.deep.equal([]);
+        expect(res.regressions.map((r) => r.key)).to.deep.equal(["sendBox/first"]);
+        expect(res.regressions[0]).to.include({ diff: 60000n, pct: 100 });
+        expect(status).to.include({
+            "functions:buyBox/first": "ok",
+            "functions:claimPurchaseReward": "improved",
+            "functions:sendBox/new-case": "new",
+            "functions:legacy/removed": "removed",
+            "scripts:syncVesting.sync": "improved",
+        });
+
+        // threshold 완화 → 통과 / 3% 로 강화 → buyBox도 regression
+        expect(GasBaseline.compareReports(baseline, current, { threshold: 150 }).ok).to.equal(true);
+        expect(GasBaseline.compareReports(baseline, current, { threshold: 3 }).regressions.map((r) => r.key))
+            .to.have.members(["buyBox/first", "sendBox/first"]);
+
+        // TRACKED 함수 측정 누락
+        const partial = { functions: { "buyBox/first": fn(200000) } };
+        const miss = GasBaseline.compareReports(baseline, partial, { threshold: 1000 });
+        expect(miss.ok).to.equal(false);
+        expect(miss.missing).to.include.members(["sendBox", "syncLimitDay(7)", "backfillSendBoxBulkAt"]);
+
+        const table = GasBaseline.formatComparison(res.rows);
+        expect(table).to.match(/⚠️\s+functions\s+sendBox\/first \*\s+60000\s+120000\s+\+60000\s+\+100\.00\s+regression/);
+    });
+
+    /**
+     * @test 스크립트 집계 기록
+     */
+    it("printGasSummary: GAS_REPORT 지정 시 버킷 gas/fee/건수를 scripts 섹션에 병합", async () => {
+        const { printGasSummary, addGasTotals } = require("../scripts/_shared");
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "gas-")), "report.json");
+        const saved = { report: process.env.GAS_REPORT, name: process.env.GAS_REPORT_NAME };
+        const log = console.log;
+        try {
+            process.env.GAS_REPORT = file;
+            process.env.GAS_REPORT_NAME = "syncVesting";
+            console.log = () => {};
+
+            const totals = {};
+            addGasTotals(totals, "sync", null, { gasUsed: 100n, gasPrice: 2n });
+            addGasTotals(totals, "sync", null, { gasUsed: 50n, gasPrice: 2n });
+            addGasTotals(totals, "claim", null, { gasUsed: 70n, gasPrice: 3n });
+            printGasSummary(totals, ["sync"]);
+
+            process.env.GAS_REPORT_NAME = "claimPurchaseReward";
+            printGasSummary({ claim: totals.claim });
+        } finally {
+            console.log = log;
+            for (const [k, v] of [["GAS_REPORT", saved.report], ["GAS_REPORT_NAME", saved.name]]) {
+                if (v === undefined) delete process.env[k]; else process.env[k] = v;
+            }
+        }
+
+        const report = GasBaseline.readReport(file, { required: true });
+        expect(report.functions).to.deep.equal({});
+        expect(report.scripts).to.deep.equal({
+            syncVesting: { sync: { gas: "150", fee: "300", count: 2 } },   // order에 없는 버킷은 제외
+            claimPurchaseReward: { claim: { gas: "70", fee: "210", count: 1 } },
+        });
+    });
+});
@@ -0,0 +1,209 @@
+// test/vesting.indexer.test.js
+/**
+ * @fileoverview
+ *  이벤트 인덱서(benchmarks/indexer) 테스트
+ * @description
+ *  - 구매/전송/백필/동기화/클레임 시나리오를 인덱싱한 결과가 컨트랙트 getter와 일치 (보유량/추천/판매량)
+ *  - HTTP API 응답 (holders / referrals / sales / claims)
+ *  - reorg(evm_snapshot → evm_revert → 다른 블록 채굴) 시 공통 조상까지 롤백 후 재인덱싱
+ *  - 커서 재개: DB 파일을 다시 열어 이어서 인덱싱해도 한 번에 인덱싱한 결과와 동일
+ *
+ * 사전 준비: cd benchmarks/indexer && npm install (better-sqlite3, express) — 미설치 시 skip
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+
+let Indexer;
+try {
+    Indexer = {
+        ...require("../benchmarks/indexer/db"),
+        ...require("../benchmarks/indexer/indexer"),
+        ...require("../benchmarks/indexer/api"),
+        ...require("../benchmarks/indexer/queries"),
+    };
+} catch {
+    Indexer = null;
+}
+
+// =============================================================================
+// 헬퍼
+// =============================================================================
+
+/**
+ * @notice 백필 + buyBox(레퍼럴) + sendBox + 동기화 + 클레임 시나리오
+ */
+async function scenario() {
+    const ctx = await deployFixture();
+    const { owner, buyer, referrer, other, stableCoin, vesting, start, DAY, ONE_USDT, seedReferralFor, increaseTime } = ctx;
+    const v = vesting.connect(owner);
+    const deployBlock = (await ethers.provider.getTransactionReceipt(vesting.deploymentTransaction().hash)).blockNumber;
+
+    const Token = await ethers.getContractFactory("Token");
+    const token = await Token.deploy();
+    await token.transfer(await vesting.getAddress(), ethers.parseEther("100000000"));
+    await v.setVestingToken(await token.getAddress());
+    await v.setRecipient(owner.address);
+
+    const code = await seedReferralFor(referrer);
+    await v.backfillPurchaseBulkAt([
+        { buyer: other.address, refCodeStr: code, boxCount: 3n, purchaseTs: start + 10n, paidUnits: ONE_USDT * 3n },
+    ]);
+
+    await increaseTime(DAY + 100n);
+    await stableCoin.transfer(buyer.address, ethers.parseUnits("10000", 6));
+    await stableCoin.connect(buyer).approve(await vesting.getAddress(), ethers.MaxUint256);
+    const price = await vesting.estimatedTotalAmount(2n, code);
+    await vesting.connect(buyer).buyBox(2n, code, { value: price, deadline: 0n, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash });
+
+    await increaseTime(DAY);
+    await v.sendBox(other.address, buyer.address, 1n);
+    await vesting.connect(other).claimPurchaseReward();
+    await vesting.connect(referrer).claimReferralReward();
+
+    return { ...ctx, token, code, deployBlock };
+}
+
+/**
+ * @notice 인덱서 구성 (기본: 메모리 DB)
+ */
+function makeIndexer(vesting, deployBlock, opts = {}) {
+    const store = opts.store ?? Indexer.openIndexDb(":memory:");
+    const abi = vesting.interface.formatJson();
+    const indexer = Indexer.createIndexer({
+        provider: ethers.provider,
+        store,
+        vesting: vesting.target,
+        abi: JSON.parse(abi),
+        startBlock: deployBlock,
+        batchBlocks: opts.batchBlocks ?? 2000,
+        log: () => {},
+    });
+    return { store, indexer, q: Indexer.createQueries(store) };
+}
+
+describe("vesting.indexer (benchmarks/indexer)", function () {
+    before(function () {
+        if (!Indexer) this.skip();
+    });
+
+    /**
+     * @test 인덱싱 결과 = getter, HTTP API
+     */
+    it("인덱싱 결과가 boxesOf/referralsOf/getTotalBoxPurchased와 일치, API로 조회", async () => {
+        const { vesting, owner, buyer, referrer, other, code, deployBlock } = await scenario();
+        const { store, indexer, q } = makeIndexer(vesting, deployBlock);
+        const r = await indexer.syncToHead();
+        expect(r.events).to.be.greaterThan(0);
+
+        for (const s of [owner, buyer, referrer, other]) {
+            const h = q.holder(s.address);
+            expect(BigInt(h?.boxes ?? 0), s.address).to.equal(await vesting.boxesOf(s.address));
+        }
+        expect(q.holder(referrer.address)).to.include({ referralCode: code, referredBoxes: 5 });
+        expect(BigInt(q.holder(referrer.address).referredBoxes)).to.equal(await vesting.referralsOf(referrer.address));
+        expect(q.holder(buyer.address).referredBy).to.equal(referrer.address);
+
+        const sales = q.dailySales();
+        expect(sales.map((d) => [d.day, d.boxes])).to.deep.equal([[0, 3], [1, 2]]);
+        expect(BigInt(sales.reduce((a, d) => a + d.boxes, 0))).to.equal(await vesting.getTotalBoxPurchased());
+        expect(sales[0].synced.boxesDenom).to.equal("3");
+
+        const claims = q.claimsOf(referrer.address);
+        expect(claims.items).to.have.length(1);
+        expect(BigInt(claims.totals.referral)).to.be.greaterThan(0n);
+
+        // HTTP API
+        const server = Indexer.createApi({ store, status: indexer.status }).listen(0);
+        try {
+            const base = `http://127.0.0.1:${server.address().port}`;
+            const get = async (p) => {
+                const res = await fetch(base + p);
+                return { status: res.status, body: await res.json() };
+            };
+            const st = await get("/");
+            expect(st.body).to.include({ ok: true, vesting: vesting.target, cursor: await ethers.provider.getBlockNumber() });
+
+            const holders = await get("/holders?limit=1");
+            expect(holders.body.total).to.equal(2);
+            expect(holders.body.totalBoxes).to.equal(5);
+            expect(holders.body.items[0]).to.deep.equal({ address: buyer.address, purchased: 2, received: 1, sent: 0, boxes: 3 });
+
+            const tree = await get(`/referrals/${referrer.address.toLowerCase()}?depth=2`);
+            expect(tree.body.code).to.equal(code);
+            expect(tree.body.children.map((c) => [c.address, c.boxes])).to.deep.equal([[other.address, 3], [buyer.address, 2]]);
+
+            expect((await get(`/claims/${other.address}`)).body.items[0].pool).to.equal("purchase");
+            expect((await get("/sales/daily?from=1")).body.items.map((d) => d.day)).to.deep.equal([1]);
+            expect((await get("/holders/0x1234")).status).to.equal(400);
+            expect((await get(`/holders/${ethers.Wallet.createRandom().address}`)).status).to.equal(404);
+            expect((await get("/referrals/" + buyer.address + "?depth=99")).status).to.equal(400);
+        } finally {
+            server.close();
+        }
+    });
+
+    /**
+     * @test reorg 롤백
+     */
+    it("reorg: 커서 블록 hash 불일치 → 공통 조상 이후 롤백 후 새 체인으로 재인덱싱", async () => {
+        const { vesting, owner, buyer, other, code, deployBlock } = await scenario();
+        const { indexer, q } = makeIndexer(vesting, deployBlock);
+        await indexer.syncToHead();
+        const ancestor = await ethers.provider.getBlockNumber();
+
+        // 분기 A: buyer 추가 구매 → 인덱싱
+        const snap = await ethers.provider.send("evm_snapshot", []);
+        const price = await vesting.estimatedTotalAmount(4n, code);
+        await vesting.connect(buyer).buyBox(4n, code, { value: price, deadline: 0n, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash });
+        await ethers.provider.send("evm_mine", []);
+        await indexer.syncToHead();
+        expect(q.holder(buyer.address).boxes).to.equal(7);
+
+        // 분기 B: 되돌린 뒤 다른 tx로 채굴 (A보다 블록이 적어도 감지되어야 함)
+        await ethers.provider.send("evm_revert", [snap]);
+        await vesting.connect(owner).sendBox(buyer.address, other.address, 1n);
+
+        const r = await indexer.syncOnce();
+        expect(r.reorg).to.deep.equal({ from: ancestor + 2, ancestor });
+        await indexer.syncToHead();
+
+        expect(BigInt(q.holder(buyer.address).boxes)).to.equal(await vesting.boxesOf(buyer.address));
+        expect(BigInt(q.holder(other.address).boxes)).to.equal(await vesting.boxesOf(other.address));
+        expect(q.dailySales().reduce((a, d) => a + d.boxes, 0)).to.equal(5);
+        expect(indexer.status()).to.include({ reorgs: 1, cursor: await ethers.provider.getBlockNumber() });
+    });
+
+    /**
+     * @test 커서 재개
+     */
+    it("재개: DB를 닫았다 다시 열어도 커서부터 이어서 인덱싱, 한 번에 인덱싱한 결과와 동일", async () => {
+        const { vesting, deployBlock } = await scenario();
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "vidx-")), "index.sqlite");
+        const head = await ethers.provider.getBlockNumber();
+
+        const first = makeIndexer(vesting, deployBlock, { store: Indexer.openIndexDb(file), batchBlocks: 5 });
+        await first.indexer.syncOnce();
+        await first.indexer.syncOnce();
+        expect(first.store.cursor()).to.equal(deployBlock + 9);
+        first.store.close();
+
+        const resumed = makeIndexer(vesting, deployBlock, { store: Indexer.openIndexDb(file), batchBlocks: 5 });
+        await resumed.indexer.syncToHead();
+        expect(resumed.store.cursor()).to.equal(head);
+
+        const fresh = makeIndexer(vesting, deployBlock);
+        await fresh.indexer.syncToHead();
+        expect(resumed.store.counts()).to.deep.equal(fresh.store.counts());
+        expect(resumed.q.holders()).to.deep.equal(fresh.q.holders());
+        expect(resumed.q.dailySales()).to.deep.equal(fresh.q.dailySales());
+
+        resumed.store.close();
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+});
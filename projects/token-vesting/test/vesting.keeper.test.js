@@ -0,0 +1,140 @@
+// test/vesting.keeper.test.js
+/**
+ * @fileoverview
+ *  일일 sync keeper(scripts/_syncKeeper.js) 테스트
+ * @description
+ *  - 자정 경계 + grace 이후에만 syncLimitDay를 호출하는지 검증
+ *  - 밀린 일수를 chunk 단위로 따라잡고 상태 파일에 진행/통계를 남기는지 검증
+ *  - gasCap 초과(out-of-gas) 시 chunk를 줄여 끝까지 동기화하는지 검증
+ *  - 같은 상태 파일로 재시작하면 chunk/누적 통계를 이어받는지 검증
+ *  - health / Prometheus metrics 출력 검증
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { deployFixture } = require("./helpers/vestingFixture");
+const { createSyncKeeper } = require("../scripts/_syncKeeper");
+
+// =============================================================================
+// 헬퍼
+// =============================================================================
+
+/**
+ * @notice 임시 상태 파일 경로 생성
+ */
+function tmpStatePath() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sync-keeper-"));
+    return path.join(dir, "state.json");
+}
+
+/**
+ * @notice 로그를 버리는 keeper 생성
+ */
+function keeperFor(vesting, opts = {}) {
+    return createSyncKeeper({ vesting, graceSec: 60, log: () => {}, ...opts });
+}
+
+// =============================================================================
+// 테스트 스위트
+// =============================================================================
+
+describe("vesting.keeper (daily sync keeper)", function () {
+
+    /**
+     * @test grace 구간에서는 대기, 이후 밀린 일수를 한 번에 확정
+     */
+    it("tick: 경계 직후 grace 동안 대기 → 이후 밀린 일수 확정 + 상태 저장", async () => {
+        const { vesting, owner, increaseTime, DAY } = await deployFixture();
+        const stateFile = tmpStatePath();
+        const keeper = keeperFor(vesting.connect(owner), { stateFile });
+
+        await increaseTime(DAY + 10n);
+        expect(await keeper.tick()).to.deep.equal({ synced: 0, pending: 1 });
+        expect(await vesting.lastSyncedDay()).to.equal(0n);
+
+        await increaseTime(DAY * 2n + 60n);
+        expect((await keeper.tick()).synced).to.equal(3);
+        expect(await vesting.lastSyncedDay()).to.equal(3n);
+
+        const saved = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+        expect(saved.vesting).to.equal(await vesting.getAddress());
+        expect(saved.pendingTx).to.equal(null);
+        expect(saved.totals).to.include({ txs: 1, daysSynced: 3, outOfGas: 0 });
+        expect(saved.lastRun).to.include({ fromDay: 0, toDay: 2 });
+
+        // 이미 최신이면 tx 없음
+        expect(await keeper.tick()).to.deep.equal({ synced: 0, pending: 0 });
+        expect(keeper.health()).to.include({ ok: true, lagDays: 0, lastSyncedDay: 3 });
+    });
+
+    /**
+     * @test gasCap을 넘는 chunk는 줄여서 재시도, 결국 전부 확정
+     */
+    it("out-of-gas: 추정치 > gasCap → chunk 축소 후 전부 동기화", async () => {
+        const { vesting, owner, increaseTime, DAY } = await deployFixture();
+        const v = vesting.connect(owner);
+        await increaseTime(DAY * 10n + 120n);
+
+        const one = await v.syncLimitDay.estimateGas(1n);
+        const two = await v.syncLimitDay.estimateGas(2n);
+        expect(two).to.be.greaterThan(one);
+        const keeper = keeperFor(v, { gasCap: (one + two) / 2n, maxChunk: 7 });
+
+        expect((await keeper.tick()).synced).to.equal(10);
+        expect(await vesting.lastSyncedDay()).to.equal(10n);
+
+        const st = keeper.state();
+        expect(st.chunk).to.be.lessThanOrEqual(2); // 연속 성공 후 +1 시도 → 다시 축소 반복
+        expect(st.totals.outOfGas).to.be.greaterThanOrEqual(2); // 7 → 3 → 1
+        expect(st.totals.txs).to.equal(10);
+        expect(st.totals.daysSynced).to.equal(10);
+    });
+
+    /**
+     * @test 재시작 시 상태 파일에서 chunk/통계 복원
+     */
+    it("재시작: 같은 상태 파일이면 chunk와 누적 통계를 이어받음", async () => {
+        const { vesting, owner, increaseTime, DAY } = await deployFixture();
+        const v = vesting.connect(owner);
+        const stateFile = tmpStatePath();
+
+        await increaseTime(DAY * 4n + 120n);
+        const first = keeperFor(v, { stateFile, maxChunk: 2, initialChunk: 1, growAfter: 2 });
+        expect((await first.tick()).synced).to.equal(4);
+        // 1, 1 (→ chunk 2), 2
+        expect(first.state()).to.deep.include({ chunk: 2 });
+        expect(first.state().totals.txs).to.equal(3);
+
+        await increaseTime(DAY * 2n);
+        const second = keeperFor(v, { stateFile, maxChunk: 2, initialChunk: 1, growAfter: 2 });
+        expect((await second.tick()).synced).to.equal(2);
+        expect(second.state().totals).to.include({ txs: 4, daysSynced: 6 });
+        expect(await vesting.lastSyncedDay()).to.equal(6n);
+    });
+
+    /**
+     * @test health 지연 판정 + Prometheus 출력
+     */
+    it("health/metrics: 지연 시 ok=false, metrics에 누적 지표 노출", async () => {
+        const { vesting, owner, increaseTime, DAY } = await deployFixture();
+        const keeper = keeperFor(vesting.connect(owner), { gasCap: 1n, maxLagDays: 1 });
+
+        await increaseTime(DAY * 3n + 120n);
+        let err;
+        try { await keeper.tick(); } catch (e) { err = e; }
+        expect(err?.message).to.match(/out of gas even with chunk=1/);
+
+        const h = keeper.health();
+        expect(h.ok).to.equal(false);
+        expect(h.lagDays).to.equal(3);
+        expect(h.reasons.join(" ")).to.match(/lag 3 day/);
+
+        const text = keeper.renderMetrics();
+        expect(text).to.match(/^vesting_keeper_lag_days 3$/m);
+        expect(text).to.match(/^# TYPE vesting_keeper_out_of_gas_total counter$/m);
+        expect(text).to.match(/^vesting_keeper_healthy 0$/m);
+    });
+});
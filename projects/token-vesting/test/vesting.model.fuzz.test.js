@@ -0,0 +1,110 @@
+// test/vesting.model.fuzz.test.js
+/**
+ * @fileoverview
+ *  기준 모델(scripts/_referenceModel.js) 및 모델 vs 컨트랙트 속성 기반 퍼징 테스트
+ * @description
+ *  - 기준 모델: 손으로 계산한 일일 풀 / 단가 / 체크포인트 / floor6 / 레퍼럴 풀 / revert 사유와 일치
+ *  - 퍼징: 무작위 연차 스케줄 + 무작위 buy/send/sync/claim 시퀀스를 모델과 컨트랙트에 동시에 실행
+ *          (claimable·claimed 일치, 지급 ≤ 풀 총량) — test/helpers/vestingFuzz.js
+ *  - 하네스 자체 검증: floor6를 빼먹은 모델은 첫 클레임에서 시드/이력과 함께 잡힘
+ *
+ * 환경변수:
+ *   FUZZ_SEED  : 기준 시드 (기본 0x5eed, run i는 시드+i)
+ *   FUZZ_RUNS  : 시퀀스 수 (기본 4)
+ *   FUZZ_STEPS : 시퀀스당 무작위 op 수 (기본 40)
+ *
+ * @author hlibbc
+ */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createReferenceModel, floor6 } = require("../scripts/_referenceModel");
+const Fuzz = require("./helpers/vestingFuzz");
+
+describe("vesting.model.fuzz (reference model vs contract)", function () {
+
+    const DAY = 86400n;
+    const E18 = 10n ** 18n;
+
+    /**
+     * @test 기준 모델 단독 (체인 없음)
+     */
+    it("reference model: 일일 풀 잔여 보정 / 단가 내림 / floor6 / 레퍼럴 풀 / revert 사유", () => {
+        const S = 1_000_000n;
+        const [alice, bob, carol, dave] = ["0x0a", "0x0b", "0x0c", "0x0d"].map((h) => ethers.zeroPadValue(h, 20));
+        // 1년차 3일(끝수 있는 총량), 2년차 2일(레퍼럴 풀 0)
+        const buyer0 = 10n * E18 + 1n;
+        const m = createReferenceModel({
+            startTs: S,
+            schedule: { ends: [S - 1n + 3n * DAY, S - 1n + 5n * DAY], buyerTotals: [buyer0, 7n * E18], refTotals: [3n * E18, 0n] },
+        });
+        const base0 = buyer0 / 3n;
+        expect(m.dailyPool(S, true)).to.equal(base0);
+        expect(m.dailyPool(S + 2n * DAY, true)).to.equal(buyer0 - 2n * base0); // 마지막 날 잔여 보정
+        expect(m.dailyPool(S + 3n * DAY, false)).to.equal(0n);
+
+        expect(m.buy({ user: alice, referrer: alice, boxes: 1n, ts: S })).to.deep.equal({ revert: "self referral" });
+        expect(m.buy({ user: alice, referrer: bob, boxes: 3n, ts: S + 10n }).revert).to.equal(null);
+        expect(m.buy({ user: carol, referrer: bob, boxes: 4n, ts: S + DAY + 5n }).revert).to.equal(null); // 내부 sync: day0
+        expect(m.state.rewardPerBox.get(0n)).to.equal(base0 / 3n);
+        expect(m.state.rewardPerReferral.get(0n)).to.equal(E18 / 3n);
+
+        // send: 당일 보유량 초과는 revert, 성공 시 분모 불변
+        expect(m.send({ from: carol, to: dave, boxes: 5n, ts: S + DAY + 6n }).revert).to.equal("InsufficientAfterPriorTransfers");
+        expect(m.send({ from: carol, to: dave, boxes: 1n, ts: S + DAY + 7n }).revert).to.equal(null);
+
+        // alice 구매자 풀 클레임 (day0~1 확정): 3 * (day0 단가 + day1 단가), floor6 지급
+        const per1 = base0 / 7n;
+        const c = m.claim({ user: alice, pool: "buyer", ts: S + 2n * DAY + 1n });
+        expect(c).to.include({ revert: null, fromDay: 0n, toDay: 1n, amount: 3n * (base0 / 3n + per1) });
+        expect(c.pay).to.equal(floor6(c.amount)).and.not.equal(c.amount);
+
+        // revert된 클레임은 내부 sync까지 되돌림
+        expect(m.claim({ user: alice, pool: "buyer", ts: S + 2n * DAY + 2n }).revert).to.equal("nothing to claim");
+        expect(m.claim({ user: alice, pool: "referral", ts: S + 4n * DAY }).revert).to.equal("zero");
+        expect(m.state.lastSyncedDay).to.equal(2n);
+
+        // 미확정 preview: day2(잔여 보정일) + day3(2년차, 레퍼럴 풀 0) 시뮬레이션
+        const last0 = buyer0 - 2n * base0;
+        expect(m.previewClaimable(carol, "buyer", S + 4n * DAY)).to.equal(3n * per1 + 3n * (last0 / 7n) + 3n * ((7n * E18 / 2n) / 7n));
+        expect(m.previewClaimable(bob, "referral", S + 4n * DAY))
+            .to.equal(3n * (E18 / 3n) + 7n * (E18 / 7n) + 7n * ((3n * E18 - 2n * E18) / 7n));
+
+        const stats = m.poolStats();
+        expect(stats.buyer).to.include({ total: buyer0 + 7n * E18, finalized: 2n * base0, claimed: c.pay });
+        expect(stats.buyer.claimed + stats.buyer.confirmed).to.be.at.most(stats.buyer.finalized);
+        expect(() => m.claim({ user: alice, pool: "buyback", ts: S + 4n * DAY })).to.throw("알 수 없는 풀");
+    });
+
+    /**
+     * @test 속성 기반 퍼징
+     */
+    it("fuzz: 무작위 시퀀스에서 claimable/claimed/revert가 컨트랙트와 일치하고 지급 ≤ 풀 총량", async function () {
+        this.timeout(0);
+        const seed = Fuzz.parseSeed(process.env.FUZZ_SEED, 0x5eed);
+        const runs = Number(process.env.FUZZ_RUNS || 4);
+        const steps = Number(process.env.FUZZ_STEPS || 40);
+
+        const results = await Fuzz.runFuzz({ seed, runs, steps });
+        expect(results).to.have.length(runs);
+        for (const r of results) {
+            expect(r.paid, `seed ${Fuzz.hexSeed(r.seed)}`).to.be.at.most(r.total);
+            expect(r.paid, `seed ${Fuzz.hexSeed(r.seed)}`).to.be.greaterThan(0n);
+        }
+        // 생성기가 성공/실패 경로를 모두 밟았는지
+        expect(results.reduce((a, r) => a + r.claims, 0)).to.be.greaterThan(runs * 2);
+        expect(results.reduce((a, r) => a + r.reverts, 0)).to.be.greaterThan(0);
+    });
+
+    /**
+     * @test 하네스 자체 검증
+     */
+    it("fuzz: floor6를 빠뜨린 모델은 시드/op 이력과 함께 불일치로 보고", async function () {
+        this.timeout(0);
+        const err = await Fuzz.runSequence(0x5eed, { steps: 30, round: (x) => x }).then(() => null, (e) => e);
+        expect(err).to.be.instanceOf(Fuzz.FuzzMismatch);
+        expect(err.metric).to.equal("claim floor6");
+        expect(err.message).to.include("FUZZ_SEED=0x00005eed");
+        expect(err.message).to.match(/op {6}: claim (buyer|referral) \w+ @ day \d+/);
+        expect(err.message).to.match(/#\d+ claim .* → pay \d+/);
+    });
+});
@@ -0,0 +1,87 @@
+// test/vesting.permit.test.js
+/**
+ * @fileoverview
+ *  EIP-2612 permit 서명 모듈(scripts/_permit.js) 테스트
+ * @description
+ *  - discoverPermitDomain: StableCoin(ERC20PermitV2, version "2") 도메인 탐색 + DOMAIN_SEPARATOR 대조
+ *  - signPermit → PermitData 로 buyBox(permit 경로) 성공 (approve 없이)
+ *  - 도메인 불일치는 buyBox의 ERC2612InvalidSigner 대신 서명 전에 명시적으로 실패
+ *
+ * @author hlibbc
+ */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+const { discoverPermitDomain, signPermit } = require("../scripts/_permit");
+
+const ONE_USDT = 10n ** 6n;
+
+describe("permit (scripts/_permit.js)", function () {
+
+    /**
+     * @test 도메인 탐색
+     */
+    it("discoverPermitDomain: EIP-5267 / version() 모두 온체인 DOMAIN_SEPARATOR와 일치", async () => {
+        const { stableCoin } = await deployFixture();
+        const addr = await stableCoin.getAddress();
+        const { chainId } = await ethers.provider.getNetwork();
+
+        const d = await discoverPermitDomain(addr, ethers.provider);
+        expect(d.source).to.equal("eip5267");
+        expect(d.verified).to.equal(true);
+        expect(d.separator).to.equal(await stableCoin.DOMAIN_SEPARATOR());
+        expect(d.domain).to.deep.equal({ name: "USD Coin", version: "2", chainId, verifyingContract: addr });
+
+        // EIP-5267을 건너뛰는 경로 (name/version 강제)
+        const o = await discoverPermitDomain(stableCoin, ethers.provider, { name: "USD Coin", version: "2" });
+        expect(o.source).to.equal("override");
+        expect(o.separator).to.equal(d.separator);
+    });
+
+    /**
+     * @test 도메인 불일치
+     */
+    it("도메인 불일치(version \"1\")는 서명 전에 PERMIT_DOMAIN_MISMATCH로 실패", async () => {
+        const { stableCoin } = await deployFixture();
+        let err;
+        try {
+            await discoverPermitDomain(await stableCoin.getAddress(), ethers.provider, { version: "1" });
+        } catch (e) {
+            err = e;
+        }
+        expect(err?.code).to.equal("PERMIT_DOMAIN_MISMATCH");
+        expect(err.onchainSeparator).to.equal(await stableCoin.DOMAIN_SEPARATOR());
+        expect(err.message).to.match(/ERC2612InvalidSigner/);
+    });
+
+    /**
+     * @test 서명 → buyBox(permit)
+     */
+    it("signPermit: PermitData로 approve 없이 buyBox 성공, allowance/nonce 반영", async () => {
+        const { owner, buyer, referrer, stableCoin, vesting, seedReferralFor } = await deployFixture();
+        const code = await seedReferralFor(referrer);
+        await vesting.connect(owner).setRecipient(owner.address);
+        await stableCoin.connect(owner).transfer(buyer.address, 10_000n * ONE_USDT);
+
+        const vestingAddr = await vesting.getAddress();
+        const required = await vesting.estimatedTotalAmount(2n, code);
+        const p = await signPermit(buyer, { token: stableCoin, spender: vestingAddr, value: required });
+
+        expect(Object.keys(p)).to.deep.equal(["value", "deadline", "v", "r", "s"]);
+        expect(p.value).to.equal(required);
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        expect(p.deadline).to.equal(BigInt(timestamp + 1800));
+
+        await expect(vesting.connect(buyer).buyBox(2n, code, p)).to.emit(vesting, "BoxesPurchased");
+        expect(await stableCoin.nonces(buyer.address)).to.equal(1n);
+        expect(await stableCoin.allowance(buyer.address, vestingAddr)).to.equal(0n);
+
+        // 같은 서명 재사용 → nonce 소진으로 InvalidSigner (다음 서명은 새 nonce로 성공)
+        const again = await vesting.estimatedTotalAmount(1n, code);
+        const stale = await signPermit(buyer, { token: stableCoin, spender: vestingAddr, value: again, nonce: 0n });
+        await expect(vesting.connect(buyer).buyBox(1n, code, stale))
+            .to.be.revertedWithCustomError(stableCoin, "ERC2612InvalidSigner");
+        const fresh = await signPermit(buyer, { token: stableCoin, spender: vestingAddr, value: again });
+        await expect(vesting.connect(buyer).buyBox(1n, code, fresh)).to.emit(vesting, "BoxesPurchased");
+    });
+});
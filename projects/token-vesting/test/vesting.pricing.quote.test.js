@@ -0,0 +1,130 @@
+// test/vesting.pricing.quote.test.js
+/**
+ * @fileoverview
+ *  오프체인 가격 견적 모듈(scripts/_pricing.js) 테스트
+ * @description
+ *  - priceBreakdown이 estimatedTotalAmount와 구간 경계/상한/할인 조합에서 정확히 일치하는지
+ *  - quote.worstCase: ahead개가 먼저 팔린 뒤 견적 = 실제 선행 구매 후 estimatedTotalAmount
+ *  - quoteFromChain: 온체인 상태 조회 + 잘못된 코드 처리
+ *
+ * @author hlibbc
+ */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+const { priceBreakdown, quote, quoteFromChain, normalizeRefCode } = require("../scripts/_pricing");
+
+const ONE_USDT = 10n ** 6n;
+
+describe("pricing quote (scripts/_pricing.js)", function () {
+    let owner, buyer, other, vesting, stableCoin, start, refCode;
+
+    /**
+     * @notice 누적 판매량을 sold로 맞춤 (백필, 당일분이므로 sync 없이 getTotalBoxPurchased에 반영)
+     */
+    async function setSold(sold) {
+        const cur = await vesting.getTotalBoxPurchased();
+        if (BigInt(sold) === cur) return;
+        await vesting.connect(owner).backfillPurchaseBulkAt([{
+            buyer: other.address,
+            refCodeStr: refCode,
+            boxCount: BigInt(sold) - cur,
+            purchaseTs: start,
+            paidUnits: 0n,
+        }]);
+    }
+
+    beforeEach(async () => {
+        let seedReferralFor, referrer;
+        ({ owner, buyer, referrer, other, vesting, stableCoin, start, seedReferralFor } = await deployFixture());
+        refCode = await seedReferralFor(referrer);
+        await vesting.connect(owner).setRecipient(owner.address);
+    });
+
+    it("구간 경계/상한/할인 조합에서 estimatedTotalAmount와 일치", async () => {
+        const cases = [
+            // [sold, quantities]
+            [0n, [1n, 200n, 3199n, 3200n, 3500n]],
+            [3190n, [1n, 9n, 10n, 15n, 210n]],
+            [3399n, [1n, 401n]],
+            [9990n, [1n, 9n, 10n, 11n, 25n]],
+            [10000n, [1n, 7n]],
+        ];
+        // 백필은 되돌릴 수 없으므로 sold 오름차순으로 진행하며 할인율을 바꿔 비교
+        for (const [sold, qs] of cases) {
+            await setSold(sold);
+            for (const rate of [0n, 7n, 33n]) {
+                await vesting.connect(owner).setReferralDiscount(refCode, rate);
+                for (const q of qs) {
+                    const onchain = await vesting.estimatedTotalAmount(q, refCode);
+                    const b = priceBreakdown({ sold, quantity: q, discountRate: rate });
+                    expect(b.total, `sold=${sold} q=${q} rate=${rate}`).to.equal(onchain);
+                    expect(b.tiers.reduce((a, t) => a + t.count, 0n)).to.equal(q);
+                    expect(b.tiers.reduce((a, t) => a + t.subtotal, 0n)).to.equal(b.gross);
+                }
+            }
+        }
+    });
+
+    it("구간 내역: 3190개 판매 후 15개 = 9×350 + 6×375", () => {
+        const b = priceBreakdown({ sold: 3190n, quantity: 15n });
+        expect(b.tiers.map((t) => [t.from, t.to, t.unitPrice])).to.deep.equal([
+            [3191n, 3199n, 350n * ONE_USDT],
+            [3200n, 3205n, 375n * ONE_USDT],
+        ]);
+        expect(b.total).to.equal((9n * 350n + 6n * 375n) * ONE_USDT);
+
+        // 할인은 합계에 한 번만 적용 (내림)
+        const d = priceBreakdown({ sold: 0n, quantity: 1n, discountRate: 33n });
+        expect(d.total).to.equal((350n * ONE_USDT * 67n) / 100n);
+        expect(d.discount).to.equal(d.gross - d.total);
+    });
+
+    it("worstCase: ahead개가 먼저 체결된 뒤 견적과 일치, stableFor 이내면 불변", async () => {
+        await setSold(3150n);
+        const q = quote({ sold: 3150n, quantity: 10n, ahead: 60n });
+        expect(q.unitPrice).to.equal(350n * ONE_USDT);
+        expect(q.stableFor).to.equal(3199n - 3160n);
+        expect(q.permitValue).to.equal(q.total);
+
+        // stableFor 만큼 먼저 팔려도 금액 동일
+        expect(quote({ sold: 3150n, quantity: 10n, ahead: q.stableFor }).worstCase.diff).to.equal(0n);
+
+        // 실제로 다른 구매자가 60개를 먼저 산 뒤 온체인 견적 = worstCase.total
+        await stableCoin.connect(owner).transfer(buyer.address, 1_000_000n * ONE_USDT);
+        await stableCoin.connect(buyer).approve(await vesting.getAddress(), ethers.MaxUint256);
+        const value = await vesting.estimatedTotalAmount(60n, refCode);
+        await vesting.connect(buyer).buyBox(60n, refCode, { value, deadline: 0n, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash });
+
+        expect(await vesting.estimatedTotalAmount(10n, refCode)).to.equal(q.worstCase.total);
+        expect(q.worstCase.diff).to.equal(q.worstCase.total - q.total);
+        expect(q.worstCase.bps).to.equal((q.worstCase.diff * 10000n) / q.total);
+
+        // 구간을 걸친 주문은 1개만 먼저 팔려도 가격이 바뀜, 상한 구간은 무제한
+        expect(quote({ sold: 3195n, quantity: 10n }).stableFor).to.equal(0n);
+        expect(quote({ sold: 12000n, quantity: 10n }).stableFor).to.equal(null);
+    });
+
+    it("quoteFromChain: 온체인 상태(판매량/할인율) 반영, 잘못된 코드는 throw", async () => {
+        await setSold(3300n);
+        await vesting.connect(owner).setReferralDiscount(refCode, 10n);
+
+        const q = await quoteFromChain(vesting, { quantity: 5n, refCode: refCode.toLowerCase(), ahead: 100n });
+        expect(q.refCode).to.equal(refCode);
+        expect(q.sold).to.equal(3300n);
+        expect(q.discountRate).to.equal(10n);
+        expect(q.total).to.equal(await vesting.estimatedTotalAmount(5n, refCode));
+        expect(q.worstCase.total).to.equal(priceBreakdown({ sold: 3400n, quantity: 5n, discountRate: 10n }).total);
+
+        expect(normalizeRefCode("splalabs").bytes8).to.equal(ethers.hexlify(ethers.toUtf8Bytes("SPLALABS")));
+        expect(() => normalizeRefCode("SHORT")).to.throw("ref len!=8");
+        expect(() => normalizeRefCode("SPLA-ABS")).to.throw("ref invalid char");
+        let err;
+        try {
+            await quoteFromChain(vesting, { quantity: 1n, refCode: "ZZZZZZZ1" });
+        } catch (e) {
+            err = e;
+        }
+        expect(err?.message).to.equal("referral code not found");
+    });
+});
@@ -0,0 +1,131 @@
+// test/vesting.reconcile.test.js
+/**
+ * @fileoverview
+ *  회계 대사 도구(scripts/_vestingModel.js, scripts/_reconcile.js) 테스트
+ * @description
+ *  - 구매(buyBox/백필) · 전송(sendBox/백필) · 동기화 · 클레임 · 바이백 청구가 섞인 시나리오를
+ *    이벤트만으로 재생했을 때 컨트랙트 getter와 완전히 일치하는지 검증
+ *  - 이벤트 누락 / 잘못된 schedule 등으로 모델이 어긋나면 drift로 보고되는지 검증
+ *
+ * @author hlibbc
+ */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+const { runReconciliation } = require("../scripts/_reconcile");
+
+// =============================================================================
+// 헬퍼
+// =============================================================================
+
+/**
+ * @notice 구매 · 전송 · 동기화 · 클레임이 섞인 시나리오 구성
+ * @returns deployFixture 결과 + schedule
+ */
+async function scenario() {
+    const ctx = await deployFixture();
+    const { owner, buyer, referrer, other, stableCoin, vesting, start, DAY, ONE_USDT, seedReferralFor, increaseTime } = ctx;
+    const v = vesting.connect(owner);
+
+    // 베스팅 토큰 / 판매대금 수령자
+    const Token = await ethers.getContractFactory("Token");
+    const token = await Token.deploy();
+    await token.transfer(await vesting.getAddress(), ethers.parseEther("100000000"));
+    await v.setVestingToken(await token.getAddress());
+    await v.setRecipient(owner.address);
+
+    const code = await seedReferralFor(referrer);
+
+    // d=0: 백필 구매 (레퍼럴 유/무) + 백필 전송
+    await v.backfillPurchaseBulkAt([
+        { buyer: buyer.address, refCodeStr: code, boxCount: 3n, purchaseTs: start + 10n, paidUnits: ONE_USDT * 3n },
+        { buyer: other.address, refCodeStr: "", boxCount: 2n, purchaseTs: start + 20n, paidUnits: ONE_USDT * 2n },
+    ]);
+    await v.backfillSendBoxBulkAt([
+        { from: buyer.address, to: other.address, boxCount: 1n, transferTs: start + 30n },
+    ]);
+
+    // d=2: buyBox (바이백 적립)
+    await increaseTime(DAY * 2n + 100n);
+    await stableCoin.transfer(buyer.address, ethers.parseUnits("10000", 6));
+    await stableCoin.connect(buyer).approve(await vesting.getAddress(), ethers.MaxUint256);
+    const price = await vesting.estimatedTotalAmount(2n, code);
+    const pSkip = { value: price, deadline: 0n, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+    await vesting.connect(buyer).buyBox(2n, code, pSkip); // 내부 sync → d=0,1 확정
+
+    // d=3: sendBox + 클레임 + 바이백 청구
+    await increaseTime(DAY);
+    await v.sendBox(other.address, buyer.address, 1n);
+    await vesting.connect(buyer).claimPurchaseReward();
+    await vesting.connect(referrer).claimReferralReward();
+    await vesting.connect(referrer).claimBuyback();
+
+    // d=5: 미확정 구간에 구매 1건 남기고 syncLimitDay로 일부만 확정
+    await increaseTime(DAY * 2n);
+    await v.syncLimitDay(1n);
+    await v.backfillPurchaseBulkAt([
+        { buyer: referrer.address, refCodeStr: "", boxCount: 4n, purchaseTs: start + DAY * 5n + 5n, paidUnits: ONE_USDT * 4n },
+    ]);
+    await vesting.connect(other).claimPurchaseReward(); // 내부 sync → 나머지 확정
+
+    const schedule = { ends: ctx.ends, buyerTotals: ctx.buyerTotals, refTotals: ctx.refTotals };
+    return { ...ctx, schedule };
+}
+
+describe("vesting.reconcile (off-chain replay vs getters)", function () {
+
+    /**
+     * @test 혼합 시나리오: 재생 결과와 getter가 모두 일치
+     */
+    it("이벤트 재생 결과가 cumBoxes/단가/체크포인트/클레임/바이백 getter와 일치", async () => {
+        const { vesting, schedule, buyer, referrer } = await scenario();
+        const report = await runReconciliation(vesting, { fromBlock: 0, schedule });
+
+        expect(report.replayIssues).to.deep.equal([]);
+        expect(report.diffs).to.deep.equal([]);
+        expect(report.ok).to.equal(true);
+        expect(report.ratesFrom).to.equal("schedule");
+        expect(report.events).to.include({ BoxesPurchased: 4, BoxesTransferred: 2, PurchasePoolClaimed: 2, ReferralPoolClaimed: 1, BuybackClaimed: 1 });
+        expect(report.events.DailySynced).to.equal(Number(await vesting.lastSyncedDay()));
+        expect(report.checked.users).to.equal(3);
+
+        // 클레임 이후 확정된 날이 더 있으므로 청구 가능액 > 0 (getter와의 일치는 diffs로 검증됨)
+        expect(report.model.claimable(buyer.address).buyer).to.be.greaterThan(0n);
+        expect(report.model.claimable(referrer.address).referral).to.be.greaterThan(0n);
+    });
+
+    /**
+     * @test 이벤트 누락(전송 1건) → 체크포인트/클레임 drift 보고
+     */
+    it("전송 이벤트가 누락되면 유저 체크포인트 drift로 보고", async () => {
+        const { vesting, schedule, other } = await scenario();
+        let dropped = false;
+        const report = await runReconciliation(vesting, {
+            fromBlock: 0,
+            schedule,
+            mapLogs: (logs) => logs.filter((l) => {
+                if (!dropped && l.name === "BoxesTransferred") { dropped = true; return false; }
+                return true;
+            }),
+        });
+
+        expect(report.ok).to.equal(false);
+        const fields = report.diffs.filter((x) => x.key === other.address).map((x) => x.field);
+        expect(fields).to.include("buyerBoxAmountHistory[0].amount");
+        expect(report.replayIssues.map((i) => i.kind)).to.include("claim mismatch");
+    });
+
+    /**
+     * @test schedule 종료시각이 온체인과 다르면 schedule을 버리고 이벤트 단가로 대사
+     */
+    it("잘못된 schedule → schedule mismatch 보고, 단가는 이벤트 기준으로 대사", async () => {
+        const { vesting, schedule } = await scenario();
+        const wrong = { ...schedule, ends: [schedule.ends[0] + 1n, ...schedule.ends.slice(1)] };
+        const report = await runReconciliation(vesting, { fromBlock: 0, schedule: wrong });
+
+        expect(report.ratesFrom).to.equal("events");
+        expect(report.replayIssues).to.have.length(1);
+        expect(report.replayIssues[0]).to.include({ kind: "schedule mismatch", index: 0 });
+        expect(report.diffs).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,148 @@
+// test/vesting.referral.codes.test.js
+/**
+ * @fileoverview
+ *  레퍼럴 코드 관리 모듈(scripts/_referralCodes.js) 테스트
+ * @description
+ *  - generateCodes: vanity prefix 코드가 온체인 codeToOwner / 배치 내에서 충돌하지 않음, 코드 공간 초과 시 에러
+ *  - parseCodesCsv → planAssignments → toBulkBatches → setReferralCodesBulk, 캠페인 할인율
+ *  - buildExport: 이벤트로 탐색한 owner, code, discount, referralUnits가 getter와 일치
+ *
+ * @author hlibbc
+ */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+const Ref = require("../scripts/_referralCodes");
+
+describe("referral codes (scripts/_referralCodes.js)", function () {
+
+    /**
+     * @notice 계획된 배정을 배치 단위로 전송
+     */
+    async function sendPlan(vesting, owner, plan, batchSize, overwrite = false) {
+        const batches = Ref.toBulkBatches(plan.items, batchSize);
+        for (const b of batches) {
+            await vesting.connect(owner).setReferralCodesBulk(b.users, b.codes, overwrite);
+        }
+        return batches;
+    }
+
+    /**
+     * @test 코드 생성
+     */
+    it("generateCodes: vanity prefix 코드는 이미 배정된 코드와 겹치지 않고, 코드 공간을 넘으면 에러", async () => {
+        const { vesting, referrer, seedReferralFor } = await deployFixture();
+        await seedReferralFor(referrer); // SPLALABS
+
+        // "SPLALAB" + 1자리 → 36개 중 SPLALABS 제외 35개
+        const codes = await Ref.generateCodes(vesting, { count: 35, prefix: "splalab", maxAttempts: 5000 });
+        expect(codes).to.have.length(35);
+        expect(new Set(codes).size).to.equal(35);
+        expect(codes).to.not.include("SPLALABS");
+        codes.forEach((c) => expect(c).to.match(/^SPLALAB[A-Z0-9]$/));
+
+        await expect(Ref.generateCodes(vesting, { count: 36, prefix: "SPLALAB", maxAttempts: 5000 }))
+            .to.be.rejectedWith("충돌 없는 코드를 36개 만들지 못했습니다");
+        await expect(Ref.generateCodes(vesting, { count: 37, prefix: "SPLALAB" }))
+            .to.be.rejectedWith("만들 수 있는 코드는 36개");
+        expect(() => Ref.normalizePrefix("SUMMER25")).to.throw("7자 이하");
+        expect(() => Ref.normalizePrefix("SUM-")).to.throw("허용되지 않는 문자");
+        expect(Ref.randomCode("AB", () => 35)).to.equal("AB999999");
+    });
+
+    /**
+     * @test 배정 / 캠페인 할인율
+     */
+    it("planAssignments: 충돌/기존 코드 분류, 빈 코드 자동 생성, 배치 배정과 할인율", async () => {
+        const { owner, vesting, buyer, referrer, other, seedReferralFor } = await deployFixture();
+        const [, , , , extra] = await ethers.getSigners();
+        await seedReferralFor(referrer); // SPLALABS
+
+        const csv = [
+            "wallet_address,referral_code,discount",
+            `${buyer.address},vip00001,15`,
+            `${other.address},,`,
+            `${referrer.address},SPLALABS,5`,
+            `${extra.address},SPLALABS,`,
+        ].join("\n");
+        const rows = Ref.parseCodesCsv(csv);
+        expect(rows[0]).to.include({ user: buyer.address, code: "VIP00001", discount: 15 });
+        expect(() => Ref.parseCodesCsv(`${buyer.address},SHORT`)).to.throw("line 1: 잘못된 레퍼럴 코드");
+        expect(() => Ref.parseCodesCsv(`wallet_address,discount\n${buyer.address},101`)).to.throw("0~100");
+
+        // 입력 내 중복 코드 → 충돌
+        let plan = await Ref.planAssignments(vesting, rows, { prefix: "CMP" });
+        expect(plan.conflicts.map((c) => [c.user, c.reason])).to.deep.equal([[extra.address, "duplicate code (line 4)"]]);
+
+        // 다른 주소가 쓰는 코드 → code taken, 같은 코드 → already assigned
+        plan = await Ref.planAssignments(vesting, [rows[3]]);
+        expect(plan.conflicts[0].reason).to.equal(`code taken by ${referrer.address}`);
+        plan = await Ref.planAssignments(vesting, rows.slice(0, 3), { prefix: "CMP" });
+        expect(plan.conflicts).to.deep.equal([]);
+        expect(plan.skipped).to.deep.equal([{ user: referrer.address, code: "SPLALABS", reason: "already assigned" }]);
+        expect(plan.items.map((it) => it.user)).to.deep.equal([buyer.address, other.address]);
+        const generated = plan.items[1].code;
+        expect(plan.items[1].generated).to.equal(true);
+        expect(generated).to.match(/^CMP[A-Z0-9]{5}$/);
+
+        const batches = await sendPlan(vesting, owner, plan, 1);
+        expect(batches).to.have.length(2);
+        expect(await vesting.getReferralCode(buyer.address)).to.equal("VIP00001");
+        expect(await vesting.getReferralCode(other.address)).to.equal(generated);
+
+        // 캠페인 할인율
+        for (const it of plan.items.filter((x) => x.discount != null)) {
+            await vesting.connect(owner).setReferralDiscount(it.code, it.discount);
+        }
+        await vesting.connect(owner).setReferralDiscount(generated, 10);
+        expect(await Ref.readCodes(vesting, ["VIP00001", generated, "NOTSET00"])).to.deep.equal([
+            { code: "VIP00001", owner: buyer.address, discount: 15 },
+            { code: generated, owner: other.address, discount: 10 },
+            { code: "NOTSET00", owner: ethers.ZeroAddress, discount: 0 },
+        ]);
+
+        // 기존 코드 보유: overwrite 아니면 건너뜀, overwrite면 prev 표시 + 해제된 코드의 남은 할인율 경고
+        const change = Ref.parseCodesCsv(`${buyer.address},VIP00002`);
+        plan = await Ref.planAssignments(vesting, change);
+        expect(plan.skipped[0].reason).to.equal("has code VIP00001");
+        plan = await Ref.planAssignments(vesting, change, { overwrite: true });
+        expect(plan.items[0]).to.include({ code: "VIP00002", prev: "VIP00001" });
+        await sendPlan(vesting, owner, plan, 100, true);
+        expect(await vesting.codeToOwner(ethers.hexlify(ethers.toUtf8Bytes("VIP00001")))).to.equal(ethers.ZeroAddress);
+
+        plan = await Ref.planAssignments(vesting, Ref.parseCodesCsv(`${extra.address},VIP00001`));
+        expect(plan.warnings).to.deep.equal(["VIP00001: 이전 할인율 15%가 남아 있습니다 (discount 컬럼으로 재설정 가능)"]);
+    });
+
+    /**
+     * @test 내보내기
+     */
+    it("buildExport: 이벤트로 찾은 코드 보유자의 owner/code/discount/referralUnits가 getter와 일치", async () => {
+        const { owner, vesting, buyer, referrer, other, start, seedReferralFor } = await deployFixture();
+        await seedReferralFor(referrer); // SPLALABS
+        await vesting.connect(owner).setReferralCodesBulk([other.address], ["OTHER001"], false);
+        await vesting.connect(owner).setReferralDiscount("SPLALABS", 20);
+
+        // referrer 코드로 구매 → referralsOf(referrer) 증가, buyer는 자동 코드 생성
+        await vesting.connect(owner).backfillPurchaseBulkAt([{
+            buyer: buyer.address, refCodeStr: "SPLALABS", boxCount: 7n, purchaseTs: start, paidUnits: 0n,
+        }]);
+        // other 코드 교체 → OTHER001 해제
+        await vesting.connect(owner).setReferralCodesBulk([other.address], ["OTHER002"], true);
+
+        const { rows } = await Ref.buildExport(vesting);
+        const byOwner = Object.fromEntries(rows.map((r) => [r.owner, r]));
+        expect(Object.keys(byOwner).sort()).to.deep.equal([buyer.address, referrer.address, other.address].sort());
+        for (const r of rows) {
+            expect(r.code).to.equal(await vesting.getReferralCode(r.owner));
+            expect(r.referralUnits).to.equal(await vesting.referralsOf(r.owner));
+            expect(BigInt(r.discount)).to.equal(await vesting.refDiscountOf(ethers.hexlify(ethers.toUtf8Bytes(r.code))));
+        }
+        expect(byOwner[referrer.address]).to.deep.equal({ owner: referrer.address, code: "SPLALABS", discount: 20, referralUnits: 7n });
+        expect(byOwner[other.address].code).to.equal("OTHER002");
+
+        // 대상 주소 지정 + CSV
+        const only = await Ref.buildExport(vesting, { users: [referrer.address.toLowerCase(), owner.address] });
+        expect(Ref.toCsv(only.rows)).to.equal(`owner,code,discount,referralUnits\n${referrer.address},SPLALABS,20,7\n`);
+    });
+});
@@ -0,0 +1,112 @@
+// test/vesting.revert.test.js
+/**
+ * @fileoverview
+ *  공용 revert 디코더(scripts/_revert.js) 테스트
+ * @description
+ *  - 실제 컨트랙트 revert(커스텀 에러 / require(string))를 구조화 결과로 해석하는지 검증
+ *  - Panic(uint256), 중첩된 JSON-RPC 에러 형태(error.body) 해석 검증
+ *  - 프로젝트 ABI의 모든 커스텀 에러 / TokenVesting의 모든 require 메시지에 HTTP status가 매핑되어 있는지 검증
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+const Revert = require("../scripts/_revert");
+
+/**
+ * @notice promise가 reject한 에러를 돌려준다 (reject 안 하면 실패)
+ */
+async function caught(promise) {
+    try {
+        await promise;
+    } catch (e) {
+        return e;
+    }
+    throw new Error("expected revert");
+}
+
+describe("vesting.revert (shared decoder)", function () {
+    const decoder = Revert.createRevertDecoder(Revert.loadDefaultAbis());
+
+    /**
+     * @test 커스텀 에러: 이름/컨트랙트/HTTP status
+     */
+    it("커스텀 에러 → TokenVesting.InsufficientAfterPriorTransfers / 422", async () => {
+        const { vesting, owner, buyer, other, start } = await deployFixture();
+        const e = await caught(vesting.connect(owner).backfillSendBoxBulkAt([
+            { from: buyer.address, to: other.address, boxCount: 1n, transferTs: start + 10n },
+        ]));
+        const r = decoder.decode(e);
+        expect(r).to.include({ kind: "custom", name: "InsufficientAfterPriorTransfers", contract: "TokenVesting", http: 422 });
+        expect(r.message).to.equal("TokenVesting.InsufficientAfterPriorTransfers()");
+    });
+
+    /**
+     * @test Forwarder 정책 에러: 인자 디코딩 + 403
+     */
+    it("Forwarder 정책 위반 → WhitelistForwarder.NotWhitelisted(target) / 403", async () => {
+        const { vesting, forwarder, buyer } = await deployFixture();
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        const req = {
+            from: buyer.address,
+            to: await vesting.getAddress(),
+            value: 0n,
+            gas: 100_000n,
+            nonce: 0n,
+            deadline: Number(timestamp) + 3600,
+            data: vesting.interface.encodeFunctionData("claimPurchaseReward"),
+            signature: "0x",
+        };
+        const r = decoder.decode(await caught(forwarder.execute.staticCall(req)));
+        expect(r).to.include({ kind: "custom", name: "NotWhitelisted", contract: "WhitelistForwarder", http: 403 });
+        expect(r.namedArgs.target).to.equal(req.to);
+    });
+
+    /**
+     * @test require(string) → Error(string), reason 그대로
+     */
+    it("require 메시지 → kind=error, reason='box=0' / 422", async () => {
+        const { vesting, buyer } = await deployFixture();
+        const p = { value: 0n, deadline: 0n, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+        const r = decoder.decode(await caught(vesting.connect(buyer).buyBox(0n, "", p)));
+        expect(r).to.include({ kind: "error", name: "Error", reason: "box=0", message: "box=0", http: 422 });
+    });
+
+    /**
+     * @test Panic / 중첩 JSON-RPC 에러 / 해석 불가
+     */
+    it("Panic(0x11), error.body(JSON) 형태, 미등록 selector 처리", () => {
+        const panic = "0x4e487b71" + ethers.AbiCoder.defaultAbiCoder().encode(["uint256"], [0x11]).slice(2);
+        const p = decoder.decodeData(panic);
+        expect(p).to.include({ kind: "panic", panicCode: 0x11, reason: "arithmetic overflow/underflow", http: 500 });
+
+        const iface = new ethers.Interface(["error SelectorNotAllowed(address target, bytes4 selector)"]);
+        const data = iface.encodeErrorResult("SelectorNotAllowed", [ethers.ZeroAddress, "0x12345678"]);
+        const nested = { shortMessage: "missing revert data", error: { body: JSON.stringify({ error: { code: 3, data } }) } };
+        expect(decoder.decode(nested)).to.include({ name: "SelectorNotAllowed", contract: "WhitelistForwarder", http: 403 });
+
+        const unknown = decoder.decode({ data: "0xdeadbeef", shortMessage: "execution reverted" });
+        expect(unknown).to.include({ kind: "unknown", selector: "0xdeadbeef", http: 400 });
+        expect(decoder.decode(new Error("boom"))).to.include({ kind: "unknown", message: "boom" });
+    });
+
+    /**
+     * @test 매핑 누락 방지: ABI 커스텀 에러 / TokenVesting require 메시지 전체
+     */
+    it("모든 커스텀 에러와 TokenVesting require 메시지에 HTTP status가 매핑되어 있음", () => {
+        const missing = [];
+        for (const [label, abi] of Revert.loadDefaultAbis()) {
+            for (const f of abi.filter((x) => x.type === "error")) {
+                if (!(f.name in Revert.ERROR_HTTP_STATUS)) missing.push(`${label}.${f.name}`);
+            }
+        }
+        const src = fs.readFileSync(path.join(__dirname, "..", "contracts", "TokenVesting.sol"), "utf8");
+        for (const m of src.matchAll(/require\([^;]*?"([^"]+)"\s*\)/g)) {
+            if (!(m[1] in Revert.REASON_HTTP_STATUS)) missing.push(`"${m[1]}"`);
+        }
+        expect(missing).to.deep.equal([]);
+    });
+});
@@ -0,0 +1,105 @@
+// test/vesting.scenarios.test.js
+/**
+ * @fileoverview
+ *  선언형 시나리오(test/scenarios/*.json) 실행 및 러너(test/helpers/scenarioRunner.js) 테스트
+ * @description
+ *  - test/scenarios의 시나리오 파일마다 it 1개 (SCENARIO=<파일명 일부> 로 필터)
+ *  - 시나리오 형식 검증 에러 메시지 (step 위치 포함)
+ *  - 불일치 시 day/step/actor/metric/expected/actual/diff 표, revert 기대
+ *
+ * 새 시나리오 추가:
+ *   1) test/scenarios/NN-<이름>.json 작성 (기대값을 모르면 "?" → 실행 시 실제값 표 출력)
+ *   2) SCENARIO=NN npx hardhat test test/vesting.scenarios.test.js
+ *
+ * @author hlibbc
+ */
+const path = require("path");
+const { expect } = require("chai");
+const Scenario = require("./helpers/scenarioRunner");
+
+describe("vesting.scenarios (declarative scenario runner)", function () {
+
+    const filter = process.env.SCENARIO;
+    const files = Scenario.listScenarios().filter((f) => !filter || path.basename(f).includes(filter));
+
+    describe("test/scenarios", function () {
+        for (const file of files) {
+            const { name } = Scenario.loadScenario(file);
+            it(`${path.basename(file)} — ${name}`, async () => {
+                await Scenario.runScenarioFile(file);
+            });
+        }
+    });
+
+    /**
+     * @test 형식 검증
+     */
+    it("normalizeScenario: 배우/액션/지표/시간 오류를 step 위치와 함께 보고", () => {
+        const base = { name: "t", actors: ["alice", "bob"], steps: [{ day: 0, action: "sync" }] };
+        const bad = (patch) => () => Scenario.normalizeScenario({ ...base, ...patch });
+
+        expect(bad({ actors: [] })).to.throw("actors");
+        expect(bad({ actors: ["owner"] })).to.throw("예약된 이름");
+        expect(bad({ referralCodes: { alice: "SHORT" } })).to.throw("referralCodes: alice: 8자리");
+        expect(bad({ steps: [{ day: 0, action: "mint" }] })).to.throw("t steps[0] (day 0 mint): 알 수 없는 action");
+        expect(bad({ steps: [{ day: 1, action: "buy", actor: "alice", boxes: 2 }] })).to.throw("steps[0] (day 1 buy): ref가 필요합니다");
+        expect(bad({ steps: [{ day: 0, action: "send", from: "alice", to: "zed", boxes: 1 }] })).to.throw("to: 알 수 없는 배우 zed");
+        expect(bad({ steps: [{ day: 0, action: "claim", actor: "alice", pool: "all" }] })).to.throw("pool은 buyer|referral|buyback");
+        expect(bad({ steps: [{ day: 0, action: "check", expect: { alice: { balance: 1 } } }] })).to.throw("알 수 없는 지표 balance");
+        expect(bad({ steps: [{ day: 0, action: "check", expect: { alice: { boxes: "1.5" } } }] })).to.throw("count 값이 아닙니다");
+        expect(bad({ steps: [{ day: 0, action: "sync", time: "25:00" }] })).to.throw("잘못된 time");
+        expect(bad({ steps: [{ day: 3, action: "sync" }, { day: 2, action: "sync" }] })).to.throw("steps[1] (day 2 sync): day가 이전 step보다 작습니다");
+        expect(bad({
+            steps: [{ day: 1, action: "sync", time: "12:00" }, { day: 1, action: "sync", time: "06:00" }],
+        })).to.throw("steps[1] (day 1 sync): 시간이 이전 step보다 앞섭니다");
+
+        const scn = Scenario.normalizeScenario({
+            ...base,
+            tolerance: "0.01",
+            steps: [{ day: 2, action: "sync", time: "01:30" }, { day: 3, action: "check", expect: { bob: { buyerClaimable: "?" } } }],
+        });
+        expect(scn.tolerance).to.equal(10n ** 16n);
+        expect(scn.steps.map((s) => s.at)).to.deep.equal([2n * 86400n + 5400n, 3n * 86400n + 60n]);
+    });
+
+    /**
+     * @test 불일치 표 / revert 기대 / 허용 오차
+     */
+    it("runScenario: 틀린 기대값과 빗나간 revert를 표로 보고, tolerance 이내는 통과", async () => {
+        const scn = Scenario.normalizeScenario({
+            name: "mismatch",
+            actors: ["alice", "bob"],
+            referralCodes: { bob: "BOBCODE1" },
+            tolerance: "0.5",
+            steps: [
+                { day: 0, action: "buy", actor: "alice", boxes: 2, ref: "bob" },
+                { day: 0, action: "claim", actor: "alice", pool: "buyer", revert: "nothing to claim" },
+                { day: 0, action: "sync", revert: "something else" },
+                { day: 2, action: "check", expect: {
+                    global: { totalBoxes: 3 },
+                    alice: { boxes: 2, buyerEarnedYesterday: "465753", buyerClaimable: "?" },
+                } },
+            ],
+        });
+        const result = await Scenario.runScenario(scn);
+        expect(result.ok).to.equal(false);
+        expect(result.mismatches.map((r) => [r.step, r.who, r.metric, r.expected, r.actual, r.diff])).to.deep.equal([
+            ["#2 sync", "owner", "revert", "something else", "(성공)", ""],
+            ["#3 check", "global", "totalBoxes", "3", "2", "-1"],
+        ]);
+        // 1년차 일일 풀(170M/365) 전액 — 오차 0.5 이내라 통과
+        const earned = result.rows.find((r) => r.metric === "buyerEarnedYesterday");
+        expect(earned).to.include({ ok: true, actual: "465753.424657" });
+        expect(result.reports.map((r) => r.metric)).to.deep.equal(["buyerClaimable"]);
+
+        const table = Scenario.formatTable(result.mismatches).split("\n");
+        expect(table[0]).to.match(/^\| day \| step +\| actor +\| metric +\| expected +\| actual +\| diff \|$/);
+        expect(table[3]).to.match(/^\| 2 +\| #3 check \| global \| totalBoxes \| 3 +\| 2 +\| -1 +\|$/);
+
+        // 예상치 못한 실패는 step 위치와 함께 즉시 에러
+        const broken = Scenario.normalizeScenario({
+            name: "broken", actors: ["alice"], steps: [{ day: 0, action: "claim", actor: "alice", pool: "buyer" }],
+        });
+        await expect(Scenario.runScenario(broken)).to.be.rejectedWith("broken steps[0] (day 0 claim) 실패: nothing to claim");
+    });
+});
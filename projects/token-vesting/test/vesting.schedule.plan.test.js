@@ -0,0 +1,135 @@
+// test/vesting.schedule.plan.test.js
+/**
+ * @fileoverview
+ *  베스팅 스케줄 플래너(scripts/_schedulePlan.js) 테스트
+ * @description
+ *  - 달력 연차 경계: 윤년(2/29 포함) 구간은 366일, 2/29 시작은 다음 해 3/1 경계
+ *  - validatePlan: initializeSchedule revert 조건 / 자정 정렬 / 수정된 plan 파일 검출
+ *  - plan의 일일 풀(평상일 / 마지막 날 잔여 보정)이 온체인 rewardPerBox / rewardPerReferral과 일치
+ *
+ * @author hlibbc
+ */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { createPlan, validatePlan, planToJSON, dateOf, DAY } = require("../scripts/_schedulePlan");
+
+/**
+ * @notice 지정한 시작 시각으로 TokenVesting + SBT 구성 (vestingFixture와 동일, start만 다름)
+ */
+async function deployWithStart(start) {
+    const [owner, buyer, referrer] = await ethers.getSigners();
+    const forwarder = await (await ethers.getContractFactory("WhitelistForwarder", owner)).deploy();
+    const stableCoin = await (await ethers.getContractFactory("StableCoin")).deploy();
+    const vesting = await (await ethers.getContractFactory("TokenVesting")).deploy(
+        await forwarder.getAddress(),
+        await stableCoin.getAddress(),
+        start
+    );
+    const sbt = await (await ethers.getContractFactory("BadgeSBT")).deploy("Badge", "BDG", await vesting.getAddress());
+    const resolver = await (await ethers.getContractFactory("BadgeSbtTierUriResolver", owner)).deploy(await sbt.getAddress());
+    await sbt.setResolver(await resolver.getAddress());
+    await vesting.setBadgeSBT(await sbt.getAddress());
+    await sbt.connect(owner).setAdmin(await vesting.getAddress());
+    return { owner, buyer, referrer, vesting };
+}
+
+describe("schedule plan (scripts/_schedulePlan.js)", function () {
+
+    /**
+     * @test 윤년 경계
+     */
+    it("연차 경계는 달력 기준: 2/29 포함 구간 366일, 2/29 시작은 3/1 경계", () => {
+        const plan = createPlan({
+            start: "2027-03-01",
+            years: 3,
+            buyerTotals: ["366", "365", "365"],
+            refTotals: [],
+        });
+        expect(plan.periods.map((p) => p.termDays)).to.deep.equal([366n, 365n, 365n]);
+        expect(plan.periods.map((p) => p.lastDate)).to.deep.equal(["2028-02-29", "2029-02-28", "2030-02-28"]);
+        expect(plan.periods[1].fromDay).to.equal(366n);
+        // 366일 구간에 366 토큰 → 일일 1 토큰, 잔여 없음
+        expect(plan.periods[0].buyerDaily).to.equal(ethers.parseEther("1"));
+        expect(plan.periods[0].buyerLastDay).to.equal(ethers.parseEther("1"));
+        plan.initializeSchedule.poolEnds.forEach((e) => expect((e + 1n) % DAY).to.equal(0n));
+        expect(plan.funding.total).to.equal(ethers.parseEther("1096"));
+
+        const leap = createPlan({ start: "2028-02-29", years: 1, buyerTotals: ["1"] });
+        expect(leap.periods[0].lastDate).to.equal("2029-02-28");
+        expect(dateOf(leap.periods[0].endTs + 1n)).to.equal("2029-03-01");
+        expect(leap.periods[0].termDays).to.equal(366n);
+    });
+
+    /**
+     * @test validatePlan
+     */
+    it("validatePlan: JSON 왕복 통과, revert 조건/비자정/수정된 값은 throw", () => {
+        const plan = planToJSON(createPlan({
+            start: "2026-11-01",
+            periods: [{ days: 10 }, { lastDate: "2026-11-30" }],
+            buyerTotals: ["1,000", "500.5"],
+            refTotals: ["10", 0],
+        }));
+        const v = validatePlan(plan);
+        expect(v.poolEnds.map(dateOf)).to.deep.equal(["2026-11-10", "2026-11-30"]);
+        expect(v.fundingTotal).to.equal(ethers.parseEther("1510.5"));
+        expect(v.plan.periods[1].termDays).to.equal(20n);
+
+        const mutate = (fn) => {
+            const p = JSON.parse(JSON.stringify(plan));
+            fn(p);
+            return () => validatePlan(p);
+        };
+        expect(mutate((p) => { p.initializeSchedule.poolEnds = []; })).to.throw("empty");
+        expect(mutate((p) => { p.initializeSchedule.refTotals.pop(); })).to.throw("len mismatch");
+        expect(mutate((p) => { p.initializeSchedule.poolEnds.reverse(); })).to.throw("not increasing");
+        expect(mutate((p) => { p.initializeSchedule.poolEnds[0] = p.start.ts; })).to.throw("end<=start");
+        expect(mutate((p) => { p.start.ts = String(BigInt(p.start.ts) + 3600n); })).to.throw("UTC 자정");
+        expect(mutate((p) => { p.initializeSchedule.poolEnds[1] = String(BigInt(p.initializeSchedule.poolEnds[1]) + 1n); })).to.throw("23:59:59");
+        expect(mutate((p) => { p.funding.total = "1"; })).to.throw("funding.total");
+        expect(mutate((p) => { p.periods[0].termDays = "11"; })).to.throw("termDays");
+    });
+
+    /**
+     * @test 온체인 일일 풀 일치
+     */
+    it("plan 일일 풀 = 온체인 rewardPerBox/rewardPerReferral (박스 1개, 마지막 날 잔여 보정 포함)", async () => {
+        const now = BigInt((await ethers.provider.getBlock("latest")).timestamp);
+        const plan = createPlan(
+            {
+                start: (now / DAY) * DAY,
+                periods: [{ days: 3 }, { days: 2 }],
+                buyerTotals: ["10", "7"],
+                refTotals: ["1", "0.000000000000000005"],
+            },
+            { includeDays: true }
+        );
+        expect(plan.periods[0].buyerLastDay).to.not.equal(plan.periods[0].buyerDaily);
+
+        const { owner, buyer, referrer, vesting } = await deployWithStart(plan.start.ts);
+        const { poolEnds, buyerTotals, refTotals } = validatePlan(planToJSON(plan));
+        await vesting.initializeSchedule(poolEnds, buyerTotals, refTotals);
+        await vesting.connect(owner).setReferralCodesBulk([referrer.address], ["SPLALABS"], true);
+
+        // day 0에 박스 1개(추천 1) → 분모 1이므로 단가 = 일일 풀
+        await vesting.connect(owner).backfillPurchaseBulkAt([{
+            buyer: buyer.address,
+            refCodeStr: "SPLALABS",
+            boxCount: 1n,
+            purchaseTs: plan.start.ts,
+            paidUnits: 0n,
+        }]);
+
+        const last = plan.periods[plan.periods.length - 1];
+        await ethers.provider.send("evm_setNextBlockTimestamp", [Number(last.endTs + 1n)]);
+        await ethers.provider.send("evm_mine", []);
+        await vesting.sync();
+
+        for (const d of plan.days) {
+            expect(await vesting.rewardPerBox(d.day), `day ${d.day}`).to.equal(d.buyerPool);
+            expect(await vesting.rewardPerReferral(d.day), `day ${d.day}`).to.equal(d.refPool);
+        }
+        const sum = plan.days.reduce((a, d) => a + d.buyerPool + d.refPool, 0n);
+        expect(sum).to.equal(plan.funding.total);
+    });
+});
@@ -0,0 +1,160 @@
+// test/vesting.signer.test.js
+/**
+ * @fileoverview
+ *  스크립트 서명자 백엔드 모듈(scripts/_signer.js) 테스트
+ * @description
+ *  - signerConfig: <P>_SIGNER 명시 / keystore → key 순 추론, 설정 오류 메시지
+ *  - keystore: 비밀번호(env 또는 prompt)로 복호화, 틀린 비밀번호 에러
+ *  - offline(safe): Safe batch JSON 기록, 가짜 영수증, 체인 상태 불변, revert 예정 tx는 사전 검증에서 에러
+ *  - offline(raw): unsigned tx 기록 → signRawBatch → broadcastSigned 로 실제 반영, 재전송 시 건너뜀
+ *
+ * @author hlibbc
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+const Signer = require("../scripts/_signer");
+
+describe("signer backends (scripts/_signer.js)", function () {
+
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "vesting-signer-"));
+    after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+    const KEY = "0x" + "11".repeat(32);
+    const readJson = (f) => JSON.parse(fs.readFileSync(f, "utf8"));
+
+    /**
+     * @test 설정 추론
+     */
+    it("signerConfig: 명시 / keystore → key 추론, 설정 오류", () => {
+        const safe = ethers.Wallet.createRandom().address;
+        expect(Signer.signerConfig("owner", {}).backend).to.equal(null);
+        expect(Signer.signerConfig("owner", { OWNER_KEY: KEY }).backend).to.equal("key");
+        expect(Signer.signerConfig("relayer", { RELAYER_KEYS: `${KEY}, ${KEY}` }).keys).to.have.length(2);
+        // keystore가 있으면 평문 키보다 우선
+        const ks = Signer.signerConfig("owner", { OWNER_KEY: KEY, OWNER_KEYSTORE: "a.json,b.json" });
+        expect(ks).to.include({ backend: "keystore" });
+        expect(Signer.describeConfig(ks)).to.equal("keystore a.json, b.json");
+
+        const off = Signer.signerConfig("owner", { OWNER_KEY: KEY, OWNER_SIGNER: "Offline", OWNER_OFFLINE_ADDRESS: safe.toLowerCase() });
+        expect(off.offline).to.deep.equal({ address: safe, format: "safe", out: undefined });
+        expect(Signer.describeConfig(off)).to.equal(`offline(safe) ${safe}`);
+
+        expect(() => Signer.signerConfig("owner", { OWNER_SIGNER: "ledger" })).to.throw("key|keystore|offline");
+        expect(() => Signer.signerConfig("user", { USER_SIGNER: "key" })).to.throw("PRIVATE_KEY를 설정하세요");
+        expect(() => Signer.signerConfig("owner", { OWNER_SIGNER: "offline" })).to.throw("OWNER_OFFLINE_ADDRESS");
+        expect(() => Signer.signerConfig("owner", { OWNER_SIGNER: "offline", OWNER_OFFLINE_ADDRESS: safe, OWNER_OFFLINE_FORMAT: "csv" }))
+            .to.throw("safe|raw");
+        expect(() => Signer.signerConfig("admin", {})).to.throw("알 수 없는 signer 역할");
+    });
+
+    /**
+     * @test keystore
+     */
+    it("keystore: env 비밀번호 / prompt로 복호화, 틀린 비밀번호, offline 거부", async () => {
+        const wallet = new ethers.Wallet(KEY);
+        const file = path.join(tmp, "ops.json");
+        // 테스트 속도를 위해 scrypt 비용을 낮춤
+        fs.writeFileSync(file, ethers.encryptKeystoreJsonSync(wallet, "correct horse", { scrypt: { N: 1 << 10 } }));
+
+        const [a] = await Signer.loadSigners("owner", {
+            provider: ethers.provider,
+            env: { OWNER_KEYSTORE: file, OWNER_KEYSTORE_PASSWORD: "correct horse" },
+        });
+        expect(a.address).to.equal(wallet.address);
+        expect(a.provider).to.equal(ethers.provider);
+
+        const asked = [];
+        const b = await Signer.loadSigner("relayer", {
+            env: { RELAYER_KEYSTORE: file },
+            prompt: async (q) => { asked.push(q); return "correct horse"; },
+        });
+        expect(b.address).to.equal(wallet.address);
+        expect(asked).to.deep.equal(["🔐 RELAYER keystore 비밀번호: "]);
+
+        await expect(Signer.loadSigner("owner", { env: { OWNER_KEYSTORE: file, OWNER_KEYSTORE_PASSWORD: "wrong" } }))
+            .to.be.rejectedWith("keystore 복호화 실패 (ops.json)");
+        await expect(Signer.loadSigner("owner", { env: { OWNER_KEYSTORE: path.join(tmp, "none.json"), OWNER_KEYSTORE_PASSWORD: "x" } }))
+            .to.be.rejectedWith("keystore 파일이 없습니다");
+        await expect(Signer.loadSigner("owner", {
+            provider: ethers.provider,
+            offline: false,
+            env: { OWNER_SIGNER: "offline", OWNER_OFFLINE_ADDRESS: wallet.address },
+        })).to.be.rejectedWith("OWNER_SIGNER=offline 은 이 스크립트에서 지원하지 않습니다");
+        expect(await Signer.loadSigner("owner", { env: {} })).to.equal(null);
+    });
+
+    /**
+     * @test offline(safe / raw)
+     */
+    it("offline: Safe batch 기록(상태 불변), revert 사전 검증, raw 기록 → 서명 → 전송", async () => {
+        const { owner, vesting, referrer, other, seedReferralFor } = await deployFixture();
+        await seedReferralFor(referrer); // SPLALABS
+        const vestingAddr = await vesting.getAddress();
+        const logs = [];
+        const log = (m) => logs.push(m);
+
+        // ── safe: owner(멀티시그 가정) 명의로 기록만
+        const safeOut = path.join(tmp, "safe.json");
+        const safe = new Signer.OfflineSigner(owner.address, ethers.provider, {
+            out: safeOut, log, describe: () => "setReferralDiscount(SPLALABS, 30)",
+        });
+        const tx = await vesting.connect(safe).setReferralDiscount("SPLALABS", 30);
+        expect(Signer.isQueuedTx(tx.hash)).to.equal(true);
+        expect(Signer.isOffline(new ethers.NonceManager(safe))).to.equal(true);
+        const rc = await tx.wait();
+        expect(rc).to.include({ status: 1, gasUsed: 0n });
+        expect(await vesting.refDiscountOf(ethers.hexlify(ethers.toUtf8Bytes("SPLALABS")))).to.equal(0n);
+
+        const batch = readJson(safeOut);
+        expect(batch).to.include({ version: "1.0", chainId: "31337" });
+        expect(batch.meta.createdFromSafeAddress).to.equal(owner.address);
+        expect(batch.meta.description).to.equal("1. setReferralDiscount(SPLALABS, 30)");
+        expect(batch.transactions).to.deep.equal([{
+            to: vestingAddr,
+            value: "0",
+            data: vesting.interface.encodeFunctionData("setReferralDiscount", ["SPLALABS", 30]),
+            contractMethod: null,
+            contractInputsValues: null,
+        }]);
+        expect(logs[0]).to.match(/^📝 offline\(safe\) #1 setReferralDiscount/);
+
+        // 실행 주체가 owner가 아니면 기록 전에 revert
+        const notOwner = new Signer.OfflineSigner(other.address, ethers.provider, { out: path.join(tmp, "x.json"), log });
+        await expect(vesting.connect(notOwner).setReferralDiscount("SPLALABS", 30)).to.be.rejected;
+        expect(fs.existsSync(path.join(tmp, "x.json"))).to.equal(false);
+        await expect(notOwner.signMessage("hi")).to.be.rejectedWith("offline 서명자는 서명할 수 없습니다");
+
+        // ── raw: 오프라인 지갑이 owner → 기록 → 서명 → 전송
+        const cold = new ethers.Wallet(KEY);
+        await owner.sendTransaction({ to: cold.address, value: ethers.parseEther("1") });
+        await vesting.connect(owner).transferOwnership(cold.address);
+
+        const rawOut = path.join(tmp, "raw.json");
+        const raw = new Signer.OfflineSigner(cold.address, ethers.provider, { format: "raw", out: rawOut, log });
+        await (await vesting.connect(raw).setReferralDiscount("SPLALABS", 30)).wait();
+        await (await vesting.connect(raw).setReferralDiscount("SPLALABS", 40)).wait();
+        const unsigned = readJson(rawOut);
+        expect(unsigned).to.include({ format: "unsigned-transactions", chainId: "31337", from: cold.address });
+        expect(unsigned.transactions.map((t) => t.nonce)).to.deep.equal([0, 1]);
+        expect(ethers.Transaction.from(unsigned.transactions[1].unsignedSerialized).unsignedHash)
+            .to.equal(unsigned.transactions[1].unsignedHash);
+
+        await expect(Signer.signRawBatch(unsigned, new ethers.Wallet("0x" + "22".repeat(32)))).to.be.rejectedWith("서명자");
+        const tampered = { ...unsigned, transactions: [{ ...unsigned.transactions[0], unsignedHash: ethers.ZeroHash }] };
+        await expect(Signer.signRawBatch(tampered, cold)).to.be.rejectedWith("unsignedHash");
+
+        const signed = await Signer.signRawBatch(unsigned, cold);
+        const sent = await Signer.broadcastSigned(signed, ethers.provider, log);
+        expect(sent.map((r) => [r.status, r.skipped])).to.deep.equal([[1, false], [1, false]]);
+        expect(sent.map((r) => r.hash)).to.deep.equal(signed.transactions.map((t) => t.hash));
+        expect(await vesting.refDiscountOf(ethers.hexlify(ethers.toUtf8Bytes("SPLALABS")))).to.equal(40n);
+
+        // 재실행 시 이미 포함된 tx는 건너뜀
+        const again = await Signer.broadcastSigned(signed, ethers.provider, log);
+        expect(again.every((r) => r.skipped)).to.equal(true);
+    });
+});
@@ -0,0 +1,140 @@
+// test/vesting.statement.test.js
+/**
+ * @fileoverview
+ *  유저별 베스팅 명세 모듈(scripts/_statement.js) 테스트
+ * @description
+ *  - 확정일 earned = boxes × rewardPerBox[d] (referral: units × rewardPerReferral[d])
+ *  - claimed는 클레임 이벤트가 발생한 날 행에 기록
+ *  - 마지막 행 claimable = previewBuyerClaimableAt / previewReferrerClaimableAt(user, dayEnd(d))
+ *  - 미확정(pending/accruing) 행은 preview 차분으로 산출
+ *  - CSV / JSON 출력 형식
+ *
+ * @author hlibbc
+ */
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployFixture } = require("./helpers/vestingFixture");
+const { buildStatements, toCsv, toJson, CSV_COLUMNS } = require("../scripts/_statement");
+
+// =============================================================================
+// 헬퍼
+// =============================================================================
+
+/**
+ * @notice 백필 구매 · buyBox · sendBox · 클레임이 섞인 시나리오 (마지막 2일은 미확정으로 남김)
+ */
+async function scenario() {
+    const ctx = await deployFixture();
+    const { owner, buyer, referrer, other, stableCoin, vesting, start, DAY, ONE_USDT, seedReferralFor, increaseTime } = ctx;
+    const v = vesting.connect(owner);
+
+    const Token = await ethers.getContractFactory("Token");
+    const token = await Token.deploy();
+    await token.transfer(await vesting.getAddress(), ethers.parseEther("100000000"));
+    await v.setVestingToken(await token.getAddress());
+    await v.setRecipient(owner.address);
+
+    const code = await seedReferralFor(referrer);
+
+    // d=0: 백필 구매 (레퍼럴 유/무)
+    await v.backfillPurchaseBulkAt([
+        { buyer: buyer.address, refCodeStr: code, boxCount: 3n, purchaseTs: start + 10n, paidUnits: ONE_USDT * 3n },
+        { buyer: other.address, refCodeStr: "", boxCount: 2n, purchaseTs: start + 20n, paidUnits: ONE_USDT * 2n },
+    ]);
+
+    // d=2: buyBox (내부 sync → d=0,1 확정)
+    await increaseTime(DAY * 2n + 100n);
+    await stableCoin.transfer(buyer.address, ethers.parseUnits("10000", 6));
+    await stableCoin.connect(buyer).approve(await vesting.getAddress(), ethers.MaxUint256);
+    const price = await vesting.estimatedTotalAmount(2n, code);
+    const pSkip = { value: price, deadline: 0n, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+    await vesting.connect(buyer).buyBox(2n, code, pSkip);
+
+    // d=3: sendBox + 클레임
+    await increaseTime(DAY);
+    await v.sendBox(buyer.address, other.address, 1n);
+    await vesting.connect(buyer).claimPurchaseReward();
+    await vesting.connect(referrer).claimReferralReward();
+
+    // d=6: 동기화 없이 시간만 경과 → d=3..5 pending, d=6 accruing
+    await increaseTime(DAY * 3n);
+    await ethers.provider.send("evm_mine", []);
+
+    return ctx;
+}
+
+describe("vesting.statement (per-user daily statements)", function () {
+
+    /**
+     * @test 확정일 earned / 클레임일 claimed / 마지막 행 claimable이 컨트랙트 getter와 일치
+     */
+    it("earned · claimed · claimable이 단가/이벤트/preview와 일치", async () => {
+        const { vesting, start, DAY, buyer, referrer } = await scenario();
+        const { meta, rows } = await buildStatements(vesting, { users: [buyer.address, referrer.address], fromBlock: 0 });
+
+        const lastSyncedDay = await vesting.lastSyncedDay();
+        expect(meta.lastSyncedDay).to.equal(lastSyncedDay.toString());
+        expect(meta.fromDay).to.equal("0");
+        expect(meta.toDay).to.equal("6");
+        expect(rows).to.have.length(2 * 7);
+
+        const mine = rows.filter((r) => r.address === buyer.address);
+        const refs = rows.filter((r) => r.address === referrer.address);
+        expect(mine.map((r) => r.status)).to.deep.equal(
+            ["final", "final", "final", "pending", "pending", "pending", "accruing"]);
+
+        // 확정일 earned = boxes × rewardPerBox[d]
+        for (const r of mine.filter((x) => x.status === "final")) {
+            expect(r.boxes).to.equal(await vesting.buyerBoxesAtDay(buyer.address, r.day));
+            expect(r.purchase.earned).to.equal(r.boxes * await vesting.rewardPerBox(r.day));
+        }
+        for (const r of refs.filter((x) => x.status === "final")) {
+            expect(r.referral.earned).to.equal(r.referralUnits * await vesting.rewardPerReferral(r.day));
+        }
+
+        // claimed는 d=3 행에만 기록 (이벤트 지급액)
+        const claimEv = (await vesting.queryFilter(vesting.filters.PurchasePoolClaimed(buyer.address)))[0];
+        expect(mine[3].purchase.claimed).to.equal(claimEv.args.amount);
+        expect(mine.filter((r) => r.purchase.claimed > 0n)).to.have.length(1);
+        expect(refs[3].referral.claimed).to.be.greaterThan(0n);
+
+        // 클레임 직후(d=3) claimable에는 d=3 earned만 남음
+        expect(mine[3].purchase.claimable).to.equal(mine[3].purchase.earned);
+
+        // 마지막 행 claimable = preview(dayEnd(d))
+        const dayEnd = (d) => start + (d + 1n) * DAY;
+        expect(mine[6].purchase.claimable).to.equal(await vesting.previewBuyerClaimableAt(buyer.address, dayEnd(6n)));
+        expect(refs[6].referral.claimable).to.equal(await vesting.previewReferrerClaimableAt(referrer.address, dayEnd(6n)));
+
+        // 미확정 구간 earned 합 = preview 증가분
+        const pendingSum = mine.slice(Number(lastSyncedDay)).reduce((s, r) => s + r.purchase.earned, 0n);
+        expect(pendingSum).to.equal(
+            (await vesting.previewBuyerClaimableAt(buyer.address, dayEnd(6n))) -
+            (await vesting.previewBuyerClaimableAt(buyer.address, dayEnd(lastSyncedDay - 1n))));
+    });
+
+    /**
+     * @test 주소 미지정 시 이벤트에서 보유자 탐색 + 기간 필터 + CSV/JSON 형식
+     */
+    it("보유자 자동 탐색 · 기간 필터 · CSV/JSON 출력", async () => {
+        const { vesting, buyer, referrer, other } = await scenario();
+        const result = await buildStatements(vesting, { fromDay: 2, toDay: 99, fromBlock: 0 });
+
+        expect(result.meta.users).to.equal(3);
+        expect(result.meta.toDay).to.equal("6"); // 오늘로 제한
+        const addrs = new Set(result.rows.map((r) => r.address));
+        expect([...addrs].sort()).to.deep.equal([buyer.address, referrer.address, other.address].sort());
+        expect(result.rows).to.have.length(3 * 5);
+
+        const csv = toCsv(result.rows).trim().split("\n");
+        expect(csv[0]).to.equal(CSV_COLUMNS.join(","));
+        expect(csv).to.have.length(1 + result.rows.length);
+        expect(csv[1].split(",")).to.have.length(CSV_COLUMNS.length);
+
+        const json = JSON.parse(toJson(result, "wei"));
+        expect(json.meta).to.include({ units: "wei", fromDay: "2", toDay: "6" });
+        expect(json.statements[buyer.address]).to.have.length(5);
+        expect(json.statements[buyer.address][0]).to.include.keys("day", "date", "status", "purchaseEarned", "referralClaimable");
+        expect(json.statements[buyer.address][0].purchaseEarned).to.match(/^\d+$/);
+    });
+});
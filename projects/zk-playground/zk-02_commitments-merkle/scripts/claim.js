@@ -1,29 +1,17 @@
 /* eslint-disable no-undef */
 const fs = require("fs");
 const path = require("path");
+const { createRegistry } = require("../../../../common/deployRegistry");
 
-function loadDeployment(networkName) {
-    const outPath = path.join(__dirname, ".", "output", "deployment-info.json");
-    if (!fs.existsSync(outPath)) {
-        throw new Error("deployment-ifno.json not found. Run deploy-allowlist.js first.");
-    }
-    const json = JSON.parse(fs.readFileSync(outPath, "utf8"));
-    if (!json.networks || !json.networks[networkName]) {
-        throw new Error(`No deployment entry for network "${networkName}" in deployment-ifno.json`);
-    }
-    return json.networks[networkName];
-}
+// 배포 레지스트리: deployments/<chainId>.json (chainId × 컨트랙트 이름)
+const registry = createRegistry(path.join(__dirname, ".."));
 
 async function main() {
     const [sender] = await ethers.getSigners();
     const net = await ethers.provider.getNetwork();
     const networkName = network?.name || "unknown";
 
-    const dep = loadDeployment(networkName);
-    const allowlistAddr = dep.contracts?.AllowlistByZK;
-    if (!allowlistAddr) {
-        throw new Error(`AllowlistByZK address missing in deployment-ifno.json for ${networkName}`);
-    }
+    const allowlistAddr = registry.address(net.chainId, "AllowlistByZK");
 
     const Allowlist = await ethers.getContractFactory("AllowlistByZK");
     const allowlist = Allowlist.attach(allowlistAddr);
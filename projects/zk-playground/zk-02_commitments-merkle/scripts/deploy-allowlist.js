@@ -1,6 +1,11 @@
 /* eslint-disable no-undef */
 const fs = require("fs");
 const path = require("path");
+const hre = require("hardhat");
+const { createRegistry } = require("../../../../common/deployRegistry");
+
+// 배포 레지스트리: deployments/<chainId>.json (chainId × 컨트랙트 이름)
+const registry = createRegistry(path.join(__dirname, ".."));
 
 function toPascalCase(s) {
     return s
@@ -9,29 +14,6 @@ function toPascalCase(s) {
         .join("");
 }
 
-function saveDeployment(networkName, payload) {
-    const outDir = path.join(__dirname, ".", "output");
-    const outPath = path.join(outDir, "deployment-info.json"); // 요청하신 파일명 그대로
-    fs.mkdirSync(outDir, { recursive: true });
-
-    let json = {};
-    if (fs.existsSync(outPath)) {
-        try {
-            json = JSON.parse(fs.readFileSync(outPath, "utf8"));
-        } catch {
-            json = {};
-        }
-    }
-    if (!json.networks) json.networks = {};
-    json.networks[networkName] = {
-        ...payload,
-        timestamp: new Date().toISOString(),
-    };
-
-    fs.writeFileSync(outPath, JSON.stringify(json, null, 4));
-    console.log("📄 wrote:", path.relative(process.cwd(), outPath));
-}
-
 async function main() {
     const circuit = "merkle_inclusion"; // 필요하면 인자/환경변수로 바꿔도 됨
     const PascalCircuit = toPascalCase(circuit); // "MerkleInclusion"
@@ -59,18 +41,14 @@ async function main() {
     const allowlistAddr = await allowlist.getAddress();
     console.log("AllowlistByZK:", allowlistAddr);
 
-    // 4) 파일로 기록
-    const net = await ethers.provider.getNetwork();
-    const hreNetName = network?.name || "hardhat"; // HRE network 전역 있을 때
-    const payload = {
-        chainId: Number(net.chainId),
-        contracts: {
-            Groth16Verifier: verifierAddr,
-            AllowlistByZK: allowlistAddr,
-        },
-        root: root,
-    };
-    saveDeployment(hreNetName, payload);
+    // 4) 배포 레지스트리에 기록
+    await registry.recordDeployment(hre, "Groth16Verifier", verifier, { contract: fqName });
+    await registry.recordDeployment(hre, "AllowlistByZK", allowlist, {
+        args: [verifierAddr, root],
+        meta: { root },
+    });
+    const chainId = await registry.chainIdOf(ethers.provider);
+    console.log("📄 wrote:", path.relative(process.cwd(), registry.fileOf(chainId)));
 }
 
 main().catch((e) => {
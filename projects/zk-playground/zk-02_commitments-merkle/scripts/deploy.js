@@ -1,31 +1,13 @@
 /* eslint-disable no-undef */
 const fs = require("fs");
 const path = require("path");
+const hre = require("hardhat");
+const { createRegistry } = require("../../../../common/deployRegistry");
 
-function saveDeployment(networkName, payload) {
-    const outDir = path.join(__dirname, ".", "output");
-    const outPath = path.join(outDir, "deployment-info.json"); // 요청한 파일명 유지
-    fs.mkdirSync(outDir, { recursive: true });
+// 배포 레지스트리: deployments/<chainId>.json (chainId × 컨트랙트 이름)
+const registry = createRegistry(path.join(__dirname, ".."));
 
-    let json = {};
-    if (fs.existsSync(outPath)) {
-        try {
-            json = JSON.parse(fs.readFileSync(outPath, "utf8"));
-        } catch (_) {
-            json = {};
-        }
-    }
-    if (!json.networks) json.networks = {};
-    json.networks[networkName] = {
-        ...payload,
-        timestamp: new Date().toISOString(),
-    };
-
-    fs.writeFileSync(outPath, JSON.stringify(json, null, 4));
-    console.log("📄 wrote:", path.relative(process.cwd(), outPath));
-}
-
-async function maybeDeployCommitmentVerifier(record) {
+async function maybeDeployCommitmentVerifier() {
     // contracts/CommitmentVerifier.sol 이 없을 수도 있으니 try-catch
     const fqName = "contracts/CommitmentVerifier.sol:Groth16Verifier";
     try {
@@ -34,7 +16,7 @@ async function maybeDeployCommitmentVerifier(record) {
         await verifier.waitForDeployment();
         const addr = await verifier.getAddress();
         console.log("Commitment Groth16Verifier:", addr);
-        record.contracts.CommitmentGroth16Verifier = addr;
+        await registry.recordDeployment(hre, "CommitmentGroth16Verifier", verifier, { contract: fqName });
     } catch (e) {
         console.log("ℹ️ CommitmentVerifier artifact not found. Skip deploying commitment verifier.");
     }
@@ -64,20 +46,16 @@ async function main() {
     const allowlistAddr = await allowlist.getAddress();
     console.log("AllowlistByZK:", allowlistAddr);
 
-    // 4) (있으면) Commitment Verifier도 배포
-    const record = {
-        chainId: Number((await ethers.provider.getNetwork()).chainId),
-        contracts: {
-            MerkleGroth16Verifier: merkleVerifierAddr,
-            AllowlistByZK: allowlistAddr,
-        },
-        root: root,
-    };
-    await maybeDeployCommitmentVerifier(record);
+    // 4) 저장 + (있으면) Commitment Verifier도 배포
+    await registry.recordDeployment(hre, "MerkleGroth16Verifier", merkleVerifier, { contract: fqMerkle });
+    await registry.recordDeployment(hre, "AllowlistByZK", allowlist, {
+        args: [merkleVerifierAddr, root],
+        meta: { root },
+    });
+    await maybeDeployCommitmentVerifier();
 
-    // 5) 저장
-    const hreName = network?.name || "hardhat";
-    saveDeployment(hreName, record);
+    const chainId = await registry.chainIdOf(ethers.provider);
+    console.log("📄 wrote:", path.relative(process.cwd(), registry.fileOf(chainId)));
 }
 
 main().catch((e) => {
@@ -10,12 +10,15 @@
  *   - nPublic === 0 인 회로에만 'uint[0] calldata _pubSignals' → 'uint[] memory _pubSignals' 패치
  *   - nPublic > 0 인 회로는 절대 수정하지 않음 (lt13 포함)
  * - 파일 내 실제 contract 이름을 자동 추출(FQN으로 정확히 배포)
- * - 결과는 scripts/output/deployment_info.json 에 chainId/target별 기록 (vkHash 포함)
+ * - 결과는 배포 레지스트리(deployments/<chainId>.json)에 `<target>_Verifier` 이름으로 기록 (meta.vkHash 포함)
  */
 
 const fs = require("fs");
 const path = require("path");
 const hre = require("hardhat");
+const { createRegistry } = require("../../../../common/deployRegistry");
+
+const registry = createRegistry(path.join(__dirname, ".."));
 
 const TARGETS = [
     "booleanity",
@@ -29,10 +32,6 @@ function readJSON(file, fallback = null) {
     try { return JSON.parse(fs.readFileSync(file, "utf8")); }
     catch { return fallback; }
 }
-function writeJSON(file, data) {
-    fs.mkdirSync(path.dirname(file), { recursive: true });
-    fs.writeFileSync(file, JSON.stringify(data, null, 4));
-}
 
 const crypto = require("crypto");
 function sha256Hex(s) { return crypto.createHash("sha256").update(s).digest("hex"); }
@@ -82,7 +81,7 @@ function extractContractName(solPath) {
     throw new Error(`Contract name not found in ${solPath}`);
 }
 
-async function deployOne(target, outPath) {
+async function deployOne(target) {
     const contractsDir = path.join(__dirname, "..", "contracts");
     const guessedName = `${target}_Verifier`;
     const solPath = path.join(contractsDir, `${guessedName}.sol`);
@@ -138,23 +137,14 @@ async function deployOne(target, outPath) {
     console.log(`     Tx: ${receipt.hash}`);
 
     // 배포 기록 저장 (+ vkHash)
-    const out = readJSON(outPath, {});
-    const now = new Date().toISOString();
-    if (!out[chainId]) out[chainId] = {};
-
     let vkHash = null;
     try { vkHash = sha256Hex(readVKRaw(buildDir)); } catch (e) {}
 
-    out[chainId][target] = {
-        address,
-        txHash: receipt.hash,
-        contract: contractName,
-        network: hre.network.name,
-        vkHash,
-        updatedAt: now,
-    };
-    writeJSON(outPath, out);
-    console.log(`     Saved: ${outPath}`);
+    await registry.recordDeployment(hre, guessedName, contract, {
+        contract: fqn,
+        meta: { target, vkHash },
+    });
+    console.log(`     Saved: ${registry.fileOf(chainId)}`);
 
     return { chainId, target, address, contractName };
 }
@@ -176,10 +166,9 @@ async function main() {
     await hre.run("compile");
 
     // 배포
-    const outPath = path.join(__dirname, "output", "deployment_info.json");
     const results = [];
     for (const t of TARGETS) {
-        const r = await deployOne(t, outPath);
+        const r = await deployOne(t);
         if (r) results.push(r);
     }
 
@@ -4,7 +4,7 @@
  *   node scripts/verify.js <target> [verifierAddress] [rpcUrl]
  *
  * Examples:
- *   # 1) 주소 생략 → deployment_info.json에서 자동 조회
+ *   # 1) 주소 생략 → 배포 레지스트리(deployments/<chainId>.json)에서 자동 조회
  *   node scripts/verify.js lt13 http://127.0.0.1:8545
  *
  *   # 2) 주소/URL 모두 지정
@@ -12,7 +12,7 @@
  *
  * What it does:
  *   - Reads ./lib/build/<target>/proof.json and public.json
- *   - If address is omitted, loads it from scripts/output/deployment_info.json by chainId+target
+ *   - If address is omitted, loads `<target>_Verifier` from the deployment registry (deployments/<chainId>.json)
  *   - Uses snarkjs.groth16.exportSolidityCallData to get [a,b,c,input]
  *   - Calls Verifier.verifyProof(a,b,c,input) → prints true/false
  */
@@ -21,14 +21,9 @@ const fs = require("fs");
 const path = require("path");
 const { groth16 } = require("snarkjs");
 const { ethers } = require("ethers");
+const { createRegistry } = require("../../../../common/deployRegistry");
 
-function readJSON(file) {
-    try {
-        return JSON.parse(fs.readFileSync(file, "utf8"));
-    } catch {
-        return null;
-    }
-}
+const registry = createRegistry(path.join(__dirname, ".."));
 
 function readVK(buildDir) {
     const vkPath = path.join(buildDir, "verification_key.json");
@@ -83,10 +78,9 @@ async function main() {
     const chainId = net.chainId.toString();
 
     // Auto-load address if omitted
+    const deployed = registry.get(chainId, `${target}_Verifier`);
     if (!verifierAddress) {
-        const infoPath = path.join(ROOT, "scripts", "output", "deployment_info.json");
-        const info = readJSON(infoPath);
-        const addr = info?.[chainId]?.[target]?.address;
+        const addr = deployed?.address;
         if (!addr) {
             console.error(`[ERR] No stored address for chainId=${chainId}, target=${target}
   → Deploy first: PRIVATE_KEY=0x... node scripts/deploy.js ${target} ${rpcUrl}`);
@@ -147,11 +141,7 @@ async function main() {
     // ... verifierAddress 로드 후, callData 만들기 전에:
     let vkHashLocal = null, vkHashDeployed = null;
     try { vkHashLocal = sha256Hex(readVKRaw(buildDir)); } catch {}
-    try {
-        const info = JSON.parse(fs.readFileSync(path.join(__dirname, "output", "deployment_info.json"), "utf8"));
-        const chain = info[chainId] || {};
-        vkHashDeployed = chain[target]?.vkHash || null;
-    } catch {}
+    vkHashDeployed = deployed?.meta?.vkHash || null;
 
     if (vkHashLocal && vkHashDeployed && vkHashLocal !== vkHashDeployed) {
         console.error(`[ERR] VerifyingKey mismatch!